@@ -1,8 +1,12 @@
 import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
+import { ToastContainer } from 'react-toastify';
 import { AuthProvider } from './contexts/AuthContext';
 import ProtectedRoute, { PublicRoute } from './components/ProtectedRoute';
 import Layout from './components/Layout';
 import Login from './pages/Login';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import AcceptInvite from './pages/AcceptInvite';
 import Dashboard from './pages/Dashboard';
 import Events from './pages/Events';
 import Enrollments from './pages/Enrollments';
@@ -18,6 +22,8 @@ import Challenges from './pages/Challenges';
 import Polls from './pages/Polls';
 import Stories from './pages/Stories';
 import ScanQR from './pages/ScanQR';
+import CheckInDashboard from './pages/CheckInDashboard';
+import Kiosk from './pages/Kiosk';
 import TicketReshare from './pages/TicketReshare';
 import Memberships from './pages/Memberships';
 import MembershipRequests from './pages/MembershipRequests';
@@ -25,6 +31,7 @@ import Clubs from './pages/Clubs';
 import ClubJoinRequests from './pages/ClubJoinRequests';
 import AdminClubPosts from './pages/AdminClubPosts';
 import Settings from './pages/Settings';
+import Profile from './pages/Profile';
 import Services from './pages/Services';
 import ServiceOrders from './pages/ServiceOrders';
 import ServiceRequests from './pages/ServiceRequests';
@@ -38,7 +45,62 @@ import JobPosts from './pages/JobPosts';
 import JobApplications from './pages/JobApplications';
 import OpportunityFilters from './pages/OpportunityFilters';
 import Recommendations from './pages/Recommendations';
+import AuditLog from './pages/AuditLog';
+import { getRoutePermission } from './utils/permissions';
 
+/**
+ * Signed-out routes - signed-in admins are sent on to the dashboard
+ */
+const publicRoutes = [
+  { path: '/login', element: <Login /> },
+  { path: '/forgot-password', element: <ForgotPassword /> },
+  { path: '/reset-password/:token', element: <ResetPassword /> },
+  { path: '/accept-invite/:token', element: <AcceptInvite /> },
+];
+
+/**
+ * Routes rendered inside the Layout, each guarded by its ROUTE_PERMISSIONS rule
+ */
+const protectedRoutes = [
+  { path: '/dashboard', element: <Dashboard /> },
+  { path: '/events', element: <Events /> },
+  { path: '/enrollments', element: <Enrollments /> },
+  { path: '/coupons', element: <Coupons /> },
+  { path: '/users', element: <Users /> },
+  { path: '/admins', element: <Admins /> },
+  { path: '/payments', element: <Payments /> },
+  { path: '/cash-tickets', element: <CashTickets /> },
+  { path: '/vouchers', element: <Vouchers /> },
+  { path: '/sessions', element: <Sessions /> },
+  { path: '/quizes', element: <Quizes /> },
+  { path: '/challenges', element: <Challenges /> },
+  { path: '/polls', element: <Polls /> },
+  { path: '/stories', element: <Stories /> },
+  { path: '/memberships', element: <Memberships /> },
+  { path: '/membership-requests', element: <MembershipRequests /> },
+  { path: '/settings', element: <Settings /> },
+  { path: '/profile', element: <Profile /> },
+  { path: '/clubs', element: <Clubs /> },
+  { path: '/club-join-requests', element: <ClubJoinRequests /> },
+  { path: '/admin-club-posts', element: <AdminClubPosts /> },
+  { path: '/scan-qr', element: <ScanQR /> },
+  { path: '/check-in-dashboard', element: <CheckInDashboard /> },
+  { path: '/ticket-reshare', element: <TicketReshare /> },
+  { path: '/services', element: <Services /> },
+  { path: '/service-orders', element: <ServiceOrders /> },
+  { path: '/service-requests', element: <ServiceRequests /> },
+  { path: '/user-subscriptions', element: <UserSubscriptions /> },
+  { path: '/test-services', element: <TestServices /> },
+  { path: '/motivata-blend-requests', element: <MotivataBlendRequests /> },
+  { path: '/round-table-requests', element: <RoundTableRequests /> },
+  { path: '/motivata-blend-banner', element: <MotivataBlendBanner /> },
+  { path: '/explore-posts', element: <ExplorePosts /> },
+  { path: '/job-posts', element: <JobPosts /> },
+  { path: '/job-applications', element: <JobApplications /> },
+  { path: '/opportunity-filters', element: <OpportunityFilters /> },
+  { path: '/recommendations', element: <Recommendations /> },
+  { path: '/audit-log', element: <AuditLog /> },
+];
 
 function App() {
   return (
@@ -46,14 +108,9 @@ function App() {
       <AuthProvider>
         <Routes>
           {/* Public Routes */}
-          <Route
-            path="/login"
-            element={
-              <PublicRoute>
-                <Login />
-              </PublicRoute>
-            }
-          />
+          {publicRoutes.map(({ path, element }) => (
+            <Route key={path} path={path} element={<PublicRoute>{element}</PublicRoute>} />
+          ))}
 
           {/* Protected Routes with Layout */}
           <Route
@@ -63,49 +120,34 @@ function App() {
               </ProtectedRoute>
             }
           >
-            <Route path="/dashboard" element={<Dashboard />} />
-            <Route path="/events" element={<Events />} />
-            <Route path="/enrollments" element={<Enrollments />} />
-            <Route path="/coupons" element={<Coupons />} />
-            <Route path="/users" element={<Users />} />
-            <Route path="/admins" element={<Admins />} />
-            <Route path="/payments" element={<Payments />} />
-            <Route path="/cash-tickets" element={<CashTickets />} />
-            <Route path="/vouchers" element={<Vouchers />} />
-            <Route path="/sessions" element={<Sessions />} />
-            <Route path="/quizes" element={<Quizes />} />
-            <Route path="/challenges" element={<Challenges />} />
-            <Route path="/polls" element={<Polls />} />
-            <Route path="/stories" element={<Stories />} />
-            <Route path="/memberships" element={<Memberships />} />
-            <Route path="/membership-requests" element={<MembershipRequests />} />
-            <Route path="/settings" element={<Settings />} />
-            <Route path="/clubs" element={<Clubs />} />
-            <Route path="/club-join-requests" element={<ClubJoinRequests />} />
-            <Route path="/admin-club-posts" element={<AdminClubPosts />} />
-            <Route path="/scan-qr" element={<ScanQR />} />
-            <Route path="/ticket-reshare" element={<TicketReshare />} />
-            <Route path="/services" element={<Services />} />
-            <Route path="/service-orders" element={<ServiceOrders />} />
-            <Route path="/service-requests" element={<ServiceRequests />} />
-            <Route path="/user-subscriptions" element={<UserSubscriptions />} />
-            <Route path="/test-services" element={<TestServices />} />
-            <Route path="/motivata-blend-requests" element={<MotivataBlendRequests />} />
-            <Route path="/round-table-requests" element={<RoundTableRequests />} />
-            <Route path="/motivata-blend-banner" element={<MotivataBlendBanner />} />
-            <Route path="/explore-posts" element={<ExplorePosts />} />
-            <Route path="/job-posts" element={<JobPosts />} />
-            <Route path="/job-applications" element={<JobApplications />} />
-            <Route path="/opportunity-filters" element={<OpportunityFilters />} />
-            <Route path="/recommendations" element={<Recommendations />} />
+            {protectedRoutes.map(({ path, element }) => (
+              <Route
+                key={path}
+                path={path}
+                element={
+                  <ProtectedRoute {...getRoutePermission(path)}>{element}</ProtectedRoute>
+                }
+              />
+            ))}
           </Route>
 
+          {/* Kiosk - full screen, without the Layout and its idle logout */}
+          <Route
+            path="/kiosk"
+            element={
+              <ProtectedRoute {...getRoutePermission('/kiosk')}>
+                <Kiosk />
+              </ProtectedRoute>
+            }
+          />
+
           {/* Default redirect */}
           <Route path="/" element={<Navigate to="/dashboard" replace />} />
 
           {/* 404 - redirect to dashboard */}
           <Route path="*" element={<Navigate to="/dashboard" replace />} />
         </Routes>
+        <ToastContainer position="top-right" newestOnTop />
       </AuthProvider>
     </BrowserRouter>
   );
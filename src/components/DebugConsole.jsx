@@ -0,0 +1,189 @@
+import { useEffect, useState, useSyncExternalStore } from 'react';
+import { Download, Trash2, ChevronDown } from 'lucide-react';
+import Modal from './ui/Modal';
+import {
+  LOG_LEVELS,
+  getLogLevel,
+  setLogLevel,
+  getApiCalls,
+  getLogEntries,
+  clearLogBuffers,
+  subscribeToLogs,
+  buildLogReport,
+} from '../utils/logger';
+import { TIME_OPTIONS, formatDate } from '../utils/dates';
+
+const TABS = [
+  { id: 'api', label: 'API calls' },
+  { id: 'logs', label: 'Warnings & errors' },
+];
+
+const formatTime = (value) => formatDate(value, { ...TIME_OPTIONS, second: '2-digit' });
+
+const getStatusColor = (status) => {
+  if (!status) return 'text-gray-500';
+  if (status >= 500) return 'text-red-600';
+  if (status >= 400) return 'text-orange-600';
+  return 'text-green-600';
+};
+
+/**
+ * DebugConsole Component
+ * Hidden panel (Ctrl/Cmd + Shift + L) showing the logger's recent API calls and errors,
+ * with the console level switch and a download for bug reports
+ */
+function DebugConsole() {
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeTab, setActiveTab] = useState('api');
+  const [expandedIndex, setExpandedIndex] = useState(null);
+
+  const logLevel = useSyncExternalStore(subscribeToLogs, getLogLevel);
+  const apiCalls = useSyncExternalStore(subscribeToLogs, getApiCalls);
+  const logEntries = useSyncExternalStore(subscribeToLogs, getLogEntries);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 'l') {
+        e.preventDefault();
+        setIsOpen((prev) => !prev);
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const handleDownload = () => {
+    const blob = new Blob([JSON.stringify(buildLogReport(), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `motivata-admin-debug-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleTabChange = (tab) => {
+    setActiveTab(tab);
+    setExpandedIndex(null);
+  };
+
+  // Newest first
+  const rows = [...(activeTab === 'api' ? apiCalls : logEntries)].reverse();
+
+  return (
+    <Modal isOpen={isOpen} onClose={() => setIsOpen(false)} title="Debug Console" size="xl">
+      <div className="space-y-4">
+        {/* Controls */}
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            Console level
+            <select
+              value={logLevel}
+              onChange={(e) => setLogLevel(e.target.value)}
+              className="px-2 py-1 border border-gray-300 rounded-lg text-sm outline-none focus:border-gray-800 bg-white"
+            >
+              {Object.keys(LOG_LEVELS).map((level) => (
+                <option key={level} value={level}>
+                  {level}
+                </option>
+              ))}
+            </select>
+            <button onClick={() => setLogLevel(null)} className="text-xs text-gray-500 hover:text-gray-800 underline">
+              Reset
+            </button>
+          </label>
+
+          <div className="flex items-center gap-2">
+            <button
+              onClick={clearLogBuffers}
+              className="inline-flex items-center gap-2 px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50"
+            >
+              <Trash2 className="h-4 w-4" />
+              Clear
+            </button>
+            <button
+              onClick={handleDownload}
+              className="inline-flex items-center gap-2 px-3 py-1.5 text-sm text-white bg-gray-800 rounded-lg hover:bg-gray-900"
+            >
+              <Download className="h-4 w-4" />
+              Download report
+            </button>
+          </div>
+        </div>
+
+        {/* Tabs */}
+        <div className="flex gap-1 border-b border-gray-200">
+          {TABS.map((tab) => {
+            const count = tab.id === 'api' ? apiCalls.length : logEntries.length;
+            return (
+              <button
+                key={tab.id}
+                onClick={() => handleTabChange(tab.id)}
+                className={`px-3 py-2 text-sm font-medium border-b-2 -mb-px ${
+                  activeTab === tab.id
+                    ? 'border-gray-800 text-gray-900'
+                    : 'border-transparent text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                {tab.label} ({count})
+              </button>
+            );
+          })}
+        </div>
+
+        {/* Entries */}
+        <div className="max-h-[55vh] overflow-y-auto custom-scrollbar">
+          {rows.length === 0 ? (
+            <p className="py-8 text-center text-sm text-gray-500">Nothing recorded yet</p>
+          ) : (
+            <ul className="divide-y divide-gray-100 font-mono text-xs">
+              {rows.map((row, index) => {
+                const isExpanded = expandedIndex === index;
+                return (
+                  <li key={`${row.timestamp}-${index}`}>
+                    <button
+                      onClick={() => setExpandedIndex(isExpanded ? null : index)}
+                      className="w-full flex items-center gap-3 px-2 py-2 text-left hover:bg-gray-50"
+                    >
+                      <span className="text-gray-400 shrink-0">{formatTime(row.timestamp)}</span>
+                      {activeTab === 'api' ? (
+                        <>
+                          <span className="w-12 shrink-0 font-semibold text-gray-700">{row.method}</span>
+                          <span className={`w-8 shrink-0 ${getStatusColor(row.status)}`}>{row.status ?? '—'}</span>
+                          <span className="flex-1 min-w-0 truncate text-gray-900">{row.url}</span>
+                          {row.durationMs !== null && (
+                            <span className="text-gray-400 shrink-0">{row.durationMs}ms</span>
+                          )}
+                        </>
+                      ) : (
+                        <>
+                          <span
+                            className={`w-10 shrink-0 uppercase ${row.level === 'error' ? 'text-red-600' : 'text-orange-600'}`}
+                          >
+                            {row.level}
+                          </span>
+                          <span className="flex-1 min-w-0 truncate text-gray-900">{row.message}</span>
+                        </>
+                      )}
+                      <ChevronDown
+                        className={`h-3.5 w-3.5 text-gray-400 shrink-0 transition-transform ${isExpanded ? 'rotate-180' : ''}`}
+                      />
+                    </button>
+                    {isExpanded && (
+                      <pre className="mx-2 mb-2 p-3 bg-gray-50 border border-gray-200 rounded-lg whitespace-pre-wrap break-all text-gray-700">
+                        {JSON.stringify(row, null, 2)}
+                      </pre>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+export default DebugConsole;
@@ -0,0 +1,335 @@
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { createPortal } from 'react-dom';
+import { useNavigate } from 'react-router-dom';
+import {
+  Search,
+  X,
+  Loader2,
+  UserCog,
+  Calendar,
+  Tag,
+  Gift,
+  Crown,
+  Video,
+  CreditCard,
+  CornerDownLeft,
+} from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import userService from '../services/user.service';
+import eventService from '../services/event.service';
+import couponService from '../services/coupon.service';
+import voucherService from '../services/voucher.service';
+import membershipService from '../services/membership.service';
+import sessionService from '../services/session.service';
+import serviceOrderService from '../services/serviceOrder.service';
+import { DATE_OPTIONS, formatDate as formatOrgDate } from '../utils/dates';
+
+// Results fetched per type
+const RESULT_LIMIT = 5;
+
+// Minimum query length before searching
+const MIN_QUERY_LENGTH = 2;
+
+const formatDate = (value) => formatOrgDate(value, DATE_OPTIONS, '');
+
+const joinParts = (...parts) => parts.filter(Boolean).join(' · ');
+
+/**
+ * Searchable record types
+ * `getState` builds the router state the target page reads via useLocationState
+ * ({ openRecord } opens the details modal); `getParams` builds the query string
+ * of a list page that keeps its filters in the URL
+ */
+const SEARCH_SOURCES = [
+  {
+    type: 'users',
+    label: 'Users',
+    icon: UserCog,
+    path: '/users',
+    search: (query) => userService.getAll({ search: query, limit: RESULT_LIMIT }),
+    getItems: (data) => data?.users,
+    getTitle: (user) => user.name || user.phone,
+    getSubtitle: (user) => joinParts(user.phone, user.email),
+    getState: (user) => ({ openRecord: user }),
+  },
+  {
+    type: 'events',
+    label: 'Events',
+    icon: Calendar,
+    path: '/events',
+    search: (query) => eventService.getAll({ search: query, limit: RESULT_LIMIT }),
+    getItems: (data) => data?.events,
+    getTitle: (event) => event.name,
+    getSubtitle: (event) => joinParts(event.city, formatDate(event.startDate)),
+    getState: (event) => ({ openRecord: event }),
+  },
+  {
+    type: 'coupons',
+    label: 'Coupons',
+    icon: Tag,
+    path: '/coupons',
+    search: (query) => couponService.getAll({ search: query, limit: RESULT_LIMIT }),
+    getItems: (data) => data?.coupons,
+    getTitle: (coupon) => coupon.code,
+    getSubtitle: (coupon) => coupon.description,
+    getParams: (coupon) => ({ search: coupon.code }),
+  },
+  {
+    type: 'vouchers',
+    label: 'Vouchers',
+    icon: Gift,
+    path: '/vouchers',
+    search: (query) => voucherService.getAll({ search: query, limit: RESULT_LIMIT }),
+    getItems: (data) => data?.vouchers,
+    getTitle: (voucher) => voucher.title,
+    getSubtitle: (voucher) => voucher.code,
+    getState: (voucher) => ({ openRecord: voucher }),
+  },
+  {
+    type: 'memberships',
+    label: 'Memberships',
+    icon: Crown,
+    path: '/memberships',
+    // User memberships can only be looked up by phone
+    isApplicable: (query) => /^\+?\d{4,}$/.test(query.replace(/\s/g, '')),
+    search: (query) =>
+      membershipService.getUserMemberships({ phone: query.replace(/\s/g, ''), limit: RESULT_LIMIT }),
+    getItems: (data) => data?.memberships,
+    getTitle: (membership) => membership.phone,
+    getSubtitle: (membership) => joinParts(membership.membershipPlanId?.name, membership.status),
+    getParams: (membership) => ({ membershipPhone: membership.phone }),
+  },
+  {
+    type: 'sessions',
+    label: 'Sessions',
+    icon: Video,
+    path: '/sessions',
+    search: (query) => sessionService.getAll({ search: query, limit: RESULT_LIMIT }),
+    getItems: (data) => data?.sessions,
+    getTitle: (session) => session.title,
+    getSubtitle: (session) => session.host,
+    getState: (session) => ({ openRecord: session }),
+  },
+  {
+    type: 'service-orders',
+    label: 'Service Orders',
+    icon: CreditCard,
+    path: '/service-orders',
+    search: (query) => serviceOrderService.getAll({ search: query, limit: RESULT_LIMIT }),
+    getItems: (data) => data?.orders,
+    getTitle: (order) => order.orderId || order.customerName,
+    getSubtitle: (order) => joinParts(order.customerName, order.phone, order.status),
+    getState: (order) => ({ openRecord: order }),
+  },
+];
+
+/**
+ * GlobalSearch Component
+ * Command palette (Ctrl/Cmd + K) that searches across record types
+ * and opens the selected record on its page
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the palette is visible
+ * @param {Function} props.onClose - Callback when palette is closed
+ */
+function GlobalSearch({ isOpen, onClose }) {
+  const navigate = useNavigate();
+  const { canAccessRoute } = useAuth();
+  const inputRef = useRef(null);
+  const requestIdRef = useRef(0);
+
+  const [query, setQuery] = useState('');
+  const [groups, setGroups] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  // Only search record types the admin can open
+  const sources = useMemo(
+    () => SEARCH_SOURCES.filter((source) => canAccessRoute(source.path)),
+    [canAccessRoute]
+  );
+
+  const trimmedQuery = query.trim();
+
+  // Debounced search across all sources
+  useEffect(() => {
+    if (!isOpen || trimmedQuery.length < MIN_QUERY_LENGTH) return undefined;
+
+    const requestId = ++requestIdRef.current;
+    const timer = setTimeout(async () => {
+      setIsSearching(true);
+
+      const applicable = sources.filter(
+        (source) => !source.isApplicable || source.isApplicable(trimmedQuery)
+      );
+      const results = await Promise.all(
+        applicable.map(async (source) => {
+          const result = await source.search(trimmedQuery);
+          const items = result.success ? source.getItems(result.data) || [] : [];
+          return { source, items: items.slice(0, RESULT_LIMIT) };
+        })
+      );
+
+      // Ignore responses for an outdated query
+      if (requestId !== requestIdRef.current) return;
+
+      setGroups(results.filter((group) => group.items.length > 0));
+      setActiveIndex(0);
+      setIsSearching(false);
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [isOpen, trimmedQuery, sources]);
+
+  // Focus the input when opened
+  useEffect(() => {
+    if (isOpen) {
+      inputRef.current?.focus();
+    }
+  }, [isOpen]);
+
+  const visibleGroups = trimmedQuery.length >= MIN_QUERY_LENGTH ? groups : [];
+
+  // Flat list for keyboard navigation
+  const flatResults = visibleGroups.flatMap((group) =>
+    group.items.map((item) => ({ source: group.source, item }))
+  );
+
+  // Index of each group's first item within flatResults
+  const groupOffsets = visibleGroups.reduce(
+    (offsets, group, i) => [...offsets, i === 0 ? 0 : offsets[i - 1] + visibleGroups[i - 1].items.length],
+    []
+  );
+
+  const handleClose = () => {
+    requestIdRef.current++;
+    setQuery('');
+    setGroups([]);
+    setIsSearching(false);
+    setActiveIndex(0);
+    onClose();
+  };
+
+  const handleSelect = ({ source, item }) => {
+    if (source.getParams) {
+      navigate({ pathname: source.path, search: `?${new URLSearchParams(source.getParams(item))}` });
+    } else {
+      navigate(source.path, { state: source.getState(item) });
+    }
+    handleClose();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      handleClose();
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex((prev) => (flatResults.length ? (prev + 1) % flatResults.length : 0));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((prev) =>
+        flatResults.length ? (prev - 1 + flatResults.length) % flatResults.length : 0
+      );
+    } else if (e.key === 'Enter' && flatResults[activeIndex]) {
+      e.preventDefault();
+      handleSelect(flatResults[activeIndex]);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  // Portal out of the header, whose backdrop blur would otherwise contain the fixed overlay
+  return createPortal(
+    <div
+      className="fixed inset-0 z-50 flex items-start justify-center p-4 pt-[10vh] bg-black/50 backdrop-blur-sm"
+      onClick={(e) => e.target === e.currentTarget && handleClose()}
+    >
+      <div
+        className="w-full max-w-2xl bg-white rounded-xl shadow-xl overflow-hidden"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Global search"
+      >
+        {/* Search Input */}
+        <div className="flex items-center gap-3 px-4 py-3 border-b border-gray-200">
+          <Search className="h-5 w-5 text-gray-400 shrink-0" />
+          <input
+            ref={inputRef}
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="Search users, events, coupons, phone numbers..."
+            className="flex-1 outline-none text-sm sm:text-base placeholder:text-gray-400"
+          />
+          {isSearching && <Loader2 className="h-4 w-4 text-gray-400 animate-spin shrink-0" />}
+          <button
+            onClick={handleClose}
+            className="p-1 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+            aria-label="Close search"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        {/* Results */}
+        <div className="max-h-[60vh] overflow-y-auto custom-scrollbar">
+          {trimmedQuery.length < MIN_QUERY_LENGTH ? (
+            <p className="px-4 py-8 text-center text-sm text-gray-500">
+              Type at least {MIN_QUERY_LENGTH} characters to search
+            </p>
+          ) : visibleGroups.length === 0 ? (
+            <p className="px-4 py-8 text-center text-sm text-gray-500">
+              {isSearching ? 'Searching...' : `No results for "${trimmedQuery}"`}
+            </p>
+          ) : (
+            visibleGroups.map(({ source, items }, groupIndex) => (
+              <div key={source.type} className="py-2">
+                <p className="px-4 py-1 text-xs font-semibold text-gray-500 uppercase tracking-wide">
+                  {source.label}
+                </p>
+                <ul>
+                  {items.map((item, itemIndex) => {
+                    const index = groupOffsets[groupIndex] + itemIndex;
+                    const isActive = index === activeIndex;
+                    const subtitle = source.getSubtitle(item);
+                    return (
+                      <li key={item._id}>
+                        <button
+                          onClick={() => handleSelect({ source, item })}
+                          onMouseEnter={() => setActiveIndex(index)}
+                          className={`w-full flex items-center gap-3 px-4 py-2 text-left transition-colors ${
+                            isActive ? 'bg-gray-100' : 'hover:bg-gray-50'
+                          }`}
+                        >
+                          <source.icon className="h-4 w-4 text-gray-500 shrink-0" />
+                          <div className="flex-1 min-w-0">
+                            <p className="text-sm font-medium text-gray-900 truncate">
+                              {source.getTitle(item) || 'Untitled'}
+                            </p>
+                            {subtitle && <p className="text-xs text-gray-500 truncate">{subtitle}</p>}
+                          </div>
+                          {isActive && <CornerDownLeft className="h-4 w-4 text-gray-400 shrink-0" />}
+                        </button>
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            ))
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center gap-4 px-4 py-2 border-t border-gray-200 bg-gray-50 text-xs text-gray-500">
+          <span>↑↓ to navigate</span>
+          <span>Enter to open</span>
+          <span>Esc to close</span>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+}
+
+export default GlobalSearch;
@@ -1,5 +1,8 @@
-import { useState } from 'react';
-import { Search, X } from 'lucide-react';
+import { useState, useEffect } from 'react';
+import { Search } from 'lucide-react';
+import GlobalSearch from './GlobalSearch';
+import NotificationCenter from './NotificationCenter';
+import { formatDate } from '../utils/dates';
 
 /**
  * Header Component
@@ -8,7 +11,19 @@ import { Search, X } from 'lucide-react';
  */
 function Header({ toggleSidebar }) {
   const [searchOpen, setSearchOpen] = useState(false);
-  const [searchQuery, setSearchQuery] = useState('');
+
+  // Open global search with Ctrl/Cmd + K
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setSearchOpen(true);
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, []);
 
   return (
     <header className="bg-white/80 backdrop-blur-sm border-b border-gray-200 px-4 lg:px-6 py-3 lg:py-4 flex items-center justify-between flex-shrink-0 sticky top-0 z-30 shadow-sm">
@@ -32,72 +47,40 @@ function Header({ toggleSidebar }) {
             Welcome back
           </h1>
           <p className="text-xs text-gray-500">
-            {new Date().toLocaleDateString('en-US', {
-              weekday: 'long',
-              month: 'short',
-              day: 'numeric',
-            })}
+            {formatDate(new Date(), { weekday: 'long', month: 'short', day: 'numeric' })}
           </p>
         </div>
       </div>
 
       {/* Right Actions */}
       <div className="flex items-center gap-2">
-        {/* Search Bar - Desktop */}
-        <div className="relative hidden md:block">
+        {/* Search Trigger - Desktop */}
+        <button
+          onClick={() => setSearchOpen(true)}
+          className="relative hidden md:flex items-center pl-10 pr-3 py-2 w-64 lg:w-80 bg-gray-50 border border-gray-200 rounded-lg hover:border-gray-300 text-sm text-gray-400 transition-all"
+        >
           <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400 pointer-events-none" />
-          <input
-            type="text"
-            placeholder="Search anything..."
-            value={searchQuery}
-            onChange={(e) => setSearchQuery(e.target.value)}
-            className="pl-10 pr-4 py-2 w-64 lg:w-80 bg-gray-50 border border-gray-200 rounded-lg focus:border-gray-800 outline-none text-sm transition-all placeholder:text-gray-400"
-          />
-          {searchQuery && (
-            <button
-              onClick={() => setSearchQuery('')}
-              className="absolute right-3 top-1/2 -translate-y-1/2 p-0.5 hover:bg-gray-200 rounded"
-            >
-              <X className="h-3.5 w-3.5 text-gray-400" />
-            </button>
-          )}
-        </div>
+          <span className="flex-1 text-left">Search anything...</span>
+          <kbd className="px-1.5 py-0.5 text-[10px] font-semibold text-gray-500 bg-white border border-gray-200 rounded">
+            Ctrl K
+          </kbd>
+        </button>
 
         {/* Search Button - Mobile */}
         <button
-          onClick={() => setSearchOpen(!searchOpen)}
+          onClick={() => setSearchOpen(true)}
           className="md:hidden p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-all active:scale-95"
           aria-label="Search"
         >
           <Search className="h-5 w-5" />
         </button>
+
+        {/* Notifications */}
+        <NotificationCenter />
       </div>
 
-      {/* Mobile Search Overlay */}
-      {searchOpen && (
-        <div className="md:hidden fixed inset-x-0 top-[57px] bg-white border-b border-gray-200 p-4 shadow-lg z-40 animate-in slide-in-from-top">
-          <div className="relative">
-            <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
-            <input
-              type="text"
-              placeholder="Search anything..."
-              autoFocus
-              value={searchQuery}
-              onChange={(e) => setSearchQuery(e.target.value)}
-              className="w-full pl-10 pr-10 py-2.5 bg-gray-50 border border-gray-200 rounded-lg focus:border-gray-800 outline-none text-sm"
-            />
-            <button
-              onClick={() => {
-                setSearchOpen(false);
-                setSearchQuery('');
-              }}
-              className="absolute right-3 top-1/2 -translate-y-1/2 p-1 hover:bg-gray-200 rounded"
-            >
-              <X className="h-4 w-4 text-gray-400" />
-            </button>
-          </div>
-        </div>
-      )}
+      {/* Global Search Palette */}
+      <GlobalSearch isOpen={searchOpen} onClose={() => setSearchOpen(false)} />
     </header>
   );
 }
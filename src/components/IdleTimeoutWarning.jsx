@@ -0,0 +1,65 @@
+import { useNavigate, useLocation } from 'react-router-dom';
+import { Clock } from 'lucide-react';
+import Modal from './ui/Modal';
+import { useAuth } from '../contexts/AuthContext';
+import useIdleTimeout from '../hooks/useIdleTimeout';
+
+/**
+ * IdleTimeoutWarning Component
+ * Warns the admin before an idle logout and signs them out when the timeout elapses
+ */
+function IdleTimeoutWarning() {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { isAuthenticated, logout } = useAuth();
+
+  const handleLogout = async () => {
+    await logout();
+    navigate('/login', { replace: true, state: { from: location, reason: 'idle' } });
+  };
+
+  const { isWarning, remainingSeconds, stayActive } = useIdleTimeout({
+    onTimeout: handleLogout,
+    enabled: isAuthenticated,
+  });
+
+  const minutes = Math.floor(remainingSeconds / 60);
+  const seconds = String(remainingSeconds % 60).padStart(2, '0');
+
+  return (
+    <Modal
+      isOpen={isWarning}
+      onClose={stayActive}
+      title="Are you still there?"
+      size="sm"
+      showCloseButton={false}
+      closeOnOverlayClick={false}
+    >
+      <div className="flex flex-col items-center text-center">
+        <div className="w-12 h-12 rounded-full bg-yellow-100 text-yellow-600 flex items-center justify-center mb-4">
+          <Clock className="h-6 w-6" />
+        </div>
+        <p className="text-gray-600">You will be logged out due to inactivity in</p>
+        <p className="text-3xl font-semibold text-gray-900 tabular-nums my-3">
+          {minutes}:{seconds}
+        </p>
+        <div className="flex gap-3 w-full mt-3">
+          <button
+            onClick={handleLogout}
+            className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            Log Out
+          </button>
+          <button
+            onClick={stayActive}
+            className="flex-1 px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors"
+          >
+            Stay Signed In
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+export default IdleTimeoutWarning;
@@ -1,7 +1,10 @@
 import { useState, useEffect } from 'react';
-import { Outlet, useLocation } from 'react-router-dom';
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
 import Sidebar from './Sidebar';
 import Header from './Header';
+import IdleTimeoutWarning from './IdleTimeoutWarning';
+import DebugConsole from './DebugConsole';
+import { kioskStorage } from '../utils/storage';
 
 /**
  * Layout Component
@@ -62,6 +65,7 @@ function Layout() {
     '/settings': 'settings',
     '/clubs': 'clubs',
     '/scan-qr': 'scan-qr',
+    '/check-in-dashboard': 'check-in-dashboard',
     '/ticket-reshare': 'ticket-reshare',
     '/services': 'services',
     '/service-orders': 'service-orders',
@@ -73,6 +77,11 @@ function Layout() {
     return routeToMenuId[location.pathname] || 'dashboard';
   };
 
+  // A device locked to the kiosk stays there until the exit PIN is entered
+  if (kioskStorage.getKiosk()) {
+    return <Navigate to="/kiosk" replace />;
+  }
+
   return (
     <div className="h-screen bg-gradient-to-br from-gray-50 via-gray-50 to-blue-50/30 flex overflow-hidden">
       {/* Mobile Overlay with blur effect */}
@@ -102,6 +111,12 @@ function Layout() {
           </div>
         </main>
       </div>
+
+      {/* Idle auto-logout */}
+      <IdleTimeoutWarning />
+
+      {/* Hidden debug console (Ctrl/Cmd + Shift + L) */}
+      <DebugConsole />
     </div>
   );
 }
@@ -0,0 +1,76 @@
+import { useEffect, useId, useRef } from 'react';
+import { toast } from 'react-toastify';
+import useRealtime from '../hooks/useRealtime';
+
+/**
+ * Toast body with the running count and a button to load the new items
+ */
+function NewItemsToastContent({ count, itemLabel, onShow, closeToast }) {
+  return (
+    <div className="flex items-center justify-between gap-3">
+      <span className="text-sm text-gray-800">
+        {count} new {itemLabel}
+      </span>
+      <button
+        type="button"
+        onClick={() => {
+          onShow();
+          closeToast?.();
+        }}
+        className="px-3 py-1.5 text-sm font-medium text-white bg-gray-900 rounded-lg hover:bg-gray-800"
+      >
+        Show new items
+      </button>
+    </div>
+  );
+}
+
+/**
+ * NewItemsNotifier Component
+ * Listens for realtime events while a list is open and offers to load the new items,
+ * so the list the admin is reading doesn't shift under them
+ * @param {Object} props
+ * @param {string[]} props.events - REALTIME_EVENTS that mean new items for this list
+ * @param {string} props.itemLabel - Plural label, e.g. 'membership requests'
+ * @param {Function} props.onShow - Reload the list
+ * @param {Function} [props.filter] - (event) => boolean, to ignore events for other records
+ */
+function NewItemsNotifier({ events, itemLabel, onShow, filter }) {
+  const toastId = useId();
+  const countRef = useRef(0);
+
+  // The toast outlives renders, so it calls the latest onShow through a ref
+  const onShowRef = useRef(onShow);
+  useEffect(() => {
+    onShowRef.current = onShow;
+  });
+
+  useRealtime(events, (event) => {
+    if (filter && !filter(event)) return;
+    countRef.current += 1;
+
+    const render = (props) => (
+      <NewItemsToastContent count={countRef.current} itemLabel={itemLabel} onShow={() => onShowRef.current()} {...props} />
+    );
+
+    if (toast.isActive(toastId)) {
+      toast.update(toastId, { render });
+    } else {
+      toast.info(render, {
+        toastId,
+        autoClose: false,
+        closeOnClick: false,
+        onClose: () => {
+          countRef.current = 0;
+        },
+      });
+    }
+  });
+
+  // Leaving the page drops the offer
+  useEffect(() => () => toast.dismiss(toastId), [toastId]);
+
+  return null;
+}
+
+export default NewItemsNotifier;
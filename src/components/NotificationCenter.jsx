@@ -0,0 +1,305 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Bell,
+  Settings2,
+  ArrowLeft,
+  CheckCheck,
+  Loader2,
+  Crown,
+  Coffee,
+  Users,
+  UserPlus,
+  Wrench,
+  Briefcase,
+  MailWarning,
+} from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import useNotifications from '../hooks/useNotifications';
+import membershipRequestService from '../services/membershipRequest.service';
+import motivataBlendService from '../services/motivataBlend.service';
+import roundTableService from '../services/roundTable.service';
+import clubJoinRequestsService from '../services/club-join-requests.service';
+import serviceRequestService from '../services/serviceRequest.service';
+import jobsService from '../services/jobs.service';
+import { getCommunicationLogs } from '../services/analytics.service';
+import { REALTIME_EVENTS } from '../utils/realtime';
+import { formatDate } from '../utils/dates';
+
+// Items fetched per category
+const SOURCE_LIMIT = 10;
+
+const joinParts = (...parts) => parts.filter(Boolean).join(' · ');
+
+const formatTimeAgo = (value) => {
+  if (!value) return '';
+
+  const minutes = Math.floor((Date.now() - new Date(value)) / (1000 * 60));
+  if (minutes < 1) return 'Just now';
+  if (minutes < 60) return `${minutes}m ago`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+
+  const days = Math.floor(hours / 24);
+  if (days < 7) return `${days}d ago`;
+
+  return formatDate(value, { day: 'numeric', month: 'short' });
+};
+
+/**
+ * Notification categories
+ * Each lists what still needs an admin; `getState` builds the router state the target
+ * page reads via useLocationState ({ openRecord } opens the request's details)
+ */
+const NOTIFICATION_SOURCES = [
+  {
+    category: 'membershipRequests',
+    label: 'Membership requests',
+    icon: Crown,
+    path: '/membership-requests',
+    events: [REALTIME_EVENTS.MEMBERSHIP_REQUEST_CREATED, REALTIME_EVENTS.MEMBERSHIP_REQUEST_UPDATED],
+    fetch: () => membershipRequestService.getAll({ status: 'PENDING', limit: SOURCE_LIMIT }),
+    getItems: (data) => data?.requests,
+    getTitle: (request) => `Membership request from ${request.name || request.phone}`,
+    getSubtitle: (request) => joinParts(request.phone, request.requestedPlanId?.name),
+    getState: (request) => ({ openRecord: request }),
+  },
+  {
+    category: 'motivataBlendRequests',
+    label: 'Motivata Blend requests',
+    icon: Coffee,
+    path: '/motivata-blend-requests',
+    events: [REALTIME_EVENTS.MOTIVATA_BLEND_REQUEST_CREATED, REALTIME_EVENTS.MOTIVATA_BLEND_REQUEST_UPDATED],
+    fetch: () => motivataBlendService.getAll({ status: 'PENDING', limit: SOURCE_LIMIT }),
+    getItems: (data) => data?.requests,
+    getTitle: (request) => `Motivata Blend request from ${request.name || request.phone}`,
+    getSubtitle: (request) => joinParts(request.phone, request.email),
+    getState: (request) => ({ openRecord: request }),
+  },
+  {
+    category: 'roundTableRequests',
+    label: 'Round Table requests',
+    icon: Users,
+    path: '/round-table-requests',
+    events: [REALTIME_EVENTS.ROUND_TABLE_REQUEST_CREATED, REALTIME_EVENTS.ROUND_TABLE_REQUEST_UPDATED],
+    fetch: () => roundTableService.getAll({ status: 'PENDING', limit: SOURCE_LIMIT }),
+    getItems: (data) => data?.requests,
+    getTitle: (request) => `Round Table request from ${request.name || request.phone}`,
+    getSubtitle: (request) => joinParts(request.phone, request.email),
+    getState: (request) => ({ openRecord: request }),
+  },
+  {
+    category: 'clubJoinRequests',
+    label: 'Club join requests',
+    icon: UserPlus,
+    path: '/club-join-requests',
+    events: [REALTIME_EVENTS.CLUB_JOIN_REQUEST_CREATED, REALTIME_EVENTS.CLUB_JOIN_REQUEST_UPDATED],
+    fetch: () => clubJoinRequestsService.getAllJoinRequests({ status: 'PENDING', page: 1, limit: SOURCE_LIMIT }),
+    getItems: (data) => data?.requests,
+    getTitle: (request) => `${request.user?.name || request.name || 'Someone'} wants to join ${request.club?.name || 'a club'}`,
+    getSubtitle: (request) => request.user?.phone || request.phone,
+    getState: (request) => ({ openRecord: request }),
+  },
+  {
+    category: 'serviceRequests',
+    label: 'Service requests',
+    icon: Wrench,
+    path: '/service-requests',
+    events: [REALTIME_EVENTS.SERVICE_REQUEST_CREATED, REALTIME_EVENTS.SERVICE_REQUEST_UPDATED],
+    fetch: () => serviceRequestService.getAll({ status: 'PENDING', limit: SOURCE_LIMIT }),
+    getItems: (data) => data?.requests,
+    getTitle: (request) => `Service request from ${request.userName || request.name || request.phone}`,
+    getSubtitle: (request) => (request.services || []).map((service) => service.serviceName).join(', '),
+    getState: (request) => ({ openRecord: request }),
+  },
+  {
+    category: 'jobApplications',
+    label: 'Job applications',
+    icon: Briefcase,
+    path: '/job-applications',
+    fetch: () => jobsService.getAllApplications({ status: 'PENDING', limit: SOURCE_LIMIT }),
+    getItems: (data) => data?.applications,
+    getTitle: (application) => `${application.name} applied${application.job?.title ? ` for ${application.job.title}` : ''}`,
+    getSubtitle: (application) => joinParts(application.email, application.job?.company),
+    getState: (application) => ({ openRecord: application }),
+  },
+  {
+    category: 'failedCommunications',
+    label: 'Failed communications',
+    icon: MailWarning,
+    path: '/dashboard',
+    fetch: () => getCommunicationLogs({ status: 'FAILED', limit: SOURCE_LIMIT }),
+    getItems: (data) => data?.logs,
+    getTitle: (log) => `${log.type || 'Message'} to ${log.recipient || 'unknown recipient'} failed`,
+    getSubtitle: (log) => joinParts(log.category, log.errorMessage),
+    getState: () => null,
+  },
+];
+
+/**
+ * NotificationCenter Component
+ * Header bell with a dropdown of everything waiting on an admin - pending requests,
+ * new applications and failed communications - with read state and category preferences
+ */
+function NotificationCenter() {
+  const navigate = useNavigate();
+  const { canAccessRoute } = useAuth();
+  const [isOpen, setIsOpen] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const containerRef = useRef(null);
+
+  // Only categories whose page the admin can open
+  const sources = useMemo(
+    () => NOTIFICATION_SOURCES.filter((source) => canAccessRoute(source.path)),
+    [canAccessRoute]
+  );
+
+  const { entries, unreadCount, isLoading, hiddenCategories, markRead, markAllRead, toggleCategory } =
+    useNotifications(sources);
+
+  // Close on click outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+        setShowSettings(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const handleOpen = (entry) => {
+    markRead([entry.id]);
+    navigate(entry.source.path, { state: entry.source.getState(entry.item) });
+    setIsOpen(false);
+  };
+
+  if (sources.length === 0) return null;
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        onClick={() => setIsOpen((prev) => !prev)}
+        className="relative p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-all active:scale-95"
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+        aria-expanded={isOpen}
+      >
+        <Bell className="h-5 w-5" />
+        {unreadCount > 0 && (
+          <span className="absolute top-1 right-1 min-w-[18px] h-[18px] px-1 flex items-center justify-center text-[10px] font-bold text-white bg-red-500 rounded-full">
+            {unreadCount > 9 ? '9+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 sm:w-96 bg-white border border-gray-200 rounded-xl shadow-lg z-40 overflow-hidden">
+          {/* Panel Header */}
+          <div className="flex items-center justify-between gap-2 px-4 py-3 border-b border-gray-200">
+            {showSettings ? (
+              <button
+                onClick={() => setShowSettings(false)}
+                className="inline-flex items-center gap-2 text-sm font-semibold text-gray-900"
+              >
+                <ArrowLeft className="h-4 w-4" />
+                Notification settings
+              </button>
+            ) : (
+              <>
+                <h2 className="text-sm font-semibold text-gray-900">Notifications</h2>
+                <div className="flex items-center gap-1">
+                  <button
+                    onClick={markAllRead}
+                    disabled={unreadCount === 0}
+                    className="inline-flex items-center gap-1 px-2 py-1 text-xs text-gray-600 rounded-lg hover:bg-gray-100 disabled:opacity-40"
+                  >
+                    <CheckCheck className="h-3.5 w-3.5" />
+                    Mark all read
+                  </button>
+                  <button
+                    onClick={() => setShowSettings(true)}
+                    className="p-1 text-gray-500 rounded-lg hover:bg-gray-100"
+                    title="Notification settings"
+                  >
+                    <Settings2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+
+          {showSettings ? (
+            /* Category Preferences */
+            <div className="p-2">
+              <p className="px-2 py-1 text-xs text-gray-500">Choose what shows up in your notifications</p>
+              <ul className="space-y-0.5">
+                {sources.map((source) => (
+                  <li key={source.category}>
+                    <label className="flex items-center gap-3 px-2 py-2 rounded-lg text-sm text-gray-700 hover:bg-gray-50">
+                      <input
+                        type="checkbox"
+                        checked={!hiddenCategories.includes(source.category)}
+                        onChange={() => toggleCategory(source.category)}
+                        className="rounded border-gray-300"
+                      />
+                      <source.icon className="h-4 w-4 text-gray-500" />
+                      {source.label}
+                    </label>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ) : (
+            /* Entries */
+            <div className="max-h-[60vh] overflow-y-auto custom-scrollbar">
+              {isLoading ? (
+                <div className="flex items-center justify-center py-8">
+                  <Loader2 className="h-5 w-5 text-gray-400 animate-spin" />
+                </div>
+              ) : entries.length === 0 ? (
+                <p className="px-4 py-8 text-center text-sm text-gray-500">You're all caught up</p>
+              ) : (
+                <ul className="divide-y divide-gray-100">
+                  {entries.map((entry) => {
+                    const subtitle = entry.source.getSubtitle(entry.item);
+                    return (
+                      <li key={entry.id}>
+                        <button
+                          onClick={() => handleOpen(entry)}
+                          className={`w-full flex items-start gap-3 px-4 py-3 text-left transition-colors hover:bg-gray-50 ${
+                            entry.isRead ? '' : 'bg-blue-50/40'
+                          }`}
+                        >
+                          <entry.source.icon className="h-4 w-4 mt-0.5 text-gray-500 shrink-0" />
+                          <div className="flex-1 min-w-0">
+                            <p
+                              className={`text-sm truncate ${
+                                entry.isRead ? 'text-gray-600' : 'font-medium text-gray-900'
+                              }`}
+                            >
+                              {entry.source.getTitle(entry.item)}
+                            </p>
+                            {subtitle && <p className="text-xs text-gray-500 truncate">{subtitle}</p>}
+                            <p className="text-xs text-gray-400 mt-0.5">{formatTimeAgo(entry.createdAt)}</p>
+                          </div>
+                          {!entry.isRead && (
+                            <span className="h-2 w-2 mt-1.5 rounded-full bg-blue-500 shrink-0" aria-label="Unread" />
+                          )}
+                        </button>
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default NotificationCenter;
@@ -0,0 +1,52 @@
+import { useCallback, useEffect, useState } from 'react';
+import useRealtime from '../hooks/useRealtime';
+import logger from '../utils/logger';
+
+/**
+ * Badge showing a pending-request count
+ * Loads the count once, then reloads it whenever a realtime event says the queue changed
+ * @param {Object} props
+ * @param {Function} props.fetchCount - Service call resolving to { success, data: { count } }
+ * @param {string[]} props.events - REALTIME_EVENTS that change the count
+ * @param {string} props.label - Used in log messages
+ */
+function PendingCountBadge({ fetchCount, events, label }) {
+  const [count, setCount] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(false);
+
+  const loadCount = useCallback(async () => {
+    try {
+      const result = await fetchCount();
+      if (result.success) {
+        setCount(result.data.count || 0);
+        setError(false);
+      } else {
+        logger.warn(`Failed to fetch ${label} pending count:`, result.message);
+        setError(true);
+      }
+    } catch (err) {
+      logger.error(`Failed to fetch ${label} pending count:`, err);
+      setError(true);
+    } finally {
+      setLoading(false);
+    }
+  }, [fetchCount, label]);
+
+  useEffect(() => {
+    loadCount();
+  }, [loadCount]);
+
+  useRealtime(events, loadCount);
+
+  // Don't show badge if loading, error, or count is 0
+  if (loading || error || count === 0) return null;
+
+  return (
+    <span className="inline-flex items-center justify-center min-w-[20px] h-5 px-1.5 rounded-full bg-red-500 text-white text-xs font-bold shadow-sm">
+      {count > 99 ? '99+' : count}
+    </span>
+  );
+}
+
+export default PendingCountBadge;
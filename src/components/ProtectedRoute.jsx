@@ -1,5 +1,6 @@
 import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import logger from '../utils/logger';
 
 /**
  * Loading spinner component
@@ -67,7 +68,7 @@ const ProtectedRoute = ({
   const { isAuthenticated, isLoading, admin, hasRole, hasAccess } = useAuth();
   const location = useLocation();
 
-  console.log('[ProtectedRoute] Checking access:', {
+  logger.debug('[ProtectedRoute] Checking access:', {
     isAuthenticated,
     isLoading,
     path: location.pathname,
@@ -76,19 +77,19 @@ const ProtectedRoute = ({
 
   // Show loading while checking auth state
   if (isLoading) {
-    console.log('[ProtectedRoute] Loading auth state...');
+    logger.debug('[ProtectedRoute] Loading auth state...');
     return <LoadingSpinner />;
   }
 
   // Redirect to login if not authenticated
   if (!isAuthenticated) {
-    console.log('[ProtectedRoute] Not authenticated, redirecting to:', redirectTo);
+    logger.debug('[ProtectedRoute] Not authenticated, redirecting to:', redirectTo);
     return <Navigate to={redirectTo} state={{ from: location }} replace />;
   }
 
   // Check role-based access
   if (allowedRoles.length > 0 && !hasRole(allowedRoles)) {
-    console.log('[ProtectedRoute] Access denied - role mismatch:', {
+    logger.debug('[ProtectedRoute] Access denied - role mismatch:', {
       required: allowedRoles,
       actual: admin?.role,
     });
@@ -99,7 +100,7 @@ const ProtectedRoute = ({
   if (requiredAccess.length > 0) {
     const hasAllAccess = requiredAccess.every((permission) => hasAccess(permission));
     if (!hasAllAccess) {
-      console.log('[ProtectedRoute] Access denied - missing permissions:', {
+      logger.debug('[ProtectedRoute] Access denied - missing permissions:', {
         required: requiredAccess,
         actual: admin?.access,
       });
@@ -107,7 +108,7 @@ const ProtectedRoute = ({
     }
   }
 
-  console.log('[ProtectedRoute] Access granted');
+  logger.debug('[ProtectedRoute] Access granted');
   return children;
 };
 
@@ -119,7 +120,7 @@ export const PublicRoute = ({ children, redirectTo = '/dashboard' }) => {
   const { isAuthenticated, isLoading } = useAuth();
   const location = useLocation();
 
-  console.log('[PublicRoute] Checking:', { isAuthenticated, isLoading });
+  logger.debug('[PublicRoute] Checking:', { isAuthenticated, isLoading });
 
   if (isLoading) {
     return <LoadingSpinner />;
@@ -128,7 +129,7 @@ export const PublicRoute = ({ children, redirectTo = '/dashboard' }) => {
   if (isAuthenticated) {
     // Redirect to the page they tried to visit or dashboard
     const from = location.state?.from?.pathname || redirectTo;
-    console.log('[PublicRoute] Already authenticated, redirecting to:', from);
+    logger.debug('[PublicRoute] Already authenticated, redirecting to:', from);
     return <Navigate to={from} replace />;
   }
 
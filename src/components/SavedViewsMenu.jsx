@@ -0,0 +1,155 @@
+import { useEffect, useRef, useState } from 'react';
+import { Bookmark, ChevronDown, Loader2, Pin, PinOff, Plus, Trash2 } from 'lucide-react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import useSavedViews from '../hooks/useSavedViews';
+
+/**
+ * SavedViewsMenu Component
+ * Dropdown on list pages for saving the current filters (the query string) as a named view,
+ * reopening saved views and pinning them to the sidebar
+ */
+function SavedViewsMenu() {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { views, saveView, togglePin, deleteView } = useSavedViews(location.pathname);
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [name, setName] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const containerRef = useRef(null);
+
+  // Close on click outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const hasFilters = location.search.length > 1;
+
+  const handleOpen = (view) => {
+    navigate({ pathname: view.path, search: view.search });
+    setIsOpen(false);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+
+    setIsSaving(true);
+    const result = await saveView({ name: name.trim(), path: location.pathname, search: location.search });
+    setIsSaving(false);
+
+    if (result.success) {
+      toast.success('View saved');
+      setName('');
+    } else {
+      toast.error(result.fieldErrors?.name || result.error || 'Failed to save view');
+    }
+  };
+
+  const handleTogglePin = async (view) => {
+    const result = await togglePin(view);
+    if (!result.success) {
+      toast.error(result.error || 'Failed to update view');
+    }
+  };
+
+  const handleDelete = async (view) => {
+    const result = await deleteView(view._id);
+    if (!result.success) {
+      toast.error(result.error || 'Failed to delete view');
+    }
+  };
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        type="button"
+        onClick={() => setIsOpen((prev) => !prev)}
+        className="inline-flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+        aria-expanded={isOpen}
+      >
+        <Bookmark className="h-4 w-4" />
+        Views
+        <ChevronDown className="h-4 w-4" />
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 bg-white border border-gray-200 rounded-xl shadow-lg z-30">
+          <div className="max-h-72 overflow-y-auto p-2">
+            {views.length === 0 ? (
+              <p className="px-3 py-4 text-sm text-gray-500 text-center">No saved views for this page yet</p>
+            ) : (
+              <ul className="space-y-1">
+                {views.map((view) => {
+                  const isActive = view.search === location.search;
+                  return (
+                    <li key={view._id} className="flex items-center gap-1">
+                      <button
+                        type="button"
+                        onClick={() => handleOpen(view)}
+                        className={`flex-1 min-w-0 text-left px-3 py-2 rounded-lg text-sm truncate ${
+                          isActive ? 'bg-gray-900 text-white' : 'text-gray-700 hover:bg-gray-100'
+                        }`}
+                      >
+                        {view.name}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleTogglePin(view)}
+                        className="p-2 text-gray-500 hover:text-gray-900 hover:bg-gray-100 rounded-lg"
+                        title={view.isPinned ? 'Unpin from sidebar' : 'Pin to sidebar'}
+                      >
+                        {view.isPinned ? <PinOff className="h-4 w-4" /> : <Pin className="h-4 w-4" />}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleDelete(view)}
+                        className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-lg"
+                        title="Delete view"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+
+          <form onSubmit={handleSave} className="border-t border-gray-200 p-3 space-y-2">
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Name this view"
+                maxLength={60}
+                disabled={!hasFilters}
+                className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:border-gray-800 outline-none disabled:bg-gray-50"
+              />
+              <button
+                type="submit"
+                disabled={!hasFilters || !name.trim() || isSaving}
+                className="inline-flex items-center gap-1 px-3 py-2 bg-gray-900 text-white rounded-lg text-sm hover:bg-gray-800 disabled:opacity-60 disabled:cursor-not-allowed"
+              >
+                {isSaving ? <Loader2 className="h-4 w-4 animate-spin" /> : <Plus className="h-4 w-4" />}
+                Save
+              </button>
+            </div>
+            {!hasFilters && <p className="text-xs text-gray-500">Filter the list first to save it as a view.</p>}
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SavedViewsMenu;
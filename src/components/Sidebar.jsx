@@ -15,6 +15,7 @@ import {
   BarChart3,
   ImagePlay,
   ScanLine,
+  Activity,
   Share2,
   Crown,
   UsersRound,
@@ -34,6 +35,8 @@ import {
   CircleDot,
   Globe,
   Lightbulb,
+  History,
+  Bookmark,
 } from "lucide-react";
 import { Link, useNavigate, useLocation } from "react-router-dom";
 import { useAuth } from "../contexts/AuthContext";
@@ -42,6 +45,7 @@ import MotivataLogoSmall from "../assets/logo/logo2.png";
 import MembershipRequestBadge from "./MembershipRequestBadge";
 import MotivataBlendBadge from "./MotivataBlendBadge";
 import RoundTableBadge from "./RoundTableBadge";
+import useSavedViews from "../hooks/useSavedViews";
 
 /**
  * Sidebar Component
@@ -50,7 +54,8 @@ import RoundTableBadge from "./RoundTableBadge";
 function Sidebar({ collapsed, isOpen, onClose }) {
   const navigate = useNavigate();
   const location = useLocation();
-  const { logout, admin } = useAuth();
+  const { logout, admin, canAccessRoute } = useAuth();
+  const { pinnedViews } = useSavedViews();
   const [expandedSections, setExpandedSections] = useState({
     clubs: true,
     services: true,
@@ -306,6 +311,13 @@ function Sidebar({ collapsed, isOpen, onClose }) {
       path: "/scan-qr",
       type: "single",
     },
+    {
+      id: "check-in-dashboard",
+      label: "Check-in Dashboard",
+      icon: Activity,
+      path: "/check-in-dashboard",
+      type: "single",
+    },
     {
       id: "ticket-reshare",
       label: "Ticket Reshare",
@@ -320,6 +332,13 @@ function Sidebar({ collapsed, isOpen, onClose }) {
       path: "/motivata-blend-banner",
       type: "single",
     },
+    {
+      id: "audit-log",
+      label: "Audit Log",
+      icon: History,
+      path: "/audit-log",
+      type: "single",
+    },
     {
       id: "settings",
       label: "Settings",
@@ -329,6 +348,20 @@ function Sidebar({ collapsed, isOpen, onClose }) {
     },
   ];
 
+  // Hide items the admin can't open, and sections left with no children
+  const visibleMenu = menuStructure
+    .map((item) =>
+      item.type === "section"
+        ? { ...item, children: item.children.filter((child) => canAccessRoute(child.path)) }
+        : item
+    )
+    .filter((item) =>
+      item.type === "section" ? item.children.length > 0 : canAccessRoute(item.path)
+    );
+
+  // Pinned saved views, linking straight to the page with its filters
+  const visiblePinnedViews = pinnedViews.filter((view) => canAccessRoute(view.path));
+
   // Get display name or fallback
   const displayName = admin?.name || admin?.username || "Admin";
   const displayEmail = admin?.email || "admin@motivata.com";
@@ -504,15 +537,57 @@ function Sidebar({ collapsed, isOpen, onClose }) {
       {/* Navigation - Scrollable */}
       <nav className="flex-1 p-3 lg:p-4 overflow-y-auto overflow-x-hidden custom-scrollbar">
         <ul className="space-y-1">
-          {menuStructure.map((item) => renderMenuItem(item))}
+          {visibleMenu.map((item) => renderMenuItem(item))}
         </ul>
+
+        {visiblePinnedViews.length > 0 && (
+          <div className="mt-4 pt-4 border-t border-gray-200">
+            {!collapsed && (
+              <p className="px-3 mb-2 text-xs font-semibold text-gray-500 uppercase tracking-wide">
+                Saved Views
+              </p>
+            )}
+            <ul className="space-y-1">
+              {visiblePinnedViews.map((view) => {
+                const isActive =
+                  location.pathname === view.path && location.search === view.search;
+                return (
+                  <li key={view._id}>
+                    <Link
+                      to={{ pathname: view.path, search: view.search }}
+                      className={`
+                        w-full flex items-center gap-3 px-3 py-2 rounded-lg
+                        transition-all duration-200
+                        ${
+                          isActive
+                            ? "bg-gray-900 text-white shadow-md"
+                            : "text-gray-600 hover:bg-gray-100 hover:text-gray-900"
+                        }
+                        ${collapsed ? "lg:justify-center lg:px-2" : ""}
+                      `}
+                      title={collapsed ? view.name : ""}
+                    >
+                      <Bookmark className="h-4 w-4 shrink-0" />
+                      {!collapsed && (
+                        <span className="font-medium text-sm truncate flex-1">
+                          {view.name}
+                        </span>
+                      )}
+                    </Link>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        )}
       </nav>
 
       {/* Profile & Logout Section - Fixed at bottom */}
       <div className="border-t border-gray-200/80 shrink-0 bg-white/50 backdrop-blur-sm">
         {/* Profile Section */}
         <div className={`p-4 ${collapsed ? "lg:p-2" : ""}`}>
-          <div
+          <Link
+            to="/profile"
             className={`
               flex items-center gap-3 p-3 rounded-xl
               bg-gradient-to-br from-gray-50 to-gray-100/50
@@ -544,7 +619,7 @@ function Sidebar({ collapsed, isOpen, onClose }) {
                 </div>
               </div>
             )}
-          </div>
+          </Link>
         </div>
 
         {/* Logout Button */}
@@ -1,7 +1,9 @@
 import { useState, useEffect } from "react";
-import { Loader2, Eye, EyeOff } from "lucide-react";
+import { Loader2, Eye, EyeOff, Mail } from "lucide-react";
 import Modal from "../ui/Modal";
 import EventMultiSelect from "../ui/EventMultiSelect";
+import { ACCESS_OPTIONS } from "../../utils/permissions";
+import useFormErrors from "../../hooks/useFormErrors";
 
 // Role options matching backend enum
 const ROLE_OPTIONS = [
@@ -16,14 +18,6 @@ const STATUS_OPTIONS = [
   { value: "DEACTIVATED", label: "Inactive" },
 ];
 
-// Common access permissions
-const ACCESS_OPTIONS = [
-  { value: "events", label: "Events" },
-  { value: "enrollments", label: "Enrollments" },
-  { value: "payments", label: "Payments" },
-  { value: "users", label: "Users" },
-  { value: "coupons", label: "Coupons" },
-];
 
 /**
  * Extract event IDs from allowedEvents array
@@ -78,8 +72,10 @@ const validateForm = (data, isEdit = false) => {
       "Username can only contain letters, numbers, and underscores";
   }
 
-  // Email validation (optional, but validate format if provided)
-  if (data.email.trim() && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) {
+  // Email validation (required for create - the invite link goes there)
+  if (!isEdit && !data.email.trim()) {
+    errors.email = "Email is required to send the invite";
+  } else if (data.email.trim() && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) {
     errors.email = "Invalid email format";
   }
 
@@ -94,13 +90,9 @@ const validateForm = (data, isEdit = false) => {
     }
   }
 
-  // Password validation (only required for create)
-  if (!isEdit) {
-    if (!data.password) {
-      errors.password = "Password is required";
-    } else if (data.password.length < 8) {
-      errors.password = "Password must be at least 8 characters";
-    }
+  // Password validation (edit only - new admins set their own from the invite)
+  if (isEdit && data.password && data.password.length < 8) {
+    errors.password = "Password must be at least 8 characters";
   }
 
   // Max cash tickets validation (optional, but validate if provided)
@@ -125,7 +117,8 @@ const validateForm = (data, isEdit = false) => {
 
 /**
  * AdminForm Component
- * Handles both create and edit operations for admin
+ * Handles both invite (create) and edit operations for admin
+ * New admins get a one-time invite link by email and choose their own password
  * @param {Object} props
  * @param {boolean} props.isOpen - Whether the modal is visible
  * @param {Function} props.onClose - Callback when modal is closed
@@ -133,7 +126,7 @@ const validateForm = (data, isEdit = false) => {
  * @param {Object} props.admin - Admin data for editing (null for create)
  * @param {boolean} props.isLoading - Whether the form submission is in progress
  * @param {string} props.serverError - Server error message
- * @param {Array} props.validationErrors - Server validation errors
+ * @param {Object} props.fieldErrors - Server field errors { [field]: message }
  */
 function AdminForm({
   isOpen,
@@ -142,11 +135,13 @@ function AdminForm({
   admin = null,
   isLoading = false,
   serverError = null,
-  validationErrors = null,
+  fieldErrors = null,
 }) {
   const isEdit = !!admin;
+  // Password and status are theirs to set when they accept the invite
+  const isInvitePending = admin?.status === "INVITED";
   const [formData, setFormData] = useState(getInitialFormState(admin));
-  const [errors, setErrors] = useState({});
+  const { formRef, errors, setErrors, showErrors, clearFieldError } = useFormErrors(fieldErrors);
   const [showPassword, setShowPassword] = useState(false);
 
   // Reset form when admin changes or modal opens/closes
@@ -155,20 +150,7 @@ function AdminForm({
       setFormData(getInitialFormState(admin));
       setErrors({});
     }
-  }, [isOpen, admin]);
-
-  // Map server validation errors to form fields
-  useEffect(() => {
-    if (validationErrors && Array.isArray(validationErrors)) {
-      const serverErrors = {};
-      validationErrors.forEach((err) => {
-        if (err.field) {
-          serverErrors[err.field] = err.message;
-        }
-      });
-      setErrors((prev) => ({ ...prev, ...serverErrors }));
-    }
-  }, [validationErrors]);
+  }, [isOpen, admin, setErrors]);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -185,9 +167,7 @@ function AdminForm({
       return newData;
     });
     // Clear error when user starts typing
-    if (errors[name]) {
-      setErrors((prev) => ({ ...prev, [name]: null }));
-    }
+    clearFieldError(name);
   };
 
   // Check if allowed events should be shown (not for SUPER_ADMIN)
@@ -218,7 +198,7 @@ function AdminForm({
     // Validate form
     const validation = validateForm(formData, isEdit);
     if (!validation.isValid) {
-      setErrors(validation.errors);
+      showErrors(validation.errors);
       return;
     }
 
@@ -228,13 +208,13 @@ function AdminForm({
     // Clean phone number
     submitData.phone = submitData.phone.replace(/[^0-9]/g, "");
 
-    // Remove password field if edit and empty
-    if (isEdit && !submitData.password) {
+    // Remove password field unless a new one was entered on edit
+    if (!isEdit || !submitData.password) {
       delete submitData.password;
     }
 
-    // Remove status from create (backend uses default)
-    if (!isEdit) {
+    // Remove status from create and pending invites (backend manages it)
+    if (!isEdit || isInvitePending) {
       delete submitData.status;
     }
 
@@ -265,11 +245,11 @@ function AdminForm({
     <Modal
       isOpen={isOpen}
       onClose={handleClose}
-      title={isEdit ? "Edit Admin" : "Create New Admin"}
+      title={isEdit ? "Edit Admin" : "Invite New Admin"}
       size="xl"
       closeOnOverlayClick={!isLoading}
     >
-      <form onSubmit={handleSubmit}>
+      <form ref={formRef} onSubmit={handleSubmit}>
         {/* Server Error */}
         {serverError && (
           <div className="mb-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
@@ -278,6 +258,26 @@ function AdminForm({
         )}
 
         <div className="space-y-4">
+          {/* Invite notice (create only) */}
+          {!isEdit && (
+            <div className="p-3 bg-blue-50 border border-blue-200 rounded-lg flex items-start gap-2">
+              <Mail className="h-4 w-4 text-blue-600 mt-0.5 shrink-0" />
+              <p className="text-sm text-gray-900">
+                We'll email them a one-time link to set their own password.
+                You'll also get a copy of the link in case the email doesn't arrive.
+              </p>
+            </div>
+          )}
+
+          {isInvitePending && (
+            <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+              <p className="text-sm text-yellow-800">
+                This admin hasn't accepted their invite yet. Use "Resend invite" in
+                the list if their link expired.
+              </p>
+            </div>
+          )}
+
           {/* Two column grid for basic fields on larger screens */}
           <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
             {/* Name */}
@@ -341,7 +341,11 @@ function AdminForm({
                 className="block text-sm font-medium text-gray-700 mb-1"
               >
                 Email{" "}
-                <span className="text-gray-400 text-xs ml-1">(optional)</span>
+                {isEdit ? (
+                  <span className="text-gray-400 text-xs ml-1">(optional)</span>
+                ) : (
+                  <span className="text-red-500">*</span>
+                )}
               </label>
               <input
                 type="email"
@@ -390,52 +394,50 @@ function AdminForm({
               )}
             </div>
 
-            {/* Password */}
-            <div>
-              <label
-                htmlFor="password"
-                className="block text-sm font-medium text-gray-700 mb-1"
-              >
-                Password {!isEdit && <span className="text-red-500">*</span>}
-                {isEdit && (
+            {/* Password (edit only - new admins choose theirs from the invite) */}
+            {isEdit && !isInvitePending && (
+              <div>
+                <label
+                  htmlFor="password"
+                  className="block text-sm font-medium text-gray-700 mb-1"
+                >
+                  Password
                   <span className="text-gray-400 text-xs ml-1">
                     (leave empty to keep current)
                   </span>
+                </label>
+                <div className="relative">
+                  <input
+                    type={showPassword ? "text" : "password"}
+                    id="password"
+                    name="password"
+                    value={formData.password}
+                    onChange={handleChange}
+                    disabled={isLoading}
+                    className={`w-full px-3 py-2 pr-10 border rounded-lg focus:border-gray-800 outline-none disabled:bg-gray-100 text-sm sm:text-base ${
+                      errors.password ? "border-red-500" : "border-gray-300"
+                    }`}
+                    placeholder="New password (optional)"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setShowPassword(!showPassword)}
+                    className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-400 hover:text-gray-600"
+                  >
+                    {showPassword ? (
+                      <EyeOff className="h-4 w-4 sm:h-5 sm:w-5" />
+                    ) : (
+                      <Eye className="h-4 w-4 sm:h-5 sm:w-5" />
+                    )}
+                  </button>
+                </div>
+                {errors.password && (
+                  <p className="mt-1 text-xs sm:text-sm text-red-500">
+                    {errors.password}
+                  </p>
                 )}
-              </label>
-              <div className="relative">
-                <input
-                  type={showPassword ? "text" : "password"}
-                  id="password"
-                  name="password"
-                  value={formData.password}
-                  onChange={handleChange}
-                  disabled={isLoading}
-                  className={`w-full px-3 py-2 pr-10 border rounded-lg focus:border-gray-800 outline-none disabled:bg-gray-100 text-sm sm:text-base ${
-                    errors.password ? "border-red-500" : "border-gray-300"
-                  }`}
-                  placeholder={
-                    isEdit ? "New password (optional)" : "Enter password"
-                  }
-                />
-                <button
-                  type="button"
-                  onClick={() => setShowPassword(!showPassword)}
-                  className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-400 hover:text-gray-600"
-                >
-                  {showPassword ? (
-                    <EyeOff className="h-4 w-4 sm:h-5 sm:w-5" />
-                  ) : (
-                    <Eye className="h-4 w-4 sm:h-5 sm:w-5" />
-                  )}
-                </button>
               </div>
-              {errors.password && (
-                <p className="mt-1 text-xs sm:text-sm text-red-500">
-                  {errors.password}
-                </p>
-              )}
-            </div>
+            )}
 
             {/* Role */}
             <div>
@@ -461,8 +463,8 @@ function AdminForm({
               </select>
             </div>
 
-            {/* Status (only for edit) */}
-            {isEdit && (
+            {/* Status (only for edit, once the invite is accepted) */}
+            {isEdit && !isInvitePending && (
               <div>
                 <label
                   htmlFor="status"
@@ -531,6 +533,9 @@ function AdminForm({
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
               Access Permissions
+              <span className="text-gray-400 text-xs ml-2 font-normal">
+                (Pages Management Staff can open)
+              </span>
             </label>
             <div className="flex flex-wrap gap-2">
               {ACCESS_OPTIONS.map((option) => (
@@ -599,7 +604,7 @@ function AdminForm({
             className="flex-1 px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors disabled:opacity-50 flex items-center justify-center gap-2"
           >
             {isLoading && <Loader2 className="h-4 w-4 animate-spin" />}
-            {isEdit ? "Update Admin" : "Create Admin"}
+            {isEdit ? "Update Admin" : "Send Invite"}
           </button>
         </div>
       </form>
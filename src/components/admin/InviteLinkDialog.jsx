@@ -0,0 +1,90 @@
+import { useState } from 'react';
+import { Copy, Check, Mail } from 'lucide-react';
+import Modal from '../ui/Modal';
+import logger from '../../utils/logger';
+import { formatDate as formatOrgDate } from '../../utils/dates';
+
+/**
+ * Format date for display
+ * @param {string} dateString - ISO date string
+ * @returns {string} Formatted date
+ */
+const formatDate = (dateString) =>
+  formatOrgDate(dateString, { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' }, '');
+
+/**
+ * InviteLinkDialog Component
+ * Confirms an admin invite was sent and offers the one-time link as a fallback
+ * @param {Object} props
+ * @param {Object|null} props.invite - { admin, inviteUrl, expiresAt } (null hides the dialog)
+ * @param {Function} props.onClose - Close callback
+ */
+function InviteLinkDialog({ invite, onClose }) {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(invite.inviteUrl);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      logger.error('[InviteLinkDialog] Failed to copy:', err);
+    }
+  };
+
+  return (
+    <Modal isOpen={!!invite} onClose={onClose} title="Invite Sent" size="md">
+      {invite && (
+        <div className="space-y-4">
+          <div className="flex items-start gap-3">
+            <div className="w-10 h-10 bg-green-100 rounded-full flex items-center justify-center shrink-0">
+              <Mail className="h-5 w-5 text-green-600" />
+            </div>
+            <p className="text-sm text-gray-700">
+              We've emailed <span className="font-medium text-gray-900">{invite.admin?.email}</span> a
+              link to set a password for <span className="font-medium text-gray-900">@{invite.admin?.username}</span>.
+              {invite.expiresAt && <> It works once and expires {formatDate(invite.expiresAt)}.</>}
+            </p>
+          </div>
+
+          {invite.inviteUrl && (
+            <div>
+              <p className="text-xs text-gray-500 mb-1">
+                If the email doesn't arrive, share this link with them directly:
+              </p>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  readOnly
+                  value={invite.inviteUrl}
+                  onFocus={(e) => e.target.select()}
+                  className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg bg-gray-50 text-sm font-mono text-gray-700"
+                />
+                <button
+                  type="button"
+                  onClick={handleCopy}
+                  className="px-3 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors flex items-center gap-2 text-sm shrink-0"
+                >
+                  {copied ? <Check className="h-4 w-4 text-green-600" /> : <Copy className="h-4 w-4" />}
+                  {copied ? 'Copied' : 'Copy'}
+                </button>
+              </div>
+            </div>
+          )}
+
+          <div className="flex justify-end pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors"
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+}
+
+export default InviteLinkDialog;
@@ -0,0 +1,97 @@
+import { useState, useEffect } from 'react';
+import { ShieldCheck, Loader2 } from 'lucide-react';
+import twoFactorService from '../../services/twoFactor.service';
+
+const POLICY_ROLES = [
+  { value: 'SUPER_ADMIN', label: 'Super Admin' },
+  { value: 'ADMIN', label: 'Admin' },
+  { value: 'MANAGEMENT_STAFF', label: 'Management Staff' },
+];
+
+/**
+ * TwoFactorPolicy Component
+ * Lets a super admin choose which roles must use two-factor authentication.
+ * Admins in a required role without 2FA are asked to enroll on their next login.
+ */
+function TwoFactorPolicy() {
+  const [requiredRoles, setRequiredRoles] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [savingRole, setSavingRole] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let isCancelled = false;
+
+    const fetchPolicy = async () => {
+      const result = await twoFactorService.getPolicy();
+      if (isCancelled) return;
+
+      if (result.success) {
+        setRequiredRoles(result.data.policy?.requiredRoles || []);
+      } else {
+        setError(result.message || 'Failed to load 2FA policy');
+      }
+      setIsLoading(false);
+    };
+
+    fetchPolicy();
+    return () => {
+      isCancelled = true;
+    };
+  }, []);
+
+  const handleToggleRole = async (role) => {
+    const nextRoles = requiredRoles.includes(role)
+      ? requiredRoles.filter((r) => r !== role)
+      : [...requiredRoles, role];
+
+    setSavingRole(role);
+    setError(null);
+    const result = await twoFactorService.updatePolicy(nextRoles);
+    setSavingRole(null);
+
+    if (result.success) {
+      setRequiredRoles(result.data.policy?.requiredRoles || nextRoles);
+    } else {
+      setError(result.message || 'Failed to update 2FA policy');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-3 sm:p-4 mb-4 sm:mb-6">
+      <div className="flex flex-col lg:flex-row lg:items-center gap-3 lg:gap-6">
+        <div className="flex items-center gap-2 shrink-0">
+          <ShieldCheck className="h-5 w-5 text-gray-600" />
+          <div>
+            <p className="text-sm font-medium text-gray-900">Require two-factor authentication</p>
+            <p className="text-xs text-gray-500">Selected roles must enroll on their next login</p>
+          </div>
+        </div>
+
+        {isLoading ? (
+          <Loader2 className="h-4 w-4 animate-spin text-gray-400" />
+        ) : (
+          <div className="flex flex-wrap items-center gap-x-5 gap-y-2">
+            {POLICY_ROLES.map((role) => (
+              <label key={role.value} className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={requiredRoles.includes(role.value)}
+                  onChange={() => handleToggleRole(role.value)}
+                  disabled={savingRole !== null}
+                  className="h-4 w-4 rounded border-gray-300 text-gray-800 focus:ring-gray-800"
+                />
+                {role.label}
+                {savingRole === role.value && <Loader2 className="h-3 w-3 animate-spin text-gray-400" />}
+              </label>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {error && <p className="text-xs text-red-600 mt-2">{error}</p>}
+    </div>
+  );
+}
+
+export default TwoFactorPolicy;
@@ -1,13 +1,5 @@
 import { motion } from 'framer-motion';
-
-const TIME_RANGES = [
-  { value: 'lifetime', label: 'All Time', icon: '∞' },
-  { value: 'last12Months', label: '12 Months', icon: '12M' },
-  { value: 'last6Months', label: '6 Months', icon: '6M' },
-  { value: 'last3Months', label: '3 Months', icon: '3M' },
-  { value: 'lastMonth', label: 'Last Month', icon: '1M' },
-  { value: 'thisMonth', label: 'This Month', icon: 'TM' },
-];
+import { TIME_RANGES } from '../../utils/timeRanges';
 
 /**
  * TimeRangeSelector component for switching between time periods
@@ -0,0 +1,84 @@
+import { formatDateTime } from '../../utils/dates';
+// Bookkeeping fields that change on every write and only add noise to a diff
+const IGNORED_FIELDS = ['_id', '__v', 'updatedAt'];
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+
+/**
+ * Format a value for display in the diff
+ * @param {any} value - Field value
+ * @returns {string} Display text
+ */
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'string' && ISO_DATE_PATTERN.test(value)) {
+    return formatDateTime(value);
+  }
+  if (typeof value === 'object') return JSON.stringify(value, null, 2);
+  return String(value);
+};
+
+/**
+ * Fields that differ between two snapshots
+ * @param {Object|null} before - Record before the action
+ * @param {Object|null} after - Record after the action
+ * @returns {Array<{field: string, before: any, after: any}>}
+ */
+const getChangedFields = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  return [...fields]
+    .filter((field) => !IGNORED_FIELDS.includes(field))
+    .filter((field) => JSON.stringify(before?.[field]) !== JSON.stringify(after?.[field]))
+    .sort()
+    .map((field) => ({ field, before: before?.[field], after: after?.[field] }));
+};
+
+/**
+ * AuditDiff Component
+ * Field-by-field comparison of a record before and after an admin action
+ * @param {Object} props
+ * @param {Object|null} props.before - Snapshot before the action (null for creates)
+ * @param {Object|null} props.after - Snapshot after the action (null for permanent deletes)
+ */
+function AuditDiff({ before, after }) {
+  const changes = getChangedFields(before, after);
+
+  if (changes.length === 0) {
+    return <p className="text-xs text-gray-500 italic">No field changes recorded</p>;
+  }
+
+  return (
+    <div className="overflow-x-auto rounded-lg border border-gray-200">
+      <table className="min-w-full text-xs">
+        <thead className="bg-gray-50 text-gray-500">
+          <tr>
+            <th className="px-3 py-2 text-left font-medium">Field</th>
+            <th className="px-3 py-2 text-left font-medium">Before</th>
+            <th className="px-3 py-2 text-left font-medium">After</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          {changes.map((change) => (
+            <tr key={change.field} className="align-top">
+              <td className="px-3 py-2 font-mono text-gray-700 whitespace-nowrap">{change.field}</td>
+              <td className="px-3 py-2">
+                <pre className="whitespace-pre-wrap break-all font-sans text-red-700 bg-red-50 rounded px-1.5 py-0.5">
+                  {formatValue(change.before)}
+                </pre>
+              </td>
+              <td className="px-3 py-2">
+                <pre className="whitespace-pre-wrap break-all font-sans text-green-700 bg-green-50 rounded px-1.5 py-0.5">
+                  {formatValue(change.after)}
+                </pre>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default AuditDiff;
@@ -0,0 +1,89 @@
+import { useState } from 'react';
+import { ChevronDown, ChevronRight, User } from 'lucide-react';
+import Badge from '../ui/Badge';
+import AuditDiff from './AuditDiff';
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES } from '../../hooks/useAuditLogs';
+import { formatDateTime } from '../../utils/dates';
+
+const ACTION_VARIANTS = {
+  CREATE: 'success',
+  UPDATE: 'primary',
+  DELETE: 'danger',
+  RESTORE: 'success',
+  PERMANENT_DELETE: 'danger',
+  APPROVE: 'success',
+  REJECT: 'danger',
+  ENABLE: 'success',
+  DISABLE: 'warning',
+  EXTEND: 'info',
+  CANCEL: 'danger',
+};
+
+/**
+ * Format date for display
+ * @param {string} dateString - ISO date string
+ * @returns {string} Formatted date
+ */
+const formatDate = (dateString) => formatDateTime(dateString, '-');
+
+const getActionLabel = (action) =>
+  AUDIT_ACTIONS.find((option) => option.value === action)?.label || action;
+
+const getEntityLabel = (entityType) =>
+  AUDIT_ENTITY_TYPES.find((option) => option.value === entityType)?.label || entityType;
+
+/**
+ * AuditLogEntry Component
+ * One admin action with an expandable before/after diff
+ * @param {Object} props
+ * @param {Object} props.log - Audit log entry
+ * @param {boolean} props.showEntity - Show which record was affected (off inside a record's own History tab)
+ */
+function AuditLogEntry({ log, showEntity = true }) {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const adminName = log.admin?.name || log.admin?.username || 'Unknown admin';
+
+  return (
+    <div className="border border-gray-200 rounded-lg bg-white">
+      <button
+        type="button"
+        onClick={() => setIsExpanded((prev) => !prev)}
+        className="w-full flex items-start gap-3 p-3 text-left hover:bg-gray-50 rounded-lg transition-colors"
+      >
+        {isExpanded ? (
+          <ChevronDown className="h-4 w-4 text-gray-400 mt-0.5 shrink-0" />
+        ) : (
+          <ChevronRight className="h-4 w-4 text-gray-400 mt-0.5 shrink-0" />
+        )}
+        <div className="flex-1 min-w-0">
+          <div className="flex flex-wrap items-center gap-2">
+            <Badge variant={ACTION_VARIANTS[log.action] || 'default'} size="xs">
+              {getActionLabel(log.action)}
+            </Badge>
+            {showEntity && (
+              <span className="text-sm font-medium text-gray-900 truncate">
+                {getEntityLabel(log.entityType)}
+                {log.entityName && <span className="text-gray-600 font-normal"> · {log.entityName}</span>}
+              </span>
+            )}
+          </div>
+          <div className="flex flex-wrap items-center gap-x-3 gap-y-1 mt-1 text-xs text-gray-500">
+            <span className="flex items-center gap-1">
+              <User className="h-3 w-3" />
+              {adminName}
+            </span>
+            <span>{formatDate(log.createdAt)}</span>
+          </div>
+        </div>
+      </button>
+
+      {isExpanded && (
+        <div className="px-3 pb-3">
+          <AuditDiff before={log.before} after={log.after} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AuditLogEntry;
@@ -0,0 +1,130 @@
+import { useState, useEffect } from 'react';
+import { RotateCcw } from 'lucide-react';
+import { AUDIT_ENTITY_TYPES, AUDIT_ACTIONS } from '../../hooks/useAuditLogs';
+import adminService from '../../services/admin.service';
+import logger from '../../utils/logger';
+
+/**
+ * AuditLogFilters Component
+ * Admin, entity type, action and date range filters for the audit log
+ */
+function AuditLogFilters({ filters, onFilterChange, onReset, disabled = false }) {
+  const [admins, setAdmins] = useState([]);
+
+  // Fetch admins for dropdown
+  useEffect(() => {
+    const fetchAdmins = async () => {
+      try {
+        const result = await adminService.getAll({ limit: 100 });
+        if (result.success) {
+          setAdmins(result.data.admins || []);
+        }
+      } catch (err) {
+        logger.error('Failed to fetch admins:', err);
+      }
+    };
+    fetchAdmins();
+  }, []);
+
+  const handleFilterChange = (key, value) => {
+    onFilterChange({ [key]: value });
+  };
+
+  const hasActiveFilters =
+    filters.adminId ||
+    filters.entityType ||
+    filters.action ||
+    filters.startDate ||
+    filters.endDate;
+
+  const selectClassName =
+    'px-4 py-2 border border-gray-300 rounded-lg focus:border-gray-800 outline-none bg-white disabled:bg-gray-100';
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-4">
+      <div className="flex flex-wrap items-center gap-3">
+        {/* Admin Filter */}
+        <select
+          value={filters.adminId}
+          onChange={(e) => handleFilterChange('adminId', e.target.value)}
+          disabled={disabled}
+          className={selectClassName}
+        >
+          <option value="">All Admins</option>
+          {admins.map((admin) => (
+            <option key={admin._id} value={admin._id}>
+              {admin.name || admin.username}
+            </option>
+          ))}
+        </select>
+
+        {/* Entity Type Filter */}
+        <select
+          value={filters.entityType}
+          onChange={(e) => handleFilterChange('entityType', e.target.value)}
+          disabled={disabled}
+          className={selectClassName}
+        >
+          <option value="">All Records</option>
+          {AUDIT_ENTITY_TYPES.map((type) => (
+            <option key={type.value} value={type.value}>
+              {type.label}
+            </option>
+          ))}
+        </select>
+
+        {/* Action Filter */}
+        <select
+          value={filters.action}
+          onChange={(e) => handleFilterChange('action', e.target.value)}
+          disabled={disabled}
+          className={selectClassName}
+        >
+          <option value="">All Actions</option>
+          {AUDIT_ACTIONS.map((action) => (
+            <option key={action.value} value={action.value}>
+              {action.label}
+            </option>
+          ))}
+        </select>
+
+        {/* Date Range */}
+        <div className="flex items-center gap-2">
+          <input
+            type="date"
+            value={filters.startDate}
+            max={filters.endDate || undefined}
+            onChange={(e) => handleFilterChange('startDate', e.target.value)}
+            disabled={disabled}
+            aria-label="From date"
+            className={selectClassName}
+          />
+          <span className="text-sm text-gray-500">to</span>
+          <input
+            type="date"
+            value={filters.endDate}
+            min={filters.startDate || undefined}
+            onChange={(e) => handleFilterChange('endDate', e.target.value)}
+            disabled={disabled}
+            aria-label="To date"
+            className={selectClassName}
+          />
+        </div>
+
+        {/* Reset Filters */}
+        {hasActiveFilters && (
+          <button
+            onClick={onReset}
+            disabled={disabled}
+            className="flex items-center gap-2 px-4 py-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors disabled:opacity-50"
+          >
+            <RotateCcw className="h-4 w-4" />
+            Reset
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AuditLogFilters;
@@ -0,0 +1,62 @@
+import { Loader2, History, AlertCircle } from 'lucide-react';
+import useQuery from '../../hooks/useQuery';
+import auditLogService from '../../services/auditLog.service';
+import AuditLogEntry from './AuditLogEntry';
+
+// A record's own history is short - one page covers it
+const HISTORY_LIMIT = 50;
+
+/**
+ * EntityHistory Component
+ * Audit trail of a single record, newest first
+ * @param {Object} props
+ * @param {string} props.entityType - Audit entity type, e.g. 'USER'
+ * @param {string} props.entityId - Record ID
+ */
+function EntityHistory({ entityType, entityId }) {
+  const historyQuery = useQuery(
+    ['auditLogs', 'entity', entityType, entityId],
+    () => auditLogService.getEntityHistory(entityType, entityId, { limit: HISTORY_LIMIT }),
+    // Always revalidate - the record may have just been changed from the page behind the modal
+    { enabled: !!entityId, staleTime: 0 }
+  );
+
+  const logs = historyQuery.data?.logs || [];
+
+  if (historyQuery.isLoading) {
+    return (
+      <div className="py-12 flex flex-col items-center justify-center">
+        <Loader2 className="h-8 w-8 text-gray-800 animate-spin" />
+        <p className="mt-2 text-sm text-gray-500">Loading history...</p>
+      </div>
+    );
+  }
+
+  if (historyQuery.error && logs.length === 0) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-lg p-3 flex items-center gap-2 text-red-700">
+        <AlertCircle className="h-4 w-4 shrink-0" />
+        <p className="text-sm">{historyQuery.error}</p>
+      </div>
+    );
+  }
+
+  if (logs.length === 0) {
+    return (
+      <div className="bg-gray-50 rounded-lg p-6 text-center">
+        <History className="h-8 w-8 text-gray-300 mx-auto mb-2" />
+        <p className="text-sm text-gray-500">No admin actions recorded for this record</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-2 max-h-[60vh] overflow-y-auto">
+      {logs.map((log) => (
+        <AuditLogEntry key={log._id} log={log} showEntity={false} />
+      ))}
+    </div>
+  );
+}
+
+export default EntityHistory;
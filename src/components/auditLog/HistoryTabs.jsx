@@ -0,0 +1,51 @@
+import { useState } from 'react';
+import { FileText, History } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import EntityHistory from './EntityHistory';
+
+const TABS = [
+  { id: 'details', label: 'Details', icon: FileText },
+  { id: 'history', label: 'History', icon: History },
+];
+
+/**
+ * HistoryTabs Component
+ * Adds a History tab next to a details modal's content.
+ * Admins who can't open the audit log just see the details.
+ * @param {Object} props
+ * @param {string} props.entityType - Audit entity type, e.g. 'VOUCHER'
+ * @param {string} props.entityId - Record ID
+ * @param {React.ReactNode} props.children - Details tab content
+ */
+function HistoryTabs({ entityType, entityId, children }) {
+  const { canAccessRoute } = useAuth();
+  const [activeTab, setActiveTab] = useState('details');
+
+  if (!entityId || !canAccessRoute('/audit-log')) return children;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex gap-1 border-b border-gray-200">
+        {TABS.map((tab) => (
+          <button
+            key={tab.id}
+            type="button"
+            onClick={() => setActiveTab(tab.id)}
+            className={`flex items-center gap-1.5 px-3 py-2 text-sm font-medium border-b-2 -mb-px transition-colors ${
+              activeTab === tab.id
+                ? 'border-gray-900 text-gray-900'
+                : 'border-transparent text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            <tab.icon className="h-4 w-4" />
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {activeTab === 'details' ? children : <EntityHistory entityType={entityType} entityId={entityId} />}
+    </div>
+  );
+}
+
+export default HistoryTabs;
@@ -0,0 +1,26 @@
+import MotivataLogo from '../../assets/logo/Motivata.png';
+
+/**
+ * AuthLayout Component
+ * Centered logo-and-card shell for the signed-out pages (password reset, invites)
+ * @param {Object} props
+ * @param {string} props.subtitle - Line under the logo
+ * @param {React.ReactNode} props.children - Card content
+ */
+function AuthLayout({ subtitle, children }) {
+  return (
+    <div className="min-h-screen bg-gray-100 flex items-center justify-center p-4">
+      <div className="w-full max-w-md">
+        {/* Logo/Brand */}
+        <div className="text-center mb-8">
+          <img src={MotivataLogo} alt="Motivata" className="h-16 mx-auto mb-4" />
+          {subtitle && <p className="text-gray-600">{subtitle}</p>}
+        </div>
+
+        <div className="bg-white rounded-xl shadow-lg p-8">{children}</div>
+      </div>
+    </div>
+  );
+}
+
+export default AuthLayout;
@@ -0,0 +1,133 @@
+import { useState } from 'react';
+import { Lock, Eye, EyeOff, Loader2 } from 'lucide-react';
+
+// Matches the backend's admin password rule
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * SetPasswordForm Component
+ * New password + confirmation, shared by the reset-password and accept-invite pages
+ * @param {Object} props
+ * @param {Function} props.onSubmit - Called with the new password once it validates
+ * @param {boolean} props.isSubmitting - Submission in progress
+ * @param {string} props.submitLabel - Submit button text
+ * @param {string} [props.username] - Account username, so password managers save the right entry
+ */
+function SetPasswordForm({ onSubmit, isSubmitting = false, submitLabel, username = '' }) {
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [errors, setErrors] = useState({});
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const newErrors = {};
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      newErrors.password = `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    if (confirmPassword !== password) {
+      newErrors.confirmPassword = 'Passwords do not match';
+    }
+
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+
+    onSubmit(password);
+  };
+
+  const inputClass = (field) =>
+    `w-full pl-10 pr-12 py-3 border rounded-lg focus:border-gray-800 outline-none transition-all disabled:bg-gray-50 disabled:cursor-not-allowed ${
+      errors[field] ? 'border-red-500' : 'border-gray-300'
+    }`;
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      {/* Hidden username for password managers */}
+      <input type="text" name="username" value={username} autoComplete="username" readOnly hidden />
+
+      {/* New Password */}
+      <div>
+        <label htmlFor="new-password" className="block text-sm font-medium text-gray-700 mb-2">
+          New Password
+        </label>
+        <div className="relative">
+          <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+            <Lock className="h-5 w-5 text-gray-400" />
+          </div>
+          <input
+            id="new-password"
+            type={showPassword ? 'text' : 'password'}
+            value={password}
+            onChange={(e) => {
+              setPassword(e.target.value);
+              setErrors((prev) => ({ ...prev, password: null }));
+            }}
+            className={inputClass('password')}
+            placeholder={`At least ${MIN_PASSWORD_LENGTH} characters`}
+            disabled={isSubmitting}
+            autoComplete="new-password"
+            autoFocus
+          />
+          <button
+            type="button"
+            onClick={() => setShowPassword(!showPassword)}
+            className="absolute inset-y-0 right-0 pr-3 flex items-center disabled:cursor-not-allowed"
+            disabled={isSubmitting}
+            tabIndex={-1}
+          >
+            {showPassword ? (
+              <EyeOff className="h-5 w-5 text-gray-400 hover:text-gray-600" />
+            ) : (
+              <Eye className="h-5 w-5 text-gray-400 hover:text-gray-600" />
+            )}
+          </button>
+        </div>
+        {errors.password && <p className="mt-1 text-sm text-red-500">{errors.password}</p>}
+      </div>
+
+      {/* Confirm Password */}
+      <div>
+        <label htmlFor="confirm-password" className="block text-sm font-medium text-gray-700 mb-2">
+          Confirm Password
+        </label>
+        <div className="relative">
+          <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+            <Lock className="h-5 w-5 text-gray-400" />
+          </div>
+          <input
+            id="confirm-password"
+            type={showPassword ? 'text' : 'password'}
+            value={confirmPassword}
+            onChange={(e) => {
+              setConfirmPassword(e.target.value);
+              setErrors((prev) => ({ ...prev, confirmPassword: null }));
+            }}
+            className={inputClass('confirmPassword')}
+            placeholder="Re-enter the password"
+            disabled={isSubmitting}
+            autoComplete="new-password"
+          />
+        </div>
+        {errors.confirmPassword && <p className="mt-1 text-sm text-red-500">{errors.confirmPassword}</p>}
+      </div>
+
+      <button
+        type="submit"
+        disabled={isSubmitting}
+        className="w-full bg-gray-800 text-white py-3 px-4 rounded-lg font-medium hover:bg-gray-900 focus:ring-4 focus:ring-gray-300 transition-all disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+      >
+        {isSubmitting ? (
+          <>
+            <Loader2 className="h-5 w-5 animate-spin" />
+            Saving...
+          </>
+        ) : (
+          submitLabel
+        )}
+      </button>
+    </form>
+  );
+}
+
+export default SetPasswordForm;
@@ -15,23 +15,15 @@ import {
   FileText,
 } from 'lucide-react';
 import Modal from '../ui/Modal';
+import logger from '../../utils/logger';
+import { DATE_TIME_OPTIONS, formatDate as formatOrgDate } from '../../utils/dates';
 
 /**
  * Format date for display
  * @param {string} dateString - ISO date string
  * @returns {string} Formatted date
  */
-const formatDate = (dateString) => {
-  if (!dateString) return '-';
-  const date = new Date(dateString);
-  return date.toLocaleDateString('en-IN', {
-    day: 'numeric',
-    month: 'short',
-    year: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit',
-  });
-};
+const formatDate = (dateString) => formatOrgDate(dateString, DATE_TIME_OPTIONS, '-');
 
 /**
  * Format currency for display
@@ -88,7 +80,7 @@ function CashTicketDetailsModal({ isOpen, onClose, record, isLoading = false })
       setCopied(true);
       setTimeout(() => setCopied(false), 2000);
     } catch (err) {
-      console.error('[CashTicketDetailsModal] Failed to copy:', err);
+      logger.error('[CashTicketDetailsModal] Failed to copy:', err);
     }
   }, [record?.link]);
 
@@ -98,6 +90,7 @@ function CashTicketDetailsModal({ isOpen, onClose, record, isLoading = false })
       onClose={onClose}
       title="Cash Ticket Details"
       size="lg"
+      historyEntity={{ type: 'CASH_TICKET', id: record?._id }}
     >
       {isLoading ? (
         <div className="flex flex-col items-center justify-center py-12">
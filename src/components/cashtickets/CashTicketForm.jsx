@@ -2,6 +2,7 @@ import { useState, useEffect, useCallback } from 'react';
 import { Loader2, Copy, Check, ExternalLink, AlertCircle } from 'lucide-react';
 import Modal from '../ui/Modal';
 import EventSingleSelect from '../ui/EventSingleSelect';
+import logger from '../../utils/logger';
 
 /**
  * Format currency for display
@@ -170,7 +171,7 @@ function CashTicketForm({
       setCopied(true);
       setTimeout(() => setCopied(false), 2000);
     } catch (err) {
-      console.error('[CashTicketForm] Failed to copy:', err);
+      logger.error('[CashTicketForm] Failed to copy:', err);
     }
   }, [generatedLink]);
 
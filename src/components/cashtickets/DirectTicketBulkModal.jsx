@@ -12,6 +12,7 @@ import {
 } from 'lucide-react';
 import Modal from '../ui/Modal';
 import EventSingleSelect from '../ui/EventSingleSelect';
+import logger from '../../utils/logger';
 
 /**
  * Format file size for display
@@ -249,7 +250,7 @@ function DirectTicketBulkModal({
       document.body.removeChild(link);
       window.URL.revokeObjectURL(url);
     } catch (err) {
-      console.error('[DirectTicketBulk] Failed to download rejections:', err);
+      logger.error('[DirectTicketBulk] Failed to download rejections:', err);
     }
   };
 
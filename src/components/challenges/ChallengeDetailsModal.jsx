@@ -12,6 +12,8 @@ import {
   Tag,
   Zap,
 } from 'lucide-react';
+import logger from '../../utils/logger';
+import { DATE_OPTIONS, formatDate as formatOrgDate } from '../../utils/dates';
 
 /**
  * Format category name for display
@@ -37,14 +39,7 @@ const difficultyConfig = {
  * @param {string} dateString - ISO date string
  * @returns {string} Formatted date
  */
-const formatDate = (dateString) => {
-  if (!dateString) return '-';
-  return new Date(dateString).toLocaleDateString('en-IN', {
-    day: 'numeric',
-    month: 'short',
-    year: 'numeric',
-  });
-};
+const formatDate = (dateString) => formatOrgDate(dateString, DATE_OPTIONS, '-');
 
 /**
  * ChallengeDetailsModal Component
@@ -83,7 +78,7 @@ function ChallengeDetailsModal({
           setStatsError(result.error || 'Failed to load statistics');
         }
       } catch (err) {
-        console.error('[ChallengeDetailsModal] Error fetching stats:', err);
+        logger.error('[ChallengeDetailsModal] Error fetching stats:', err);
         setStatsError('Failed to load statistics');
       } finally {
         setStatsLoading(false);
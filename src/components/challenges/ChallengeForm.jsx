@@ -4,6 +4,7 @@ import Modal from '../ui/Modal';
 import FileUpload from '../ui/FileUpload';
 import IconPicker from './IconPicker';
 import useChallengeIcons from '../../hooks/useChallengeIcons';
+import logger from '../../utils/logger';
 
 /**
  * Challenge category options
@@ -366,7 +367,7 @@ function ChallengeForm({
       submitData.imageUrl = formData.imageUrl.trim();
     }
 
-    console.log('[ChallengeForm] Submitting data:', submitData);
+    logger.debug('[ChallengeForm] Submitting data:', submitData);
     const result = await onSubmit(submitData);
     if (result?.success) {
       onClose();
@@ -12,20 +12,15 @@ import {
   TrendingUp,
   Target,
 } from 'lucide-react';
+import logger from '../../utils/logger';
+import { DATE_OPTIONS, formatDate as formatOrgDate } from '../../utils/dates';
 
 /**
  * Format date to readable format
  * @param {string} dateString - ISO date string
  * @returns {string} Formatted date
  */
-const formatDate = (dateString) => {
-  if (!dateString) return '-';
-  return new Date(dateString).toLocaleDateString('en-IN', {
-    day: 'numeric',
-    month: 'short',
-    year: 'numeric',
-  });
-};
+const formatDate = (dateString) => formatOrgDate(dateString, DATE_OPTIONS, '-');
 
 /**
  * Type badge colors
@@ -80,7 +75,7 @@ function SOSProgramDetailsModal({
           setStatsError(result.error || 'Failed to load statistics');
         }
       } catch (err) {
-        console.error('[SOSProgramDetailsModal] Error fetching stats:', err);
+        logger.error('[SOSProgramDetailsModal] Error fetching stats:', err);
         setStatsError('Failed to load statistics');
       } finally {
         setStatsLoading(false);
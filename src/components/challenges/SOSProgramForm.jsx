@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import { Loader2, AlertCircle } from 'lucide-react';
 import Modal from '../ui/Modal';
 import FileUpload from '../ui/FileUpload';
+import logger from '../../utils/logger';
 
 /**
  * Get initial form state
@@ -171,7 +172,7 @@ function SOSProgramForm({
       submitData.imageUrl = formData.imageUrl.trim();
     }
 
-    console.log('[SOSProgramForm] Submitting data:', submitData);
+    logger.debug('[SOSProgramForm] Submitting data:', submitData);
     const result = await onSubmit(submitData);
     if (result?.success) {
       onClose();
@@ -0,0 +1,131 @@
+import { useState } from 'react';
+import { AlertCircle, Loader2, XCircle, User, Ticket } from 'lucide-react';
+import Modal from '../ui/Modal';
+import { ENROLLMENT_SOURCES, getOptionLabel } from '../../utils/enrollments';
+
+// What cancelling does to each kind of ticket
+const CANCEL_NOTES = {
+  ONLINE: 'The ticket stops working at the gate. Refunds for online payments are handled separately.',
+  CASH: 'The ticket stops working at the gate. Return the cash at the venue if it is owed.',
+  VOUCHER: 'The ticket stops working at the gate and the use goes back to the voucher.',
+};
+
+/**
+ * CancelEnrollmentModal Component
+ * Asks for a reason before cancelling an enrollment; remount it (key) per enrollment
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the modal is visible
+ * @param {Function} props.onClose - Callback when the modal is closed
+ * @param {Function} props.onSubmit - (reason) => void
+ * @param {Object} props.enrollment - Enrollment row
+ * @param {boolean} props.isLoading - Whether the cancellation is in progress
+ * @param {string} props.serverError - Error returned by the server
+ */
+function CancelEnrollmentModal({ isOpen, onClose, onSubmit, enrollment, isLoading = false, serverError = null }) {
+  const [reason, setReason] = useState('');
+  const [error, setError] = useState(null);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!reason.trim()) {
+      setError('Please provide a reason for cancellation');
+      return;
+    }
+
+    onSubmit(reason.trim());
+  };
+
+  if (!enrollment) return null;
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Cancel Enrollment" size="md" closeOnOverlayClick={!isLoading}>
+      <form onSubmit={handleSubmit} className="space-y-6">
+        {/* Server Error */}
+        {serverError && (
+          <div className="flex items-center gap-3 p-4 bg-red-50 border border-red-200 text-red-700 rounded-lg">
+            <AlertCircle className="h-5 w-5 flex-shrink-0" />
+            <p>{serverError}</p>
+          </div>
+        )}
+
+        {/* Warning */}
+        <div className="flex items-start gap-3 p-4 bg-red-50 border border-red-200 rounded-lg">
+          <XCircle className="h-5 w-5 text-red-500 flex-shrink-0 mt-0.5" />
+          <div>
+            <p className="font-medium text-red-800">Cancel this enrollment?</p>
+            <p className="text-sm text-red-600 mt-1">{CANCEL_NOTES[enrollment.source]}</p>
+          </div>
+        </div>
+
+        {/* Enrollment Summary */}
+        <div className="bg-gray-50 rounded-lg p-4 space-y-3">
+          <div className="flex items-center gap-3">
+            <User className="h-5 w-5 text-gray-400" />
+            <div>
+              <p className="font-medium text-gray-900">{enrollment.name || 'N/A'}</p>
+              <p className="text-sm text-gray-500">{enrollment.phone}</p>
+            </div>
+          </div>
+
+          <div className="border-t border-gray-200 pt-3 flex items-center gap-3">
+            <Ticket className="h-5 w-5 text-gray-400" />
+            <p className="text-sm text-gray-700">
+              {enrollment.ticketCount} ticket{enrollment.ticketCount !== 1 ? 's' : ''} ·{' '}
+              {getOptionLabel(ENROLLMENT_SOURCES, enrollment.source)}
+              {enrollment.reference && ` · ${enrollment.reference}`}
+            </p>
+          </div>
+        </div>
+
+        {/* Cancellation Reason */}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Cancellation Reason <span className="text-red-500">*</span>
+          </label>
+          <textarea
+            value={reason}
+            onChange={(e) => {
+              setReason(e.target.value);
+              if (error) setError(null);
+            }}
+            rows={3}
+            className={`w-full px-4 py-2 border rounded-lg focus:border-gray-800 outline-none resize-none ${
+              error ? 'border-red-500' : 'border-gray-300'
+            }`}
+            placeholder="Enter the reason for cancellation"
+          />
+          {error && <p className="mt-1 text-sm text-red-500">{error}</p>}
+        </div>
+
+        {/* Actions */}
+        <div className="flex justify-end gap-3 pt-4 border-t border-gray-200">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={isLoading}
+            className="px-6 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+          >
+            Keep Enrollment
+          </button>
+          <button
+            type="submit"
+            disabled={isLoading}
+            className="px-6 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors disabled:opacity-50 flex items-center gap-2"
+          >
+            {isLoading ? (
+              <>
+                <Loader2 className="h-4 w-4 animate-spin" />
+                Cancelling...
+              </>
+            ) : (
+              'Cancel Enrollment'
+            )}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
+
+export default CancelEnrollmentModal;
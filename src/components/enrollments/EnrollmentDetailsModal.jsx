@@ -0,0 +1,182 @@
+import {
+  Calendar,
+  Phone,
+  Mail,
+  User,
+  Ticket,
+  CreditCard,
+  Hash,
+  Clock,
+  ScanLine,
+  XCircle,
+} from 'lucide-react';
+import Modal from '../ui/Modal';
+import { formatDateTime } from '../../utils/eventStatus';
+import {
+  ENROLLMENT_SOURCES,
+  ENROLLMENT_STATUSES,
+  PAYMENT_METHODS,
+  getOptionLabel,
+  isCancellable,
+} from '../../utils/enrollments';
+
+/**
+ * Format currency for display
+ * @param {number} amount - Amount in rupees
+ * @returns {string} Formatted currency
+ */
+const formatCurrency = (amount) => {
+  if (amount === undefined || amount === null) return '-';
+  return new Intl.NumberFormat('en-IN', {
+    style: 'currency',
+    currency: 'INR',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(amount);
+};
+
+// Label of the reference number per source
+const REFERENCE_LABELS = {
+  ONLINE: 'Order ID',
+  CASH: 'Ticket Signature',
+  VOUCHER: 'Voucher Code',
+};
+
+/**
+ * Info row component
+ */
+function InfoRow({ icon, label, value }) {
+  const Icon = icon;
+  return (
+    <div className="flex items-start gap-3">
+      <div className="shrink-0 w-8 h-8 bg-gray-100 rounded-lg flex items-center justify-center">
+        <Icon className="h-4 w-4 text-gray-600" />
+      </div>
+      <div className="flex-1 min-w-0">
+        <p className="text-xs text-gray-500">{label}</p>
+        <p className="text-sm font-medium text-gray-900 break-words">{value || '-'}</p>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * EnrollmentDetailsModal Component
+ * Attendee, payment and check-in details of one enrollment from any source
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the modal is visible
+ * @param {Function} props.onClose - Callback when the modal is closed
+ * @param {Object} props.enrollment - Enrollment row
+ * @param {Object} props.event - Event the enrollment belongs to
+ * @param {Function} [props.onCancel] - (enrollment) => void; the cancel button is hidden without it
+ */
+function EnrollmentDetailsModal({ isOpen, onClose, enrollment, event, onCancel }) {
+  const source = ENROLLMENT_SOURCES.find((option) => option.value === enrollment?.source);
+  const status = ENROLLMENT_STATUSES.find((option) => option.value === enrollment?.status);
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Enrollment Details"
+      size="lg"
+      historyEntity={{ type: 'ENROLLMENT', id: enrollment?.id }}
+    >
+      {enrollment && (
+        <div className="space-y-6">
+          {/* Status */}
+          <div className="flex flex-wrap items-center gap-2">
+            <span className={`px-3 py-1.5 rounded-full text-sm font-medium ${status?.className}`}>
+              {status?.label}
+            </span>
+            <span className={`px-3 py-1.5 rounded-full text-sm font-medium ${source?.className}`}>
+              {source?.label}
+            </span>
+            <span
+              className={`inline-flex items-center gap-1.5 px-3 py-1.5 rounded-full text-sm font-medium ${
+                enrollment.isScanned ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'
+              }`}
+            >
+              <ScanLine className="h-4 w-4" />
+              {enrollment.isScanned ? 'Scanned' : 'Not Scanned'}
+            </span>
+          </div>
+
+          {/* Event Info */}
+          {event && (
+            <div className="p-4 bg-blue-50 rounded-lg border border-blue-100">
+              <div className="flex items-start gap-3">
+                <div className="shrink-0 w-10 h-10 bg-blue-100 rounded-lg flex items-center justify-center">
+                  <Calendar className="h-5 w-5 text-gray-800" />
+                </div>
+                <div className="flex-1 min-w-0">
+                  <p className="text-xs text-gray-800 font-medium">Event</p>
+                  <p className="text-base font-semibold text-gray-900 truncate">{event.name}</p>
+                  {event.startDate && (
+                    <p className="text-xs text-gray-500 mt-1">{formatDateTime(event.startDate)}</p>
+                  )}
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Attendee */}
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <InfoRow icon={User} label="Name" value={enrollment.name} />
+            <InfoRow icon={Phone} label="Phone Number" value={enrollment.phone} />
+            <InfoRow icon={Mail} label="Email" value={enrollment.email} />
+            <InfoRow
+              icon={Ticket}
+              label="Tickets"
+              value={`${enrollment.ticketCount} ticket${enrollment.ticketCount !== 1 ? 's' : ''}${
+                enrollment.tierName ? ` · ${enrollment.tierName}` : ''
+              }`}
+            />
+          </div>
+
+          {/* Payment */}
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 pt-4 border-t border-gray-200">
+            <InfoRow
+              icon={CreditCard}
+              label="Amount"
+              value={`${formatCurrency(enrollment.amount)} · ${getOptionLabel(PAYMENT_METHODS, enrollment.paymentMethod)}`}
+            />
+            <InfoRow icon={Hash} label={REFERENCE_LABELS[enrollment.source]} value={enrollment.reference} />
+            {enrollment.voucherTitle && <InfoRow icon={Ticket} label="Voucher" value={enrollment.voucherTitle} />}
+            {enrollment.issuedBy && <InfoRow icon={User} label="Issued By" value={enrollment.issuedBy} />}
+            <InfoRow icon={Clock} label="Enrolled At" value={formatDateTime(enrollment.enrolledAt)} />
+            <InfoRow
+              icon={ScanLine}
+              label="Scanned At"
+              value={enrollment.scannedAt ? formatDateTime(enrollment.scannedAt) : 'Not scanned yet'}
+            />
+          </div>
+
+          {/* Cancellation */}
+          {enrollment.status === 'CANCELLED' && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+              <p className="font-medium">
+                Cancelled{enrollment.cancelledAt && ` on ${formatDateTime(enrollment.cancelledAt)}`}
+              </p>
+              {enrollment.cancellationReason && <p className="mt-1">{enrollment.cancellationReason}</p>}
+            </div>
+          )}
+
+          {onCancel && isCancellable(enrollment) && (
+            <div className="flex justify-end pt-4 border-t border-gray-200">
+              <button
+                onClick={() => onCancel(enrollment)}
+                className="flex items-center gap-2 px-4 py-2 border border-red-300 text-red-600 rounded-lg hover:bg-red-50 transition-colors"
+              >
+                <XCircle className="h-4 w-4" />
+                Cancel Enrollment
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </Modal>
+  );
+}
+
+export default EnrollmentDetailsModal;
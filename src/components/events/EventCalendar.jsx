@@ -0,0 +1,248 @@
+import { useMemo, useState } from 'react';
+import { AlertTriangle, Loader2 } from 'lucide-react';
+import { toast } from 'react-toastify';
+import Calendar from '../ui/Calendar';
+import Modal from '../ui/Modal';
+import TimelinePreview from './TimelinePreview';
+import eventService from '../../services/event.service';
+import useQuery from '../../hooks/useQuery';
+import useUrlState from '../../hooks/useUrlState';
+import { getEventStatus, getStatusColor, isValidTimeline, formatDateTime } from '../../utils/eventStatus';
+import { addDays, findClashes, fromDateKey, getCalendarRange, toDateKey } from '../../utils/calendar';
+
+// Events starting this long before the shown period are fetched too, so multi-day events still appear
+const LOOKBACK_DAYS = 7;
+const CALENDAR_LIMIT = 100;
+const STATUSES = ['Upcoming', 'Booking Open', 'Booking Closed', 'Ongoing', 'Completed'];
+
+/**
+ * Calendar entry for an event
+ * @param {Object} event - Event
+ * @param {boolean} canEdit - Whether it can be dragged
+ * @returns {Object}
+ */
+const toEntry = (event, canEdit) => {
+  const colors = getStatusColor(getEventStatus(event));
+  return {
+    id: event._id,
+    title: event.name,
+    subtitle: event.city || event.mode,
+    start: new Date(event.startDate),
+    end: new Date(event.endDate),
+    className: `${colors.bg} ${colors.text} ${colors.border}`,
+    muted: !event.isLive,
+    draggable: canEdit,
+    event,
+  };
+};
+
+// Physical events in the same city compete for the same audience and venues
+const getCityKey = (entry) => entry.event.mode !== 'ONLINE' && entry.event.city?.trim().toLowerCase();
+
+const describeClash = (entry, others) =>
+  `Clashes with ${others.map((other) => other.title).join(', ')} in ${entry.event.city}`;
+
+/**
+ * EventCalendar Component
+ * Month / week / day calendar of events colored by status, flagging events that overlap
+ * in the same city; editors drag an event to reschedule it after a timeline check
+ * @param {Object} props
+ * @param {boolean} props.canEdit - Whether events can be rescheduled
+ * @param {Function} props.onView - (event) => void, opens the details
+ * @param {Function} props.onReschedule - (event, dates) => Promise<{success, error?}>
+ */
+function EventCalendar({ canEdit, onView, onReschedule }) {
+  const [{ calendarView, calendarDate }, setCalendarState] = useUrlState({ calendarView: 'month', calendarDate: '' });
+  const [pending, setPending] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  const anchor = fromDateKey(calendarDate);
+  const range = getCalendarRange(calendarView, anchor);
+  const params = {
+    startDateFrom: addDays(range.start, -LOOKBACK_DAYS).toISOString(),
+    startDateTo: range.end.toISOString(),
+    sortBy: 'startDate',
+    sortOrder: 'asc',
+    limit: CALENDAR_LIMIT,
+  };
+
+  const { data, isLoading, isFetching } = useQuery(['events', 'calendar', params], () => eventService.getAll(params), {
+    keepPreviousData: true,
+  });
+
+  const events = useMemo(() => (data?.events || []).filter((event) => !event.isDeleted), [data]);
+  const totalCount = data?.pagination?.totalCount ?? events.length;
+
+  const entries = useMemo(() => {
+    const base = events.map((event) => toEntry(event, canEdit));
+    const clashes = findClashes(base, getCityKey);
+    return base.map((entry) =>
+      clashes.has(entry.id) ? { ...entry, warning: describeClash(entry, clashes.get(entry.id)) } : entry
+    );
+  }, [events, canEdit]);
+
+  const clashCount = entries.filter((entry) => entry.warning).length;
+
+  const handleEntryMove = (entry, newStart) => {
+    setSaveError(null);
+    setPending({ event: entry.event, delta: newStart - entry.start, moveBookingWindow: true });
+  };
+
+  // Dates of the pending reschedule
+  const shiftDate = (value, delta) => new Date(new Date(value).getTime() + delta).toISOString();
+  const pendingDates = pending && {
+    startDate: shiftDate(pending.event.startDate, pending.delta),
+    endDate: shiftDate(pending.event.endDate, pending.delta),
+    bookingStartDate: pending.moveBookingWindow
+      ? shiftDate(pending.event.bookingStartDate, pending.delta)
+      : pending.event.bookingStartDate,
+    bookingEndDate: pending.moveBookingWindow
+      ? shiftDate(pending.event.bookingEndDate, pending.delta)
+      : pending.event.bookingEndDate,
+  };
+  const isPendingValid = pendingDates && isValidTimeline(pendingDates);
+  const pendingClashes = pendingDates
+    ? findClashes(
+        [toEntry({ ...pending.event, ...pendingDates }, canEdit), ...entries.filter((entry) => entry.id !== pending.event._id)],
+        getCityKey
+      ).get(pending.event._id) || []
+    : [];
+
+  const handleConfirm = async () => {
+    setIsSaving(true);
+    setSaveError(null);
+    try {
+      const result = await onReschedule(pending.event, pendingDates);
+      if (result.success) {
+        toast.success(`${pending.event.name} moved to ${formatDateTime(pendingDates.startDate)}`);
+        setPending(null);
+      } else {
+        setSaveError(result.error || 'Failed to reschedule event');
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const legend = (
+    <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-xs text-gray-600">
+      {STATUSES.map((status) => {
+        const colors = getStatusColor(status);
+        return (
+          <span key={status} className="flex items-center gap-1.5">
+            <span className={`h-3 w-3 rounded border ${colors.bg} ${colors.border}`} />
+            {status}
+          </span>
+        );
+      })}
+      <span className="flex items-center gap-1.5">
+        <span className="h-3 w-3 rounded border border-dashed border-gray-400 opacity-60" />
+        Not live
+      </span>
+      <span className="flex items-center gap-1.5">
+        <AlertTriangle className="h-3 w-3 text-red-600" />
+        Same-city clash
+      </span>
+    </div>
+  );
+
+  return (
+    <div className="space-y-3">
+      {clashCount > 0 && (
+        <div className="flex items-center gap-2 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+          <AlertTriangle className="h-4 w-4 shrink-0" />
+          {clashCount} events in this view overlap another event in the same city.
+        </div>
+      )}
+      {totalCount > events.length && (
+        <p className="text-sm text-gray-500">
+          Showing the first {events.length} of {totalCount} events in this period. Switch to a week or day view to see all.
+        </p>
+      )}
+
+      <Calendar
+        entries={entries}
+        view={calendarView}
+        date={anchor}
+        onViewChange={(view) => setCalendarState((prev) => ({ ...prev, calendarView: view }))}
+        onDateChange={(date) => setCalendarState((prev) => ({ ...prev, calendarDate: toDateKey(date) }))}
+        onEntryClick={(entry) => onView(entry.event)}
+        onEntryMove={canEdit ? handleEntryMove : undefined}
+        isLoading={isLoading || isFetching}
+        legend={legend}
+      />
+
+      {/* Reschedule confirmation */}
+      <Modal
+        isOpen={!!pending}
+        onClose={() => !isSaving && setPending(null)}
+        title="Reschedule Event"
+        size="lg"
+        closeOnOverlayClick={!isSaving}
+      >
+        {pending && (
+          <div className="space-y-4">
+            <div className="text-sm text-gray-700 space-y-1">
+              <p className="font-medium text-gray-900">{pending.event.name}</p>
+              <p>
+                {formatDateTime(pending.event.startDate)} → <span className="font-medium">{formatDateTime(pendingDates.startDate)}</span>
+              </p>
+            </div>
+
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={pending.moveBookingWindow}
+                onChange={(e) => setPending((prev) => ({ ...prev, moveBookingWindow: e.target.checked }))}
+                disabled={isSaving}
+              />
+              Move the booking window with the event
+            </label>
+
+            <TimelinePreview {...pendingDates} />
+
+            {!isPendingValid && (
+              <p className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+                The booking window must open before it closes and close no later than the event ends.
+              </p>
+            )}
+            {new Date(pendingDates.startDate) <= new Date() && (
+              <p className="p-3 bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-lg text-sm">
+                The new start time is in the past.
+              </p>
+            )}
+            {pendingClashes.length > 0 && (
+              <p className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+                The new time overlaps {pendingClashes.map((entry) => entry.title).join(', ')} in {pending.event.city}.
+              </p>
+            )}
+            {saveError && (
+              <p className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">{saveError}</p>
+            )}
+
+            <div className="flex gap-3 pt-4 border-t border-gray-200">
+              <button
+                onClick={() => setPending(null)}
+                disabled={isSaving}
+                className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleConfirm}
+                disabled={isSaving || !isPendingValid}
+                className="flex-1 px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors disabled:opacity-50 flex items-center justify-center gap-2"
+              >
+                {isSaving && <Loader2 className="h-4 w-4 animate-spin" />}
+                Reschedule
+              </button>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </div>
+  );
+}
+
+export default EventCalendar;
@@ -12,21 +12,21 @@ import {
   Ticket,
   Link,
   Radio,
+  Copy,
+  Repeat,
 } from 'lucide-react';
 import Modal from '../ui/Modal';
 import { getEventStatus, getStatusColor } from '../../utils/eventStatus';
 import { getCategoryLabel } from '../../hooks/useEventsManagement';
 import TimelinePreview from './TimelinePreview';
+import SeatOccupancyMap from './SeatOccupancyMap';
+import { DATE_TIME_OPTIONS, formatDate as formatOrgDate } from '../../utils/dates';
 
 /**
  * Format date for display
  */
 function formatDate(isoDate) {
-  if (!isoDate) return 'N/A';
-  return new Date(isoDate).toLocaleString('en-IN', {
-    dateStyle: 'medium',
-    timeStyle: 'short',
-  });
+  return formatOrgDate(isoDate, DATE_TIME_OPTIONS, 'N/A');
 }
 
 /**
@@ -88,6 +88,7 @@ function EventDetailsModal({
   isOpen,
   onClose,
   event,
+  onDuplicate,
   // Commented out - ticketStats section is hidden
   // ticketStats,
   // isLoadingStats = false,
@@ -120,6 +121,7 @@ function EventDetailsModal({
       onClose={onClose}
       title="Event Details"
       size="2xl"
+      historyEntity={{ type: 'EVENT', id: event._id }}
     >
       <div className="space-y-6">
         {/* Header with status */}
@@ -152,6 +154,12 @@ function EventDetailsModal({
                   Members Only
                 </span>
               )}
+              {event.seriesId && (
+                <span className="inline-flex items-center gap-1 px-3 py-1 rounded-full text-sm font-medium bg-sky-100 text-sky-700">
+                  <Repeat className="h-3.5 w-3.5" />
+                  Series
+                </span>
+              )}
               {event.isDeleted && (
                 <span className="px-3 py-1 rounded-full text-sm font-medium bg-red-100 text-red-700">
                   Deleted
@@ -159,6 +167,15 @@ function EventDetailsModal({
               )}
             </div>
           </div>
+          {onDuplicate && !event.isDeleted && (
+            <button
+              onClick={() => onDuplicate(event)}
+              className="flex items-center gap-2 px-3 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors shrink-0"
+            >
+              <Copy className="h-4 w-4" />
+              Duplicate
+            </button>
+          )}
         </div>
 
         {/* Thumbnail */}
@@ -399,6 +416,9 @@ function EventDetailsModal({
           )}
         </div>
 
+        {/* Seat Occupancy (for OFFLINE or HYBRID events with a seat map) */}
+        {(event.mode === 'OFFLINE' || event.mode === 'HYBRID') && <SeatOccupancyMap eventId={event._id} />}
+
         {/* Ticket Statistics - Commented out as ticketsSold is static data
         <div className="p-4 bg-gray-50 rounded-lg">
           <div className="flex items-center gap-2 text-gray-500 mb-3">
@@ -1,6 +1,7 @@
 import { useState } from 'react';
 import { Search, X, Filter, ChevronDown, ChevronUp, RotateCcw } from 'lucide-react';
 import { EVENT_CATEGORIES, EVENT_MODES, SORT_OPTIONS } from '../../hooks/useEventsManagement';
+import useSyncedInput from '../../hooks/useSyncedInput';
 
 /**
  * EventFilters Component
@@ -16,7 +17,7 @@ function EventFilters({
   disabled = false,
 }) {
   const [showAdvanced, setShowAdvanced] = useState(false);
-  const [searchInput, setSearchInput] = useState(filters.search || '');
+  const [searchInput, setSearchInput] = useSyncedInput(filters.search || '');
 
   const handleSearchChange = (e) => {
     const value = e.target.value;
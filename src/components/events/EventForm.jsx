@@ -1,10 +1,21 @@
-import { useState, useEffect } from 'react';
-import { Loader2, Plus, Trash2, MapPin, Armchair, X, Info } from 'lucide-react';
+import { useState, useEffect, useMemo } from 'react';
+import { Loader2, Plus, Trash2, MapPin, Armchair, Info, Repeat } from 'lucide-react';
 import Modal from '../ui/Modal';
 import FileUpload from '../ui/FileUpload';
+import TimezoneHint from '../ui/TimezoneHint';
 import TimelinePreview from './TimelinePreview';
+import SeatMapEditor from './SeatMapEditor';
 import { EVENT_CATEGORIES, EVENT_MODES } from '../../hooks/useEventsManagement';
 import seatArrangementService from '../../services/seatArrangement.service';
+import useFormErrors from '../../hooks/useFormErrors';
+import {
+  RECURRENCE_FREQUENCIES,
+  MAX_OCCURRENCES,
+  addRecurrenceInterval,
+  getOccurrenceStarts,
+} from '../../utils/eventRecurrence';
+import { formatShortDate } from '../../utils/eventStatus';
+import { fromDateInput, fromDateTimeInput, toDateTimeInput } from '../../utils/dates';
 
 /**
  * Initial form state for creating/editing events
@@ -23,10 +34,10 @@ const getInitialFormState = (event = null, seatArrangement = null) => ({
   gmapLink: event?.gmapLink || '',
   joinLink: event?.joinLink || '',
   category: event?.category || '',
-  startDate: event?.startDate ? formatDateTimeForInput(event.startDate) : '',
-  endDate: event?.endDate ? formatDateTimeForInput(event.endDate) : '',
-  bookingStartDate: event?.bookingStartDate ? formatDateTimeForInput(event.bookingStartDate) : '',
-  bookingEndDate: event?.bookingEndDate ? formatDateTimeForInput(event.bookingEndDate) : '',
+  startDate: toDateTimeInput(event?.startDate),
+  endDate: toDateTimeInput(event?.endDate),
+  bookingStartDate: toDateTimeInput(event?.bookingStartDate),
+  bookingEndDate: toDateTimeInput(event?.bookingEndDate),
   duration: event?.duration ?? '',
   price: event?.price ?? '',
   compareAtPrice: event?.compareAtPrice ?? '',
@@ -41,28 +52,15 @@ const getInitialFormState = (event = null, seatArrangement = null) => ({
   seatArrangement: {
     imageUrl: seatArrangement?.imageUrl || '',
     seatLabelsInput: seatArrangement?.seats?.map(s => s.label).join(', ') || '',
-    seats: seatArrangement?.seats || [],
+    // Arrangements saved before seats had positions get laid out in rows
+    seats: seatArrangementService.layoutSeats(seatArrangement?.seats || []),
+    zones: seatArrangement?.zones || [],
   },
+  // Recurrence (create only) and series edit scope (edit only)
+  recurrence: { frequency: '', interval: 1, ends: 'count', count: 4, until: '' },
+  applyToFutureEvents: false,
 });
 
-/**
- * Format ISO date to datetime-local input format (in local timezone)
- */
-function formatDateTimeForInput(isoDate) {
-  if (!isoDate) return '';
-  const date = new Date(isoDate);
-
-  // Get local time components
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  const hours = String(date.getHours()).padStart(2, '0');
-  const minutes = String(date.getMinutes()).padStart(2, '0');
-
-  // Return in datetime-local format: YYYY-MM-DDTHH:mm
-  return `${year}-${month}-${day}T${hours}:${minutes}`;
-}
-
 /**
  * Validate form data
  * @param {Object} data - Form data
@@ -122,7 +120,7 @@ const validateForm = (data, isEditMode = false) => {
     errors.startDate = 'Start date is required';
   } else if (!isEditMode) {
     // Only validate future date for new events, not when editing
-    const startDate = new Date(data.startDate);
+    const startDate = fromDateTimeInput(data.startDate);
     if (startDate <= new Date()) {
       errors.startDate = 'Start date must be in the future';
     }
@@ -132,8 +130,8 @@ const validateForm = (data, isEditMode = false) => {
   if (!data.endDate) {
     errors.endDate = 'End date is required';
   } else if (data.startDate) {
-    const startDate = new Date(data.startDate);
-    const endDate = new Date(data.endDate);
+    const startDate = fromDateTimeInput(data.startDate);
+    const endDate = fromDateTimeInput(data.endDate);
     if (endDate <= startDate) {
       errors.endDate = 'End date must be after start date';
     }
@@ -143,8 +141,8 @@ const validateForm = (data, isEditMode = false) => {
   if (!data.bookingStartDate) {
     errors.bookingStartDate = 'Booking start date is required';
   } else if (data.endDate) {
-    const bookingStartDate = new Date(data.bookingStartDate);
-    const endDate = new Date(data.endDate);
+    const bookingStartDate = fromDateTimeInput(data.bookingStartDate);
+    const endDate = fromDateTimeInput(data.endDate);
     if (bookingStartDate >= endDate) {
       errors.bookingStartDate = 'Booking start must be before event end';
     }
@@ -154,8 +152,8 @@ const validateForm = (data, isEditMode = false) => {
   if (!data.bookingEndDate) {
     errors.bookingEndDate = 'Booking end date is required';
   } else if (data.bookingStartDate) {
-    const bookingStartDate = new Date(data.bookingStartDate);
-    const bookingEndDate = new Date(data.bookingEndDate);
+    const bookingStartDate = fromDateTimeInput(data.bookingStartDate);
+    const bookingEndDate = fromDateTimeInput(data.bookingEndDate);
     if (bookingEndDate <= bookingStartDate) {
       errors.bookingEndDate = 'Booking end must be after booking start';
     }
@@ -163,13 +161,37 @@ const validateForm = (data, isEditMode = false) => {
 
   // Cross-validation: bookingEndDate cannot be after eventEndDate
   if (data.bookingEndDate && data.endDate) {
-    const bookingEndDate = new Date(data.bookingEndDate);
-    const eventEndDate = new Date(data.endDate);
+    const bookingEndDate = fromDateTimeInput(data.bookingEndDate);
+    const eventEndDate = fromDateTimeInput(data.endDate);
     if (bookingEndDate > eventEndDate) {
       errors.bookingEndDate = 'Booking end cannot be after event end';
     }
   }
 
+  // Recurrence validation (only when creating a series)
+  if (!isEditMode && data.recurrence.frequency) {
+    const { interval, ends, count, until } = data.recurrence;
+    if (!Number.isInteger(Number(interval)) || Number(interval) < 1) {
+      errors['recurrence.interval'] = 'Repeat interval must be at least 1';
+    }
+    if (ends === 'count' && (!Number.isInteger(Number(count)) || count < 2 || count > MAX_OCCURRENCES)) {
+      errors['recurrence.count'] = `Number of events must be between 2 and ${MAX_OCCURRENCES}`;
+    }
+    if (ends === 'date') {
+      if (!until) {
+        errors['recurrence.until'] = 'End date is required';
+      } else if (data.startDate) {
+        // One more occurrence than allowed still falling on or before the end date means the series is too long
+        const occurrenceAfterLimit = addRecurrenceInterval(fromDateTimeInput(data.startDate), data.recurrence.frequency, MAX_OCCURRENCES * interval);
+        if (getOccurrenceStarts(fromDateTimeInput(data.startDate), data.recurrence).length < 2) {
+          errors['recurrence.until'] = 'End date must leave room for at least two events';
+        } else if (occurrenceAfterLimit < fromDateInput(until, 1)) {
+          errors['recurrence.until'] = `A series can have at most ${MAX_OCCURRENCES} events`;
+        }
+      }
+    }
+  }
+
   // Price validation
   if (!data.usePricingTiers) {
     if (data.price === '' || data.price === null || data.price === undefined) {
@@ -248,6 +270,9 @@ const validateForm = (data, isEditMode = false) => {
     if (!data.seatArrangement.seats || data.seatArrangement.seats.length === 0) {
       errors['seatArrangement.seats'] = 'At least one seat must be defined';
     }
+    if (data.seatArrangement.zones.some((zone) => !zone.name.trim())) {
+      errors['seatArrangement.zones'] = 'Every zone needs a name';
+    }
   }
 
   return {
@@ -256,6 +281,28 @@ const validateForm = (data, isEditMode = false) => {
   };
 };
 
+/**
+ * Fold server errors for tier fields (pricingTiers.0.price) into the
+ * tierErrors shape the tier inputs read
+ * @param {Object|null} fieldErrors - Server field errors
+ * @returns {Object|null} Form errors
+ */
+const toFormErrors = (fieldErrors) => {
+  if (!fieldErrors) return fieldErrors;
+
+  return Object.entries(fieldErrors).reduce((formErrors, [field, message]) => {
+    const tierMatch = field.match(/^pricingTiers\.(\d+)\.(\w+)$/);
+    if (tierMatch) {
+      const [, index, tierField] = tierMatch;
+      formErrors.tierErrors = formErrors.tierErrors || [];
+      formErrors.tierErrors[index] = { ...formErrors.tierErrors[index], [tierField]: message };
+    } else {
+      formErrors[field] = message;
+    }
+    return formErrors;
+  }, {});
+};
+
 /**
  * Empty pricing tier template
  */
@@ -271,41 +318,33 @@ const getEmptyTier = () => ({
 /**
  * EventForm Component
  * Handles creating and editing events
+ * A `template` prefills a new event from an existing one (duplicate); creating can
+ * repeat the event as a series, and editing a series occurrence can apply to the ones after it.
  */
 function EventForm({
   isOpen,
   onClose,
   onSubmit,
   event = null,
+  template = null,
   seatArrangement = null,
   isLoading = false,
   serverError = null,
-  validationErrors = null,
+  fieldErrors = null,
 }) {
   const isEditMode = !!event;
-  const [formData, setFormData] = useState(getInitialFormState(event, seatArrangement));
-  const [errors, setErrors] = useState({});
+  const isSeriesOccurrence = isEditMode && !!event.seriesId;
+  const [formData, setFormData] = useState(getInitialFormState(event || template, seatArrangement));
+  const serverErrors = useMemo(() => toFormErrors(fieldErrors), [fieldErrors]);
+  const { formRef, errors, setErrors, showErrors, clearFieldError } = useFormErrors(serverErrors);
 
   // Reset form when event changes or modal opens/closes
   useEffect(() => {
     if (isOpen) {
-      setFormData(getInitialFormState(event, seatArrangement));
+      setFormData(getInitialFormState(event || template, seatArrangement));
       setErrors({});
     }
-  }, [isOpen, event, seatArrangement]);
-
-  // Map server validation errors to form fields
-  useEffect(() => {
-    if (validationErrors && Array.isArray(validationErrors)) {
-      const serverErrors = {};
-      validationErrors.forEach((err) => {
-        if (err.field) {
-          serverErrors[err.field] = err.message;
-        }
-      });
-      setErrors((prev) => ({ ...prev, ...serverErrors }));
-    }
-  }, [validationErrors]);
+  }, [isOpen, event, template, seatArrangement, setErrors]);
 
   const handleChange = (e) => {
     const { name, value, type } = e.target;
@@ -314,9 +353,7 @@ function EventForm({
     setFormData((prev) => ({ ...prev, [name]: newValue }));
 
     // Clear error when user starts typing
-    if (errors[name]) {
-      setErrors((prev) => ({ ...prev, [name]: null }));
-    }
+    clearFieldError(name);
   };
 
   const handleThumbnailChange = (field, value) => {
@@ -396,7 +433,7 @@ function EventForm({
       ...prev,
       useSeatArrangement: !prev.useSeatArrangement,
       seatArrangement: !prev.useSeatArrangement
-        ? { imageUrl: '', seatLabelsInput: '', seats: [] }
+        ? { imageUrl: '', seatLabelsInput: '', seats: [], zones: [] }
         : prev.seatArrangement,
     }));
   };
@@ -423,30 +460,61 @@ function EventForm({
       return;
     }
 
-    const seats = seatArrangementService.parseSeatLabels(input);
+    const seats = seatArrangementService.layoutSeats(seatArrangementService.parseSeatLabels(input));
     setFormData((prev) => ({
       ...prev,
       seatArrangement: { ...prev.seatArrangement, seats },
     }));
+    if (errors['seatArrangement.seats']) {
+      setErrors((prev) => ({ ...prev, 'seatArrangement.seats': null }));
+    }
+  };
+
+  // Seats or zones changed in the seat map editor
+  const handleSeatMapChange = (changes) => {
+    setFormData((prev) => ({
+      ...prev,
+      seatArrangement: { ...prev.seatArrangement, ...changes },
+    }));
+
+    const fields = Object.keys(changes).map((key) => `seatArrangement.${key}`);
+    if (fields.some((field) => errors[field])) {
+      setErrors((prev) => ({ ...prev, ...Object.fromEntries(fields.map((field) => [field, null])) }));
+    }
   };
 
-  const handleRemoveSeat = (index) => {
+  const handleRecurrenceChange = (field, value) => {
     setFormData((prev) => ({
       ...prev,
-      seatArrangement: {
-        ...prev.seatArrangement,
-        seats: prev.seatArrangement.seats.filter((_, i) => i !== index),
-      },
+      recurrence: { ...prev.recurrence, [field]: value },
     }));
+
+    // Every recurrence error depends on the other recurrence fields
+    if (errors['recurrence.interval'] || errors['recurrence.count'] || errors['recurrence.until']) {
+      setErrors((prev) => ({
+        ...prev,
+        'recurrence.interval': null,
+        'recurrence.count': null,
+        'recurrence.until': null,
+      }));
+    }
   };
 
+  // Start dates the recurrence would create, for the preview
+  const occurrenceStarts = useMemo(
+    () => (!isEditMode && formData.recurrence.frequency
+      ? getOccurrenceStarts(fromDateTimeInput(formData.startDate), formData.recurrence)
+      : []),
+    [isEditMode, formData.startDate, formData.recurrence]
+  );
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
     // Validate form (pass isEditMode to allow past dates when editing)
     const validation = validateForm(formData, isEditMode);
     if (!validation.isValid) {
-      setErrors(validation.errors);
+      showErrors(validation.errors);
       return;
     }
 
@@ -456,10 +524,10 @@ function EventForm({
       description: formData.description.trim(),
       mode: formData.mode,
       category: formData.category,
-      startDate: new Date(formData.startDate).toISOString(),
-      endDate: new Date(formData.endDate).toISOString(),
-      bookingStartDate: new Date(formData.bookingStartDate).toISOString(),
-      bookingEndDate: new Date(formData.bookingEndDate).toISOString(),
+      startDate: fromDateTimeInput(formData.startDate).toISOString(),
+      endDate: fromDateTimeInput(formData.endDate).toISOString(),
+      bookingStartDate: fromDateTimeInput(formData.bookingStartDate).toISOString(),
+      bookingEndDate: fromDateTimeInput(formData.bookingEndDate).toISOString(),
       audience: formData.audience || 'ALL',
     };
 
@@ -531,9 +599,26 @@ function EventForm({
       submitData.seatArrangement = {
         imageUrl: formData.seatArrangement.imageUrl,
         seats: formData.seatArrangement.seats,
+        zones: formData.seatArrangement.zones,
       };
     }
 
+    // Repeat rule for a new series; the page creates the occurrences
+    if (!isEditMode && formData.recurrence.frequency) {
+      submitData.recurrence = {
+        frequency: formData.recurrence.frequency,
+        interval: Number(formData.recurrence.interval),
+        ends: formData.recurrence.ends,
+        ...(formData.recurrence.ends === 'count'
+          ? { count: Number(formData.recurrence.count) }
+          : { until: formData.recurrence.until }),
+      };
+    }
+
+    if (isSeriesOccurrence) {
+      submitData.applyToFutureEvents = formData.applyToFutureEvents;
+    }
+
     await onSubmit(submitData);
   };
 
@@ -547,11 +632,11 @@ function EventForm({
     <Modal
       isOpen={isOpen}
       onClose={handleClose}
-      title={isEditMode ? 'Edit Event' : 'Create Event'}
+      title={isEditMode ? 'Edit Event' : template ? 'Duplicate Event' : 'Create Event'}
       size="2xl"
       closeOnOverlayClick={!isLoading}
     >
-      <form onSubmit={handleSubmit} className="space-y-6">
+      <form ref={formRef} onSubmit={handleSubmit} className="space-y-6">
         {/* Server Error */}
         {serverError && (
           <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
@@ -775,7 +860,10 @@ function EventForm({
 
         {/* Date and Time */}
         <div className="space-y-4">
-          <h3 className="text-lg font-semibold text-gray-900 border-b pb-2">Event Schedule</h3>
+          <div className="flex items-center justify-between border-b pb-2">
+            <h3 className="text-lg font-semibold text-gray-900">Event Schedule</h3>
+            <TimezoneHint />
+          </div>
           <p className="text-sm text-gray-500">When does the event actually happen?</p>
 
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -819,7 +907,10 @@ function EventForm({
             </div>
           </div>
 
-          <h3 className="text-lg font-semibold text-gray-900 border-b pb-2 mt-6">Booking Window</h3>
+          <div className="flex items-center justify-between border-b pb-2 mt-6">
+            <h3 className="text-lg font-semibold text-gray-900">Booking Window</h3>
+            <TimezoneHint />
+          </div>
           <p className="text-sm text-gray-500">When can users book tickets for this event?</p>
 
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -884,13 +975,137 @@ function EventForm({
             <p className="mt-1 text-xs text-gray-500">Event duration in minutes (for reference)</p>
           </div>
 
+          {/* Recurrence (create only) */}
+          {!isEditMode && (
+            <div className="mt-4 p-4 bg-gray-50 rounded-lg space-y-4">
+              <div className="flex items-center gap-2">
+                <Repeat className="h-4 w-4 text-gray-500" />
+                <span className="text-sm font-medium text-gray-700">Repeat</span>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label htmlFor="recurrenceFrequency" className="block text-sm font-medium text-gray-700 mb-1">
+                    Frequency
+                  </label>
+                  <select
+                    id="recurrenceFrequency"
+                    value={formData.recurrence.frequency}
+                    onChange={(e) => handleRecurrenceChange('frequency', e.target.value)}
+                    disabled={isLoading}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:border-gray-800 outline-none disabled:bg-gray-100 bg-white"
+                  >
+                    <option value="">Does not repeat</option>
+                    {RECURRENCE_FREQUENCIES.map((frequency) => (
+                      <option key={frequency.value} value={frequency.value}>
+                        {frequency.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                {formData.recurrence.frequency && (
+                  <div>
+                    <label htmlFor="recurrenceInterval" className="block text-sm font-medium text-gray-700 mb-1">
+                      Every
+                    </label>
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="number"
+                        id="recurrenceInterval"
+                        value={formData.recurrence.interval}
+                        onChange={(e) => handleRecurrenceChange('interval', e.target.value === '' ? '' : Number(e.target.value))}
+                        disabled={isLoading}
+                        min="1"
+                        className={`w-24 px-3 py-2 border rounded-lg focus:border-gray-800 outline-none disabled:bg-gray-100 ${
+                          errors['recurrence.interval'] ? 'border-red-500' : 'border-gray-300'
+                        }`}
+                      />
+                      <span className="text-sm text-gray-600">
+                        {RECURRENCE_FREQUENCIES.find((f) => f.value === formData.recurrence.frequency)?.unit}
+                        {formData.recurrence.interval === 1 ? '' : 's'}
+                      </span>
+                    </div>
+                    {errors['recurrence.interval'] && (
+                      <p className="mt-1 text-sm text-red-500">{errors['recurrence.interval']}</p>
+                    )}
+                  </div>
+                )}
+              </div>
+
+              {formData.recurrence.frequency && (
+                <>
+                  <div className="space-y-2">
+                    <span className="block text-sm font-medium text-gray-700">Ends</span>
+                    <label className="flex items-center gap-3 text-sm text-gray-700">
+                      <input
+                        type="radio"
+                        name="recurrenceEnds"
+                        checked={formData.recurrence.ends === 'count'}
+                        onChange={() => handleRecurrenceChange('ends', 'count')}
+                        disabled={isLoading}
+                      />
+                      After
+                      <input
+                        type="number"
+                        value={formData.recurrence.count}
+                        onChange={(e) => handleRecurrenceChange('count', e.target.value === '' ? '' : Number(e.target.value))}
+                        disabled={isLoading || formData.recurrence.ends !== 'count'}
+                        min="2"
+                        max={MAX_OCCURRENCES}
+                        className={`w-20 px-2 py-1 border rounded-lg focus:border-gray-800 outline-none disabled:bg-gray-100 ${
+                          errors['recurrence.count'] ? 'border-red-500' : 'border-gray-300'
+                        }`}
+                      />
+                      events
+                    </label>
+                    {errors['recurrence.count'] && <p className="text-sm text-red-500">{errors['recurrence.count']}</p>}
+
+                    <label className="flex items-center gap-3 text-sm text-gray-700">
+                      <input
+                        type="radio"
+                        name="recurrenceEnds"
+                        checked={formData.recurrence.ends === 'date'}
+                        onChange={() => handleRecurrenceChange('ends', 'date')}
+                        disabled={isLoading}
+                      />
+                      On
+                      <input
+                        type="date"
+                        value={formData.recurrence.until}
+                        onChange={(e) => handleRecurrenceChange('until', e.target.value)}
+                        disabled={isLoading || formData.recurrence.ends !== 'date'}
+                        min={formData.startDate.slice(0, 10)}
+                        className={`px-2 py-1 border rounded-lg focus:border-gray-800 outline-none disabled:bg-gray-100 ${
+                          errors['recurrence.until'] ? 'border-red-500' : 'border-gray-300'
+                        }`}
+                      />
+                    </label>
+                    {errors['recurrence.until'] && <p className="text-sm text-red-500">{errors['recurrence.until']}</p>}
+                  </div>
+
+                  {occurrenceStarts.length > 1 && (
+                    <p className="text-xs text-gray-500">
+                      Creates {occurrenceStarts.length} events:{' '}
+                      {occurrenceStarts
+                        .slice(0, 6)
+                        .map((start) => formatShortDate(start))
+                        .join(', ')}
+                      {occurrenceStarts.length > 6 && ', …'}. Booking windows move with each event.
+                    </p>
+                  )}
+                </>
+              )}
+            </div>
+          )}
+
           {/* Timeline Preview */}
           <div className="mt-6">
             <TimelinePreview
-              startDate={formData.startDate}
-              endDate={formData.endDate}
-              bookingStartDate={formData.bookingStartDate}
-              bookingEndDate={formData.bookingEndDate}
+              startDate={fromDateTimeInput(formData.startDate)?.toISOString()}
+              endDate={fromDateTimeInput(formData.endDate)?.toISOString()}
+              bookingStartDate={fromDateTimeInput(formData.bookingStartDate)?.toISOString()}
+              bookingEndDate={fromDateTimeInput(formData.bookingEndDate)?.toISOString()}
             />
           </div>
         </div>
@@ -980,13 +1195,17 @@ function EventForm({
               </div>
             </div>
           ) : (
-            <div className="space-y-4">
+            <div className="space-y-4" data-field="pricingTiers">
               {errors.pricingTiers && (
                 <p className="text-sm text-red-500">{errors.pricingTiers}</p>
               )}
 
               {formData.pricingTiers.map((tier, index) => (
-                <div key={index} className="p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+                <div
+                  key={index}
+                  data-field={errors.tierErrors?.[index] ? 'tierErrors' : undefined}
+                  className="p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3"
+                >
                   <div className="flex items-center justify-between">
                     <span className="font-medium text-gray-700">Tier {index + 1}</span>
                     {formData.pricingTiers.length > 1 && (
@@ -1208,7 +1427,7 @@ function EventForm({
                   <Info className="h-4 w-4 text-blue-500 mt-0.5 flex-shrink-0" />
                   <div className="text-sm text-blue-700">
                     <p className="font-medium">Seat arrangement will be created after the event is saved.</p>
-                    <p className="text-xs mt-1">Upload a seating map image and define seat labels using patterns like "A1-A10" or "1-50", separated by commas.</p>
+                    <p className="text-xs mt-1">Upload the venue layout, then place, draw or generate seats on it. Group seats into zones to map them to pricing tiers.</p>
                   </div>
                 </div>
 
@@ -1228,11 +1447,12 @@ function EventForm({
                 {/* Seat Labels Input */}
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Seat Labels <span className="text-red-500">*</span>
+                    Generate Seats from Pattern
                   </label>
                   <div className="flex gap-2">
                     <input
                       type="text"
+                      data-field="seatArrangement.seats"
                       value={formData.seatArrangement.seatLabelsInput}
                       onChange={(e) => handleSeatArrangementChange('seatLabelsInput', e.target.value)}
                       disabled={isLoading}
@@ -1251,20 +1471,20 @@ function EventForm({
                     </button>
                   </div>
                   <p className="mt-1 text-xs text-gray-500">
-                    Use patterns: "A1-A10" for A1, A2...A10 | "1-50" for 1, 2...50 | Comma separated for multiple ranges
+                    Use patterns: "A1-A10" for A1, A2...A10 | "1-50" for 1, 2...50 | Comma separated for multiple ranges. Generating replaces the current seats.
                   </p>
                   {errors['seatArrangement.seats'] && (
                     <p className="mt-1 text-sm text-red-500">{errors['seatArrangement.seats']}</p>
                   )}
                 </div>
 
-                {/* Generated Seats Preview */}
-                {formData.seatArrangement.seats.length > 0 && (
-                  <div>
-                    <div className="flex items-center justify-between mb-2">
-                      <label className="block text-sm font-medium text-gray-700">
-                        Generated Seats ({formData.seatArrangement.seats.length})
-                      </label>
+                {/* Seat Map Editor */}
+                <div>
+                  <div className="flex items-center justify-between mb-2">
+                    <label className="block text-sm font-medium text-gray-700">
+                      Seat Map ({formData.seatArrangement.seats.length} seats)
+                    </label>
+                    {formData.seatArrangement.seats.length > 0 && (
                       <button
                         type="button"
                         onClick={() => setFormData(prev => ({
@@ -1276,29 +1496,20 @@ function EventForm({
                       >
                         Clear all
                       </button>
-                    </div>
-                    <div className="max-h-40 overflow-y-auto p-3 bg-white border border-gray-200 rounded-lg">
-                      <div className="flex flex-wrap gap-2">
-                        {formData.seatArrangement.seats.map((seat, index) => (
-                          <span
-                            key={index}
-                            className="inline-flex items-center gap-1 px-2 py-1 bg-gray-100 text-gray-700 text-sm rounded-md border border-gray-200"
-                          >
-                            {seat.label}
-                            <button
-                              type="button"
-                              onClick={() => handleRemoveSeat(index)}
-                              disabled={isLoading}
-                              className="text-gray-400 hover:text-red-500"
-                            >
-                              <X className="h-3 w-3" />
-                            </button>
-                          </span>
-                        ))}
-                      </div>
-                    </div>
+                    )}
                   </div>
-                )}
+                  <SeatMapEditor
+                    imageUrl={formData.seatArrangement.imageUrl}
+                    seats={formData.seatArrangement.seats}
+                    zones={formData.seatArrangement.zones}
+                    pricingTiers={formData.usePricingTiers ? formData.pricingTiers : []}
+                    onChange={handleSeatMapChange}
+                    disabled={isLoading}
+                  />
+                  {errors['seatArrangement.zones'] && (
+                    <p className="mt-1 text-sm text-red-500">{errors['seatArrangement.zones']}</p>
+                  )}
+                </div>
               </div>
             )}
           </div>
@@ -1349,6 +1560,39 @@ function EventForm({
           </div>
         </div>
 
+        {/* Series edit scope */}
+        {isSeriesOccurrence && (
+          <div className="p-4 bg-gray-50 rounded-lg space-y-2">
+            <div className="flex items-center gap-2">
+              <Repeat className="h-4 w-4 text-gray-500" />
+              <span className="text-sm font-medium text-gray-700">This event is part of a series</span>
+            </div>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="radio"
+                name="applyToFutureEvents"
+                checked={!formData.applyToFutureEvents}
+                onChange={() => setFormData((prev) => ({ ...prev, applyToFutureEvents: false }))}
+                disabled={isLoading}
+              />
+              Apply changes to this event only
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="radio"
+                name="applyToFutureEvents"
+                checked={formData.applyToFutureEvents}
+                onChange={() => setFormData((prev) => ({ ...prev, applyToFutureEvents: true }))}
+                disabled={isLoading}
+              />
+              Apply changes to this and all following events in the series
+            </label>
+            <p className="text-xs text-gray-500">
+              Date changes move the following events by the same amount, keeping their spacing.
+            </p>
+          </div>
+        )}
+
         {/* Actions */}
         <div className="flex gap-3 pt-4 border-t border-gray-200">
           <button
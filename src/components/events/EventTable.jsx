@@ -1,17 +1,14 @@
-import { Eye, Edit, Trash2, RotateCcw, Trash, Loader2 } from 'lucide-react';
+import { Eye, Edit, Trash2, RotateCcw, Trash, Copy, Repeat } from 'lucide-react';
+import Table from '../ui/Table';
 import { getEventStatus, getStatusColor, formatDateTime } from '../../utils/eventStatus';
 import { getCategoryLabel } from '../../hooks/useEventsManagement';
+import { DATE_OPTIONS, formatDate as formatOrgDate } from '../../utils/dates';
 
 /**
  * Format date for display
  */
 function formatDate(isoDate) {
-  if (!isoDate) return 'N/A';
-  return new Date(isoDate).toLocaleDateString('en-IN', {
-    day: 'numeric',
-    month: 'short',
-    year: 'numeric',
-  });
+  return formatOrgDate(isoDate, DATE_OPTIONS, 'N/A');
 }
 
 /**
@@ -63,261 +60,268 @@ function getCategoryColor(category) {
 
 /**
  * EventTable Component
- * Displays events in a table format with actions
+ * Displays events in the shared data grid with actions
  */
 function EventTable({
   events,
   showDeleted,
   isLoading,
   canEdit,
+  canDuplicate,
   canDelete,
   canPermanentDelete,
   onView,
   onEdit,
+  onDuplicate,
   onDelete,
   onRestore,
   onPermanentDelete,
+  sort,
+  onSortChange,
+  bulkActions = [],
 }) {
-  if (isLoading) {
-    return (
-      <div className="bg-white rounded-xl shadow-sm p-8">
-        <div className="flex items-center justify-center">
-          <Loader2 className="h-8 w-8 animate-spin text-gray-800" />
-          <span className="ml-3 text-gray-600">Loading events...</span>
+  const columns = [
+    {
+      id: 'name',
+      header: 'Event',
+      sortable: true,
+      hideable: false,
+      render: (event) => (
+        <div className="flex items-center gap-4">
+          <div className="relative w-16 h-12 bg-gray-100 rounded-lg overflow-hidden flex-shrink-0">
+            {/* Featured Ribbon */}
+            {event.featured && (
+              <div className="absolute top-0 left-0 z-10">
+                <div className="bg-purple-600 text-white text-[8px] font-semibold px-1.5 py-0.5 rounded-br-md shadow-sm">
+                  Featured
+                </div>
+              </div>
+            )}
+            {event.thumbnail?.imageUrl || event.imageUrls?.[0] ? (
+              <img
+                src={event.thumbnail?.imageUrl || event.imageUrls?.[0]}
+                alt={event.name}
+                className="w-full h-full object-cover"
+                onError={(e) => {
+                  e.target.style.display = 'none';
+                }}
+              />
+            ) : (
+              <div className="w-full h-full flex items-center justify-center text-gray-400 text-xs">
+                No image
+              </div>
+            )}
+          </div>
+          <div className="min-w-0">
+            <div className="flex items-center gap-2">
+              <p className="font-medium text-gray-900 truncate max-w-[200px]">
+                {event.name}
+              </p>
+              {event.featured && (
+                <span className="hidden sm:inline-flex px-1.5 py-0.5 rounded text-[10px] font-medium bg-purple-100 text-purple-700">
+                  Featured
+                </span>
+              )}
+              {event.audience === 'MEMBERS_ONLY' && (
+                <span className="hidden sm:inline-flex px-1.5 py-0.5 rounded text-[10px] font-medium bg-amber-100 text-amber-700">
+                  Members Only
+                </span>
+              )}
+              {event.seriesId && (
+                <span
+                  className="hidden sm:inline-flex items-center gap-0.5 px-1.5 py-0.5 rounded text-[10px] font-medium bg-sky-100 text-sky-700"
+                  title="Part of a recurring series"
+                >
+                  <Repeat className="h-2.5 w-2.5" />
+                  Series
+                </span>
+              )}
+            </div>
+            {event.city && (
+              <p className="text-sm text-gray-500 truncate">{event.city}</p>
+            )}
+          </div>
         </div>
-      </div>
-    );
-  }
-
-  if (events.length === 0) {
-    return (
-      <div className="bg-white rounded-xl shadow-sm p-8">
-        <div className="text-center text-gray-500">
-          <p className="text-lg font-medium">No events found</p>
-          <p className="text-sm mt-1">
-            {showDeleted
-              ? 'No deleted events to display.'
-              : 'Try adjusting your filters or create a new event.'}
-          </p>
+      ),
+    },
+    {
+      id: 'category',
+      header: 'Category',
+      render: (event) => (
+        <span className={`px-3 py-1 rounded-full text-xs font-medium ${getCategoryColor(event.category)}`}>
+          {getCategoryLabel(event.category)}
+        </span>
+      ),
+    },
+    {
+      id: 'mode',
+      header: 'Mode',
+      render: (event) => <span className="text-sm text-gray-600">{event.mode}</span>,
+    },
+    {
+      id: 'startDate',
+      header: 'Event Period',
+      sortable: true,
+      render: (event) => (
+        <div className="text-sm">
+          <p className="text-gray-900 font-medium">Start</p>
+          <p className="text-gray-600 text-xs">{formatDateTime(event.startDate)}</p>
+          <p className="text-gray-900 font-medium mt-1">End</p>
+          <p className="text-gray-600 text-xs">{formatDateTime(event.endDate)}</p>
         </div>
-      </div>
-    );
-  }
-
-  return (
-    <div className="bg-white rounded-xl shadow-sm overflow-hidden">
-      <div className="overflow-x-auto">
-        <table className="w-full">
-          <thead className="bg-gray-50 border-b border-gray-200">
-            <tr>
-              <th className="text-left px-6 py-4 text-sm font-medium text-gray-600">Event</th>
-              <th className="text-left px-6 py-4 text-sm font-medium text-gray-600">Category</th>
-              <th className="text-left px-6 py-4 text-sm font-medium text-gray-600">Mode</th>
-              <th className="text-left px-6 py-4 text-sm font-medium text-gray-600">Event Period</th>
-              <th className="text-left px-6 py-4 text-sm font-medium text-gray-600">Booking Window</th>
-              <th className="text-left px-6 py-4 text-sm font-medium text-gray-600">Price</th>
-              <th className="text-left px-6 py-4 text-sm font-medium text-gray-600">Status</th>
-              <th className="text-right px-6 py-4 text-sm font-medium text-gray-600">Actions</th>
-            </tr>
-          </thead>
-          <tbody>
-            {events.map((event) => (
-              <tr
-                key={event._id}
-                className={`border-b border-gray-100 hover:bg-gray-50 ${
-                  event.isDeleted ? 'bg-red-50/50' : ''
-                }`}
-              >
-                {/* Event Name & Thumbnail */}
-                <td className="px-6 py-4">
-                  <div className="flex items-center gap-4">
-                    <div className="relative w-16 h-12 bg-gray-100 rounded-lg overflow-hidden flex-shrink-0">
-                      {/* Featured Ribbon */}
-                      {event.featured && (
-                        <div className="absolute top-0 left-0 z-10">
-                          <div className="bg-purple-600 text-white text-[8px] font-semibold px-1.5 py-0.5 rounded-br-md shadow-sm">
-                            Featured
-                          </div>
-                        </div>
-                      )}
-                      {event.thumbnail?.imageUrl || event.imageUrls?.[0] ? (
-                        <img
-                          src={event.thumbnail?.imageUrl || event.imageUrls?.[0]}
-                          alt={event.name}
-                          className="w-full h-full object-cover"
-                          onError={(e) => {
-                            e.target.style.display = 'none';
-                          }}
-                        />
-                      ) : (
-                        <div className="w-full h-full flex items-center justify-center text-gray-400 text-xs">
-                          No image
-                        </div>
-                      )}
-                    </div>
-                    <div className="min-w-0">
-                      <div className="flex items-center gap-2">
-                        <p className="font-medium text-gray-900 truncate max-w-[200px]">
-                          {event.name}
-                        </p>
-                        {event.featured && (
-                          <span className="hidden sm:inline-flex px-1.5 py-0.5 rounded text-[10px] font-medium bg-purple-100 text-purple-700">
-                            Featured
-                          </span>
-                        )}
-                        {event.audience === 'MEMBERS_ONLY' && (
-                          <span className="hidden sm:inline-flex px-1.5 py-0.5 rounded text-[10px] font-medium bg-amber-100 text-amber-700">
-                            Members Only
-                          </span>
-                        )}
-                      </div>
-                      {event.city && (
-                        <p className="text-sm text-gray-500 truncate">{event.city}</p>
-                      )}
-                    </div>
-                  </div>
-                </td>
-
-                {/* Category */}
-                <td className="px-6 py-4">
-                  <span
-                    className={`px-3 py-1 rounded-full text-xs font-medium ${getCategoryColor(
-                      event.category
-                    )}`}
-                  >
-                    {getCategoryLabel(event.category)}
-                  </span>
-                </td>
-
-                {/* Mode */}
-                <td className="px-6 py-4">
-                  <span className="text-sm text-gray-600">{event.mode}</span>
-                </td>
-
-                {/* Event Period */}
-                <td className="px-6 py-4">
-                  <div className="text-sm">
-                    <p className="text-gray-900 font-medium">Start</p>
-                    <p className="text-gray-600 text-xs">{formatDateTime(event.startDate)}</p>
-                    <p className="text-gray-900 font-medium mt-1">End</p>
-                    <p className="text-gray-600 text-xs">{formatDateTime(event.endDate)}</p>
-                  </div>
-                </td>
-
-                {/* Booking Window */}
-                <td className="px-6 py-4">
-                  <div className="text-sm">
-                    <p className="text-green-700 font-medium">Opens</p>
-                    <p className="text-gray-600 text-xs">{formatDateTime(event.bookingStartDate)}</p>
-                    <p className="text-yellow-700 font-medium mt-1">Closes</p>
-                    <p className="text-gray-600 text-xs">{formatDateTime(event.bookingEndDate)}</p>
-                  </div>
-                </td>
+      ),
+    },
+    {
+      id: 'bookingWindow',
+      header: 'Booking Window',
+      render: (event) => (
+        <div className="text-sm">
+          <p className="text-green-700 font-medium">Opens</p>
+          <p className="text-gray-600 text-xs">{formatDateTime(event.bookingStartDate)}</p>
+          <p className="text-yellow-700 font-medium mt-1">Closes</p>
+          <p className="text-gray-600 text-xs">{formatDateTime(event.bookingEndDate)}</p>
+        </div>
+      ),
+    },
+    {
+      id: 'price',
+      header: 'Price',
+      sortable: true,
+      render: (event) => (
+        <span className="text-sm font-medium text-gray-900">
+          {formatPrice(event.price, event.pricingTiers)}
+        </span>
+      ),
+    },
+    {
+      id: 'status',
+      header: 'Status',
+      render: (event) => {
+        if (event.isDeleted) {
+          return (
+            <span className="inline-flex px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-700 border border-red-300">
+              Deleted
+            </span>
+          );
+        }
 
-                {/* Price */}
-                <td className="px-6 py-4">
-                  <span className="text-sm font-medium text-gray-900">
-                    {formatPrice(event.price, event.pricingTiers)}
-                  </span>
-                </td>
+        const status = getEventStatus(event);
+        const colors = getStatusColor(status);
+        return (
+          <div className="flex flex-col gap-1.5">
+            <span className={`inline-flex px-2 py-1 rounded-full text-xs font-medium border ${colors.bg} ${colors.text} ${colors.border}`}>
+              {status}
+            </span>
+            {event.isLive && (
+              <span className="inline-flex px-2 py-1 rounded-full text-xs font-medium bg-purple-100 text-purple-700 border border-purple-300">
+                Visible
+              </span>
+            )}
+          </div>
+        );
+      },
+    },
+    {
+      id: 'actions',
+      header: 'Actions',
+      align: 'right',
+      hideable: false,
+      render: (event) => (
+        <div className="flex items-center justify-end gap-1">
+          {/* View */}
+          <button
+            onClick={() => onView(event)}
+            className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+            title="View Details"
+          >
+            <Eye className="h-4 w-4" />
+          </button>
 
-                {/* Status */}
-                <td className="px-6 py-4">
-                  <div className="flex flex-col gap-1.5">
-                    {event.isDeleted ? (
-                      <span className="inline-flex px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-700 border border-red-300">
-                        Deleted
-                      </span>
-                    ) : (
-                      <>
-                        {(() => {
-                          const status = getEventStatus(event);
-                          const colors = getStatusColor(status);
-                          return (
-                            <span className={`inline-flex px-2 py-1 rounded-full text-xs font-medium border ${colors.bg} ${colors.text} ${colors.border}`}>
-                              {status}
-                            </span>
-                          );
-                        })()}
-                        {event.isLive && (
-                          <span className="inline-flex px-2 py-1 rounded-full text-xs font-medium bg-purple-100 text-purple-700 border border-purple-300">
-                            Visible
-                          </span>
-                        )}
-                      </>
-                    )}
-                  </div>
-                </td>
+          {showDeleted ? (
+            <>
+              {/* Restore */}
+              {canEdit && (
+                <button
+                  onClick={() => onRestore(event)}
+                  className="p-2 text-green-600 hover:bg-green-50 rounded-lg transition-colors"
+                  title="Restore Event"
+                >
+                  <RotateCcw className="h-4 w-4" />
+                </button>
+              )}
 
-                {/* Actions */}
-                <td className="px-6 py-4">
-                  <div className="flex items-center justify-end gap-1">
-                    {/* View */}
-                    <button
-                      onClick={() => onView(event)}
-                      className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
-                      title="View Details"
-                    >
-                      <Eye className="h-4 w-4" />
-                    </button>
+              {/* Permanent Delete */}
+              {canPermanentDelete && (
+                <button
+                  onClick={() => onPermanentDelete(event)}
+                  className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                  title="Permanently Delete"
+                >
+                  <Trash className="h-4 w-4" />
+                </button>
+              )}
+            </>
+          ) : (
+            <>
+              {/* Edit */}
+              {canEdit && (
+                <button
+                  onClick={() => onEdit(event)}
+                  className="p-2 text-gray-800 hover:bg-blue-50 rounded-lg transition-colors"
+                  title="Edit Event"
+                >
+                  <Edit className="h-4 w-4" />
+                </button>
+              )}
 
-                    {showDeleted ? (
-                      <>
-                        {/* Restore */}
-                        {canEdit && (
-                          <button
-                            onClick={() => onRestore(event)}
-                            className="p-2 text-green-600 hover:bg-green-50 rounded-lg transition-colors"
-                            title="Restore Event"
-                          >
-                            <RotateCcw className="h-4 w-4" />
-                          </button>
-                        )}
+              {/* Duplicate */}
+              {canDuplicate && (
+                <button
+                  onClick={() => onDuplicate(event)}
+                  className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+                  title="Duplicate Event"
+                >
+                  <Copy className="h-4 w-4" />
+                </button>
+              )}
 
-                        {/* Permanent Delete */}
-                        {canPermanentDelete && (
-                          <button
-                            onClick={() => onPermanentDelete(event)}
-                            className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
-                            title="Permanently Delete"
-                          >
-                            <Trash className="h-4 w-4" />
-                          </button>
-                        )}
-                      </>
-                    ) : (
-                      <>
-                        {/* Edit */}
-                        {canEdit && (
-                          <button
-                            onClick={() => onEdit(event)}
-                            className="p-2 text-gray-800 hover:bg-blue-50 rounded-lg transition-colors"
-                            title="Edit Event"
-                          >
-                            <Edit className="h-4 w-4" />
-                          </button>
-                        )}
+              {/* Delete */}
+              {canDelete && (
+                <button
+                  onClick={() => onDelete(event)}
+                  className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                  title="Delete Event"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      ),
+    },
+  ];
 
-                        {/* Delete */}
-                        {canDelete && (
-                          <button
-                            onClick={() => onDelete(event)}
-                            className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
-                            title="Delete Event"
-                          >
-                            <Trash2 className="h-4 w-4" />
-                          </button>
-                        )}
-                      </>
-                    )}
-                  </div>
-                </td>
-              </tr>
-            ))}
-          </tbody>
-        </table>
-      </div>
-    </div>
+  return (
+    <Table
+      columns={columns}
+      data={events}
+      loading={isLoading}
+      loadingMessage="Loading events..."
+      emptyMessage="No events found"
+      emptyDescription={
+        showDeleted
+          ? 'No deleted events to display.'
+          : 'Try adjusting your filters or create a new event.'
+      }
+      rowClassName={(event) => (event.isDeleted ? 'bg-red-50/50' : '')}
+      sort={sort}
+      onSortChange={onSortChange}
+      selectable={bulkActions.length > 0}
+      bulkActions={bulkActions}
+      layoutKey="events"
+      maxHeight="70vh"
+    />
   );
 }
 
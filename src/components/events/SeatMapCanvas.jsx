@@ -0,0 +1,55 @@
+import { forwardRef } from 'react';
+import { ImageOff } from 'lucide-react';
+
+/**
+ * SeatMapCanvas Component
+ * The venue image with seats drawn on top at their percentage positions
+ * Shared by the seat map editor and the occupancy map; callers decide how each seat looks.
+ * @param {Object} props
+ * @param {string} props.imageUrl - Venue layout image
+ * @param {Object[]} props.seats - Seats with label, x and y
+ * @param {Function} props.getSeatProps - (seat) => { className, style, title } for a seat
+ * @param {Function} [props.onSeatPointerDown] - (seat, event) => void
+ * @param {React.ReactNode} [props.overlay] - Extra content over the image, e.g. a drawing rectangle
+ * @param {string} [props.className] - Extra classes for the canvas
+ */
+const SeatMapCanvas = forwardRef(function SeatMapCanvas(
+  { imageUrl, seats, getSeatProps, onSeatPointerDown, overlay, className = '', ...canvasProps },
+  ref
+) {
+  return (
+    <div
+      ref={ref}
+      className={`relative select-none touch-none overflow-hidden rounded-lg border border-gray-200 bg-white ${className}`}
+      {...canvasProps}
+    >
+      {imageUrl ? (
+        <img src={imageUrl} alt="Seat map" className="block w-full pointer-events-none" draggable={false} />
+      ) : (
+        <div className="aspect-[16/10] flex flex-col items-center justify-center gap-2 bg-gray-50 text-gray-400">
+          <ImageOff className="h-8 w-8" />
+          <span className="text-sm">Upload a venue layout to place seats on it</span>
+        </div>
+      )}
+
+      {seats.map((seat) => {
+        const { className: seatClassName = '', style, title } = getSeatProps(seat);
+        return (
+          <span
+            key={seat.label}
+            onPointerDown={onSeatPointerDown ? (event) => onSeatPointerDown(seat, event) : undefined}
+            className={`absolute -translate-x-1/2 -translate-y-1/2 min-w-5 h-5 px-0.5 flex items-center justify-center rounded text-[8px] font-semibold leading-none border ${seatClassName}`}
+            style={{ left: `${seat.x}%`, top: `${seat.y}%`, ...style }}
+            title={title ?? seat.label}
+          >
+            {seat.label}
+          </span>
+        );
+      })}
+
+      {overlay}
+    </div>
+  );
+});
+
+export default SeatMapCanvas;
@@ -0,0 +1,468 @@
+import { useRef, useState } from 'react';
+import { MousePointer2, Plus, SquareDashed, Trash2, Ban, Layers, X } from 'lucide-react';
+import seatArrangementService from '../../services/seatArrangement.service';
+import SeatMapCanvas from './SeatMapCanvas';
+
+const MODES = [
+  { id: 'select', label: 'Select & move', icon: MousePointer2 },
+  { id: 'place', label: 'Place seat', icon: Plus },
+  { id: 'draw', label: 'Draw block', icon: SquareDashed },
+];
+
+/**
+ * Colors handed out to new seat zones, in order
+ */
+const ZONE_COLORS = ['#2563eb', '#16a34a', '#d97706', '#9333ea', '#db2777', '#0891b2', '#65a30d', '#dc2626'];
+
+/**
+ * Pointer position as percentages of an element's box, clamped to 0-100
+ * @param {PointerEvent} event - Pointer event
+ * @param {HTMLElement} element - Canvas element
+ * @returns {{x: number, y: number}}
+ */
+const getPointerPercent = (event, element) => {
+  const rect = element.getBoundingClientRect();
+  const clamp = (value) => Math.min(100, Math.max(0, value));
+  return {
+    x: clamp(((event.clientX - rect.left) / rect.width) * 100),
+    y: clamp(((event.clientY - rect.top) / rect.height) * 100),
+  };
+};
+
+// Smallest rectangle (in percent) that counts as a drawn block rather than a click
+const MIN_DRAW_SIZE = 2;
+
+const getRowNumber = (label, row) => {
+  const match = label.match(/^([A-Z]*)(\d+)$/i);
+  return match && match[1].toUpperCase() === row ? Number(match[2]) : 0;
+};
+
+/**
+ * SeatMapEditor Component
+ * Place, draw or move seats on the venue layout, group them into zones mapped to
+ * pricing tiers and block seats that can't be sold
+ * @param {Object} props
+ * @param {string} props.imageUrl - Venue layout image
+ * @param {Object[]} props.seats - [{ label, x, y, zone, isBlocked }]
+ * @param {Object[]} props.zones - [{ id, name, color, pricingTier }]
+ * @param {Object[]} props.pricingTiers - The event's pricing tiers (zones map to them by name)
+ * @param {Function} props.onChange - ({ seats?, zones? }) => void
+ * @param {boolean} props.disabled - Disable editing
+ */
+function SeatMapEditor({ imageUrl, seats, zones, pricingTiers = [], onChange, disabled = false }) {
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const [mode, setMode] = useState('select');
+  const [selectedLabels, setSelectedLabels] = useState([]);
+  const [drawRect, setDrawRect] = useState(null);
+  const [placeRow, setPlaceRow] = useState('A');
+  const [grid, setGrid] = useState({ rows: 5, columns: 10, startRow: 'A' });
+  const [notice, setNotice] = useState(null);
+
+  const zonesById = new Map(zones.map((zone) => [zone.id, zone]));
+  const selectedSeats = seats.filter((seat) => selectedLabels.includes(seat.label));
+  const tierNames = pricingTiers.map((tier) => tier.name?.trim()).filter(Boolean);
+
+  const updateSeats = (nextSeats) => onChange({ seats: nextSeats });
+
+  /**
+   * Add seats, skipping labels that are already taken
+   * @param {Object[]} newSeats - Seats to add
+   */
+  const addSeats = (newSeats) => {
+    const taken = new Set(seats.map((seat) => seat.label));
+    const added = newSeats.filter((seat) => !taken.has(seat.label));
+    const skipped = newSeats.length - added.length;
+
+    setNotice(skipped > 0 ? `${skipped} seat${skipped === 1 ? '' : 's'} skipped - label already used` : null);
+    if (added.length > 0) updateSeats([...seats, ...added]);
+  };
+
+  // ============ POINTER HANDLING ============
+
+  const handleSeatPointerDown = (seat, event) => {
+    if (disabled || mode !== 'select') return;
+    event.stopPropagation();
+
+    const isSelected = selectedLabels.includes(seat.label);
+    let labels = selectedLabels;
+    if (event.shiftKey) {
+      labels = isSelected ? selectedLabels.filter((label) => label !== seat.label) : [...selectedLabels, seat.label];
+    } else if (!isSelected) {
+      labels = [seat.label];
+    }
+    setSelectedLabels(labels);
+
+    // Drag moves every selected seat together
+    canvasRef.current.setPointerCapture(event.pointerId);
+    dragRef.current = {
+      start: getPointerPercent(event, canvasRef.current),
+      origins: new Map(seats.filter((item) => labels.includes(item.label)).map((item) => [item.label, item])),
+    };
+  };
+
+  const handleCanvasPointerDown = (event) => {
+    if (disabled) return;
+    const point = getPointerPercent(event, canvasRef.current);
+
+    if (mode === 'select') {
+      setSelectedLabels([]);
+    } else if (mode === 'place') {
+      const row = placeRow.trim().toUpperCase();
+      const nextNumber = Math.max(0, ...seats.map((seat) => getRowNumber(seat.label, row))) + 1;
+      addSeats([{ label: `${row}${nextNumber}`, ...point }]);
+    } else if (mode === 'draw') {
+      canvasRef.current.setPointerCapture(event.pointerId);
+      setDrawRect({ start: point, end: point });
+    }
+  };
+
+  const handleCanvasPointerMove = (event) => {
+    if (dragRef.current) {
+      const point = getPointerPercent(event, canvasRef.current);
+      const { start, origins } = dragRef.current;
+      const clamp = (value) => Math.min(100, Math.max(0, value));
+
+      updateSeats(
+        seats.map((seat) => {
+          const origin = origins.get(seat.label);
+          return origin
+            ? { ...seat, x: clamp(origin.x + point.x - start.x), y: clamp(origin.y + point.y - start.y) }
+            : seat;
+        })
+      );
+    } else if (drawRect) {
+      setDrawRect((prev) => ({ ...prev, end: getPointerPercent(event, canvasRef.current) }));
+    }
+  };
+
+  const handleCanvasPointerUp = () => {
+    dragRef.current = null;
+    if (!drawRect) return;
+
+    const area = {
+      x: Math.min(drawRect.start.x, drawRect.end.x),
+      y: Math.min(drawRect.start.y, drawRect.end.y),
+      width: Math.abs(drawRect.end.x - drawRect.start.x),
+      height: Math.abs(drawRect.end.y - drawRect.start.y),
+    };
+    setDrawRect(null);
+
+    if (area.width < MIN_DRAW_SIZE && area.height < MIN_DRAW_SIZE) return;
+    addSeats(
+      seatArrangementService.generateSeatGrid({
+        rows: Number(grid.rows) || 1,
+        columns: Number(grid.columns) || 1,
+        startRow: grid.startRow.trim() || 'A',
+        area,
+      })
+    );
+  };
+
+  // ============ SELECTION ACTIONS ============
+
+  const updateSelected = (changes) =>
+    updateSeats(seats.map((seat) => (selectedLabels.includes(seat.label) ? { ...seat, ...changes } : seat)));
+
+  const handleDeleteSelected = () => {
+    updateSeats(seats.filter((seat) => !selectedLabels.includes(seat.label)));
+    setSelectedLabels([]);
+  };
+
+  const handleRename = (label) => {
+    const trimmed = label.trim();
+    const [seat] = selectedSeats;
+    if (!trimmed || trimmed === seat.label) return;
+
+    if (seats.some((item) => item.label === trimmed)) {
+      setNotice(`Seat ${trimmed} already exists`);
+      return;
+    }
+    setNotice(null);
+    updateSeats(seats.map((item) => (item.label === seat.label ? { ...item, label: trimmed } : item)));
+    setSelectedLabels([trimmed]);
+  };
+
+  const allSelectedBlocked = selectedSeats.length > 0 && selectedSeats.every((seat) => seat.isBlocked);
+
+  // ============ ZONES ============
+
+  const handleAddZone = () => {
+    const zone = {
+      id: `zone-${Date.now().toString(36)}`,
+      name: `Zone ${zones.length + 1}`,
+      color: ZONE_COLORS[zones.length % ZONE_COLORS.length],
+      pricingTier: tierNames[zones.length] || '',
+    };
+    onChange({ zones: [...zones, zone] });
+  };
+
+  const handleZoneChange = (id, changes) =>
+    onChange({ zones: zones.map((zone) => (zone.id === id ? { ...zone, ...changes } : zone)) });
+
+  const handleRemoveZone = (id) =>
+    onChange({
+      zones: zones.filter((zone) => zone.id !== id),
+      seats: seats.map((seat) => (seat.zone === id ? { ...seat, zone: null } : seat)),
+    });
+
+  const getSeatProps = (seat) => {
+    const zone = zonesById.get(seat.zone);
+    const isSelected = selectedLabels.includes(seat.label);
+    return {
+      className: `${seat.isBlocked ? 'bg-gray-300 text-gray-500 line-through' : 'bg-white text-gray-800'} ${
+        isSelected ? 'ring-2 ring-offset-1 ring-gray-900' : ''
+      } ${mode === 'select' && !disabled ? 'cursor-move' : ''}`,
+      style: { borderColor: zone?.color || '#9ca3af' },
+      title: [seat.label, zone?.name, seat.isBlocked && 'Blocked'].filter(Boolean).join(' · '),
+    };
+  };
+
+  const drawOverlay = drawRect && (
+    <div
+      className="absolute border-2 border-dashed border-gray-900 bg-gray-900/10 pointer-events-none"
+      style={{
+        left: `${Math.min(drawRect.start.x, drawRect.end.x)}%`,
+        top: `${Math.min(drawRect.start.y, drawRect.end.y)}%`,
+        width: `${Math.abs(drawRect.end.x - drawRect.start.x)}%`,
+        height: `${Math.abs(drawRect.end.y - drawRect.start.y)}%`,
+      }}
+    />
+  );
+
+  return (
+    <div className="space-y-3">
+      {/* Toolbar */}
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="inline-flex rounded-lg border border-gray-300 bg-white p-0.5">
+          {MODES.map((item) => (
+            <button
+              key={item.id}
+              type="button"
+              onClick={() => setMode(item.id)}
+              disabled={disabled}
+              className={`inline-flex items-center gap-1.5 px-2.5 py-1.5 text-xs font-medium rounded-md transition-colors ${
+                mode === item.id ? 'bg-gray-800 text-white' : 'text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              <item.icon className="h-3.5 w-3.5" />
+              {item.label}
+            </button>
+          ))}
+        </div>
+
+        {mode === 'place' && (
+          <label className="flex items-center gap-1.5 text-xs text-gray-600">
+            Row
+            <input
+              type="text"
+              value={placeRow}
+              onChange={(e) => setPlaceRow(e.target.value.replace(/[^a-z]/gi, '').slice(0, 2))}
+              className="w-12 px-2 py-1 border border-gray-300 rounded-md text-xs outline-none focus:border-gray-800"
+            />
+          </label>
+        )}
+
+        {mode === 'draw' && (
+          <div className="flex items-center gap-2 text-xs text-gray-600">
+            <label className="flex items-center gap-1.5">
+              Rows
+              <input
+                type="number"
+                min="1"
+                max="26"
+                value={grid.rows}
+                onChange={(e) => setGrid((prev) => ({ ...prev, rows: e.target.value }))}
+                className="w-14 px-2 py-1 border border-gray-300 rounded-md text-xs outline-none focus:border-gray-800"
+              />
+            </label>
+            <label className="flex items-center gap-1.5">
+              Seats per row
+              <input
+                type="number"
+                min="1"
+                max="100"
+                value={grid.columns}
+                onChange={(e) => setGrid((prev) => ({ ...prev, columns: e.target.value }))}
+                className="w-14 px-2 py-1 border border-gray-300 rounded-md text-xs outline-none focus:border-gray-800"
+              />
+            </label>
+            <label className="flex items-center gap-1.5">
+              First row
+              <input
+                type="text"
+                value={grid.startRow}
+                onChange={(e) =>
+                  setGrid((prev) => ({ ...prev, startRow: e.target.value.replace(/[^a-z]/gi, '').slice(0, 1) }))
+                }
+                className="w-10 px-2 py-1 border border-gray-300 rounded-md text-xs outline-none focus:border-gray-800"
+              />
+            </label>
+          </div>
+        )}
+      </div>
+
+      <p className="text-xs text-gray-500">
+        {mode === 'select' && 'Click a seat to select it, Shift+click to select several, then drag to move them.'}
+        {mode === 'place' && 'Click on the layout to add the next seat in the row.'}
+        {mode === 'draw' && 'Drag a rectangle over the layout to fill it with a block of seats.'}
+      </p>
+
+      {notice && <p className="text-xs text-orange-600">{notice}</p>}
+
+      {/* Canvas */}
+      <SeatMapCanvas
+        ref={canvasRef}
+        imageUrl={imageUrl}
+        seats={seats}
+        getSeatProps={getSeatProps}
+        onSeatPointerDown={handleSeatPointerDown}
+        onPointerDown={handleCanvasPointerDown}
+        onPointerMove={handleCanvasPointerMove}
+        onPointerUp={handleCanvasPointerUp}
+        overlay={drawOverlay}
+        className={mode === 'select' ? '' : 'cursor-crosshair'}
+      />
+
+      {/* Selection actions */}
+      {selectedSeats.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 p-2 bg-white border border-gray-200 rounded-lg text-xs">
+          <span className="font-medium text-gray-700">{selectedSeats.length} selected</span>
+
+          {selectedSeats.length === 1 && (
+            <input
+              key={selectedSeats[0].label}
+              type="text"
+              defaultValue={selectedSeats[0].label}
+              onBlur={(e) => handleRename(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') {
+                  e.preventDefault();
+                  handleRename(e.target.value);
+                }
+              }}
+              disabled={disabled}
+              className="w-20 px-2 py-1 border border-gray-300 rounded-md outline-none focus:border-gray-800"
+              aria-label="Seat label"
+            />
+          )}
+
+          <select
+            value={selectedSeats.every((seat) => seat.zone === selectedSeats[0].zone) ? selectedSeats[0].zone || '' : ''}
+            onChange={(e) => updateSelected({ zone: e.target.value || null })}
+            disabled={disabled}
+            className="px-2 py-1 border border-gray-300 rounded-md outline-none focus:border-gray-800 bg-white"
+          >
+            <option value="">No zone</option>
+            {zones.map((zone) => (
+              <option key={zone.id} value={zone.id}>
+                {zone.name}
+              </option>
+            ))}
+          </select>
+
+          <button
+            type="button"
+            onClick={() => updateSelected({ isBlocked: !allSelectedBlocked })}
+            disabled={disabled}
+            className="inline-flex items-center gap-1 px-2 py-1 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            <Ban className="h-3.5 w-3.5" />
+            {allSelectedBlocked ? 'Unblock' : 'Block'}
+          </button>
+          <button
+            type="button"
+            onClick={handleDeleteSelected}
+            disabled={disabled}
+            className="inline-flex items-center gap-1 px-2 py-1 text-red-600 border border-red-200 rounded-md hover:bg-red-50"
+          >
+            <Trash2 className="h-3.5 w-3.5" />
+            Delete
+          </button>
+        </div>
+      )}
+
+      {/* Zones */}
+      <div className="p-3 bg-white border border-gray-200 rounded-lg space-y-2" data-field="seatArrangement.zones">
+        <div className="flex items-center justify-between">
+          <span className="flex items-center gap-1.5 text-sm font-medium text-gray-700">
+            <Layers className="h-4 w-4" />
+            Zones
+          </span>
+          <button
+            type="button"
+            onClick={handleAddZone}
+            disabled={disabled}
+            className="inline-flex items-center gap-1 text-xs text-gray-700 hover:text-gray-900"
+          >
+            <Plus className="h-3.5 w-3.5" />
+            Add zone
+          </button>
+        </div>
+
+        {zones.length === 0 ? (
+          <p className="text-xs text-gray-500">
+            Group seats into zones to sell them under different pricing tiers.
+          </p>
+        ) : (
+          <ul className="space-y-2">
+            {zones.map((zone) => {
+              const seatCount = seats.filter((seat) => seat.zone === zone.id).length;
+              return (
+                <li key={zone.id} className="flex flex-wrap items-center gap-2">
+                  <input
+                    type="color"
+                    value={zone.color}
+                    onChange={(e) => handleZoneChange(zone.id, { color: e.target.value })}
+                    disabled={disabled}
+                    className="h-7 w-7 rounded border border-gray-300 cursor-pointer"
+                    aria-label="Zone color"
+                  />
+                  <input
+                    type="text"
+                    value={zone.name}
+                    onChange={(e) => handleZoneChange(zone.id, { name: e.target.value })}
+                    disabled={disabled}
+                    className="flex-1 min-w-32 px-2 py-1 border border-gray-300 rounded-md text-sm outline-none focus:border-gray-800"
+                    placeholder="Zone name"
+                  />
+                  <select
+                    value={zone.pricingTier || ''}
+                    onChange={(e) => handleZoneChange(zone.id, { pricingTier: e.target.value })}
+                    disabled={disabled}
+                    className="px-2 py-1 border border-gray-300 rounded-md text-sm outline-none focus:border-gray-800 bg-white"
+                  >
+                    <option value="">No pricing tier</option>
+                    {tierNames.map((name) => (
+                      <option key={name} value={name}>
+                        {name}
+                      </option>
+                    ))}
+                    {zone.pricingTier && !tierNames.includes(zone.pricingTier) && (
+                      <option value={zone.pricingTier}>{zone.pricingTier} (removed)</option>
+                    )}
+                  </select>
+                  <span className="text-xs text-gray-500 w-16 text-right">
+                    {seatCount} seat{seatCount === 1 ? '' : 's'}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => handleRemoveZone(zone.id)}
+                    disabled={disabled}
+                    className="p-1 text-gray-400 hover:text-red-500"
+                    aria-label="Remove zone"
+                  >
+                    <X className="h-4 w-4" />
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SeatMapEditor;
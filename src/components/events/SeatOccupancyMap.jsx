@@ -0,0 +1,125 @@
+import { useEffect } from 'react';
+import { Armchair, Loader2 } from 'lucide-react';
+import seatArrangementService from '../../services/seatArrangement.service';
+import useQuery from '../../hooks/useQuery';
+import SeatMapCanvas from './SeatMapCanvas';
+
+// How often the map refreshes while open
+const REFRESH_INTERVAL_MS = 15 * 1000;
+
+const STATUS_STYLES = {
+  AVAILABLE: { label: 'Free', className: 'bg-white text-gray-800', swatch: 'bg-white border-gray-400' },
+  BOOKED: { label: 'Booked', className: 'bg-gray-800 text-white', swatch: 'bg-gray-800 border-gray-800' },
+  BLOCKED: { label: 'Blocked', className: 'bg-gray-300 text-gray-500 line-through', swatch: 'bg-gray-300 border-gray-300' },
+};
+
+/**
+ * SeatOccupancyMap Component
+ * Live view of an event's seat map with booked, free and blocked seats, per zone
+ * Renders nothing when the event has no seat arrangement.
+ * @param {Object} props
+ * @param {string} props.eventId - Event ID
+ */
+function SeatOccupancyMap({ eventId }) {
+  const { data, isLoading, refetch } = useQuery(
+    ['seatArrangements', eventId],
+    () => seatArrangementService.getSeatArrangement(eventId),
+    { staleTime: REFRESH_INTERVAL_MS }
+  );
+
+  const arrangement = data?.arrangement;
+  const hasSeats = arrangement?.seats?.length > 0;
+
+  // Bookings keep coming in while the details are open
+  useEffect(() => {
+    if (!hasSeats) return undefined;
+    const interval = setInterval(refetch, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [hasSeats, refetch]);
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center py-6">
+        <Loader2 className="h-5 w-5 text-gray-400 animate-spin" />
+      </div>
+    );
+  }
+
+  if (!hasSeats) return null;
+
+  const seats = seatArrangementService.layoutSeats(arrangement.seats);
+  const zones = arrangement.zones || [];
+  const zonesById = new Map(zones.map((zone) => [zone.id, zone]));
+
+  const countByStatus = (items) =>
+    items.reduce(
+      (counts, seat) => {
+        counts[seatArrangementService.getSeatStatus(seat)] += 1;
+        return counts;
+      },
+      { AVAILABLE: 0, BOOKED: 0, BLOCKED: 0 }
+    );
+
+  const totals = countByStatus(seats);
+  const sellable = totals.AVAILABLE + totals.BOOKED;
+
+  const getSeatProps = (seat) => {
+    const status = seatArrangementService.getSeatStatus(seat);
+    const zone = zonesById.get(seat.zone);
+    return {
+      className: STATUS_STYLES[status].className,
+      style: { borderColor: zone?.color || '#9ca3af' },
+      title: [seat.label, zone?.name, STATUS_STYLES[status].label].filter(Boolean).join(' · '),
+    };
+  };
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center gap-2 text-gray-500">
+          <Armchair className="h-4 w-4" />
+          <span className="text-sm font-medium">Seat Occupancy</span>
+        </div>
+        <span className="text-sm text-gray-700">
+          <span className="font-semibold">{totals.BOOKED}</span> of {sellable} booked
+          {sellable > 0 && ` (${Math.round((totals.BOOKED / sellable) * 100)}%)`}
+        </span>
+      </div>
+
+      {/* Legend */}
+      <div className="flex flex-wrap gap-4 text-xs text-gray-600">
+        {Object.entries(STATUS_STYLES).map(([status, { label, swatch }]) => (
+          <span key={status} className="flex items-center gap-1.5">
+            <span className={`h-3 w-3 rounded border ${swatch}`} />
+            {label} ({totals[status]})
+          </span>
+        ))}
+      </div>
+
+      <SeatMapCanvas imageUrl={arrangement.imageUrl} seats={seats} getSeatProps={getSeatProps} />
+
+      {/* Per-zone breakdown */}
+      {zones.length > 0 && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+          {zones.map((zone) => {
+            const counts = countByStatus(seats.filter((seat) => seat.zone === zone.id));
+            return (
+              <div key={zone.id} className="flex items-center justify-between p-2 bg-white rounded-lg border border-gray-200 text-sm">
+                <span className="flex items-center gap-2 min-w-0">
+                  <span className="h-3 w-3 rounded-full shrink-0" style={{ backgroundColor: zone.color }} />
+                  <span className="truncate text-gray-900">{zone.name}</span>
+                  {zone.pricingTier && <span className="truncate text-xs text-gray-500">{zone.pricingTier}</span>}
+                </span>
+                <span className="text-gray-600 shrink-0">
+                  {counts.BOOKED}/{counts.AVAILABLE + counts.BOOKED}
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SeatOccupancyMap;
@@ -1,44 +1,25 @@
 import { Calendar, Clock, Ticket, CheckCircle2 } from 'lucide-react';
+import TimezoneHint from '../ui/TimezoneHint';
+import { formatDateTime, isValidTimeline } from '../../utils/eventStatus';
 
 /**
  * TimelinePreview Component
  * Visual representation of event timeline with booking window
+ * Dates are ISO strings, shown in the organization's timezone
  */
 function TimelinePreview({ startDate, endDate, bookingStartDate, bookingEndDate }) {
-  // Format date for display
-  const formatDate = (dateString) => {
-    if (!dateString) return '—';
-    const date = new Date(dateString);
-    return date.toLocaleString('en-IN', {
-      month: 'short',
-      day: 'numeric',
-      year: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
-    });
-  };
-
   // Check if all dates are provided
   const allDatesProvided = startDate && endDate && bookingStartDate && bookingEndDate;
 
-  // Calculate if dates are valid
-  const isValidTimeline = () => {
-    if (!allDatesProvided) return false;
-    const bs = new Date(bookingStartDate);
-    const be = new Date(bookingEndDate);
-    const es = new Date(startDate);
-    const ee = new Date(endDate);
-    return bs < be && es < ee && bs < ee && be <= ee;
-  };
-
   return (
     <div className="bg-gradient-to-br from-blue-50 to-indigo-50 border border-blue-200 rounded-xl p-6">
       <div className="flex items-center gap-2 mb-4">
         <Clock className="h-5 w-5 text-blue-600" />
         <h4 className="text-lg font-semibold text-gray-900">Event Timeline Preview</h4>
+        <TimezoneHint className="ml-auto" />
       </div>
 
-      {allDatesProvided && isValidTimeline() ? (
+      {allDatesProvided && isValidTimeline({ startDate, endDate, bookingStartDate, bookingEndDate }) ? (
         <div className="space-y-6">
           {/* Timeline visualization */}
           <div className="relative">
@@ -56,7 +37,7 @@ function TimelinePreview({ startDate, endDate, bookingStartDate, bookingEndDate
                   <Ticket className="h-6 w-6 text-white" />
                 </div>
                 <span className="text-xs font-semibold text-green-700 text-center mb-1">Booking Opens</span>
-                <span className="text-xs text-gray-600 text-center">{formatDate(bookingStartDate)}</span>
+                <span className="text-xs text-gray-600 text-center">{formatDateTime(bookingStartDate)}</span>
               </div>
 
               {/* Event Start */}
@@ -65,7 +46,7 @@ function TimelinePreview({ startDate, endDate, bookingStartDate, bookingEndDate
                   <Calendar className="h-6 w-6 text-white" />
                 </div>
                 <span className="text-xs font-semibold text-blue-700 text-center mb-1">Event Starts</span>
-                <span className="text-xs text-gray-600 text-center">{formatDate(startDate)}</span>
+                <span className="text-xs text-gray-600 text-center">{formatDateTime(startDate)}</span>
               </div>
 
               {/* Booking End */}
@@ -74,7 +55,7 @@ function TimelinePreview({ startDate, endDate, bookingStartDate, bookingEndDate
                   <CheckCircle2 className="h-6 w-6 text-white" />
                 </div>
                 <span className="text-xs font-semibold text-yellow-700 text-center mb-1">Booking Closes</span>
-                <span className="text-xs text-gray-600 text-center">{formatDate(bookingEndDate)}</span>
+                <span className="text-xs text-gray-600 text-center">{formatDateTime(bookingEndDate)}</span>
               </div>
 
               {/* Event End */}
@@ -83,7 +64,7 @@ function TimelinePreview({ startDate, endDate, bookingStartDate, bookingEndDate
                   <Calendar className="h-6 w-6 text-white" />
                 </div>
                 <span className="text-xs font-semibold text-indigo-700 text-center mb-1">Event Ends</span>
-                <span className="text-xs text-gray-600 text-center">{formatDate(endDate)}</span>
+                <span className="text-xs text-gray-600 text-center">{formatDateTime(endDate)}</span>
               </div>
             </div>
           </div>
@@ -3,3 +3,6 @@ export { default as EventDetailsModal } from './EventDetailsModal';
 export { default as EventFilters } from './EventFilters';
 export { default as EventTable } from './EventTable';
 export { default as TimelinePreview } from './TimelinePreview';
+export { default as SeatMapEditor } from './SeatMapEditor';
+export { default as SeatOccupancyMap } from './SeatOccupancyMap';
+export { default as EventCalendar } from './EventCalendar';
@@ -16,20 +16,12 @@ import {
   Percent,
 } from 'lucide-react';
 import Modal from '../ui/Modal';
+import { formatDateTime } from '../../utils/dates';
 
 /**
  * Format date for display
  */
-const formatDate = (dateString) => {
-  if (!dateString) return 'N/A';
-  return new Date(dateString).toLocaleString('en-IN', {
-    day: 'numeric',
-    month: 'short',
-    year: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit',
-  });
-};
+const formatDate = (dateString) => formatDateTime(dateString, 'N/A');
 
 /**
  * Status badge configuration
@@ -81,7 +73,13 @@ function RequestDetailsModal({ request, onClose, onApprove, onReject, onResendLi
   const StatusIcon = statusConfig.icon;
 
   return (
-    <Modal isOpen={true} onClose={onClose} title="Membership Request Details" size="xl">
+    <Modal
+      isOpen={true}
+      onClose={onClose}
+      title="Membership Request Details"
+      size="xl"
+      historyEntity={{ type: 'MEMBERSHIP_REQUEST', id: request._id }}
+    >
       <div className="space-y-6">
         {/* Status Badge */}
         <div className="flex items-center justify-between">
@@ -0,0 +1,149 @@
+import { CreditCard, Hash, User, Phone, Mail, Clock, Tag, Receipt, RotateCcw, AlertCircle } from 'lucide-react';
+import Modal from '../ui/Modal';
+import OptionBadge from '../ui/OptionBadge';
+import { formatCurrency } from '../../services/analytics.service';
+import { formatDateTime } from '../../utils/eventStatus';
+import { getOptionLabel } from '../../utils/enrollments';
+import { PAYMENT_METHOD_OPTIONS, PAYMENT_STATUSES, PAYMENT_TYPES, REFUND_STATUSES } from '../../utils/payments';
+
+// Label of the booking reference per payment type
+const REFERENCE_LABELS = {
+  EVENT: 'Booking Order ID',
+  MEMBERSHIP: 'Membership ID',
+  SERVICE: 'Service Order ID',
+  SESSION: 'Booking Reference',
+  CASH: 'Ticket Signature',
+};
+
+/**
+ * Info row component
+ */
+function InfoRow({ icon, label, value, mono = false }) {
+  const Icon = icon;
+  return (
+    <div className="flex items-start gap-3">
+      <div className="shrink-0 w-8 h-8 bg-gray-100 rounded-lg flex items-center justify-center">
+        <Icon className="h-4 w-4 text-gray-600" />
+      </div>
+      <div className="flex-1 min-w-0">
+        <p className="text-xs text-gray-500">{label}</p>
+        <p className={`text-sm font-medium text-gray-900 break-all ${mono ? 'font-mono' : ''}`}>{value || '-'}</p>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * PaymentDetailsDrawer Component
+ * Side drawer with the amounts, gateway references and refunds of one payment
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the drawer is visible
+ * @param {Function} props.onClose - Callback when the drawer is closed
+ * @param {Object} props.payment - Payment from the ledger
+ */
+function PaymentDetailsDrawer({ isOpen, onClose, payment }) {
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Payment Details" size="lg" placement="right">
+      {payment && (
+        <div className="space-y-6">
+          {/* Status */}
+          <div className="flex flex-wrap items-center gap-2">
+            <OptionBadge options={PAYMENT_STATUSES} value={payment.status} />
+            <OptionBadge options={PAYMENT_TYPES} value={payment.type} />
+            {payment.refundStatus !== 'NONE' && <OptionBadge options={REFUND_STATUSES} value={payment.refundStatus} />}
+          </div>
+
+          {payment.failureReason && (
+            <div className="flex items-start gap-2 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+              <AlertCircle className="h-4 w-4 shrink-0 mt-0.5" />
+              {payment.failureReason}
+            </div>
+          )}
+
+          {/* Amounts */}
+          <div className="bg-gray-50 rounded-lg p-4 space-y-2 text-sm">
+            <p className="font-medium text-gray-900 mb-3">{payment.description}</p>
+            <div className="flex justify-between text-gray-600">
+              <span>Price</span>
+              <span>{formatCurrency(payment.originalAmount)}</span>
+            </div>
+            {payment.discountAmount > 0 && (
+              <div className="flex justify-between text-green-700">
+                <span>Discount{payment.couponCode && ` (${payment.couponCode})`}</span>
+                <span>- {formatCurrency(payment.discountAmount)}</span>
+              </div>
+            )}
+            <div className="flex justify-between pt-2 border-t border-gray-200 font-semibold text-gray-900">
+              <span>{payment.status === 'SUCCESS' ? 'Paid' : 'Amount Due'}</span>
+              <span>{formatCurrency(payment.amount)}</span>
+            </div>
+            {payment.refundedAmount > 0 && (
+              <>
+                <div className="flex justify-between text-purple-700">
+                  <span>Refunded</span>
+                  <span>- {formatCurrency(payment.refundedAmount)}</span>
+                </div>
+                <div className="flex justify-between font-semibold text-gray-900">
+                  <span>Net</span>
+                  <span>{formatCurrency(payment.amount - payment.refundedAmount)}</span>
+                </div>
+              </>
+            )}
+          </div>
+
+          {/* Customer */}
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <InfoRow icon={User} label="Customer" value={payment.customerName} />
+            <InfoRow icon={Phone} label="Phone Number" value={payment.customerPhone} />
+            <InfoRow icon={Mail} label="Email" value={payment.customerEmail} />
+            <InfoRow icon={Clock} label={payment.paidAt ? 'Paid At' : 'Created At'} value={formatDateTime(payment.paidAt || payment.createdAt)} />
+          </div>
+
+          {/* Gateway */}
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 pt-4 border-t border-gray-200">
+            <InfoRow
+              icon={CreditCard}
+              label="Method"
+              value={`${getOptionLabel(PAYMENT_METHOD_OPTIONS, payment.method)}${payment.gateway === 'CASH' ? '' : ` via ${payment.gateway}`}`}
+            />
+            <InfoRow icon={Receipt} label={REFERENCE_LABELS[payment.type] || 'Reference'} value={payment.sourceReference} mono />
+            {payment.gateway !== 'CASH' && (
+              <>
+                <InfoRow icon={Hash} label="Gateway Order ID" value={payment.gatewayOrderId} mono />
+                <InfoRow icon={Hash} label="Gateway Payment ID" value={payment.gatewayPaymentId || 'Not captured'} mono />
+              </>
+            )}
+            {payment.collectedBy && <InfoRow icon={User} label="Collected By" value={payment.collectedBy.name} />}
+            {payment.couponCode && <InfoRow icon={Tag} label="Coupon" value={payment.couponCode} mono />}
+          </div>
+
+          {/* Refunds */}
+          {payment.refunds?.length > 0 && (
+            <div className="pt-4 border-t border-gray-200">
+              <h3 className="flex items-center gap-2 text-sm font-semibold text-gray-900 mb-3">
+                <RotateCcw className="h-4 w-4" />
+                Refunds
+              </h3>
+              <div className="space-y-2">
+                {payment.refunds.map((refund) => (
+                  <div key={refund.refundId} className="p-3 border border-gray-200 rounded-lg text-sm">
+                    <div className="flex items-center justify-between">
+                      <span className="font-medium text-gray-900">{formatCurrency(refund.amount)}</span>
+                      <span className="text-xs text-gray-500">{formatDateTime(refund.createdAt)}</span>
+                    </div>
+                    <p className="text-xs text-gray-500 font-mono mt-1">
+                      {refund.refundId} · {refund.status}
+                    </p>
+                    {refund.reason && <p className="text-gray-600 mt-1">{refund.reason}</p>}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </Modal>
+  );
+}
+
+export default PaymentDetailsDrawer;
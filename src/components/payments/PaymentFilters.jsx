@@ -0,0 +1,143 @@
+import { Search, X, RotateCcw } from 'lucide-react';
+import useSyncedInput from '../../hooks/useSyncedInput';
+import { PAYMENT_METHOD_OPTIONS, PAYMENT_STATUSES, PAYMENT_TYPES, REFUND_STATUSES } from '../../utils/payments';
+
+const selectClassName =
+  'w-full px-3 py-2 border border-gray-300 rounded-lg focus:border-gray-800 outline-none bg-white';
+
+/**
+ * Select over an options list with an "all" choice
+ */
+function FilterSelect({ label, allLabel, options, value, onChange }) {
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+      <select value={value} onChange={(e) => onChange(e.target.value)} className={selectClassName}>
+        <option value="">{allLabel}</option>
+        {options.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+/**
+ * PaymentFilters Component
+ * Search, type, status, refund, method and date range controls for the payments ledger
+ * @param {Object} props
+ * @param {Object} props.filters - Current filters
+ * @param {Function} props.onFilterChange - (changes) => void
+ * @param {Function} props.onSearchChange - (search) => void, debounced by the caller
+ * @param {Function} props.onReset - Clear every filter
+ */
+function PaymentFilters({ filters, onFilterChange, onSearchChange, onReset }) {
+  const [searchInput, setSearchInput] = useSyncedInput(filters.search || '');
+
+  const handleSearchChange = (value) => {
+    setSearchInput(value);
+    onSearchChange(value);
+  };
+
+  const hasActiveFilters =
+    filters.type ||
+    filters.status ||
+    filters.refundStatus ||
+    filters.method ||
+    filters.startDate ||
+    filters.endDate ||
+    searchInput;
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-4 space-y-3">
+      <div className="relative">
+        <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-gray-400" />
+        <input
+          type="text"
+          placeholder="Search by customer, phone, email, gateway ID, reference or coupon..."
+          value={searchInput}
+          onChange={(e) => handleSearchChange(e.target.value)}
+          className="w-full pl-10 pr-10 py-2 border border-gray-300 rounded-lg focus:border-gray-800 outline-none"
+        />
+        {searchInput && (
+          <button
+            onClick={() => handleSearchChange('')}
+            className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-400 hover:text-gray-600"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-6 gap-3">
+        <FilterSelect
+          label="Type"
+          allLabel="All Types"
+          options={PAYMENT_TYPES}
+          value={filters.type}
+          onChange={(type) => onFilterChange({ type })}
+        />
+        <FilterSelect
+          label="Status"
+          allLabel="All Status"
+          options={PAYMENT_STATUSES}
+          value={filters.status}
+          onChange={(status) => onFilterChange({ status })}
+        />
+        <FilterSelect
+          label="Refund"
+          allLabel="Any Refund State"
+          options={REFUND_STATUSES}
+          value={filters.refundStatus}
+          onChange={(refundStatus) => onFilterChange({ refundStatus })}
+        />
+        <FilterSelect
+          label="Method"
+          allLabel="All Methods"
+          options={PAYMENT_METHOD_OPTIONS}
+          value={filters.method}
+          onChange={(method) => onFilterChange({ method })}
+        />
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+          <input
+            type="date"
+            value={filters.startDate}
+            max={filters.endDate || undefined}
+            onChange={(e) => onFilterChange({ startDate: e.target.value })}
+            className={selectClassName}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+          <input
+            type="date"
+            value={filters.endDate}
+            min={filters.startDate || undefined}
+            onChange={(e) => onFilterChange({ endDate: e.target.value })}
+            className={selectClassName}
+          />
+        </div>
+      </div>
+
+      {hasActiveFilters && (
+        <div className="flex justify-end">
+          <button
+            onClick={() => {
+              setSearchInput('');
+              onReset();
+            }}
+            className="flex items-center gap-2 px-3 py-1.5 text-sm text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+          >
+            <RotateCcw className="h-4 w-4" />
+            Reset
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PaymentFilters;
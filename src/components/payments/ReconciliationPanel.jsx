@@ -0,0 +1,110 @@
+import { CheckCircle2, AlertTriangle, AlertCircle, Loader2, Scale } from 'lucide-react';
+import { formatCurrency } from '../../services/analytics.service';
+import { TIME_RANGES } from '../../utils/timeRanges';
+
+/**
+ * ReconciliationPanel Component
+ * Compares the ledger's successful gateway payments with the Dashboard's revenue
+ * figures over one of the Dashboard's time ranges
+ * @param {Object} props
+ * @param {string} props.range - Selected TIME_RANGES value
+ * @param {Function} props.onRangeChange - (range) => void
+ * @param {Object[]} props.rows - Rows from reconcileWithDashboard
+ * @param {number} props.refundedAmount - Refunds on the period's payments
+ * @param {boolean} props.isLoading - Whether either side is loading
+ * @param {string} props.error - Error loading either side
+ */
+function ReconciliationPanel({ range, onRangeChange, rows, refundedAmount, isLoading, error }) {
+  const mismatches = rows.filter((row) => row.difference !== 0);
+  const format = (row, value) => (row.isCurrency ? formatCurrency(value) : value);
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm overflow-hidden">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 px-6 py-4 border-b border-gray-200">
+        <div className="flex items-center gap-2">
+          <Scale className="h-5 w-5 text-gray-700" />
+          <div>
+            <h2 className="font-semibold text-gray-900">Dashboard Reconciliation</h2>
+            <p className="text-xs text-gray-500">
+              Successful gateway payments against the Dashboard's revenue. Cash is reported with cash tickets.
+            </p>
+          </div>
+        </div>
+        <select
+          value={range}
+          onChange={(e) => onRangeChange(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:border-gray-800 outline-none bg-white text-sm"
+        >
+          {TIME_RANGES.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error ? (
+        <div className="flex items-center gap-2 px-6 py-4 text-sm text-red-700 bg-red-50">
+          <AlertCircle className="h-4 w-4 shrink-0" />
+          Could not reconcile: {error}
+        </div>
+      ) : isLoading ? (
+        <div className="px-6 py-8 text-center">
+          <Loader2 className="h-6 w-6 text-gray-800 animate-spin mx-auto" />
+        </div>
+      ) : (
+        <>
+          <div
+            className={`flex items-center gap-2 px-6 py-3 text-sm ${
+              mismatches.length ? 'bg-amber-50 text-amber-800' : 'bg-green-50 text-green-700'
+            }`}
+          >
+            {mismatches.length ? (
+              <AlertTriangle className="h-4 w-4 shrink-0" />
+            ) : (
+              <CheckCircle2 className="h-4 w-4 shrink-0" />
+            )}
+            {mismatches.length
+              ? `${mismatches.length} figure${mismatches.length !== 1 ? 's' : ''} differ from the Dashboard`
+              : 'The ledger matches the Dashboard'}
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 border-b border-gray-200">
+                <tr>
+                  <th className="text-left px-6 py-3 font-medium text-gray-600">Figure</th>
+                  <th className="text-right px-6 py-3 font-medium text-gray-600">Ledger</th>
+                  <th className="text-right px-6 py-3 font-medium text-gray-600">Dashboard</th>
+                  <th className="text-right px-6 py-3 font-medium text-gray-600">Difference</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <tr key={row.key} className="border-b border-gray-100">
+                    <td className="px-6 py-3 text-gray-900">{row.label}</td>
+                    <td className="px-6 py-3 text-right text-gray-900">{format(row, row.ledger)}</td>
+                    <td className="px-6 py-3 text-right text-gray-900">{format(row, row.dashboard)}</td>
+                    <td
+                      className={`px-6 py-3 text-right font-medium ${
+                        row.difference === 0 ? 'text-green-600' : 'text-amber-700'
+                      }`}
+                    >
+                      {row.difference === 0 ? 'Matches' : `${row.difference > 0 ? '+' : '-'}${format(row, Math.abs(row.difference))}`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {refundedAmount > 0 && (
+            <p className="px-6 py-3 text-xs text-gray-500">
+              {formatCurrency(refundedAmount)} was refunded on these payments; the Dashboard's revenue doesn't deduct refunds.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ReconciliationPanel;
@@ -1,15 +1,11 @@
 import { Calendar, MapPin, Globe, BarChart3, Edit2, Trash2, Plus, Eye, MessageCircle, Bell } from 'lucide-react';
+import { DATE_OPTIONS, formatDate as formatOrgDate } from '../../utils/dates';
 
 /**
  * Format date for display
  */
 function formatDate(isoDate) {
-  if (!isoDate) return 'N/A';
-  return new Date(isoDate).toLocaleDateString('en-IN', {
-    day: 'numeric',
-    month: 'short',
-    year: 'numeric',
-  });
+  return formatOrgDate(isoDate, DATE_OPTIONS, 'N/A');
 }
 
 /**
@@ -1,15 +1,12 @@
 import { Calendar, MessageCircle, CheckCircle, Clock } from 'lucide-react';
 import Modal from '../ui/Modal';
+import { formatDate as formatOrgDate } from '../../utils/dates';
 
 /**
  * Format date for display
  */
 function formatDate(isoDate) {
-  if (!isoDate) return 'N/A';
-  return new Date(isoDate).toLocaleString('en-IN', {
-    dateStyle: 'medium',
-    timeStyle: 'short',
-  });
+  return formatOrgDate(isoDate, { dateStyle: 'medium', timeStyle: 'short' }, 'N/A');
 }
 
 /**
@@ -30,6 +27,7 @@ function PollDetailsModal({
       onClose={onClose}
       title="Poll Details"
       size="2xl"
+      historyEntity={{ type: 'POLL', id: poll._id }}
     >
       <div className="space-y-6">
         {/* Event Info */}
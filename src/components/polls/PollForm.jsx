@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { Loader2, Plus, Trash2, GripVertical } from 'lucide-react';
 import Modal from '../ui/Modal';
+import logger from '../../utils/logger';
 
 /**
  * Get initial form state for poll
@@ -85,7 +86,7 @@ function PollForm({
     if (isOpen) {
       setFormData(getInitialFormState(poll));
       setErrors({});
-      console.log('[PollForm] Form initialized:', { isEditMode, poll });
+      logger.debug('[PollForm] Form initialized:', { isEditMode, poll });
     }
   }, [isOpen, poll]);
 
@@ -187,7 +188,7 @@ function PollForm({
     const validation = validateForm(formData);
     if (!validation.isValid) {
       setErrors(validation.errors);
-      console.log('[PollForm] Validation failed:', validation.errors);
+      logger.debug('[PollForm] Validation failed:', validation.errors);
       return;
     }
 
@@ -207,7 +208,7 @@ function PollForm({
       submitData.isActive = formData.isActive;
     }
 
-    console.log('[PollForm] Submitting:', submitData);
+    logger.debug('[PollForm] Submitting:', submitData);
     await onSubmit(submitData);
   };
 
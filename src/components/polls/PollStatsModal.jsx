@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { Loader2, BarChart3, Users, CheckCircle } from 'lucide-react';
 import Modal from '../ui/Modal';
+import logger from '../../utils/logger';
 
 /**
  * Progress bar component for displaying percentage
@@ -51,7 +52,7 @@ function PollStatsModal({
   // Fetch stats when modal opens
   useEffect(() => {
     if (isOpen && poll && onFetchStats) {
-      console.log('[PollStatsModal] Fetching stats for poll:', poll._id);
+      logger.debug('[PollStatsModal] Fetching stats for poll:', poll._id);
       onFetchStats(poll._id);
     }
   }, [isOpen, poll, onFetchStats]);
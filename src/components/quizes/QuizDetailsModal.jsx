@@ -14,21 +14,12 @@ import {
   RefreshCw,
 } from 'lucide-react';
 import Modal from '../ui/Modal';
+import { DATE_TIME_OPTIONS, formatDate as formatOrgDate } from '../../utils/dates';
 
 /**
  * Format date for display
  */
-const formatDate = (dateString) => {
-  if (!dateString) return '-';
-  const date = new Date(dateString);
-  return date.toLocaleDateString('en-IN', {
-    day: 'numeric',
-    month: 'short',
-    year: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit',
-  });
-};
+const formatDate = (dateString) => formatOrgDate(dateString, DATE_TIME_OPTIONS, '-');
 
 /**
  * Format currency
@@ -68,7 +59,13 @@ function QuizDetailsModal({ isOpen, onClose, quiz, isLoading = false }) {
   const totalPoints = quiz?.questions?.reduce((sum, q) => sum + (q.points || 0), 0) || 0;
 
   return (
-    <Modal isOpen={isOpen} onClose={onClose} title="Quiz Details" size="lg">
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Quiz Details"
+      size="lg"
+      historyEntity={{ type: 'QUIZ', id: quiz?._id }}
+    >
       {isLoading ? (
         <div className="py-12 flex flex-col items-center justify-center">
           <Loader2 className="h-8 w-8 text-gray-800 animate-spin" />
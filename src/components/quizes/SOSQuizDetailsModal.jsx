@@ -11,20 +11,14 @@ import {
   AlignLeft,
   CheckSquare,
 } from 'lucide-react';
+import { DATE_OPTIONS, formatDate as formatOrgDate } from '../../utils/dates';
 
 /**
  * Format date to readable format
  * @param {string} dateString - ISO date string
  * @returns {string} Formatted date
  */
-const formatDate = (dateString) => {
-  if (!dateString) return '-';
-  return new Date(dateString).toLocaleDateString('en-IN', {
-    day: 'numeric',
-    month: 'short',
-    year: 'numeric',
-  });
-};
+const formatDate = (dateString) => formatOrgDate(dateString, DATE_OPTIONS, '-');
 
 /**
  * Question type display names
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { Loader2, AlertCircle, Plus, Trash2, GripVertical } from 'lucide-react';
 import Modal from '../ui/Modal';
+import logger from '../../utils/logger';
 
 /**
  * Get initial form state
@@ -352,7 +353,7 @@ function SOSQuizForm({
       submitData.dayNumber = parseInt(formData.dayNumber, 10);
     }
 
-    console.log('[SOSQuizForm] Submitting data:', submitData);
+    logger.debug('[SOSQuizForm] Submitting data:', submitData);
     const result = await onSubmit(submitData);
     if (result?.success) {
       onClose();
@@ -1,40 +1,32 @@
 import { User, Phone, Mail, Calendar, Clock, CheckCircle, XCircle, FileText } from 'lucide-react';
 import Modal from '../ui/Modal';
 import StatusBadge from './StatusBadge';
+import { DATE_OPTIONS, DATE_TIME_OPTIONS, formatDate as formatOrgDate } from '../../utils/dates';
 
 /**
  * RequestDetailsModal Component
  * Modal for viewing full request details
+ * `entityType` is the audit entity type of the queue, e.g. 'ROUND_TABLE_REQUEST'
  */
-function RequestDetailsModal({ request, onClose, onApprove, onReject, title = 'Request Details' }) {
+function RequestDetailsModal({ request, onClose, onApprove, onReject, title = 'Request Details', entityType }) {
   /**
    * Format date for display
    */
-  const formatDate = (dateString) => {
-    if (!dateString) return 'N/A';
-    return new Date(dateString).toLocaleDateString('en-IN', {
-      day: 'numeric',
-      month: 'short',
-      year: 'numeric',
-    });
-  };
+  const formatDate = (dateString) => formatOrgDate(dateString, DATE_OPTIONS, 'N/A');
 
   /**
    * Format date with time
    */
-  const formatDateTime = (dateString) => {
-    if (!dateString) return 'N/A';
-    return new Date(dateString).toLocaleString('en-IN', {
-      day: 'numeric',
-      month: 'short',
-      year: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
-    });
-  };
+  const formatDateTime = (dateString) => formatOrgDate(dateString, DATE_TIME_OPTIONS, 'N/A');
 
   return (
-    <Modal isOpen={true} onClose={onClose} title={title} size="lg">
+    <Modal
+      isOpen={true}
+      onClose={onClose}
+      title={title}
+      size="lg"
+      historyEntity={{ type: entityType, id: request._id }}
+    >
       <div className="space-y-6">
         {/* Status Badge */}
         <div className="flex items-center justify-between">
@@ -0,0 +1,79 @@
+import { useState } from 'react';
+import { Loader2, Lock } from 'lucide-react';
+import Modal from '../ui/Modal';
+
+/**
+ * KioskExitDialog Component
+ * Asks for the exit PIN before the kiosk lets go of the device
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the dialog is visible
+ * @param {Function} props.onClose - Callback when the dialog is closed
+ * @param {Function} props.onExit - (pin) => Promise<{ success: boolean, message?: string }>
+ */
+function KioskExitDialog({ isOpen, onClose, onExit }) {
+  const [pin, setPin] = useState('');
+  const [error, setError] = useState('');
+  const [isChecking, setIsChecking] = useState(false);
+
+  const handleClose = () => {
+    setPin('');
+    setError('');
+    onClose();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!pin) return;
+
+    setIsChecking(true);
+    const result = await onExit(pin);
+    setIsChecking(false);
+
+    if (!result.success) {
+      setPin('');
+      setError(result.message);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} title="Exit kiosk mode" size="sm">
+      <form onSubmit={handleSubmit} className="flex flex-col items-center text-center">
+        <div className="w-12 h-12 rounded-full bg-gray-100 text-gray-700 flex items-center justify-center mb-4">
+          <Lock className="h-6 w-6" />
+        </div>
+        <p className="text-gray-600 mb-4">Enter the PIN the kiosk was started with</p>
+        <input
+          type="password"
+          inputMode="numeric"
+          autoComplete="off"
+          autoFocus
+          value={pin}
+          onChange={(e) => setPin(e.target.value.replace(/\D/g, ''))}
+          maxLength={8}
+          className="w-full px-4 py-3 border border-gray-300 rounded-lg text-center text-2xl tracking-[0.5em] focus:border-gray-800 outline-none"
+        />
+        {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+        <div className="flex gap-3 w-full mt-6">
+          <button
+            type="button"
+            onClick={handleClose}
+            disabled={isChecking}
+            className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={!pin || isChecking}
+            className="flex-1 flex items-center justify-center gap-2 px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors disabled:opacity-50"
+          >
+            {isChecking && <Loader2 className="h-4 w-4 animate-spin" />}
+            Unlock
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
+
+export default KioskExitDialog;
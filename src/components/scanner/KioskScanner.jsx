@@ -0,0 +1,62 @@
+import { useEffect, useEffectEvent } from 'react';
+import { Html5Qrcode } from 'html5-qrcode';
+import logger from '../../utils/logger';
+
+const SCANNER_ELEMENT_ID = 'kiosk-scanner';
+
+// Starts and stops run one after another, so a remount never opens the camera twice
+let cameraQueue = Promise.resolve();
+
+/**
+ * KioskScanner Component
+ * Keeps the back camera reading codes until it unmounts
+ * @param {Object} props
+ * @param {Function} props.onScan - (decodedText) => void, called for every read
+ * @param {Function} props.onError - (error) => void, called when the camera can't start
+ */
+function KioskScanner({ onScan, onError }) {
+  const handleScan = useEffectEvent((decodedText) => onScan(decodedText));
+  const handleError = useEffectEvent((error) => onError(error));
+
+  useEffect(() => {
+    let scanner = null;
+
+    cameraQueue = cameraQueue.then(async () => {
+      try {
+        scanner = new Html5Qrcode(SCANNER_ELEMENT_ID);
+        await scanner.start(
+          { facingMode: 'environment' },
+          {
+            fps: 10,
+            qrbox: (width, height) => {
+              const size = Math.floor(Math.min(width, height) * 0.7);
+              return { width: size, height: size };
+            },
+          },
+          (decodedText) => handleScan(decodedText),
+          () => {} // No code in this frame
+        );
+        logger.debug('[KioskScanner] Camera started');
+      } catch (error) {
+        logger.error('[KioskScanner] Error starting camera:', error);
+        handleError(error);
+      }
+    });
+
+    return () => {
+      cameraQueue = cameraQueue.then(async () => {
+        try {
+          if (scanner?.isScanning) await scanner.stop();
+          scanner?.clear();
+          logger.debug('[KioskScanner] Camera stopped');
+        } catch (error) {
+          logger.error('[KioskScanner] Error stopping camera:', error);
+        }
+      });
+    };
+  }, []);
+
+  return <div id={SCANNER_ELEMENT_ID} className="w-full h-full [&_video]:object-cover" />;
+}
+
+export default KioskScanner;
@@ -0,0 +1,155 @@
+import { useState } from 'react';
+import { DoorOpen, Loader2, MonitorSmartphone } from 'lucide-react';
+import Modal from '../ui/Modal';
+import { KIOSK_COOLDOWN_OPTIONS, KIOSK_DEFAULTS, KIOSK_RESET_OPTIONS, isValidKioskPin } from '../../utils/kiosk';
+
+/**
+ * KioskSetupModal Component
+ * Picks the exit PIN and timings before the device is locked to the kiosk
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the modal is visible
+ * @param {Function} props.onClose - Callback when the modal is closed
+ * @param {Function} props.onStart - ({ pin, settings }) => Promise<void>
+ * @param {Object|null} props.gate - Gate this device is registered at
+ */
+function KioskSetupModal({ isOpen, onClose, onStart, gate }) {
+  const [pin, setPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+  const [settings, setSettings] = useState(KIOSK_DEFAULTS);
+  const [isStarting, setIsStarting] = useState(false);
+
+  const pinError = pin && !isValidKioskPin(pin)
+    ? 'Use 4 to 8 digits'
+    : confirmPin && pin !== confirmPin
+      ? 'The PINs don\'t match'
+      : '';
+
+  const handleClose = () => {
+    setPin('');
+    setConfirmPin('');
+    onClose();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!isValidKioskPin(pin) || pin !== confirmPin) return;
+
+    setIsStarting(true);
+    try {
+      await onStart({ pin, settings });
+    } finally {
+      setIsStarting(false);
+    }
+  };
+
+  const handleNumberChange = (field) => (e) =>
+    setSettings((prev) => ({ ...prev, [field]: Number(e.target.value) }));
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} title="Start kiosk mode" size="md" closeOnOverlayClick={!isStarting}>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <p className="text-sm text-gray-600">
+          The scanner goes full screen and keeps reading tickets. The admin panel stays locked until
+          the exit PIN is entered.
+        </p>
+
+        <div className={`flex items-start gap-2 rounded-lg px-3 py-2 text-sm ${gate ? 'bg-gray-50 text-gray-700' : 'bg-yellow-50 text-yellow-800'}`}>
+          <DoorOpen className="h-4 w-4 mt-0.5 shrink-0" />
+          {gate
+            ? <span>Check-ins are reported for <span className="font-semibold">{gate.gateName}</span></span>
+            : <span>This device isn't registered at a gate - its check-ins show up as unassigned</span>}
+        </div>
+
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Exit PIN</label>
+            <input
+              type="password"
+              inputMode="numeric"
+              autoComplete="off"
+              value={pin}
+              onChange={(e) => setPin(e.target.value.replace(/\D/g, ''))}
+              maxLength={8}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:border-gray-800 outline-none tracking-widest"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Repeat PIN</label>
+            <input
+              type="password"
+              inputMode="numeric"
+              autoComplete="off"
+              value={confirmPin}
+              onChange={(e) => setConfirmPin(e.target.value.replace(/\D/g, ''))}
+              maxLength={8}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:border-gray-800 outline-none tracking-widest"
+            />
+          </div>
+        </div>
+        {pinError && <p className="text-xs text-red-600 -mt-2">{pinError}</p>}
+
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Show result for</label>
+            <select
+              value={settings.resetSeconds}
+              onChange={handleNumberChange('resetSeconds')}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:border-gray-800 outline-none bg-white"
+            >
+              {KIOSK_RESET_OPTIONS.map((seconds) => (
+                <option key={seconds} value={seconds}>
+                  {seconds} seconds
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Ignore repeat scans for</label>
+            <select
+              value={settings.cooldownSeconds}
+              onChange={handleNumberChange('cooldownSeconds')}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:border-gray-800 outline-none bg-white"
+            >
+              {KIOSK_COOLDOWN_OPTIONS.map((seconds) => (
+                <option key={seconds} value={seconds}>
+                  {seconds} seconds
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={settings.isSoundOn}
+            onChange={(e) => setSettings((prev) => ({ ...prev, isSoundOn: e.target.checked }))}
+            className="rounded border-gray-300"
+          />
+          Play a sound for every scan
+        </label>
+
+        <div className="flex gap-3 pt-2">
+          <button
+            type="button"
+            onClick={handleClose}
+            disabled={isStarting}
+            className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={!isValidKioskPin(pin) || pin !== confirmPin || isStarting}
+            className="flex-1 flex items-center justify-center gap-2 px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors disabled:opacity-50"
+          >
+            {isStarting ? <Loader2 className="h-4 w-4 animate-spin" /> : <MonitorSmartphone className="h-4 w-4" />}
+            Start kiosk
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
+
+export default KioskSetupModal;
@@ -0,0 +1,172 @@
+import { useState } from 'react';
+import { Search, UserCheck, Loader2, ChevronLeft, ChevronRight } from 'lucide-react';
+import { formatDateTime } from '../../utils/dates';
+
+/**
+ * ManualCheckInPanel Component
+ * Finds an event's ticket holders without their QR code and checks them in by hand
+ * @param {Object} props
+ * @param {Object[]} props.events - Events to pick from
+ * @param {string} props.selectedEventId - Event being searched
+ * @param {Function} props.onEventChange - (eventId) => void
+ * @param {Object[]} props.ticketHolders - Current page of matching ticket holders
+ * @param {Object} props.pagination - { currentPage, totalPages, totalCount }
+ * @param {boolean} props.isLoading - Whether ticket holders are loading
+ * @param {Function} props.onSearch - (term) => void - phone, name, email or ticket ID
+ * @param {Function} props.onPageChange - (page) => void
+ * @param {Function} props.onCheckIn - (ticket) => void
+ * @param {string|null} props.checkingInId - Enrollment being checked in
+ */
+function ManualCheckInPanel({
+  events,
+  selectedEventId,
+  onEventChange,
+  ticketHolders,
+  pagination,
+  isLoading,
+  onSearch,
+  onPageChange,
+  onCheckIn,
+  checkingInId,
+}) {
+  const [searchTerm, setSearchTerm] = useState('');
+
+  const handleEventChange = (eventId) => {
+    setSearchTerm('');
+    onEventChange(eventId);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSearch(searchTerm.trim());
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 sm:p-6 space-y-4">
+      <div>
+        <h2 className="text-lg font-bold text-gray-900">Manual Check-in</h2>
+        <p className="text-sm text-gray-500 mt-1">For guests whose QR code won't scan</p>
+      </div>
+
+      <select
+        value={selectedEventId}
+        onChange={(e) => handleEventChange(e.target.value)}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:border-gray-800 outline-none bg-white"
+      >
+        <option value="">Select an event...</option>
+        {events.map((event) => (
+          <option key={event._id} value={event._id}>
+            {event.name}
+          </option>
+        ))}
+      </select>
+
+      {selectedEventId && (
+        <>
+          <form onSubmit={handleSubmit} className="flex gap-2">
+            <div className="relative flex-1">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+              <input
+                type="text"
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                placeholder="Phone, name, email or ticket ID"
+                className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg text-sm focus:border-gray-800 outline-none"
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={isLoading}
+              className="px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors disabled:opacity-50 text-sm"
+            >
+              Search
+            </button>
+          </form>
+
+          {isLoading ? (
+            <div className="flex justify-center py-6">
+              <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+            </div>
+          ) : ticketHolders.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center py-4">No ticket holders match this search.</p>
+          ) : (
+            <div className="divide-y divide-gray-100 max-h-96 overflow-y-auto -mx-1">
+              {ticketHolders.map((ticket) => {
+                const name = ticket.user?.name || ticket.name || 'Unknown';
+                const phone = ticket.phone || ticket.user?.phone;
+                const email = ticket.user?.email || ticket.email;
+                const isCancelled = ticket.status === 'CANCELLED';
+
+                return (
+                  <div key={`${ticket.enrollmentType}-${ticket.enrollmentId}`} className="flex items-center justify-between gap-3 px-1 py-3">
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-gray-900 truncate">
+                        {name}
+                        <span className="ml-2 px-1.5 py-0.5 bg-gray-100 text-gray-600 rounded text-xs font-normal">
+                          {ticket.enrollmentType === 'CASH' ? 'Cash' : 'Online'}
+                        </span>
+                      </p>
+                      <p className="text-xs text-gray-500 truncate">
+                        {[phone, email, ticket.tierName].filter(Boolean).join(' · ')}
+                      </p>
+                      <p className="text-xs text-gray-400 font-mono truncate">{ticket.enrollmentId}</p>
+                      {isCancelled ? (
+                        <p className="text-xs font-medium text-red-600 mt-0.5">Ticket cancelled</p>
+                      ) : ticket.isTicketScanned ? (
+                        <p className="text-xs font-medium text-amber-700 mt-0.5">
+                          Checked in {formatDateTime(ticket.ticketScannedAt)}
+                        </p>
+                      ) : (
+                        <p className="text-xs font-medium text-green-700 mt-0.5">Not checked in</p>
+                      )}
+                    </div>
+                    <button
+                      onClick={() => onCheckIn(ticket)}
+                      disabled={isCancelled || ticket.isTicketScanned || !!checkingInId}
+                      className="flex items-center gap-1.5 px-3 py-1.5 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors disabled:opacity-40 text-sm shrink-0"
+                    >
+                      {checkingInId === ticket.enrollmentId ? (
+                        <Loader2 className="h-4 w-4 animate-spin" />
+                      ) : (
+                        <UserCheck className="h-4 w-4" />
+                      )}
+                      Check in
+                    </button>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          {pagination.totalPages > 1 && (
+            <div className="flex items-center justify-between text-sm text-gray-600">
+              <span>
+                Page {pagination.currentPage} of {pagination.totalPages} · {pagination.totalCount} tickets
+              </span>
+              <div className="flex gap-1">
+                <button
+                  onClick={() => onPageChange(pagination.currentPage - 1)}
+                  disabled={isLoading || pagination.currentPage <= 1}
+                  className="p-1.5 rounded-lg hover:bg-gray-100 disabled:opacity-40"
+                  title="Previous page"
+                >
+                  <ChevronLeft className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => onPageChange(pagination.currentPage + 1)}
+                  disabled={isLoading || pagination.currentPage >= pagination.totalPages}
+                  className="p-1.5 rounded-lg hover:bg-gray-100 disabled:opacity-40"
+                  title="Next page"
+                >
+                  <ChevronRight className="h-4 w-4" />
+                </button>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ManualCheckInPanel;
@@ -0,0 +1,181 @@
+import { useState } from 'react';
+import { Wifi, WifiOff, Download, RefreshCw, Trash2, Loader2, CloudUpload, AlertTriangle } from 'lucide-react';
+import { formatDateTime } from '../../utils/dates';
+
+/**
+ * OfflineCheckInPanel Component
+ * Prepares events for offline scanning and reports the sync queue and its conflicts
+ * @param {Object} props
+ * @param {boolean} props.isSupported - Whether the browser has IndexedDB
+ * @param {boolean} props.isOnline - Browser connectivity
+ * @param {Object[]} props.events - Events that can be prepared
+ * @param {Object[]} props.preparedEvents - Events with a downloaded ticket list
+ * @param {number} props.pendingCount - Check-ins waiting to sync
+ * @param {Object[]} props.conflicts - Check-ins the server rejected on sync
+ * @param {string|null} props.preparingEventId - Event being downloaded
+ * @param {boolean} props.isSyncing - Whether the queue is syncing
+ * @param {Function} props.onPrepare - (eventId) => void
+ * @param {Function} props.onRemove - (eventId) => void
+ * @param {Function} props.onSync - Sync the queue now
+ * @param {Function} props.onDismissConflicts - Clear the conflict report
+ */
+function OfflineCheckInPanel({
+  isSupported,
+  isOnline,
+  events,
+  preparedEvents,
+  pendingCount,
+  conflicts,
+  preparingEventId,
+  isSyncing,
+  onPrepare,
+  onRemove,
+  onSync,
+  onDismissConflicts,
+}) {
+  const [eventId, setEventId] = useState('');
+
+  if (!isSupported) {
+    return (
+      <div className="bg-gray-50 rounded-xl p-4 border border-gray-200 text-sm text-gray-600">
+        This browser can't store tickets, so offline check-in is unavailable.
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 sm:p-6 space-y-4">
+      <div className="flex items-center justify-between gap-2">
+        <h2 className="text-lg font-bold text-gray-900">Offline Check-in</h2>
+        <span
+          className={`inline-flex items-center gap-1.5 px-2.5 py-1 rounded-full text-xs font-medium ${
+            isOnline ? 'bg-green-100 text-green-700' : 'bg-amber-100 text-amber-800'
+          }`}
+        >
+          {isOnline ? <Wifi className="h-3.5 w-3.5" /> : <WifiOff className="h-3.5 w-3.5" />}
+          {isOnline ? 'Online' : 'Offline'}
+        </span>
+      </div>
+
+      {/* Prepare an event */}
+      <div className="flex flex-col sm:flex-row gap-2">
+        <select
+          value={eventId}
+          onChange={(e) => setEventId(e.target.value)}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:border-gray-800 outline-none bg-white"
+        >
+          <option value="">Select an event...</option>
+          {events.map((event) => (
+            <option key={event._id} value={event._id}>
+              {event.name}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={() => onPrepare(eventId)}
+          disabled={!eventId || !isOnline || !!preparingEventId}
+          className="flex items-center justify-center gap-2 px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors disabled:opacity-50 text-sm"
+        >
+          {preparingEventId === eventId && eventId ? (
+            <Loader2 className="h-4 w-4 animate-spin" />
+          ) : (
+            <Download className="h-4 w-4" />
+          )}
+          Prepare for offline
+        </button>
+      </div>
+
+      {/* Prepared events */}
+      {preparedEvents.length > 0 ? (
+        <div className="space-y-2">
+          {preparedEvents.map((event) => (
+            <div key={event.eventId} className="flex items-center justify-between gap-3 p-3 bg-gray-50 rounded-lg">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-900 truncate">{event.name}</p>
+                <p className="text-xs text-gray-500">
+                  {event.ticketCount} tickets · saved {formatDateTime(event.preparedAt)}
+                </p>
+                {event.isTruncated && (
+                  <p className="text-xs text-yellow-700 flex items-center gap-1 mt-0.5">
+                    <AlertTriangle className="h-3 w-3 shrink-0" />
+                    Only {event.ticketCount} of {event.expectedCount} tickets downloaded
+                  </p>
+                )}
+              </div>
+              <div className="flex items-center gap-1 shrink-0">
+                <button
+                  onClick={() => onPrepare(event.eventId)}
+                  disabled={!isOnline || !!preparingEventId}
+                  className="p-2 text-gray-600 hover:bg-gray-200 rounded-lg transition-colors disabled:opacity-50"
+                  title="Download again"
+                >
+                  <RefreshCw className={`h-4 w-4 ${preparingEventId === event.eventId ? 'animate-spin' : ''}`} />
+                </button>
+                <button
+                  onClick={() => onRemove(event.eventId)}
+                  disabled={!!preparingEventId}
+                  className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-50"
+                  title="Remove offline list"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">
+          Prepare an event before doors open, so its tickets can still be checked in if the connection drops.
+        </p>
+      )}
+
+      {/* Sync queue */}
+      {(pendingCount > 0 || isSyncing) && (
+        <div className="flex items-center justify-between gap-3 p-3 bg-blue-50 rounded-lg">
+          <p className="text-sm text-blue-800">
+            {pendingCount} check-in{pendingCount !== 1 ? 's' : ''} waiting to sync
+          </p>
+          <button
+            onClick={onSync}
+            disabled={!isOnline || isSyncing}
+            className="flex items-center gap-2 px-3 py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 text-sm"
+          >
+            {isSyncing ? <Loader2 className="h-4 w-4 animate-spin" /> : <CloudUpload className="h-4 w-4" />}
+            Sync now
+          </button>
+        </div>
+      )}
+
+      {/* Conflicts reported by the last sync */}
+      {conflicts.length > 0 && (
+        <div className="border border-amber-200 rounded-lg overflow-hidden">
+          <div className="flex items-center justify-between gap-2 px-3 py-2 bg-amber-50">
+            <p className="flex items-center gap-2 text-sm font-medium text-amber-800">
+              <AlertTriangle className="h-4 w-4" />
+              {conflicts.length} sync conflict{conflicts.length !== 1 ? 's' : ''}
+            </p>
+            <button onClick={onDismissConflicts} className="text-xs text-amber-800 hover:underline">
+              Dismiss
+            </button>
+          </div>
+          <div className="divide-y divide-amber-100 max-h-60 overflow-y-auto">
+            {conflicts.map((scan) => (
+              <div key={scan.id} className="px-3 py-2 text-sm">
+                <p className="font-medium text-gray-900">
+                  {scan.name || 'Unknown'} <span className="font-normal text-gray-500">{scan.phone}</span>
+                </p>
+                <p className="text-amber-800">{scan.reason}</p>
+                <p className="text-xs text-gray-500">
+                  Scanned here {formatDateTime(scan.scannedAt)}
+                  {scan.serverScannedAt && ` · first checked in ${formatDateTime(scan.serverScannedAt)}`}
+                </p>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default OfflineCheckInPanel;
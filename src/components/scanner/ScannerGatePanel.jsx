@@ -0,0 +1,113 @@
+import { useState } from 'react';
+import { DoorOpen, Loader2, Pencil } from 'lucide-react';
+
+/**
+ * ScannerGatePanel Component
+ * Shows the gate this device scans at, and registers it at another
+ * @param {Object} props
+ * @param {Object|null} props.gate - { gateName, eventId, eventName } this device is registered at
+ * @param {string} props.deviceId - This device's ID
+ * @param {Object[]} props.events - Events a gate can be restricted to
+ * @param {boolean} props.isRegistering - Whether a registration is in progress
+ * @param {Function} props.onRegister - ({ gateName, eventId, eventName }) => Promise<boolean>
+ * @param {Function} props.onLeave - Clear the registration
+ */
+function ScannerGatePanel({ gate, deviceId, events, isRegistering, onRegister, onLeave }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [gateName, setGateName] = useState(gate?.gateName || '');
+  const [eventId, setEventId] = useState(gate?.eventId || '');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const event = events.find((item) => item._id === eventId);
+    const isRegistered = await onRegister({ gateName: gateName.trim(), eventId, eventName: event?.name });
+    if (isRegistered) setIsEditing(false);
+  };
+
+  if (gate && !isEditing) {
+    return (
+      <div className="flex flex-wrap items-center justify-between gap-3 bg-white rounded-xl shadow-sm border border-gray-200 px-4 py-3">
+        <div className="flex items-center gap-3 min-w-0">
+          <DoorOpen className="h-5 w-5 text-gray-700 shrink-0" />
+          <p className="text-sm text-gray-700 truncate">
+            Scanning at <span className="font-semibold text-gray-900">{gate.gateName}</span>
+            {gate.eventName && <> for <span className="font-semibold text-gray-900">{gate.eventName}</span></>}
+            <span className="ml-2 text-xs text-gray-500 font-mono">{deviceId}</span>
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setIsEditing(true)}
+            className="flex items-center gap-1.5 px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            <Pencil className="h-3.5 w-3.5" />
+            Change
+          </button>
+          <button
+            onClick={onLeave}
+            className="px-3 py-1.5 text-sm text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+          >
+            Leave gate
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 space-y-3">
+      <div>
+        <h2 className="text-sm font-bold text-gray-900 flex items-center gap-2">
+          <DoorOpen className="h-4 w-4" />
+          Register this scanner
+        </h2>
+        <p className="text-xs text-gray-500 mt-1">
+          Name the gate so its check-ins show up on the check-in dashboard. Device {deviceId}
+        </p>
+      </div>
+      <div className="flex flex-col sm:flex-row gap-2">
+        <input
+          type="text"
+          value={gateName}
+          onChange={(e) => setGateName(e.target.value)}
+          placeholder="Gate name, e.g. North Entrance"
+          maxLength={40}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:border-gray-800 outline-none"
+        />
+        <select
+          value={eventId}
+          onChange={(e) => setEventId(e.target.value)}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:border-gray-800 outline-none bg-white"
+        >
+          <option value="">Any event</option>
+          {events.map((event) => (
+            <option key={event._id} value={event._id}>
+              {event.name}
+            </option>
+          ))}
+        </select>
+        <div className="flex gap-2">
+          <button
+            type="submit"
+            disabled={!gateName.trim() || isRegistering}
+            className="flex items-center justify-center gap-2 px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors disabled:opacity-50 text-sm"
+          >
+            {isRegistering && <Loader2 className="h-4 w-4 animate-spin" />}
+            Register
+          </button>
+          {gate && (
+            <button
+              type="button"
+              onClick={() => setIsEditing(false)}
+              className="px-3 py-2 text-sm text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </div>
+    </form>
+  );
+}
+
+export default ScannerGatePanel;
@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import { X, AlertCircle, Loader2, CheckCircle, UserCheck, UserX } from 'lucide-react';
 import Modal from '../ui/Modal';
 import serviceService from '../../services/service.service';
+import logger from '../../utils/logger';
 
 /**
  * GeneratePaymentLinkForm Component
@@ -55,7 +56,7 @@ function GeneratePaymentLinkForm({
         setServices(result.data.services || []);
       }
     } catch (err) {
-      console.error('Failed to fetch services:', err);
+      logger.error('Failed to fetch services:', err);
     } finally {
       setIsLoadingServices(false);
     }
@@ -1,6 +1,8 @@
 import { Clock, User, Phone, CreditCard, Package, MessageCircle, ExternalLink, Copy, Check, UserCheck, UserX, Tag } from 'lucide-react';
 import { useState } from 'react';
 import Modal from '../ui/Modal';
+import logger from '../../utils/logger';
+import { DATE_TIME_OPTIONS, formatDate as formatOrgDate } from '../../utils/dates';
 
 /**
  * Format currency
@@ -17,14 +19,7 @@ function formatCurrency(amount) {
  * Format date
  */
 function formatDate(isoDate) {
-  if (!isoDate) return 'N/A';
-  return new Date(isoDate).toLocaleDateString('en-IN', {
-    day: 'numeric',
-    month: 'short',
-    year: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit',
-  });
+  return formatOrgDate(isoDate, DATE_TIME_OPTIONS, 'N/A');
 }
 
 /**
@@ -57,13 +52,19 @@ function ServiceOrderDetailsModal({ isOpen, onClose, order }) {
         setCopied(true);
         setTimeout(() => setCopied(false), 2000);
       } catch (err) {
-        console.error('Failed to copy:', err);
+        logger.error('Failed to copy:', err);
       }
     }
   };
 
   return (
-    <Modal isOpen={isOpen} onClose={onClose} title="Order Details" size="xl">
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Order Details"
+      size="xl"
+      historyEntity={{ type: 'SERVICE_ORDER', id: order._id }}
+    >
       <div className="space-y-6">
         {/* Header */}
         <div className="flex items-start justify-between">
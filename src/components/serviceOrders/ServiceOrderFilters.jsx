@@ -1,6 +1,6 @@
-import { useState } from 'react';
 import { Search, X, RotateCcw } from 'lucide-react';
 import { ORDER_STATUS, ORDER_SOURCE, SORT_OPTIONS } from '../../hooks/useServiceOrders';
+import useSyncedInput from '../../hooks/useSyncedInput';
 
 /**
  * ServiceOrderFilters Component
@@ -13,7 +13,7 @@ function ServiceOrderFilters({
   onReset,
   disabled = false,
 }) {
-  const [searchInput, setSearchInput] = useState(filters.search || '');
+  const [searchInput, setSearchInput] = useSyncedInput(filters.search || '');
 
   const handleSearchChange = (e) => {
     const value = e.target.value;
@@ -1,6 +1,6 @@
-import { useState } from 'react';
 import { Search, X, RotateCcw } from 'lucide-react';
 import { REQUEST_STATUS, SORT_OPTIONS } from '../../hooks/useServiceRequests';
+import useSyncedInput from '../../hooks/useSyncedInput';
 
 /**
  * ServiceRequestFilters Component
@@ -14,7 +14,7 @@ function ServiceRequestFilters({
   pendingCount = 0,
   disabled = false,
 }) {
-  const [searchInput, setSearchInput] = useState(filters.search || '');
+  const [searchInput, setSearchInput] = useSyncedInput(filters.search || '');
 
   const handleSearchChange = (e) => {
     const value = e.target.value;
@@ -1,5 +1,6 @@
 import { X, Star, Clock, Users, IndianRupee, Tag, CheckCircle } from 'lucide-react';
 import Modal from '../ui/Modal';
+import { DATE_OPTIONS, formatDate as formatOrgDate } from '../../utils/dates';
 
 /**
  * Format currency
@@ -16,12 +17,7 @@ function formatCurrency(amount) {
  * Format date
  */
 function formatDate(isoDate) {
-  if (!isoDate) return 'N/A';
-  return new Date(isoDate).toLocaleDateString('en-IN', {
-    day: 'numeric',
-    month: 'short',
-    year: 'numeric',
-  });
+  return formatOrgDate(isoDate, DATE_OPTIONS, 'N/A');
 }
 
 /**
@@ -48,7 +44,13 @@ function ServiceDetailsModal({ isOpen, onClose, service }) {
   if (!service) return null;
 
   return (
-    <Modal isOpen={isOpen} onClose={onClose} title="Service Details" size="xl">
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Service Details"
+      size="xl"
+      historyEntity={{ type: 'SERVICE', id: service._id }}
+    >
       <div className="space-y-6">
         {/* Header */}
         <div className="flex gap-6">
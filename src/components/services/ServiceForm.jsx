@@ -3,6 +3,7 @@ import { X, AlertCircle, Plus, Trash2 } from 'lucide-react';
 import Modal from '../ui/Modal';
 import FileUpload from '../ui/FileUpload';
 import { SERVICE_CATEGORIES } from '../../hooks/useServices';
+import useFormErrors from '../../hooks/useFormErrors';
 
 /**
  * Get initial form state
@@ -58,10 +59,10 @@ function ServiceForm({
   service = null,
   isLoading = false,
   serverError = null,
-  validationErrors = null,
+  fieldErrors = null,
 }) {
   const [formData, setFormData] = useState(getInitialFormState(service));
-  const [errors, setErrors] = useState({});
+  const { formRef, errors, setErrors, showErrors, clearFieldError } = useFormErrors(fieldErrors);
   const [newPerk, setNewPerk] = useState('');
 
   // Reset form when modal opens/closes
@@ -70,31 +71,12 @@ function ServiceForm({
       setFormData(getInitialFormState(service));
       setErrors({});
     }
-  }, [isOpen, service]);
-
-  // Handle server validation errors
-  useEffect(() => {
-    if (validationErrors && Array.isArray(validationErrors)) {
-      const newErrors = {};
-      validationErrors.forEach((err) => {
-        if (err.field) {
-          newErrors[err.field] = err.message;
-        }
-      });
-      setErrors((prev) => ({ ...prev, ...newErrors }));
-    }
-  }, [validationErrors]);
+  }, [isOpen, service, setErrors]);
 
   const handleChange = (field, value) => {
     setFormData((prev) => ({ ...prev, [field]: value }));
     // Clear error when user types
-    if (errors[field]) {
-      setErrors((prev) => {
-        const newErrors = { ...prev };
-        delete newErrors[field];
-        return newErrors;
-      });
-    }
+    clearFieldError(field);
   };
 
   const handleAddPerk = () => {
@@ -133,7 +115,7 @@ function ServiceForm({
       newErrors.compareAtPrice = 'Compare at price should be higher than price';
     }
 
-    setErrors(newErrors);
+    showErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
 
@@ -181,7 +163,7 @@ function ServiceForm({
       title={isEditMode ? 'Edit Service' : 'Create New Service'}
       size="xl"
     >
-      <form onSubmit={handleSubmit} className="space-y-6">
+      <form ref={formRef} onSubmit={handleSubmit} className="space-y-6">
         {/* Server Error */}
         {serverError && (
           <div className="flex items-center gap-3 p-4 bg-red-50 border border-red-200 text-red-700 rounded-lg">
@@ -201,6 +183,7 @@ function ServiceForm({
             </label>
             <input
               type="text"
+              name="name"
               value={formData.name}
               onChange={(e) => handleChange('name', e.target.value)}
               className={`w-full px-4 py-2 border rounded-lg focus:border-gray-800 outline-none ${
@@ -220,6 +203,7 @@ function ServiceForm({
             </label>
             <input
               type="text"
+              name="shortDescription"
               value={formData.shortDescription}
               onChange={(e) => handleChange('shortDescription', e.target.value)}
               className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:border-gray-800 outline-none"
@@ -234,6 +218,7 @@ function ServiceForm({
               Full Description
             </label>
             <textarea
+              name="description"
               value={formData.description}
               onChange={(e) => handleChange('description', e.target.value)}
               rows={4}
@@ -248,6 +233,7 @@ function ServiceForm({
               Category
             </label>
             <select
+              name="category"
               value={formData.category}
               onChange={(e) => handleChange('category', e.target.value)}
               className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:border-gray-800 outline-none bg-white"
@@ -273,6 +259,7 @@ function ServiceForm({
               </label>
               <input
                 type="number"
+                name="price"
                 value={formData.price}
                 onChange={(e) => handleChange('price', e.target.value)}
                 className={`w-full px-4 py-2 border rounded-lg focus:border-gray-800 outline-none ${
@@ -293,6 +280,7 @@ function ServiceForm({
               </label>
               <input
                 type="number"
+                name="compareAtPrice"
                 value={formData.compareAtPrice}
                 onChange={(e) => handleChange('compareAtPrice', e.target.value)}
                 className={`w-full px-4 py-2 border rounded-lg focus:border-gray-800 outline-none ${
@@ -313,6 +301,7 @@ function ServiceForm({
               </label>
               <input
                 type="number"
+                name="durationInDays"
                 value={formData.durationInDays}
                 onChange={(e) => handleChange('durationInDays', e.target.value)}
                 className={`w-full px-4 py-2 border rounded-lg focus:border-gray-800 outline-none ${
@@ -334,6 +323,7 @@ function ServiceForm({
             </label>
             <input
               type="number"
+              name="maxSubscriptions"
               value={formData.maxSubscriptions}
               onChange={(e) => handleChange('maxSubscriptions', e.target.value)}
               className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:border-gray-800 outline-none"
@@ -421,6 +411,7 @@ function ServiceForm({
               </label>
               <input
                 type="number"
+                name="displayOrder"
                 value={formData.displayOrder}
                 onChange={(e) => handleChange('displayOrder', e.target.value)}
                 className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:border-gray-800 outline-none"
@@ -435,6 +426,7 @@ function ServiceForm({
             <label className="flex items-center gap-2 cursor-pointer">
               <input
                 type="checkbox"
+                name="isFeatured"
                 checked={formData.isFeatured}
                 onChange={(e) => handleChange('isFeatured', e.target.checked)}
                 className="w-4 h-4 text-gray-800 rounded focus:ring-0"
@@ -445,6 +437,7 @@ function ServiceForm({
             <label className="flex items-center gap-2 cursor-pointer">
               <input
                 type="checkbox"
+                name="isActive"
                 checked={formData.isActive}
                 onChange={(e) => handleChange('isActive', e.target.checked)}
                 className="w-4 h-4 text-gray-800 rounded focus:ring-0"
@@ -455,6 +448,7 @@ function ServiceForm({
             <label className="flex items-center gap-2 cursor-pointer">
               <input
                 type="checkbox"
+                name="requiresApproval"
                 checked={formData.requiresApproval}
                 onChange={(e) => handleChange('requiresApproval', e.target.checked)}
                 className="w-4 h-4 text-gray-800 rounded focus:ring-0"
@@ -0,0 +1,139 @@
+import { useMemo, useState } from 'react';
+import { toast } from 'react-toastify';
+import Calendar from '../ui/Calendar';
+import ConfirmDialog from '../ui/ConfirmDialog';
+import sessionService from '../../services/session.service';
+import useQuery from '../../hooks/useQuery';
+import useUrlState from '../../hooks/useUrlState';
+import { formatDateTime } from '../../utils/eventStatus';
+import { fromDateKey, getCalendarRange, toDateKey } from '../../utils/calendar';
+
+const CALENDAR_LIMIT = 100;
+// Length shown for sessions without a duration
+const DEFAULT_DURATION_MINUTES = 60;
+
+const STATUS_STYLES = {
+  live: { label: 'Live', className: 'bg-green-100 text-green-700 border-green-300' },
+  draft: { label: 'Not live', className: 'bg-gray-100 text-gray-700 border-gray-300' },
+  past: { label: 'Past', className: 'bg-red-100 text-red-700 border-red-300' },
+};
+
+/**
+ * Calendar entry for a session
+ * @param {Object} session - Session
+ * @param {boolean} canEdit - Whether it can be dragged
+ * @returns {Object}
+ */
+const toEntry = (session, canEdit) => {
+  const start = new Date(session.sessionDate);
+  const end = new Date(start.getTime() + (session.duration || DEFAULT_DURATION_MINUTES) * 60 * 1000);
+  const status = end < new Date() ? 'past' : session.isLive ? 'live' : 'draft';
+  return {
+    id: session._id,
+    title: session.title,
+    subtitle: session.host,
+    start,
+    end,
+    className: STATUS_STYLES[status].className,
+    muted: !session.isLive,
+    draggable: canEdit,
+    session,
+  };
+};
+
+/**
+ * SessionCalendar Component
+ * Month / week / day calendar of sessions by sessionDate, colored by live status;
+ * dragging a session reschedules it after confirmation
+ * @param {Object} props
+ * @param {boolean} props.canEdit - Whether sessions can be rescheduled
+ * @param {Function} props.onView - (session) => void, opens the details
+ * @param {Function} props.onReschedule - (session, sessionDate) => Promise<{success, error?}>
+ */
+function SessionCalendar({ canEdit, onView, onReschedule }) {
+  const [{ calendarView, calendarDate }, setCalendarState] = useUrlState({ calendarView: 'week', calendarDate: '' });
+  const [pending, setPending] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const anchor = fromDateKey(calendarDate);
+  const range = getCalendarRange(calendarView, anchor);
+  const params = {
+    sessionDateFrom: range.start.toISOString(),
+    sessionDateTo: range.end.toISOString(),
+    sortBy: 'sessionDate',
+    sortOrder: 'asc',
+    limit: CALENDAR_LIMIT,
+  };
+
+  const { data, isLoading, isFetching } = useQuery(['sessions', 'calendar', params], () => sessionService.getAll(params), {
+    keepPreviousData: true,
+  });
+
+  const entries = useMemo(
+    () => (data?.sessions || []).map((session) => toEntry(session, canEdit)),
+    [data, canEdit]
+  );
+
+  const handleConfirm = async () => {
+    setIsSaving(true);
+    try {
+      const result = await onReschedule(pending.session, pending.sessionDate.toISOString());
+      if (result.success) {
+        toast.success(`${pending.session.title} moved to ${formatDateTime(pending.sessionDate)}`);
+        setPending(null);
+      } else {
+        toast.error(result.error || 'Failed to reschedule session');
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const legend = (
+    <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-xs text-gray-600">
+      {Object.entries(STATUS_STYLES).map(([status, { label, className }]) => (
+        <span key={status} className="flex items-center gap-1.5">
+          <span className={`h-3 w-3 rounded border ${className}`} />
+          {label}
+        </span>
+      ))}
+    </div>
+  );
+
+  const pendingMessage = pending
+    ? `Move "${pending.session.title}" from ${formatDateTime(pending.session.sessionDate)} to ${formatDateTime(
+        pending.sessionDate
+      )}?${pending.sessionDate <= new Date() ? ' The new time is in the past.' : ''}${
+        pending.session.bookedSlots > 0 ? ` ${pending.session.bookedSlots} booked users will need to be told.` : ''
+      }`
+    : '';
+
+  return (
+    <>
+      <Calendar
+        entries={entries}
+        view={calendarView}
+        date={anchor}
+        onViewChange={(view) => setCalendarState((prev) => ({ ...prev, calendarView: view }))}
+        onDateChange={(date) => setCalendarState((prev) => ({ ...prev, calendarDate: toDateKey(date) }))}
+        onEntryClick={(entry) => onView(entry.session)}
+        onEntryMove={canEdit ? (entry, newStart) => setPending({ session: entry.session, sessionDate: newStart }) : undefined}
+        isLoading={isLoading || isFetching}
+        legend={legend}
+      />
+
+      <ConfirmDialog
+        isOpen={!!pending}
+        onClose={() => !isSaving && setPending(null)}
+        onConfirm={handleConfirm}
+        title="Reschedule Session"
+        message={pendingMessage}
+        confirmText="Reschedule"
+        variant="primary"
+        isLoading={isSaving}
+      />
+    </>
+  );
+}
+
+export default SessionCalendar;
@@ -13,23 +13,14 @@ import {
   Percent,
 } from 'lucide-react';
 import Modal from '../ui/Modal';
+import { DATE_TIME_OPTIONS, formatDate as formatOrgDate } from '../../utils/dates';
 
 /**
  * Format date for display
  * @param {string} dateString - ISO date string
  * @returns {string} Formatted date
  */
-const formatDate = (dateString) => {
-  if (!dateString) return '-';
-  const date = new Date(dateString);
-  return date.toLocaleDateString('en-IN', {
-    day: 'numeric',
-    month: 'short',
-    year: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit',
-  });
-};
+const formatDate = (dateString) => formatOrgDate(dateString, DATE_TIME_OPTIONS, '-');
 
 /**
  * Format currency
@@ -98,7 +89,13 @@ function SessionDetailsModal({ isOpen, onClose, session, isLoading = false }) {
   const discountPercent = session?.discountPercent || 0;
 
   return (
-    <Modal isOpen={isOpen} onClose={onClose} title="Session Details" size="lg">
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Session Details"
+      size="lg"
+      historyEntity={{ type: 'SESSION', id: session?._id }}
+    >
       {isLoading ? (
         <div className="py-12 flex flex-col items-center justify-center">
           <Loader2 className="h-8 w-8 text-gray-800 animate-spin" />
@@ -2,6 +2,9 @@ import { useState, useEffect } from 'react';
 import { Loader2, AlertCircle, Plus, X } from 'lucide-react';
 import Modal from '../ui/Modal';
 import FileUpload from '../ui/FileUpload';
+import TimezoneHint from '../ui/TimezoneHint';
+import useFormErrors from '../../hooks/useFormErrors';
+import { fromDateTimeInput, toDateTimeInput } from '../../utils/dates';
 
 /**
  * Session categories
@@ -48,6 +51,7 @@ const getInitialFormState = () => ({
  * @param {Function} props.onSubmit - Form submit callback
  * @param {boolean} props.isLoading - Loading state for submission
  * @param {string} props.serverError - Server error message
+ * @param {Object} props.fieldErrors - Server field errors { [field]: message }
  * @param {Object} props.sessionToEdit - Session data for edit mode
  */
 function SessionForm({
@@ -56,10 +60,11 @@ function SessionForm({
   onSubmit,
   isLoading = false,
   serverError = null,
+  fieldErrors = null,
   sessionToEdit = null,
 }) {
   const [formData, setFormData] = useState(getInitialFormState());
-  const [errors, setErrors] = useState({});
+  const { formRef, errors, setErrors, showErrors, clearFieldError } = useFormErrors(fieldErrors);
 
   const isEditMode = !!sessionToEdit;
 
@@ -85,9 +90,7 @@ function SessionForm({
           hostPhone: sessionToEdit.hostPhone || '',
           availableSlots: sessionToEdit.availableSlots?.toString() || '',
           calendlyLink: sessionToEdit.calendlyLink || '',
-          sessionDate: sessionToEdit.sessionDate
-            ? new Date(sessionToEdit.sessionDate).toISOString().slice(0, 16)
-            : '',
+          sessionDate: toDateTimeInput(sessionToEdit.sessionDate),
           imageUrl: sessionToEdit.imageUrl || '',
           tags: sessionToEdit.tags || [],
         });
@@ -97,7 +100,7 @@ function SessionForm({
       setErrors({});
       setTagInput('');
     }
-  }, [isOpen, sessionToEdit]);
+  }, [isOpen, sessionToEdit, setErrors]);
 
   /**
    * Validate form data
@@ -220,13 +223,7 @@ function SessionForm({
   const handleChange = (field, value) => {
     setFormData((prev) => ({ ...prev, [field]: value }));
     // Clear error for this field
-    if (errors[field]) {
-      setErrors((prev) => {
-        const newErrors = { ...prev };
-        delete newErrors[field];
-        return newErrors;
-      });
-    }
+    clearFieldError(field);
   };
 
   /**
@@ -239,7 +236,7 @@ function SessionForm({
     const { isValid, errors: validationErrors } = validateForm(formData);
 
     if (!isValid) {
-      setErrors(validationErrors);
+      showErrors(validationErrors);
       return;
     }
 
@@ -265,7 +262,7 @@ function SessionForm({
     }
     submitData.calendlyLink = formData.calendlyLink.trim();
     if (formData.sessionDate) {
-      submitData.sessionDate = new Date(formData.sessionDate).toISOString();
+      submitData.sessionDate = fromDateTimeInput(formData.sessionDate).toISOString();
     }
     if (formData.imageUrl.trim()) {
       submitData.imageUrl = formData.imageUrl.trim();
@@ -293,7 +290,7 @@ function SessionForm({
       title={isEditMode ? 'Edit Session' : 'Create Session'}
       size="xl"
     >
-      <form onSubmit={handleSubmit} className="space-y-4 max-h-[70vh] overflow-y-auto pr-2">
+      <form ref={formRef} onSubmit={handleSubmit} className="space-y-4 max-h-[70vh] overflow-y-auto pr-2">
         {/* Title */}
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -301,6 +298,7 @@ function SessionForm({
           </label>
           <input
             type="text"
+            name="title"
             value={formData.title}
             onChange={(e) => handleChange('title', e.target.value)}
             placeholder="e.g., One-on-One Career Coaching"
@@ -320,6 +318,7 @@ function SessionForm({
             Short Description <span className="text-red-500">*</span>
           </label>
           <textarea
+            name="shortDescription"
             value={formData.shortDescription}
             onChange={(e) => handleChange('shortDescription', e.target.value)}
             placeholder="Brief overview of the session..."
@@ -340,6 +339,7 @@ function SessionForm({
             Long Description <span className="text-red-500">*</span>
           </label>
           <textarea
+            name="longDescription"
             value={formData.longDescription}
             onChange={(e) => handleChange('longDescription', e.target.value)}
             placeholder="Detailed description of what participants will learn..."
@@ -363,6 +363,7 @@ function SessionForm({
             </label>
             <input
               type="number"
+              name="price"
               value={formData.price}
               onChange={(e) => handleChange('price', e.target.value)}
               placeholder="e.g., 999"
@@ -385,6 +386,7 @@ function SessionForm({
             </label>
             <input
               type="number"
+              name="compareAtPrice"
               value={formData.compareAtPrice}
               onChange={(e) => handleChange('compareAtPrice', e.target.value)}
               placeholder="e.g., 1499"
@@ -407,6 +409,7 @@ function SessionForm({
             </label>
             <input
               type="number"
+              name="duration"
               value={formData.duration}
               onChange={(e) => handleChange('duration', e.target.value)}
               placeholder="e.g., 60"
@@ -431,6 +434,7 @@ function SessionForm({
               Session Type <span className="text-red-500">*</span>
             </label>
             <select
+              name="sessionType"
               value={formData.sessionType}
               onChange={(e) => handleChange('sessionType', e.target.value)}
               disabled={isLoading}
@@ -449,6 +453,7 @@ function SessionForm({
               Category <span className="text-red-500">*</span>
             </label>
             <select
+              name="category"
               value={formData.category}
               onChange={(e) => handleChange('category', e.target.value)}
               disabled={isLoading}
@@ -474,6 +479,7 @@ function SessionForm({
             </label>
             <input
               type="text"
+              name="host"
               value={formData.host}
               onChange={(e) => handleChange('host', e.target.value)}
               placeholder="e.g., John Doe"
@@ -495,6 +501,7 @@ function SessionForm({
             </label>
             <input
               type="email"
+              name="hostEmail"
               value={formData.hostEmail}
               onChange={(e) => handleChange('hostEmail', e.target.value)}
               placeholder="host@example.com"
@@ -516,6 +523,7 @@ function SessionForm({
             </label>
             <input
               type="tel"
+              name="hostPhone"
               value={formData.hostPhone}
               onChange={(e) => handleChange('hostPhone', e.target.value)}
               placeholder="+91 9876543210"
@@ -542,6 +550,7 @@ function SessionForm({
             </label>
             <input
               type="number"
+              name="availableSlots"
               value={formData.availableSlots}
               onChange={(e) => handleChange('availableSlots', e.target.value)}
               placeholder={formData.sessionType === 'OTO' ? '1' : 'e.g., 50'}
@@ -567,6 +576,7 @@ function SessionForm({
             </label>
             <input
               type="datetime-local"
+              name="sessionDate"
               value={formData.sessionDate}
               onChange={(e) => handleChange('sessionDate', e.target.value)}
               disabled={isLoading}
@@ -574,6 +584,7 @@ function SessionForm({
                 isLoading ? 'bg-gray-100' : ''
               }`}
             />
+            <TimezoneHint className="mt-1" />
           </div>
         </div>
 
@@ -584,6 +595,7 @@ function SessionForm({
           </label>
           <input
             type="url"
+            name="calendlyLink"
             value={formData.calendlyLink}
             onChange={(e) => handleChange('calendlyLink', e.target.value)}
             placeholder="https://calendly.com/your-link"
@@ -683,6 +695,7 @@ function SessionForm({
           <label className="relative inline-flex items-center cursor-pointer">
             <input
               type="checkbox"
+              name="isLive"
               checked={formData.isLive}
               onChange={(e) => handleChange('isLive', e.target.checked)}
               disabled={isLoading}
@@ -13,19 +13,13 @@ import {
   ExternalLink,
 } from 'lucide-react';
 import Modal from '../ui/Modal';
+import { DATE_TIME_OPTIONS, formatDate as formatOrgDate } from '../../utils/dates';
 
 /**
  * Format date for display
  */
 function formatDate(isoDate) {
-  if (!isoDate) return 'N/A';
-  return new Date(isoDate).toLocaleDateString('en-IN', {
-    day: 'numeric',
-    month: 'short',
-    year: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit',
-  });
+  return formatOrgDate(isoDate, DATE_TIME_OPTIONS, 'N/A');
 }
 
 /**
@@ -110,7 +104,13 @@ function StoryDetailsModal({ isOpen, onClose, story }) {
   const isVideo = story.mediaType === 'video';
 
   return (
-    <Modal isOpen={isOpen} onClose={onClose} title="Story Details" size="2xl">
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Story Details"
+      size="2xl"
+      historyEntity={{ type: 'STORY', id: story._id }}
+    >
       <div className="space-y-6">
         {/* Status Banner */}
         {expired && (
@@ -2,7 +2,10 @@ import { useState, useEffect } from 'react';
 import { Loader2, Image, Video, Clock, Hash } from 'lucide-react';
 import Modal from '../ui/Modal';
 import FileUpload from '../ui/FileUpload';
+import TimezoneHint from '../ui/TimezoneHint';
 import { TTL_OPTIONS } from '../../hooks/useStoriesManagement';
+import logger from '../../utils/logger';
+import { formatDateTime } from '../../utils/dates';
 
 /**
  * Get initial form state for story
@@ -96,7 +99,7 @@ function StoryForm({
     if (isOpen) {
       setFormData(getInitialFormState(story));
       setErrors({});
-      console.log('[StoryForm] Form initialized:', { isEditMode, story: story?._id });
+      logger.debug('[StoryForm] Form initialized:', { isEditMode, story: story?._id });
     }
   }, [isOpen, story]);
 
@@ -149,7 +152,7 @@ function StoryForm({
     const validation = validateForm(formData, isEditMode);
     if (!validation.isValid) {
       setErrors(validation.errors);
-      console.log('[StoryForm] Validation failed:', validation.errors);
+      logger.debug('[StoryForm] Validation failed:', validation.errors);
       return;
     }
 
@@ -175,7 +178,7 @@ function StoryForm({
       submitData.isActive = formData.isActive;
     }
 
-    console.log('[StoryForm] Submitting:', { isEditMode, storyId: story?._id });
+    logger.debug('[StoryForm] Submitting:', { isEditMode, storyId: story?._id });
     await onSubmit(submitData);
   };
 
@@ -310,6 +313,12 @@ function StoryForm({
             {errors.ttl && (
               <p className="mt-1 text-sm text-red-500">{errors.ttl}</p>
             )}
+            {isEditMode && story.expiresAt && formData.ttl === story.ttl && (
+              <p className="mt-1 flex flex-wrap items-center gap-2 text-xs text-gray-500">
+                Expires {formatDateTime(story.expiresAt)}
+                <TimezoneHint />
+              </p>
+            )}
           </div>
 
           {/* Display Order */}
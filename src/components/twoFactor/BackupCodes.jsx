@@ -0,0 +1,78 @@
+import { useState } from 'react';
+import { Copy, Check, Download, AlertTriangle } from 'lucide-react';
+import logger from '../../utils/logger';
+
+/**
+ * BackupCodes Component
+ * Shows one-time backup codes once, with copy and download actions
+ * @param {Object} props
+ * @param {string[]} props.codes - Backup codes
+ * @param {string} [props.username] - Included in the downloaded file
+ */
+function BackupCodes({ codes, username }) {
+  const [copied, setCopied] = useState(false);
+
+  const codesText = codes.join('\n');
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codesText);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      logger.error('[BackupCodes] Failed to copy:', err);
+    }
+  };
+
+  const handleDownload = () => {
+    const header = `Motivata Admin backup codes${username ? ` for ${username}` : ''}\nEach code can be used once.\n\n`;
+    const blob = new Blob([header + codesText], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'motivata-backup-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div>
+      <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg flex items-start gap-2 mb-4">
+        <AlertTriangle className="h-4 w-4 text-yellow-600 shrink-0 mt-0.5" />
+        <p className="text-xs text-yellow-800">
+          Save these codes somewhere safe. Each can be used once to sign in if you lose access to your
+          authenticator app. They won't be shown again.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2 p-4 bg-gray-50 border border-gray-200 rounded-lg font-mono text-sm text-gray-900">
+        {codes.map((code) => (
+          <span key={code} className="text-center">
+            {code}
+          </span>
+        ))}
+      </div>
+
+      <div className="flex gap-3 mt-3">
+        <button
+          type="button"
+          onClick={handleCopy}
+          className="flex-1 px-3 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors flex items-center justify-center gap-2 text-sm"
+        >
+          {copied ? <Check className="h-4 w-4 text-green-600" /> : <Copy className="h-4 w-4" />}
+          {copied ? 'Copied' : 'Copy'}
+        </button>
+        <button
+          type="button"
+          onClick={handleDownload}
+          className="flex-1 px-3 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors flex items-center justify-center gap-2 text-sm"
+        >
+          <Download className="h-4 w-4" />
+          Download
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default BackupCodes;
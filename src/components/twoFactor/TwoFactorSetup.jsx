@@ -0,0 +1,201 @@
+import { useState, useEffect } from 'react';
+import { Loader2, AlertCircle, ShieldCheck } from 'lucide-react';
+import { QRCodeSVG } from 'qrcode.react';
+import twoFactorService from '../../services/twoFactor.service';
+import BackupCodes from './BackupCodes';
+
+// Authenticator codes are 6 digits
+const CODE_PATTERN = /^\d{6}$/;
+
+/**
+ * Split the secret into groups of 4 for manual entry
+ * @param {string} secret - Base32 secret
+ * @returns {string}
+ */
+const formatSecret = (secret) => secret?.match(/.{1,4}/g)?.join(' ') || '';
+
+/**
+ * TwoFactorSetup Component
+ * Enrollment flow: scan the QR code, confirm a code, then save the backup codes
+ * @param {Object} props
+ * @param {string} [props.twoFactorToken] - Pending login token when enrolling during login
+ * @param {string} [props.username] - Shown in the downloaded backup codes
+ * @param {Function} props.onComplete - Called with the enable response once codes are saved
+ * @param {Function} [props.onCancel] - Called when the admin backs out
+ */
+function TwoFactorSetup({ twoFactorToken, username, onComplete, onCancel }) {
+  const [setup, setSetup] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [code, setCode] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [enabledData, setEnabledData] = useState(null);
+
+  // Generate a secret when the flow opens
+  useEffect(() => {
+    let isCancelled = false;
+
+    const startSetup = async () => {
+      const result = await twoFactorService.setup(twoFactorToken);
+      if (isCancelled) return;
+
+      if (result.success) {
+        setSetup(result.data);
+      } else {
+        setError(result.message || 'Failed to start two-factor setup');
+      }
+      setIsLoading(false);
+    };
+
+    startSetup();
+    return () => {
+      isCancelled = true;
+    };
+  }, [twoFactorToken]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (!CODE_PATTERN.test(code)) {
+      setError('Enter the 6-digit code from your authenticator app');
+      return;
+    }
+
+    setIsSubmitting(true);
+    const result = await twoFactorService.enable(code, twoFactorToken);
+    setIsSubmitting(false);
+
+    if (result.success) {
+      setEnabledData(result.data);
+    } else {
+      setError(result.message || 'Invalid code. Please try again.');
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="py-8 flex flex-col items-center text-gray-500">
+        <Loader2 className="h-8 w-8 animate-spin mb-2" />
+        <p className="text-sm">Preparing two-factor setup...</p>
+      </div>
+    );
+  }
+
+  // Step 2 - backup codes
+  if (enabledData) {
+    return (
+      <div className="space-y-4">
+        <div className="flex items-center gap-2 text-green-700">
+          <ShieldCheck className="h-5 w-5" />
+          <p className="font-medium">Two-factor authentication is on</p>
+        </div>
+        <BackupCodes codes={enabledData.backupCodes || []} username={username} />
+        <button
+          type="button"
+          onClick={() => onComplete(enabledData)}
+          className="w-full px-4 py-2.5 bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors font-medium"
+        >
+          I've saved my backup codes
+        </button>
+      </div>
+    );
+  }
+
+  // Step 1 - scan and confirm
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2">
+          <AlertCircle className="h-4 w-4 text-red-600 shrink-0 mt-0.5" />
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      {setup && (
+        <>
+          <p className="text-sm text-gray-600">
+            Scan this QR code with an authenticator app such as Google Authenticator, Microsoft
+            Authenticator or Authy.
+          </p>
+
+          {/* The backend's image when it sends one, else drawn from the otpauth URL */}
+          {setup.qrCode ? (
+            <div className="flex justify-center">
+              <img
+                src={setup.qrCode}
+                alt="Two-factor QR code"
+                className="w-44 h-44 border border-gray-200 rounded-lg p-2 bg-white"
+              />
+            </div>
+          ) : (
+            setup.otpauthUrl && (
+              <div className="flex justify-center">
+                <QRCodeSVG
+                  value={setup.otpauthUrl}
+                  size={160}
+                  marginSize={0}
+                  title="Two-factor QR code"
+                  className="w-44 h-44 border border-gray-200 rounded-lg p-2 bg-white"
+                />
+              </div>
+            )
+          )}
+
+          <div>
+            <p className="text-xs text-gray-500 mb-1">
+              {setup.qrCode || setup.otpauthUrl ? "Can't scan it? Enter this key manually:" : 'Enter this key in your app:'}
+            </p>
+            <p className="font-mono text-sm text-gray-900 bg-gray-50 border border-gray-200 rounded-lg px-3 py-2 break-all select-all">
+              {formatSecret(setup.secret)}
+            </p>
+          </div>
+
+          <div>
+            <label htmlFor="two-factor-setup-code" className="block text-sm font-medium text-gray-700 mb-2">
+              Verification code
+            </label>
+            <input
+              id="two-factor-setup-code"
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              maxLength={6}
+              value={code}
+              onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:border-gray-800 outline-none text-center text-lg tracking-[0.5em] font-mono"
+              placeholder="000000"
+              disabled={isSubmitting}
+              autoFocus
+            />
+          </div>
+        </>
+      )}
+
+      <div className="flex gap-3">
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            disabled={isSubmitting}
+            className="flex-1 px-4 py-2.5 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+          >
+            Cancel
+          </button>
+        )}
+        {setup && (
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="flex-1 px-4 py-2.5 bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors disabled:bg-gray-400 flex items-center justify-center gap-2"
+          >
+            {isSubmitting && <Loader2 className="h-4 w-4 animate-spin" />}
+            Verify & Enable
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
+
+export default TwoFactorSetup;
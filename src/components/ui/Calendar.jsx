@@ -0,0 +1,304 @@
+import { useEffect, useRef, useState } from 'react';
+import { ChevronLeft, ChevronRight, Loader2, AlertTriangle } from 'lucide-react';
+import {
+  CALENDAR_VIEWS,
+  getCalendarDays,
+  getCalendarTitle,
+  shiftAnchor,
+  startOfDay,
+  toDateKey,
+  isOnDay,
+  layoutDayEntries,
+  moveToDay,
+  atMinuteOfDay,
+  getDayOfMonth,
+} from '../../utils/calendar';
+import { formatDate, formatTime, fromZonedParts } from '../../utils/dates';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+const HOUR_HEIGHT_PX = 48;
+const SNAP_MINUTES = 15;
+// Entries listed per month cell before collapsing into "+N more"
+const MONTH_CELL_LIMIT = 3;
+
+const formatHour = (hour) => formatDate(fromZonedParts({ year: 2000, month: 1, day: 1, hour }), { hour: 'numeric' });
+
+/**
+ * Calendar Component
+ * Month, week and day views of timed entries, with click to open and drag to move
+ * @param {Object} props
+ * @param {Object[]} props.entries - { id, title, subtitle?, start: Date, end: Date, className, muted?, warning?, draggable? }
+ * @param {string} props.view - month, week or day
+ * @param {Date} props.date - Any date inside the shown period
+ * @param {Function} props.onViewChange - (view) => void
+ * @param {Function} props.onDateChange - (date) => void
+ * @param {Function} [props.onEntryClick] - (entry) => void
+ * @param {Function} [props.onEntryMove] - (entry, newStart: Date) => void; dragging is off without it
+ * @param {boolean} [props.isLoading] - Show a spinner next to the title
+ * @param {React.ReactNode} [props.legend] - Legend shown under the toolbar
+ */
+function Calendar({
+  entries,
+  view,
+  date,
+  onViewChange,
+  onDateChange,
+  onEntryClick,
+  onEntryMove,
+  isLoading = false,
+  legend,
+}) {
+  const [dropTarget, setDropTarget] = useState(null);
+  const dragRef = useRef(null);
+  const scrollRef = useRef(null);
+
+  const days = getCalendarDays(view, date);
+  const todayKey = toDateKey(new Date());
+  const shownMonth = getDayOfMonth(date).month;
+  const isTimedView = view !== 'month';
+
+  // Open timed views at the start of a working day
+  useEffect(() => {
+    if (isTimedView && scrollRef.current) {
+      scrollRef.current.scrollTop = 8 * HOUR_HEIGHT_PX;
+    }
+  }, [isTimedView]);
+
+  const openDay = (day) => {
+    onDateChange(day);
+    onViewChange('day');
+  };
+
+  const handleDragStart = (entry, e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const columnHeight = e.currentTarget.parentElement.getBoundingClientRect().height;
+    // Where in the entry it was grabbed, so timed drops keep the pointer on the same spot
+    dragRef.current = {
+      entry,
+      grabOffsetMinutes: isTimedView ? ((e.clientY - rect.top) / columnHeight) * 24 * 60 : 0,
+    };
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', entry.id);
+  };
+
+  const handleDragEnd = () => {
+    dragRef.current = null;
+    setDropTarget(null);
+  };
+
+  const handleDragOver = (day, e) => {
+    if (!dragRef.current) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    const key = toDateKey(day);
+    if (dropTarget !== key) setDropTarget(key);
+  };
+
+  const handleDrop = (day, e) => {
+    e.preventDefault();
+    const drag = dragRef.current;
+    handleDragEnd();
+    if (!drag) return;
+
+    let newStart;
+    if (isTimedView) {
+      const rect = e.currentTarget.getBoundingClientRect();
+      const pointerMinutes = ((e.clientY - rect.top) / rect.height) * 24 * 60 - drag.grabOffsetMinutes;
+      const minutes = Math.min(Math.max(Math.round(pointerMinutes / SNAP_MINUTES) * SNAP_MINUTES, 0), 24 * 60 - SNAP_MINUTES);
+      newStart = atMinuteOfDay(day, minutes);
+    } else {
+      newStart = moveToDay(drag.entry.start, day);
+    }
+
+    if (newStart.getTime() !== drag.entry.start.getTime()) {
+      onEntryMove(drag.entry, newStart);
+    }
+  };
+
+  const renderEntry = (entry, { compact = false, style } = {}) => {
+    const canDrag = !!onEntryMove && entry.draggable !== false;
+    return (
+      <button
+        key={entry.id}
+        type="button"
+        draggable={canDrag}
+        onDragStart={canDrag ? (e) => handleDragStart(entry, e) : undefined}
+        onDragEnd={canDrag ? handleDragEnd : undefined}
+        onClick={() => onEntryClick?.(entry)}
+        title={[entry.title, entry.subtitle, entry.warning].filter(Boolean).join(' · ')}
+        style={style}
+        className={`text-left rounded border px-1.5 overflow-hidden text-xs leading-tight transition-shadow hover:shadow ${
+          entry.className
+        } ${entry.muted ? 'opacity-60 border-dashed' : ''} ${entry.warning ? 'ring-2 ring-red-400' : ''} ${
+          canDrag ? 'cursor-grab active:cursor-grabbing' : ''
+        } ${compact ? 'w-full py-0.5 truncate' : 'absolute py-1'}`}
+      >
+        <span className="flex items-center gap-1 min-w-0">
+          {entry.warning && <AlertTriangle className="h-3 w-3 shrink-0 text-red-600" />}
+          {compact && <span className="shrink-0 opacity-75">{formatTime(entry.start)}</span>}
+          <span className="truncate font-medium">{entry.title}</span>
+        </span>
+        {!compact && (
+          <span className="block truncate opacity-75">
+            {formatTime(entry.start)} – {formatTime(entry.end)}
+            {entry.subtitle && ` · ${entry.subtitle}`}
+          </span>
+        )}
+      </button>
+    );
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm">
+      {/* Toolbar */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 p-4 border-b border-gray-200">
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => onDateChange(shiftAnchor(view, date, -1))}
+            className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+            title="Previous"
+          >
+            <ChevronLeft className="h-4 w-4" />
+          </button>
+          <button
+            onClick={() => onDateChange(startOfDay(new Date()))}
+            className="px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            Today
+          </button>
+          <button
+            onClick={() => onDateChange(shiftAnchor(view, date, 1))}
+            className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+            title="Next"
+          >
+            <ChevronRight className="h-4 w-4" />
+          </button>
+          <h2 className="ml-2 text-lg font-semibold text-gray-900">{getCalendarTitle(view, date)}</h2>
+          {isLoading && <Loader2 className="h-4 w-4 text-gray-400 animate-spin" />}
+        </div>
+
+        <div className="inline-flex rounded-lg border border-gray-300 overflow-hidden">
+          {CALENDAR_VIEWS.map((option) => (
+            <button
+              key={option.value}
+              onClick={() => onViewChange(option.value)}
+              className={`px-3 py-1.5 text-sm transition-colors ${
+                view === option.value ? 'bg-gray-800 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {legend && <div className="px-4 py-2 border-b border-gray-200">{legend}</div>}
+
+      {view === 'month' ? (
+        <div className="grid grid-cols-7">
+          {WEEKDAYS.map((weekday) => (
+            <div key={weekday} className="px-2 py-2 text-xs font-medium text-gray-500 border-b border-gray-200">
+              {weekday}
+            </div>
+          ))}
+          {days.map((day) => {
+            const key = toDateKey(day);
+            const dayEntries = entries.filter((entry) => isOnDay(entry, day));
+            const dayOfMonth = getDayOfMonth(day);
+            const isOtherMonth = dayOfMonth.month !== shownMonth;
+            return (
+              <div
+                key={key}
+                onDragOver={(e) => handleDragOver(day, e)}
+                onDragLeave={() => setDropTarget(null)}
+                onDrop={(e) => handleDrop(day, e)}
+                className={`min-h-28 p-1.5 border-b border-r border-gray-100 space-y-1 ${
+                  isOtherMonth ? 'bg-gray-50/60' : ''
+                } ${dropTarget === key ? 'bg-blue-50' : ''}`}
+              >
+                <button
+                  onClick={() => openDay(day)}
+                  className={`h-6 min-w-6 px-1 rounded-full text-xs ${
+                    key === todayKey
+                      ? 'bg-gray-800 text-white'
+                      : isOtherMonth
+                        ? 'text-gray-400 hover:bg-gray-100'
+                        : 'text-gray-700 hover:bg-gray-100'
+                  }`}
+                >
+                  {dayOfMonth.day}
+                </button>
+                {dayEntries.slice(0, MONTH_CELL_LIMIT).map((entry) => renderEntry(entry, { compact: true }))}
+                {dayEntries.length > MONTH_CELL_LIMIT && (
+                  <button onClick={() => openDay(day)} className="text-xs text-gray-500 hover:text-gray-800 px-1.5">
+                    +{dayEntries.length - MONTH_CELL_LIMIT} more
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      ) : (
+        <>
+          {/* Day headings */}
+          <div className="flex border-b border-gray-200 pr-2">
+            <div className="w-14 shrink-0" />
+            {days.map((day) => (
+              <button
+                key={toDateKey(day)}
+                onClick={() => openDay(day)}
+                className={`flex-1 py-2 text-xs text-center ${
+                  toDateKey(day) === todayKey ? 'font-semibold text-gray-900' : 'text-gray-500'
+                }`}
+              >
+                {formatDate(day, { weekday: 'short', day: 'numeric', month: 'short' })}
+              </button>
+            ))}
+          </div>
+
+          {/* Time grid */}
+          <div ref={scrollRef} className="max-h-[65vh] overflow-y-auto custom-scrollbar">
+            <div className="flex" style={{ height: HOURS.length * HOUR_HEIGHT_PX }}>
+              <div className="w-14 shrink-0">
+                {HOURS.map((hour) => (
+                  <div key={hour} className="pr-2 text-right text-[10px] text-gray-400" style={{ height: HOUR_HEIGHT_PX }}>
+                    {hour > 0 && formatHour(hour)}
+                  </div>
+                ))}
+              </div>
+              {days.map((day) => {
+                const key = toDateKey(day);
+                return (
+                  <div
+                    key={key}
+                    onDragOver={(e) => handleDragOver(day, e)}
+                    onDragLeave={() => setDropTarget(null)}
+                    onDrop={(e) => handleDrop(day, e)}
+                    className={`relative flex-1 border-l border-gray-100 ${dropTarget === key ? 'bg-blue-50/60' : ''}`}
+                  >
+                    {HOURS.map((hour) => (
+                      <div key={hour} className="border-t border-gray-100" style={{ height: HOUR_HEIGHT_PX }} />
+                    ))}
+                    {layoutDayEntries(entries, day).map(({ entry, top, height, lane, lanes }) =>
+                      renderEntry(entry, {
+                        style: {
+                          top: `${top}%`,
+                          height: `${height}%`,
+                          left: `calc(${(lane / lanes) * 100}% + 2px)`,
+                          width: `calc(${100 / lanes}% - 4px)`,
+                        },
+                      })
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default Calendar;
@@ -1,21 +1,14 @@
 import { useState, useRef, useEffect, useCallback, useMemo } from 'react';
 import { Search, X, ChevronDown, Check, Loader2, Calendar, AlertCircle } from 'lucide-react';
 import useEvents from '../../hooks/useEvents';
+import { DATE_OPTIONS, formatDate as formatOrgDate } from '../../utils/dates';
 
 /**
  * Format date for display
  * @param {string} dateString - ISO date string
  * @returns {string} Formatted date
  */
-const formatDate = (dateString) => {
-  if (!dateString) return '';
-  const date = new Date(dateString);
-  return date.toLocaleDateString('en-IN', {
-    day: 'numeric',
-    month: 'short',
-    year: 'numeric',
-  });
-};
+const formatDate = (dateString) => formatOrgDate(dateString, DATE_OPTIONS, '');
 
 /**
  * Category color mapping
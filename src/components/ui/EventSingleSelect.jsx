@@ -1,20 +1,13 @@
 import { useState, useRef, useEffect, useCallback, useMemo } from 'react';
 import { Search, X, ChevronDown, Loader2, Calendar, AlertCircle, Check } from 'lucide-react';
+import { DATE_OPTIONS, formatDate as formatOrgDate } from '../../utils/dates';
 
 /**
  * Format date for display
  * @param {string} dateString - ISO date string
  * @returns {string} Formatted date
  */
-const formatDate = (dateString) => {
-  if (!dateString) return '';
-  const date = new Date(dateString);
-  return date.toLocaleDateString('en-IN', {
-    day: 'numeric',
-    month: 'short',
-    year: 'numeric',
-  });
-};
+const formatDate = (dateString) => formatOrgDate(dateString, DATE_OPTIONS, '');
 
 /**
  * Format currency for display
@@ -1,5 +1,6 @@
 import { useEffect, useCallback } from 'react';
 import { X } from 'lucide-react';
+import HistoryTabs from '../auditLog/HistoryTabs';
 
 /**
  * Reusable Modal Component
@@ -11,6 +12,8 @@ import { X } from 'lucide-react';
  * @param {string} props.size - Modal size: 'sm' | 'md' | 'lg' | 'xl' (default: 'md')
  * @param {boolean} props.showCloseButton - Whether to show the X button (default: true)
  * @param {boolean} props.closeOnOverlayClick - Whether clicking overlay closes modal (default: true)
+ * @param {Object} props.historyEntity - { type, id } of the record shown, adds a History tab with its audit trail
+ * @param {string} props.placement - 'center' for a dialog or 'right' for a full-height drawer (default: 'center')
  */
 function Modal({
   isOpen,
@@ -20,6 +23,8 @@ function Modal({
   size = 'md',
   showCloseButton = true,
   closeOnOverlayClick = true,
+  historyEntity,
+  placement = 'center',
 }) {
   const sizeClasses = {
     sm: 'max-w-sm',
@@ -52,6 +57,8 @@ function Modal({
 
   if (!isOpen) return null;
 
+  const isDrawer = placement === 'right';
+
   const handleOverlayClick = (e) => {
     if (e.target === e.currentTarget && closeOnOverlayClick) {
       onClose();
@@ -60,11 +67,15 @@ function Modal({
 
   return (
     <div
-      className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm"
+      className={`fixed inset-0 z-50 flex bg-black/50 backdrop-blur-sm ${
+        isDrawer ? 'justify-end' : 'items-center justify-center p-4'
+      }`}
       onClick={handleOverlayClick}
     >
       <div
-        className={`w-full ${sizeClasses[size]} bg-white rounded-xl shadow-xl transform transition-all`}
+        className={`w-full ${sizeClasses[size]} bg-white shadow-xl transform transition-all ${
+          isDrawer ? 'h-full flex flex-col' : 'rounded-xl'
+        }`}
         role="dialog"
         aria-modal="true"
         aria-labelledby="modal-title"
@@ -86,7 +97,15 @@ function Modal({
         </div>
 
         {/* Content */}
-        <div className="px-6 py-4 max-h-[calc(100vh-200px)] overflow-y-auto">{children}</div>
+        <div className={`px-6 py-4 overflow-y-auto ${isDrawer ? 'flex-1' : 'max-h-[calc(100vh-200px)]'}`}>
+          {historyEntity ? (
+            <HistoryTabs entityType={historyEntity.type} entityId={historyEntity.id}>
+              {children}
+            </HistoryTabs>
+          ) : (
+            children
+          )}
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,17 @@
+/**
+ * OptionBadge Component
+ * Pill showing the label and colour of a value from an options list
+ * @param {Object} props
+ * @param {{value: string, label: string, className?: string}[]} props.options - Options
+ * @param {string} props.value - Value to show
+ */
+function OptionBadge({ options, value }) {
+  const option = options.find((item) => item.value === value);
+  return (
+    <span className={`px-2.5 py-1 rounded-full text-xs font-medium whitespace-nowrap ${option?.className || 'bg-gray-100 text-gray-700'}`}>
+      {option?.label || value}
+    </span>
+  );
+}
+
+export default OptionBadge;
@@ -1,32 +1,197 @@
+import { useCallback, useMemo, useState } from 'react';
+import { ArrowDown, ArrowUp, ArrowUpDown, Loader2, X } from 'lucide-react';
+import useTableLayout from '../../hooks/useTableLayout';
+import TableColumnMenu from './TableColumnMenu';
+import ConfirmDialog from './ConfirmDialog';
+
+// Rows rendered above and below the visible window when virtualizing
+const OVERSCAN_ROWS = 8;
+
+/**
+ * Get a row's key
+ * @param {Object} row - Row data
+ * @param {number} index - Row position
+ * @param {string|Function} rowKey - Field name or (row, index) => key
+ * @returns {string}
+ */
+const getRowKey = (row, index, rowKey) =>
+  typeof rowKey === 'function' ? rowKey(row, index) : row?.[rowKey] ?? String(index);
+
+/**
+ * Compare two cell values for client-side sorting
+ * @returns {number}
+ */
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined || a === '') return 1;
+  if (b === null || b === undefined || b === '') return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+};
+
+const renderCell = (column, row, rowIndex) =>
+  column.render ? column.render(row, rowIndex) : row[column.accessor];
+
 /**
  * Table Component
- * Responsive, accessible table with sorting and actions
+ * Data grid with sorting, column show/hide and reordering, row selection with bulk actions,
+ * a sticky header and row virtualization for long lists
+ *
+ * Columns: { id?, header, accessor?, render?(row, index), sortable?, sortKey?, sortValue?(row),
+ *            hideable? (default true), align?: 'right', className?, cellClassName? }
+ *
+ * @param {Object} props
+ * @param {Object[]} props.columns - Column definitions in their default order
+ * @param {Object[]} props.data - Rows
+ * @param {string|Function} props.rowKey - Row key field or (row, index) => key (default '_id')
+ * @param {Function} props.onRowClick - Row click callback
+ * @param {Function} props.rowClassName - (row) => extra row classes
+ * @param {Object} props.sort - Controlled sort { key, direction: 'asc'|'desc' } for server-side sorting
+ * @param {Function} props.onSortChange - Called with the next sort; without it rows sort client-side
+ * @param {Object} props.defaultSort - Initial client-side sort
+ * @param {boolean} props.selectable - Show row checkboxes
+ * @param {Object[]} props.bulkActions - [{ id, label, icon?, variant?: 'danger', confirm?(rows), onClick(rows) }]
+ * @param {string} props.layoutKey - Saves the admin's column layout under this key
+ * @param {string|number} props.maxHeight - Scroll height; the header sticks and long lists virtualize
+ * @param {number} props.rowHeight - Estimated row height in px used for virtualization
+ * @param {number} props.virtualizeThreshold - Row count above which rows are virtualized
+ * @param {React.ReactNode} props.toolbar - Extra controls shown left of the column menu
  */
 function Table({
   columns,
   data,
+  rowKey = '_id',
   onRowClick,
+  rowClassName,
   emptyMessage = 'No data available',
+  emptyDescription,
   loading = false,
+  loadingMessage,
+  sort,
+  onSortChange,
+  defaultSort = null,
+  selectable = false,
+  bulkActions = [],
+  layoutKey,
+  maxHeight,
+  rowHeight = 64,
+  virtualizeThreshold = 100,
+  toolbar,
   className = ''
 }) {
+  const layout = useTableLayout(layoutKey, columns);
+  const visibleColumns = layout.visibleColumns;
+
+  const [localSort, setLocalSort] = useState(defaultSort);
+  const activeSort = onSortChange ? sort : localSort;
+
+  const [selectedKeys, setSelectedKeys] = useState([]);
+  const [pendingAction, setPendingAction] = useState(null);
+  const [runningAction, setRunningAction] = useState(null);
+
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+
+  const rows = useMemo(() => data || [], [data]);
+
+  // Client-side sorting (server-side sorting hands rows over already in order)
+  const sortedRows = useMemo(() => {
+    if (onSortChange || !localSort) return rows;
+    const column = columns.find((col, index) => (col.sortKey || col.id || col.accessor || String(index)) === localSort.key);
+    if (!column) return rows;
+
+    const getValue = column.sortValue || ((row) => row[column.accessor]);
+    const direction = localSort.direction === 'desc' ? -1 : 1;
+    return [...rows].sort((a, b) => compareValues(getValue(a), getValue(b)) * direction);
+  }, [rows, columns, localSort, onSortChange]);
+
+  const keyedRows = sortedRows.map((row, index) => ({ row, index, key: getRowKey(row, index, rowKey) }));
+
+  // Selection only ever covers rows that are still on screen
+  const selectedRows = keyedRows.filter(({ key }) => selectedKeys.includes(key)).map(({ row }) => row);
+  const allSelected = keyedRows.length > 0 && selectedRows.length === keyedRows.length;
+  const someSelected = selectedRows.length > 0 && !allSelected;
+
+  // Track the viewport of the scroll area for virtualization
+  const scrollRef = useCallback((element) => {
+    if (!element || typeof ResizeObserver === 'undefined') return undefined;
+
+    const observer = new ResizeObserver(([entry]) => setViewportHeight(entry.contentRect.height));
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  const isVirtualized = !!maxHeight && keyedRows.length > virtualizeThreshold && viewportHeight > 0;
+  const firstRow = isVirtualized ? Math.max(0, Math.floor(scrollTop / rowHeight) - OVERSCAN_ROWS) : 0;
+  const lastRow = isVirtualized
+    ? Math.min(keyedRows.length, Math.ceil((scrollTop + viewportHeight) / rowHeight) + OVERSCAN_ROWS)
+    : keyedRows.length;
+  const renderedRows = keyedRows.slice(firstRow, lastRow);
+
+  const handleSort = (column) => {
+    const key = column.sortKey || column.id;
+    const direction = activeSort?.key === key && activeSort.direction === 'asc' ? 'desc' : 'asc';
+    if (onSortChange) {
+      onSortChange({ key, direction });
+    } else {
+      setLocalSort({ key, direction });
+    }
+  };
+
+  const toggleRow = (key) => {
+    setSelectedKeys((prev) => (prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]));
+  };
+
+  const toggleAll = () => {
+    setSelectedKeys(allSelected ? [] : keyedRows.map(({ key }) => key));
+  };
+
+  const runBulkAction = async (action) => {
+    setPendingAction(null);
+    setRunningAction(action.id);
+    try {
+      await action.onClick(selectedRows);
+      setSelectedKeys([]);
+    } finally {
+      setRunningAction(null);
+    }
+  };
+
+  const handleBulkClick = (action) => {
+    if (action.confirm) {
+      setPendingAction(action);
+    } else {
+      runBulkAction(action);
+    }
+  };
+
+  const showToolbar = !!layoutKey || !!toolbar || (selectable && selectedRows.length > 0);
+  const scrollStyle = maxHeight ? { maxHeight } : undefined;
+
   if (loading) {
     return (
       <div className={`bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden ${className}`}>
-        <div className="animate-pulse p-6 space-y-4">
-          {[...Array(5)].map((_, i) => (
-            <div key={i} className="flex gap-4">
-              <div className="h-4 bg-gray-200 rounded flex-1" />
-              <div className="h-4 bg-gray-200 rounded flex-1" />
-              <div className="h-4 bg-gray-200 rounded flex-1" />
-            </div>
-          ))}
-        </div>
+        {loadingMessage ? (
+          <div className="flex items-center justify-center p-8">
+            <Loader2 className="h-8 w-8 animate-spin text-gray-800" />
+            <span className="ml-3 text-gray-600">{loadingMessage}</span>
+          </div>
+        ) : (
+          <div className="animate-pulse p-6 space-y-4">
+            {[...Array(5)].map((_, i) => (
+              <div key={i} className="flex gap-4">
+                <div className="h-4 bg-gray-200 rounded flex-1" />
+                <div className="h-4 bg-gray-200 rounded flex-1" />
+                <div className="h-4 bg-gray-200 rounded flex-1" />
+              </div>
+            ))}
+          </div>
+        )}
       </div>
     );
   }
 
-  if (!data || data.length === 0) {
+  if (rows.length === 0) {
     return (
       <div className={`bg-white rounded-xl shadow-sm border border-gray-200 p-12 text-center ${className}`}>
         <div className="text-gray-400 mb-4">
@@ -45,78 +210,202 @@ function Table({
           </svg>
         </div>
         <p className="text-gray-600 font-medium">{emptyMessage}</p>
+        {emptyDescription && <p className="text-sm text-gray-500 mt-1">{emptyDescription}</p>}
       </div>
     );
   }
 
+  const rowClasses = (row) => `
+    transition-colors hover:bg-gray-50
+    ${onRowClick ? 'cursor-pointer' : ''}
+    ${rowClassName ? rowClassName(row) : ''}
+  `;
+
+  const selectionCheckbox = (key, label) => (
+    <input
+      type="checkbox"
+      checked={selectedKeys.includes(key)}
+      onChange={() => toggleRow(key)}
+      onClick={(e) => e.stopPropagation()}
+      aria-label={label}
+      className="rounded border-gray-300"
+    />
+  );
+
   return (
     <div className={`bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden ${className}`}>
+      {/* Toolbar - bulk actions while rows are selected, column menu otherwise */}
+      {showToolbar && (
+        <div className="flex flex-wrap items-center justify-between gap-2 px-4 py-2 border-b border-gray-200 bg-white">
+          {selectable && selectedRows.length > 0 ? (
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-sm font-medium text-gray-900">{selectedRows.length} selected</span>
+              {bulkActions.map((action) => (
+                <button
+                  key={action.id}
+                  type="button"
+                  onClick={() => handleBulkClick(action)}
+                  disabled={!!runningAction}
+                  className={`inline-flex items-center gap-1.5 px-3 py-1.5 text-sm rounded-lg transition-colors disabled:opacity-50 ${
+                    action.variant === 'danger'
+                      ? 'text-red-700 bg-red-50 hover:bg-red-100'
+                      : 'text-gray-700 bg-gray-100 hover:bg-gray-200'
+                  }`}
+                >
+                  {runningAction === action.id ? (
+                    <Loader2 className="h-4 w-4 animate-spin" />
+                  ) : (
+                    action.icon && <action.icon className="h-4 w-4" />
+                  )}
+                  {action.label}
+                </button>
+              ))}
+              <button
+                type="button"
+                onClick={() => setSelectedKeys([])}
+                className="inline-flex items-center gap-1 px-2 py-1.5 text-sm text-gray-500 hover:text-gray-900"
+              >
+                <X className="h-4 w-4" />
+                Clear
+              </button>
+            </div>
+          ) : (
+            <div className="flex items-center gap-2">{toolbar}</div>
+          )}
+          {layoutKey && (
+            <TableColumnMenu
+              columns={layout.columns}
+              hiddenIds={layout.hiddenIds}
+              onToggle={layout.toggleColumn}
+              onMove={layout.moveColumn}
+              onReset={layout.resetLayout}
+            />
+          )}
+        </div>
+      )}
+
       {/* Desktop Table */}
-      <div className="hidden md:block overflow-x-auto">
+      <div
+        ref={scrollRef}
+        onScroll={maxHeight ? (e) => setScrollTop(e.currentTarget.scrollTop) : undefined}
+        style={scrollStyle}
+        className={`hidden md:block overflow-x-auto ${maxHeight ? 'overflow-y-auto' : ''}`}
+      >
         <table className="w-full">
-          <thead className="bg-gray-50 border-b border-gray-200">
+          <thead className="bg-gray-50 border-b border-gray-200 sticky top-0 z-10">
             <tr>
-              {columns.map((column, index) => (
-                <th
-                  key={index}
-                  className={`
-                    px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider
-                    ${column.className || ''}
-                  `}
-                >
-                  {column.header}
+              {selectable && (
+                <th className="w-10 px-4 py-4">
+                  <input
+                    type="checkbox"
+                    checked={allSelected}
+                    ref={(el) => {
+                      if (el) el.indeterminate = someSelected;
+                    }}
+                    onChange={toggleAll}
+                    aria-label="Select all rows"
+                    className="rounded border-gray-300"
+                  />
                 </th>
-              ))}
+              )}
+              {visibleColumns.map((column) => {
+                const sortKey = column.sortKey || column.id;
+                const isSorted = activeSort?.key === sortKey;
+                const SortIcon = !isSorted ? ArrowUpDown : activeSort.direction === 'desc' ? ArrowDown : ArrowUp;
+                return (
+                  <th
+                    key={column.id}
+                    aria-sort={isSorted ? (activeSort.direction === 'desc' ? 'descending' : 'ascending') : undefined}
+                    className={`
+                      px-6 py-4 text-xs font-semibold text-gray-700 uppercase tracking-wider
+                      ${column.align === 'right' ? 'text-right' : 'text-left'}
+                      ${column.className || ''}
+                    `}
+                  >
+                    {column.sortable ? (
+                      <button
+                        type="button"
+                        onClick={() => handleSort(column)}
+                        className="inline-flex items-center gap-1 uppercase tracking-wider hover:text-gray-900"
+                      >
+                        {column.header}
+                        <SortIcon className={`h-3.5 w-3.5 ${isSorted ? 'text-gray-900' : 'text-gray-400'}`} />
+                      </button>
+                    ) : (
+                      column.header
+                    )}
+                  </th>
+                );
+              })}
             </tr>
           </thead>
           <tbody className="divide-y divide-gray-200">
-            {data.map((row, rowIndex) => (
+            {firstRow > 0 && (
+              <tr aria-hidden="true">
+                <td colSpan={visibleColumns.length + (selectable ? 1 : 0)} style={{ height: firstRow * rowHeight }} />
+              </tr>
+            )}
+            {renderedRows.map(({ row, index, key }) => (
               <tr
-                key={rowIndex}
+                key={key}
                 onClick={() => onRowClick && onRowClick(row)}
-                className={`
-                  transition-colors hover:bg-gray-50
-                  ${onRowClick ? 'cursor-pointer' : ''}
-                `}
+                className={`${rowClasses(row)} ${selectedKeys.includes(key) ? 'bg-gray-50' : ''}`}
               >
-                {columns.map((column, colIndex) => (
+                {selectable && <td className="w-10 px-4 py-4">{selectionCheckbox(key, 'Select row')}</td>}
+                {visibleColumns.map((column) => (
                   <td
-                    key={colIndex}
-                    className={`px-6 py-4 text-sm text-gray-900 ${column.cellClassName || ''}`}
+                    key={column.id}
+                    className={`px-6 py-4 text-sm text-gray-900 ${column.align === 'right' ? 'text-right' : ''} ${column.cellClassName || ''}`}
                   >
-                    {column.render ? column.render(row, rowIndex) : row[column.accessor]}
+                    {renderCell(column, row, index)}
                   </td>
                 ))}
               </tr>
             ))}
+            {lastRow < keyedRows.length && (
+              <tr aria-hidden="true">
+                <td
+                  colSpan={visibleColumns.length + (selectable ? 1 : 0)}
+                  style={{ height: (keyedRows.length - lastRow) * rowHeight }}
+                />
+              </tr>
+            )}
           </tbody>
         </table>
       </div>
 
       {/* Mobile Cards */}
       <div className="md:hidden divide-y divide-gray-200">
-        {data.map((row, rowIndex) => (
+        {keyedRows.map(({ row, index, key }) => (
           <div
-            key={rowIndex}
+            key={key}
             onClick={() => onRowClick && onRowClick(row)}
-            className={`
-              p-4 space-y-3 hover:bg-gray-50 transition-colors
-              ${onRowClick ? 'cursor-pointer' : ''}
-            `}
+            className={`p-4 space-y-3 ${rowClasses(row)}`}
           >
-            {columns.map((column, colIndex) => (
-              <div key={colIndex} className="flex justify-between items-start">
+            {selectable && <div>{selectionCheckbox(key, 'Select row')}</div>}
+            {visibleColumns.map((column) => (
+              <div key={column.id} className="flex justify-between items-start">
                 <span className="text-xs font-semibold text-gray-600 uppercase">
                   {column.header}
                 </span>
                 <span className="text-sm text-gray-900 text-right ml-4">
-                  {column.render ? column.render(row, rowIndex) : row[column.accessor]}
+                  {renderCell(column, row, index)}
                 </span>
               </div>
             ))}
           </div>
         ))}
       </div>
+
+      <ConfirmDialog
+        isOpen={!!pendingAction}
+        onClose={() => setPendingAction(null)}
+        onConfirm={() => runBulkAction(pendingAction)}
+        title={pendingAction?.label}
+        message={pendingAction?.confirm?.(selectedRows)}
+        confirmText={pendingAction?.label}
+        variant={pendingAction?.variant === 'danger' ? 'danger' : 'primary'}
+      />
     </div>
   );
 }
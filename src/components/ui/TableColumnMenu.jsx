@@ -0,0 +1,95 @@
+import { useEffect, useRef, useState } from 'react';
+import { ChevronLeft, ChevronRight, Columns3, RotateCcw } from 'lucide-react';
+
+/**
+ * TableColumnMenu Component
+ * Dropdown for showing/hiding and reordering a data grid's columns
+ * @param {Object} props
+ * @param {Object[]} props.columns - Columns in their current order (with `id`)
+ * @param {string[]} props.hiddenIds - IDs of hidden columns
+ * @param {Function} props.onToggle - (id) => void
+ * @param {Function} props.onMove - (id, offset) => void
+ * @param {Function} props.onReset - Restore the default layout
+ */
+function TableColumnMenu({ columns, hiddenIds, onToggle, onMove, onReset }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  // Close on click outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        type="button"
+        onClick={() => setIsOpen((prev) => !prev)}
+        className="inline-flex items-center gap-2 px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50"
+        aria-expanded={isOpen}
+      >
+        <Columns3 className="h-4 w-4" />
+        Columns
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-64 bg-white border border-gray-200 rounded-xl shadow-lg z-30 p-2">
+          <ul className="max-h-80 overflow-y-auto space-y-0.5">
+            {columns.map((column, index) => {
+              const canHide = column.hideable !== false;
+              return (
+                <li key={column.id} className="flex items-center gap-1 px-2 py-1 rounded-lg hover:bg-gray-50">
+                  <label className="flex-1 min-w-0 flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={!hiddenIds.includes(column.id) || !canHide}
+                      disabled={!canHide}
+                      onChange={() => onToggle(column.id)}
+                      className="rounded border-gray-300"
+                    />
+                    <span className="truncate">{column.label || column.header || column.id}</span>
+                  </label>
+                  <button
+                    type="button"
+                    onClick={() => onMove(column.id, -1)}
+                    disabled={index === 0}
+                    className="p-1 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+                    title="Move left"
+                  >
+                    <ChevronLeft className="h-4 w-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => onMove(column.id, 1)}
+                    disabled={index === columns.length - 1}
+                    className="p-1 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+                    title="Move right"
+                  >
+                    <ChevronRight className="h-4 w-4" />
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+          <button
+            type="button"
+            onClick={onReset}
+            className="mt-2 w-full inline-flex items-center justify-center gap-2 px-3 py-1.5 text-sm text-gray-600 bg-gray-50 rounded-lg hover:bg-gray-100"
+          >
+            <RotateCcw className="h-4 w-4" />
+            Reset columns
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TableColumnMenu;
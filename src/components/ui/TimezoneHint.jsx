@@ -0,0 +1,32 @@
+import { Globe } from 'lucide-react';
+import { ORG_TIMEZONE, getTimezoneLabel, isDeviceOutsideOrgTimezone } from '../../utils/dates';
+
+/**
+ * TimezoneHint Component
+ * Names the organization's timezone next to date fields; highlighted when the
+ * device runs on a different clock, so times aren't entered in the wrong zone
+ * @param {Object} props
+ * @param {string} props.className - Additional classes
+ */
+function TimezoneHint({ className = '' }) {
+  const isOutside = isDeviceOutsideOrgTimezone();
+  const deviceTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+  return (
+    <span
+      className={`inline-flex items-center gap-1 text-xs font-normal ${
+        isOutside ? 'text-amber-700' : 'text-gray-500'
+      } ${className}`}
+      title={
+        isOutside
+          ? `Times are in ${ORG_TIMEZONE}, not your device's timezone (${deviceTimezone})`
+          : `Times are in ${ORG_TIMEZONE}`
+      }
+    >
+      <Globe className="h-3 w-3" />
+      {getTimezoneLabel()}
+    </span>
+  );
+}
+
+export default TimezoneHint;
@@ -1,5 +1,6 @@
 import { Clock, User, Phone, Mail, Package, CreditCard, Calendar, FileText } from 'lucide-react';
 import Modal from '../ui/Modal';
+import { DATE_TIME_OPTIONS, formatDate as formatOrgDate } from '../../utils/dates';
 
 /**
  * Format currency
@@ -16,14 +17,7 @@ function formatCurrency(amount) {
  * Format date
  */
 function formatDate(isoDate) {
-  if (!isoDate) return 'N/A';
-  return new Date(isoDate).toLocaleDateString('en-IN', {
-    day: 'numeric',
-    month: 'short',
-    year: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit',
-  });
+  return formatOrgDate(isoDate, DATE_TIME_OPTIONS, 'N/A');
 }
 
 /**
@@ -61,7 +55,13 @@ function SubscriptionDetailsModal({ isOpen, onClose, subscription }) {
   const daysRemaining = subscription.status === 'ACTIVE' ? getDaysRemaining(subscription.endDate) : null;
 
   return (
-    <Modal isOpen={isOpen} onClose={onClose} title="Subscription Details" size="xl">
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Subscription Details"
+      size="xl"
+      historyEntity={{ type: 'USER_SUBSCRIPTION', id: subscription._id }}
+    >
       <div className="space-y-6">
         {/* Header */}
         <div className="flex items-start justify-between">
@@ -2,6 +2,8 @@ import { useState, useEffect } from 'react';
 import { Search, X, RotateCcw } from 'lucide-react';
 import { SUBSCRIPTION_STATUS, SORT_OPTIONS } from '../../hooks/useUserSubscriptions';
 import serviceService from '../../services/service.service';
+import useSyncedInput from '../../hooks/useSyncedInput';
+import logger from '../../utils/logger';
 
 /**
  * SubscriptionFilters Component
@@ -14,7 +16,7 @@ function SubscriptionFilters({
   onReset,
   disabled = false,
 }) {
-  const [searchInput, setSearchInput] = useState(filters.search || '');
+  const [searchInput, setSearchInput] = useSyncedInput(filters.search || '');
   const [services, setServices] = useState([]);
 
   // Fetch services for dropdown
@@ -26,7 +28,7 @@ function SubscriptionFilters({
           setServices(result.data.services || []);
         }
       } catch (err) {
-        console.error('Failed to fetch services:', err);
+        logger.error('Failed to fetch services:', err);
       }
     };
     fetchServices();
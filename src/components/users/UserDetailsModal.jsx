@@ -1,37 +1,20 @@
 import { Loader2, Mail, Phone, Clock, Calendar, Award, AlertCircle } from 'lucide-react';
 import Modal from '../ui/Modal';
+import { DATE_OPTIONS, DATE_TIME_OPTIONS, formatDate as formatOrgDate } from '../../utils/dates';
 
 /**
  * Format date for display
  * @param {string} dateString - ISO date string
  * @returns {string} Formatted date
  */
-const formatDate = (dateString) => {
-  if (!dateString) return '-';
-  const date = new Date(dateString);
-  return date.toLocaleDateString('en-IN', {
-    day: 'numeric',
-    month: 'short',
-    year: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit',
-  });
-};
+const formatDate = (dateString) => formatOrgDate(dateString, DATE_TIME_OPTIONS, '-');
 
 /**
  * Format date short (without time)
  * @param {string} dateString - ISO date string
  * @returns {string} Formatted date
  */
-const formatDateShort = (dateString) => {
-  if (!dateString) return '-';
-  const date = new Date(dateString);
-  return date.toLocaleDateString('en-IN', {
-    day: 'numeric',
-    month: 'short',
-    year: 'numeric',
-  });
-};
+const formatDateShort = (dateString) => formatOrgDate(dateString, DATE_OPTIONS, '-');
 
 /**
  * UserDetailsModal Component
@@ -46,7 +29,13 @@ function UserDetailsModal({ isOpen, onClose, user, isLoading = false }) {
   if (!user && !isLoading) return null;
 
   return (
-    <Modal isOpen={isOpen} onClose={onClose} title="User Details" size="lg">
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="User Details"
+      size="lg"
+      historyEntity={{ type: 'USER', id: user?._id }}
+    >
       {isLoading ? (
         <div className="py-12 flex flex-col items-center justify-center">
           <Loader2 className="h-8 w-8 text-gray-800 animate-spin" />
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { Loader2 } from 'lucide-react';
 import Modal from '../ui/Modal';
+import useFormErrors from '../../hooks/useFormErrors';
 
 /**
  * Initial form state
@@ -59,7 +60,7 @@ const validateForm = (data) => {
  * @param {Object} props.user - User data for editing
  * @param {boolean} props.isLoading - Whether the form submission is in progress
  * @param {string} props.serverError - Server error message
- * @param {Array} props.validationErrors - Server validation errors
+ * @param {Object} props.fieldErrors - Server field errors { [field]: message }
  */
 function UserForm({
   isOpen,
@@ -68,10 +69,10 @@ function UserForm({
   user = null,
   isLoading = false,
   serverError = null,
-  validationErrors = null,
+  fieldErrors = null,
 }) {
   const [formData, setFormData] = useState(getInitialFormState(user));
-  const [errors, setErrors] = useState({});
+  const { formRef, errors, setErrors, showErrors, clearFieldError } = useFormErrors(fieldErrors);
 
   // Reset form when user changes or modal opens/closes
   useEffect(() => {
@@ -79,28 +80,13 @@ function UserForm({
       setFormData(getInitialFormState(user));
       setErrors({});
     }
-  }, [isOpen, user]);
-
-  // Map server validation errors to form fields
-  useEffect(() => {
-    if (validationErrors && Array.isArray(validationErrors)) {
-      const serverErrors = {};
-      validationErrors.forEach((err) => {
-        if (err.field) {
-          serverErrors[err.field] = err.message;
-        }
-      });
-      setErrors((prev) => ({ ...prev, ...serverErrors }));
-    }
-  }, [validationErrors]);
+  }, [isOpen, user, setErrors]);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData((prev) => ({ ...prev, [name]: value }));
     // Clear error when user starts typing
-    if (errors[name]) {
-      setErrors((prev) => ({ ...prev, [name]: null }));
-    }
+    clearFieldError(name);
   };
 
   const handleSubmit = async (e) => {
@@ -109,7 +95,7 @@ function UserForm({
     // Validate form
     const validation = validateForm(formData);
     if (!validation.isValid) {
-      setErrors(validation.errors);
+      showErrors(validation.errors);
       return;
     }
 
@@ -136,7 +122,7 @@ function UserForm({
       size="md"
       closeOnOverlayClick={!isLoading}
     >
-      <form onSubmit={handleSubmit}>
+      <form ref={formRef} onSubmit={handleSubmit}>
         {/* Server Error */}
         {serverError && (
           <div className="mb-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
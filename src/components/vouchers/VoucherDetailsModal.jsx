@@ -1,22 +1,13 @@
 import { Loader2, Calendar, Tag, Users, Hash, Clock, User, CheckCircle, XCircle } from 'lucide-react';
 import Modal from '../ui/Modal';
+import { DATE_TIME_OPTIONS, formatDate as formatOrgDate } from '../../utils/dates';
 
 /**
  * Format date for display
  * @param {string} dateString - ISO date string
  * @returns {string} Formatted date
  */
-const formatDate = (dateString) => {
-  if (!dateString) return '-';
-  const date = new Date(dateString);
-  return date.toLocaleDateString('en-IN', {
-    day: 'numeric',
-    month: 'short',
-    year: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit',
-  });
-};
+const formatDate = (dateString) => formatOrgDate(dateString, DATE_TIME_OPTIONS, '-');
 
 /**
  * Calculate usage percentage
@@ -57,7 +48,13 @@ function VoucherDetailsModal({ isOpen, onClose, voucher, isLoading = false }) {
     : 0;
 
   return (
-    <Modal isOpen={isOpen} onClose={onClose} title="Voucher Details" size="lg">
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Voucher Details"
+      size="lg"
+      historyEntity={{ type: 'VOUCHER', id: voucher?._id }}
+    >
       {isLoading ? (
         <div className="py-12 flex flex-col items-center justify-center">
           <Loader2 className="h-8 w-8 text-gray-800 animate-spin" />
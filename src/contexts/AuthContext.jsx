@@ -1,5 +1,15 @@
 import { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import authService from '../services/auth.service';
+import { tokenStorage, adminStorage, clearAllAuthData } from '../utils/storage';
+import {
+  AUTH_EVENTS,
+  broadcastAuthEvent,
+  subscribeToAuthEvents,
+  requestSessionFromOtherTabs,
+} from '../utils/authSync';
+import { clearQueryCache } from '../utils/queryCache';
+import { adminHasRole, adminHasAccess, canAccessRoute as canAdminAccessRoute } from '../utils/permissions';
+import logger from '../utils/logger';
 
 /**
  * Auth Context
@@ -20,12 +30,20 @@ export const AuthProvider = ({ children }) => {
    */
   useEffect(() => {
     const initializeAuth = async () => {
-      console.log('[AuthContext] Initializing auth state...');
+      logger.debug('[AuthContext] Initializing auth state...');
 
       try {
+        // A new tab has no sessionStorage tokens - borrow the session of an open tab
+        if (!authService.isAuthenticated()) {
+          const session = await requestSessionFromOtherTabs();
+          if (session) {
+            authService.storeSession(session);
+          }
+        }
+
         // Check if we have stored tokens
         if (authService.isAuthenticated()) {
-          console.log('[AuthContext] Found stored tokens, fetching profile...');
+          logger.debug('[AuthContext] Found stored tokens, fetching profile...');
 
           // Try to fetch fresh profile data
           const result = await authService.getProfile();
@@ -33,20 +51,20 @@ export const AuthProvider = ({ children }) => {
           if (result.success) {
             setAdmin(result.data.admin);
             setIsAuthenticated(true);
-            console.log('[AuthContext] Auth initialized successfully');
+            logger.debug('[AuthContext] Auth initialized successfully');
           } else {
             // Token might be expired, try refresh
-            console.log('[AuthContext] Profile fetch failed, token may be expired');
+            logger.debug('[AuthContext] Profile fetch failed, token may be expired');
             setIsAuthenticated(false);
             setAdmin(null);
           }
         } else {
-          console.log('[AuthContext] No stored tokens found');
+          logger.debug('[AuthContext] No stored tokens found');
           setIsAuthenticated(false);
           setAdmin(null);
         }
       } catch (err) {
-        console.error('[AuthContext] Error initializing auth:', err);
+        logger.error('[AuthContext] Error initializing auth:', err);
         setIsAuthenticated(false);
         setAdmin(null);
       } finally {
@@ -57,42 +75,136 @@ export const AuthProvider = ({ children }) => {
     initializeAuth();
   }, []);
 
+  /**
+   * Apply auth changes made in other tabs
+   */
+  useEffect(() => {
+    return subscribeToAuthEvents(({ type, payload }) => {
+      logger.debug('[AuthContext] Auth event from another tab:', type);
+
+      switch (type) {
+        case AUTH_EVENTS.LOGIN:
+          authService.storeSession(payload);
+          setAdmin(payload.admin);
+          setIsAuthenticated(true);
+          break;
+
+        case AUTH_EVENTS.LOGOUT:
+          clearAllAuthData();
+          clearQueryCache();
+          setAdmin(null);
+          setIsAuthenticated(false);
+          break;
+
+        case AUTH_EVENTS.TOKEN_REFRESHED:
+          if (tokenStorage.getRefreshToken()) {
+            tokenStorage.setAccessToken(payload.accessToken);
+          }
+          break;
+
+        case AUTH_EVENTS.PROFILE_UPDATED:
+          adminStorage.setAdmin(payload.admin);
+          setAdmin(payload.admin);
+          break;
+
+        case AUTH_EVENTS.SESSION_REQUEST: {
+          const session = authService.getSession();
+          if (session) {
+            broadcastAuthEvent(AUTH_EVENTS.SESSION_SHARE, session);
+          }
+          break;
+        }
+
+        default:
+          break;
+      }
+    });
+  }, []);
+
   /**
    * Login handler
    */
   const login = useCallback(async (credentials, rememberMe = false) => {
-    console.log('[AuthContext] Login attempt');
+    logger.debug('[AuthContext] Login attempt');
     setError(null);
     setIsLoading(true);
 
     try {
       const result = await authService.login(credentials, rememberMe);
 
+      // Second step needed - stay signed out until it completes
+      if (result.success && (result.data.requiresTwoFactor || result.data.twoFactorSetupRequired)) {
+        logger.debug('[AuthContext] Two-factor step required');
+        return {
+          success: true,
+          twoFactor: {
+            step: result.data.twoFactorSetupRequired ? 'setup' : 'verify',
+            twoFactorToken: result.data.twoFactorToken,
+          },
+        };
+      }
+
       if (result.success) {
         setAdmin(result.data.admin);
         setIsAuthenticated(true);
-        console.log('[AuthContext] Login successful');
+        logger.debug('[AuthContext] Login successful');
         return { success: true, data: result.data };
       } else {
         setError(result.message);
-        console.error('[AuthContext] Login failed:', result.message);
+        logger.error('[AuthContext] Login failed:', result.message);
         return { success: false, error: result.message };
       }
     } catch (err) {
       const errorMessage = 'An unexpected error occurred during login';
       setError(errorMessage);
-      console.error('[AuthContext] Login error:', err);
+      logger.error('[AuthContext] Login error:', err);
       return { success: false, error: errorMessage };
     } finally {
       setIsLoading(false);
     }
   }, []);
 
+  /**
+   * Second login step - verify an authenticator or backup code
+   */
+  const verifyTwoFactor = useCallback(async (twoFactorToken, code, rememberMe = false) => {
+    logger.debug('[AuthContext] Verifying two-factor code');
+    setError(null);
+
+    try {
+      const result = await authService.verifyTwoFactor(twoFactorToken, code, rememberMe);
+
+      if (result.success) {
+        setAdmin(result.data.admin);
+        setIsAuthenticated(true);
+        logger.debug('[AuthContext] Two-factor login successful');
+        return { success: true, data: result.data };
+      } else {
+        setError(result.message);
+        return { success: false, error: result.message };
+      }
+    } catch (err) {
+      const errorMessage = 'An unexpected error occurred during verification';
+      setError(errorMessage);
+      logger.error('[AuthContext] Two-factor error:', err);
+      return { success: false, error: errorMessage };
+    }
+  }, []);
+
+  /**
+   * Sign in with the session issued after enrolling in 2FA during login
+   */
+  const completeTwoFactorEnrollment = useCallback((data, rememberMe = false) => {
+    authService.completeTwoFactorEnrollment(data, rememberMe);
+    setAdmin(data.admin);
+    setIsAuthenticated(true);
+  }, []);
+
   /**
    * Register handler
    */
   const register = useCallback(async (adminData, rememberMe = false) => {
-    console.log('[AuthContext] Register attempt');
+    logger.debug('[AuthContext] Register attempt');
     setError(null);
     setIsLoading(true);
 
@@ -102,17 +214,17 @@ export const AuthProvider = ({ children }) => {
       if (result.success) {
         setAdmin(result.data.admin);
         setIsAuthenticated(true);
-        console.log('[AuthContext] Registration successful');
+        logger.debug('[AuthContext] Registration successful');
         return { success: true, data: result.data };
       } else {
         setError(result.message);
-        console.error('[AuthContext] Registration failed:', result.message);
+        logger.error('[AuthContext] Registration failed:', result.message);
         return { success: false, error: result.message };
       }
     } catch (err) {
       const errorMessage = 'An unexpected error occurred during registration';
       setError(errorMessage);
-      console.error('[AuthContext] Registration error:', err);
+      logger.error('[AuthContext] Registration error:', err);
       return { success: false, error: errorMessage };
     } finally {
       setIsLoading(false);
@@ -123,7 +235,7 @@ export const AuthProvider = ({ children }) => {
    * Logout handler
    */
   const logout = useCallback(async () => {
-    console.log('[AuthContext] Logout attempt');
+    logger.debug('[AuthContext] Logout attempt');
     setIsLoading(true);
 
     try {
@@ -131,15 +243,17 @@ export const AuthProvider = ({ children }) => {
       setAdmin(null);
       setIsAuthenticated(false);
       setError(null);
-      console.log('[AuthContext] Logout successful');
+      logger.debug('[AuthContext] Logout successful');
       return { success: true };
     } catch (err) {
-      console.error('[AuthContext] Logout error:', err);
+      logger.error('[AuthContext] Logout error:', err);
       // Still clear local state even if server logout fails
       setAdmin(null);
       setIsAuthenticated(false);
       return { success: true };
     } finally {
+      // Cached lists belong to the admin who just left
+      clearQueryCache();
       setIsLoading(false);
     }
   }, []);
@@ -148,21 +262,21 @@ export const AuthProvider = ({ children }) => {
    * Refresh profile data
    */
   const refreshProfile = useCallback(async () => {
-    console.log('[AuthContext] Refreshing profile');
+    logger.debug('[AuthContext] Refreshing profile');
 
     try {
       const result = await authService.getProfile();
 
       if (result.success) {
         setAdmin(result.data.admin);
-        console.log('[AuthContext] Profile refreshed');
+        logger.debug('[AuthContext] Profile refreshed');
         return { success: true, data: result.data.admin };
       } else {
-        console.error('[AuthContext] Profile refresh failed:', result.message);
+        logger.error('[AuthContext] Profile refresh failed:', result.message);
         return { success: false, error: result.message };
       }
     } catch (err) {
-      console.error('[AuthContext] Profile refresh error:', err);
+      logger.error('[AuthContext] Profile refresh error:', err);
       return { success: false, error: 'Failed to refresh profile' };
     }
   }, []);
@@ -171,7 +285,7 @@ export const AuthProvider = ({ children }) => {
    * Update profile
    */
   const updateProfile = useCallback(async (profileData) => {
-    console.log('[AuthContext] Updating profile');
+    logger.debug('[AuthContext] Updating profile');
     setError(null);
 
     try {
@@ -179,7 +293,7 @@ export const AuthProvider = ({ children }) => {
 
       if (result.success) {
         setAdmin(result.data.admin);
-        console.log('[AuthContext] Profile updated');
+        logger.debug('[AuthContext] Profile updated');
         return { success: true, data: result.data.admin };
       } else {
         setError(result.message);
@@ -196,14 +310,14 @@ export const AuthProvider = ({ children }) => {
    * Change password
    */
   const changePassword = useCallback(async (passwords) => {
-    console.log('[AuthContext] Changing password');
+    logger.debug('[AuthContext] Changing password');
     setError(null);
 
     try {
       const result = await authService.changePassword(passwords);
 
       if (result.success) {
-        console.log('[AuthContext] Password changed');
+        logger.debug('[AuthContext] Password changed');
         return { success: true };
       } else {
         setError(result.message);
@@ -226,25 +340,17 @@ export const AuthProvider = ({ children }) => {
   /**
    * Check if admin has specific role(s)
    */
-  const hasRole = useCallback(
-    (roles) => {
-      if (!admin) return false;
-      const roleArray = Array.isArray(roles) ? roles : [roles];
-      return roleArray.includes(admin.role);
-    },
-    [admin]
-  );
+  const hasRole = useCallback((roles) => adminHasRole(admin, roles), [admin]);
 
   /**
    * Check if admin has specific access permission
    */
-  const hasAccess = useCallback(
-    (permission) => {
-      if (!admin) return false;
-      return admin.access?.includes(permission) || false;
-    },
-    [admin]
-  );
+  const hasAccess = useCallback((permission) => adminHasAccess(admin, permission), [admin]);
+
+  /**
+   * Check if admin can open a route, per ROUTE_PERMISSIONS
+   */
+  const canAccessRoute = useCallback((path) => canAdminAccessRoute(admin, path), [admin]);
 
   const value = {
     // State
@@ -255,6 +361,8 @@ export const AuthProvider = ({ children }) => {
 
     // Actions
     login,
+    verifyTwoFactor,
+    completeTwoFactorEnrollment,
     register,
     logout,
     refreshProfile,
@@ -265,6 +373,7 @@ export const AuthProvider = ({ children }) => {
     // Role/Permission checks
     hasRole,
     hasAccess,
+    canAccessRoute,
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -1,5 +1,7 @@
-import { useState, useCallback, useEffect } from 'react';
+import { useState, useCallback, useMemo } from 'react';
 import adminService from '../services/admin.service';
+import useQuery from './useQuery';
+import { invalidateQueries, setQueriesData } from '../utils/queryCache';
 
 /**
  * Custom hook for managing admin state and operations
@@ -8,54 +10,45 @@ import adminService from '../services/admin.service';
  */
 function useAdmins(initialFilters = {}) {
   // State
-  const [admins, setAdmins] = useState([]);
-  const [pagination, setPagination] = useState({
-    total: 0,
-    page: 1,
-    limit: 10,
-    totalPages: 0,
-  });
+  const [page, setPage] = useState(1);
+  const [limit, setLimit] = useState(10);
   const [filters, setFilters] = useState({
     search: '',
     status: '',
     role: '',
     ...initialFilters,
   });
-  const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState(null);
+  const [dismissedErrorAt, setDismissedErrorAt] = useState(null);
 
-  /**
-   * Fetch admins with current filters and pagination
-   */
-  const fetchAdmins = useCallback(async (page = pagination.page) => {
-    setIsLoading(true);
-    setError(null);
+  const params = useMemo(() => ({
+    page,
+    limit,
+    ...(filters.search && { search: filters.search }),
+    ...(filters.status && { status: filters.status }),
+    ...(filters.role && { role: filters.role }),
+  }), [page, limit, filters]);
 
-    try {
-      const params = {
-        page,
-        limit: pagination.limit,
-        ...(filters.search && { search: filters.search }),
-        ...(filters.status && { status: filters.status }),
-        ...(filters.role && { role: filters.role }),
-      };
+  const adminsQuery = useQuery(['admins', 'list', params], () => adminService.getAll(params), {
+    keepPreviousData: true,
+  });
 
-      const result = await adminService.getAll(params);
+  const admins = adminsQuery.data?.admins || [];
+  const pagination = adminsQuery.data?.pagination || { total: 0, page, limit, totalPages: 0 };
+  const { isLoading, isFetching } = adminsQuery;
+  const error = adminsQuery.updatedAt !== dismissedErrorAt ? adminsQuery.error : null;
+  const { refetch } = adminsQuery;
 
-      if (result.success) {
-        setAdmins(result.data.admins);
-        setPagination(result.data.pagination);
-      } else {
-        setError(result.message);
-        setAdmins([]);
-      }
-    } catch (err) {
-      setError('Failed to fetch admins');
-      setAdmins([]);
-    } finally {
-      setIsLoading(false);
+  /**
+   * Fetch admins for a page - refetches when it's the current page
+   * @param {number} nextPage - Page number
+   */
+  const fetchAdmins = useCallback(async (nextPage = page) => {
+    if (nextPage !== page) {
+      setPage(nextPage);
+      return;
     }
-  }, [filters, pagination.limit]);
+    await refetch();
+  }, [page, refetch]);
 
   /**
    * Create a new admin
@@ -63,25 +56,62 @@ function useAdmins(initialFilters = {}) {
    * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
    */
   const createAdmin = useCallback(async (adminData) => {
-    setIsLoading(true);
-    setError(null);
-
     try {
       const result = await adminService.create(adminData);
 
       if (result.success) {
         // Refresh the list to include the new admin
-        await fetchAdmins(1);
+        setPage(1);
+        invalidateQueries(['admins']);
         return { success: true, data: result.data };
       } else {
-        return { success: false, error: result.message, validationErrors: result.error };
+        return { success: false, error: result.message, fieldErrors: result.fieldErrors };
       }
     } catch (err) {
       return { success: false, error: 'Failed to create admin' };
-    } finally {
-      setIsLoading(false);
     }
-  }, [fetchAdmins]);
+  }, []);
+
+  /**
+   * Invite a new admin - they set their own password from the emailed link
+   * @param {Object} adminData - Admin data (no password)
+   * @returns {Promise<{success: boolean, data?: Object, error?: string}>} data: { admin, inviteUrl, expiresAt }
+   */
+  const inviteAdmin = useCallback(async (adminData) => {
+    try {
+      const result = await adminService.invite(adminData);
+
+      if (result.success) {
+        setPage(1);
+        invalidateQueries(['admins']);
+        return { success: true, data: result.data };
+      } else {
+        return { success: false, error: result.message, fieldErrors: result.fieldErrors };
+      }
+    } catch {
+      return { success: false, error: 'Failed to invite admin' };
+    }
+  }, []);
+
+  /**
+   * Send a pending admin a fresh invite link
+   * @param {string} id - Admin ID
+   * @returns {Promise<{success: boolean, data?: Object, error?: string}>} data: { admin, inviteUrl, expiresAt }
+   */
+  const resendInvite = useCallback(async (id) => {
+    try {
+      const result = await adminService.resendInvite(id);
+
+      if (result.success) {
+        invalidateQueries(['admins']);
+        return { success: true, data: result.data };
+      } else {
+        return { success: false, error: result.message };
+      }
+    } catch {
+      return { success: false, error: 'Failed to resend invite' };
+    }
+  }, []);
 
   /**
    * Update an existing admin
@@ -90,27 +120,24 @@ function useAdmins(initialFilters = {}) {
    * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
    */
   const updateAdmin = useCallback(async (id, updateData) => {
-    setIsLoading(true);
-    setError(null);
-
     try {
       const result = await adminService.update(id, updateData);
 
       if (result.success) {
-        // Update the admin in the local state
-        setAdmins((prev) =>
-          prev.map((admin) =>
+        // Update the admin in every cached list, then revalidate
+        setQueriesData(['admins', 'list'], (data) => ({
+          ...data,
+          admins: data.admins.map((admin) =>
             admin._id === id ? { ...admin, ...result.data.admin } : admin
-          )
-        );
+          ),
+        }));
+        invalidateQueries(['admins']);
         return { success: true, data: result.data };
       } else {
-        return { success: false, error: result.message, validationErrors: result.error };
+        return { success: false, error: result.message, fieldErrors: result.fieldErrors };
       }
     } catch (err) {
       return { success: false, error: 'Failed to update admin' };
-    } finally {
-      setIsLoading(false);
     }
   }, []);
 
@@ -120,29 +147,22 @@ function useAdmins(initialFilters = {}) {
    * @returns {Promise<{success: boolean, error?: string}>}
    */
   const deleteAdmin = useCallback(async (id) => {
-    setIsLoading(true);
-    setError(null);
-
     try {
       const result = await adminService.delete(id);
 
       if (result.success) {
-        // Remove the admin from local state
-        setAdmins((prev) => prev.filter((admin) => admin._id !== id));
-        // Update pagination
-        setPagination((prev) => ({
-          ...prev,
-          total: prev.total - 1,
-          totalPages: Math.ceil((prev.total - 1) / prev.limit),
+        // Drop the admin from cached lists; the refetch corrects pagination
+        setQueriesData(['admins', 'list'], (data) => ({
+          ...data,
+          admins: data.admins.filter((admin) => admin._id !== id),
         }));
+        invalidateQueries(['admins']);
         return { success: true };
       } else {
         return { success: false, error: result.message };
       }
     } catch (err) {
       return { success: false, error: 'Failed to delete admin' };
-    } finally {
-      setIsLoading(false);
     }
   }, []);
 
@@ -171,6 +191,7 @@ function useAdmins(initialFilters = {}) {
    */
   const updateFilters = useCallback((newFilters) => {
     setFilters((prev) => ({ ...prev, ...newFilters }));
+    setPage(1);
   }, []);
 
   /**
@@ -183,35 +204,32 @@ function useAdmins(initialFilters = {}) {
       role: '',
       ...initialFilters,
     });
+    setPage(1);
   }, [initialFilters]);
 
   /**
    * Change page
    * @param {number} page - Page number
    */
-  const changePage = useCallback((page) => {
-    fetchAdmins(page);
-  }, [fetchAdmins]);
+  const changePage = useCallback((nextPage) => {
+    setPage(nextPage);
+  }, []);
 
   /**
    * Change items per page
    * @param {number} limit - Items per page
    */
-  const changeLimit = useCallback((limit) => {
-    setPagination((prev) => ({ ...prev, limit }));
+  const changeLimit = useCallback((nextLimit) => {
+    setLimit(nextLimit);
+    setPage(1);
   }, []);
 
   /**
    * Clear error
    */
   const clearError = useCallback(() => {
-    setError(null);
-  }, []);
-
-  // Fetch admins when filters change
-  useEffect(() => {
-    fetchAdmins(1);
-  }, [filters]);
+    setDismissedErrorAt(adminsQuery.updatedAt);
+  }, [adminsQuery.updatedAt]);
 
   return {
     // State
@@ -219,11 +237,14 @@ function useAdmins(initialFilters = {}) {
     pagination,
     filters,
     isLoading,
+    isFetching,
     error,
 
     // Operations
     fetchAdmins,
     createAdmin,
+    inviteAdmin,
+    resendInvite,
     updateAdmin,
     deleteAdmin,
     getAdminById,
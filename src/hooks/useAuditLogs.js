@@ -0,0 +1,175 @@
+import { useState, useCallback, useMemo } from 'react';
+import auditLogService from '../services/auditLog.service';
+import useQuery from './useQuery';
+
+/**
+ * Audited entity types (backend enum)
+ */
+export const AUDIT_ENTITY_TYPES = [
+  { value: 'USER', label: 'User' },
+  { value: 'ADMIN', label: 'Admin' },
+  { value: 'EVENT', label: 'Event' },
+  { value: 'COUPON', label: 'Coupon' },
+  { value: 'VOUCHER', label: 'Voucher' },
+  { value: 'SESSION', label: 'Session' },
+  { value: 'CASH_TICKET', label: 'Cash Ticket' },
+  { value: 'ENROLLMENT', label: 'Enrollment' },
+  { value: 'MEMBERSHIP', label: 'Membership' },
+  { value: 'MEMBERSHIP_REQUEST', label: 'Membership Request' },
+  { value: 'SERVICE', label: 'Service' },
+  { value: 'SERVICE_ORDER', label: 'Service Order' },
+  { value: 'SERVICE_REQUEST', label: 'Service Request' },
+  { value: 'USER_SUBSCRIPTION', label: 'Subscription' },
+  { value: 'MOTIVATA_BLEND_REQUEST', label: 'Motivata Blend Request' },
+  { value: 'ROUND_TABLE_REQUEST', label: 'Round Table Request' },
+  { value: 'CLUB', label: 'Club' },
+  { value: 'CHALLENGE', label: 'Challenge' },
+  { value: 'QUIZ', label: 'Quiz' },
+  { value: 'POLL', label: 'Poll' },
+  { value: 'STORY', label: 'Story' },
+];
+
+/**
+ * Audited actions (backend enum)
+ */
+export const AUDIT_ACTIONS = [
+  { value: 'CREATE', label: 'Created' },
+  { value: 'UPDATE', label: 'Updated' },
+  { value: 'DELETE', label: 'Deleted' },
+  { value: 'RESTORE', label: 'Restored' },
+  { value: 'PERMANENT_DELETE', label: 'Permanently Deleted' },
+  { value: 'APPROVE', label: 'Approved' },
+  { value: 'REJECT', label: 'Rejected' },
+  { value: 'ENABLE', label: 'Enabled' },
+  { value: 'DISABLE', label: 'Disabled' },
+  { value: 'EXTEND', label: 'Extended' },
+  { value: 'CANCEL', label: 'Cancelled' },
+];
+
+/**
+ * Default filters
+ */
+const DEFAULT_FILTERS = {
+  adminId: '',
+  entityType: '',
+  action: '',
+  startDate: '',
+  endDate: '',
+};
+
+/**
+ * Custom hook for browsing the audit log
+ * @param {Object} initialFilters - Initial filter values
+ * @returns {Object} Audit log state and operations
+ */
+function useAuditLogs(initialFilters = {}) {
+  // State
+  const [page, setPage] = useState(1);
+  const [limit, setLimit] = useState(20);
+  const [filters, setFilters] = useState({
+    ...DEFAULT_FILTERS,
+    ...initialFilters,
+  });
+  const [dismissedErrorAt, setDismissedErrorAt] = useState(null);
+
+  const params = useMemo(() => ({
+    page,
+    limit,
+    ...(filters.adminId && { adminId: filters.adminId }),
+    ...(filters.entityType && { entityType: filters.entityType }),
+    ...(filters.action && { action: filters.action }),
+    ...(filters.startDate && { startDate: filters.startDate }),
+    ...(filters.endDate && { endDate: filters.endDate }),
+  }), [page, limit, filters]);
+
+  const logsQuery = useQuery(['auditLogs', 'list', params], () => auditLogService.getAll(params), {
+    keepPreviousData: true,
+  });
+
+  const logs = logsQuery.data?.logs || [];
+  const pagination = {
+    currentPage: logsQuery.data?.pagination?.currentPage || page,
+    totalPages: logsQuery.data?.pagination?.totalPages || 0,
+    totalCount: logsQuery.data?.pagination?.totalCount || 0,
+    limit: logsQuery.data?.pagination?.limit || limit,
+  };
+  const { isLoading, isFetching, refetch } = logsQuery;
+  const error = logsQuery.updatedAt !== dismissedErrorAt ? logsQuery.error : null;
+
+  /**
+   * Fetch a page of the log - refetches when it's the current page
+   * @param {number} nextPage - Page number
+   */
+  const fetchLogs = useCallback(
+    async (nextPage = page) => {
+      if (nextPage !== page) {
+        setPage(nextPage);
+        return;
+      }
+      await refetch();
+    },
+    [page, refetch]
+  );
+
+  /**
+   * Update filters - goes back to the first page
+   * @param {Object} newFilters - New filter values
+   */
+  const updateFilters = useCallback((newFilters) => {
+    setFilters((prev) => ({ ...prev, ...newFilters }));
+    setPage(1);
+  }, []);
+
+  /**
+   * Reset filters to default values
+   */
+  const resetFilters = useCallback(() => {
+    setFilters({
+      ...DEFAULT_FILTERS,
+      ...initialFilters,
+    });
+    setPage(1);
+  }, [initialFilters]);
+
+  /**
+   * Change items per page
+   * @param {number} newLimit - Items per page
+   */
+  const changeLimit = useCallback((newLimit) => {
+    setLimit(newLimit);
+    setPage(1);
+  }, []);
+
+  /**
+   * Clear error
+   */
+  const clearError = useCallback(() => {
+    setDismissedErrorAt(logsQuery.updatedAt);
+  }, [logsQuery.updatedAt]);
+
+  return {
+    // State
+    logs,
+    pagination,
+    filters,
+    isLoading,
+    isFetching,
+    error,
+
+    // Operations
+    fetchLogs,
+
+    // Filter operations
+    updateFilters,
+    resetFilters,
+
+    // Pagination operations
+    changePage: fetchLogs,
+    changeLimit,
+
+    // Utilities
+    clearError,
+  };
+}
+
+export default useAuditLogs;
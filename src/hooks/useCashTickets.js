@@ -1,5 +1,7 @@
-import { useState, useCallback, useEffect, useRef } from 'react';
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import offlineCashService from '../services/offline-cash.service';
+import useQuery from './useQuery';
+import { invalidateQueries, setQueriesData } from '../utils/queryCache';
 
 /**
  * Custom hook for managing cash tickets state and operations
@@ -8,113 +10,98 @@ import offlineCashService from '../services/offline-cash.service';
  */
 function useCashTickets(initialFilters = {}) {
   // State
-  const [records, setRecords] = useState([]);
-  const [pagination, setPagination] = useState({
-    total: 0,
-    page: 1,
-    limit: 20,
-    totalPages: 0,
-  });
+  const [page, setPage] = useState(1);
+  const [limit, setLimit] = useState(20);
   const [filters, setFilters] = useState({
     eventId: '',
     redeemed: '',
     ...initialFilters,
   });
-  const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState(null);
+  const [dismissedErrorAt, setDismissedErrorAt] = useState(null);
 
   // Allowed events for dropdown
-  const [allowedEvents, setAllowedEvents] = useState([]);
-  const [eventsLoading, setEventsLoading] = useState(false);
-  const [eventsError, setEventsError] = useState(null);
+  const [eventSearch, setEventSearch] = useState('');
+  const [dismissedEventsErrorAt, setDismissedEventsErrorAt] = useState(null);
 
   // Debounce timer for event search
   const debounceTimerRef = useRef(null);
 
+  const eventsParams = useMemo(() => (eventSearch ? { search: eventSearch } : {}), [eventSearch]);
+
+  const eventsQuery = useQuery(
+    ['cashTickets', 'allowedEvents', eventsParams],
+    () => offlineCashService.getAllowedEvents(eventsParams),
+    { keepPreviousData: true }
+  );
+
+  const allowedEvents = eventsQuery.data?.events || [];
+  const eventsLoading = eventsQuery.isFetching;
+  const eventsError = eventsQuery.updatedAt !== dismissedEventsErrorAt ? eventsQuery.error : null;
+  const { refetch: refetchEvents } = eventsQuery;
+
+  const params = useMemo(() => ({
+    page,
+    limit,
+    ...(filters.eventId && { eventId: filters.eventId }),
+    ...(filters.redeemed !== '' && { redeemed: filters.redeemed }),
+  }), [page, limit, filters]);
+
+  const recordsQuery = useQuery(['cashTickets', 'list', params], () => offlineCashService.getAll(params), {
+    keepPreviousData: true,
+  });
+
+  const records = recordsQuery.data?.records || [];
+  const pagination = {
+    total: recordsQuery.data?.pagination?.total || 0,
+    page: recordsQuery.data?.pagination?.page || page,
+    limit: recordsQuery.data?.pagination?.limit || limit,
+    totalPages: recordsQuery.data?.pagination?.pages || 0,
+  };
+  const { isLoading, isFetching, refetch } = recordsQuery;
+  const error = recordsQuery.updatedAt !== dismissedErrorAt ? recordsQuery.error : null;
+
   /**
    * Fetch allowed events for dropdown
    * @param {string} search - Search query
    */
-  const fetchAllowedEvents = useCallback(async (search = '') => {
-    setEventsLoading(true);
-    setEventsError(null);
-
-    try {
-      const params = {};
-      if (search) params.search = search;
-
-      const result = await offlineCashService.getAllowedEvents(params);
-
-      if (result.success) {
-        setAllowedEvents(result.data.events || []);
-      } else {
-        setEventsError(result.message);
-        setAllowedEvents([]);
+  const fetchAllowedEvents = useCallback(
+    async (search = '') => {
+      if (search !== eventSearch) {
+        setEventSearch(search);
+        return;
       }
-    } catch (err) {
-      setEventsError('Failed to fetch allowed events');
-      setAllowedEvents([]);
-    } finally {
-      setEventsLoading(false);
-    }
-  }, []);
+      await refetchEvents();
+    },
+    [eventSearch, refetchEvents]
+  );
 
   /**
    * Search events with debounce
    * @param {string} query - Search query
    */
-  const searchEvents = useCallback(
-    (query) => {
-      if (debounceTimerRef.current) {
-        clearTimeout(debounceTimerRef.current);
-      }
+  const searchEvents = useCallback((query) => {
+    if (debounceTimerRef.current) {
+      clearTimeout(debounceTimerRef.current);
+    }
 
-      debounceTimerRef.current = setTimeout(() => {
-        fetchAllowedEvents(query);
-      }, 300);
-    },
-    [fetchAllowedEvents]
-  );
+    debounceTimerRef.current = setTimeout(() => {
+      setEventSearch(query);
+    }, 300);
+  }, []);
 
   /**
-   * Fetch cash ticket records with current filters and pagination
-   * @param {number} page - Page number
+   * Fetch cash ticket records for a page - refetches when it's the current page
+   * @param {number} nextPage - Page number
    */
   const fetchRecords = useCallback(
-    async (page = pagination.page) => {
-      setIsLoading(true);
-      setError(null);
-
-      try {
-        const params = {
-          page,
-          limit: pagination.limit,
-          ...(filters.eventId && { eventId: filters.eventId }),
-          ...(filters.redeemed !== '' && { redeemed: filters.redeemed }),
-        };
-
-        const result = await offlineCashService.getAll(params);
-
-        if (result.success) {
-          setRecords(result.data.records || []);
-          setPagination({
-            total: result.data.pagination?.total || 0,
-            page: result.data.pagination?.page || 1,
-            limit: result.data.pagination?.limit || 20,
-            totalPages: result.data.pagination?.pages || 0,
-          });
-        } else {
-          setError(result.message);
-          setRecords([]);
-        }
-      } catch (err) {
-        setError('Failed to fetch cash ticket records');
-        setRecords([]);
-      } finally {
-        setIsLoading(false);
+    async (nextPage = page) => {
+      if (nextPage !== page) {
+        setPage(nextPage);
+        return;
       }
+      await refetch();
     },
-    [filters, pagination.limit]
+    [page, refetch]
   );
 
   /**
@@ -124,15 +111,13 @@ function useCashTickets(initialFilters = {}) {
    */
   const createRecord = useCallback(
     async (data) => {
-      setIsLoading(true);
-      setError(null);
-
       try {
         const result = await offlineCashService.create(data);
 
         if (result.success) {
           // Refresh the list
-          await fetchRecords(1);
+          setPage(1);
+          invalidateQueries(['cashTickets']);
           return {
             success: true,
             data: result.data,
@@ -150,16 +135,14 @@ function useCashTickets(initialFilters = {}) {
           return {
             success: false,
             error: result.message,
-            validationErrors: result.error,
+            fieldErrors: result.fieldErrors,
           };
         }
       } catch (err) {
         return { success: false, error: 'Failed to create cash ticket' };
-      } finally {
-        setIsLoading(false);
       }
     },
-    [fetchRecords]
+    []
   );
 
   /**
@@ -188,29 +171,22 @@ function useCashTickets(initialFilters = {}) {
    */
   const deleteRecord = useCallback(
     async (id) => {
-      setIsLoading(true);
-      setError(null);
-
       try {
         const result = await offlineCashService.delete(id);
 
         if (result.success) {
-          // Remove from local state
-          setRecords((prev) => prev.filter((record) => record._id !== id));
-          // Update pagination
-          setPagination((prev) => ({
-            ...prev,
-            total: prev.total - 1,
-            totalPages: Math.ceil((prev.total - 1) / prev.limit),
+          // Remove from cached lists; the refetch corrects pagination
+          setQueriesData(['cashTickets', 'list'], (data) => ({
+            ...data,
+            records: (data.records || []).filter((record) => record._id !== id),
           }));
+          invalidateQueries(['cashTickets']);
           return { success: true };
         } else {
           return { success: false, error: result.message };
         }
       } catch (err) {
         return { success: false, error: 'Failed to delete record' };
-      } finally {
-        setIsLoading(false);
       }
     },
     []
@@ -248,6 +224,7 @@ function useCashTickets(initialFilters = {}) {
    */
   const updateFilters = useCallback((newFilters) => {
     setFilters((prev) => ({ ...prev, ...newFilters }));
+    setPage(1);
   }, []);
 
   /**
@@ -259,50 +236,39 @@ function useCashTickets(initialFilters = {}) {
       redeemed: '',
       ...initialFilters,
     });
+    setPage(1);
   }, [initialFilters]);
 
   /**
    * Change page
    * @param {number} page - Page number
    */
-  const changePage = useCallback(
-    (page) => {
-      fetchRecords(page);
-    },
-    [fetchRecords]
-  );
+  const changePage = useCallback((nextPage) => {
+    setPage(nextPage);
+  }, []);
 
   /**
    * Change items per page
    * @param {number} limit - Items per page
    */
-  const changeLimit = useCallback((limit) => {
-    setPagination((prev) => ({ ...prev, limit }));
+  const changeLimit = useCallback((nextLimit) => {
+    setLimit(nextLimit);
+    setPage(1);
   }, []);
 
   /**
    * Clear error
    */
   const clearError = useCallback(() => {
-    setError(null);
-  }, []);
+    setDismissedErrorAt(recordsQuery.updatedAt);
+  }, [recordsQuery.updatedAt]);
 
   /**
    * Clear events error
    */
   const clearEventsError = useCallback(() => {
-    setEventsError(null);
-  }, []);
-
-  // Fetch records when filters change
-  useEffect(() => {
-    fetchRecords(1);
-  }, [filters]);
-
-  // Fetch allowed events on mount
-  useEffect(() => {
-    fetchAllowedEvents();
-  }, [fetchAllowedEvents]);
+    setDismissedEventsErrorAt(eventsQuery.updatedAt);
+  }, [eventsQuery.updatedAt]);
 
   // Cleanup debounce timer
   useEffect(() => {
@@ -319,6 +285,7 @@ function useCashTickets(initialFilters = {}) {
     pagination,
     filters,
     isLoading,
+    isFetching,
     error,
 
     // Events state
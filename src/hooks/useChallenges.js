@@ -1,5 +1,8 @@
-import { useState, useCallback, useEffect, useRef } from 'react';
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import challengeService from '../services/challenge.service';
+import useQuery from './useQuery';
+import { invalidateQueries, setQueriesData } from '../utils/queryCache';
+import logger from '../utils/logger';
 
 /**
  * Custom hook for managing Challenges state and operations
@@ -8,13 +11,8 @@ import challengeService from '../services/challenge.service';
  */
 function useChallenges(initialFilters = {}) {
   // State
-  const [challenges, setChallenges] = useState([]);
-  const [pagination, setPagination] = useState({
-    currentPage: 1,
-    totalPages: 0,
-    totalCount: 0,
-    limit: 10,
-  });
+  const [page, setPage] = useState(1);
+  const [limit, setLimit] = useState(10);
   const [filters, setFilters] = useState({
     search: '',
     isActive: '',
@@ -24,61 +22,63 @@ function useChallenges(initialFilters = {}) {
     sortOrder: 'desc',
     ...initialFilters,
   });
-  const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState(null);
+  const [dismissedErrorAt, setDismissedErrorAt] = useState(null);
 
   // Debounce timer for search
   const debounceTimerRef = useRef(null);
 
+  const params = useMemo(() => ({
+    page,
+    limit,
+    sortBy: filters.sortBy,
+    sortOrder: filters.sortOrder,
+    ...(filters.search && { search: filters.search }),
+    ...(filters.isActive !== '' && { isActive: filters.isActive }),
+    ...(filters.category && { category: filters.category }),
+    ...(filters.difficulty && { difficulty: filters.difficulty }),
+  }), [page, limit, filters]);
+
+  const challengesQuery = useQuery(['challenges', 'list', params], () => challengeService.getAll(params), {
+    keepPreviousData: true,
+  });
+
+  const challenges = challengesQuery.data?.challenges || [];
+  const pagination = {
+    currentPage: challengesQuery.data?.pagination?.currentPage || page,
+    totalPages: challengesQuery.data?.pagination?.totalPages || 0,
+    totalCount: challengesQuery.data?.pagination?.totalCount || 0,
+    limit: challengesQuery.data?.pagination?.limit || limit,
+  };
+  const { isLoading, isFetching, refetch } = challengesQuery;
+  const error = challengesQuery.updatedAt !== dismissedErrorAt ? challengesQuery.error : null;
+
   /**
-   * Fetch challenges with current filters and pagination
-   * @param {number} page - Page number
+   * Fetch challenges for a page - refetches when it's the current page
+   * @param {number} nextPage - Page number
    */
   const fetchChallenges = useCallback(
-    async (page = pagination.currentPage) => {
-      setIsLoading(true);
-      setError(null);
-
-      try {
-        const params = {
-          page,
-          limit: pagination.limit,
-          sortBy: filters.sortBy,
-          sortOrder: filters.sortOrder,
-          ...(filters.search && { search: filters.search }),
-          ...(filters.isActive !== '' && { isActive: filters.isActive }),
-          ...(filters.category && { category: filters.category }),
-          ...(filters.difficulty && { difficulty: filters.difficulty }),
-        };
-
-        console.log('[useChallenges] Fetching challenges with params:', params);
-        const result = await challengeService.getAll(params);
-
-        if (result.success) {
-          setChallenges(result.data.challenges || []);
-          setPagination({
-            currentPage: result.data.pagination?.currentPage || 1,
-            totalPages: result.data.pagination?.totalPages || 0,
-            totalCount: result.data.pagination?.totalCount || 0,
-            limit: result.data.pagination?.limit || 10,
-          });
-          console.log('[useChallenges] Fetched challenges:', result.data.challenges?.length);
-        } else {
-          console.error('[useChallenges] Failed to fetch challenges:', result.message);
-          setError(result.message || 'Failed to fetch challenges');
-          setChallenges([]);
-        }
-      } catch (err) {
-        console.error('[useChallenges] Error fetching challenges:', err);
-        setError('Failed to fetch challenges');
-        setChallenges([]);
-      } finally {
-        setIsLoading(false);
+    async (nextPage = page) => {
+      if (nextPage !== page) {
+        setPage(nextPage);
+        return;
       }
+      await refetch();
     },
-    [filters, pagination.limit]
+    [page, refetch]
   );
 
+  /**
+   * Patch a challenge in every cached list
+   */
+  const patchCachedChallenge = (id, changes) => {
+    setQueriesData(['challenges', 'list'], (data) => ({
+      ...data,
+      challenges: (data.challenges || []).map((challenge) =>
+        challenge._id === id ? { ...challenge, ...changes } : challenge
+      ),
+    }));
+  };
+
   /**
    * Create a new challenge
    * @param {Object} data - Challenge data including tasks array
@@ -87,30 +87,31 @@ function useChallenges(initialFilters = {}) {
   const createChallenge = useCallback(
     async (data) => {
       try {
-        console.log('[useChallenges] Creating challenge:', data.title);
+        logger.debug('[useChallenges] Creating challenge:', data.title);
         const result = await challengeService.create(data);
 
         if (result.success) {
-          console.log('[useChallenges] Challenge created successfully');
-          await fetchChallenges(1);
+          logger.debug('[useChallenges] Challenge created successfully');
+          setPage(1);
+          invalidateQueries(['challenges']);
           return {
             success: true,
             data: result.data,
           };
         } else {
-          console.error('[useChallenges] Failed to create challenge:', result.message);
+          logger.error('[useChallenges] Failed to create challenge:', result.message);
           return {
             success: false,
             error: result.message,
-            validationErrors: result.error,
+            fieldErrors: result.fieldErrors,
           };
         }
       } catch (err) {
-        console.error('[useChallenges] Error creating challenge:', err);
+        logger.error('[useChallenges] Error creating challenge:', err);
         return { success: false, error: 'Failed to create challenge' };
       }
     },
-    [fetchChallenges]
+    []
   );
 
   /**
@@ -120,17 +121,17 @@ function useChallenges(initialFilters = {}) {
    */
   const getChallengeById = useCallback(async (id) => {
     try {
-      console.log('[useChallenges] Fetching challenge by ID:', id);
+      logger.debug('[useChallenges] Fetching challenge by ID:', id);
       const result = await challengeService.getById(id);
 
       if (result.success) {
         return { success: true, data: result.data.challenge };
       } else {
-        console.error('[useChallenges] Failed to fetch challenge:', result.message);
+        logger.error('[useChallenges] Failed to fetch challenge:', result.message);
         return { success: false, error: result.message };
       }
     } catch (err) {
-      console.error('[useChallenges] Error fetching challenge:', err);
+      logger.error('[useChallenges] Error fetching challenge:', err);
       return { success: false, error: 'Failed to fetch challenge details' };
     }
   }, []);
@@ -142,17 +143,17 @@ function useChallenges(initialFilters = {}) {
    */
   const getChallengeStats = useCallback(async (id) => {
     try {
-      console.log('[useChallenges] Fetching stats for challenge:', id);
+      logger.debug('[useChallenges] Fetching stats for challenge:', id);
       const result = await challengeService.getStats(id);
 
       if (result.success) {
         return { success: true, data: result.data };
       } else {
-        console.error('[useChallenges] Failed to fetch challenge stats:', result.message);
+        logger.error('[useChallenges] Failed to fetch challenge stats:', result.message);
         return { success: false, error: result.message };
       }
     } catch (err) {
-      console.error('[useChallenges] Error fetching challenge stats:', err);
+      logger.error('[useChallenges] Error fetching challenge stats:', err);
       return { success: false, error: 'Failed to fetch challenge statistics' };
     }
   }, []);
@@ -165,17 +166,17 @@ function useChallenges(initialFilters = {}) {
    */
   const getChallengeParticipants = useCallback(async (id, params = {}) => {
     try {
-      console.log('[useChallenges] Fetching participants for challenge:', id);
+      logger.debug('[useChallenges] Fetching participants for challenge:', id);
       const result = await challengeService.getParticipants(id, params);
 
       if (result.success) {
         return { success: true, data: result.data };
       } else {
-        console.error('[useChallenges] Failed to fetch participants:', result.message);
+        logger.error('[useChallenges] Failed to fetch participants:', result.message);
         return { success: false, error: result.message };
       }
     } catch (err) {
-      console.error('[useChallenges] Error fetching participants:', err);
+      logger.error('[useChallenges] Error fetching participants:', err);
       return { success: false, error: 'Failed to fetch challenge participants' };
     }
   }, []);
@@ -189,30 +190,27 @@ function useChallenges(initialFilters = {}) {
   const updateChallenge = useCallback(
     async (id, data) => {
       try {
-        console.log('[useChallenges] Updating challenge:', id);
+        logger.debug('[useChallenges] Updating challenge:', id);
         const result = await challengeService.update(id, data);
 
         if (result.success) {
-          console.log('[useChallenges] Challenge updated successfully');
-          setChallenges((prev) =>
-            prev.map((challenge) =>
-              challenge._id === id ? { ...challenge, ...result.data.challenge } : challenge
-            )
-          );
+          logger.debug('[useChallenges] Challenge updated successfully');
+          patchCachedChallenge(id, result.data.challenge);
+          invalidateQueries(['challenges']);
           return {
             success: true,
             data: result.data,
           };
         } else {
-          console.error('[useChallenges] Failed to update challenge:', result.message);
+          logger.error('[useChallenges] Failed to update challenge:', result.message);
           return {
             success: false,
             error: result.message,
-            validationErrors: result.error,
+            fieldErrors: result.fieldErrors,
           };
         }
       } catch (err) {
-        console.error('[useChallenges] Error updating challenge:', err);
+        logger.error('[useChallenges] Error updating challenge:', err);
         return { success: false, error: 'Failed to update challenge' };
       }
     },
@@ -227,23 +225,20 @@ function useChallenges(initialFilters = {}) {
    */
   const toggleChallengeStatus = useCallback(async (id, isActive) => {
     try {
-      console.log('[useChallenges] Toggling status for challenge:', id);
+      logger.debug('[useChallenges] Toggling status for challenge:', id);
       const result = await challengeService.toggleStatus(id);
 
       if (result.success) {
-        console.log('[useChallenges] Challenge status toggled successfully');
-        setChallenges((prev) =>
-          prev.map((challenge) =>
-            challenge._id === id ? { ...challenge, isActive: !isActive } : challenge
-          )
-        );
+        logger.debug('[useChallenges] Challenge status toggled successfully');
+        patchCachedChallenge(id, { isActive: !isActive });
+        invalidateQueries(['challenges']);
         return { success: true };
       } else {
-        console.error('[useChallenges] Failed to toggle challenge status:', result.message);
+        logger.error('[useChallenges] Failed to toggle challenge status:', result.message);
         return { success: false, error: result.message };
       }
     } catch (err) {
-      console.error('[useChallenges] Error toggling challenge status:', err);
+      logger.error('[useChallenges] Error toggling challenge status:', err);
       return { success: false, error: 'Failed to update challenge status' };
     }
   }, []);
@@ -255,24 +250,24 @@ function useChallenges(initialFilters = {}) {
    */
   const deleteChallenge = useCallback(async (id) => {
     try {
-      console.log('[useChallenges] Deleting challenge:', id);
+      logger.debug('[useChallenges] Deleting challenge:', id);
       const result = await challengeService.delete(id);
 
       if (result.success) {
-        console.log('[useChallenges] Challenge deleted successfully');
-        setChallenges((prev) => prev.filter((challenge) => challenge._id !== id));
-        setPagination((prev) => ({
-          ...prev,
-          totalCount: prev.totalCount - 1,
-          totalPages: Math.ceil((prev.totalCount - 1) / prev.limit),
+        logger.debug('[useChallenges] Challenge deleted successfully');
+        // Remove from cached lists; the refetch corrects pagination
+        setQueriesData(['challenges', 'list'], (data) => ({
+          ...data,
+          challenges: (data.challenges || []).filter((challenge) => challenge._id !== id),
         }));
+        invalidateQueries(['challenges']);
         return { success: true };
       } else {
-        console.error('[useChallenges] Failed to delete challenge:', result.message);
+        logger.error('[useChallenges] Failed to delete challenge:', result.message);
         return { success: false, error: result.message };
       }
     } catch (err) {
-      console.error('[useChallenges] Error deleting challenge:', err);
+      logger.error('[useChallenges] Error deleting challenge:', err);
       return { success: false, error: 'Failed to delete challenge' };
     }
   }, []);
@@ -288,6 +283,7 @@ function useChallenges(initialFilters = {}) {
 
     debounceTimerRef.current = setTimeout(() => {
       setFilters((prev) => ({ ...prev, search: query }));
+      setPage(1);
     }, 300);
   }, []);
 
@@ -297,6 +293,7 @@ function useChallenges(initialFilters = {}) {
    */
   const updateFilters = useCallback((newFilters) => {
     setFilters((prev) => ({ ...prev, ...newFilters }));
+    setPage(1);
   }, []);
 
   /**
@@ -312,38 +309,32 @@ function useChallenges(initialFilters = {}) {
       sortOrder: 'desc',
       ...initialFilters,
     });
+    setPage(1);
   }, [initialFilters]);
 
   /**
    * Change page
    * @param {number} page - Page number
    */
-  const changePage = useCallback(
-    (page) => {
-      fetchChallenges(page);
-    },
-    [fetchChallenges]
-  );
+  const changePage = useCallback((nextPage) => {
+    setPage(nextPage);
+  }, []);
 
   /**
    * Change items per page
    * @param {number} limit - Items per page
    */
-  const changeLimit = useCallback((limit) => {
-    setPagination((prev) => ({ ...prev, limit }));
+  const changeLimit = useCallback((nextLimit) => {
+    setLimit(nextLimit);
+    setPage(1);
   }, []);
 
   /**
    * Clear error
    */
   const clearError = useCallback(() => {
-    setError(null);
-  }, []);
-
-  // Fetch challenges when filters change
-  useEffect(() => {
-    fetchChallenges(1);
-  }, [filters]);
+    setDismissedErrorAt(challengesQuery.updatedAt);
+  }, [challengesQuery.updatedAt]);
 
   // Cleanup debounce timer
   useEffect(() => {
@@ -360,6 +351,7 @@ function useChallenges(initialFilters = {}) {
     pagination,
     filters,
     isLoading,
+    isFetching,
     error,
 
     // Challenge operations
@@ -0,0 +1,83 @@
+import { useMemo, useRef } from 'react';
+import scanService from '../services/scan.service';
+import useQuery from './useQuery';
+import useRealtime from './useRealtime';
+import useTicketReshare from './useTicketReshare';
+import { REALTIME_EVENTS } from '../utils/realtime';
+import { getArrivalsOverTime, getRecentRejections, summarizeGates } from '../utils/checkIns';
+
+/**
+ * Custom hook for the live check-in dashboard of an event
+ * Checked-in and enrolled counts come from the ticket holder statistics; arrivals
+ * and rejections per gate from the check-in log. Both refresh as scans come in.
+ * @returns {Object} Dashboard state and operations
+ */
+function useCheckInDashboard() {
+  const tickets = useTicketReshare();
+  const { selectedEventId, statistics, refresh: refreshStatistics } = tickets;
+
+  const checkInsQuery = useQuery(['checkIns', selectedEventId], () => scanService.getCheckIns(selectedEventId), {
+    enabled: !!selectedEventId,
+  });
+  const { refetch } = checkInsQuery;
+
+  const lastRefetchRef = useRef(null);
+
+  const refresh = () => {
+    refetch();
+    refreshStatistics();
+  };
+
+  useRealtime([REALTIME_EVENTS.TICKET_SCANNED], (event) => {
+    if (!selectedEventId || event.data?.eventId !== selectedEventId) return;
+
+    // A poll can deliver a burst of scans - refresh once for all of them
+    const request = refetch();
+    if (request === lastRefetchRef.current) return;
+    lastRefetchRef.current = request;
+    request.then(refreshStatistics);
+  });
+
+  const checkIns = useMemo(() => checkInsQuery.data?.checkIns || [], [checkInsQuery.data]);
+  const devices = useMemo(() => checkInsQuery.data?.devices || [], [checkInsQuery.data]);
+
+  const gates = useMemo(() => summarizeGates(checkIns, devices), [checkIns, devices]);
+  const arrivals = useMemo(() => getArrivalsOverTime(checkIns), [checkIns]);
+  const rejections = useMemo(() => getRecentRejections(checkIns), [checkIns]);
+
+  const enrolled = statistics ? statistics.total - statistics.cancelled : 0;
+
+  return {
+    // Event selection
+    events: tickets.events,
+    eventsLoading: tickets.eventsLoading,
+    selectedEventId,
+    handleEventChange: tickets.handleEventChange,
+
+    // Data
+    attendance: statistics
+      ? {
+          enrolled,
+          checkedIn: statistics.scanned,
+          remaining: statistics.notScanned,
+          online: statistics.online,
+          cash: statistics.cash,
+          percent: enrolled > 0 ? Math.round((statistics.scanned / enrolled) * 100) : 0,
+        }
+      : null,
+    gates,
+    arrivals,
+    rejections,
+    rejectionCount: gates.reduce((sum, gate) => sum + gate.rejections, 0),
+    updatedAt: checkInsQuery.updatedAt,
+
+    // Loading states
+    isLoading: tickets.loading || checkInsQuery.isLoading,
+    isFetching: checkInsQuery.isFetching,
+
+    // Actions
+    refresh,
+  };
+}
+
+export default useCheckInDashboard;
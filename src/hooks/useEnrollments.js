@@ -0,0 +1,210 @@
+import { useCallback, useMemo } from 'react';
+import enrollmentService from '../services/enrollment.service';
+import offlineCashService from '../services/offline-cash.service';
+import voucherService from '../services/voucher.service';
+import useQuery from './useQuery';
+import useUrlState from './useUrlState';
+import { invalidateQueries } from '../utils/queryCache';
+import { filterEnrollments, normalizeEnrollment } from '../utils/enrollments';
+
+// Attendees are merged and filtered in the browser, so every page of each source is read
+const FETCH_LIMIT = 100;
+const MAX_PAGES = 50;
+const PAGE_SIZE = 20;
+
+const DEFAULT_FILTERS = {
+  eventId: '',
+  status: '',
+  paymentMethod: '',
+  scanned: '',
+  search: '',
+};
+
+/**
+ * Read every page of a paginated list
+ * @param {Function} fetchPage - ({ page, limit }) => handleApiResponse result
+ * @param {string} listKey - Key of the list in the response data
+ * @returns {Promise<{success: boolean, data: Object|null, message: string}>}
+ */
+const fetchAllPages = async (fetchPage, listKey) => {
+  const items = [];
+
+  for (let page = 1; page <= MAX_PAGES; page += 1) {
+    const result = await fetchPage({ page, limit: FETCH_LIMIT });
+    if (!result.success) return result;
+
+    items.push(...(result.data[listKey] || []));
+    const { totalPages, pages } = result.data.pagination || {};
+    if (page >= (totalPages ?? pages ?? 1)) break;
+  }
+
+  return { success: true, data: { [listKey]: items }, message: '' };
+};
+
+// Service calls per source
+const SOURCES = {
+  ONLINE: {
+    listKey: 'enrollments',
+    fetchPage: (eventId, params) => enrollmentService.getEventEnrollments(eventId, params),
+    cancel: (id, data) => enrollmentService.cancel(id, data),
+  },
+  CASH: {
+    listKey: 'enrollments',
+    fetchPage: (eventId, params) => offlineCashService.getEventEnrollments(eventId, params),
+    cancel: (id, data) => offlineCashService.cancelEnrollment(id, data),
+  },
+  VOUCHER: {
+    listKey: 'redemptions',
+    fetchPage: (eventId, params) => voucherService.getRedemptions({ eventId, ...params }),
+    cancel: (id, data) => voucherService.cancelRedemption(id, data),
+  },
+};
+
+/**
+ * Read one source's attendees for an event through the query cache
+ */
+const useSourceQuery = (source, eventId) => {
+  const { listKey, fetchPage } = SOURCES[source];
+  return useQuery(
+    ['enrollments', source, eventId],
+    () => fetchAllPages((params) => fetchPage(eventId, params), listKey),
+    { enabled: !!eventId }
+  );
+};
+
+/**
+ * Custom hook for an event's attendees across online bookings, cash tickets and
+ * voucher redemptions, with filters and paging kept in the URL
+ * @returns {Object} Enrollments state and operations
+ */
+function useEnrollments() {
+  const [filters, setFilters] = useUrlState(DEFAULT_FILTERS);
+  const [{ page }, setView] = useUrlState({ page: 1 });
+
+  const onlineQuery = useSourceQuery('ONLINE', filters.eventId);
+  const cashQuery = useSourceQuery('CASH', filters.eventId);
+  const voucherQuery = useSourceQuery('VOUCHER', filters.eventId);
+  const queries = [onlineQuery, cashQuery, voucherQuery];
+
+  const enrollments = useMemo(
+    () =>
+      [
+        ...(onlineQuery.data?.enrollments || []).map((record) => normalizeEnrollment('ONLINE', record)),
+        ...(cashQuery.data?.enrollments || []).map((record) => normalizeEnrollment('CASH', record)),
+        ...(voucherQuery.data?.redemptions || []).map((record) => normalizeEnrollment('VOUCHER', record)),
+      ].sort((a, b) => new Date(b.enrolledAt) - new Date(a.enrolledAt)),
+    [onlineQuery.data, cashQuery.data, voucherQuery.data]
+  );
+
+  const filteredEnrollments = useMemo(() => filterEnrollments(enrollments, filters), [enrollments, filters]);
+
+  const totalPages = Math.max(1, Math.ceil(filteredEnrollments.length / PAGE_SIZE));
+  const currentPage = Math.min(page, totalPages);
+  const pageEnrollments = filteredEnrollments.slice((currentPage - 1) * PAGE_SIZE, currentPage * PAGE_SIZE);
+  const pagination = {
+    currentPage,
+    totalPages,
+    totalCount: filteredEnrollments.length,
+    limit: PAGE_SIZE,
+  };
+
+  // Totals over the filtered attendees
+  const summary = useMemo(() => {
+    const active = filteredEnrollments.filter((enrollment) => enrollment.status !== 'CANCELLED');
+    return {
+      enrollments: active.length,
+      tickets: active.reduce((sum, enrollment) => sum + enrollment.ticketCount, 0),
+      scanned: active.filter((enrollment) => enrollment.isScanned).length,
+      revenue: active
+        .filter((enrollment) => enrollment.status === 'CONFIRMED')
+        .reduce((sum, enrollment) => sum + enrollment.amount, 0),
+    };
+  }, [filteredEnrollments]);
+
+  const isLoading = queries.some((query) => query.isLoading);
+  const isFetching = queries.some((query) => query.isFetching);
+  // Each source fails on its own; the others still show
+  const errors = queries.map((query) => query.error).filter(Boolean);
+
+  /**
+   * Refetch every source
+   */
+  const refresh = useCallback(() => {
+    invalidateQueries(['enrollments']);
+  }, []);
+
+  /**
+   * Cancel an enrollment through its source's endpoint
+   * @param {Object} enrollment - Enrollment row
+   * @param {string} reason - Cancellation reason
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  const cancelEnrollment = useCallback(async (enrollment, reason) => {
+    try {
+      const result = await SOURCES[enrollment.source].cancel(enrollment.id, { reason: reason || undefined });
+
+      if (result.success) {
+        invalidateQueries(['enrollments', enrollment.source]);
+        // Voucher usage counts change with redemptions
+        if (enrollment.source === 'VOUCHER') invalidateQueries(['vouchers']);
+        return { success: true };
+      }
+      return { success: false, error: result.message };
+    } catch {
+      return { success: false, error: 'Failed to cancel enrollment' };
+    }
+  }, []);
+
+  /**
+   * Update filters and go back to the first page
+   * @param {Object} newFilters - New filter values
+   */
+  const updateFilters = useCallback(
+    (newFilters) => {
+      setFilters((prev) => ({ ...prev, ...newFilters }));
+      setView((prev) => ({ ...prev, page: 1 }));
+    },
+    [setFilters, setView]
+  );
+
+  /**
+   * Clear every filter except the selected event
+   */
+  const resetFilters = useCallback(() => {
+    setFilters((prev) => ({ ...DEFAULT_FILTERS, eventId: prev.eventId }));
+    setView((prev) => ({ ...prev, page: 1 }));
+  }, [setFilters, setView]);
+
+  /**
+   * Change page
+   * @param {number} nextPage - Page number
+   */
+  const changePage = useCallback(
+    (nextPage) => {
+      setView((prev) => ({ ...prev, page: nextPage }));
+    },
+    [setView]
+  );
+
+  return {
+    // Enrollments state
+    enrollments,
+    filteredEnrollments,
+    pageEnrollments,
+    pagination,
+    summary,
+    filters,
+    isLoading,
+    isFetching,
+    errors,
+
+    // Operations
+    refresh,
+    cancelEnrollment,
+    updateFilters,
+    resetFilters,
+    changePage,
+  };
+}
+
+export default useEnrollments;
@@ -1,82 +1,58 @@
-import { useState, useCallback, useEffect, useRef } from 'react';
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import eventService from '../services/event.service';
+import useQuery from './useQuery';
+import { invalidateQueries } from '../utils/queryCache';
+
+// The dropdown list rarely changes - event mutations invalidate it anyway
+const DROPDOWN_STALE_TIME = 5 * 60 * 1000;
 
 /**
  * Custom hook for fetching events for dropdowns
- * Includes debounced search and caching
+ * Includes debounced search; results are shared through the query cache so
+ * every dropdown on screen reuses one request
  * @param {Object} options - { autoFetch?: boolean, isLive?: boolean }
  * @returns {Object} Events state and operations
  */
 function useEvents(options = {}) {
   const { autoFetch = true, isLive } = options;
 
-  const [events, setEvents] = useState([]);
-  const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState(null);
+  const [isEnabled, setIsEnabled] = useState(autoFetch);
   const [searchQuery, setSearchQuery] = useState('');
+  const [activeSearch, setActiveSearch] = useState('');
+  const [dismissedErrorAt, setDismissedErrorAt] = useState(null);
 
   // Debounce timer ref
   const debounceTimerRef = useRef(null);
 
-  // Cache ref to avoid refetching
-  const cacheRef = useRef({
-    data: null,
-    timestamp: null,
+  const params = useMemo(() => ({
+    ...(isLive !== undefined && { isLive }),
+    ...(activeSearch && { search: activeSearch }),
+  }), [isLive, activeSearch]);
+
+  const eventsQuery = useQuery(['events', 'dropdown', params], () => eventService.getDropdownEvents(params), {
+    enabled: isEnabled,
+    staleTime: DROPDOWN_STALE_TIME,
+    keepPreviousData: true,
   });
 
-  const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+  const events = eventsQuery.data?.events || [];
+  const isLoading = eventsQuery.isLoading || eventsQuery.isFetching;
+  const error = eventsQuery.updatedAt !== dismissedErrorAt ? eventsQuery.error : null;
+  const { refetch } = eventsQuery;
 
   /**
    * Fetch events from API
    * @param {string} search - Search query
-   * @param {boolean} useCache - Whether to use cached data
+   * @param {boolean} useCache - Whether cached data may be used
    */
-  const fetchEvents = useCallback(async (search = '', useCache = true) => {
-    // Check cache for non-search requests
-    if (useCache && !search && cacheRef.current.data) {
-      const now = Date.now();
-      if (now - cacheRef.current.timestamp < CACHE_DURATION) {
-        setEvents(cacheRef.current.data);
-        return;
-      }
-    }
-
-    setIsLoading(true);
-    setError(null);
+  const fetchEvents = useCallback((search = '', useCache = true) => {
+    setIsEnabled(true);
+    setActiveSearch(search);
 
-    try {
-      const params = {};
-      if (isLive !== undefined) {
-        params.isLive = isLive;
-      }
-      if (search) {
-        params.search = search;
-      }
-
-      const result = await eventService.getDropdownEvents(params);
-
-      if (result.success) {
-        const eventData = result.data.events || [];
-        setEvents(eventData);
-
-        // Cache non-search results
-        if (!search) {
-          cacheRef.current = {
-            data: eventData,
-            timestamp: Date.now(),
-          };
-        }
-      } else {
-        setError(result.message);
-        setEvents([]);
-      }
-    } catch (err) {
-      setError('Failed to fetch events');
-      setEvents([]);
-    } finally {
-      setIsLoading(false);
+    if (!useCache && search === activeSearch) {
+      refetch();
     }
-  }, [isLive]);
+  }, [activeSearch, refetch]);
 
   /**
    * Search events with debounce
@@ -90,19 +66,15 @@ function useEvents(options = {}) {
       clearTimeout(debounceTimerRef.current);
     }
 
-    // If empty query, use cached data or fetch all
+    // Empty query shows the cached full list straight away
     if (!query.trim()) {
-      if (cacheRef.current.data) {
-        setEvents(cacheRef.current.data);
-      } else {
-        fetchEvents('', true);
-      }
+      fetchEvents('', true);
       return;
     }
 
     // Debounce search
     debounceTimerRef.current = setTimeout(() => {
-      fetchEvents(query, false);
+      fetchEvents(query, true);
     }, 300);
   }, [fetchEvents]);
 
@@ -110,23 +82,17 @@ function useEvents(options = {}) {
    * Refresh events (bypass cache)
    */
   const refreshEvents = useCallback(() => {
-    cacheRef.current = { data: null, timestamp: null };
-    fetchEvents('', false);
-  }, [fetchEvents]);
+    setIsEnabled(true);
+    setActiveSearch('');
+    invalidateQueries(['events', 'dropdown']);
+  }, []);
 
   /**
    * Clear error
    */
   const clearError = useCallback(() => {
-    setError(null);
-  }, []);
-
-  // Auto-fetch on mount
-  useEffect(() => {
-    if (autoFetch) {
-      fetchEvents('', true);
-    }
-  }, [autoFetch, fetchEvents]);
+    setDismissedErrorAt(eventsQuery.updatedAt);
+  }, [eventsQuery.updatedAt]);
 
   // Cleanup debounce timer
   useEffect(() => {
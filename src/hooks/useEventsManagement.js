@@ -1,5 +1,8 @@
-import { useState, useCallback, useEffect, useRef } from 'react';
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import eventService from '../services/event.service';
+import useQuery from './useQuery';
+import useUrlState from './useUrlState';
+import { invalidateQueries, setQueriesData } from '../utils/queryCache';
 
 /**
  * Event categories enum
@@ -64,113 +67,97 @@ const DEFAULT_FILTERS = {
  * @returns {Object} Events state and operations
  */
 function useEventsManagement(initialFilters = {}) {
-  // State
-  const [events, setEvents] = useState([]);
-  const [pagination, setPagination] = useState({
-    currentPage: 1,
-    totalPages: 0,
-    totalCount: 0,
+  // List state lives in the query string so refresh and shared links keep it
+  const [{ page, deletedPage, limit, showDeleted }, setView] = useUrlState({
+    page: 1,
+    deletedPage: 1,
     limit: 10,
-    hasNextPage: false,
-    hasPrevPage: false,
+    showDeleted: false,
   });
-  const [filters, setFilters] = useState({
+  const [filters, setFilters] = useUrlState({
     ...DEFAULT_FILTERS,
     ...initialFilters,
   });
-  const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState(null);
-
-  // Deleted events state
-  const [deletedEvents, setDeletedEvents] = useState([]);
-  const [deletedPagination, setDeletedPagination] = useState({
-    currentPage: 1,
-    totalPages: 0,
-    totalCount: 0,
-    limit: 10,
-  });
-  const [showDeleted, setShowDeleted] = useState(false);
+  const [isMutating, setIsMutating] = useState(false);
+  const [dismissedErrorAt, setDismissedErrorAt] = useState(null);
 
   // Debounce timer ref for search
   const searchDebounceRef = useRef(null);
 
+  const params = useMemo(() => ({
+    page,
+    limit,
+    sortBy: filters.sortBy,
+    sortOrder: filters.sortOrder,
+    ...(filters.search && { search: filters.search }),
+    ...(filters.category && { category: filters.category }),
+    ...(filters.mode && { mode: filters.mode }),
+    ...(filters.city && { city: filters.city }),
+    ...(filters.isLive !== '' && { isLive: filters.isLive }),
+    ...(filters.featured !== '' && { featured: filters.featured }),
+    ...(filters.minPrice && { minPrice: filters.minPrice }),
+    ...(filters.maxPrice && { maxPrice: filters.maxPrice }),
+    ...(filters.startDateFrom && { startDateFrom: filters.startDateFrom }),
+    ...(filters.startDateTo && { startDateTo: filters.startDateTo }),
+  }), [page, limit, filters]);
+
+  const deletedParams = useMemo(() => ({ page: deletedPage, limit }), [deletedPage, limit]);
+
+  const eventsQuery = useQuery(['events', 'list', params], () => eventService.getAll(params), {
+    enabled: !showDeleted,
+    keepPreviousData: true,
+  });
+
+  const deletedQuery = useQuery(['events', 'deleted', deletedParams], () => eventService.getDeleted(deletedParams), {
+    enabled: showDeleted,
+    keepPreviousData: true,
+  });
+
+  const activeQuery = showDeleted ? deletedQuery : eventsQuery;
+  const { refetch: refetchEvents } = eventsQuery;
+  const { refetch: refetchDeletedEvents } = deletedQuery;
+
+  const events = activeQuery.data?.events || [];
+  const pagination = {
+    currentPage: showDeleted ? deletedPage : page,
+    totalPages: 0,
+    totalCount: 0,
+    limit,
+    hasNextPage: false,
+    hasPrevPage: false,
+    ...activeQuery.data?.pagination,
+  };
+  const isLoading = activeQuery.isLoading || isMutating;
+  const error = activeQuery.updatedAt !== dismissedErrorAt ? activeQuery.error : null;
+
   /**
-   * Fetch events with current filters and pagination
+   * Fetch events for a page - refetches when it's the current page
+   * @param {number} nextPage - Page number
    */
   const fetchEvents = useCallback(
-    async (page = pagination.currentPage) => {
-      setIsLoading(true);
-      setError(null);
-
-      try {
-        const params = {
-          page,
-          limit: pagination.limit,
-          sortBy: filters.sortBy,
-          sortOrder: filters.sortOrder,
-          ...(filters.search && { search: filters.search }),
-          ...(filters.category && { category: filters.category }),
-          ...(filters.mode && { mode: filters.mode }),
-          ...(filters.city && { city: filters.city }),
-          ...(filters.isLive !== '' && { isLive: filters.isLive }),
-          ...(filters.featured !== '' && { featured: filters.featured }),
-          ...(filters.minPrice && { minPrice: filters.minPrice }),
-          ...(filters.maxPrice && { maxPrice: filters.maxPrice }),
-          ...(filters.startDateFrom && { startDateFrom: filters.startDateFrom }),
-          ...(filters.startDateTo && { startDateTo: filters.startDateTo }),
-        };
-
-        const result = await eventService.getAll(params);
-
-        if (result.success) {
-          setEvents(result.data.events || []);
-          setPagination(result.data.pagination || pagination);
-        } else {
-          setError(result.message);
-          setEvents([]);
-        }
-      } catch (err) {
-        setError('Failed to fetch events');
-        setEvents([]);
-      } finally {
-        setIsLoading(false);
+    async (nextPage = page) => {
+      if (nextPage !== page) {
+        setView((prev) => ({ ...prev, page: nextPage }));
+        return;
       }
+      await refetchEvents();
     },
-    [filters, pagination.limit, pagination.currentPage]
+    [page, refetchEvents, setView]
   );
 
   /**
-   * Fetch deleted events
+   * Fetch deleted events for a page
+   * @param {number} nextPage - Page number
    */
   const fetchDeletedEvents = useCallback(
-    async (page = deletedPagination.currentPage) => {
-      setIsLoading(true);
-      setError(null);
-
-      try {
-        const result = await eventService.getDeleted({
-          page,
-          limit: deletedPagination.limit,
-        });
-
-        if (result.success) {
-          setDeletedEvents(result.data.events || []);
-          setDeletedPagination((prev) => ({
-            ...prev,
-            ...result.data.pagination,
-          }));
-        } else {
-          setError(result.message);
-          setDeletedEvents([]);
-        }
-      } catch (err) {
-        setError('Failed to fetch deleted events');
-        setDeletedEvents([]);
-      } finally {
-        setIsLoading(false);
+    async (nextPage = deletedPage) => {
+      if (nextPage !== deletedPage) {
+        setView((prev) => ({ ...prev, deletedPage: nextPage }));
+        return;
       }
+      await refetchDeletedEvents();
     },
-    [deletedPagination.currentPage, deletedPagination.limit]
+    [deletedPage, refetchDeletedEvents, setView]
   );
 
   /**
@@ -195,90 +182,167 @@ function useEventsManagement(initialFilters = {}) {
   /**
    * Create a new event
    * @param {Object} eventData - Event data
-   * @returns {Promise<{success: boolean, data?: Object, error?: string, validationErrors?: Array}>}
+   * @returns {Promise<{success: boolean, data?: Object, error?: string, fieldErrors?: Object}>}
    */
   const createEvent = useCallback(async (eventData) => {
-    setIsLoading(true);
-    setError(null);
+    setIsMutating(true);
 
     try {
       const result = await eventService.create(eventData);
 
       if (result.success) {
-        // Refresh the events list
-        await fetchEvents(1);
+        // Refresh the events list and every event dropdown
+        setView((prev) => ({ ...prev, page: 1 }));
+        await invalidateQueries(['events']);
         return { success: true, data: result.data };
       } else {
         return {
           success: false,
           error: result.message,
           // Backend returns validation errors in result.error as an array
-          validationErrors: Array.isArray(result.error) ? result.error : result.data?.errors,
+          fieldErrors: result.fieldErrors,
         };
       }
     } catch (err) {
       return { success: false, error: 'Failed to create event' };
     } finally {
-      setIsLoading(false);
+      setIsMutating(false);
     }
-  }, [fetchEvents]);
+  }, [setView]);
 
   /**
    * Update an existing event
    * @param {string} id - Event ID
    * @param {Object} updateData - Data to update
-   * @returns {Promise<{success: boolean, data?: Object, error?: string, validationErrors?: Array}>}
+   * @returns {Promise<{success: boolean, data?: Object, error?: string, fieldErrors?: Object}>}
    */
   const updateEvent = useCallback(async (id, updateData) => {
-    setIsLoading(true);
-    setError(null);
+    setIsMutating(true);
 
     try {
       const result = await eventService.update(id, updateData);
 
       if (result.success) {
-        // Update the event in local state
-        setEvents((prev) =>
-          prev.map((event) =>
+        // Update the event in cached lists, then revalidate lists and dropdowns
+        setQueriesData(['events', 'list'], (data) => ({
+          ...data,
+          events: (data.events || []).map((event) =>
             event._id === id ? { ...event, ...result.data.event } : event
-          )
-        );
+          ),
+        }));
+        invalidateQueries(['events']);
         return { success: true, data: result.data };
       } else {
         return {
           success: false,
           error: result.message,
           // Backend returns validation errors in result.error as an array
-          validationErrors: Array.isArray(result.error) ? result.error : result.data?.errors,
+          fieldErrors: result.fieldErrors,
         };
       }
     } catch (err) {
       return { success: false, error: 'Failed to update event' };
     } finally {
-      setIsLoading(false);
+      setIsMutating(false);
     }
   }, []);
 
+  /**
+   * Get every active occurrence of a recurring series, earliest first
+   * @param {string} seriesId - Series ID shared by the occurrences
+   * @returns {Promise<{success: boolean, data?: Object[], error?: string}>}
+   */
+  const getEventSeries = useCallback(async (seriesId) => {
+    try {
+      const result = await eventService.getAll({
+        seriesId,
+        limit: 100,
+        sortBy: 'startDate',
+        sortOrder: 'asc',
+      });
+
+      if (result.success) {
+        return { success: true, data: result.data.events || [] };
+      } else {
+        return { success: false, error: result.message };
+      }
+    } catch {
+      return { success: false, error: 'Failed to fetch event series' };
+    }
+  }, []);
+
+  /**
+   * Create the occurrences of a recurring series one after another
+   * Stops at the first failure so a validation error isn't repeated for every occurrence.
+   * @param {Object[]} occurrences - Event payloads
+   * @returns {Promise<{success: boolean, data: Object[], error?: string, fieldErrors?: Object}>} Created events in data
+   */
+  const createEventSeries = useCallback(async (occurrences) => {
+    setIsMutating(true);
+    const created = [];
+
+    try {
+      for (const eventData of occurrences) {
+        const result = await eventService.create(eventData);
+        if (!result.success) {
+          return { success: false, data: created, error: result.message, fieldErrors: result.fieldErrors };
+        }
+        created.push(result.data.event);
+      }
+      return { success: true, data: created };
+    } catch {
+      return { success: false, data: created, error: 'Failed to create event series' };
+    } finally {
+      // Refresh the events list and every event dropdown once for the whole series
+      if (created.length > 0) {
+        setView((prev) => ({ ...prev, page: 1 }));
+        invalidateQueries(['events']);
+      }
+      setIsMutating(false);
+    }
+  }, [setView]);
+
+  /**
+   * Update several occurrences of a series
+   * @param {{id: string, data: Object}[]} updates - Event IDs with their update payloads
+   * @returns {Promise<{success: boolean, failedCount: number, updatedIds: string[]}>}
+   */
+  const updateEventSeries = useCallback(async (updates) => {
+    setIsMutating(true);
+    const updatedIds = [];
+
+    try {
+      for (const { id, data } of updates) {
+        const result = await eventService.update(id, data).catch(() => ({ success: false }));
+        if (result.success) updatedIds.push(id);
+      }
+    } finally {
+      invalidateQueries(['events']);
+      setIsMutating(false);
+    }
+
+    const failedCount = updates.length - updatedIds.length;
+    return { success: failedCount === 0, failedCount, updatedIds };
+  }, []);
+
   /**
    * Soft delete an event
    * @param {string} id - Event ID
    * @returns {Promise<{success: boolean, error?: string}>}
    */
   const deleteEvent = useCallback(async (id) => {
-    setIsLoading(true);
-    setError(null);
+    setIsMutating(true);
 
     try {
       const result = await eventService.delete(id);
 
       if (result.success) {
-        // Remove from local state
-        setEvents((prev) => prev.filter((event) => event._id !== id));
-        setPagination((prev) => ({
-          ...prev,
-          totalCount: prev.totalCount - 1,
-          totalPages: Math.ceil((prev.totalCount - 1) / prev.limit),
+        // Remove from cached lists; the refetch corrects pagination
+        setQueriesData(['events', 'list'], (data) => ({
+          ...data,
+          events: (data.events || []).filter((event) => event._id !== id),
         }));
+        invalidateQueries(['events']);
         return { success: true };
       } else {
         return { success: false, error: result.message };
@@ -286,7 +350,7 @@ function useEventsManagement(initialFilters = {}) {
     } catch (err) {
       return { success: false, error: 'Failed to delete event' };
     } finally {
-      setIsLoading(false);
+      setIsMutating(false);
     }
   }, []);
 
@@ -296,20 +360,18 @@ function useEventsManagement(initialFilters = {}) {
    * @returns {Promise<{success: boolean, error?: string}>}
    */
   const restoreEvent = useCallback(async (id) => {
-    setIsLoading(true);
-    setError(null);
+    setIsMutating(true);
 
     try {
       const result = await eventService.restore(id);
 
       if (result.success) {
         // Remove from deleted events list
-        setDeletedEvents((prev) => prev.filter((event) => event._id !== id));
-        setDeletedPagination((prev) => ({
-          ...prev,
-          totalCount: prev.totalCount - 1,
-          totalPages: Math.ceil((prev.totalCount - 1) / prev.limit),
+        setQueriesData(['events', 'deleted'], (data) => ({
+          ...data,
+          events: (data.events || []).filter((event) => event._id !== id),
         }));
+        invalidateQueries(['events']);
         return { success: true };
       } else {
         return { success: false, error: result.message };
@@ -317,7 +379,7 @@ function useEventsManagement(initialFilters = {}) {
     } catch (err) {
       return { success: false, error: 'Failed to restore event' };
     } finally {
-      setIsLoading(false);
+      setIsMutating(false);
     }
   }, []);
 
@@ -327,20 +389,18 @@ function useEventsManagement(initialFilters = {}) {
    * @returns {Promise<{success: boolean, error?: string}>}
    */
   const permanentDeleteEvent = useCallback(async (id) => {
-    setIsLoading(true);
-    setError(null);
+    setIsMutating(true);
 
     try {
       const result = await eventService.permanentDelete(id);
 
       if (result.success) {
         // Remove from deleted events list
-        setDeletedEvents((prev) => prev.filter((event) => event._id !== id));
-        setDeletedPagination((prev) => ({
-          ...prev,
-          totalCount: prev.totalCount - 1,
-          totalPages: Math.ceil((prev.totalCount - 1) / prev.limit),
+        setQueriesData(['events', 'deleted'], (data) => ({
+          ...data,
+          events: (data.events || []).filter((event) => event._id !== id),
         }));
+        invalidateQueries(['events']);
         return { success: true };
       } else {
         return { success: false, error: result.message };
@@ -348,7 +408,7 @@ function useEventsManagement(initialFilters = {}) {
     } catch (err) {
       return { success: false, error: 'Failed to permanently delete event' };
     } finally {
-      setIsLoading(false);
+      setIsMutating(false);
     }
   }, []);
 
@@ -376,15 +436,14 @@ function useEventsManagement(initialFilters = {}) {
    * @returns {Promise<{success: boolean, updatedCount?: number, error?: string}>}
    */
   const updateExpiredEvents = useCallback(async () => {
-    setIsLoading(true);
-    setError(null);
+    setIsMutating(true);
 
     try {
       const result = await eventService.updateExpired();
 
       if (result.success) {
-        // Refresh events list
-        await fetchEvents(pagination.currentPage);
+        // Refresh events lists and dropdowns
+        await invalidateQueries(['events']);
         return { success: true, updatedCount: result.data.updatedCount };
       } else {
         return { success: false, error: result.message };
@@ -392,9 +451,9 @@ function useEventsManagement(initialFilters = {}) {
     } catch (err) {
       return { success: false, error: 'Failed to update expired events' };
     } finally {
-      setIsLoading(false);
+      setIsMutating(false);
     }
-  }, [fetchEvents, pagination.currentPage]);
+  }, []);
 
   /**
    * Update filters
@@ -402,7 +461,8 @@ function useEventsManagement(initialFilters = {}) {
    */
   const updateFilters = useCallback((newFilters) => {
     setFilters((prev) => ({ ...prev, ...newFilters }));
-  }, []);
+    setView((prev) => ({ ...prev, page: 1 }));
+  }, [setFilters, setView]);
 
   /**
    * Update search with debounce
@@ -417,8 +477,9 @@ function useEventsManagement(initialFilters = {}) {
     // Set debounce timer
     searchDebounceRef.current = setTimeout(() => {
       setFilters((prev) => ({ ...prev, search }));
+      setView((prev) => ({ ...prev, page: 1 }));
     }, 300);
-  }, []);
+  }, [setFilters, setView]);
 
   /**
    * Reset filters to default values
@@ -428,59 +489,41 @@ function useEventsManagement(initialFilters = {}) {
       ...DEFAULT_FILTERS,
       ...initialFilters,
     });
-  }, [initialFilters]);
+    setView((prev) => ({ ...prev, page: 1 }));
+  }, [initialFilters, setFilters, setView]);
 
   /**
    * Change page
    * @param {number} page - Page number
    */
   const changePage = useCallback(
-    (page) => {
-      if (showDeleted) {
-        fetchDeletedEvents(page);
-      } else {
-        fetchEvents(page);
-      }
+    (nextPage) => {
+      setView((prev) => ({ ...prev, [showDeleted ? 'deletedPage' : 'page']: nextPage }));
     },
-    [showDeleted, fetchEvents, fetchDeletedEvents]
+    [showDeleted, setView]
   );
 
   /**
    * Change items per page
    * @param {number} limit - Items per page
    */
-  const changeLimit = useCallback((limit) => {
-    setPagination((prev) => ({ ...prev, limit }));
-    setDeletedPagination((prev) => ({ ...prev, limit }));
-  }, []);
+  const changeLimit = useCallback((nextLimit) => {
+    setView((prev) => ({ ...prev, limit: nextLimit, page: 1, deletedPage: 1 }));
+  }, [setView]);
 
   /**
    * Toggle showing deleted events
    */
   const toggleShowDeleted = useCallback(() => {
-    setShowDeleted((prev) => !prev);
-  }, []);
+    setView((prev) => ({ ...prev, showDeleted: !prev.showDeleted, deletedPage: 1 }));
+  }, [setView]);
 
   /**
    * Clear error
    */
   const clearError = useCallback(() => {
-    setError(null);
-  }, []);
-
-  // Fetch events when filters change
-  useEffect(() => {
-    if (!showDeleted) {
-      fetchEvents(1);
-    }
-  }, [filters, showDeleted]);
-
-  // Fetch deleted events when toggled
-  useEffect(() => {
-    if (showDeleted) {
-      fetchDeletedEvents(1);
-    }
-  }, [showDeleted]);
+    setDismissedErrorAt(activeQuery.updatedAt);
+  }, [activeQuery.updatedAt]);
 
   // Cleanup debounce timer
   useEffect(() => {
@@ -493,10 +536,11 @@ function useEventsManagement(initialFilters = {}) {
 
   return {
     // State
-    events: showDeleted ? deletedEvents : events,
-    pagination: showDeleted ? deletedPagination : pagination,
+    events,
+    pagination,
     filters,
     isLoading,
+    isFetching: activeQuery.isFetching,
     error,
     showDeleted,
 
@@ -506,6 +550,9 @@ function useEventsManagement(initialFilters = {}) {
     getEventById,
     createEvent,
     updateEvent,
+    getEventSeries,
+    createEventSeries,
+    updateEventSeries,
     deleteEvent,
     restoreEvent,
     permanentDeleteEvent,
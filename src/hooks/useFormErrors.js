@@ -0,0 +1,57 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { hasFieldErrors, scrollToFirstError } from '../utils/fieldErrors';
+
+/**
+ * Custom hook for a form's field errors - client validation plus server field errors
+ * Server errors are merged in as they arrive, and either kind scrolls the form to
+ * the first offending input
+ * @param {Object|null} serverErrors - Normalized field errors from the last submit (result.fieldErrors)
+ * @returns {Object} { formRef, errors, setErrors, showErrors, clearFieldError }
+ */
+function useFormErrors(serverErrors = null) {
+  const formRef = useRef(null);
+  const [errors, setErrors] = useState({});
+  const [appliedServerErrors, setAppliedServerErrors] = useState(null);
+  // Errors to scroll to once they've rendered (inputs may only get their error markers then)
+  const [scrollTarget, setScrollTarget] = useState(null);
+
+  // Merge a new set of server errors while rendering so they show with the submit result
+  if (serverErrors !== appliedServerErrors) {
+    setAppliedServerErrors(serverErrors);
+    if (hasFieldErrors(serverErrors)) {
+      setErrors((prev) => ({ ...prev, ...serverErrors }));
+      setScrollTarget(serverErrors);
+    }
+  }
+
+  useEffect(() => {
+    scrollToFirstError(formRef.current, scrollTarget);
+  }, [scrollTarget]);
+
+  /**
+   * Replace the errors (e.g. after client validation) and scroll to the first one
+   * @param {Object} nextErrors - { [field]: message }
+   */
+  const showErrors = useCallback((nextErrors) => {
+    setErrors(nextErrors);
+    setScrollTarget(nextErrors);
+  }, []);
+
+  /**
+   * Clear one field's error, e.g. when the admin edits it
+   * @param {string} field - Field name
+   */
+  const clearFieldError = useCallback((field) => {
+    setErrors((prev) => (prev[field] ? { ...prev, [field]: null } : prev));
+  }, []);
+
+  return {
+    formRef,
+    errors,
+    setErrors,
+    showErrors,
+    clearFieldError,
+  };
+}
+
+export default useFormErrors;
@@ -0,0 +1,103 @@
+import { useState, useEffect, useEffectEvent, useCallback, useRef } from 'react';
+import logger from '../utils/logger';
+
+// Idle timeout - configure in .env file (VITE_IDLE_TIMEOUT_MINUTES=0 disables it)
+export const IDLE_TIMEOUT_MS = Number(import.meta.env.VITE_IDLE_TIMEOUT_MINUTES ?? 30) * 60 * 1000;
+
+// How long before the timeout the warning is shown
+export const IDLE_WARNING_MS = Number(import.meta.env.VITE_IDLE_WARNING_SECONDS ?? 60) * 1000;
+
+// Shared by all tabs so activity in any of them keeps the session alive
+const LAST_ACTIVITY_KEY = 'lastActivityAt';
+
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart', 'wheel'];
+
+// Limit localStorage writes while the admin is active
+const ACTIVITY_THROTTLE_MS = 5000;
+
+const CHECK_INTERVAL_MS = 1000;
+
+const getLastActivity = () => Number(localStorage.getItem(LAST_ACTIVITY_KEY)) || Date.now();
+
+const recordActivity = () => localStorage.setItem(LAST_ACTIVITY_KEY, String(Date.now()));
+
+/**
+ * Custom hook for logging out after a period of inactivity
+ * Activity in any open tab resets the timer. Once the warning is showing,
+ * only stayActive() dismisses it, so a stray mouse move doesn't.
+ * @param {Object} options
+ * @param {Function} options.onTimeout - Called when the idle timeout elapses
+ * @param {boolean} [options.enabled] - Whether to track inactivity
+ * @param {number} [options.timeoutMs] - Inactivity before timing out
+ * @param {number} [options.warningMs] - Warning period before the timeout
+ * @returns {{ isWarning: boolean, remainingSeconds: number, stayActive: Function }}
+ */
+function useIdleTimeout({
+  onTimeout,
+  enabled = true,
+  timeoutMs = IDLE_TIMEOUT_MS,
+  warningMs = IDLE_WARNING_MS,
+}) {
+  const [remainingMs, setRemainingMs] = useState(timeoutMs);
+  const lastWriteRef = useRef(0);
+
+  const isActive = enabled && timeoutMs > 0;
+  const isWarning = isActive && remainingMs <= warningMs;
+
+  const handleTimeout = useEffectEvent(() => {
+    logger.debug('[IdleTimeout] Idle timeout reached');
+    onTimeout();
+  });
+
+  const stayActive = useCallback(() => {
+    recordActivity();
+    lastWriteRef.current = Date.now();
+    setRemainingMs(timeoutMs);
+  }, [timeoutMs]);
+
+  // Record activity from this tab
+  useEffect(() => {
+    if (!isActive || isWarning) return undefined;
+
+    const handleActivity = () => {
+      if (Date.now() - lastWriteRef.current < ACTIVITY_THROTTLE_MS) return;
+      lastWriteRef.current = Date.now();
+      recordActivity();
+    };
+
+    ACTIVITY_EVENTS.forEach((event) => window.addEventListener(event, handleActivity, { passive: true }));
+    return () => ACTIVITY_EVENTS.forEach((event) => window.removeEventListener(event, handleActivity));
+  }, [isActive, isWarning]);
+
+  // Start the session as active
+  useEffect(() => {
+    if (isActive) {
+      recordActivity();
+    }
+  }, [isActive]);
+
+  // Check remaining time across tabs
+  useEffect(() => {
+    if (!isActive) return undefined;
+
+    const interval = setInterval(() => {
+      const remaining = timeoutMs - (Date.now() - getLastActivity());
+      setRemainingMs(remaining);
+
+      if (remaining <= 0) {
+        clearInterval(interval);
+        handleTimeout();
+      }
+    }, CHECK_INTERVAL_MS);
+
+    return () => clearInterval(interval);
+  }, [isActive, timeoutMs]);
+
+  return {
+    isWarning,
+    remainingSeconds: Math.max(0, Math.ceil(remainingMs / 1000)),
+    stayActive,
+  };
+}
+
+export default useIdleTimeout;
@@ -0,0 +1,131 @@
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import useOfflineCheckIn from './useOfflineCheckIn';
+import {
+  KIOSK_DEFAULTS,
+  exitFullscreen,
+  playKioskCue,
+  unlockKiosk,
+} from '../utils/kiosk';
+import { SCAN_KINDS, SCAN_OUTCOMES, createScanResult, parseScanPayload } from '../utils/scanResults';
+import { kioskStorage, scannerStorage } from '../utils/storage';
+import logger from '../utils/logger';
+
+/**
+ * Custom hook for the door kiosk
+ * The camera keeps reading; each code is validated once per cooldown, its result
+ * flashed with a sound and vibration and cleared again after a few seconds.
+ * Leaving the kiosk takes the PIN it was locked with.
+ */
+function useKioskMode() {
+  const navigate = useNavigate();
+  const [kiosk] = useState(() => kioskStorage.getKiosk());
+  const [gate] = useState(() => scannerStorage.getGate());
+  const settings = { ...KIOSK_DEFAULTS, ...kiosk?.settings };
+
+  const offline = useOfflineCheckIn();
+  const [result, setResult] = useState(null);
+  const [isValidating, setIsValidating] = useState(false);
+  const [counts, setCounts] = useState({ accepted: 0, rejected: 0 });
+
+  const isBusyRef = useRef(false);
+  const recentCodesRef = useRef(new Map());
+  const resetTimerRef = useRef(null);
+
+  useEffect(() => () => clearTimeout(resetTimerRef.current), []);
+
+  /**
+   * Whether a code was read within the cooldown, forgetting codes past it
+   */
+  const isCoolingDown = (text) => {
+    const now = Date.now();
+    const cooldownMs = settings.cooldownSeconds * 1000;
+    recentCodesRef.current.forEach((readAt, code) => {
+      if (now - readAt >= cooldownMs) recentCodesRef.current.delete(code);
+    });
+    if (recentCodesRef.current.has(text)) return true;
+
+    recentCodesRef.current.set(text, now);
+    return false;
+  };
+
+  const showResult = (scanResult) => {
+    setResult(scanResult);
+    setCounts((prev) =>
+      scanResult.isValid ? { ...prev, accepted: prev.accepted + 1 } : { ...prev, rejected: prev.rejected + 1 }
+    );
+    playKioskCue(scanResult.isValid, settings);
+
+    clearTimeout(resetTimerRef.current);
+    resetTimerRef.current = setTimeout(() => setResult(null), settings.resetSeconds * 1000);
+  };
+
+  /**
+   * Validate a code read by the camera
+   * @param {string} text - Decoded QR text
+   */
+  const handleScan = async (text) => {
+    if (isBusyRef.current || isCoolingDown(text)) return;
+
+    isBusyRef.current = true;
+    setIsValidating(true);
+
+    const payload = parseScanPayload(text);
+    logger.debug('[Kiosk] Scanned:', payload.kind);
+    const scanResult = payload.kind === SCAN_KINDS.OTHER
+      ? createScanResult({ kind: payload.kind, outcome: SCAN_OUTCOMES.INVALID, message: 'This code is not a ticket' })
+      : await offline.validateScan(payload);
+
+    isBusyRef.current = false;
+    setIsValidating(false);
+    showResult(scanResult);
+  };
+
+  /**
+   * Clear the result before it resets by itself
+   */
+  const dismissResult = () => {
+    clearTimeout(resetTimerRef.current);
+    setResult(null);
+  };
+
+  /**
+   * Leave the kiosk
+   * @param {string} pin - The exit PIN
+   * @returns {Promise<{ success: boolean, message?: string }>}
+   */
+  const exitKiosk = async (pin) => {
+    const { isUnlocked, lockedUntil } = await unlockKiosk(pin);
+    if (lockedUntil) {
+      const seconds = Math.max(1, Math.ceil((lockedUntil - Date.now()) / 1000));
+      return { success: false, message: `Too many wrong PINs - try again in ${seconds} seconds` };
+    }
+    if (!isUnlocked) {
+      return { success: false, message: 'Wrong PIN' };
+    }
+
+    logger.debug('[Kiosk] Kiosk unlocked');
+    exitFullscreen();
+    navigate('/scan-qr', { replace: true });
+    return { success: true };
+  };
+
+  return {
+    // State
+    isLocked: !!kiosk,
+    settings,
+    gate,
+    result,
+    isValidating,
+    counts,
+    isOnline: offline.isOnline,
+    pendingScans: offline.pendingScans,
+
+    // Operations
+    handleScan,
+    dismissResult,
+    exitKiosk,
+  };
+}
+
+export default useKioskMode;
@@ -0,0 +1,36 @@
+import { useEffect, useEffectEvent } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+
+/**
+ * Custom hook for consuming a one-off value passed through router state,
+ * e.g. a record picked in the global search: navigate('/users', { state: { openRecord: user } })
+ *
+ * The state is cleared once handled so refresh or back doesn't replay it.
+ * @param {string} key - Key in location.state to read
+ * @param {Function} [onReceive] - Called with the value when present
+ * @returns {any} The value passed for this navigation (undefined when absent)
+ */
+function useLocationState(key, onReceive) {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const value = location.state?.[key];
+
+  const handleReceive = useEffectEvent((received) => {
+    onReceive?.(received);
+    const { [key]: _handled, ...rest } = location.state || {};
+    navigate(`${location.pathname}${location.search}`, {
+      replace: true,
+      state: Object.keys(rest).length > 0 ? rest : null,
+    });
+  });
+
+  useEffect(() => {
+    if (value !== undefined) {
+      handleReceive(value);
+    }
+  }, [value]);
+
+  return value;
+}
+
+export default useLocationState;
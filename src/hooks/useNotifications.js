@@ -0,0 +1,130 @@
+import { useCallback, useMemo } from 'react';
+import notificationService from '../services/notification.service';
+import useQuery from './useQuery';
+import useRealtime from './useRealtime';
+import { invalidateQueries, setQueriesData } from '../utils/queryCache';
+
+// Most entries kept in the feed, newest first
+const MAX_ENTRIES = 50;
+
+const EMPTY_LIST = [];
+
+const STATE_KEY = ['notifications', 'state'];
+const FEED_KEY = ['notifications', 'feed'];
+
+/**
+ * Custom hook for the header notification center
+ * Merges the newest items of every source into one feed, tracks which the admin has read,
+ * and which categories they've hidden - both saved per admin on the server.
+ * @param {Object[]} sources - { category, fetch, getItems, getDate?, events? }
+ * @returns {Object} { entries, unreadCount, isLoading, hiddenCategories, markRead, markAllRead, toggleCategory, refetch }
+ */
+function useNotifications(sources) {
+  const stateQuery = useQuery(STATE_KEY, () => notificationService.getState(), { staleTime: Infinity });
+
+  const readIds = stateQuery.data?.readIds || EMPTY_LIST;
+  const hiddenCategories = stateQuery.data?.hiddenCategories || EMPTY_LIST;
+
+  const activeSources = useMemo(
+    () => sources.filter((source) => !hiddenCategories.includes(source.category)),
+    [sources, hiddenCategories]
+  );
+  const activeCategories = activeSources.map((source) => source.category);
+
+  // One query for the whole feed - a source that fails just contributes no entries
+  const feedQuery = useQuery(
+    [...FEED_KEY, activeCategories],
+    async () => {
+      const groups = await Promise.all(
+        activeSources.map(async (source) => {
+          const result = await source.fetch();
+          const items = result.success ? source.getItems(result.data) || [] : [];
+          return items.map((item) => ({
+            id: `${source.category}:${item._id || item.id}`,
+            source,
+            item,
+            createdAt: source.getDate ? source.getDate(item) : item.createdAt,
+          }));
+        })
+      );
+
+      const entries = groups
+        .flat()
+        .sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0))
+        .slice(0, MAX_ENTRIES);
+
+      return { success: true, data: { entries } };
+    },
+    { enabled: !stateQuery.isLoading, keepPreviousData: true }
+  );
+
+  // New or updated items in any visible category refresh the feed
+  const events = activeSources.flatMap((source) => source.events || []);
+  useRealtime(events, () => invalidateQueries(FEED_KEY));
+
+  const entries = useMemo(
+    () =>
+      (feedQuery.data?.entries || EMPTY_LIST).map((entry) => ({
+        ...entry,
+        isRead: readIds.includes(entry.id),
+      })),
+    [feedQuery.data, readIds]
+  );
+
+  const unreadCount = entries.filter((entry) => !entry.isRead).length;
+
+  /**
+   * Mark entries as read - applied locally first, then saved
+   * @param {string[]} ids - Entry IDs
+   */
+  const markRead = useCallback(
+    async (ids) => {
+      const unread = ids.filter((id) => !readIds.includes(id));
+      if (unread.length === 0) return;
+
+      setQueriesData(STATE_KEY, (data) => ({ ...data, readIds: [...(data.readIds || []), ...unread] }));
+      const result = await notificationService.markRead(unread);
+      if (!result.success) {
+        invalidateQueries(STATE_KEY);
+      }
+    },
+    [readIds]
+  );
+
+  /**
+   * Mark every entry in the feed as read
+   */
+  const markAllRead = useCallback(() => markRead(entries.map((entry) => entry.id)), [entries, markRead]);
+
+  /**
+   * Show or hide a category in the feed
+   * @param {string} category - Source category
+   */
+  const toggleCategory = useCallback(
+    async (category) => {
+      const nextHidden = hiddenCategories.includes(category)
+        ? hiddenCategories.filter((hidden) => hidden !== category)
+        : [...hiddenCategories, category];
+
+      setQueriesData(STATE_KEY, (data) => ({ ...data, hiddenCategories: nextHidden }));
+      const result = await notificationService.savePreferences(nextHidden);
+      if (!result.success) {
+        invalidateQueries(STATE_KEY);
+      }
+    },
+    [hiddenCategories]
+  );
+
+  return {
+    entries,
+    unreadCount,
+    isLoading: stateQuery.isLoading || feedQuery.isLoading,
+    hiddenCategories,
+    markRead,
+    markAllRead,
+    toggleCategory,
+    refetch: feedQuery.refetch,
+  };
+}
+
+export default useNotifications;
@@ -0,0 +1,324 @@
+import { useState, useEffect, useEffectEvent, useCallback, useRef } from 'react';
+import { toast } from 'react-toastify';
+import { getTicketHolders } from '../services/ticketReshare.service';
+import scanService from '../services/scan.service';
+import {
+  SCAN_SYNC_STATUS,
+  checkOfflineTicket,
+  deleteQueuedScans,
+  getOfflineTicket,
+  getPreparedEvent,
+  getPreparedEvents,
+  getQueuedScans,
+  isOfflineStoreSupported,
+  markOfflineTicketScanned,
+  recordOfflineCheckIn,
+  removePreparedEvent,
+  savePreparedEvent,
+  updateQueuedScan,
+} from '../utils/offlineCheckIn';
+import { SCAN_KINDS, SCAN_OUTCOMES, createScanResult } from '../utils/scanResults';
+import { scannerStorage } from '../utils/storage';
+import logger from '../utils/logger';
+
+const DOWNLOAD_PAGE_SIZE = 100;
+
+// Stops a runaway download on very large events - the list is then saved, flagged as truncated
+const MAX_DOWNLOAD_PAGES = 50;
+
+/**
+ * Custom hook for checking tickets in without a connection
+ * Events are prepared by downloading their ticket lists to IndexedDB. Scans of a
+ * prepared event are then validated locally and queued, and the queue is
+ * replayed against the API when the connection returns. Check-ins the server
+ * rejects - usually a ticket already scanned at another gate - are kept as conflicts.
+ */
+function useOfflineCheckIn() {
+  const isSupported = isOfflineStoreSupported();
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [preparedEvents, setPreparedEvents] = useState([]);
+  const [queuedScans, setQueuedScans] = useState([]);
+  const [preparingEventId, setPreparingEventId] = useState(null);
+  const [isSyncing, setIsSyncing] = useState(false);
+
+  const isSyncingRef = useRef(false);
+
+  const pendingScans = queuedScans.filter((scan) => scan.status === SCAN_SYNC_STATUS.PENDING);
+  const conflicts = queuedScans.filter((scan) => scan.status === SCAN_SYNC_STATUS.CONFLICT);
+
+  /**
+   * Read the prepared events and queue back from IndexedDB
+   */
+  const loadOfflineData = useCallback(async () => {
+    if (!isSupported) return;
+    try {
+      const [events, scans] = await Promise.all([getPreparedEvents(), getQueuedScans()]);
+      setPreparedEvents(events);
+      setQueuedScans(scans);
+    } catch (error) {
+      logger.error('[OfflineCheckIn] Error loading offline data:', error);
+    }
+  }, [isSupported]);
+
+  useEffect(() => {
+    loadOfflineData();
+  }, [loadOfflineData]);
+
+  /**
+   * Replay queued check-ins against the API, oldest first
+   * @returns {Promise<{ synced: number, conflicts: number, isInterrupted: boolean, isServerError: boolean }>}
+   */
+  const syncQueue = async () => {
+    const summary = { synced: 0, conflicts: 0, isInterrupted: false, isServerError: false };
+    if (!isSupported || isSyncingRef.current) return summary;
+
+    isSyncingRef.current = true;
+    setIsSyncing(true);
+
+    try {
+      const pending = (await getQueuedScans()).filter((scan) => scan.status === SCAN_SYNC_STATUS.PENDING);
+      logger.debug('[OfflineCheckIn] Syncing queued scans:', pending.length);
+
+      for (const scan of pending) {
+        // Scans queued before their origin was kept are reported from this device
+        const result = await scanService.validateTicket(scan.params, scan.origin);
+
+        // Offline or a server fault - the scan stays queued and is tried again on the next sync
+        if (result.isNetworkError || result.outcome === SCAN_OUTCOMES.ERROR) {
+          summary.isInterrupted = true;
+          summary.isServerError = !result.isNetworkError;
+          break;
+        }
+
+        if (result.isValid) {
+          await deleteQueuedScans([scan.id]);
+          summary.synced += 1;
+          continue;
+        }
+
+        summary.conflicts += 1;
+        await updateQueuedScan({
+          ...scan,
+          status: SCAN_SYNC_STATUS.CONFLICT,
+          reason: result.isAlreadyScanned
+            ? 'Already checked in on another device'
+            : result.message || 'Rejected by the server',
+          serverScannedAt: result.scannedAt,
+          syncedAt: new Date().toISOString(),
+        });
+      }
+    } catch (error) {
+      logger.error('[OfflineCheckIn] Sync error:', error);
+      summary.isInterrupted = true;
+    } finally {
+      isSyncingRef.current = false;
+      setIsSyncing(false);
+      await loadOfflineData();
+    }
+
+    if (summary.synced > 0) {
+      toast.success(`Synced ${summary.synced} offline check-in${summary.synced !== 1 ? 's' : ''}`);
+    }
+    if (summary.conflicts > 0) {
+      toast.warning(`${summary.conflicts} offline check-in${summary.conflicts !== 1 ? 's' : ''} conflicted - see the sync report`);
+    }
+    if (summary.isServerError) {
+      toast.warning('The server could not take the check-ins right now - they stay queued, try syncing again shortly');
+    } else if (summary.isInterrupted) {
+      toast.info('Still offline - queued check-ins will sync when the connection returns');
+    }
+    return summary;
+  };
+
+  const handleOnline = useEffectEvent(() => {
+    setIsOnline(true);
+    if (pendingScans.length > 0) {
+      syncQueue();
+    }
+  });
+
+  // Track connectivity and sync as soon as it returns
+  useEffect(() => {
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  /**
+   * Download an event's ticket list for offline scanning
+   * @param {string} eventId - Event ID
+   * @returns {Promise<boolean>} Whether the event was prepared
+   */
+  const prepareEvent = async (eventId) => {
+    if (!eventId) return false;
+    setPreparingEventId(eventId);
+
+    try {
+      const tickets = [];
+      let event = null;
+      let totalCount = null;
+
+      for (let page = 1; page <= MAX_DOWNLOAD_PAGES; page += 1) {
+        const response = await getTicketHolders(eventId, { page, limit: DOWNLOAD_PAGE_SIZE });
+        if (!response.success) {
+          toast.error(response.message || 'Failed to download the ticket list');
+          return false;
+        }
+
+        event = response.data.event || event;
+        totalCount = response.data.pagination?.totalCount ?? totalCount;
+        tickets.push(...(response.data.ticketHolders || []));
+        if (page >= (response.data.pagination?.totalPages || 1)) break;
+      }
+
+      const record = await savePreparedEvent({ ...event, _id: eventId }, tickets, totalCount);
+      logger.debug('[OfflineCheckIn] Prepared event:', record);
+      if (record.isTruncated) {
+        toast.warning(
+          `Only ${record.ticketCount} of ${record.expectedCount} tickets of ${record.name} were saved - the rest will be rejected offline`,
+          { autoClose: false }
+        );
+      } else {
+        toast.success(`${record.ticketCount} tickets of ${record.name} saved for offline check-in`);
+      }
+      await loadOfflineData();
+      return true;
+    } catch (error) {
+      logger.error('[OfflineCheckIn] Error preparing event:', error);
+      toast.error('Failed to prepare the event for offline check-in');
+      return false;
+    } finally {
+      setPreparingEventId(null);
+    }
+  };
+
+  /**
+   * Delete an event's downloaded ticket list
+   * @param {string} eventId - Event ID
+   */
+  const removeEvent = async (eventId) => {
+    try {
+      await removePreparedEvent(eventId);
+      await loadOfflineData();
+    } catch (error) {
+      logger.error('[OfflineCheckIn] Error removing event:', error);
+      toast.error('Failed to remove the offline ticket list');
+    }
+  };
+
+  /**
+   * Validate a scan against the downloaded list and queue a valid check-in.
+   * Reads the store rather than state, as the scanner keeps the callback it started with.
+   * @param {Object} params - { enrollmentId, eventId, phone, userId } from the QR code
+   * @returns {Promise<Object|null>} Validation result, or null when the event isn't prepared
+   */
+  const validateOffline = async (params) => {
+    if (!isSupported) return null;
+    const event = await getPreparedEvent(params.eventId);
+    if (!event) return null;
+
+    const ticket = await getOfflineTicket(params.enrollmentId);
+    const result = checkOfflineTicket(ticket, params, event, scannerStorage.getGate()?.eventId);
+
+    if (result.isValid) {
+      await recordOfflineCheckIn(ticket, params);
+      await loadOfflineData();
+    }
+    return result;
+  };
+
+  /**
+   * Keep the downloaded list in step with a live check-in
+   */
+  const markScannedOffline = async (enrollmentId, scannedAt) => {
+    if (!isSupported || !enrollmentId) return;
+    try {
+      await markOfflineTicketScanned(enrollmentId, scannedAt || undefined);
+    } catch (error) {
+      logger.error('[OfflineCheckIn] Error marking ticket scanned:', error);
+    }
+  };
+
+  /**
+   * Validate a scanned code - live, or against the offline ticket list when a
+   * ticket can't reach the API
+   * @param {Object} payload - { kind, params } from parseScanPayload
+   * @returns {Promise<Object>} Scan result
+   */
+  const validateScan = async (payload) => {
+    try {
+      // navigator.onLine rather than state, as the scanner keeps the callback it started with
+      const liveResult = navigator.onLine ? await scanService.validate(payload) : null;
+      const isTicket = payload.kind === SCAN_KINDS.TICKET || payload.kind === SCAN_KINDS.CASH_TICKET;
+
+      if (liveResult && !liveResult.isNetworkError) {
+        if (isTicket && (liveResult.isValid || liveResult.isAlreadyScanned)) {
+          await markScannedOffline(payload.params.enrollmentId, liveResult.scannedAt);
+        }
+        return liveResult;
+      }
+
+      if (!isTicket) {
+        return liveResult || createScanResult({
+          kind: payload.kind,
+          outcome: SCAN_OUTCOMES.ERROR,
+          message: 'No connection - only event tickets can be checked offline',
+          isNetworkError: true,
+        });
+      }
+
+      logger.debug('[OfflineCheckIn] No connection, validating offline...');
+      const offlineResult = await validateOffline(payload.params);
+      return offlineResult || createScanResult({
+        kind: payload.kind,
+        outcome: SCAN_OUTCOMES.ERROR,
+        message: 'No connection - prepare this event for offline check-in',
+        isNetworkError: true,
+      });
+    } catch (error) {
+      logger.error('[OfflineCheckIn] Validation error:', error);
+      return createScanResult({
+        kind: payload.kind,
+        outcome: SCAN_OUTCOMES.ERROR,
+        message: 'Failed to validate ticket',
+      });
+    }
+  };
+
+  /**
+   * Clear the reported conflicts
+   */
+  const dismissConflicts = async () => {
+    try {
+      await deleteQueuedScans(conflicts.map((scan) => scan.id));
+      await loadOfflineData();
+    } catch (error) {
+      logger.error('[OfflineCheckIn] Error clearing conflicts:', error);
+    }
+  };
+
+  return {
+    // State
+    isSupported,
+    isOnline,
+    preparedEvents,
+    pendingScans,
+    conflicts,
+    preparingEventId,
+    isSyncing,
+
+    // Operations
+    prepareEvent,
+    removeEvent,
+    validateOffline,
+    validateScan,
+    syncQueue,
+    dismissConflicts,
+  };
+}
+
+export default useOfflineCheckIn;
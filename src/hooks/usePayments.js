@@ -0,0 +1,197 @@
+import { useCallback, useEffect, useMemo, useRef } from 'react';
+import paymentService from '../services/payment.service';
+import { getDashboardStatistics } from '../services/analytics.service';
+import useQuery from './useQuery';
+import useUrlState from './useUrlState';
+import { invalidateQueries } from '../utils/queryCache';
+import { getTimeRangeBounds } from '../utils/timeRanges';
+import { reconcileWithDashboard } from '../utils/payments';
+
+const PAGE_SIZE = 20;
+
+// The export reads every page of the filtered ledger
+const EXPORT_LIMIT = 100;
+const MAX_EXPORT_PAGES = 50;
+
+const DEFAULT_FILTERS = {
+  type: '',
+  status: '',
+  refundStatus: '',
+  method: '',
+  startDate: '',
+  endDate: '',
+  search: '',
+};
+
+/**
+ * Query params of the current filters
+ * @param {Object} filters - Filter values
+ * @returns {Object}
+ */
+const toParams = (filters) =>
+  Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''));
+
+/**
+ * Custom hook for the payments ledger with filters and paging kept in the URL,
+ * plus its reconciliation against the Dashboard's revenue for a time range
+ * @returns {Object} Payments state and operations
+ */
+function usePayments() {
+  const [filters, setFilters] = useUrlState(DEFAULT_FILTERS);
+  const [{ page, range }, setView] = useUrlState({ page: 1, range: 'thisMonth' });
+
+  // Debounce timer ref for search
+  const searchDebounceRef = useRef(null);
+
+  const params = useMemo(() => ({ ...toParams(filters), page, limit: PAGE_SIZE }), [filters, page]);
+
+  const paymentsQuery = useQuery(['payments', 'list', params], () => paymentService.getAll(params), {
+    keepPreviousData: true,
+  });
+
+  // Both sides of the reconciliation cover the same period
+  const rangeParams = useMemo(() => ({ ...getTimeRangeBounds(range), status: 'SUCCESS', limit: 1 }), [range]);
+  const ledgerRangeQuery = useQuery(['payments', 'range', rangeParams], () => paymentService.getAll(rangeParams));
+  const dashboardQuery = useQuery(['analytics', 'dashboard'], getDashboardStatistics);
+
+  const payments = paymentsQuery.data?.payments || [];
+  const pagination = paymentsQuery.data?.pagination || { currentPage: page, totalPages: 1, totalCount: 0, limit: PAGE_SIZE };
+  const summary = paymentsQuery.data?.summary || null;
+
+  const dashboardPayments = dashboardQuery.data?.payments?.[range];
+  const reconciliation = useMemo(
+    () =>
+      ledgerRangeQuery.data && dashboardQuery.data
+        ? reconcileWithDashboard(ledgerRangeQuery.data.summary, dashboardPayments)
+        : [],
+    [ledgerRangeQuery.data, dashboardQuery.data, dashboardPayments]
+  );
+
+  /**
+   * Refetch the ledger and the Dashboard figures
+   */
+  const refresh = useCallback(() => {
+    invalidateQueries(['payments']);
+    invalidateQueries(['analytics']);
+  }, []);
+
+  /**
+   * Read every payment matching the current filters, for the CSV export
+   * @returns {Promise<{success: boolean, data?: Object[], error?: string}>}
+   */
+  const fetchAllPayments = useCallback(async () => {
+    const items = [];
+
+    try {
+      for (let nextPage = 1; nextPage <= MAX_EXPORT_PAGES; nextPage += 1) {
+        const result = await paymentService.getAll({ ...toParams(filters), page: nextPage, limit: EXPORT_LIMIT });
+        if (!result.success) return { success: false, error: result.message };
+
+        items.push(...(result.data.payments || []));
+        const { totalPages, pages } = result.data.pagination || {};
+        if (nextPage >= (totalPages ?? pages ?? 1)) break;
+      }
+      return { success: true, data: items };
+    } catch {
+      return { success: false, error: 'Failed to export payments' };
+    }
+  }, [filters]);
+
+  /**
+   * Update filters and go back to the first page
+   * @param {Object} newFilters - New filter values
+   */
+  const updateFilters = useCallback(
+    (newFilters) => {
+      setFilters((prev) => ({ ...prev, ...newFilters }));
+      setView((prev) => ({ ...prev, page: 1 }));
+    },
+    [setFilters, setView]
+  );
+
+  /**
+   * Update search with debounce
+   * @param {string} search - Search query
+   */
+  const updateSearch = useCallback(
+    (search) => {
+      if (searchDebounceRef.current) {
+        clearTimeout(searchDebounceRef.current);
+      }
+
+      searchDebounceRef.current = setTimeout(() => {
+        updateFilters({ search });
+      }, 300);
+    },
+    [updateFilters]
+  );
+
+  /**
+   * Reset filters to default values
+   */
+  const resetFilters = useCallback(() => {
+    clearTimeout(searchDebounceRef.current);
+    setFilters(DEFAULT_FILTERS);
+    setView((prev) => ({ ...prev, page: 1 }));
+  }, [setFilters, setView]);
+
+  /**
+   * Change page
+   * @param {number} nextPage - Page number
+   */
+  const changePage = useCallback(
+    (nextPage) => {
+      setView((prev) => ({ ...prev, page: nextPage }));
+    },
+    [setView]
+  );
+
+  /**
+   * Change the reconciliation time range
+   * @param {string} nextRange - TIME_RANGES value
+   */
+  const changeRange = useCallback(
+    (nextRange) => {
+      setView((prev) => ({ ...prev, range: nextRange }));
+    },
+    [setView]
+  );
+
+  // Cleanup debounce timer
+  useEffect(() => {
+    return () => {
+      if (searchDebounceRef.current) {
+        clearTimeout(searchDebounceRef.current);
+      }
+    };
+  }, []);
+
+  return {
+    // Ledger state
+    payments,
+    pagination,
+    summary,
+    filters,
+    isLoading: paymentsQuery.isLoading,
+    isFetching: paymentsQuery.isFetching,
+    error: paymentsQuery.error,
+
+    // Reconciliation state
+    range,
+    reconciliation,
+    refundedInRange: ledgerRangeQuery.data?.summary?.refundedAmount || 0,
+    isReconciling: ledgerRangeQuery.isLoading || dashboardQuery.isLoading,
+    reconciliationError: ledgerRangeQuery.error || dashboardQuery.error,
+
+    // Operations
+    refresh,
+    fetchAllPayments,
+    updateFilters,
+    updateSearch,
+    resetFilters,
+    changePage,
+    changeRange,
+  };
+}
+
+export default usePayments;
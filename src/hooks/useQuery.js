@@ -0,0 +1,64 @@
+import { useState, useCallback, useEffect, useMemo, useRef, useSyncExternalStore } from 'react';
+import {
+  DEFAULT_STALE_TIME,
+  hashQueryKey,
+  getQueryState,
+  subscribeQuery,
+  ensureQueryData,
+  fetchQuery,
+} from '../utils/queryCache';
+
+/**
+ * Custom hook for reading through the shared query cache
+ * Shows cached data straight away and revalidates it in the background when stale
+ * @param {Array} queryKey - Cache key, e.g. ['vouchers', 'list', params]
+ * @param {Function} queryFn - Service call returning a handleApiResponse result
+ * @param {Object} options - { enabled?: boolean, staleTime?: number, keepPreviousData?: boolean }
+ * @returns {Object} { data, error, isLoading, isFetching, updatedAt, refetch }
+ */
+function useQuery(queryKey, queryFn, options = {}) {
+  const { enabled = true, staleTime = DEFAULT_STALE_TIME, keepPreviousData = false } = options;
+
+  // Re-derive the key from its hash so a new array with the same contents is the same query
+  const hash = hashQueryKey(queryKey);
+  const stableKey = useMemo(() => JSON.parse(hash), [hash]);
+
+  // Latest queryFn, read when the cache (re)fetches
+  const queryFnRef = useRef(queryFn);
+  useEffect(() => {
+    queryFnRef.current = queryFn;
+  });
+
+  const subscribe = useCallback((listener) => subscribeQuery(stableKey, listener), [stableKey]);
+  const getSnapshot = useCallback(() => getQueryState(stableKey), [stableKey]);
+  const state = useSyncExternalStore(subscribe, getSnapshot);
+
+  useEffect(() => {
+    if (!enabled) return;
+    ensureQueryData(stableKey, () => queryFnRef.current(), staleTime);
+  }, [stableKey, enabled, staleTime]);
+
+  // Keep showing the last result while a new key (e.g. the next page) loads
+  const [previousData, setPreviousData] = useState(state.data);
+  if (state.data !== undefined && state.data !== previousData) {
+    setPreviousData(state.data);
+  }
+
+  const refetch = useCallback(
+    () => fetchQuery(stableKey, () => queryFnRef.current()),
+    [stableKey]
+  );
+
+  const data = state.data !== undefined || !keepPreviousData ? state.data : previousData;
+
+  return {
+    data,
+    error: state.error,
+    isLoading: enabled && state.data === undefined && state.status !== 'error',
+    isFetching: state.isFetching,
+    updatedAt: state.updatedAt,
+    refetch,
+  };
+}
+
+export default useQuery;
@@ -1,5 +1,7 @@
-import { useState, useCallback, useEffect, useRef } from 'react';
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import quizService from '../services/quiz.service';
+import useQuery from './useQuery';
+import { invalidateQueries, setQueriesData } from '../utils/queryCache';
 
 /**
  * Custom hook for managing quizes state and operations
@@ -8,13 +10,8 @@ import quizService from '../services/quiz.service';
  */
 function useQuizes(initialFilters = {}) {
   // State
-  const [quizes, setQuizes] = useState([]);
-  const [pagination, setPagination] = useState({
-    currentPage: 1,
-    totalPages: 0,
-    totalCount: 0,
-    limit: 10,
-  });
+  const [page, setPage] = useState(1);
+  const [limit, setLimit] = useState(10);
   const [filters, setFilters] = useState({
     search: '',
     isLive: '',
@@ -24,57 +21,63 @@ function useQuizes(initialFilters = {}) {
     sortOrder: 'desc',
     ...initialFilters,
   });
-  const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState(null);
+  const [dismissedErrorAt, setDismissedErrorAt] = useState(null);
 
   // Debounce timer for search
   const debounceTimerRef = useRef(null);
 
-  /**
-   * Fetch quizes with current filters and pagination
-   * @param {number} page - Page number
-   */
-  const fetchQuizes = useCallback(
-    async (page = pagination.currentPage) => {
-      setIsLoading(true);
-      setError(null);
+  const params = useMemo(() => ({
+    page,
+    limit,
+    sortBy: filters.sortBy,
+    sortOrder: filters.sortOrder,
+    ...(filters.search && { search: filters.search }),
+    ...(filters.isLive !== '' && { isLive: filters.isLive }),
+    ...(filters.isPaid !== '' && { isPaid: filters.isPaid }),
+    ...(filters.enrollmentType && { enrollmentType: filters.enrollmentType }),
+  }), [page, limit, filters]);
 
-      try {
-        const params = {
-          page,
-          limit: pagination.limit,
-          sortBy: filters.sortBy,
-          sortOrder: filters.sortOrder,
-          ...(filters.search && { search: filters.search }),
-          ...(filters.isLive !== '' && { isLive: filters.isLive }),
-          ...(filters.isPaid !== '' && { isPaid: filters.isPaid }),
-          ...(filters.enrollmentType && { enrollmentType: filters.enrollmentType }),
-        };
+  const quizesQuery = useQuery(['quizes', 'list', params], () => quizService.getAll(params), {
+    keepPreviousData: true,
+  });
 
-        const result = await quizService.getAll(params);
+  const quizes = quizesQuery.data?.quizes || [];
+  const pagination = {
+    currentPage: quizesQuery.data?.pagination?.currentPage || page,
+    totalPages: quizesQuery.data?.pagination?.totalPages || 0,
+    totalCount: quizesQuery.data?.pagination?.totalCount || 0,
+    limit: quizesQuery.data?.pagination?.limit || limit,
+  };
+  const { isLoading, isFetching, refetch } = quizesQuery;
+  const error = quizesQuery.updatedAt !== dismissedErrorAt ? quizesQuery.error : null;
 
-        if (result.success) {
-          setQuizes(result.data.quizes || []);
-          setPagination({
-            currentPage: result.data.pagination?.currentPage || 1,
-            totalPages: result.data.pagination?.totalPages || 0,
-            totalCount: result.data.pagination?.totalCount || 0,
-            limit: result.data.pagination?.limit || 10,
-          });
-        } else {
-          setError(result.message);
-          setQuizes([]);
-        }
-      } catch (err) {
-        setError('Failed to fetch quizes');
-        setQuizes([]);
-      } finally {
-        setIsLoading(false);
+  /**
+   * Fetch quizes for a page - refetches when it's the current page
+   * @param {number} nextPage - Page number
+   */
+  const fetchQuizes = useCallback(
+    async (nextPage = page) => {
+      if (nextPage !== page) {
+        setPage(nextPage);
+        return;
       }
+      await refetch();
     },
-    [filters, pagination.limit]
+    [page, refetch]
   );
 
+  /**
+   * Patch a quiz in every cached list
+   */
+  const patchCachedQuiz = (id, changes) => {
+    setQueriesData(['quizes', 'list'], (data) => ({
+      ...data,
+      quizes: (data.quizes || []).map((quiz) =>
+        quiz._id === id ? { ...quiz, ...changes } : quiz
+      ),
+    }));
+  };
+
   /**
    * Create a new quiz
    * @param {Object} data - Quiz data
@@ -87,7 +90,8 @@ function useQuizes(initialFilters = {}) {
 
         if (result.success) {
           // Refresh the list
-          await fetchQuizes(1);
+          setPage(1);
+          invalidateQueries(['quizes']);
           return {
             success: true,
             data: result.data,
@@ -96,14 +100,14 @@ function useQuizes(initialFilters = {}) {
           return {
             success: false,
             error: result.message,
-            validationErrors: result.error,
+            fieldErrors: result.fieldErrors,
           };
         }
       } catch (err) {
         return { success: false, error: 'Failed to create quiz' };
       }
     },
-    [fetchQuizes]
+    []
   );
 
   /**
@@ -137,12 +141,9 @@ function useQuizes(initialFilters = {}) {
         const result = await quizService.update(id, data);
 
         if (result.success) {
-          // Update local state
-          setQuizes((prev) =>
-            prev.map((quiz) =>
-              quiz._id === id ? { ...quiz, ...result.data.quiz } : quiz
-            )
-          );
+          // Update cached lists, then revalidate
+          patchCachedQuiz(id, result.data.quiz);
+          invalidateQueries(['quizes']);
           return {
             success: true,
             data: result.data,
@@ -151,7 +152,7 @@ function useQuizes(initialFilters = {}) {
           return {
             success: false,
             error: result.message,
-            validationErrors: result.error,
+            fieldErrors: result.fieldErrors,
           };
         }
       } catch (err) {
@@ -172,12 +173,9 @@ function useQuizes(initialFilters = {}) {
       const result = await quizService.toggleLive(id);
 
       if (result.success) {
-        // Update local state
-        setQuizes((prev) =>
-          prev.map((quiz) =>
-            quiz._id === id ? { ...quiz, isLive: !isLive } : quiz
-          )
-        );
+        // Update cached lists, then revalidate
+        patchCachedQuiz(id, { isLive: !isLive });
+        invalidateQueries(['quizes']);
         return { success: true };
       } else {
         return { success: false, error: result.message };
@@ -197,14 +195,12 @@ function useQuizes(initialFilters = {}) {
       const result = await quizService.delete(id);
 
       if (result.success) {
-        // Remove from local state
-        setQuizes((prev) => prev.filter((quiz) => quiz._id !== id));
-        // Update pagination
-        setPagination((prev) => ({
-          ...prev,
-          totalCount: prev.totalCount - 1,
-          totalPages: Math.ceil((prev.totalCount - 1) / prev.limit),
+        // Remove from cached lists; the refetch corrects pagination
+        setQueriesData(['quizes', 'list'], (data) => ({
+          ...data,
+          quizes: (data.quizes || []).filter((quiz) => quiz._id !== id),
         }));
+        invalidateQueries(['quizes']);
         return { success: true };
       } else {
         return { success: false, error: result.message };
@@ -225,6 +221,7 @@ function useQuizes(initialFilters = {}) {
 
     debounceTimerRef.current = setTimeout(() => {
       setFilters((prev) => ({ ...prev, search: query }));
+      setPage(1);
     }, 300);
   }, []);
 
@@ -234,6 +231,7 @@ function useQuizes(initialFilters = {}) {
    */
   const updateFilters = useCallback((newFilters) => {
     setFilters((prev) => ({ ...prev, ...newFilters }));
+    setPage(1);
   }, []);
 
   /**
@@ -249,38 +247,32 @@ function useQuizes(initialFilters = {}) {
       sortOrder: 'desc',
       ...initialFilters,
     });
+    setPage(1);
   }, [initialFilters]);
 
   /**
    * Change page
    * @param {number} page - Page number
    */
-  const changePage = useCallback(
-    (page) => {
-      fetchQuizes(page);
-    },
-    [fetchQuizes]
-  );
+  const changePage = useCallback((nextPage) => {
+    setPage(nextPage);
+  }, []);
 
   /**
    * Change items per page
    * @param {number} limit - Items per page
    */
-  const changeLimit = useCallback((limit) => {
-    setPagination((prev) => ({ ...prev, limit }));
+  const changeLimit = useCallback((nextLimit) => {
+    setLimit(nextLimit);
+    setPage(1);
   }, []);
 
   /**
    * Clear error
    */
   const clearError = useCallback(() => {
-    setError(null);
-  }, []);
-
-  // Fetch quizes when filters change
-  useEffect(() => {
-    fetchQuizes(1);
-  }, [filters]);
+    setDismissedErrorAt(quizesQuery.updatedAt);
+  }, [quizesQuery.updatedAt]);
 
   // Cleanup debounce timer
   useEffect(() => {
@@ -297,6 +289,7 @@ function useQuizes(initialFilters = {}) {
     pagination,
     filters,
     isLoading,
+    isFetching,
     error,
 
     // Quiz operations
@@ -0,0 +1,21 @@
+import { useEffect, useEffectEvent } from 'react';
+import { subscribeToRealtime } from '../utils/realtime';
+
+/**
+ * Custom hook for listening to realtime events while mounted
+ * @param {string[]} types - REALTIME_EVENTS to receive, or [] for all
+ * @param {Function} onEvent - Called with each event ({ id, type, data, createdAt })
+ */
+function useRealtime(types, onEvent) {
+  const handleEvent = useEffectEvent((event) => onEvent(event));
+
+  // Resubscribe only when the set of types changes, not on every new array
+  const typesKey = types.join(',');
+
+  useEffect(() => {
+    const unsubscribe = subscribeToRealtime(typesKey ? typesKey.split(',') : [], (event) => handleEvent(event));
+    return unsubscribe;
+  }, [typesKey]);
+}
+
+export default useRealtime;
@@ -1,5 +1,6 @@
 import { useState, useCallback, useEffect, useRef } from 'react';
 import sosProgramService from '../services/sos-program.service';
+import logger from '../utils/logger';
 
 /**
  * Custom hook for managing SOS Programs state and operations
@@ -49,7 +50,7 @@ function useSOSPrograms(initialFilters = {}) {
           ...(filters.isActive !== '' && { isActive: filters.isActive }),
         };
 
-        console.log('[useSOSPrograms] Fetching programs with params:', params);
+        logger.debug('[useSOSPrograms] Fetching programs with params:', params);
         const result = await sosProgramService.getAll(params);
 
         if (result.success) {
@@ -60,14 +61,14 @@ function useSOSPrograms(initialFilters = {}) {
             totalCount: result.data.pagination?.totalCount || 0,
             limit: result.data.pagination?.limit || 10,
           });
-          console.log('[useSOSPrograms] Fetched programs:', result.data.programs?.length);
+          logger.debug('[useSOSPrograms] Fetched programs:', result.data.programs?.length);
         } else {
-          console.error('[useSOSPrograms] Failed to fetch programs:', result.message);
+          logger.error('[useSOSPrograms] Failed to fetch programs:', result.message);
           setError(result.message || 'Failed to fetch programs');
           setPrograms([]);
         }
       } catch (err) {
-        console.error('[useSOSPrograms] Error fetching programs:', err);
+        logger.error('[useSOSPrograms] Error fetching programs:', err);
         setError('Failed to fetch programs');
         setPrograms([]);
       } finally {
@@ -85,26 +86,26 @@ function useSOSPrograms(initialFilters = {}) {
   const createProgram = useCallback(
     async (data) => {
       try {
-        console.log('[useSOSPrograms] Creating program:', data.title);
+        logger.debug('[useSOSPrograms] Creating program:', data.title);
         const result = await sosProgramService.create(data);
 
         if (result.success) {
-          console.log('[useSOSPrograms] Program created successfully');
+          logger.debug('[useSOSPrograms] Program created successfully');
           await fetchPrograms(1);
           return {
             success: true,
             data: result.data,
           };
         } else {
-          console.error('[useSOSPrograms] Failed to create program:', result.message);
+          logger.error('[useSOSPrograms] Failed to create program:', result.message);
           return {
             success: false,
             error: result.message,
-            validationErrors: result.error,
+            fieldErrors: result.fieldErrors,
           };
         }
       } catch (err) {
-        console.error('[useSOSPrograms] Error creating program:', err);
+        logger.error('[useSOSPrograms] Error creating program:', err);
         return { success: false, error: 'Failed to create program' };
       }
     },
@@ -118,17 +119,17 @@ function useSOSPrograms(initialFilters = {}) {
    */
   const getProgramById = useCallback(async (id) => {
     try {
-      console.log('[useSOSPrograms] Fetching program by ID:', id);
+      logger.debug('[useSOSPrograms] Fetching program by ID:', id);
       const result = await sosProgramService.getById(id);
 
       if (result.success) {
         return { success: true, data: result.data.program };
       } else {
-        console.error('[useSOSPrograms] Failed to fetch program:', result.message);
+        logger.error('[useSOSPrograms] Failed to fetch program:', result.message);
         return { success: false, error: result.message };
       }
     } catch (err) {
-      console.error('[useSOSPrograms] Error fetching program:', err);
+      logger.error('[useSOSPrograms] Error fetching program:', err);
       return { success: false, error: 'Failed to fetch program details' };
     }
   }, []);
@@ -140,17 +141,17 @@ function useSOSPrograms(initialFilters = {}) {
    */
   const getProgramStats = useCallback(async (id) => {
     try {
-      console.log('[useSOSPrograms] Fetching stats for program:', id);
+      logger.debug('[useSOSPrograms] Fetching stats for program:', id);
       const result = await sosProgramService.getStats(id);
 
       if (result.success) {
         return { success: true, data: result.data };
       } else {
-        console.error('[useSOSPrograms] Failed to fetch program stats:', result.message);
+        logger.error('[useSOSPrograms] Failed to fetch program stats:', result.message);
         return { success: false, error: result.message };
       }
     } catch (err) {
-      console.error('[useSOSPrograms] Error fetching program stats:', err);
+      logger.error('[useSOSPrograms] Error fetching program stats:', err);
       return { success: false, error: 'Failed to fetch program statistics' };
     }
   }, []);
@@ -162,17 +163,17 @@ function useSOSPrograms(initialFilters = {}) {
    */
   const getProgramQuizzes = useCallback(async (id) => {
     try {
-      console.log('[useSOSPrograms] Fetching quizzes for program:', id);
+      logger.debug('[useSOSPrograms] Fetching quizzes for program:', id);
       const result = await sosProgramService.getQuizzes(id);
 
       if (result.success) {
         return { success: true, data: result.data };
       } else {
-        console.error('[useSOSPrograms] Failed to fetch program quizzes:', result.message);
+        logger.error('[useSOSPrograms] Failed to fetch program quizzes:', result.message);
         return { success: false, error: result.message };
       }
     } catch (err) {
-      console.error('[useSOSPrograms] Error fetching program quizzes:', err);
+      logger.error('[useSOSPrograms] Error fetching program quizzes:', err);
       return { success: false, error: 'Failed to fetch program quizzes' };
     }
   }, []);
@@ -186,11 +187,11 @@ function useSOSPrograms(initialFilters = {}) {
   const updateProgram = useCallback(
     async (id, data) => {
       try {
-        console.log('[useSOSPrograms] Updating program:', id);
+        logger.debug('[useSOSPrograms] Updating program:', id);
         const result = await sosProgramService.update(id, data);
 
         if (result.success) {
-          console.log('[useSOSPrograms] Program updated successfully');
+          logger.debug('[useSOSPrograms] Program updated successfully');
           setPrograms((prev) =>
             prev.map((program) =>
               program._id === id ? { ...program, ...result.data.program } : program
@@ -201,15 +202,15 @@ function useSOSPrograms(initialFilters = {}) {
             data: result.data,
           };
         } else {
-          console.error('[useSOSPrograms] Failed to update program:', result.message);
+          logger.error('[useSOSPrograms] Failed to update program:', result.message);
           return {
             success: false,
             error: result.message,
-            validationErrors: result.error,
+            fieldErrors: result.fieldErrors,
           };
         }
       } catch (err) {
-        console.error('[useSOSPrograms] Error updating program:', err);
+        logger.error('[useSOSPrograms] Error updating program:', err);
         return { success: false, error: 'Failed to update program' };
       }
     },
@@ -224,11 +225,11 @@ function useSOSPrograms(initialFilters = {}) {
    */
   const toggleProgramStatus = useCallback(async (id, isActive) => {
     try {
-      console.log('[useSOSPrograms] Toggling status for program:', id);
+      logger.debug('[useSOSPrograms] Toggling status for program:', id);
       const result = await sosProgramService.toggleStatus(id);
 
       if (result.success) {
-        console.log('[useSOSPrograms] Program status toggled successfully');
+        logger.debug('[useSOSPrograms] Program status toggled successfully');
         setPrograms((prev) =>
           prev.map((program) =>
             program._id === id ? { ...program, isActive: !isActive } : program
@@ -236,11 +237,11 @@ function useSOSPrograms(initialFilters = {}) {
         );
         return { success: true };
       } else {
-        console.error('[useSOSPrograms] Failed to toggle program status:', result.message);
+        logger.error('[useSOSPrograms] Failed to toggle program status:', result.message);
         return { success: false, error: result.message };
       }
     } catch (err) {
-      console.error('[useSOSPrograms] Error toggling program status:', err);
+      logger.error('[useSOSPrograms] Error toggling program status:', err);
       return { success: false, error: 'Failed to update program status' };
     }
   }, []);
@@ -252,11 +253,11 @@ function useSOSPrograms(initialFilters = {}) {
    */
   const deleteProgram = useCallback(async (id) => {
     try {
-      console.log('[useSOSPrograms] Deleting program:', id);
+      logger.debug('[useSOSPrograms] Deleting program:', id);
       const result = await sosProgramService.delete(id);
 
       if (result.success) {
-        console.log('[useSOSPrograms] Program deleted successfully');
+        logger.debug('[useSOSPrograms] Program deleted successfully');
         setPrograms((prev) => prev.filter((program) => program._id !== id));
         setPagination((prev) => ({
           ...prev,
@@ -265,11 +266,11 @@ function useSOSPrograms(initialFilters = {}) {
         }));
         return { success: true };
       } else {
-        console.error('[useSOSPrograms] Failed to delete program:', result.message);
+        logger.error('[useSOSPrograms] Failed to delete program:', result.message);
         return { success: false, error: result.message };
       }
     } catch (err) {
-      console.error('[useSOSPrograms] Error deleting program:', err);
+      logger.error('[useSOSPrograms] Error deleting program:', err);
       return { success: false, error: 'Failed to delete program' };
     }
   }, []);
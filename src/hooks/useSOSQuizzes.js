@@ -1,5 +1,6 @@
 import { useState, useCallback, useEffect, useRef } from 'react';
 import sosQuizService from '../services/sos-quiz.service';
+import logger from '../utils/logger';
 
 /**
  * Custom hook for managing SOS Quizzes state and operations
@@ -49,7 +50,7 @@ function useSOSQuizzes(initialFilters = {}) {
           ...(filters.isActive !== '' && { isActive: filters.isActive }),
         };
 
-        console.log('[useSOSQuizzes] Fetching quizzes with params:', params);
+        logger.debug('[useSOSQuizzes] Fetching quizzes with params:', params);
         const result = await sosQuizService.getAll(params);
 
         if (result.success) {
@@ -60,14 +61,14 @@ function useSOSQuizzes(initialFilters = {}) {
             totalCount: result.data.pagination?.totalCount || 0,
             limit: result.data.pagination?.limit || 10,
           });
-          console.log('[useSOSQuizzes] Fetched quizzes:', result.data.quizzes?.length);
+          logger.debug('[useSOSQuizzes] Fetched quizzes:', result.data.quizzes?.length);
         } else {
-          console.error('[useSOSQuizzes] Failed to fetch quizzes:', result.message);
+          logger.error('[useSOSQuizzes] Failed to fetch quizzes:', result.message);
           setError(result.message || 'Failed to fetch quizzes');
           setQuizzes([]);
         }
       } catch (err) {
-        console.error('[useSOSQuizzes] Error fetching quizzes:', err);
+        logger.error('[useSOSQuizzes] Error fetching quizzes:', err);
         setError('Failed to fetch quizzes');
         setQuizzes([]);
       } finally {
@@ -85,26 +86,26 @@ function useSOSQuizzes(initialFilters = {}) {
   const createQuiz = useCallback(
     async (data) => {
       try {
-        console.log('[useSOSQuizzes] Creating quiz:', data.title, 'for program:', data.programId);
+        logger.debug('[useSOSQuizzes] Creating quiz:', data.title, 'for program:', data.programId);
         const result = await sosQuizService.create(data);
 
         if (result.success) {
-          console.log('[useSOSQuizzes] Quiz created successfully');
+          logger.debug('[useSOSQuizzes] Quiz created successfully');
           await fetchQuizzes(1);
           return {
             success: true,
             data: result.data,
           };
         } else {
-          console.error('[useSOSQuizzes] Failed to create quiz:', result.message);
+          logger.error('[useSOSQuizzes] Failed to create quiz:', result.message);
           return {
             success: false,
             error: result.message,
-            validationErrors: result.error,
+            fieldErrors: result.fieldErrors,
           };
         }
       } catch (err) {
-        console.error('[useSOSQuizzes] Error creating quiz:', err);
+        logger.error('[useSOSQuizzes] Error creating quiz:', err);
         return { success: false, error: 'Failed to create quiz' };
       }
     },
@@ -118,17 +119,17 @@ function useSOSQuizzes(initialFilters = {}) {
    */
   const getQuizById = useCallback(async (id) => {
     try {
-      console.log('[useSOSQuizzes] Fetching quiz by ID:', id);
+      logger.debug('[useSOSQuizzes] Fetching quiz by ID:', id);
       const result = await sosQuizService.getById(id);
 
       if (result.success) {
         return { success: true, data: result.data.quiz };
       } else {
-        console.error('[useSOSQuizzes] Failed to fetch quiz:', result.message);
+        logger.error('[useSOSQuizzes] Failed to fetch quiz:', result.message);
         return { success: false, error: result.message };
       }
     } catch (err) {
-      console.error('[useSOSQuizzes] Error fetching quiz:', err);
+      logger.error('[useSOSQuizzes] Error fetching quiz:', err);
       return { success: false, error: 'Failed to fetch quiz details' };
     }
   }, []);
@@ -142,11 +143,11 @@ function useSOSQuizzes(initialFilters = {}) {
   const updateQuiz = useCallback(
     async (id, data) => {
       try {
-        console.log('[useSOSQuizzes] Updating quiz:', id);
+        logger.debug('[useSOSQuizzes] Updating quiz:', id);
         const result = await sosQuizService.update(id, data);
 
         if (result.success) {
-          console.log('[useSOSQuizzes] Quiz updated successfully');
+          logger.debug('[useSOSQuizzes] Quiz updated successfully');
           setQuizzes((prev) =>
             prev.map((quiz) =>
               quiz._id === id ? { ...quiz, ...result.data.quiz } : quiz
@@ -157,15 +158,15 @@ function useSOSQuizzes(initialFilters = {}) {
             data: result.data,
           };
         } else {
-          console.error('[useSOSQuizzes] Failed to update quiz:', result.message);
+          logger.error('[useSOSQuizzes] Failed to update quiz:', result.message);
           return {
             success: false,
             error: result.message,
-            validationErrors: result.error,
+            fieldErrors: result.fieldErrors,
           };
         }
       } catch (err) {
-        console.error('[useSOSQuizzes] Error updating quiz:', err);
+        logger.error('[useSOSQuizzes] Error updating quiz:', err);
         return { success: false, error: 'Failed to update quiz' };
       }
     },
@@ -179,11 +180,11 @@ function useSOSQuizzes(initialFilters = {}) {
    */
   const deleteQuiz = useCallback(async (id) => {
     try {
-      console.log('[useSOSQuizzes] Deleting quiz:', id);
+      logger.debug('[useSOSQuizzes] Deleting quiz:', id);
       const result = await sosQuizService.delete(id);
 
       if (result.success) {
-        console.log('[useSOSQuizzes] Quiz deleted successfully');
+        logger.debug('[useSOSQuizzes] Quiz deleted successfully');
         setQuizzes((prev) => prev.filter((quiz) => quiz._id !== id));
         setPagination((prev) => ({
           ...prev,
@@ -192,11 +193,11 @@ function useSOSQuizzes(initialFilters = {}) {
         }));
         return { success: true };
       } else {
-        console.error('[useSOSQuizzes] Failed to delete quiz:', result.message);
+        logger.error('[useSOSQuizzes] Failed to delete quiz:', result.message);
         return { success: false, error: result.message };
       }
     } catch (err) {
-      console.error('[useSOSQuizzes] Error deleting quiz:', err);
+      logger.error('[useSOSQuizzes] Error deleting quiz:', err);
       return { success: false, error: 'Failed to delete quiz' };
     }
   }, []);
@@ -0,0 +1,95 @@
+import { useCallback, useMemo } from 'react';
+import savedViewService from '../services/savedView.service';
+import useQuery from './useQuery';
+import { invalidateQueries } from '../utils/queryCache';
+
+/**
+ * Custom hook for the logged-in admin's saved list views
+ * A view is a page path plus its query string, e.g. /motivata-blend-requests?status=PENDING&submittedWithin=7
+ * @param {string} [path] - Only return views for this page (all views when omitted)
+ * @returns {Object} Saved views and operations
+ */
+function useSavedViews(path) {
+  const viewsQuery = useQuery(['savedViews'], () => savedViewService.getAll());
+
+  const allViews = viewsQuery.data?.views;
+  const views = useMemo(
+    () => (allViews || []).filter((view) => !path || view.path === path),
+    [allViews, path]
+  );
+  const pinnedViews = useMemo(() => views.filter((view) => view.isPinned), [views]);
+
+  /**
+   * Save a view
+   * @param {Object} viewData - { name, path, search, isPinned? }
+   * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
+   */
+  const saveView = useCallback(async (viewData) => {
+    try {
+      const result = await savedViewService.create(viewData);
+
+      if (result.success) {
+        invalidateQueries(['savedViews']);
+        return { success: true, data: result.data.view };
+      } else {
+        return { success: false, error: result.message, fieldErrors: result.fieldErrors };
+      }
+    } catch {
+      return { success: false, error: 'Failed to save view' };
+    }
+  }, []);
+
+  /**
+   * Pin or unpin a view in the sidebar
+   * @param {Object} view - Saved view
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  const togglePin = useCallback(async (view) => {
+    try {
+      const result = await savedViewService.update(view._id, { isPinned: !view.isPinned });
+
+      if (result.success) {
+        invalidateQueries(['savedViews']);
+        return { success: true };
+      } else {
+        return { success: false, error: result.message };
+      }
+    } catch {
+      return { success: false, error: 'Failed to update view' };
+    }
+  }, []);
+
+  /**
+   * Delete a view
+   * @param {string} id - View ID
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  const deleteView = useCallback(async (id) => {
+    try {
+      const result = await savedViewService.delete(id);
+
+      if (result.success) {
+        invalidateQueries(['savedViews']);
+        return { success: true };
+      } else {
+        return { success: false, error: result.message };
+      }
+    } catch {
+      return { success: false, error: 'Failed to delete view' };
+    }
+  }, []);
+
+  return {
+    // State
+    views,
+    pinnedViews,
+    isLoading: viewsQuery.isLoading,
+
+    // Operations
+    saveView,
+    togglePin,
+    deleteView,
+  };
+}
+
+export default useSavedViews;
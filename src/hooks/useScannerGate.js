@@ -0,0 +1,67 @@
+import { useState } from 'react';
+import { toast } from 'react-toastify';
+import scanService from '../services/scan.service';
+import { scannerStorage } from '../utils/storage';
+import logger from '../utils/logger';
+
+/**
+ * Custom hook for this device's scanner gate
+ * The registration is kept on the device, and the scan service reports every
+ * scan with it, so the check-in dashboard can tell gates apart
+ */
+function useScannerGate() {
+  const [gate, setGate] = useState(() => scannerStorage.getGate());
+  const [deviceId] = useState(() => scannerStorage.getDeviceId());
+  const [isRegistering, setIsRegistering] = useState(false);
+
+  /**
+   * Register this device at a gate
+   * @param {Object} values - { gateName, eventId?, eventName? } - eventId restricts the gate to one event
+   * @returns {Promise<boolean>} Whether the device was registered
+   */
+  const registerGate = async ({ gateName, eventId, eventName }) => {
+    setIsRegistering(true);
+    try {
+      const response = await scanService.registerGate({ gateName, eventId: eventId || null });
+      if (!response.success) {
+        toast.error(response.message || 'Failed to register the gate');
+        return false;
+      }
+
+      const registered = {
+        gateName: response.data.device.gateName,
+        eventId: eventId || null,
+        eventName: eventId ? eventName : null,
+        registeredAt: response.data.device.registeredAt,
+      };
+      scannerStorage.setGate(registered);
+      setGate(registered);
+      toast.success(`Scanning at ${registered.gateName}`);
+      return true;
+    } catch (error) {
+      logger.error('[ScannerGate] Error registering gate:', error);
+      toast.error('Failed to register the gate');
+      return false;
+    } finally {
+      setIsRegistering(false);
+    }
+  };
+
+  /**
+   * Stop reporting scans from a gate
+   */
+  const leaveGate = () => {
+    scannerStorage.clearGate();
+    setGate(null);
+  };
+
+  return {
+    gate,
+    deviceId,
+    isRegistering,
+    registerGate,
+    leaveGate,
+  };
+}
+
+export default useScannerGate;
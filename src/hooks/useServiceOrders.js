@@ -1,5 +1,8 @@
-import { useState, useCallback, useEffect, useRef } from 'react';
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import serviceOrderService from '../services/serviceOrder.service';
+import useQuery from './useQuery';
+import useUrlState from './useUrlState';
+import { invalidateQueries, setQueriesData } from '../utils/queryCache';
 
 /**
  * Order status options
@@ -37,63 +40,58 @@ const DEFAULT_FILTERS = {
  * @returns {Object} Service orders state and operations
  */
 function useServiceOrders(initialFilters = {}) {
-  // State
-  const [orders, setOrders] = useState([]);
-  const [pagination, setPagination] = useState({
-    currentPage: 1,
-    totalPages: 0,
-    totalCount: 0,
-    limit: 10,
-    hasNextPage: false,
-    hasPrevPage: false,
-  });
-  const [filters, setFilters] = useState({
+  // Filters and page live in the query string so refresh and shared links keep them
+  const [filters, setFilters] = useUrlState({
     ...DEFAULT_FILTERS,
     ...initialFilters,
   });
-  const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState(null);
+  const [{ page }, setPageState] = useUrlState({ page: 1 });
+  const [limit, setLimit] = useState(10);
+  const [dismissedErrorAt, setDismissedErrorAt] = useState(null);
 
   // Debounce timer ref for search
   const searchDebounceRef = useRef(null);
 
+  const params = useMemo(() => ({
+    page,
+    limit,
+    sortBy: filters.sortBy,
+    sortOrder: filters.sortOrder,
+    ...(filters.search && { search: filters.search }),
+    ...(filters.status && { status: filters.status }),
+    ...(filters.source && { source: filters.source }),
+    ...(filters.phone && { phone: filters.phone }),
+  }), [page, limit, filters]);
+
+  const ordersQuery = useQuery(['serviceOrders', 'list', params], () => serviceOrderService.getAll(params), {
+    keepPreviousData: true,
+  });
+
+  const orders = ordersQuery.data?.orders || [];
+  const pagination = ordersQuery.data?.pagination || {
+    currentPage: page,
+    totalPages: 0,
+    totalCount: 0,
+    limit,
+    hasNextPage: false,
+    hasPrevPage: false,
+  };
+  const { isLoading, isFetching, refetch } = ordersQuery;
+  const error = ordersQuery.updatedAt !== dismissedErrorAt ? ordersQuery.error : null;
+
   /**
-   * Fetch service orders with current filters and pagination
+   * Fetch service orders for a page - refetches when it's the current page
+   * @param {number} nextPage - Page number
    */
   const fetchOrders = useCallback(
-    async (page = pagination.currentPage) => {
-      setIsLoading(true);
-      setError(null);
-
-      try {
-        const params = {
-          page,
-          limit: pagination.limit,
-          sortBy: filters.sortBy,
-          sortOrder: filters.sortOrder,
-          ...(filters.search && { search: filters.search }),
-          ...(filters.status && { status: filters.status }),
-          ...(filters.source && { source: filters.source }),
-          ...(filters.phone && { phone: filters.phone }),
-        };
-
-        const result = await serviceOrderService.getAll(params);
-
-        if (result.success) {
-          setOrders(result.data.orders || []);
-          setPagination(result.data.pagination || pagination);
-        } else {
-          setError(result.message);
-          setOrders([]);
-        }
-      } catch (err) {
-        setError('Failed to fetch service orders');
-        setOrders([]);
-      } finally {
-        setIsLoading(false);
+    async (nextPage = page) => {
+      if (nextPage !== page) {
+        setPageState({ page: nextPage });
+        return;
       }
+      await refetch();
     },
-    [filters, pagination.limit, pagination.currentPage]
+    [page, refetch, setPageState]
   );
 
   /**
@@ -119,56 +117,49 @@ function useServiceOrders(initialFilters = {}) {
    * @param {Object} data - Payment link data
    */
   const generatePaymentLink = useCallback(async (data) => {
-    setIsLoading(true);
-    setError(null);
-
     try {
       const result = await serviceOrderService.generatePaymentLink(data);
 
       if (result.success) {
-        // Refresh the orders list
-        await fetchOrders(1);
+        // Refresh the orders list from the first page
+        setPageState({ page: 1 });
+        invalidateQueries(['serviceOrders']);
         return { success: true, data: result.data };
       } else {
         return {
           success: false,
           error: result.message,
-          validationErrors: Array.isArray(result.error) ? result.error : result.data?.errors,
+          fieldErrors: result.fieldErrors,
         };
       }
     } catch (err) {
       return { success: false, error: 'Failed to generate payment link' };
-    } finally {
-      setIsLoading(false);
     }
-  }, [fetchOrders]);
+  }, [setPageState]);
 
   /**
    * Resend payment link via WhatsApp
    * @param {string} id - Order ID
    */
   const resendPaymentLink = useCallback(async (id) => {
-    setIsLoading(true);
-    setError(null);
-
     try {
       const result = await serviceOrderService.resendPaymentLink(id);
 
       if (result.success) {
-        // Update the order in local state
-        setOrders((prev) =>
-          prev.map((order) =>
+        // Update cached lists, then revalidate
+        setQueriesData(['serviceOrders', 'list'], (data) => ({
+          ...data,
+          orders: (data.orders || []).map((order) =>
             order._id === id ? { ...order, ...result.data.order } : order
-          )
-        );
+          ),
+        }));
+        invalidateQueries(['serviceOrders']);
         return { success: true, data: result.data };
       } else {
         return { success: false, error: result.message };
       }
     } catch (err) {
       return { success: false, error: 'Failed to resend payment link' };
-    } finally {
-      setIsLoading(false);
     }
   }, []);
 
@@ -178,7 +169,8 @@ function useServiceOrders(initialFilters = {}) {
    */
   const updateFilters = useCallback((newFilters) => {
     setFilters((prev) => ({ ...prev, ...newFilters }));
-  }, []);
+    setPageState({ page: 1 });
+  }, [setFilters, setPageState]);
 
   /**
    * Update search with debounce
@@ -193,8 +185,9 @@ function useServiceOrders(initialFilters = {}) {
     // Set debounce timer
     searchDebounceRef.current = setTimeout(() => {
       setFilters((prev) => ({ ...prev, search }));
+      setPageState({ page: 1 });
     }, 300);
-  }, []);
+  }, [setFilters, setPageState]);
 
   /**
    * Reset filters to default values
@@ -204,38 +197,35 @@ function useServiceOrders(initialFilters = {}) {
       ...DEFAULT_FILTERS,
       ...initialFilters,
     });
-  }, [initialFilters]);
+    setPageState({ page: 1 });
+  }, [initialFilters, setFilters, setPageState]);
 
   /**
    * Change page
-   * @param {number} page - Page number
+   * @param {number} nextPage - Page number
    */
   const changePage = useCallback(
-    (page) => {
-      fetchOrders(page);
+    (nextPage) => {
+      setPageState({ page: nextPage });
     },
-    [fetchOrders]
+    [setPageState]
   );
 
   /**
    * Change items per page
    * @param {number} limit - Items per page
    */
-  const changeLimit = useCallback((limit) => {
-    setPagination((prev) => ({ ...prev, limit }));
-  }, []);
+  const changeLimit = useCallback((nextLimit) => {
+    setLimit(nextLimit);
+    setPageState({ page: 1 });
+  }, [setPageState]);
 
   /**
    * Clear error
    */
   const clearError = useCallback(() => {
-    setError(null);
-  }, []);
-
-  // Fetch orders when filters change
-  useEffect(() => {
-    fetchOrders(1);
-  }, [filters]);
+    setDismissedErrorAt(ordersQuery.updatedAt);
+  }, [ordersQuery.updatedAt]);
 
   // Cleanup debounce timer
   useEffect(() => {
@@ -252,6 +242,7 @@ function useServiceOrders(initialFilters = {}) {
     pagination,
     filters,
     isLoading,
+    isFetching,
     error,
 
     // Operations
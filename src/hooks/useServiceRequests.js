@@ -1,5 +1,8 @@
-import { useState, useCallback, useEffect, useRef } from 'react';
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import serviceRequestService from '../services/serviceRequest.service';
+import useQuery from './useQuery';
+import useUrlState from './useUrlState';
+import { invalidateQueries, setQueriesData } from '../utils/queryCache';
 
 /**
  * Request status options
@@ -31,66 +34,74 @@ const DEFAULT_FILTERS = {
  * @returns {Object} Service requests state and operations
  */
 function useServiceRequests(initialFilters = {}) {
-  // State
-  const [requests, setRequests] = useState([]);
-  const [pendingCount, setPendingCount] = useState(0);
-  const [pagination, setPagination] = useState({
-    currentPage: 1,
-    totalPages: 0,
-    totalCount: 0,
-    limit: 10,
-    hasNextPage: false,
-    hasPrevPage: false,
-  });
-  const [filters, setFilters] = useState({
+  // Filters and page live in the query string so refresh and shared links keep them
+  const [filters, setFilters] = useUrlState({
     ...DEFAULT_FILTERS,
     ...initialFilters,
   });
-  const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState(null);
+  const [{ page }, setPageState] = useUrlState({ page: 1 });
+  const [limit, setLimit] = useState(10);
+  const [dismissedErrorAt, setDismissedErrorAt] = useState(null);
 
   // Debounce timer ref for search
   const searchDebounceRef = useRef(null);
 
+  const params = useMemo(() => ({
+    page,
+    limit,
+    sortBy: filters.sortBy,
+    sortOrder: filters.sortOrder,
+    ...(filters.search && { search: filters.search }),
+    ...(filters.status && { status: filters.status }),
+    ...(filters.userExists !== '' && { userExists: filters.userExists }),
+  }), [page, limit, filters]);
+
+  const requestsQuery = useQuery(['serviceRequests', 'list', params], () => serviceRequestService.getAll(params), {
+    keepPreviousData: true,
+  });
+
+  const requests = requestsQuery.data?.requests || [];
+  const pendingCount = requestsQuery.data?.pendingCount || 0;
+  const pagination = requestsQuery.data?.pagination || {
+    currentPage: page,
+    totalPages: 0,
+    totalCount: 0,
+    limit,
+    hasNextPage: false,
+    hasPrevPage: false,
+  };
+  const { isLoading, isFetching, refetch } = requestsQuery;
+  const error = requestsQuery.updatedAt !== dismissedErrorAt ? requestsQuery.error : null;
+
   /**
-   * Fetch service requests with current filters and pagination
+   * Fetch service requests for a page - refetches when it's the current page
+   * @param {number} nextPage - Page number
    */
   const fetchRequests = useCallback(
-    async (page = pagination.currentPage) => {
-      setIsLoading(true);
-      setError(null);
-
-      try {
-        const params = {
-          page,
-          limit: pagination.limit,
-          sortBy: filters.sortBy,
-          sortOrder: filters.sortOrder,
-          ...(filters.search && { search: filters.search }),
-          ...(filters.status && { status: filters.status }),
-          ...(filters.userExists !== '' && { userExists: filters.userExists }),
-        };
-
-        const result = await serviceRequestService.getAll(params);
-
-        if (result.success) {
-          setRequests(result.data.requests || []);
-          setPendingCount(result.data.pendingCount || 0);
-          setPagination(result.data.pagination || pagination);
-        } else {
-          setError(result.message);
-          setRequests([]);
-        }
-      } catch (err) {
-        setError('Failed to fetch service requests');
-        setRequests([]);
-      } finally {
-        setIsLoading(false);
+    async (nextPage = page) => {
+      if (nextPage !== page) {
+        setPageState({ page: nextPage });
+        return;
       }
+      await refetch();
     },
-    [filters, pagination.limit, pagination.currentPage]
+    [page, refetch, setPageState]
   );
 
+  /**
+   * Mark a request reviewed in every cached list, then revalidate
+   */
+  const markCachedRequestReviewed = (id, changes) => {
+    setQueriesData(['serviceRequests', 'list'], (data) => ({
+      ...data,
+      requests: (data.requests || []).map((request) =>
+        request._id === id ? { ...request, ...changes } : request
+      ),
+      pendingCount: Math.max(0, (data.pendingCount || 0) - 1),
+    }));
+    invalidateQueries(['serviceRequests']);
+  };
+
   /**
    * Get a single service request by ID
    * @param {string} id - Request ID
@@ -115,28 +126,17 @@ function useServiceRequests(initialFilters = {}) {
    * @param {Object} data - Approval data
    */
   const approveRequest = useCallback(async (id, data = {}) => {
-    setIsLoading(true);
-    setError(null);
-
     try {
       const result = await serviceRequestService.approve(id, data);
 
       if (result.success) {
-        // Update the request in local state
-        setRequests((prev) =>
-          prev.map((request) =>
-            request._id === id ? { ...request, status: 'APPROVED', ...result.data.request } : request
-          )
-        );
-        setPendingCount((prev) => Math.max(0, prev - 1));
+        markCachedRequestReviewed(id, { status: 'APPROVED', ...result.data.request });
         return { success: true, data: result.data };
       } else {
         return { success: false, error: result.message };
       }
     } catch (err) {
       return { success: false, error: 'Failed to approve request' };
-    } finally {
-      setIsLoading(false);
     }
   }, []);
 
@@ -146,28 +146,17 @@ function useServiceRequests(initialFilters = {}) {
    * @param {Object} data - Rejection data
    */
   const rejectRequest = useCallback(async (id, data) => {
-    setIsLoading(true);
-    setError(null);
-
     try {
       const result = await serviceRequestService.reject(id, data);
 
       if (result.success) {
-        // Update the request in local state
-        setRequests((prev) =>
-          prev.map((request) =>
-            request._id === id ? { ...request, status: 'REJECTED', ...result.data.request } : request
-          )
-        );
-        setPendingCount((prev) => Math.max(0, prev - 1));
+        markCachedRequestReviewed(id, { status: 'REJECTED', ...result.data.request });
         return { success: true, data: result.data };
       } else {
         return { success: false, error: result.message };
       }
     } catch (err) {
       return { success: false, error: 'Failed to reject request' };
-    } finally {
-      setIsLoading(false);
     }
   }, []);
 
@@ -177,7 +166,8 @@ function useServiceRequests(initialFilters = {}) {
    */
   const updateFilters = useCallback((newFilters) => {
     setFilters((prev) => ({ ...prev, ...newFilters }));
-  }, []);
+    setPageState({ page: 1 });
+  }, [setFilters, setPageState]);
 
   /**
    * Update search with debounce
@@ -192,8 +182,9 @@ function useServiceRequests(initialFilters = {}) {
     // Set debounce timer
     searchDebounceRef.current = setTimeout(() => {
       setFilters((prev) => ({ ...prev, search }));
+      setPageState({ page: 1 });
     }, 300);
-  }, []);
+  }, [setFilters, setPageState]);
 
   /**
    * Reset filters to default values
@@ -203,38 +194,35 @@ function useServiceRequests(initialFilters = {}) {
       ...DEFAULT_FILTERS,
       ...initialFilters,
     });
-  }, [initialFilters]);
+    setPageState({ page: 1 });
+  }, [initialFilters, setFilters, setPageState]);
 
   /**
    * Change page
-   * @param {number} page - Page number
+   * @param {number} nextPage - Page number
    */
   const changePage = useCallback(
-    (page) => {
-      fetchRequests(page);
+    (nextPage) => {
+      setPageState({ page: nextPage });
     },
-    [fetchRequests]
+    [setPageState]
   );
 
   /**
    * Change items per page
    * @param {number} limit - Items per page
    */
-  const changeLimit = useCallback((limit) => {
-    setPagination((prev) => ({ ...prev, limit }));
-  }, []);
+  const changeLimit = useCallback((nextLimit) => {
+    setLimit(nextLimit);
+    setPageState({ page: 1 });
+  }, [setPageState]);
 
   /**
    * Clear error
    */
   const clearError = useCallback(() => {
-    setError(null);
-  }, []);
-
-  // Fetch requests when filters change
-  useEffect(() => {
-    fetchRequests(1);
-  }, [filters]);
+    setDismissedErrorAt(requestsQuery.updatedAt);
+  }, [requestsQuery.updatedAt]);
 
   // Cleanup debounce timer
   useEffect(() => {
@@ -252,6 +240,7 @@ function useServiceRequests(initialFilters = {}) {
     pagination,
     filters,
     isLoading,
+    isFetching,
     error,
 
     // Operations
@@ -1,5 +1,7 @@
-import { useState, useCallback, useEffect, useRef } from 'react';
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import serviceService from '../services/service.service';
+import useQuery from './useQuery';
+import { invalidateQueries, setQueriesData } from '../utils/queryCache';
 
 /**
  * Service categories enum
@@ -44,65 +46,72 @@ const DEFAULT_FILTERS = {
  */
 function useServices(initialFilters = {}) {
   // State
-  const [services, setServices] = useState([]);
-  const [pagination, setPagination] = useState({
-    currentPage: 1,
-    totalPages: 0,
-    totalCount: 0,
-    limit: 10,
-    hasNextPage: false,
-    hasPrevPage: false,
-  });
+  const [page, setPage] = useState(1);
+  const [limit, setLimit] = useState(10);
   const [filters, setFilters] = useState({
     ...DEFAULT_FILTERS,
     ...initialFilters,
   });
-  const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState(null);
+  const [dismissedErrorAt, setDismissedErrorAt] = useState(null);
 
   // Debounce timer ref for search
   const searchDebounceRef = useRef(null);
 
+  const params = useMemo(() => ({
+    page,
+    limit,
+    sortBy: filters.sortBy,
+    sortOrder: filters.sortOrder,
+    ...(filters.search && { search: filters.search }),
+    ...(filters.category && { category: filters.category }),
+    ...(filters.isActive !== '' && { isActive: filters.isActive }),
+    ...(filters.isFeatured !== '' && { isFeatured: filters.isFeatured }),
+    ...(filters.requiresApproval !== '' && { requiresApproval: filters.requiresApproval }),
+  }), [page, limit, filters]);
+
+  const servicesQuery = useQuery(['services', 'list', params], () => serviceService.getAll(params), {
+    keepPreviousData: true,
+  });
+
+  const services = servicesQuery.data?.services || [];
+  const pagination = servicesQuery.data?.pagination || {
+    currentPage: page,
+    totalPages: 0,
+    totalCount: 0,
+    limit,
+    hasNextPage: false,
+    hasPrevPage: false,
+  };
+  const { isLoading, isFetching, refetch } = servicesQuery;
+  const error = servicesQuery.updatedAt !== dismissedErrorAt ? servicesQuery.error : null;
+
   /**
-   * Fetch services with current filters and pagination
+   * Fetch services for a page - refetches when it's the current page
+   * @param {number} nextPage - Page number
    */
   const fetchServices = useCallback(
-    async (page = pagination.currentPage) => {
-      setIsLoading(true);
-      setError(null);
-
-      try {
-        const params = {
-          page,
-          limit: pagination.limit,
-          sortBy: filters.sortBy,
-          sortOrder: filters.sortOrder,
-          ...(filters.search && { search: filters.search }),
-          ...(filters.category && { category: filters.category }),
-          ...(filters.isActive !== '' && { isActive: filters.isActive }),
-          ...(filters.isFeatured !== '' && { isFeatured: filters.isFeatured }),
-          ...(filters.requiresApproval !== '' && { requiresApproval: filters.requiresApproval }),
-        };
-
-        const result = await serviceService.getAll(params);
-
-        if (result.success) {
-          setServices(result.data.services || []);
-          setPagination(result.data.pagination || pagination);
-        } else {
-          setError(result.message);
-          setServices([]);
-        }
-      } catch (err) {
-        setError('Failed to fetch services');
-        setServices([]);
-      } finally {
-        setIsLoading(false);
+    async (nextPage = page) => {
+      if (nextPage !== page) {
+        setPage(nextPage);
+        return;
       }
+      await refetch();
     },
-    [filters, pagination.limit, pagination.currentPage]
+    [page, refetch]
   );
 
+  /**
+   * Patch a service in every cached list
+   */
+  const patchCachedService = (id, changes) => {
+    setQueriesData(['services', 'list'], (data) => ({
+      ...data,
+      services: (data.services || []).map((service) =>
+        service._id === id ? { ...service, ...changes } : service
+      ),
+    }));
+  };
+
   /**
    * Get a single service by ID
    * @param {string} id - Service ID
@@ -126,29 +135,25 @@ function useServices(initialFilters = {}) {
    * @param {Object} serviceData - Service data
    */
   const createService = useCallback(async (serviceData) => {
-    setIsLoading(true);
-    setError(null);
-
     try {
       const result = await serviceService.create(serviceData);
 
       if (result.success) {
         // Refresh the services list
-        await fetchServices(1);
+        setPage(1);
+        invalidateQueries(['services']);
         return { success: true, data: result.data };
       } else {
         return {
           success: false,
           error: result.message,
-          validationErrors: Array.isArray(result.error) ? result.error : result.data?.errors,
+          fieldErrors: result.fieldErrors,
         };
       }
     } catch (err) {
       return { success: false, error: 'Failed to create service' };
-    } finally {
-      setIsLoading(false);
     }
-  }, [fetchServices]);
+  }, []);
 
   /**
    * Update an existing service
@@ -156,31 +161,23 @@ function useServices(initialFilters = {}) {
    * @param {Object} updateData - Data to update
    */
   const updateService = useCallback(async (id, updateData) => {
-    setIsLoading(true);
-    setError(null);
-
     try {
       const result = await serviceService.update(id, updateData);
 
       if (result.success) {
-        // Update the service in local state
-        setServices((prev) =>
-          prev.map((service) =>
-            service._id === id ? { ...service, ...result.data.service } : service
-          )
-        );
+        // Update cached lists, then revalidate
+        patchCachedService(id, result.data.service);
+        invalidateQueries(['services']);
         return { success: true, data: result.data };
       } else {
         return {
           success: false,
           error: result.message,
-          validationErrors: Array.isArray(result.error) ? result.error : result.data?.errors,
+          fieldErrors: result.fieldErrors,
         };
       }
     } catch (err) {
       return { success: false, error: 'Failed to update service' };
-    } finally {
-      setIsLoading(false);
     }
   }, []);
 
@@ -189,27 +186,19 @@ function useServices(initialFilters = {}) {
    * @param {string} id - Service ID
    */
   const deleteService = useCallback(async (id) => {
-    setIsLoading(true);
-    setError(null);
-
     try {
       const result = await serviceService.delete(id);
 
       if (result.success) {
-        // Update the service in local state to show as inactive
-        setServices((prev) =>
-          prev.map((service) =>
-            service._id === id ? { ...service, isActive: false } : service
-          )
-        );
+        // Show the service as inactive in cached lists, then revalidate
+        patchCachedService(id, { isActive: false });
+        invalidateQueries(['services']);
         return { success: true };
       } else {
         return { success: false, error: result.message };
       }
     } catch (err) {
       return { success: false, error: 'Failed to delete service' };
-    } finally {
-      setIsLoading(false);
     }
   }, []);
 
@@ -219,6 +208,7 @@ function useServices(initialFilters = {}) {
    */
   const updateFilters = useCallback((newFilters) => {
     setFilters((prev) => ({ ...prev, ...newFilters }));
+    setPage(1);
   }, []);
 
   /**
@@ -234,6 +224,7 @@ function useServices(initialFilters = {}) {
     // Set debounce timer
     searchDebounceRef.current = setTimeout(() => {
       setFilters((prev) => ({ ...prev, search }));
+      setPage(1);
     }, 300);
   }, []);
 
@@ -245,38 +236,32 @@ function useServices(initialFilters = {}) {
       ...DEFAULT_FILTERS,
       ...initialFilters,
     });
+    setPage(1);
   }, [initialFilters]);
 
   /**
    * Change page
    * @param {number} page - Page number
    */
-  const changePage = useCallback(
-    (page) => {
-      fetchServices(page);
-    },
-    [fetchServices]
-  );
+  const changePage = useCallback((nextPage) => {
+    setPage(nextPage);
+  }, []);
 
   /**
    * Change items per page
    * @param {number} limit - Items per page
    */
-  const changeLimit = useCallback((limit) => {
-    setPagination((prev) => ({ ...prev, limit }));
+  const changeLimit = useCallback((nextLimit) => {
+    setLimit(nextLimit);
+    setPage(1);
   }, []);
 
   /**
    * Clear error
    */
   const clearError = useCallback(() => {
-    setError(null);
-  }, []);
-
-  // Fetch services when filters change
-  useEffect(() => {
-    fetchServices(1);
-  }, [filters]);
+    setDismissedErrorAt(servicesQuery.updatedAt);
+  }, [servicesQuery.updatedAt]);
 
   // Cleanup debounce timer
   useEffect(() => {
@@ -293,6 +278,7 @@ function useServices(initialFilters = {}) {
     pagination,
     filters,
     isLoading,
+    isFetching,
     error,
 
     // Operations
@@ -1,5 +1,8 @@
-import { useState, useCallback, useEffect, useRef } from 'react';
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import sessionService from '../services/session.service';
+import useQuery from './useQuery';
+import { invalidateQueries, setQueriesData } from '../utils/queryCache';
+import logger from '../utils/logger';
 
 /**
  * Custom hook for managing sessions state and operations
@@ -8,13 +11,8 @@ import sessionService from '../services/session.service';
  */
 function useSessions(initialFilters = {}) {
   // State
-  const [sessions, setSessions] = useState([]);
-  const [pagination, setPagination] = useState({
-    currentPage: 1,
-    totalPages: 0,
-    totalCount: 0,
-    limit: 10,
-  });
+  const [page, setPage] = useState(1);
+  const [limit, setLimit] = useState(10);
   const [filters, setFilters] = useState({
     search: '',
     isLive: '',
@@ -24,74 +22,105 @@ function useSessions(initialFilters = {}) {
     sortOrder: 'desc',
     ...initialFilters,
   });
-  const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState(null);
-
-  // Booking state
-  const [bookings, setBookings] = useState([]);
-  const [bookingPagination, setBookingPagination] = useState({
-    currentPage: 1,
-    totalPages: 0,
-    totalCount: 0,
-    limit: 10,
-  });
+  const [dismissedErrorAt, setDismissedErrorAt] = useState(null);
+
+  // Booking state - fetched once the bookings tab asks for them
+  const [bookingsEnabled, setBookingsEnabled] = useState(false);
+  const [bookingPage, setBookingPage] = useState(1);
   const [bookingFilters, setBookingFilters] = useState({
     status: '',
     sessionId: '',
   });
-  const [isLoadingBookings, setIsLoadingBookings] = useState(false);
-  const [bookingError, setBookingError] = useState(null);
+  const [dismissedBookingErrorAt, setDismissedBookingErrorAt] = useState(null);
 
   // Debounce timer for search
   const debounceTimerRef = useRef(null);
 
-  /**
-   * Fetch sessions with current filters and pagination
-   * @param {number} page - Page number
-   */
-  const fetchSessions = useCallback(
-    async (page = pagination.currentPage) => {
-      setIsLoading(true);
-      setError(null);
-
-      try {
-        const params = {
-          page,
-          limit: pagination.limit,
-          sortBy: filters.sortBy,
-          sortOrder: filters.sortOrder,
-          ...(filters.search && { search: filters.search }),
-          ...(filters.isLive !== '' && { isLive: filters.isLive }),
-          ...(filters.sessionType && { sessionType: filters.sessionType }),
-          ...(filters.category && { category: filters.category }),
-        };
+  const params = useMemo(() => ({
+    page,
+    limit,
+    sortBy: filters.sortBy,
+    sortOrder: filters.sortOrder,
+    ...(filters.search && { search: filters.search }),
+    ...(filters.isLive !== '' && { isLive: filters.isLive }),
+    ...(filters.sessionType && { sessionType: filters.sessionType }),
+    ...(filters.category && { category: filters.category }),
+  }), [page, limit, filters]);
+
+  const sessionsQuery = useQuery(
+    ['sessions', 'list', params],
+    () => {
+      logger.debug('[useSessions] Fetching sessions with params:', params);
+      return sessionService.getAll(params);
+    },
+    { keepPreviousData: true }
+  );
 
-        console.log('[useSessions] Fetching sessions with params:', params);
+  const bookingParams = useMemo(() => ({
+    page: bookingPage,
+    limit: 10,
+    ...(bookingFilters.status && { status: bookingFilters.status }),
+    ...(bookingFilters.sessionId && { sessionId: bookingFilters.sessionId }),
+  }), [bookingPage, bookingFilters]);
+
+  const bookingsQuery = useQuery(
+    ['sessions', 'bookings', bookingParams],
+    () => {
+      logger.debug('[useSessions] Fetching bookings with params:', bookingParams);
+      return sessionService.getBookings(bookingParams);
+    },
+    { enabled: bookingsEnabled, keepPreviousData: true }
+  );
 
-        const result = await sessionService.getAll(params);
+  const sessions = sessionsQuery.data?.sessions || [];
+  const pagination = {
+    currentPage: sessionsQuery.data?.pagination?.currentPage || page,
+    totalPages: sessionsQuery.data?.pagination?.totalPages || 0,
+    totalCount: sessionsQuery.data?.pagination?.totalCount || 0,
+    limit: sessionsQuery.data?.pagination?.limit || limit,
+  };
+  const isLoading = sessionsQuery.isLoading || sessionsQuery.isFetching;
+  const error = sessionsQuery.updatedAt !== dismissedErrorAt ? sessionsQuery.error : null;
+  const { refetch: refetchSessions } = sessionsQuery;
+
+  const bookings = bookingsQuery.data?.bookings || [];
+  const bookingPagination = {
+    currentPage: bookingsQuery.data?.pagination?.currentPage || bookingPage,
+    totalPages: bookingsQuery.data?.pagination?.totalPages || 0,
+    totalCount: bookingsQuery.data?.pagination?.totalCount || 0,
+    limit: bookingsQuery.data?.pagination?.limit || 10,
+  };
+  const isLoadingBookings = bookingsQuery.isLoading || bookingsQuery.isFetching;
+  const bookingError = bookingsQuery.updatedAt !== dismissedBookingErrorAt ? bookingsQuery.error : null;
+  const { refetch: refetchBookings } = bookingsQuery;
 
-        if (result.success) {
-          setSessions(result.data.sessions || []);
-          setPagination({
-            currentPage: result.data.pagination?.currentPage || 1,
-            totalPages: result.data.pagination?.totalPages || 0,
-            totalCount: result.data.pagination?.totalCount || 0,
-            limit: result.data.pagination?.limit || 10,
-          });
-        } else {
-          setError(result.message);
-          setSessions([]);
-        }
-      } catch (err) {
-        setError('Failed to fetch sessions');
-        setSessions([]);
-      } finally {
-        setIsLoading(false);
+  /**
+   * Fetch sessions for a page - refetches when it's the current page
+   * @param {number} nextPage - Page number
+   */
+  const fetchSessions = useCallback(
+    async (nextPage = page) => {
+      if (nextPage !== page) {
+        setPage(nextPage);
+        return;
       }
+      await refetchSessions();
     },
-    [filters, pagination.limit]
+    [page, refetchSessions]
   );
 
+  /**
+   * Patch a session in every cached list
+   */
+  const patchCachedSession = (id, changes) => {
+    setQueriesData(['sessions', 'list'], (data) => ({
+      ...data,
+      sessions: (data.sessions || []).map((session) =>
+        session._id === id ? { ...session, ...changes } : session
+      ),
+    }));
+  };
+
   /**
    * Create a new session
    * @param {Object} data - Session data
@@ -104,7 +133,8 @@ function useSessions(initialFilters = {}) {
 
         if (result.success) {
           // Refresh the list
-          await fetchSessions(1);
+          setPage(1);
+          invalidateQueries(['sessions']);
           return {
             success: true,
             data: result.data,
@@ -113,14 +143,14 @@ function useSessions(initialFilters = {}) {
           return {
             success: false,
             error: result.message,
-            validationErrors: result.error,
+            fieldErrors: result.fieldErrors,
           };
         }
       } catch (err) {
         return { success: false, error: 'Failed to create session' };
       }
     },
-    [fetchSessions]
+    []
   );
 
   /**
@@ -154,12 +184,9 @@ function useSessions(initialFilters = {}) {
         const result = await sessionService.update(id, data);
 
         if (result.success) {
-          // Update local state
-          setSessions((prev) =>
-            prev.map((session) =>
-              session._id === id ? { ...session, ...result.data.session } : session
-            )
-          );
+          // Update cached lists, then revalidate
+          patchCachedSession(id, result.data.session);
+          invalidateQueries(['sessions']);
           return {
             success: true,
             data: result.data,
@@ -168,7 +195,7 @@ function useSessions(initialFilters = {}) {
           return {
             success: false,
             error: result.message,
-            validationErrors: result.error,
+            fieldErrors: result.fieldErrors,
           };
         }
       } catch (err) {
@@ -189,12 +216,9 @@ function useSessions(initialFilters = {}) {
       const result = await sessionService.toggleLive(id);
 
       if (result.success) {
-        // Update local state
-        setSessions((prev) =>
-          prev.map((session) =>
-            session._id === id ? { ...session, isLive: !isLive } : session
-          )
-        );
+        // Update cached lists, then revalidate
+        patchCachedSession(id, { isLive: !isLive });
+        invalidateQueries(['sessions']);
         return { success: true };
       } else {
         return { success: false, error: result.message };
@@ -214,14 +238,12 @@ function useSessions(initialFilters = {}) {
       const result = await sessionService.delete(id);
 
       if (result.success) {
-        // Remove from local state
-        setSessions((prev) => prev.filter((session) => session._id !== id));
-        // Update pagination
-        setPagination((prev) => ({
-          ...prev,
-          totalCount: prev.totalCount - 1,
-          totalPages: Math.ceil((prev.totalCount - 1) / prev.limit),
+        // Remove from cached lists; the refetch corrects pagination
+        setQueriesData(['sessions', 'list'], (data) => ({
+          ...data,
+          sessions: (data.sessions || []).filter((session) => session._id !== id),
         }));
+        invalidateQueries(['sessions']);
         return { success: true };
       } else {
         return { success: false, error: result.message };
@@ -242,6 +264,7 @@ function useSessions(initialFilters = {}) {
 
     debounceTimerRef.current = setTimeout(() => {
       setFilters((prev) => ({ ...prev, search: query }));
+      setPage(1);
     }, 300);
   }, []);
 
@@ -251,6 +274,7 @@ function useSessions(initialFilters = {}) {
    */
   const updateFilters = useCallback((newFilters) => {
     setFilters((prev) => ({ ...prev, ...newFilters }));
+    setPage(1);
   }, []);
 
   /**
@@ -266,79 +290,49 @@ function useSessions(initialFilters = {}) {
       sortOrder: 'desc',
       ...initialFilters,
     });
+    setPage(1);
   }, [initialFilters]);
 
   /**
    * Change page
    * @param {number} page - Page number
    */
-  const changePage = useCallback(
-    (page) => {
-      fetchSessions(page);
-    },
-    [fetchSessions]
-  );
+  const changePage = useCallback((nextPage) => {
+    setPage(nextPage);
+  }, []);
 
   /**
    * Change items per page
    * @param {number} limit - Items per page
    */
-  const changeLimit = useCallback((limit) => {
-    setPagination((prev) => ({ ...prev, limit }));
+  const changeLimit = useCallback((nextLimit) => {
+    setLimit(nextLimit);
+    setPage(1);
   }, []);
 
   /**
    * Clear error
    */
   const clearError = useCallback(() => {
-    setError(null);
-  }, []);
+    setDismissedErrorAt(sessionsQuery.updatedAt);
+  }, [sessionsQuery.updatedAt]);
 
   // ============ Booking Methods ============
 
   /**
-   * Fetch bookings with pagination and filters
-   * @param {number} page - Page number
+   * Fetch bookings for a page - refetches when it's the current page
+   * @param {number} nextPage - Page number
    */
   const fetchBookings = useCallback(
-    async (page = bookingPagination.currentPage) => {
-      setIsLoadingBookings(true);
-      setBookingError(null);
-
-      try {
-        const params = {
-          page,
-          limit: bookingPagination.limit,
-          ...(bookingFilters.status && { status: bookingFilters.status }),
-          ...(bookingFilters.sessionId && { sessionId: bookingFilters.sessionId }),
-        };
-
-        console.log('[useSessions] Fetching bookings with params:', params);
-        const result = await sessionService.getBookings(params);
-
-        if (result.success) {
-          setBookings(result.data.bookings || []);
-          setBookingPagination({
-            currentPage: result.data.pagination?.currentPage || 1,
-            totalPages: result.data.pagination?.totalPages || 0,
-            totalCount: result.data.pagination?.totalCount || 0,
-            limit: result.data.pagination?.limit || 10,
-          });
-          console.log('[useSessions] Fetched bookings:', result.data.bookings?.length);
-        } else {
-          console.error('[useSessions] Failed to fetch bookings:', result.message);
-          setBookingError(result.message || 'Failed to fetch bookings');
-          setBookings([]);
-        }
-      } catch (err) {
-        console.error('[useSessions] Error fetching bookings:', err);
-        setBookingError('Failed to fetch bookings');
-        setBookings([]);
-      } finally {
-        setIsLoadingBookings(false);
+    async (nextPage = bookingPage) => {
+      setBookingsEnabled(true);
+      if (nextPage !== bookingPage) {
+        setBookingPage(nextPage);
+        return;
       }
+      await refetchBookings();
     },
-    [bookingFilters, bookingPagination.limit]
+    [bookingPage, refetchBookings]
   );
 
   /**
@@ -350,30 +344,30 @@ function useSessions(initialFilters = {}) {
   const updateBooking = useCallback(
     async (bookingId, data) => {
       try {
-        console.log('[useSessions] Updating booking:', bookingId, 'with data:', data);
+        logger.debug('[useSessions] Updating booking:', bookingId, 'with data:', data);
         const result = await sessionService.updateBooking(bookingId, data);
 
         if (result.success) {
-          console.log('[useSessions] Booking updated successfully');
-          // Refetch bookings to get updated count and data
-          await fetchBookings(bookingPagination.currentPage);
+          logger.debug('[useSessions] Booking updated successfully');
+          // Refetch bookings (and session counts) to get updated data
+          await invalidateQueries(['sessions']);
           return {
             success: true,
             data: result.data,
           };
         } else {
-          console.error('[useSessions] Failed to update booking:', result.message);
+          logger.error('[useSessions] Failed to update booking:', result.message);
           return {
             success: false,
             error: result.message,
           };
         }
       } catch (err) {
-        console.error('[useSessions] Error updating booking:', err);
+        logger.error('[useSessions] Error updating booking:', err);
         return { success: false, error: 'Failed to update booking' };
       }
     },
-    [fetchBookings, bookingPagination.currentPage]
+    []
   );
 
   /**
@@ -382,6 +376,7 @@ function useSessions(initialFilters = {}) {
    */
   const updateBookingFilters = useCallback((newFilters) => {
     setBookingFilters((prev) => ({ ...prev, ...newFilters }));
+    setBookingPage(1);
   }, []);
 
   /**
@@ -392,30 +387,23 @@ function useSessions(initialFilters = {}) {
       status: '',
       sessionId: '',
     });
+    setBookingPage(1);
   }, []);
 
   /**
    * Change booking page
    * @param {number} page - Page number
    */
-  const changeBookingPage = useCallback(
-    (page) => {
-      fetchBookings(page);
-    },
-    [fetchBookings]
-  );
+  const changeBookingPage = useCallback((nextPage) => {
+    setBookingPage(nextPage);
+  }, []);
 
   /**
    * Clear booking error
    */
   const clearBookingError = useCallback(() => {
-    setBookingError(null);
-  }, []);
-
-  // Fetch sessions when filters change
-  useEffect(() => {
-    fetchSessions(1);
-  }, [filters]);
+    setDismissedBookingErrorAt(bookingsQuery.updatedAt);
+  }, [bookingsQuery.updatedAt]);
 
   // Cleanup debounce timer
   useEffect(() => {
@@ -1,5 +1,8 @@
-import { useState, useCallback, useEffect, useRef } from 'react';
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import storyService from '../services/story.service';
+import useQuery from './useQuery';
+import { invalidateQueries, setQueriesData } from '../utils/queryCache';
+import logger from '../utils/logger';
 
 /**
  * TTL options for stories
@@ -52,143 +55,134 @@ const DEFAULT_FILTERS = {
  */
 function useStoriesManagement(initialFilters = {}) {
   // State
-  const [stories, setStories] = useState([]);
-  const [pagination, setPagination] = useState({
-    page: 1,
-    totalPages: 0,
-    total: 0,
-    limit: 20,
-  });
+  const [page, setPage] = useState(1);
+  const [limit, setLimit] = useState(20);
   const [filters, setFilters] = useState({
     ...DEFAULT_FILTERS,
     ...initialFilters,
   });
-  const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState(null);
+  const [dismissedErrorAt, setDismissedErrorAt] = useState(null);
+
+  // Debounce timer ref for search
+  const searchDebounceRef = useRef(null);
+
+  const params = useMemo(() => ({
+    page,
+    limit,
+    includeExpired: filters.includeExpired,
+  }), [page, limit, filters.includeExpired]);
+
+  const storiesQuery = useQuery(['stories', 'list', params], () => storyService.getAll(params), {
+    keepPreviousData: true,
+  });
+  const statsQuery = useQuery(['stories', 'stats'], () => storyService.getStats());
+  const ttlOptionsQuery = useQuery(['stories', 'ttlOptions'], () => storyService.getTtlOptions(), {
+    staleTime: Infinity,
+  });
+
+  const fetchedStories = storiesQuery.data?.stories;
+
+  // Media type, status, search and sorting are applied here - the API only pages
+  const stories = useMemo(() => {
+    let filtered = fetchedStories || [];
+
+    // Client-side filtering for mediaType and isActive
+    if (filters.mediaType) {
+      filtered = filtered.filter((s) => s.mediaType === filters.mediaType);
+    }
+    if (filters.isActive !== '') {
+      const isActiveValue = filters.isActive === 'true';
+      filtered = filtered.filter((s) => s.isActive === isActiveValue);
+    }
+
+    // Client-side search
+    if (filters.search) {
+      const searchLower = filters.search.toLowerCase();
+      filtered = filtered.filter(
+        (s) =>
+          s.title?.toLowerCase().includes(searchLower) ||
+          s.mediaType?.toLowerCase().includes(searchLower)
+      );
+    }
+
+    // Client-side sorting
+    return [...filtered].sort((a, b) => {
+      const aVal = a[filters.sortBy];
+      const bVal = b[filters.sortBy];
+      const order = filters.sortOrder === 'asc' ? 1 : -1;
+
+      if (typeof aVal === 'string') {
+        return aVal.localeCompare(bVal) * order;
+      }
+      if (aVal instanceof Date || filters.sortBy.includes('At')) {
+        return (new Date(aVal) - new Date(bVal)) * order;
+      }
+      return ((aVal || 0) - (bVal || 0)) * order;
+    });
+  }, [fetchedStories, filters]);
+
+  const pagination = {
+    page,
+    totalPages: 0,
+    total: 0,
+    limit,
+    ...storiesQuery.data?.pagination,
+  };
+  const { isLoading, isFetching, refetch } = storiesQuery;
+  const error = storiesQuery.updatedAt !== dismissedErrorAt ? storiesQuery.error : null;
 
   // Stats state
-  const [stats, setStats] = useState(null);
-  const [isLoadingStats, setIsLoadingStats] = useState(false);
+  const stats = statsQuery.data ?? null;
+  const isLoadingStats = statsQuery.isLoading;
+  const { refetch: refetchStats } = statsQuery;
 
   // TTL options from server
-  const [ttlOptions, setTtlOptions] = useState(TTL_OPTIONS);
-
-  // Debounce timer ref for search
-  const searchDebounceRef = useRef(null);
+  const ttlOptions = ttlOptionsQuery.data?.options || TTL_OPTIONS;
 
   /**
-   * Fetch stories with current filters and pagination
+   * Fetch stories for a page - refetches when it's the current page
+   * @param {number} nextPage - Page number
    */
   const fetchStories = useCallback(
-    async (page = pagination.page) => {
-      console.log('[useStoriesManagement] Fetching stories');
-      setIsLoading(true);
-      setError(null);
-
-      try {
-        const params = {
-          page,
-          limit: pagination.limit,
-          includeExpired: filters.includeExpired,
-        };
-
-        const result = await storyService.getAll(params);
-
-        if (result.success) {
-          let fetchedStories = result.data.stories || [];
-
-          // Client-side filtering for mediaType and isActive
-          if (filters.mediaType) {
-            fetchedStories = fetchedStories.filter(
-              (s) => s.mediaType === filters.mediaType
-            );
-          }
-          if (filters.isActive !== '') {
-            const isActiveValue = filters.isActive === 'true';
-            fetchedStories = fetchedStories.filter(
-              (s) => s.isActive === isActiveValue
-            );
-          }
-
-          // Client-side search
-          if (filters.search) {
-            const searchLower = filters.search.toLowerCase();
-            fetchedStories = fetchedStories.filter(
-              (s) =>
-                s.title?.toLowerCase().includes(searchLower) ||
-                s.mediaType?.toLowerCase().includes(searchLower)
-            );
-          }
-
-          // Client-side sorting
-          fetchedStories.sort((a, b) => {
-            const aVal = a[filters.sortBy];
-            const bVal = b[filters.sortBy];
-            const order = filters.sortOrder === 'asc' ? 1 : -1;
-
-            if (typeof aVal === 'string') {
-              return aVal.localeCompare(bVal) * order;
-            }
-            if (aVal instanceof Date || filters.sortBy.includes('At')) {
-              return (new Date(aVal) - new Date(bVal)) * order;
-            }
-            return ((aVal || 0) - (bVal || 0)) * order;
-          });
-
-          setStories(fetchedStories);
-          setPagination((prev) => ({
-            ...prev,
-            ...result.data.pagination,
-          }));
-        } else {
-          setError(result.message);
-          setStories([]);
-        }
-      } catch (err) {
-        console.error('[useStoriesManagement] Error fetching stories:', err);
-        setError('Failed to fetch stories');
-        setStories([]);
-      } finally {
-        setIsLoading(false);
+    async (nextPage = page) => {
+      if (nextPage !== page) {
+        setPage(nextPage);
+        return;
       }
+      await refetch();
     },
-    [filters, pagination.limit, pagination.page]
+    [page, refetch]
   );
 
   /**
    * Fetch story statistics
    */
   const fetchStats = useCallback(async () => {
-    console.log('[useStoriesManagement] Fetching stats');
-    setIsLoadingStats(true);
-
-    try {
-      const result = await storyService.getStats();
-
-      if (result.success) {
-        setStats(result.data);
-      }
-    } catch (err) {
-      console.error('[useStoriesManagement] Error fetching stats:', err);
-    } finally {
-      setIsLoadingStats(false);
-    }
-  }, []);
+    logger.debug('[useStoriesManagement] Fetching stats');
+    await refetchStats();
+  }, [refetchStats]);
 
   /**
-   * Fetch TTL options from server
+   * Patch a story in every cached list
    */
-  const fetchTtlOptions = useCallback(async () => {
-    try {
-      const result = await storyService.getTtlOptions();
+  const patchCachedStory = (id, changes) => {
+    setQueriesData(['stories', 'list'], (data) => ({
+      ...data,
+      stories: (data.stories || []).map((story) =>
+        story._id === id ? { ...story, ...changes } : story
+      ),
+    }));
+  };
 
-      if (result.success && result.data.options) {
-        setTtlOptions(result.data.options);
-      }
-    } catch (err) {
-      console.error('[useStoriesManagement] Error fetching TTL options:', err);
-    }
-  }, []);
+  /**
+   * Drop a story from every cached list; the refetch corrects pagination
+   */
+  const removeCachedStory = (id) => {
+    setQueriesData(['stories', 'list'], (data) => ({
+      ...data,
+      stories: (data.stories || []).filter((story) => story._id !== id),
+    }));
+  };
 
   /**
    * Get a single story by ID
@@ -216,31 +210,27 @@ function useStoriesManagement(initialFilters = {}) {
    */
   const createStory = useCallback(
     async (storyData) => {
-      console.log('[useStoriesManagement] Creating story');
-      setIsLoading(true);
-      setError(null);
-
+      logger.debug('[useStoriesManagement] Creating story');
       try {
         const result = await storyService.create(storyData);
 
         if (result.success) {
-          await fetchStories(1);
-          await fetchStats();
+          // Refresh the list and stats
+          setPage(1);
+          invalidateQueries(['stories']);
           return { success: true, data: result.data };
         } else {
           return {
             success: false,
             error: result.message,
-            validationErrors: result.data?.errors,
+            fieldErrors: result.fieldErrors,
           };
         }
       } catch (err) {
         return { success: false, error: 'Failed to create story' };
-      } finally {
-        setIsLoading(false);
       }
     },
-    [fetchStories, fetchStats]
+    []
   );
 
   /**
@@ -250,31 +240,24 @@ function useStoriesManagement(initialFilters = {}) {
    * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
    */
   const updateStory = useCallback(async (id, updateData) => {
-    console.log('[useStoriesManagement] Updating story:', id);
-    setIsLoading(true);
-    setError(null);
-
+    logger.debug('[useStoriesManagement] Updating story:', id);
     try {
       const result = await storyService.update(id, updateData);
 
       if (result.success) {
-        setStories((prev) =>
-          prev.map((story) =>
-            story._id === id ? { ...story, ...result.data } : story
-          )
-        );
+        // Update cached lists, then revalidate
+        patchCachedStory(id, result.data);
+        invalidateQueries(['stories']);
         return { success: true, data: result.data };
       } else {
         return {
           success: false,
           error: result.message,
-          validationErrors: result.data?.errors,
+          fieldErrors: result.fieldErrors,
         };
       }
     } catch (err) {
       return { success: false, error: 'Failed to update story' };
-    } finally {
-      setIsLoading(false);
     }
   }, []);
 
@@ -284,17 +267,15 @@ function useStoriesManagement(initialFilters = {}) {
    * @returns {Promise<{success: boolean, error?: string}>}
    */
   const toggleStoryActive = useCallback(async (id) => {
-    console.log('[useStoriesManagement] Toggling story status:', id);
+    logger.debug('[useStoriesManagement] Toggling story status:', id);
 
     try {
       const result = await storyService.toggleActive(id);
 
       if (result.success) {
-        setStories((prev) =>
-          prev.map((story) =>
-            story._id === id ? { ...story, isActive: result.data.isActive } : story
-          )
-        );
+        // Update cached lists, then revalidate
+        patchCachedStory(id, { isActive: result.data.isActive });
+        invalidateQueries(['stories']);
         return { success: true, data: result.data };
       } else {
         return { success: false, error: result.message };
@@ -312,32 +293,23 @@ function useStoriesManagement(initialFilters = {}) {
    */
   const deleteStory = useCallback(
     async (id, deleteMedia = false) => {
-      console.log('[useStoriesManagement] Deleting story:', id);
-      setIsLoading(true);
-      setError(null);
-
+      logger.debug('[useStoriesManagement] Deleting story:', id);
       try {
         const result = await storyService.delete(id, deleteMedia);
 
         if (result.success) {
-          setStories((prev) => prev.filter((story) => story._id !== id));
-          setPagination((prev) => ({
-            ...prev,
-            total: prev.total - 1,
-            totalPages: Math.ceil((prev.total - 1) / prev.limit),
-          }));
-          await fetchStats();
+          // Remove from cached lists, then revalidate the list and stats
+          removeCachedStory(id);
+          invalidateQueries(['stories']);
           return { success: true };
         } else {
           return { success: false, error: result.message };
         }
       } catch (err) {
         return { success: false, error: 'Failed to delete story' };
-      } finally {
-        setIsLoading(false);
       }
     },
-    [fetchStats]
+    []
   );
 
   /**
@@ -348,32 +320,23 @@ function useStoriesManagement(initialFilters = {}) {
    */
   const permanentDeleteStory = useCallback(
     async (id, deleteMedia = true) => {
-      console.log('[useStoriesManagement] Permanently deleting story:', id);
-      setIsLoading(true);
-      setError(null);
-
+      logger.debug('[useStoriesManagement] Permanently deleting story:', id);
       try {
         const result = await storyService.permanentDelete(id, deleteMedia);
 
         if (result.success) {
-          setStories((prev) => prev.filter((story) => story._id !== id));
-          setPagination((prev) => ({
-            ...prev,
-            total: prev.total - 1,
-            totalPages: Math.ceil((prev.total - 1) / prev.limit),
-          }));
-          await fetchStats();
+          // Remove from cached lists, then revalidate the list and stats
+          removeCachedStory(id);
+          invalidateQueries(['stories']);
           return { success: true };
         } else {
           return { success: false, error: result.message };
         }
       } catch (err) {
         return { success: false, error: 'Failed to permanently delete story' };
-      } finally {
-        setIsLoading(false);
       }
     },
-    [fetchStats]
+    []
   );
 
   /**
@@ -382,22 +345,22 @@ function useStoriesManagement(initialFilters = {}) {
    * @returns {Promise<{success: boolean, error?: string}>}
    */
   const reorderStories = useCallback(async (newOrder) => {
-    console.log('[useStoriesManagement] Reordering stories');
+    logger.debug('[useStoriesManagement] Reordering stories');
 
     try {
       const result = await storyService.reorder(newOrder);
 
       if (result.success) {
-        // Update local state with new order
-        setStories((prev) => {
-          const orderMap = new Map(newOrder.map((o) => [o.storyId, o.displayOrder]));
-          return [...prev]
-            .map((story) => ({
-              ...story,
-              displayOrder: orderMap.get(story._id) ?? story.displayOrder,
-            }))
-            .sort((a, b) => a.displayOrder - b.displayOrder);
-        });
+        // Update cached lists with the new order, then revalidate
+        const orderMap = new Map(newOrder.map((o) => [o.storyId, o.displayOrder]));
+        setQueriesData(['stories', 'list'], (data) => ({
+          ...data,
+          stories: (data.stories || []).map((story) => ({
+            ...story,
+            displayOrder: orderMap.get(story._id) ?? story.displayOrder,
+          })),
+        }));
+        invalidateQueries(['stories']);
         return { success: true };
       } else {
         return { success: false, error: result.message };
@@ -413,6 +376,7 @@ function useStoriesManagement(initialFilters = {}) {
    */
   const updateFilters = useCallback((newFilters) => {
     setFilters((prev) => ({ ...prev, ...newFilters }));
+    setPage(1);
   }, []);
 
   /**
@@ -426,6 +390,7 @@ function useStoriesManagement(initialFilters = {}) {
 
     searchDebounceRef.current = setTimeout(() => {
       setFilters((prev) => ({ ...prev, search }));
+      setPage(1);
     }, 300);
   }, []);
 
@@ -437,25 +402,24 @@ function useStoriesManagement(initialFilters = {}) {
       ...DEFAULT_FILTERS,
       ...initialFilters,
     });
+    setPage(1);
   }, [initialFilters]);
 
   /**
    * Change page
    * @param {number} page - Page number
    */
-  const changePage = useCallback(
-    (page) => {
-      fetchStories(page);
-    },
-    [fetchStories]
-  );
+  const changePage = useCallback((nextPage) => {
+    setPage(nextPage);
+  }, []);
 
   /**
    * Change items per page
    * @param {number} limit - Items per page
    */
-  const changeLimit = useCallback((limit) => {
-    setPagination((prev) => ({ ...prev, limit }));
+  const changeLimit = useCallback((nextLimit) => {
+    setLimit(nextLimit);
+    setPage(1);
   }, []);
 
   /**
@@ -463,33 +427,23 @@ function useStoriesManagement(initialFilters = {}) {
    */
   const toggleIncludeExpired = useCallback(() => {
     setFilters((prev) => ({ ...prev, includeExpired: !prev.includeExpired }));
+    setPage(1);
   }, []);
 
   /**
    * Clear error
    */
   const clearError = useCallback(() => {
-    setError(null);
-  }, []);
+    setDismissedErrorAt(storiesQuery.updatedAt);
+  }, [storiesQuery.updatedAt]);
 
   /**
    * Refresh stories and stats
    */
   const refresh = useCallback(() => {
-    fetchStories(1);
-    fetchStats();
-  }, [fetchStories, fetchStats]);
-
-  // Fetch stories when filters change
-  useEffect(() => {
-    fetchStories(1);
-  }, [filters]);
-
-  // Fetch stats and TTL options on mount
-  useEffect(() => {
-    fetchStats();
-    fetchTtlOptions();
-  }, [fetchStats, fetchTtlOptions]);
+    setPage(1);
+    invalidateQueries(['stories']);
+  }, []);
 
   // Cleanup debounce timer
   useEffect(() => {
@@ -506,6 +460,7 @@ function useStoriesManagement(initialFilters = {}) {
     pagination,
     filters,
     isLoading,
+    isFetching,
     error,
     stats,
     isLoadingStats,
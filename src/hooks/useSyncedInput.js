@@ -0,0 +1,22 @@
+import { useState } from 'react';
+
+/**
+ * Custom hook for a local draft (e.g. a debounced search box) mirroring an outside value
+ * The draft is editable locally and snaps back whenever the outside value changes,
+ * such as the URL on back/forward or when filters are reset.
+ * @param {any} value - Outside value to mirror (objects compare by identity, so pass memoized state)
+ * @returns {[any, Function]} [input, setInput]
+ */
+function useSyncedInput(value = '') {
+  const [input, setInput] = useState(value);
+  const [syncedValue, setSyncedValue] = useState(value);
+
+  if (value !== syncedValue) {
+    setSyncedValue(value);
+    setInput(value);
+  }
+
+  return [input, setInput];
+}
+
+export default useSyncedInput;
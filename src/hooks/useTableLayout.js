@@ -0,0 +1,114 @@
+import { useState, useCallback, useMemo } from 'react';
+import tableLayoutService from '../services/tableLayout.service';
+import useQuery from './useQuery';
+import { invalidateQueries, setQueriesData } from '../utils/queryCache';
+
+const EMPTY_LAYOUT = { order: [], hidden: [] };
+
+/**
+ * Get a column's stable ID
+ * @param {Object} column - Column definition
+ * @param {number} index - Column position
+ * @returns {string}
+ */
+export const getColumnId = (column, index) => column.id || column.accessor || String(index);
+
+/**
+ * Custom hook for a data grid's column layout (order and hidden columns)
+ * With a layoutKey the layout is saved per admin on the server; without one it lasts until unmount.
+ * @param {string} [layoutKey] - Table key, e.g. 'events'
+ * @param {Object[]} columns - Column definitions in their default order
+ * @returns {Object} { columns, visibleColumns, hiddenIds, toggleColumn, moveColumn, resetLayout }
+ */
+function useTableLayout(layoutKey, columns) {
+  const [localLayout, setLocalLayout] = useState(EMPTY_LAYOUT);
+
+  const layoutQuery = useQuery(['tableLayouts', layoutKey], () => tableLayoutService.get(layoutKey), {
+    enabled: !!layoutKey,
+    staleTime: Infinity,
+  });
+
+  const layout = (layoutKey ? layoutQuery.data?.layout : localLayout) || EMPTY_LAYOUT;
+
+  // Saved order first; columns added since the layout was saved keep their default slot at the end
+  const orderedColumns = useMemo(() => {
+    const byId = new Map(columns.map((column, index) => [getColumnId(column, index), column]));
+    const savedIds = (layout.order || []).filter((id) => byId.has(id));
+    const ids = [...savedIds, ...[...byId.keys()].filter((id) => !savedIds.includes(id))];
+    return ids.map((id) => ({ ...byId.get(id), id }));
+  }, [columns, layout.order]);
+
+  const hiddenIds = useMemo(() => layout.hidden || [], [layout.hidden]);
+
+  const visibleColumns = useMemo(
+    () => orderedColumns.filter((column) => column.hideable === false || !hiddenIds.includes(column.id)),
+    [orderedColumns, hiddenIds]
+  );
+
+  /**
+   * Apply a layout change locally, then save it for this admin
+   * @param {Object} nextLayout - { order, hidden }
+   */
+  const saveLayout = useCallback(
+    async (nextLayout) => {
+      if (!layoutKey) {
+        setLocalLayout(nextLayout);
+        return;
+      }
+
+      setQueriesData(['tableLayouts', layoutKey], (data) => ({ ...data, layout: nextLayout }));
+      const result = await tableLayoutService.save(layoutKey, nextLayout);
+      if (!result.success) {
+        // Fall back to whatever the server has
+        invalidateQueries(['tableLayouts', layoutKey]);
+      }
+    },
+    [layoutKey]
+  );
+
+  /**
+   * Show or hide a column
+   * @param {string} id - Column ID
+   */
+  const toggleColumn = useCallback(
+    (id) => {
+      const hidden = hiddenIds.includes(id) ? hiddenIds.filter((hiddenId) => hiddenId !== id) : [...hiddenIds, id];
+      saveLayout({ order: orderedColumns.map((column) => column.id), hidden });
+    },
+    [hiddenIds, orderedColumns, saveLayout]
+  );
+
+  /**
+   * Move a column one step left (-1) or right (+1)
+   * @param {string} id - Column ID
+   * @param {number} offset - -1 or 1
+   */
+  const moveColumn = useCallback(
+    (id, offset) => {
+      const order = orderedColumns.map((column) => column.id);
+      const from = order.indexOf(id);
+      const to = from + offset;
+      if (from === -1 || to < 0 || to >= order.length) return;
+
+      order.splice(to, 0, order.splice(from, 1)[0]);
+      saveLayout({ order, hidden: hiddenIds });
+    },
+    [orderedColumns, hiddenIds, saveLayout]
+  );
+
+  /**
+   * Restore the default column order and visibility
+   */
+  const resetLayout = useCallback(() => saveLayout(EMPTY_LAYOUT), [saveLayout]);
+
+  return {
+    columns: orderedColumns,
+    visibleColumns,
+    hiddenIds,
+    toggleColumn,
+    moveColumn,
+    resetLayout,
+  };
+}
+
+export default useTableLayout;
@@ -4,8 +4,9 @@ import {
   getTicketHolders,
   reshareTicket,
   bulkReshareTickets,
-  getEventsForReshare,
 } from '../services/ticketReshare.service';
+import useEvents from './useEvents';
+import logger from '../utils/logger';
 
 // Filter options
 export const ENROLLMENT_TYPE_OPTIONS = [
@@ -30,8 +31,8 @@ export const SEND_VIA_OPTIONS = [
  * Custom hook for managing ticket reshare functionality
  */
 const useTicketReshare = () => {
-  // Events state
-  const [events, setEvents] = useState([]);
+  // Events state - shared dropdown list from the query cache
+  const { events, isLoading: eventsLoading, error: eventsError } = useEvents();
   const [selectedEventId, setSelectedEventId] = useState('');
   const [eventData, setEventData] = useState(null);
 
@@ -39,7 +40,6 @@ const useTicketReshare = () => {
   const [ticketHolders, setTicketHolders] = useState([]);
   const [statistics, setStatistics] = useState(null);
   const [loading, setLoading] = useState(false);
-  const [eventsLoading, setEventsLoading] = useState(true);
 
   // Pagination state
   const [pagination, setPagination] = useState({
@@ -64,10 +64,11 @@ const useTicketReshare = () => {
   const [reshareLoading, setReshareLoading] = useState({});
   const [bulkReshareLoading, setBulkReshareLoading] = useState(false);
 
-  // Fetch events on mount
   useEffect(() => {
-    fetchEvents();
-  }, []);
+    if (eventsError) {
+      toast.error(eventsError);
+    }
+  }, [eventsError]);
 
   // Fetch ticket holders when event or filters change
   useEffect(() => {
@@ -86,28 +87,6 @@ const useTicketReshare = () => {
     setSelectAll(false);
   }, [ticketHolders]);
 
-  /**
-   * Fetch all events for selection
-   */
-  const fetchEvents = async () => {
-    setEventsLoading(true);
-    try {
-      const response = await getEventsForReshare();
-      if (response.success) {
-        // Handle different response structures
-        const eventsList = response.data?.events || response.data || [];
-        setEvents(Array.isArray(eventsList) ? eventsList : []);
-      } else {
-        toast.error(response.message || 'Failed to load events');
-      }
-    } catch (error) {
-      console.error('Error fetching events:', error);
-      toast.error('Failed to load events');
-    } finally {
-      setEventsLoading(false);
-    }
-  };
-
   /**
    * Fetch ticket holders for selected event
    */
@@ -137,7 +116,7 @@ const useTicketReshare = () => {
         setTicketHolders([]);
       }
     } catch (error) {
-      console.error('Error fetching ticket holders:', error);
+      logger.error('Error fetching ticket holders:', error);
       toast.error('Failed to load ticket holders');
       setTicketHolders([]);
     } finally {
@@ -243,7 +222,7 @@ const useTicketReshare = () => {
         toast.error(response.message || 'Failed to reshare ticket');
       }
     } catch (error) {
-      console.error('Error resharing ticket:', error);
+      logger.error('Error resharing ticket:', error);
       toast.error('Failed to reshare ticket');
     } finally {
       setReshareLoading((prev) => ({ ...prev, [ticketKey]: false }));
@@ -291,7 +270,7 @@ const useTicketReshare = () => {
         toast.error(response.message || 'Bulk reshare failed');
       }
     } catch (error) {
-      console.error('Error in bulk reshare:', error);
+      logger.error('Error in bulk reshare:', error);
       toast.error('Bulk reshare failed');
     } finally {
       setBulkReshareLoading(false);
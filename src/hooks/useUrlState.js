@@ -0,0 +1,122 @@
+import { useCallback, useMemo } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+
+// Keys whose changes replace the current history entry rather than pushing one,
+// so typing a search doesn't fill the back button with every keystroke
+const DEFAULT_REPLACE_KEYS = ['search'];
+
+// Updates made in the same tick (a filter plus "back to page 1") become one navigation
+let pendingUpdate = null;
+
+const flushPendingUpdate = () => {
+  const { navigate, params, replace, changed } = pendingUpdate;
+  pendingUpdate = null;
+  if (!changed) return;
+
+  const search = params.toString();
+  navigate({ search: search ? `?${search}` : '' }, { replace });
+};
+
+/**
+ * Read one value from the query string, typed like its default
+ * @param {string|null} raw - Query string value
+ * @param {any} fallback - Default value
+ * @returns {any}
+ */
+const readValue = (raw, fallback) => {
+  if (raw === null) return fallback;
+  if (typeof fallback === 'number') {
+    const number = Number(raw);
+    return Number.isFinite(number) ? number : fallback;
+  }
+  if (typeof fallback === 'boolean') return raw === 'true';
+  return raw;
+};
+
+/**
+ * Build typed state from raw query string values
+ * @param {Function} getRaw - (key) => raw value or null
+ * @param {Object} defaults - Default state
+ * @returns {Object}
+ */
+const readState = (getRaw, defaults) =>
+  Object.keys(defaults).reduce((state, key) => {
+    state[key] = readValue(getRaw(key), defaults[key]);
+    return state;
+  }, {});
+
+/**
+ * Custom hook for list state (filters, search, tab, page) kept in the query string
+ * Works like useState, but a refresh, a shared link or back/forward restores it.
+ * Only values that differ from their defaults appear in the URL.
+ * @param {Object} defaults - Every key with its default value; numbers and booleans keep their type
+ * @param {Object} options - { prefix?: string, replaceKeys?: string[] }
+ *   prefix keeps two lists on one page apart (e.g. 'plan' -> ?planSearch=...)
+ * @returns {[Object, Function]} [state, setState] - setState takes an object or updater
+ */
+function useUrlState(defaults, options = {}) {
+  const { prefix = '', replaceKeys = DEFAULT_REPLACE_KEYS } = options;
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  // Compare by value so inline defaults don't churn the memoized state
+  const defaultsKey = JSON.stringify(defaults);
+  const replaceKeysKey = replaceKeys.join(',');
+  const toParamName = useCallback(
+    (key) => (prefix ? `${prefix}${key.charAt(0).toUpperCase()}${key.slice(1)}` : key),
+    [prefix]
+  );
+
+  // Only this hook's params decide whether its state changed
+  const params = new URLSearchParams(location.search);
+  const snapshot = JSON.stringify(
+    Object.fromEntries(Object.keys(defaults).map((key) => [key, params.get(toParamName(key))]))
+  );
+
+  const state = useMemo(() => {
+    const raw = JSON.parse(snapshot);
+    return readState((key) => raw[key], JSON.parse(defaultsKey));
+  }, [defaultsKey, snapshot]);
+
+  const setState = useCallback(
+    (next) => {
+      if (!pendingUpdate) {
+        pendingUpdate = {
+          navigate,
+          params: new URLSearchParams(window.location.search),
+          replace: true,
+          changed: false,
+        };
+        queueMicrotask(flushPendingUpdate);
+      }
+
+      const parsedDefaults = JSON.parse(defaultsKey);
+      const replaceOnly = replaceKeysKey.split(',');
+      // Read through any update already queued this tick so updaters see the latest state
+      const { params: pendingParams } = pendingUpdate;
+      const current = readState((key) => pendingParams.get(toParamName(key)), parsedDefaults);
+      const resolved = typeof next === 'function' ? next(current) : next;
+
+      Object.keys(parsedDefaults).forEach((key) => {
+        const value = key in resolved ? resolved[key] : parsedDefaults[key];
+        if (value === current[key]) return;
+
+        pendingUpdate.changed = true;
+        if (!replaceOnly.includes(key)) {
+          pendingUpdate.replace = false;
+        }
+
+        if (value === parsedDefaults[key] || value === null || value === undefined) {
+          pendingUpdate.params.delete(toParamName(key));
+        } else {
+          pendingUpdate.params.set(toParamName(key), String(value));
+        }
+      });
+    },
+    [navigate, defaultsKey, replaceKeysKey, toParamName]
+  );
+
+  return [state, setState];
+}
+
+export default useUrlState;
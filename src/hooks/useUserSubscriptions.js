@@ -1,5 +1,8 @@
-import { useState, useCallback, useEffect, useRef } from 'react';
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import userSubscriptionService from '../services/userSubscription.service';
+import useQuery from './useQuery';
+import useUrlState from './useUrlState';
+import { invalidateQueries, setQueriesData } from '../utils/queryCache';
 
 /**
  * Subscription status options
@@ -34,65 +37,75 @@ const DEFAULT_FILTERS = {
  * @returns {Object} User subscriptions state and operations
  */
 function useUserSubscriptions(initialFilters = {}) {
-  // State
-  const [subscriptions, setSubscriptions] = useState([]);
-  const [pagination, setPagination] = useState({
-    currentPage: 1,
-    totalPages: 0,
-    totalCount: 0,
-    limit: 10,
-    hasNextPage: false,
-    hasPrevPage: false,
-  });
-  const [filters, setFilters] = useState({
+  // Filters and page live in the query string so refresh and shared links keep them
+  const [filters, setFilters] = useUrlState({
     ...DEFAULT_FILTERS,
     ...initialFilters,
   });
-  const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState(null);
+  const [{ page }, setPageState] = useUrlState({ page: 1 });
+  const [limit, setLimit] = useState(10);
+  const [dismissedErrorAt, setDismissedErrorAt] = useState(null);
 
   // Debounce timer ref for search
   const searchDebounceRef = useRef(null);
 
+  const params = useMemo(() => ({
+    page,
+    limit,
+    sortBy: filters.sortBy,
+    sortOrder: filters.sortOrder,
+    ...(filters.search && { search: filters.search }),
+    ...(filters.status && { status: filters.status }),
+    ...(filters.serviceId && { serviceId: filters.serviceId }),
+    ...(filters.phone && { phone: filters.phone }),
+  }), [page, limit, filters]);
+
+  const subscriptionsQuery = useQuery(
+    ['userSubscriptions', 'list', params],
+    () => userSubscriptionService.getAll(params),
+    { keepPreviousData: true }
+  );
+
+  const subscriptions = subscriptionsQuery.data?.subscriptions || [];
+  const pagination = subscriptionsQuery.data?.pagination || {
+    currentPage: page,
+    totalPages: 0,
+    totalCount: 0,
+    limit,
+    hasNextPage: false,
+    hasPrevPage: false,
+  };
+  const { isLoading, isFetching, refetch } = subscriptionsQuery;
+  const error = subscriptionsQuery.updatedAt !== dismissedErrorAt ? subscriptionsQuery.error : null;
+
   /**
-   * Fetch subscriptions with current filters and pagination
+   * Fetch subscriptions for a page - refetches when it's the current page
+   * @param {number} nextPage - Page number
    */
   const fetchSubscriptions = useCallback(
-    async (page = pagination.currentPage) => {
-      setIsLoading(true);
-      setError(null);
-
-      try {
-        const params = {
-          page,
-          limit: pagination.limit,
-          sortBy: filters.sortBy,
-          sortOrder: filters.sortOrder,
-          ...(filters.search && { search: filters.search }),
-          ...(filters.status && { status: filters.status }),
-          ...(filters.serviceId && { serviceId: filters.serviceId }),
-          ...(filters.phone && { phone: filters.phone }),
-        };
-
-        const result = await userSubscriptionService.getAll(params);
-
-        if (result.success) {
-          setSubscriptions(result.data.subscriptions || []);
-          setPagination(result.data.pagination || pagination);
-        } else {
-          setError(result.message);
-          setSubscriptions([]);
-        }
-      } catch (err) {
-        setError('Failed to fetch subscriptions');
-        setSubscriptions([]);
-      } finally {
-        setIsLoading(false);
+    async (nextPage = page) => {
+      if (nextPage !== page) {
+        setPageState({ page: nextPage });
+        return;
       }
+      await refetch();
     },
-    [filters, pagination.limit, pagination.currentPage]
+    [page, refetch, setPageState]
   );
 
+  /**
+   * Patch a subscription in every cached list, then revalidate
+   */
+  const patchCachedSubscription = (id, changes) => {
+    setQueriesData(['userSubscriptions', 'list'], (data) => ({
+      ...data,
+      subscriptions: (data.subscriptions || []).map((subscription) =>
+        subscription._id === id ? { ...subscription, ...changes } : subscription
+      ),
+    }));
+    invalidateQueries(['userSubscriptions']);
+  };
+
   /**
    * Get a single subscription by ID
    * @param {string} id - Subscription ID
@@ -135,27 +148,17 @@ function useUserSubscriptions(initialFilters = {}) {
    * @param {Object} data - Cancellation data
    */
   const cancelSubscription = useCallback(async (id, data) => {
-    setIsLoading(true);
-    setError(null);
-
     try {
       const result = await userSubscriptionService.cancel(id, data);
 
       if (result.success) {
-        // Update the subscription in local state
-        setSubscriptions((prev) =>
-          prev.map((subscription) =>
-            subscription._id === id ? { ...subscription, status: 'CANCELLED', ...result.data.subscription } : subscription
-          )
-        );
+        patchCachedSubscription(id, { status: 'CANCELLED', ...result.data.subscription });
         return { success: true, data: result.data };
       } else {
         return { success: false, error: result.message };
       }
     } catch (err) {
       return { success: false, error: 'Failed to cancel subscription' };
-    } finally {
-      setIsLoading(false);
     }
   }, []);
 
@@ -165,27 +168,17 @@ function useUserSubscriptions(initialFilters = {}) {
    * @param {Object} data - Notes data
    */
   const updateNotes = useCallback(async (id, data) => {
-    setIsLoading(true);
-    setError(null);
-
     try {
       const result = await userSubscriptionService.updateNotes(id, data);
 
       if (result.success) {
-        // Update the subscription in local state
-        setSubscriptions((prev) =>
-          prev.map((subscription) =>
-            subscription._id === id ? { ...subscription, ...result.data.subscription } : subscription
-          )
-        );
+        patchCachedSubscription(id, result.data.subscription);
         return { success: true, data: result.data };
       } else {
         return { success: false, error: result.message };
       }
     } catch (err) {
       return { success: false, error: 'Failed to update notes' };
-    } finally {
-      setIsLoading(false);
     }
   }, []);
 
@@ -195,7 +188,8 @@ function useUserSubscriptions(initialFilters = {}) {
    */
   const updateFilters = useCallback((newFilters) => {
     setFilters((prev) => ({ ...prev, ...newFilters }));
-  }, []);
+    setPageState({ page: 1 });
+  }, [setFilters, setPageState]);
 
   /**
    * Update search with debounce
@@ -210,8 +204,9 @@ function useUserSubscriptions(initialFilters = {}) {
     // Set debounce timer
     searchDebounceRef.current = setTimeout(() => {
       setFilters((prev) => ({ ...prev, search }));
+      setPageState({ page: 1 });
     }, 300);
-  }, []);
+  }, [setFilters, setPageState]);
 
   /**
    * Reset filters to default values
@@ -221,38 +216,35 @@ function useUserSubscriptions(initialFilters = {}) {
       ...DEFAULT_FILTERS,
       ...initialFilters,
     });
-  }, [initialFilters]);
+    setPageState({ page: 1 });
+  }, [initialFilters, setFilters, setPageState]);
 
   /**
    * Change page
-   * @param {number} page - Page number
+   * @param {number} nextPage - Page number
    */
   const changePage = useCallback(
-    (page) => {
-      fetchSubscriptions(page);
+    (nextPage) => {
+      setPageState({ page: nextPage });
     },
-    [fetchSubscriptions]
+    [setPageState]
   );
 
   /**
    * Change items per page
    * @param {number} limit - Items per page
    */
-  const changeLimit = useCallback((limit) => {
-    setPagination((prev) => ({ ...prev, limit }));
-  }, []);
+  const changeLimit = useCallback((nextLimit) => {
+    setLimit(nextLimit);
+    setPageState({ page: 1 });
+  }, [setPageState]);
 
   /**
    * Clear error
    */
   const clearError = useCallback(() => {
-    setError(null);
-  }, []);
-
-  // Fetch subscriptions when filters change
-  useEffect(() => {
-    fetchSubscriptions(1);
-  }, [filters]);
+    setDismissedErrorAt(subscriptionsQuery.updatedAt);
+  }, [subscriptionsQuery.updatedAt]);
 
   // Cleanup debounce timer
   useEffect(() => {
@@ -269,6 +261,7 @@ function useUserSubscriptions(initialFilters = {}) {
     pagination,
     filters,
     isLoading,
+    isFetching,
     error,
 
     // Operations
@@ -1,5 +1,8 @@
-import { useState, useCallback, useEffect } from 'react';
+import { useState, useCallback, useMemo } from 'react';
 import userService from '../services/user.service';
+import useQuery from './useQuery';
+import useUrlState from './useUrlState';
+import { invalidateQueries, setQueriesData } from '../utils/queryCache';
 
 /**
  * Custom hook for managing user state and operations
@@ -7,53 +10,54 @@ import userService from '../services/user.service';
  * @returns {Object} User state and operations
  */
 function useUsers(initialFilters = {}) {
-  // State
-  const [users, setUsers] = useState([]);
-  const [pagination, setPagination] = useState({
-    total: 0,
-    page: 1,
-    limit: 10,
-    totalPages: 0,
-  });
-  const [filters, setFilters] = useState({
+  // List state lives in the query string so refresh and shared links keep it
+  const [{ page, limit }, setPaging] = useUrlState({ page: 1, limit: 10 });
+  const [filters, setFilters] = useUrlState({
     search: '',
     includeDeleted: false,
     ...initialFilters,
   });
-  const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState(null);
+  const [isMutating, setIsMutating] = useState(false);
+  const [dismissedErrorAt, setDismissedErrorAt] = useState(null);
 
-  /**
-   * Fetch users with current filters and pagination
-   */
-  const fetchUsers = useCallback(async (page = pagination.page) => {
-    setIsLoading(true);
-    setError(null);
+  const params = useMemo(() => ({
+    page,
+    limit,
+    ...(filters.search && { search: filters.search }),
+    ...(filters.includeDeleted && { includeDeleted: filters.includeDeleted }),
+  }), [page, limit, filters]);
 
-    try {
-      const params = {
-        page,
-        limit: pagination.limit,
-        ...(filters.search && { search: filters.search }),
-        ...(filters.includeDeleted && { includeDeleted: filters.includeDeleted }),
-      };
+  const usersQuery = useQuery(['users', 'list', params], () => userService.getAll(params), {
+    keepPreviousData: true,
+  });
 
-      const result = await userService.getAll(params);
+  const users = usersQuery.data?.users || [];
+  const pagination = usersQuery.data?.pagination || { total: 0, page, limit, totalPages: 0 };
+  const isLoading = usersQuery.isLoading || isMutating;
+  const error = usersQuery.updatedAt !== dismissedErrorAt ? usersQuery.error : null;
+  const { refetch } = usersQuery;
 
-      if (result.success) {
-        setUsers(result.data.users);
-        setPagination(result.data.pagination);
-      } else {
-        setError(result.message);
-        setUsers([]);
-      }
-    } catch (err) {
-      setError('Failed to fetch users');
-      setUsers([]);
-    } finally {
-      setIsLoading(false);
+  /**
+   * Fetch users for a page - refetches when it's the current page
+   * @param {number} nextPage - Page number
+   */
+  const fetchUsers = useCallback(async (nextPage = page) => {
+    if (nextPage !== page) {
+      setPaging((prev) => ({ ...prev, page: nextPage }));
+      return;
     }
-  }, [filters, pagination.limit]);
+    await refetch();
+  }, [page, refetch, setPaging]);
+
+  /**
+   * Patch a user in every cached list
+   */
+  const patchCachedUser = (id, changes) => {
+    setQueriesData(['users', 'list'], (data) => ({
+      ...data,
+      users: (data.users || []).map((user) => (user._id === id ? { ...user, ...changes } : user)),
+    }));
+  };
 
   /**
    * Get a single user by ID
@@ -81,27 +85,23 @@ function useUsers(initialFilters = {}) {
    * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
    */
   const updateUser = useCallback(async (id, updateData) => {
-    setIsLoading(true);
-    setError(null);
+    setIsMutating(true);
 
     try {
       const result = await userService.update(id, updateData);
 
       if (result.success) {
-        // Update the user in the local state
-        setUsers((prev) =>
-          prev.map((user) =>
-            user._id === id ? { ...user, ...result.data.user } : user
-          )
-        );
+        // Update the user in cached lists, then revalidate
+        patchCachedUser(id, result.data.user);
+        invalidateQueries(['users']);
         return { success: true, data: result.data };
       } else {
-        return { success: false, error: result.message, validationErrors: result.data?.errors };
+        return { success: false, error: result.message, fieldErrors: result.fieldErrors };
       }
     } catch (err) {
       return { success: false, error: 'Failed to update user' };
     } finally {
-      setIsLoading(false);
+      setIsMutating(false);
     }
   }, []);
 
@@ -111,29 +111,15 @@ function useUsers(initialFilters = {}) {
    * @returns {Promise<{success: boolean, error?: string}>}
    */
   const deleteUser = useCallback(async (id) => {
-    setIsLoading(true);
-    setError(null);
+    setIsMutating(true);
 
     try {
       const result = await userService.delete(id);
 
       if (result.success) {
-        if (filters.includeDeleted) {
-          // Update isDeleted status in local state
-          setUsers((prev) =>
-            prev.map((user) =>
-              user._id === id ? { ...user, isDeleted: true } : user
-            )
-          );
-        } else {
-          // Remove from local state if not showing deleted
-          setUsers((prev) => prev.filter((user) => user._id !== id));
-          setPagination((prev) => ({
-            ...prev,
-            total: prev.total - 1,
-            totalPages: Math.ceil((prev.total - 1) / prev.limit),
-          }));
-        }
+        // Mark deleted in cached lists; the refetch drops it where deleted users are hidden
+        patchCachedUser(id, { isDeleted: true });
+        invalidateQueries(['users']);
         return { success: true };
       } else {
         return { success: false, error: result.message };
@@ -141,9 +127,9 @@ function useUsers(initialFilters = {}) {
     } catch (err) {
       return { success: false, error: 'Failed to delete user' };
     } finally {
-      setIsLoading(false);
+      setIsMutating(false);
     }
-  }, [filters.includeDeleted]);
+  }, []);
 
   /**
    * Restore a soft-deleted user
@@ -151,19 +137,15 @@ function useUsers(initialFilters = {}) {
    * @returns {Promise<{success: boolean, error?: string}>}
    */
   const restoreUser = useCallback(async (id) => {
-    setIsLoading(true);
-    setError(null);
+    setIsMutating(true);
 
     try {
       const result = await userService.restore(id);
 
       if (result.success) {
-        // Update isDeleted status in local state
-        setUsers((prev) =>
-          prev.map((user) =>
-            user._id === id ? { ...user, isDeleted: false, deletedAt: null } : user
-          )
-        );
+        // Update isDeleted status in cached lists
+        patchCachedUser(id, { isDeleted: false, deletedAt: null });
+        invalidateQueries(['users']);
         return { success: true };
       } else {
         return { success: false, error: result.message };
@@ -171,7 +153,7 @@ function useUsers(initialFilters = {}) {
     } catch (err) {
       return { success: false, error: 'Failed to restore user' };
     } finally {
-      setIsLoading(false);
+      setIsMutating(false);
     }
   }, []);
 
@@ -181,20 +163,18 @@ function useUsers(initialFilters = {}) {
    * @returns {Promise<{success: boolean, error?: string}>}
    */
   const permanentDeleteUser = useCallback(async (id) => {
-    setIsLoading(true);
-    setError(null);
+    setIsMutating(true);
 
     try {
       const result = await userService.permanentDelete(id);
 
       if (result.success) {
-        // Remove from local state
-        setUsers((prev) => prev.filter((user) => user._id !== id));
-        setPagination((prev) => ({
-          ...prev,
-          total: prev.total - 1,
-          totalPages: Math.ceil((prev.total - 1) / prev.limit),
+        // Remove from cached lists; the refetch corrects pagination
+        setQueriesData(['users', 'list'], (data) => ({
+          ...data,
+          users: (data.users || []).filter((user) => user._id !== id),
         }));
+        invalidateQueries(['users']);
         return { success: true };
       } else {
         return { success: false, error: result.message };
@@ -202,7 +182,7 @@ function useUsers(initialFilters = {}) {
     } catch (err) {
       return { success: false, error: 'Failed to permanently delete user' };
     } finally {
-      setIsLoading(false);
+      setIsMutating(false);
     }
   }, []);
 
@@ -212,7 +192,8 @@ function useUsers(initialFilters = {}) {
    */
   const updateFilters = useCallback((newFilters) => {
     setFilters((prev) => ({ ...prev, ...newFilters }));
-  }, []);
+    setPaging((prev) => ({ ...prev, page: 1 }));
+  }, [setFilters, setPaging]);
 
   /**
    * Reset filters to initial values
@@ -223,35 +204,31 @@ function useUsers(initialFilters = {}) {
       includeDeleted: false,
       ...initialFilters,
     });
-  }, [initialFilters]);
+    setPaging((prev) => ({ ...prev, page: 1 }));
+  }, [initialFilters, setFilters, setPaging]);
 
   /**
    * Change page
    * @param {number} page - Page number
    */
-  const changePage = useCallback((page) => {
-    fetchUsers(page);
-  }, [fetchUsers]);
+  const changePage = useCallback((nextPage) => {
+    setPaging((prev) => ({ ...prev, page: nextPage }));
+  }, [setPaging]);
 
   /**
    * Change items per page
    * @param {number} limit - Items per page
    */
-  const changeLimit = useCallback((limit) => {
-    setPagination((prev) => ({ ...prev, limit }));
-  }, []);
+  const changeLimit = useCallback((nextLimit) => {
+    setPaging({ page: 1, limit: nextLimit });
+  }, [setPaging]);
 
   /**
    * Clear error
    */
   const clearError = useCallback(() => {
-    setError(null);
-  }, []);
-
-  // Fetch users when filters change
-  useEffect(() => {
-    fetchUsers(1);
-  }, [filters]);
+    setDismissedErrorAt(usersQuery.updatedAt);
+  }, [usersQuery.updatedAt]);
 
   return {
     // State
@@ -259,6 +236,7 @@ function useUsers(initialFilters = {}) {
     pagination,
     filters,
     isLoading,
+    isFetching: usersQuery.isFetching,
     error,
 
     // Operations
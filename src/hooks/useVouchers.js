@@ -1,5 +1,7 @@
-import { useState, useCallback, useEffect, useRef } from 'react';
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import voucherService from '../services/voucher.service';
+import useQuery from './useQuery';
+import { invalidateQueries, setQueriesData } from '../utils/queryCache';
 
 /**
  * Custom hook for managing vouchers state and operations
@@ -8,13 +10,8 @@ import voucherService from '../services/voucher.service';
  */
 function useVouchers(initialFilters = {}) {
   // State
-  const [vouchers, setVouchers] = useState([]);
-  const [pagination, setPagination] = useState({
-    currentPage: 1,
-    totalPages: 0,
-    totalCount: 0,
-    limit: 10,
-  });
+  const [page, setPage] = useState(1);
+  const [limit, setLimit] = useState(10);
   const [filters, setFilters] = useState({
     search: '',
     isActive: '',
@@ -22,55 +19,61 @@ function useVouchers(initialFilters = {}) {
     sortOrder: 'desc',
     ...initialFilters,
   });
-  const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState(null);
+  const [dismissedErrorAt, setDismissedErrorAt] = useState(null);
 
   // Debounce timer for search
   const debounceTimerRef = useRef(null);
 
-  /**
-   * Fetch vouchers with current filters and pagination
-   * @param {number} page - Page number
-   */
-  const fetchVouchers = useCallback(
-    async (page = pagination.currentPage) => {
-      setIsLoading(true);
-      setError(null);
+  const params = useMemo(() => ({
+    page,
+    limit,
+    sortBy: filters.sortBy,
+    sortOrder: filters.sortOrder,
+    ...(filters.search && { search: filters.search }),
+    ...(filters.isActive !== '' && { isActive: filters.isActive }),
+  }), [page, limit, filters]);
 
-      try {
-        const params = {
-          page,
-          limit: pagination.limit,
-          sortBy: filters.sortBy,
-          sortOrder: filters.sortOrder,
-          ...(filters.search && { search: filters.search }),
-          ...(filters.isActive !== '' && { isActive: filters.isActive }),
-        };
+  const vouchersQuery = useQuery(['vouchers', 'list', params], () => voucherService.getAll(params), {
+    keepPreviousData: true,
+  });
 
-        const result = await voucherService.getAll(params);
+  const vouchers = vouchersQuery.data?.vouchers || [];
+  const pagination = {
+    currentPage: vouchersQuery.data?.pagination?.currentPage || page,
+    totalPages: vouchersQuery.data?.pagination?.totalPages || 0,
+    totalCount: vouchersQuery.data?.pagination?.totalCount || 0,
+    limit: vouchersQuery.data?.pagination?.limit || limit,
+  };
+  const { isLoading, isFetching, refetch } = vouchersQuery;
+  const error = vouchersQuery.updatedAt !== dismissedErrorAt ? vouchersQuery.error : null;
 
-        if (result.success) {
-          setVouchers(result.data.vouchers || []);
-          setPagination({
-            currentPage: result.data.pagination?.currentPage || 1,
-            totalPages: result.data.pagination?.totalPages || 0,
-            totalCount: result.data.pagination?.totalCount || 0,
-            limit: result.data.pagination?.limit || 10,
-          });
-        } else {
-          setError(result.message);
-          setVouchers([]);
-        }
-      } catch (err) {
-        setError('Failed to fetch vouchers');
-        setVouchers([]);
-      } finally {
-        setIsLoading(false);
+  /**
+   * Fetch vouchers for a page - refetches when it's the current page
+   * @param {number} nextPage - Page number
+   */
+  const fetchVouchers = useCallback(
+    async (nextPage = page) => {
+      if (nextPage !== page) {
+        setPage(nextPage);
+        return;
       }
+      await refetch();
     },
-    [filters, pagination.limit]
+    [page, refetch]
   );
 
+  /**
+   * Patch a voucher in every cached list
+   */
+  const patchCachedVoucher = (id, changes) => {
+    setQueriesData(['vouchers', 'list'], (data) => ({
+      ...data,
+      vouchers: (data.vouchers || []).map((voucher) =>
+        voucher._id === id ? { ...voucher, ...changes } : voucher
+      ),
+    }));
+  };
+
   /**
    * Create a new voucher
    * @param {Object} data - { title, description, code, maxUsage, events?, isActive? }
@@ -83,7 +86,8 @@ function useVouchers(initialFilters = {}) {
 
         if (result.success) {
           // Refresh the list
-          await fetchVouchers(1);
+          setPage(1);
+          invalidateQueries(['vouchers']);
           return {
             success: true,
             data: result.data,
@@ -92,14 +96,14 @@ function useVouchers(initialFilters = {}) {
           return {
             success: false,
             error: result.message,
-            validationErrors: result.error,
+            fieldErrors: result.fieldErrors,
           };
         }
       } catch (err) {
         return { success: false, error: 'Failed to create voucher' };
       }
     },
-    [fetchVouchers]
+    []
   );
 
   /**
@@ -133,12 +137,9 @@ function useVouchers(initialFilters = {}) {
         const result = await voucherService.update(id, data);
 
         if (result.success) {
-          // Update local state
-          setVouchers((prev) =>
-            prev.map((voucher) =>
-              voucher._id === id ? { ...voucher, ...result.data.voucher } : voucher
-            )
-          );
+          // Update cached lists, then revalidate
+          patchCachedVoucher(id, result.data.voucher);
+          invalidateQueries(['vouchers']);
           return {
             success: true,
             data: result.data,
@@ -147,7 +148,7 @@ function useVouchers(initialFilters = {}) {
           return {
             success: false,
             error: result.message,
-            validationErrors: result.error,
+            fieldErrors: result.fieldErrors,
           };
         }
       } catch (err) {
@@ -170,12 +171,9 @@ function useVouchers(initialFilters = {}) {
         : await voucherService.enable(id);
 
       if (result.success) {
-        // Update local state
-        setVouchers((prev) =>
-          prev.map((voucher) =>
-            voucher._id === id ? { ...voucher, isActive: !isActive } : voucher
-          )
-        );
+        // Update cached lists, then revalidate
+        patchCachedVoucher(id, { isActive: !isActive });
+        invalidateQueries(['vouchers']);
         return { success: true };
       } else {
         return { success: false, error: result.message };
@@ -195,14 +193,12 @@ function useVouchers(initialFilters = {}) {
       const result = await voucherService.delete(id);
 
       if (result.success) {
-        // Remove from local state
-        setVouchers((prev) => prev.filter((voucher) => voucher._id !== id));
-        // Update pagination
-        setPagination((prev) => ({
-          ...prev,
-          totalCount: prev.totalCount - 1,
-          totalPages: Math.ceil((prev.totalCount - 1) / prev.limit),
+        // Remove from cached lists; the refetch corrects pagination
+        setQueriesData(['vouchers', 'list'], (data) => ({
+          ...data,
+          vouchers: (data.vouchers || []).filter((voucher) => voucher._id !== id),
         }));
+        invalidateQueries(['vouchers']);
         return { success: true };
       } else {
         return { success: false, error: result.message };
@@ -223,6 +219,7 @@ function useVouchers(initialFilters = {}) {
 
     debounceTimerRef.current = setTimeout(() => {
       setFilters((prev) => ({ ...prev, search: query }));
+      setPage(1);
     }, 300);
   }, []);
 
@@ -232,6 +229,7 @@ function useVouchers(initialFilters = {}) {
    */
   const updateFilters = useCallback((newFilters) => {
     setFilters((prev) => ({ ...prev, ...newFilters }));
+    setPage(1);
   }, []);
 
   /**
@@ -245,38 +243,32 @@ function useVouchers(initialFilters = {}) {
       sortOrder: 'desc',
       ...initialFilters,
     });
+    setPage(1);
   }, [initialFilters]);
 
   /**
    * Change page
    * @param {number} page - Page number
    */
-  const changePage = useCallback(
-    (page) => {
-      fetchVouchers(page);
-    },
-    [fetchVouchers]
-  );
+  const changePage = useCallback((nextPage) => {
+    setPage(nextPage);
+  }, []);
 
   /**
    * Change items per page
    * @param {number} limit - Items per page
    */
-  const changeLimit = useCallback((limit) => {
-    setPagination((prev) => ({ ...prev, limit }));
+  const changeLimit = useCallback((nextLimit) => {
+    setLimit(nextLimit);
+    setPage(1);
   }, []);
 
   /**
    * Clear error
    */
   const clearError = useCallback(() => {
-    setError(null);
-  }, []);
-
-  // Fetch vouchers when filters change
-  useEffect(() => {
-    fetchVouchers(1);
-  }, [filters]);
+    setDismissedErrorAt(vouchersQuery.updatedAt);
+  }, [vouchersQuery.updatedAt]);
 
   // Cleanup debounce timer
   useEffect(() => {
@@ -293,6 +285,7 @@ function useVouchers(initialFilters = {}) {
     pagination,
     filters,
     isLoading,
+    isFetching,
     error,
 
     // Voucher operations
@@ -0,0 +1,62 @@
+import { createSeedData } from './fixtures';
+import logger from '../utils/logger';
+
+/**
+ * Mock Database
+ * In-memory collections persisted to localStorage so changes survive a reload
+ */
+
+const STORAGE_KEY = 'motivataMockDb';
+
+let db = null;
+
+/**
+ * Get the mock database, seeding it on first use
+ * @returns {Object} Collections keyed by name
+ */
+export const getDb = () => {
+  if (db) return db;
+
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    db = stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    logger.error('[MockDb] Error reading stored data:', error);
+    db = null;
+  }
+
+  if (!db) {
+    logger.info('[MockDb] Seeding fixtures');
+    db = createSeedData();
+    saveDb();
+  }
+
+  return db;
+};
+
+/**
+ * Persist the current state
+ */
+export const saveDb = () => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(db));
+  } catch (error) {
+    logger.error('[MockDb] Error saving data:', error);
+  }
+};
+
+/**
+ * Discard all changes and restore the seed fixtures
+ */
+export const resetDb = () => {
+  logger.info('[MockDb] Resetting to fixtures');
+  db = createSeedData();
+  saveDb();
+};
+
+/**
+ * Generate an ObjectId-like id
+ * @returns {string} 24-char hex id
+ */
+export const createId = () =>
+  Array.from({ length: 24 }, () => Math.floor(Math.random() * 16).toString(16)).join('');
@@ -0,0 +1,614 @@
+/**
+ * Mock Fixtures
+ * Seed data for the in-browser mock backend (VITE_USE_MOCK_API=true)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * ISO date offset from now
+ * @param {number} days - Days from now (negative for past)
+ * @param {number} hour - Hour of day (local time)
+ * @returns {string}
+ */
+const daysFromNow = (days, hour = 10) => {
+  const date = new Date(Date.now() + days * DAY_MS);
+  date.setHours(hour, 0, 0, 0);
+  return date.toISOString();
+};
+
+/**
+ * Deterministic ObjectId-like id so fixtures are stable across resets
+ * @param {string} prefix - 2-char hex prefix per collection
+ * @param {number} n - Sequence number
+ * @returns {string}
+ */
+const fixtureId = (prefix, n) => `${prefix}${String(n).padStart(22, '0')}`;
+
+const timestamps = (createdDaysAgo) => ({
+  createdAt: daysFromNow(-createdDaysAgo),
+  updatedAt: daysFromNow(-createdDaysAgo),
+  isDeleted: false,
+  deletedAt: null,
+});
+
+/**
+ * Demo admin accounts - one per role
+ */
+export const MOCK_CREDENTIALS = [
+  { username: 'superadmin', password: 'password123', role: 'SUPER_ADMIN' },
+  { username: 'admin', password: 'password123', role: 'ADMIN' },
+  { username: 'staff', password: 'password123', role: 'MANAGEMENT_STAFF' },
+];
+
+const FIRST_NAMES = ['Aarav', 'Priya', 'Rohan', 'Ananya', 'Vikram', 'Sneha', 'Karan', 'Isha', 'Arjun', 'Meera', 'Dev', 'Kavya'];
+const LAST_NAMES = ['Sharma', 'Patel', 'Iyer', 'Reddy', 'Mehta', 'Kapoor', 'Nair', 'Gupta', 'Singh', 'Joshi'];
+const CITIES = ['Mumbai', 'Bengaluru', 'Delhi', 'Pune', 'Hyderabad'];
+
+const buildAdmins = () =>
+  MOCK_CREDENTIALS.map((cred, i) => ({
+    _id: fixtureId('a0', i + 1),
+    name: ['Super Admin', 'Riya Admin', 'Gate Staff'][i],
+    username: cred.username,
+    email: `${cred.username}@motivata.demo`,
+    phone: `98000000${i + 1}0`,
+    password: cred.password,
+    role: cred.role,
+    status: 'ACTIVATED',
+    access: cred.role === 'MANAGEMENT_STAFF' ? ['events', 'enrollments'] : [],
+    allowedEvents: cred.role === 'MANAGEMENT_STAFF' ? [fixtureId('e0', 1)] : [],
+    maxCashTicketsAllowed: cred.role === 'MANAGEMENT_STAFF' ? 20 : null,
+    ...timestamps(120 - i * 10),
+  }));
+
+const buildUsers = () =>
+  Array.from({ length: 36 }, (_, i) => {
+    const first = FIRST_NAMES[i % FIRST_NAMES.length];
+    const last = LAST_NAMES[(i * 3) % LAST_NAMES.length];
+    return {
+      _id: fixtureId('b0', i + 1),
+      name: `${first} ${last}`,
+      email: `${first.toLowerCase()}.${last.toLowerCase()}${i}@example.com`,
+      phone: `9${String(876543210 + i * 7919).slice(0, 9)}`,
+      followerCount: (i * 37) % 500,
+      followingCount: (i * 13) % 200,
+      ...timestamps(90 - i * 2),
+    };
+  });
+
+const EVENT_TEMPLATES = [
+  { name: 'Founders Weekly Meetup', category: 'NETWORKING', mode: 'OFFLINE', price: 499 },
+  { name: 'Mindful Mornings Workshop', category: 'WELLNESS', mode: 'OFFLINE', price: 799 },
+  { name: 'Growth Marketing Masterclass', category: 'EDUCATION', mode: 'ONLINE', price: 999 },
+  { name: 'Stand-up Comedy Night', category: 'ENTERTAINMENT', mode: 'OFFLINE', price: 699 },
+  { name: 'Leadership Summit 2026', category: 'BUSINESS', mode: 'HYBRID', price: 2499 },
+  { name: 'Acoustic Evenings', category: 'MUSIC', mode: 'OFFLINE', price: 599 },
+];
+
+const buildEvents = () =>
+  Array.from({ length: 12 }, (_, i) => {
+    const template = EVENT_TEMPLATES[i % EVENT_TEMPLATES.length];
+    const startOffset = i * 6 - 24;
+    const hasTiers = i % 3 === 0;
+    return {
+      _id: fixtureId('e0', i + 1),
+      name: i < EVENT_TEMPLATES.length ? template.name : `${template.name} - Edition ${Math.floor(i / EVENT_TEMPLATES.length) + 1}`,
+      description: `${template.name} brings the Motivata community together for an evening of learning and connection.`,
+      category: template.category,
+      mode: template.mode,
+      city: CITIES[i % CITIES.length],
+      venue: template.mode === 'ONLINE' ? '' : `Motivata Hall ${i + 1}`,
+      joinLink: template.mode === 'OFFLINE' ? '' : 'https://meet.example.com/motivata',
+      imageUrls: [],
+      thumbnail: { imageUrl: '', videoUrl: '' },
+      startDate: daysFromNow(startOffset, 18),
+      endDate: daysFromNow(startOffset, 21),
+      bookingStartDate: daysFromNow(startOffset - 20, 9),
+      bookingEndDate: daysFromNow(startOffset, 12),
+      price: hasTiers ? undefined : template.price,
+      compareAtPrice: hasTiers ? undefined : template.price + 200,
+      pricingTiers: hasTiers
+        ? [
+            { name: 'General', price: template.price, compareAtPrice: template.price + 200, ticketCount: 1 },
+            { name: 'VIP', price: template.price * 2, compareAtPrice: template.price * 2 + 500, ticketCount: 1 },
+          ]
+        : [],
+      availableSeats: 150,
+      ticketsSold: (i * 17) % 120,
+      isLive: startOffset > -3,
+      featured: i % 4 === 1,
+      audience: 'ALL',
+      // Editions of the weekly meetup form a recurring series
+      ...(i % EVENT_TEMPLATES.length === 0 && { seriesId: fixtureId('s0', 1) }),
+      createdBy: fixtureId('a0', 1),
+      ...timestamps(60 - i),
+    };
+  });
+
+const buildCoupons = () =>
+  [
+    { code: 'WELCOME10', discountPercent: 10, maxDiscountAmount: 500, applicableTo: ['ALL'] },
+    { code: 'MEMBER20', discountPercent: 20, maxDiscountAmount: 1000, applicableTo: ['MEMBERSHIP'] },
+    { code: 'FLAT200', discountType: 'flat', discountAmount: 200, applicableTo: ['EVENT'] },
+    { code: 'SESSION15', discountPercent: 15, maxDiscountAmount: 300, applicableTo: ['SESSION'] },
+    { code: 'EXPIRED50', discountPercent: 50, maxDiscountAmount: 2000, applicableTo: ['ALL'], expired: true },
+  ].map((coupon, i) => ({
+    _id: fixtureId('c0', i + 1),
+    code: coupon.code,
+    description: `${coupon.code} promotional coupon`,
+    discountType: coupon.discountType || 'percentage',
+    discountPercent: coupon.discountPercent || 0,
+    maxDiscountAmount: coupon.maxDiscountAmount || 0,
+    discountAmount: coupon.discountAmount || 0,
+    minPurchaseAmount: 0,
+    maxUsageLimit: 100,
+    maxUsagePerUser: 1,
+    currentUsageCount: (i * 7) % 40,
+    validFrom: daysFromNow(coupon.expired ? -60 : -10),
+    validUntil: daysFromNow(coupon.expired ? -5 : 60),
+    isActive: true,
+    applicableTo: coupon.applicableTo,
+    ...timestamps(30 - i),
+  }));
+
+const buildVouchers = (events) =>
+  Array.from({ length: 6 }, (_, i) => ({
+    _id: fixtureId('d0', i + 1),
+    title: ['Partner Pass', 'Speaker Guest', 'Volunteer Entry', 'Press Pass', 'Sponsor Invite', 'Alumni Pass'][i],
+    description: 'Complimentary entry voucher',
+    code: `VCH${1000 + i}`,
+    maxUsage: 10 + i * 5,
+    usageCount: i * 2,
+    phones: [],
+    events: [events[i % events.length]._id],
+    isActive: i !== 4,
+    ...timestamps(20 - i),
+  }));
+
+const PAYMENT_METHODS = ['UPI', 'CARD', 'NETBANKING', 'WALLET'];
+
+/**
+ * Attendees of each event whose booking has opened: online bookings, cash tickets
+ * and voucher redemptions. Tickets for events that have started are mostly scanned.
+ */
+const buildEnrollments = (events, users, vouchers, coupons) => {
+  const scanFields = (event, j) => {
+    const isScanned = new Date(event.startDate) < new Date() && j % 3 !== 0;
+    return { isTicketScanned: isScanned, ticketScannedAt: isScanned ? event.startDate : null };
+  };
+  const attendee = (i, j) => users[(i * 5 + j) % users.length];
+  // The j-th day after booking opened, but never in the future
+  const enrolledAt = (event, j) => {
+    const date = new Date(Math.min(new Date(event.bookingStartDate).getTime() + (j + 1) * DAY_MS, Date.now() - (j + 1) * 60 * 60 * 1000));
+    return { createdAt: date.toISOString(), updatedAt: date.toISOString(), isDeleted: false, deletedAt: null };
+  };
+  const openEvents = events.filter((event) => new Date(event.bookingStartDate) < new Date());
+  const eventCoupon = coupons.find((coupon) => coupon.code === 'FLAT200');
+
+  const eventEnrollments = openEvents.flatMap((event, i) =>
+    Array.from({ length: 8 }, (_, j) => {
+      const user = attendee(i, j);
+      const tier = event.pricingTiers[j % 2];
+      const ticketPrice = tier ? tier.price : event.price;
+      const ticketCount = j % 4 === 1 ? 2 : 1;
+      const isCancelled = j === 6;
+      const isPending = j === 7;
+      const discountAmount = j === 2 ? Math.min(eventCoupon.discountAmount, ticketPrice * ticketCount) : 0;
+      return {
+        _id: fixtureId('e1', i * 8 + j + 1),
+        eventId: event._id,
+        userId: user._id,
+        name: user.name,
+        phone: user.phone,
+        email: user.email,
+        tierName: tier?.name || null,
+        ticketPrice,
+        ticketCount,
+        couponCode: discountAmount ? eventCoupon.code : null,
+        discountAmount,
+        amountPaid: ticketPrice * ticketCount - discountAmount,
+        paymentMethod: PAYMENT_METHODS[j % PAYMENT_METHODS.length],
+        paymentStatus: isPending ? 'PENDING' : 'SUCCESS',
+        orderId: `ORD-${7000 + i * 8 + j}`,
+        status: isCancelled ? 'CANCELLED' : 'ACTIVE',
+        cancelledAt: isCancelled ? daysFromNow(-1) : null,
+        cancellationReason: isCancelled ? 'Requested by attendee' : null,
+        ...(isCancelled || isPending ? { isTicketScanned: false, ticketScannedAt: null } : scanFields(event, j)),
+        ...enrolledAt(event, j),
+      };
+    })
+  );
+
+  const cashEnrollments = openEvents.flatMap((event, i) =>
+    Array.from({ length: 3 }, (_, j) => {
+      const user = attendee(i, j + 8);
+      return {
+        _id: fixtureId('e2', i * 3 + j + 1),
+        eventId: event._id,
+        name: user.name,
+        phone: user.phone,
+        ticketCount: j === 0 ? 2 : 1,
+        priceCharged: event.price ?? event.pricingTiers[0]?.price ?? 0,
+        signature: `CASH${1000 + i * 3 + j}`,
+        generatedBy: { _id: fixtureId('a0', 3), name: 'Gate Staff', username: 'staff' },
+        status: 'ACTIVE',
+        ...scanFields(event, j + 1),
+        ...enrolledAt(event, j + 8),
+      };
+    })
+  );
+
+  // One redemption per recorded use of each voucher
+  const voucherRedemptions = vouchers.flatMap((voucher, v) =>
+    Array.from({ length: voucher.usageCount }, (_, j) => {
+      const event = events.find((e) => e._id === voucher.events[0]);
+      const user = attendee(v, j + 11);
+      return {
+        _id: fixtureId('d1', v * 20 + j + 1),
+        eventId: event._id,
+        voucher: { _id: voucher._id, code: voucher.code, title: voucher.title },
+        name: user.name,
+        phone: user.phone,
+        status: 'ACTIVE',
+        ...scanFields(event, j + 1),
+        ...enrolledAt(event, j + 2),
+      };
+    })
+  );
+
+  return { eventEnrollments, cashEnrollments, voucherRedemptions };
+};
+
+const buildSessions = () =>
+  Array.from({ length: 8 }, (_, i) => ({
+    _id: fixtureId('f0', i + 1),
+    title: ['Career Clarity Call', 'Fitness Kickstart', 'Public Speaking 1:1', 'Startup Office Hours'][i % 4],
+    description: 'One-on-one guidance session with an expert host.',
+    host: `${FIRST_NAMES[(i + 4) % FIRST_NAMES.length]} ${LAST_NAMES[i % LAST_NAMES.length]}`,
+    sessionType: i % 2 === 0 ? 'OTO' : 'OTM',
+    sessionDate: daysFromNow(i * 2 - 4, 16),
+    duration: 60,
+    price: 999 + i * 250,
+    compareAtPrice: 1499 + i * 250,
+    availableSlots: 10,
+    bookedSlots: i % 5,
+    isLive: i % 3 !== 2,
+    ...timestamps(25 - i),
+  }));
+
+const buildSessionBookings = (sessions, users) =>
+  Array.from({ length: 10 }, (_, i) => ({
+    _id: fixtureId('f1', i + 1),
+    bookingReference: `BK${2000 + i}`,
+    session: sessions[i % sessions.length]._id,
+    user: users[i]._id,
+    userName: users[i].name,
+    userPhone: users[i].phone,
+    status: ['pending', 'confirmed', 'completed', 'cancelled', 'no_show'][i % 5],
+    amountPaid: sessions[i % sessions.length].price,
+    ...timestamps(12 - i),
+  }));
+
+const buildMembershipPlans = () =>
+  [
+    { name: 'Monthly', price: 999, durationInDays: 30 },
+    { name: 'Quarterly', price: 2499, durationInDays: 90 },
+    { name: 'Annual', price: 7999, durationInDays: 365 },
+    { name: 'Lifetime', price: 24999, durationInDays: 0 },
+  ].map((plan, i) => ({
+    _id: fixtureId('g0', i + 1),
+    ...plan,
+    description: `${plan.name} access to Motivata clubs and events`,
+    compareAtPrice: Math.round(plan.price * 1.3),
+    perks: ['Club access', 'Member-only events', 'Priority booking'],
+    isFeatured: i === 2,
+    isActive: true,
+    displayOrder: i,
+    ...timestamps(100 - i),
+  }));
+
+const buildUserMemberships = (plans, users) =>
+  Array.from({ length: 14 }, (_, i) => {
+    const plan = plans[i % plans.length];
+    const startOffset = -i * 9;
+    const discountAmount = i % 4 === 1 ? Math.min(Math.round(plan.price * 0.2), 1000) : 0;
+    return {
+      _id: fixtureId('g1', i + 1),
+      phone: users[i].phone,
+      userId: users[i]._id,
+      membershipPlanId: { _id: plan._id, name: plan.name, durationInDays: plan.durationInDays },
+      couponCode: discountAmount ? 'MEMBER20' : null,
+      discountAmount,
+      amountPaid: plan.price - discountAmount,
+      purchaseMethod: i % 3 === 0 ? 'ADMIN' : 'ONLINE',
+      paymentStatus: i % 6 === 5 ? 'PENDING' : 'SUCCESS',
+      status: i % 7 === 6 ? 'EXPIRED' : 'ACTIVE',
+      startDate: daysFromNow(startOffset),
+      endDate: plan.durationInDays ? daysFromNow(startOffset + plan.durationInDays) : null,
+      adminNotes: '',
+      ...timestamps(-startOffset),
+    };
+  });
+
+const buildServices = () =>
+  ['Resume Review', 'Mock Interview', 'Brand Audit', 'Pitch Deck Review'].map((name, i) => ({
+    _id: fixtureId('h0', i + 1),
+    name,
+    description: `${name} by Motivata experts`,
+    shortDescription: name,
+    price: 1499 + i * 1000,
+    compareAtPrice: 1999 + i * 1000,
+    durationInDays: 30,
+    category: 'CONSULTING',
+    requiresApproval: i % 2 === 1,
+    isActive: true,
+    isFeatured: i === 0,
+    ...timestamps(50 - i),
+  }));
+
+const buildServiceOrders = (services, users) =>
+  Array.from({ length: 9 }, (_, i) => ({
+    _id: fixtureId('h1', i + 1),
+    orderId: `SO-${5000 + i}`,
+    customerName: users[i + 3].name,
+    phone: users[i + 3].phone,
+    services: [{ serviceId: services[i % services.length]._id, serviceName: services[i % services.length].name, price: services[i % services.length].price }],
+    totalAmount: services[i % services.length].price,
+    finalAmount: services[i % services.length].price,
+    source: i % 2 === 0 ? 'ADMIN' : 'USER_REQUEST',
+    status: ['PENDING', 'SUCCESS', 'SUCCESS', 'FAILED', 'EXPIRED'][i % 5],
+    paymentLinkUrl: 'https://pay.example.com/link',
+    whatsappSent: true,
+    ...timestamps(15 - i),
+  }));
+
+const buildRequests = (prefix, users, count, extra = () => ({})) =>
+  Array.from({ length: count }, (_, i) => ({
+    _id: fixtureId(prefix, i + 1),
+    name: users[i + 5].name,
+    phone: users[i + 5].phone,
+    email: users[i + 5].email,
+    status: ['PENDING', 'PENDING', 'APPROVED', 'REJECTED'][i % 4],
+    ...extra(i),
+    ...timestamps(10 - i),
+  }));
+
+const buildClubs = () =>
+  ['Founders Circle', 'Runners Club', 'Book Lovers', 'Creators Lab'].map((name, i) => ({
+    _id: fixtureId('k0', i + 1),
+    name,
+    description: `${name} community on Motivata Connect`,
+    memberCount: 40 + i * 25,
+    postCount: 10 + i * 4,
+    requiresApproval: i % 2 === 0,
+    postPermissions: ['ADMIN', 'MEMBER'],
+    ...timestamps(70 - i),
+  }));
+
+const buildCommunicationLogs = (users) =>
+  Array.from({ length: 12 }, (_, i) => {
+    const type = ['EMAIL', 'WHATSAPP'][i % 2];
+    const user = users[i % users.length];
+    const failed = i % 4 === 1;
+    return {
+      _id: fixtureId('n0', i + 1),
+      type,
+      category: ['TICKET', 'MEMBERSHIP', 'OTP'][i % 3],
+      recipient: type === 'EMAIL' ? user.email : user.phone,
+      status: failed ? 'FAILED' : 'SUCCESS',
+      errorMessage: failed ? (type === 'EMAIL' ? 'Mailbox unavailable' : 'Number not on WhatsApp') : null,
+      ...timestamps(i),
+    };
+  });
+
+/**
+ * Ledger of every transaction behind the bookings, memberships, service orders,
+ * session bookings and cash tickets above. Gateway payments carry Razorpay ids;
+ * cancelled bookings were refunded and one service order was partly refunded.
+ */
+const buildPayments = ({ events, eventEnrollments, cashEnrollments, sessions, sessionBookings, userMemberships, serviceOrders, users }) => {
+  const refundFields = (n, amount, refund) => ({
+    refundStatus: !refund ? 'NONE' : refund.amount < amount ? 'PARTIAL' : 'REFUNDED',
+    refundedAmount: refund ? refund.amount : 0,
+    refunds: refund ? [{ refundId: `rfnd_MV${String(n).padStart(12, '0')}`, status: 'PROCESSED', ...refund }] : [],
+  });
+  const eventName = (eventId) => events.find((event) => event._id === eventId)?.name || 'Event';
+
+  const payments = [
+    ...eventEnrollments.map((enrollment) => ({
+      type: 'EVENT',
+      sourceId: enrollment._id,
+      sourceReference: enrollment.orderId,
+      eventId: enrollment.eventId,
+      description: `${eventName(enrollment.eventId)} - ${enrollment.ticketCount} ticket${enrollment.ticketCount > 1 ? 's' : ''}`,
+      customerName: enrollment.name,
+      customerPhone: enrollment.phone,
+      customerEmail: enrollment.email,
+      method: enrollment.paymentMethod,
+      originalAmount: enrollment.ticketPrice * enrollment.ticketCount,
+      couponCode: enrollment.couponCode,
+      discountAmount: enrollment.discountAmount,
+      amount: enrollment.amountPaid,
+      status: enrollment.paymentStatus,
+      refund: enrollment.status === 'CANCELLED' && { amount: enrollment.amountPaid, reason: enrollment.cancellationReason, createdAt: enrollment.cancelledAt },
+      createdAt: enrollment.createdAt,
+    })),
+    ...userMemberships.map((membership) => ({
+      type: 'MEMBERSHIP',
+      sourceId: membership._id,
+      sourceReference: membership._id,
+      description: `${membership.membershipPlanId.name} membership`,
+      customerName: users.find((user) => user._id === membership.userId)?.name || '',
+      customerPhone: membership.phone,
+      customerEmail: users.find((user) => user._id === membership.userId)?.email || '',
+      method: membership.purchaseMethod === 'ADMIN' ? 'NETBANKING' : 'UPI',
+      originalAmount: membership.amountPaid + membership.discountAmount,
+      couponCode: membership.couponCode,
+      discountAmount: membership.discountAmount,
+      amount: membership.amountPaid,
+      status: membership.paymentStatus,
+      createdAt: membership.createdAt,
+    })),
+    ...serviceOrders.map((order, i) => ({
+      type: 'SERVICE',
+      sourceId: order._id,
+      sourceReference: order.orderId,
+      description: order.services.map((service) => service.serviceName).join(', '),
+      customerName: order.customerName,
+      customerPhone: order.phone,
+      customerEmail: '',
+      method: 'CARD',
+      originalAmount: order.totalAmount,
+      couponCode: null,
+      discountAmount: order.totalAmount - order.finalAmount,
+      amount: order.finalAmount,
+      status: { SUCCESS: 'SUCCESS', PENDING: 'PENDING' }[order.status] || 'FAILED',
+      failureReason: order.status === 'EXPIRED' ? 'Payment link expired' : order.status === 'FAILED' ? 'Payment declined by bank' : null,
+      refund: i === 2 && { amount: Math.round(order.finalAmount / 2), reason: 'Partial service delivered', createdAt: order.updatedAt },
+      createdAt: order.createdAt,
+    })),
+    ...sessionBookings.map((booking) => {
+      const session = sessions.find((item) => item._id === booking.session);
+      return {
+        type: 'SESSION',
+        sourceId: booking._id,
+        sourceReference: booking.bookingReference,
+        description: session?.title || 'Session',
+        customerName: booking.userName,
+        customerPhone: booking.userPhone,
+        customerEmail: '',
+        method: 'UPI',
+        originalAmount: booking.amountPaid,
+        couponCode: null,
+        discountAmount: 0,
+        amount: booking.amountPaid,
+        status: booking.status === 'pending' ? 'PENDING' : 'SUCCESS',
+        refund: booking.status === 'cancelled' && { amount: booking.amountPaid, reason: 'Session booking cancelled', createdAt: booking.updatedAt },
+        createdAt: booking.createdAt,
+      };
+    }),
+  ].map(({ refund, createdAt, failureReason = null, ...payment }, i) => ({
+    _id: fixtureId('p1', i + 1),
+    ...payment,
+    gateway: 'RAZORPAY',
+    gatewayOrderId: `order_MV${String(i + 1).padStart(12, '0')}`,
+    gatewayPaymentId: payment.status === 'PENDING' ? null : `pay_MV${String((i + 1) * 7919).padStart(12, '0')}`,
+    failureReason,
+    ...refundFields(i + 1, payment.amount, refund),
+    paidAt: payment.status === 'SUCCESS' ? createdAt : null,
+    createdAt,
+    updatedAt: createdAt,
+    isDeleted: false,
+    deletedAt: null,
+  }));
+
+  const cashPayments = cashEnrollments.map((enrollment, i) => ({
+    _id: fixtureId('p2', i + 1),
+    type: 'CASH',
+    sourceId: enrollment._id,
+    sourceReference: enrollment.signature,
+    eventId: enrollment.eventId,
+    description: `${eventName(enrollment.eventId)} - ${enrollment.ticketCount} cash ticket${enrollment.ticketCount > 1 ? 's' : ''}`,
+    customerName: enrollment.name,
+    customerPhone: enrollment.phone,
+    customerEmail: '',
+    gateway: 'CASH',
+    gatewayOrderId: null,
+    gatewayPaymentId: null,
+    method: 'CASH',
+    originalAmount: enrollment.priceCharged * enrollment.ticketCount,
+    couponCode: null,
+    discountAmount: 0,
+    amount: enrollment.priceCharged * enrollment.ticketCount,
+    status: 'SUCCESS',
+    failureReason: null,
+    refundStatus: 'NONE',
+    refundedAmount: 0,
+    refunds: [],
+    collectedBy: enrollment.generatedBy,
+    paidAt: enrollment.createdAt,
+    createdAt: enrollment.createdAt,
+    updatedAt: enrollment.createdAt,
+    isDeleted: false,
+    deletedAt: null,
+  }));
+
+  return [...payments, ...cashPayments];
+};
+
+/**
+ * Build a fresh copy of the mock database
+ * @returns {Object} Collections keyed by name
+ */
+export const createSeedData = () => {
+  const admins = buildAdmins();
+  const users = buildUsers();
+  const events = buildEvents();
+  const sessions = buildSessions();
+  const membershipPlans = buildMembershipPlans();
+  const services = buildServices();
+  const clubs = buildClubs();
+  const coupons = buildCoupons();
+  const vouchers = buildVouchers(events);
+  const enrollments = buildEnrollments(events, users, vouchers, coupons);
+  const sessionBookings = buildSessionBookings(sessions, users);
+  const userMemberships = buildUserMemberships(membershipPlans, users);
+  const serviceOrders = buildServiceOrders(services, users);
+
+  return {
+    admins,
+    users,
+    events,
+    coupons,
+    vouchers,
+    ...enrollments,
+    payments: buildPayments({ ...enrollments, events, users, coupons, sessions, sessionBookings, userMemberships, serviceOrders }),
+    sessions,
+    sessionBookings,
+    membershipPlans,
+    userMemberships,
+    membershipRequests: buildRequests('g2', users, 8, (i) => ({
+      requestedPlanId: membershipPlans[i % membershipPlans.length]._id,
+    })),
+    services,
+    serviceOrders,
+    serviceRequests: buildRequests('h2', users, 6, (i) => ({
+      userName: users[i + 5].name,
+      services: [{ serviceId: services[i % services.length]._id, serviceName: services[i % services.length].name }],
+    })),
+    userSubscriptions: [],
+    blendRequests: buildRequests('m0', users, 7),
+    roundTableRequests: buildRequests('m1', users, 5),
+    clubs,
+    clubJoinRequests: buildRequests('k1', users, 6, (i) => ({
+      club: { _id: clubs[i % clubs.length]._id, name: clubs[i % clubs.length].name },
+    })),
+    offlineCash: [],
+    quizes: [],
+    challenges: [],
+    polls: [],
+    stories: [],
+    jobs: [],
+    jobApplications: [],
+    opportunityFilters: [],
+    recommendations: [],
+    sosPrograms: [],
+    sosQuizzes: [],
+    seatArrangements: {},
+    auditLogs: [],
+    savedViews: [],
+    tableLayouts: [],
+    realtimeEvents: [],
+    communicationLogs: buildCommunicationLogs(users),
+    notificationStates: [],
+    settings: {
+      appVersion: {
+        currentVersion: '1.4.0',
+        minimumVersion: '1.2.0',
+        forceUpdate: false,
+        updateUrl: 'https://play.google.com/store/apps/details?id=com.motivata.app',
+      },
+      twoFactorPolicy: { requiredRoles: [] },
+    },
+  };
+};
@@ -0,0 +1,2436 @@
+import { getDb, saveDb, createId } from './db';
+import { generateSecret, buildOtpauthUrl, verifyTotp, generateBackupCodes } from './totp';
+import { TIME_RANGES, getTimeRangeBounds } from '../utils/timeRanges';
+import logger from '../utils/logger';
+
+/**
+ * Mock Handlers
+ * Route table emulating the backend's /web/* endpoints against the mock database
+ *
+ * Each handler receives { params, query, body, admin, authorization } and returns (or resolves to)
+ * { data, message, status }. Throw MockHttpError to respond with an error status.
+ */
+
+// Short-lived so the 401 -> refresh-token path in api.service gets exercised
+const ACCESS_TOKEN_TTL_MS = 15 * 60 * 1000;
+
+// Time allowed between the password step and the 2FA step of a login
+const TWO_FACTOR_TOKEN_TTL_MS = 5 * 60 * 1000;
+
+// Lifetime of emailed links
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+const INVITE_TTL_MS = 72 * 60 * 60 * 1000;
+
+const DEFAULT_LIMIT = 10;
+
+// Query params handled by list() itself rather than as field filters
+const RESERVED_QUERY_KEYS = ['page', 'limit', 'search', 'sortBy', 'sortOrder', 'startDate', 'endDate'];
+
+/**
+ * Error carrying an HTTP status for the mock adapter
+ */
+export class MockHttpError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {string} message - Error message
+   * @param {Array<{field: string, message: string}>} [errors] - Per-field validation errors
+   */
+  constructor(status, message, errors = null) {
+    super(message);
+    this.name = 'MockHttpError';
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+const notFound = (label) => {
+  throw new MockHttpError(404, `${label} not found`);
+};
+
+const now = () => new Date().toISOString();
+
+// ============ TOKENS ============
+
+const createAccessToken = (adminId) => `mock-access.${adminId}.${Date.now() + ACCESS_TOKEN_TTL_MS}`;
+const createRefreshToken = (adminId) => `mock-refresh.${adminId}.${createId()}`;
+const createTwoFactorToken = (adminId) => `mock-2fa.${adminId}.${Date.now() + TWO_FACTOR_TOKEN_TTL_MS}`;
+
+const issueTokens = (admin) => ({
+  accessToken: createAccessToken(admin._id),
+  refreshToken: createRefreshToken(admin._id),
+});
+
+/**
+ * Resolve the admin from a Bearer token
+ * @param {string} authHeader - Authorization header value
+ * @returns {Object} Admin record
+ */
+const authenticate = (authHeader) => {
+  const token = authHeader?.replace(/^Bearer\s+/i, '');
+  const [prefix, adminId, expiresAt] = token?.split('.') || [];
+
+  if (prefix !== 'mock-access') {
+    throw new MockHttpError(401, 'Authentication required');
+  }
+  if (Number(expiresAt) < Date.now()) {
+    throw new MockHttpError(401, 'Access token expired');
+  }
+
+  const admin = getDb().admins.find((a) => a._id === adminId && !a.isDeleted);
+  if (!admin || admin.status !== 'ACTIVATED') {
+    throw new MockHttpError(401, 'Admin not found or deactivated');
+  }
+  return admin;
+};
+
+const requireSuperAdmin = (admin) => {
+  if (admin.role !== 'SUPER_ADMIN') {
+    throw new MockHttpError(403, 'Only super admins can manage admins');
+  }
+};
+
+/**
+ * Resolve the admin from a pending login token issued by /web/auth/login
+ * Answers 400 rather than 401 so the client doesn't try a token refresh
+ * @param {string} twoFactorToken - Pending login token
+ * @returns {Object} Admin record
+ */
+const resolveTwoFactorToken = (twoFactorToken) => {
+  const [prefix, adminId, expiresAt] = twoFactorToken?.split('.') || [];
+  const admin = getDb().admins.find((a) => a._id === adminId && !a.isDeleted);
+
+  if (prefix !== 'mock-2fa' || !admin || Number(expiresAt) < Date.now()) {
+    throw new MockHttpError(400, 'Two-factor session expired. Please sign in again.');
+  }
+  return admin;
+};
+
+const getTwoFactorPolicy = () => getDb().settings.twoFactorPolicy || { requiredRoles: [] };
+
+const isTwoFactorRequired = (admin) => getTwoFactorPolicy().requiredRoles.includes(admin.role);
+
+const sanitizeAdmin = (admin) => {
+  const {
+    password: _password,
+    twoFactorSecret: _twoFactorSecret,
+    twoFactorPendingSecret: _twoFactorPendingSecret,
+    backupCodes: _backupCodes,
+    passwordResetToken: _passwordResetToken,
+    inviteToken: _inviteToken,
+    ...rest
+  } = admin;
+  return { ...rest, twoFactorEnabled: !!admin.twoFactorEnabled, twoFactorRequired: isTwoFactorRequired(admin) };
+};
+
+const completeLogin = (admin) => {
+  admin.lastLoginAt = now();
+  saveDb();
+  return { admin: sanitizeAdmin(admin), tokens: issueTokens(admin) };
+};
+
+/**
+ * Accept a TOTP code, or consume a one-time backup code
+ * @returns {Promise<boolean>}
+ */
+const verifySecondFactor = async (admin, code) => {
+  const value = String(code || '').trim().toLowerCase();
+  if (await verifyTotp(admin.twoFactorSecret, value)) return true;
+
+  const backupIndex = (admin.backupCodes || []).indexOf(value);
+  if (backupIndex === -1) return false;
+
+  admin.backupCodes.splice(backupIndex, 1);
+  saveDb();
+  return true;
+};
+
+// ============ EMAILED LINKS ============
+
+// No mail server offline - links are logged and returned so the UI can open them
+const buildAppUrl = (path) => `${typeof window === 'undefined' ? '' : window.location.origin}${path}`;
+
+const createLinkToken = () => `${createId()}${createId()}`;
+
+/**
+ * Find the admin holding a live emailed-link token
+ * @param {string} tokenField - passwordResetToken | inviteToken
+ * @param {string} expiryField - Matching expiry field
+ * @param {string} token - Token from the link
+ * @param {string} message - Error when missing or expired
+ */
+const findByLinkToken = (tokenField, expiryField, token, message) => {
+  const admin = token && getDb().admins.find((a) => !a.isDeleted && a[tokenField] === token);
+  if (!admin || new Date(admin[expiryField]).getTime() < Date.now()) {
+    throw new MockHttpError(400, message);
+  }
+  return admin;
+};
+
+const INVALID_RESET_LINK = 'Password reset link is invalid or has expired';
+const INVALID_INVITE_LINK = 'Invite link is invalid or has expired';
+
+const validatePassword = (password) => {
+  if (!password || String(password).length < 8) {
+    throw new MockHttpError(400, 'Validation failed', [
+      { field: 'password', message: 'Password must be at least 8 characters' },
+    ]);
+  }
+};
+
+/**
+ * Issue a fresh invite link for a pending admin (replaces any earlier link)
+ * @returns {{admin: Object, inviteUrl: string, expiresAt: string}}
+ */
+const issueInvite = (admin, actingAdmin) => {
+  const inviteToken = createLinkToken();
+  const expiresAt = new Date(Date.now() + INVITE_TTL_MS).toISOString();
+  const updated = updateRecord('admins', admin._id, 'Admin', { inviteToken, inviteExpiresAt: expiresAt, invitedBy: actingAdmin._id });
+  const inviteUrl = buildAppUrl(`/accept-invite/${inviteToken}`);
+  logger.info(`[MockApi] Invite email to ${admin.email}: ${inviteUrl}`);
+  return { admin: sanitizeAdmin(updated), inviteUrl, expiresAt };
+};
+
+const clearTwoFactor = () => ({
+  twoFactorEnabled: false,
+  twoFactorSecret: null,
+  twoFactorPendingSecret: null,
+  backupCodes: [],
+});
+
+// ============ AUDIT LOG ============
+
+// Collections whose changes are recorded, by audit entity type
+const AUDITED_COLLECTIONS = {
+  users: 'USER',
+  admins: 'ADMIN',
+  events: 'EVENT',
+  coupons: 'COUPON',
+  vouchers: 'VOUCHER',
+  sessions: 'SESSION',
+  offlineCash: 'CASH_TICKET',
+  eventEnrollments: 'ENROLLMENT',
+  cashEnrollments: 'ENROLLMENT',
+  voucherRedemptions: 'ENROLLMENT',
+  userMemberships: 'MEMBERSHIP',
+  membershipRequests: 'MEMBERSHIP_REQUEST',
+  services: 'SERVICE',
+  serviceOrders: 'SERVICE_ORDER',
+  serviceRequests: 'SERVICE_REQUEST',
+  userSubscriptions: 'USER_SUBSCRIPTION',
+  blendRequests: 'MOTIVATA_BLEND_REQUEST',
+  roundTableRequests: 'ROUND_TABLE_REQUEST',
+  clubs: 'CLUB',
+  challenges: 'CHALLENGE',
+  quizes: 'QUIZ',
+  polls: 'POLL',
+  stories: 'STORY',
+};
+
+// Route suffixes recorded as their own action rather than UPDATE
+const AUDITED_ACTIONS = ['approve', 'reject', 'enable', 'disable', 'extend', 'cancel'];
+
+// Oldest entries are dropped past this so localStorage stays small
+const AUDIT_LOG_LIMIT = 500;
+
+const auditSnapshot = (item) => {
+  if (!item) return null;
+  const {
+    password: _password,
+    twoFactorSecret: _twoFactorSecret,
+    twoFactorPendingSecret: _twoFactorPendingSecret,
+    backupCodes: _backupCodes,
+    passwordResetToken: _passwordResetToken,
+    inviteToken: _inviteToken,
+    ...rest
+  } = item;
+  return JSON.parse(JSON.stringify(rest));
+};
+
+/**
+ * Record an admin action on a record
+ * @param {Object} admin - Acting admin
+ * @param {string} auditAction - CREATE, UPDATE, DELETE, ...
+ * @param {string} collection - Mock db collection (ignored unless audited)
+ * @param {Object|null} before - Record before the change
+ * @param {Object|null} after - Record after the change
+ */
+const recordAudit = (admin, auditAction, collection, before, after) => {
+  const entityType = AUDITED_COLLECTIONS[collection];
+  if (!entityType || !admin) return;
+
+  const record = after || before;
+  const db = getDb();
+  db.auditLogs = [
+    {
+      _id: createId(),
+      action: auditAction,
+      entityType,
+      entityId: record._id,
+      entityName: record.name || record.title || record.code || record.username || record.phone || null,
+      admin: { _id: admin._id, name: admin.name, username: admin.username },
+      before: auditSnapshot(before),
+      after: auditSnapshot(after),
+      createdAt: now(),
+    },
+    ...(db.auditLogs || []),
+  ].slice(0, AUDIT_LOG_LIMIT);
+  saveDb();
+};
+
+const requireAuditAccess = (admin) => {
+  if (admin.role !== 'SUPER_ADMIN') {
+    throw new MockHttpError(403, 'Only super admins can view the audit log');
+  }
+};
+
+// ============ REALTIME ============
+
+// Collections whose changes are pushed to open admin panels, by event prefix
+const REALTIME_COLLECTIONS = {
+  membershipRequests: 'MEMBERSHIP_REQUEST',
+  blendRequests: 'MOTIVATA_BLEND_REQUEST',
+  roundTableRequests: 'ROUND_TABLE_REQUEST',
+  clubJoinRequests: 'CLUB_JOIN_REQUEST',
+  serviceRequests: 'SERVICE_REQUEST',
+};
+
+const REALTIME_EVENT_LIMIT = 200;
+
+/**
+ * Queue an event for the realtime feed
+ * @param {string} type - Event type, e.g. MEMBERSHIP_REQUEST_CREATED
+ * @param {Object} data - Event payload
+ */
+const publishEvent = (type, data) => {
+  const db = getDb();
+  const events = db.realtimeEvents || [];
+  const id = (events[events.length - 1]?.id || 0) + 1;
+  db.realtimeEvents = [...events, { id, type, data, createdAt: now() }].slice(-REALTIME_EVENT_LIMIT);
+  saveDb();
+};
+
+/**
+ * Publish a record change when its collection is pushed
+ * @param {string} collection - Mock db collection
+ * @param {string} change - CREATED or UPDATED
+ * @param {Object} item - The record
+ */
+const publishRecordEvent = (collection, change, item) => {
+  const prefix = REALTIME_COLLECTIONS[collection];
+  if (!prefix) return;
+  publishEvent(`${prefix}_${change}`, { _id: item._id, status: item.status || null });
+};
+
+const matchesDateRange = (value, startDate, endDate) => {
+  const day = value.slice(0, 10);
+  return (!startDate || day >= startDate) && (!endDate || day <= endDate);
+};
+
+// ============ COLLECTION HELPERS ============
+
+const findById = (collection, id, label) => {
+  const item = getDb()[collection].find((record) => record._id === id);
+  return item || notFound(label);
+};
+
+const matchesSearch = (item, search, fields) => {
+  const term = search.toLowerCase();
+  return fields.some((field) => String(item[field] ?? '').toLowerCase().includes(term));
+};
+
+/**
+ * Filter, search, sort and paginate a collection
+ * Query params naming a field on the records are applied as equality filters;
+ * startDate/endDate (YYYY-MM-DD) bound the submission or creation date
+ * @returns {{ items: Object[], pagination: Object }}
+ */
+const queryCollection = (items, query, searchFields) => {
+  let result = items;
+
+  if (query.search) {
+    result = result.filter((item) => matchesSearch(item, query.search, searchFields));
+  }
+
+  if (query.startDate || query.endDate) {
+    result = result.filter((item) =>
+      matchesDateRange(item.submittedAt || item.createdAt || '', query.startDate, query.endDate)
+    );
+  }
+
+  // Range filters on a record's own date field, e.g. startDateFrom / startDateTo
+  Object.entries(query).forEach(([key, value]) => {
+    const [, field, bound] = key.match(/^(\w+Date)(From|To)$/) || [];
+    if (!field || !value || !items.some((item) => field in item)) return;
+    // A bare YYYY-MM-DD upper bound includes that whole day
+    const limit = bound === 'To' && value.length === 10 ? `${value}T23:59:59.999Z` : value;
+    result = result.filter((item) => (bound === 'From' ? item[field] >= limit : item[field] <= limit));
+  });
+
+  Object.entries(query).forEach(([key, value]) => {
+    if (RESERVED_QUERY_KEYS.includes(key) || value === '' || value === undefined) return;
+    if (!items.some((item) => key in item)) return;
+    result = result.filter((item) => String(item[key]) === String(value));
+  });
+
+  const sortBy = query.sortBy || 'createdAt';
+  const direction = query.sortOrder === 'asc' ? 1 : -1;
+  result = [...result].sort((a, b) => {
+    if (a[sortBy] === b[sortBy]) return 0;
+    return a[sortBy] > b[sortBy] ? direction : -direction;
+  });
+
+  const limit = Math.max(1, Number(query.limit) || DEFAULT_LIMIT);
+  const totalCount = result.length;
+  const totalPages = Math.max(1, Math.ceil(totalCount / limit));
+  const currentPage = Math.min(Math.max(1, Number(query.page) || 1), totalPages);
+
+  return {
+    items: result.slice((currentPage - 1) * limit, currentPage * limit),
+    pagination: {
+      currentPage,
+      totalPages,
+      totalCount,
+      limit,
+      hasNextPage: currentPage < totalPages,
+      hasPrevPage: currentPage > 1,
+      // Offline cash endpoints use the short names
+      page: currentPage,
+      pages: totalPages,
+      total: totalCount,
+    },
+  };
+};
+
+/**
+ * Apply changes to a record, recording them in the audit log when an admin is given
+ * @param {string} collection - Mock db collection
+ * @param {string} id - Record ID
+ * @param {string} label - Name used in messages
+ * @param {Object} changes - Fields to set
+ * @param {Object} [audit] - { admin, action } of the admin making the change
+ */
+const updateRecord = (collection, id, label, changes, audit) => {
+  const item = findById(collection, id, label);
+  const before = audit ? auditSnapshot(item) : null;
+  Object.assign(item, changes, { updatedAt: now() });
+  saveDb();
+  if (audit) recordAudit(audit.admin, audit.action, collection, before, item);
+  publishRecordEvent(collection, 'UPDATED', item);
+  return item;
+};
+
+/**
+ * Reject a write that would duplicate a unique field, the way the backend's
+ * validators do (400 with per-field errors)
+ * @param {string} collection - Mock db collection
+ * @param {Object} body - Incoming fields
+ * @param {string[]} uniqueFields - Fields that must be unique
+ * @param {string} [excludeId] - Record being updated
+ */
+const assertUnique = (collection, body, uniqueFields, excludeId = null) => {
+  const errors = uniqueFields
+    .filter((field) => body[field] !== undefined && body[field] !== '')
+    .filter((field) =>
+      getDb()[collection].some(
+        (item) =>
+          item._id !== excludeId &&
+          String(item[field]).toLowerCase() === String(body[field]).toLowerCase()
+      )
+    )
+    .map((field) => ({ field, message: `This ${field} is already in use` }));
+
+  if (errors.length > 0) {
+    throw new MockHttpError(400, 'Validation failed', errors);
+  }
+};
+
+/**
+ * Standard REST routes for a soft-deletable collection
+ * @param {string} base - Endpoint path
+ * @param {Object} options
+ * @param {string} options.collection - Mock db collection
+ * @param {string} options.listKey - Response key for lists
+ * @param {string} options.itemKey - Response key for single records
+ * @param {string} options.label - Name used in messages
+ * @param {string[]} [options.searchFields] - Fields matched by ?search=
+ * @param {string[]} [options.uniqueFields] - Fields rejected with a field error when duplicated
+ */
+const resource = (base, { collection, listKey, itemKey, label, searchFields = ['name'], uniqueFields = [] }) => [
+  [
+    'GET',
+    `${base}/deleted`,
+    ({ query }) => {
+      const deleted = getDb()[collection].filter((item) => item.isDeleted);
+      const { items, pagination } = queryCollection(deleted, query, searchFields);
+      return { data: { [listKey]: items, pagination } };
+    },
+  ],
+  [
+    'GET',
+    base,
+    ({ query }) => {
+      const active = getDb()[collection].filter((item) => !item.isDeleted);
+      const { items, pagination } = queryCollection(active, query, searchFields);
+      return { data: { [listKey]: items, pagination } };
+    },
+  ],
+  [
+    'POST',
+    base,
+    ({ body, admin }) => {
+      assertUnique(collection, body, uniqueFields);
+      const item = {
+        _id: createId(),
+        ...body,
+        createdBy: admin._id,
+        createdAt: now(),
+        updatedAt: now(),
+        isDeleted: false,
+        deletedAt: null,
+      };
+      getDb()[collection].unshift(item);
+      saveDb();
+      recordAudit(admin, 'CREATE', collection, null, item);
+      publishRecordEvent(collection, 'CREATED', item);
+      return { status: 201, message: `${label} created successfully`, data: { [itemKey]: item } };
+    },
+  ],
+  ['GET', `${base}/:id`, ({ params }) => ({ data: { [itemKey]: findById(collection, params.id, label) } })],
+  [
+    ['PUT', 'PATCH'],
+    `${base}/:id`,
+    ({ params, body, admin }) => {
+      assertUnique(collection, body, uniqueFields, params.id);
+      return {
+        message: `${label} updated successfully`,
+        data: { [itemKey]: updateRecord(collection, params.id, label, body, { admin, action: 'UPDATE' }) },
+      };
+    },
+  ],
+  [
+    'DELETE',
+    `${base}/:id/permanent`,
+    ({ params, admin }) => {
+      const db = getDb();
+      const item = findById(collection, params.id, label);
+      db[collection] = db[collection].filter((record) => record._id !== params.id);
+      saveDb();
+      recordAudit(admin, 'PERMANENT_DELETE', collection, item, null);
+      return { message: `${label} permanently deleted` };
+    },
+  ],
+  [
+    'DELETE',
+    `${base}/:id`,
+    ({ params, admin }) => ({
+      message: `${label} deleted successfully`,
+      data: {
+        [itemKey]: updateRecord(
+          collection,
+          params.id,
+          label,
+          { isDeleted: true, deletedAt: now(), deletedBy: admin._id },
+          { admin, action: 'DELETE' }
+        ),
+      },
+    }),
+  ],
+  [
+    'POST',
+    `${base}/:id/restore`,
+    ({ params, admin }) => ({
+      message: `${label} restored successfully`,
+      data: {
+        [itemKey]: updateRecord(
+          collection,
+          params.id,
+          label,
+          { isDeleted: false, deletedAt: null, deletedBy: null },
+          { admin, action: 'RESTORE' }
+        ),
+      },
+    }),
+  ],
+];
+
+/**
+ * Route applying a fixed or computed change to a record
+ * Audited as the route's last segment when it names an action (approve, extend, ...), else UPDATE
+ * @param {string|string[]} method - HTTP method(s)
+ * @param {string} path - Route pattern with :id
+ * @param {Object} options - { collection, itemKey, label, message }
+ * @param {Object|Function} changes - Fields to set, or (item, body) => fields
+ */
+const action = (method, path, { collection, itemKey, label }, message, changes) => {
+  const suffix = path.split('/').pop();
+  const auditAction = AUDITED_ACTIONS.includes(suffix) ? suffix.toUpperCase() : 'UPDATE';
+
+  return [
+    method,
+    path,
+    ({ params, body, admin }) => {
+      const item = findById(collection, params.id, label);
+      const fields = typeof changes === 'function' ? changes(item, body) : changes;
+      return {
+        message,
+        data: { [itemKey]: updateRecord(collection, params.id, label, fields, { admin, action: auditAction }) },
+      };
+    },
+  ];
+};
+
+const pendingCount = (path, collection) => [
+  'GET',
+  path,
+  () => ({
+    data: { count: getDb()[collection].filter((item) => item.status === 'PENDING' && !item.isDeleted).length },
+  }),
+];
+
+/**
+ * Approve/reject routes for request queues
+ */
+const reviewRoutes = (base, options) => [
+  action('POST', `${base}/:id/approve`, options, `${options.label} approved`, (item, body) => ({
+    ...body,
+    status: 'APPROVED',
+    reviewedAt: now(),
+  })),
+  action('POST', `${base}/:id/reject`, options, `${options.label} rejected`, (item, body) => ({
+    ...body,
+    status: 'REJECTED',
+    reviewedAt: now(),
+  })),
+];
+
+// ============ AUTH ============
+
+const authRoutes = [
+  [
+    'POST',
+    '/web/auth/login',
+    ({ body }) => {
+      const admin = getDb().admins.find(
+        (a) => !a.isDeleted && (a.username === body.username || a.email === body.username)
+      );
+      if (!admin || admin.password !== body.password) {
+        throw new MockHttpError(401, 'Invalid username or password');
+      }
+      if (admin.status === 'INVITED') {
+        throw new MockHttpError(403, 'Accept your invite to set a password before signing in');
+      }
+      if (admin.status !== 'ACTIVATED') {
+        throw new MockHttpError(403, 'Account is deactivated');
+      }
+
+      if (admin.twoFactorEnabled) {
+        return {
+          message: 'Two-factor code required',
+          data: { requiresTwoFactor: true, twoFactorToken: createTwoFactorToken(admin._id) },
+        };
+      }
+      if (isTwoFactorRequired(admin)) {
+        return {
+          message: 'Two-factor setup required',
+          data: { twoFactorSetupRequired: true, twoFactorToken: createTwoFactorToken(admin._id) },
+        };
+      }
+
+      return { message: 'Login successful', data: completeLogin(admin) };
+    },
+    { public: true },
+  ],
+  [
+    'POST',
+    '/web/auth/login/2fa',
+    async ({ body }) => {
+      const admin = resolveTwoFactorToken(body.twoFactorToken);
+      if (!(await verifySecondFactor(admin, body.code))) {
+        throw new MockHttpError(400, 'Invalid verification code');
+      }
+      return { message: 'Login successful', data: completeLogin(admin) };
+    },
+    { public: true },
+  ],
+  [
+    'POST',
+    '/web/auth/register',
+    ({ body }) => {
+      const db = getDb();
+      if (db.admins.some((a) => a.username === body.username || a.email === body.email)) {
+        throw new MockHttpError(409, 'Username or email already exists');
+      }
+      const admin = {
+        _id: createId(),
+        role: 'MANAGEMENT_STAFF',
+        status: 'ACTIVATED',
+        access: [],
+        allowedEvents: [],
+        ...body,
+        createdAt: now(),
+        updatedAt: now(),
+        isDeleted: false,
+      };
+      db.admins.push(admin);
+      saveDb();
+      return {
+        status: 201,
+        message: 'Registration successful',
+        data: {
+          admin: sanitizeAdmin(admin),
+          tokens: { accessToken: createAccessToken(admin._id), refreshToken: createRefreshToken(admin._id) },
+        },
+      };
+    },
+    { public: true },
+  ],
+  [
+    'POST',
+    '/web/auth/refresh-token',
+    ({ body }) => {
+      const [prefix, adminId] = body.refreshToken?.split('.') || [];
+      const admin = getDb().admins.find((a) => a._id === adminId && !a.isDeleted);
+      if (prefix !== 'mock-refresh' || !admin) {
+        throw new MockHttpError(401, 'Invalid refresh token');
+      }
+      return { message: 'Token refreshed', data: { accessToken: createAccessToken(admin._id) } };
+    },
+    { public: true },
+  ],
+  ['POST', '/web/auth/logout', () => ({ message: 'Logout successful' })],
+  ['GET', '/web/auth/profile', ({ admin }) => ({ data: { admin: sanitizeAdmin(admin) } })],
+  [
+    'PUT',
+    '/web/auth/profile',
+    ({ admin, body }) => {
+      const { name, email, phone } = body;
+      const updated = updateRecord('admins', admin._id, 'Admin', { name, email, phone });
+      return { message: 'Profile updated successfully', data: { admin: sanitizeAdmin(updated) } };
+    },
+  ],
+  [
+    'POST',
+    '/web/auth/2fa/setup',
+    ({ body, authorization }) => {
+      const admin = body.twoFactorToken ? resolveTwoFactorToken(body.twoFactorToken) : authenticate(authorization);
+      if (admin.twoFactorEnabled) {
+        throw new MockHttpError(400, 'Two-factor authentication is already enabled');
+      }
+
+      const secret = generateSecret();
+      updateRecord('admins', admin._id, 'Admin', { twoFactorPendingSecret: secret });
+      // No QR rendering offline - the setup screen falls back to manual key entry
+      return { data: { secret, otpauthUrl: buildOtpauthUrl(secret, admin.username), qrCode: null } };
+    },
+    { public: true },
+  ],
+  [
+    'POST',
+    '/web/auth/2fa/enable',
+    async ({ body, authorization }) => {
+      const isLoginEnrollment = !!body.twoFactorToken;
+      const admin = isLoginEnrollment ? resolveTwoFactorToken(body.twoFactorToken) : authenticate(authorization);
+
+      if (!(await verifyTotp(admin.twoFactorPendingSecret, body.code))) {
+        throw new MockHttpError(400, 'Invalid verification code');
+      }
+
+      const backupCodes = generateBackupCodes();
+      updateRecord('admins', admin._id, 'Admin', {
+        twoFactorEnabled: true,
+        twoFactorSecret: admin.twoFactorPendingSecret,
+        twoFactorPendingSecret: null,
+        backupCodes,
+      });
+
+      return {
+        message: 'Two-factor authentication enabled',
+        data: isLoginEnrollment ? { backupCodes, ...completeLogin(admin) } : { backupCodes, admin: sanitizeAdmin(admin) },
+      };
+    },
+    { public: true },
+  ],
+  [
+    'POST',
+    '/web/auth/2fa/disable',
+    async ({ admin, body }) => {
+      if (isTwoFactorRequired(admin)) {
+        throw new MockHttpError(403, 'Two-factor authentication is required for your role');
+      }
+      if (admin.password !== body.password) {
+        throw new MockHttpError(400, 'Password is incorrect');
+      }
+      if (!(await verifyTotp(admin.twoFactorSecret, body.code))) {
+        throw new MockHttpError(400, 'Invalid verification code');
+      }
+
+      const updated = updateRecord('admins', admin._id, 'Admin', clearTwoFactor());
+      return { message: 'Two-factor authentication disabled', data: { admin: sanitizeAdmin(updated) } };
+    },
+  ],
+  [
+    'POST',
+    '/web/auth/2fa/backup-codes',
+    async ({ admin, body }) => {
+      if (!admin.twoFactorEnabled) {
+        throw new MockHttpError(400, 'Two-factor authentication is not enabled');
+      }
+      if (!(await verifyTotp(admin.twoFactorSecret, body.code))) {
+        throw new MockHttpError(400, 'Invalid verification code');
+      }
+
+      const backupCodes = generateBackupCodes();
+      updateRecord('admins', admin._id, 'Admin', { backupCodes });
+      return { message: 'Backup codes regenerated', data: { backupCodes } };
+    },
+  ],
+  ['GET', '/web/auth/2fa/policy', () => ({ data: { policy: getTwoFactorPolicy() } })],
+  [
+    'PUT',
+    '/web/auth/2fa/policy',
+    ({ admin, body }) => {
+      requireSuperAdmin(admin);
+      const db = getDb();
+      db.settings.twoFactorPolicy = { requiredRoles: body.requiredRoles || [] };
+      saveDb();
+      return { message: 'Two-factor policy updated', data: { policy: db.settings.twoFactorPolicy } };
+    },
+  ],
+  [
+    'POST',
+    '/web/auth/forgot-password',
+    ({ body }) => {
+      const email = String(body.email || '').trim().toLowerCase();
+      const admin = getDb().admins.find(
+        (a) => !a.isDeleted && a.status === 'ACTIVATED' && a.email?.toLowerCase() === email
+      );
+      const message = 'If that email belongs to an admin, a reset link has been sent';
+      // Same response either way so the form can't be used to discover admin emails
+      if (!admin) return { message, data: {} };
+
+      const passwordResetToken = createLinkToken();
+      updateRecord('admins', admin._id, 'Admin', {
+        passwordResetToken,
+        passwordResetExpiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MS).toISOString(),
+      });
+      const resetUrl = buildAppUrl(`/reset-password/${passwordResetToken}`);
+      logger.info(`[MockApi] Password reset email to ${admin.email}: ${resetUrl}`);
+      return { message, data: { resetUrl } };
+    },
+    { public: true },
+  ],
+  [
+    'GET',
+    '/web/auth/reset-password/:token',
+    ({ params }) => {
+      const admin = findByLinkToken('passwordResetToken', 'passwordResetExpiresAt', params.token, INVALID_RESET_LINK);
+      return { data: { admin: { username: admin.username } } };
+    },
+    { public: true },
+  ],
+  [
+    'POST',
+    '/web/auth/reset-password',
+    ({ body }) => {
+      const admin = findByLinkToken('passwordResetToken', 'passwordResetExpiresAt', body.token, INVALID_RESET_LINK);
+      validatePassword(body.newPassword);
+      updateRecord('admins', admin._id, 'Admin', {
+        password: body.newPassword,
+        passwordResetToken: null,
+        passwordResetExpiresAt: null,
+      });
+      return { message: 'Password reset successfully' };
+    },
+    { public: true },
+  ],
+  [
+    'GET',
+    '/web/auth/invite/:token',
+    ({ params }) => {
+      const admin = findByLinkToken('inviteToken', 'inviteExpiresAt', params.token, INVALID_INVITE_LINK);
+      return { data: { admin: { name: admin.name, username: admin.username, email: admin.email } } };
+    },
+    { public: true },
+  ],
+  [
+    'POST',
+    '/web/auth/accept-invite',
+    ({ body }) => {
+      const admin = findByLinkToken('inviteToken', 'inviteExpiresAt', body.token, INVALID_INVITE_LINK);
+      validatePassword(body.password);
+      const updated = updateRecord('admins', admin._id, 'Admin', {
+        password: body.password,
+        status: 'ACTIVATED',
+        inviteToken: null,
+        inviteExpiresAt: null,
+        inviteAcceptedAt: now(),
+      });
+      return { message: 'Invite accepted', data: { admin: sanitizeAdmin(updated) } };
+    },
+    { public: true },
+  ],
+  [
+    'PUT',
+    '/web/auth/change-password',
+    ({ admin, body }) => {
+      if (admin.password !== body.currentPassword) {
+        throw new MockHttpError(400, 'Current password is incorrect');
+      }
+      updateRecord('admins', admin._id, 'Admin', { password: body.newPassword });
+      return { message: 'Password changed successfully' };
+    },
+  ],
+];
+
+// ============ ADMINS ============
+
+const ADMIN_OPTIONS = { collection: 'admins', itemKey: 'admin', label: 'Admin' };
+
+const adminRoutes = [
+  [
+    'POST',
+    '/web/auth/create',
+    ({ admin, body }) => {
+      requireSuperAdmin(admin);
+      const db = getDb();
+      if (db.admins.some((a) => a.username === body.username)) {
+        throw new MockHttpError(409, 'Username already exists');
+      }
+      const created = {
+        _id: createId(),
+        status: 'ACTIVATED',
+        access: [],
+        allowedEvents: [],
+        ...body,
+        createdAt: now(),
+        updatedAt: now(),
+        isDeleted: false,
+      };
+      db.admins.push(created);
+      saveDb();
+      recordAudit(admin, 'CREATE', 'admins', null, created);
+      return { status: 201, message: 'Admin created successfully', data: { admin: sanitizeAdmin(created) } };
+    },
+  ],
+  [
+    'POST',
+    '/web/auth/admins/invite',
+    ({ admin, body }) => {
+      requireSuperAdmin(admin);
+      const db = getDb();
+      assertUnique('admins', body, ['username', 'email']);
+      if (!body.email) {
+        throw new MockHttpError(400, 'Validation failed', [{ field: 'email', message: 'Email is required to send the invite' }]);
+      }
+      const { password: _password, ...fields } = body;
+      const created = {
+        _id: createId(),
+        access: [],
+        allowedEvents: [],
+        ...fields,
+        status: 'INVITED',
+        createdAt: now(),
+        updatedAt: now(),
+        isDeleted: false,
+      };
+      db.admins.push(created);
+      saveDb();
+      recordAudit(admin, 'CREATE', 'admins', null, created);
+      return { status: 201, message: 'Invite sent', data: issueInvite(created, admin) };
+    },
+  ],
+  [
+    'POST',
+    '/web/auth/admins/:id/resend-invite',
+    ({ admin, params }) => {
+      requireSuperAdmin(admin);
+      const target = findById('admins', params.id, 'Admin');
+      if (target.status !== 'INVITED') {
+        throw new MockHttpError(400, 'This admin has already accepted their invite');
+      }
+      return { message: 'Invite resent', data: issueInvite(target, admin) };
+    },
+  ],
+  [
+    'GET',
+    '/web/auth/admins',
+    ({ query }) => {
+      const active = getDb().admins.filter((a) => !a.isDeleted);
+      const { items, pagination } = queryCollection(active, query, ['name', 'username', 'email']);
+      return { data: { admins: items.map(sanitizeAdmin), pagination } };
+    },
+  ],
+  ['GET', '/web/auth/admins/:id', ({ params }) => ({ data: { admin: sanitizeAdmin(findById('admins', params.id, 'Admin')) } })],
+  [
+    'PUT',
+    '/web/auth/admins/:id',
+    ({ admin, params, body }) => {
+      requireSuperAdmin(admin);
+      const { password, ...changes } = body;
+      const updated = updateRecord('admins', params.id, 'Admin', password ? body : changes, { admin, action: 'UPDATE' });
+      return { message: 'Admin updated successfully', data: { admin: sanitizeAdmin(updated) } };
+    },
+  ],
+  [
+    'DELETE',
+    '/web/auth/admins/:id',
+    ({ admin, params }) => {
+      requireSuperAdmin(admin);
+      if (admin._id === params.id) {
+        throw new MockHttpError(400, 'You cannot delete your own account');
+      }
+      updateRecord('admins', params.id, 'Admin', { isDeleted: true, deletedAt: now() }, { admin, action: 'DELETE' });
+      return { message: 'Admin deleted successfully' };
+    },
+  ],
+  [
+    'GET',
+    '/web/auth/admins/:id/allowed-events',
+    ({ params }) => {
+      const target = findById('admins', params.id, 'Admin');
+      const events = getDb().events.filter((e) => target.allowedEvents?.includes(e._id));
+      return { data: { allowedEvents: events } };
+    },
+  ],
+  [
+    'POST',
+    '/web/auth/admins/:id/2fa/reset',
+    ({ admin, params }) => {
+      requireSuperAdmin(admin);
+      const updated = updateRecord('admins', params.id, 'Admin', clearTwoFactor(), { admin, action: 'UPDATE' });
+      return { message: 'Two-factor authentication reset', data: { admin: sanitizeAdmin(updated) } };
+    },
+  ],
+  action('PUT', '/web/auth/admins/:id/allowed-events', ADMIN_OPTIONS, 'Allowed events updated', (item, body) => ({
+    allowedEvents: body.allowedEvents || [],
+  })),
+  [
+    'POST',
+    '/web/auth/admins/:id/allowed-events/:eventId',
+    ({ params }) => {
+      const target = findById('admins', params.id, 'Admin');
+      const allowedEvents = [...new Set([...(target.allowedEvents || []), params.eventId])];
+      return { data: { admin: sanitizeAdmin(updateRecord('admins', params.id, 'Admin', { allowedEvents })) } };
+    },
+  ],
+  [
+    'DELETE',
+    '/web/auth/admins/:id/allowed-events/:eventId',
+    ({ params }) => {
+      const target = findById('admins', params.id, 'Admin');
+      const allowedEvents = (target.allowedEvents || []).filter((id) => id !== params.eventId);
+      return { data: { admin: sanitizeAdmin(updateRecord('admins', params.id, 'Admin', { allowedEvents })) } };
+    },
+  ],
+];
+
+// ============ EVENTS ============
+
+const EVENT_OPTIONS = {
+  collection: 'events',
+  listKey: 'events',
+  itemKey: 'event',
+  label: 'Event',
+  searchFields: ['name', 'description', 'city'],
+};
+
+const eventRoutes = [
+  [
+    'GET',
+    '/web/events/dropdown',
+    () => ({
+      data: {
+        events: getDb()
+          .events.filter((e) => !e.isDeleted)
+          .map(({ _id, name, startDate, endDate, isLive, city, mode }) => ({ _id, name, startDate, endDate, isLive, city, mode })),
+      },
+    }),
+  ],
+  [
+    'GET',
+    '/web/events/featured',
+    ({ query }) => {
+      const featured = getDb().events.filter((e) => e.featured && !e.isDeleted);
+      const { items, pagination } = queryCollection(featured, query, EVENT_OPTIONS.searchFields);
+      return { data: { events: items, pagination } };
+    },
+  ],
+  [
+    'POST',
+    '/web/events/update-expired',
+    () => {
+      const expired = getDb().events.filter((e) => e.isLive && new Date(e.endDate) < new Date());
+      expired.forEach((e) => Object.assign(e, { isLive: false, updatedAt: now() }));
+      saveDb();
+      return { message: `${expired.length} expired events updated`, data: { updatedCount: expired.length } };
+    },
+  ],
+  [
+    'GET',
+    '/web/events/:id/ticket-stats',
+    ({ params }) => {
+      const event = findById('events', params.id, 'Event');
+      return {
+        data: {
+          stats: {
+            totalTickets: event.ticketsSold || 0,
+            availableSeats: event.availableSeats || 0,
+            remainingSeats: Math.max(0, (event.availableSeats || 0) - (event.ticketsSold || 0)),
+          },
+        },
+      };
+    },
+  ],
+  [
+    'GET',
+    '/web/events/:id/seat-arrangement',
+    ({ params }) => {
+      const arrangement = getDb().seatArrangements[params.id];
+      if (!arrangement) return notFound('Seat arrangement');
+
+      // Spread the event's sold tickets over its sellable seats so the occupancy map has bookings
+      const event = getDb().events.find((e) => e._id === params.id);
+      const sellable = arrangement.seats.filter((seat) => !seat.isBlocked);
+      const booked = new Set(
+        sellable
+          .map((seat, i) => ({ seat, order: (i * 7) % sellable.length }))
+          .sort((a, b) => a.order - b.order)
+          .slice(0, Math.min(event?.ticketsSold || 0, sellable.length))
+          .map(({ seat }) => seat.label)
+      );
+      const seats = arrangement.seats.map((seat) => ({ ...seat, isAvailable: !seat.isBlocked && !booked.has(seat.label) }));
+
+      return { data: { arrangement: { ...arrangement, seats } } };
+    },
+  ],
+  [
+    ['POST', 'PUT'],
+    '/web/events/:id/seat-arrangement',
+    ({ params, body }) => {
+      const db = getDb();
+      db.seatArrangements[params.id] = { ...body, event: params.id, updatedAt: now() };
+      saveDb();
+      return { message: 'Seat arrangement saved', data: { arrangement: db.seatArrangements[params.id] } };
+    },
+  ],
+  [
+    'DELETE',
+    '/web/events/:id/seat-arrangement',
+    ({ params }) => {
+      delete getDb().seatArrangements[params.id];
+      saveDb();
+      return { message: 'Seat arrangement deleted' };
+    },
+  ],
+  ...resource('/web/events', EVENT_OPTIONS),
+];
+
+// ============ SESSIONS ============
+
+const SESSION_OPTIONS = {
+  collection: 'sessions',
+  listKey: 'sessions',
+  itemKey: 'session',
+  label: 'Session',
+  searchFields: ['title', 'host', 'description'],
+};
+
+const sessionRoutes = [
+  [
+    'GET',
+    '/web/sessions/bookings',
+    ({ query }) => {
+      const { items, pagination } = queryCollection(getDb().sessionBookings, query, [
+        'bookingReference',
+        'userName',
+        'userPhone',
+      ]);
+      return { data: { bookings: items, pagination } };
+    },
+  ],
+  action(['PUT', 'PATCH'], '/web/sessions/bookings/:id', { collection: 'sessionBookings', itemKey: 'booking', label: 'Booking' }, 'Booking updated', (item, body) => body),
+  action('PATCH', '/web/sessions/:id/toggle-live', SESSION_OPTIONS, 'Session status updated', (item) => ({ isLive: !item.isLive })),
+  ...resource('/web/sessions', SESSION_OPTIONS),
+];
+
+// ============ MEMBERSHIPS ============
+
+const MEMBERSHIP_OPTIONS = {
+  collection: 'userMemberships',
+  listKey: 'memberships',
+  itemKey: 'membership',
+  label: 'Membership',
+  searchFields: ['phone'],
+};
+
+const MEMBERSHIP_REQUEST_OPTIONS = {
+  collection: 'membershipRequests',
+  listKey: 'requests',
+  itemKey: 'request',
+  label: 'Membership request',
+  searchFields: ['name', 'phone', 'email'],
+};
+
+const membershipRoutes = [
+  ...resource('/web/membership-plans', {
+    collection: 'membershipPlans',
+    listKey: 'plans',
+    itemKey: 'plan',
+    label: 'Membership plan',
+  }),
+  [
+    'POST',
+    '/web/user-memberships/check-status',
+    ({ body }) => {
+      const memberships = getDb().userMemberships.filter((m) => m.phone === body.phone && !m.isDeleted);
+      const active = memberships.find((m) => m.status === 'ACTIVE');
+      return { data: { phone: body.phone, hasActiveMembership: !!active, membership: active || null, memberships } };
+    },
+  ],
+  [
+    'POST',
+    '/web/user-memberships',
+    ({ body, admin }) => {
+      const plan = findById('membershipPlans', body.membershipPlanId, 'Membership plan');
+      const startDate = new Date();
+      const membership = {
+        _id: createId(),
+        ...body,
+        membershipPlanId: { _id: plan._id, name: plan.name, durationInDays: plan.durationInDays },
+        amountPaid: body.amountPaid ?? plan.price,
+        purchaseMethod: 'ADMIN',
+        paymentStatus: 'SUCCESS',
+        status: 'ACTIVE',
+        startDate: startDate.toISOString(),
+        endDate: plan.durationInDays
+          ? new Date(startDate.getTime() + plan.durationInDays * 24 * 60 * 60 * 1000).toISOString()
+          : null,
+        createdBy: admin._id,
+        createdAt: now(),
+        updatedAt: now(),
+        isDeleted: false,
+      };
+      getDb().userMemberships.unshift(membership);
+      saveDb();
+      return { status: 201, message: 'Membership created successfully', data: { membership } };
+    },
+  ],
+  action('POST', '/web/user-memberships/:id/extend', MEMBERSHIP_OPTIONS, 'Membership extended', (item, body) => ({
+    endDate: new Date(
+      new Date(item.endDate || Date.now()).getTime() + (Number(body.additionalDays) || 0) * 24 * 60 * 60 * 1000
+    ).toISOString(),
+    status: 'ACTIVE',
+  })),
+  action('POST', '/web/user-memberships/:id/cancel', MEMBERSHIP_OPTIONS, 'Membership cancelled', (item, body) => ({
+    status: 'CANCELLED',
+    cancellationReason: body.reason,
+  })),
+  action('PATCH', '/web/user-memberships/:id/notes', MEMBERSHIP_OPTIONS, 'Notes updated', (item, body) => body),
+  ...resource('/web/user-memberships', MEMBERSHIP_OPTIONS),
+
+  pendingCount('/web/membership-requests/pending-count', 'membershipRequests'),
+  action('POST', '/web/membership-requests/:id/approve', MEMBERSHIP_REQUEST_OPTIONS, 'Payment link sent', (item, body) => ({
+    ...body,
+    status: 'PAYMENT_SENT',
+    paymentLink: 'https://pay.example.com/link',
+    reviewedAt: now(),
+  })),
+  action('POST', '/web/membership-requests/:id/reject', MEMBERSHIP_REQUEST_OPTIONS, 'Request rejected', (item, body) => ({
+    ...body,
+    status: 'REJECTED',
+    reviewedAt: now(),
+  })),
+  action('POST', '/web/membership-requests/:id/resend-link', MEMBERSHIP_REQUEST_OPTIONS, 'Payment link resent', {}),
+  action('POST', '/web/membership-requests/:id/withdraw', MEMBERSHIP_REQUEST_OPTIONS, 'Request withdrawn', (item, body) => ({
+    ...body,
+    status: 'WITHDRAWN',
+  })),
+  ...resource('/web/membership-requests', MEMBERSHIP_REQUEST_OPTIONS),
+];
+
+// ============ SERVICES ============
+
+const SERVICE_REQUEST_OPTIONS = {
+  collection: 'serviceRequests',
+  listKey: 'requests',
+  itemKey: 'request',
+  label: 'Service request',
+  searchFields: ['name', 'userName', 'phone'],
+};
+
+const SERVICE_ORDER_OPTIONS = {
+  collection: 'serviceOrders',
+  listKey: 'orders',
+  itemKey: 'order',
+  label: 'Service order',
+  searchFields: ['orderId', 'customerName', 'phone'],
+};
+
+const serviceRoutes = [
+  ...resource('/web/services', { collection: 'services', listKey: 'services', itemKey: 'service', label: 'Service' }),
+  [
+    'POST',
+    '/web/service-orders/generate-payment-link',
+    ({ body }) => {
+      const services = getDb().services.filter((s) => body.serviceIds?.includes(s._id));
+      const totalAmount = services.reduce((sum, s) => sum + (s.price || 0), 0);
+      const order = {
+        _id: createId(),
+        orderId: `SO-${Date.now().toString().slice(-6)}`,
+        ...body,
+        services: services.map((s) => ({ serviceId: s._id, serviceName: s.name, price: s.price })),
+        totalAmount,
+        finalAmount: totalAmount,
+        source: 'ADMIN',
+        status: 'PENDING',
+        paymentLinkUrl: 'https://pay.example.com/link',
+        whatsappSent: true,
+        createdAt: now(),
+        updatedAt: now(),
+        isDeleted: false,
+      };
+      getDb().serviceOrders.unshift(order);
+      saveDb();
+      return { status: 201, message: 'Payment link generated', data: { order, link: order.paymentLinkUrl } };
+    },
+  ],
+  action('POST', '/web/service-orders/:id/resend', SERVICE_ORDER_OPTIONS, 'Payment link resent', { whatsappSent: true }),
+  ...resource('/web/service-orders', SERVICE_ORDER_OPTIONS),
+  [
+    'GET',
+    '/web/service-requests',
+    ({ query }) => {
+      const requests = getDb().serviceRequests.filter((r) => !r.isDeleted);
+      const { items, pagination } = queryCollection(requests, query, SERVICE_REQUEST_OPTIONS.searchFields);
+      return {
+        data: { requests: items, pagination, pendingCount: requests.filter((r) => r.status === 'PENDING').length },
+      };
+    },
+  ],
+  ...reviewRoutes('/web/service-requests', SERVICE_REQUEST_OPTIONS),
+  ...resource('/web/service-requests', SERVICE_REQUEST_OPTIONS),
+  [
+    'POST',
+    '/web/user-subscriptions/check-status',
+    ({ body }) => {
+      const subscriptions = getDb().userSubscriptions.filter((s) => s.phone === body.phone);
+      return { data: { phone: body.phone, subscriptions } };
+    },
+  ],
+  ...resource('/web/user-subscriptions', {
+    collection: 'userSubscriptions',
+    listKey: 'subscriptions',
+    itemKey: 'subscription',
+    label: 'Subscription',
+    searchFields: ['phone', 'customerName'],
+  }),
+];
+
+// ============ REQUEST QUEUES ============
+
+const BLEND_OPTIONS = {
+  collection: 'blendRequests',
+  listKey: 'requests',
+  itemKey: 'request',
+  label: 'Blend request',
+  searchFields: ['name', 'phone', 'email'],
+};
+
+const ROUND_TABLE_OPTIONS = { ...BLEND_OPTIONS, collection: 'roundTableRequests', label: 'Round table request' };
+
+const statsRoute = (path, collection) => [
+  'GET',
+  path,
+  () => {
+    const items = getDb()[collection].filter((item) => !item.isDeleted);
+    const countBy = (status) => items.filter((item) => item.status === status).length;
+    return {
+      data: {
+        stats: {
+          total: items.length,
+          pending: countBy('PENDING'),
+          approved: countBy('APPROVED'),
+          rejected: countBy('REJECTED'),
+        },
+      },
+    };
+  },
+];
+
+const requestQueueRoutes = [
+  pendingCount('/web/motivata-blend/admin/pending-count', 'blendRequests'),
+  statsRoute('/web/motivata-blend/admin/stats', 'blendRequests'),
+  ...reviewRoutes('/web/motivata-blend/admin/requests', BLEND_OPTIONS),
+  ...resource('/web/motivata-blend/admin/requests', BLEND_OPTIONS),
+  pendingCount('/web/round-table/admin/pending-count', 'roundTableRequests'),
+  statsRoute('/web/round-table/admin/stats', 'roundTableRequests'),
+  ...reviewRoutes('/web/round-table/admin/requests', ROUND_TABLE_OPTIONS),
+  ...resource('/web/round-table/admin/requests', ROUND_TABLE_OPTIONS),
+];
+
+// ============ CLUBS ============
+
+const JOIN_REQUEST_OPTIONS = {
+  collection: 'clubJoinRequests',
+  listKey: 'requests',
+  itemKey: 'request',
+  label: 'Join request',
+  searchFields: ['name', 'phone'],
+};
+
+const clubRoutes = [
+  [
+    'GET',
+    '/web/clubs/join-requests/all',
+    ({ query }) => {
+      const { items, pagination } = queryCollection(getDb().clubJoinRequests, query, JOIN_REQUEST_OPTIONS.searchFields);
+      return { data: { requests: items, pagination } };
+    },
+  ],
+  ...reviewRoutes('/web/clubs/join-requests', JOIN_REQUEST_OPTIONS),
+  action('PATCH', '/web/clubs/:id/approval-setting', { collection: 'clubs', itemKey: 'club', label: 'Club' }, 'Approval setting updated', (item, body) => body),
+  ...resource('/web/clubs', { collection: 'clubs', listKey: 'clubs', itemKey: 'club', label: 'Club' }),
+];
+
+// ============ OFFLINE CASH ============
+
+const offlineCashRoutes = [
+  [
+    'GET',
+    '/web/offline-cash/allowed-events',
+    ({ admin }) => {
+      const events = getDb().events.filter((e) => !e.isDeleted && e.isLive);
+      const allowed =
+        admin.role === 'MANAGEMENT_STAFF' ? events.filter((e) => admin.allowedEvents?.includes(e._id)) : events;
+      return { data: { events: allowed } };
+    },
+  ],
+  [
+    'POST',
+    '/web/offline-cash',
+    ({ body, admin }) => {
+      const record = {
+        _id: createId(),
+        ...body,
+        ticketCount: Number(body.ticketCount) || 1,
+        redeemed: false,
+        signature: createId().slice(0, 8).toUpperCase(),
+        generatedBy: { _id: admin._id, name: admin.name, username: admin.username },
+        createdAt: now(),
+        updatedAt: now(),
+        isDeleted: false,
+      };
+      getDb().offlineCash.unshift(record);
+      saveDb();
+      return { status: 201, message: 'Cash ticket created', data: { record, ticketCount: record.ticketCount } };
+    },
+  ],
+  [
+    'GET',
+    '/web/offline-cash',
+    ({ query }) => {
+      const records = getDb().offlineCash.filter((r) => !r.isDeleted);
+      const { items, pagination } = queryCollection(records, query, ['generatedFor', 'phone', 'signature']);
+      return { data: { records: items, pagination } };
+    },
+  ],
+  ['GET', '/web/offline-cash/:id', ({ params }) => ({ data: { record: findById('offlineCash', params.id, 'Record') } })],
+  [
+    'DELETE',
+    '/web/offline-cash/:id',
+    ({ params }) => {
+      updateRecord('offlineCash', params.id, 'Record', { isDeleted: true, deletedAt: now() });
+      return { message: 'Record deleted' };
+    },
+  ],
+];
+
+// ============ ENROLLMENTS ============
+
+const ENROLLMENT_SEARCH_FIELDS = ['name', 'phone', 'email'];
+
+/**
+ * List one event's attendee records of a source
+ * Databases stored before enrollments were seeded have none
+ */
+const listEventEnrollments = (collection, eventId, query) => {
+  const records = (getDb()[collection] || []).filter((item) => item.eventId === eventId);
+  return queryCollection(records, query, ENROLLMENT_SEARCH_FIELDS);
+};
+
+/**
+ * Cancel an attendee record - a scanned ticket has been used and can't be cancelled
+ * @returns {Object} The cancelled record
+ */
+const cancelEnrollment = (collection, label, { params, body, admin }) => {
+  const item = (getDb()[collection] || []).find((record) => record._id === params.id) || notFound(label);
+  if (item.status === 'CANCELLED') throw new MockHttpError(400, `${label} is already cancelled`);
+  if (item.isTicketScanned) throw new MockHttpError(400, 'A scanned ticket cannot be cancelled');
+
+  return updateRecord(
+    collection,
+    params.id,
+    label,
+    {
+      status: 'CANCELLED',
+      cancelledAt: now(),
+      cancelledBy: { _id: admin._id, name: admin.name },
+      cancellationReason: body?.reason || null,
+    },
+    { admin, action: 'CANCEL' }
+  );
+};
+
+const enrollmentRoutes = [
+  [
+    'GET',
+    '/web/events/:id/enrollments',
+    ({ params, query }) => {
+      const { items, pagination } = listEventEnrollments('eventEnrollments', params.id, query);
+      return { data: { enrollments: items, pagination } };
+    },
+  ],
+  [
+    'POST',
+    '/web/enrollments/:id/cancel',
+    (request) => ({
+      message: 'Enrollment cancelled',
+      data: { enrollment: cancelEnrollment('eventEnrollments', 'Enrollment', request) },
+    }),
+  ],
+  [
+    'GET',
+    '/web/offline-cash/event/:id/enrollments',
+    ({ params, query }) => {
+      const { items, pagination } = listEventEnrollments('cashEnrollments', params.id, query);
+      return { data: { enrollments: items, pagination } };
+    },
+  ],
+  [
+    'POST',
+    '/web/offline-cash/enrollments/:id/cancel',
+    (request) => ({
+      message: 'Cash ticket cancelled',
+      data: { enrollment: cancelEnrollment('cashEnrollments', 'Cash ticket', request) },
+    }),
+  ],
+  [
+    'GET',
+    '/web/vouchers/redemptions',
+    ({ query }) => {
+      const { items, pagination } = listEventEnrollments('voucherRedemptions', query.eventId, query);
+      return { data: { redemptions: items, pagination } };
+    },
+  ],
+  [
+    'POST',
+    '/web/vouchers/redemptions/:id/cancel',
+    (request) => {
+      const redemption = cancelEnrollment('voucherRedemptions', 'Redemption', request);
+      // The use goes back to the voucher
+      const voucher = getDb().vouchers.find((item) => item._id === redemption.voucher?._id);
+      if (voucher) {
+        updateRecord('vouchers', voucher._id, 'Voucher', { usageCount: Math.max(0, (voucher.usageCount || 0) - 1) });
+      }
+      return { message: 'Redemption cancelled', data: { redemption } };
+    },
+  ],
+];
+
+// ============ TICKETS ============
+
+/**
+ * Online bookings and cash tickets of an event in the ticket holder shape
+ * Bookings still awaiting payment have no ticket yet
+ */
+const getTicketHolders = (eventId) => {
+  const db = getDb();
+  const online = (db.eventEnrollments || [])
+    .filter((item) => item.eventId === eventId && item.paymentStatus !== 'PENDING')
+    .map((item) => ({
+      enrollmentId: item._id,
+      enrollmentType: 'ONLINE',
+      name: item.name,
+      phone: item.phone,
+      email: item.email,
+      user: { _id: item.userId, name: item.name, phone: item.phone, email: item.email },
+      tierName: item.tierName,
+      ticketPrice: item.ticketPrice,
+      ticketCount: item.ticketCount,
+      status: item.status,
+      isTicketScanned: item.isTicketScanned,
+      ticketScannedAt: item.ticketScannedAt,
+      createdAt: item.createdAt,
+    }));
+  const cash = (db.cashEnrollments || [])
+    .filter((item) => item.eventId === eventId)
+    .map((item) => ({
+      enrollmentId: item._id,
+      enrollmentType: 'CASH',
+      name: item.name,
+      phone: item.phone,
+      priceCharged: item.priceCharged,
+      ticketCount: item.ticketCount,
+      status: item.status,
+      isTicketScanned: item.isTicketScanned,
+      ticketScannedAt: item.ticketScannedAt,
+      createdAt: item.createdAt,
+    }));
+  return [...online, ...cash];
+};
+
+const ticketRoutes = [
+  [
+    'GET',
+    '/web/tickets/reshare/list/:eventId',
+    ({ params, query }) => {
+      const event = findById('events', params.eventId, 'Event');
+      const holders = getTicketHolders(event._id);
+      const filtered = query.scannedStatus
+        ? holders.filter((item) => String(!!item.isTicketScanned) === query.scannedStatus)
+        : holders;
+      const { items, pagination } = queryCollection(filtered, { ...query, scannedStatus: undefined }, [
+        ...ENROLLMENT_SEARCH_FIELDS,
+        'enrollmentId',
+      ]);
+      const active = holders.filter((item) => item.status !== 'CANCELLED');
+      return {
+        data: {
+          event: { _id: event._id, name: event.name, startDate: event.startDate, endDate: event.endDate },
+          ticketHolders: items,
+          statistics: {
+            total: holders.length,
+            online: holders.filter((item) => item.enrollmentType === 'ONLINE').length,
+            cash: holders.filter((item) => item.enrollmentType === 'CASH').length,
+            scanned: active.filter((item) => item.isTicketScanned).length,
+            notScanned: active.filter((item) => !item.isTicketScanned).length,
+            cancelled: holders.length - active.length,
+          },
+          pagination,
+        },
+      };
+    },
+  ],
+];
+
+// ============ SCANS ============
+
+// Phone numbers may be stored with or without the country code
+const phoneDigits = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+const eventSummary = (eventId) => {
+  const event = getDb().events.find((item) => item._id === eventId);
+  return event ? { _id: event._id, name: event.name, startDate: event.startDate, endDate: event.endDate } : null;
+};
+
+/**
+ * Reject a scan, classified for the gate check-in log
+ * @param {string} rejection - WRONG_EVENT or INVALID
+ */
+const rejectCheckIn = (rejection, message, record) => {
+  const error = new MockHttpError(400, message);
+  error.rejection = rejection;
+  error.record = record;
+  throw error;
+};
+
+/**
+ * Check in a ticket or voucher redemption by its QR parameters
+ * A repeat scan answers 400 with the holder's data, as the real endpoints do
+ * @param {string} collection - Mock db collection
+ * @param {string} label - Name used in messages
+ * @param {Object} query - { id, eventId, phone, checkInMethod?, gateEventId? } from the QR code or a manual lookup
+ * @param {Function} toData - (record) => response data
+ */
+const checkInRecord = (collection, label, query, toData) => {
+  const { id, eventId, phone, gateEventId } = query;
+  const record = (getDb()[collection] || []).find((item) => item._id === id) || notFound(label);
+
+  if (eventId && record.eventId !== eventId) rejectCheckIn('WRONG_EVENT', `${label} is not valid for this event`, record);
+  // The scanner's gate admits one event
+  if (gateEventId && record.eventId !== gateEventId) {
+    rejectCheckIn('WRONG_EVENT', `${label} is for ${eventSummary(record.eventId)?.name || 'another event'}`, record);
+  }
+  if (phoneDigits(record.phone) !== phoneDigits(phone)) {
+    rejectCheckIn('INVALID', `Phone number does not match the ${label.toLowerCase()}`, record);
+  }
+  if (record.status === 'CANCELLED') rejectCheckIn('INVALID', `${label} has been cancelled`, record);
+  if (record.paymentStatus === 'PENDING') rejectCheckIn('INVALID', 'Payment for this ticket is pending', record);
+
+  if (record.isTicketScanned) {
+    return {
+      status: 400,
+      message: `${label} has already been scanned at ${record.ticketScannedAt}`,
+      data: toData(record),
+      record,
+    };
+  }
+
+  const scanned = updateRecord(collection, record._id, label, {
+    isTicketScanned: true,
+    // Offline check-ins are synced with the time they were scanned
+    ticketScannedAt: query.scannedAt || now(),
+    checkInMethod: query.checkInMethod || 'QR',
+  });
+  return { message: `${label} verified`, data: toData(scanned), record: scanned };
+};
+
+// ============ GATE CHECK-INS ============
+
+const CHECK_IN_LOG_LIMIT = 1000;
+
+/**
+ * Add a ticket scan to the gate check-in log and push it to open dashboards
+ * @param {Object} query - Scan query, with the gateName and deviceId of the scanner
+ * @param {Object} entry - { record?, outcome, message }
+ */
+const logCheckIn = (query, { record, outcome, message }) => {
+  const db = getDb();
+  const checkIn = {
+    _id: createId(),
+    eventId: query.gateEventId || record?.eventId || query.eventId || null,
+    enrollmentId: query.id || null,
+    name: record?.name || null,
+    outcome,
+    message,
+    gateName: query.gateName || null,
+    deviceId: query.deviceId || null,
+    checkInMethod: query.checkInMethod || 'QR',
+    scannedAt: query.scannedAt || now(),
+  };
+  // Synced offline scans are older than the latest - keep the log newest first
+  db.checkInLog = [checkIn, ...(db.checkInLog || [])]
+    .sort((a, b) => b.scannedAt.localeCompare(a.scannedAt))
+    .slice(0, CHECK_IN_LOG_LIMIT);
+
+  const device = (db.scannerDevices || []).find((item) => item.deviceId === query.deviceId);
+  if (device && !(device.lastSeenAt > checkIn.scannedAt)) device.lastSeenAt = checkIn.scannedAt;
+  saveDb();
+
+  publishEvent('TICKET_SCANNED', {
+    eventId: checkIn.eventId,
+    enrollmentId: checkIn.enrollmentId,
+    gateName: checkIn.gateName,
+    outcome,
+  });
+};
+
+/**
+ * Check in a ticket and log the attempt, whatever its outcome
+ * @param {boolean} logNotFound - Unknown IDs are logged only by the last endpoint the scanner tries
+ */
+const checkInTicket = (collection, label, query, toData, logNotFound) => {
+  try {
+    const { record, ...result } = checkInRecord(collection, label, query, toData);
+    logCheckIn(query, {
+      record,
+      outcome: result.status === 400 ? 'ALREADY_SCANNED' : 'CHECKED_IN',
+      message: result.message,
+    });
+    return result;
+  } catch (error) {
+    if (error instanceof MockHttpError && (error.status !== 404 || logNotFound)) {
+      logCheckIn(query, { record: error.record, outcome: error.rejection || 'INVALID', message: error.message });
+    }
+    throw error;
+  }
+};
+
+const gateRoutes = [
+  [
+    'POST',
+    '/web/tickets/gates/register',
+    ({ body, admin }) => {
+      if (!body.gateName?.trim() || !body.deviceId) throw new MockHttpError(400, 'Gate name and device ID are required');
+      const event = body.eventId ? findById('events', body.eventId, 'Event') : null;
+      const db = getDb();
+      db.scannerDevices = db.scannerDevices || [];
+
+      const existing = db.scannerDevices.find((item) => item.deviceId === body.deviceId);
+      const device = {
+        ...existing,
+        _id: existing?._id || createId(),
+        deviceId: body.deviceId,
+        gateName: body.gateName.trim(),
+        eventId: event?._id || null,
+        registeredBy: { _id: admin._id, name: admin.name },
+        registeredAt: now(),
+        lastSeenAt: now(),
+      };
+      db.scannerDevices = [device, ...db.scannerDevices.filter((item) => item.deviceId !== body.deviceId)];
+      saveDb();
+      return { message: `Registered at ${device.gateName}`, data: { device } };
+    },
+  ],
+  [
+    'GET',
+    '/web/tickets/check-ins/:eventId',
+    ({ params }) => {
+      const event = findById('events', params.eventId, 'Event');
+      const db = getDb();
+      return {
+        data: {
+          checkIns: (db.checkInLog || []).filter((item) => item.eventId === event._id),
+          devices: (db.scannerDevices || []).filter((item) => item.eventId === event._id),
+        },
+      };
+    },
+  ],
+];
+
+const scanRoutes = [
+  [
+    'GET',
+    '/app/tickets/qr-scan',
+    ({ query }) =>
+      checkInTicket('eventEnrollments', 'Ticket', { ...query, id: query.enrollmentId }, (enrollment) => {
+        const redemption = (getDb().voucherRedemptions || []).find(
+          (item) =>
+            item.eventId === enrollment.eventId &&
+            item.status !== 'CANCELLED' &&
+            phoneDigits(item.phone) === phoneDigits(enrollment.phone)
+        );
+        return {
+          user: { _id: enrollment.userId, name: enrollment.name, phone: enrollment.phone, email: enrollment.email },
+          event: eventSummary(enrollment.eventId),
+          ticket: { phone: enrollment.phone, tierName: enrollment.tierName, ticketCount: enrollment.ticketCount },
+          voucher: redemption?.voucher || null,
+        };
+      }),
+  ],
+  [
+    'GET',
+    '/app/tickets/cash/qr-scan',
+    ({ query }) =>
+      checkInTicket('cashEnrollments', 'Cash ticket', { ...query, id: query.enrollmentId }, (enrollment) => ({
+        enrollment: {
+          _id: enrollment._id,
+          name: enrollment.name,
+          phone: enrollment.phone,
+          ticketCount: enrollment.ticketCount,
+          event: eventSummary(enrollment.eventId),
+        },
+      }), true),
+  ],
+  [
+    'GET',
+    '/web/vouchers/redemptions/qr-scan',
+    ({ query }) =>
+      checkInRecord('voucherRedemptions', 'Voucher', { ...query, id: query.redemptionId }, (redemption) => ({
+        redemption: {
+          _id: redemption._id,
+          name: redemption.name,
+          phone: redemption.phone,
+          voucher: redemption.voucher,
+          event: eventSummary(redemption.eventId),
+        },
+      })),
+  ],
+  [
+    'GET',
+    '/web/user-memberships/:id/verify',
+    ({ params, query }) => {
+      const membership = findById('userMemberships', params.id, 'Membership');
+      if (membership.isDeleted) notFound('Membership');
+      if (query.phone && phoneDigits(membership.phone) !== phoneDigits(query.phone)) {
+        throw new MockHttpError(400, 'Phone number does not match the membership');
+      }
+
+      const user = getDb().users.find((item) => item._id === membership.userId);
+      const reason =
+        (membership.paymentStatus !== 'SUCCESS' && 'Membership payment is pending') ||
+        (membership.status !== 'ACTIVE' && `Membership is ${membership.status.toLowerCase()}`) ||
+        (membership.endDate && new Date(membership.endDate) < new Date() && 'Membership has expired') ||
+        null;
+
+      return {
+        message: reason || 'Membership is valid',
+        data: {
+          membership,
+          user: user ? { _id: user._id, name: user.name, phone: user.phone, email: user.email } : null,
+          isValid: !reason,
+        },
+      };
+    },
+  ],
+  [
+    'GET',
+    '/web/sessions/bookings/qr-scan',
+    ({ query }) => {
+      const booking =
+        getDb().sessionBookings.find(
+          (item) => item._id === query.bookingId || (query.bookingReference && item.bookingReference === query.bookingReference)
+        ) || notFound('Booking');
+
+      if (query.phone && phoneDigits(booking.userPhone) !== phoneDigits(query.phone)) {
+        throw new MockHttpError(400, 'Phone number does not match the booking');
+      }
+      if (booking.status === 'cancelled') throw new MockHttpError(400, 'Booking has been cancelled');
+      if (booking.status === 'no_show') throw new MockHttpError(400, 'Booking was marked as a no-show');
+      if (booking.status === 'pending') throw new MockHttpError(400, 'Booking is not confirmed yet');
+
+      const session = getDb().sessions.find((item) => item._id === booking.session) || null;
+      if (booking.status === 'completed' || booking.checkedInAt) {
+        const scannedAt = booking.checkedInAt || booking.updatedAt;
+        return {
+          status: 400,
+          message: 'Booking has already been checked in',
+          data: { booking, session, scannedAt },
+        };
+      }
+
+      const checkedIn = updateRecord('sessionBookings', booking._id, 'Booking', { checkedInAt: now() });
+      return { message: 'Booking verified', data: { booking: checkedIn, session } };
+    },
+  ],
+];
+
+// ============ PAYMENTS ============
+
+const PAYMENT_SEARCH_FIELDS = [
+  'customerName',
+  'customerPhone',
+  'customerEmail',
+  'gatewayOrderId',
+  'gatewayPaymentId',
+  'sourceReference',
+  'couponCode',
+];
+
+/**
+ * Sum payments per value of a field
+ * @returns {{_id: string, count: number, revenue: number, discount: number}[]}
+ */
+const groupPayments = (payments, field) =>
+  Object.values(
+    payments.reduce((groups, payment) => {
+      const group = groups[payment[field]] || { _id: payment[field], count: 0, revenue: 0, discount: 0 };
+      group.count += 1;
+      group.revenue += payment.amount;
+      group.discount += payment.discountAmount || 0;
+      return { ...groups, [payment[field]]: group };
+    }, {})
+  );
+
+/**
+ * Totals of a set of payments - revenue counts successful payments only
+ */
+const summarizePayments = (payments) => {
+  const successful = payments.filter((payment) => payment.status === 'SUCCESS');
+  const sum = (items, key) => items.reduce((total, item) => total + (item[key] || 0), 0);
+  const collectedAmount = sum(successful, 'amount');
+  const refundedAmount = sum(successful, 'refundedAmount');
+
+  return {
+    count: payments.length,
+    successCount: successful.length,
+    pendingCount: payments.filter((payment) => payment.status === 'PENDING').length,
+    failedCount: payments.filter((payment) => payment.status === 'FAILED').length,
+    collectedAmount,
+    discountAmount: sum(successful, 'discountAmount'),
+    refundedAmount,
+    netAmount: collectedAmount - refundedAmount,
+    byType: groupPayments(successful, 'type'),
+    byMethod: groupPayments(successful, 'method'),
+  };
+};
+
+/**
+ * Dashboard revenue figures of a time range - gateway payments only, cash is
+ * reported with the cash tickets
+ */
+const getDashboardPayments = (range) => {
+  const { startDate, endDate } = getTimeRangeBounds(range);
+  const payments = (getDb().payments || []).filter(
+    (payment) =>
+      payment.status === 'SUCCESS' &&
+      payment.gateway !== 'CASH' &&
+      matchesDateRange(payment.createdAt, startDate, endDate)
+  );
+  const totalRevenue = payments.reduce((sum, payment) => sum + payment.amount, 0);
+  const coupons = groupPayments(
+    payments.filter((payment) => payment.couponCode),
+    'couponCode'
+  );
+
+  return {
+    totalPayments: payments.length,
+    totalRevenue,
+    averageOrderValue: payments.length ? Math.round(totalRevenue / payments.length) : 0,
+    totalDiscount: payments.reduce((sum, payment) => sum + (payment.discountAmount || 0), 0),
+    paymentMethods: groupPayments(payments, 'method').map(({ _id, revenue, count }) => ({ _id, revenue, count })),
+    topCoupons: coupons
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 3)
+      .map((coupon) => ({ _id: coupon._id, usageCount: coupon.count, totalDiscount: coupon.discount })),
+  };
+};
+
+const paymentRoutes = [
+  [
+    'GET',
+    '/web/payments',
+    ({ query }) => {
+      const records = (getDb().payments || []).filter((payment) => !payment.isDeleted);
+      // Totals cover every matching payment, not just the page
+      const { items: matching } = queryCollection(records, { ...query, page: 1, limit: records.length }, PAYMENT_SEARCH_FIELDS);
+      const { items, pagination } = queryCollection(records, query, PAYMENT_SEARCH_FIELDS);
+      return { data: { payments: items, pagination, summary: summarizePayments(matching) } };
+    },
+  ],
+  [
+    'GET',
+    '/web/payments/:id',
+    ({ params }) => ({
+      data: { payment: (getDb().payments || []).find((payment) => payment._id === params.id) || notFound('Payment') },
+    }),
+  ],
+];
+
+// ============ ENGAGEMENT ============
+
+const engagementRoutes = [
+  action(['PATCH', 'POST'], '/web/quizes/:id/toggle-live', { collection: 'quizes', itemKey: 'quiz', label: 'Quiz' }, 'Quiz status updated', (item) => ({ isLive: !item.isLive })),
+  ['GET', '/web/quizes/:id/submissions', ({ query }) => ({ data: { submissions: [], pagination: queryCollection([], query).pagination } })],
+  ...resource('/web/quizes', { collection: 'quizes', listKey: 'quizes', itemKey: 'quiz', label: 'Quiz', searchFields: ['title'] }),
+
+  ['GET', '/web/challenges/icons', () => ({ data: { icons: [] } })],
+  action(['PATCH', 'POST'], '/web/challenges/:id/toggle-status', { collection: 'challenges', itemKey: 'challenge', label: 'Challenge' }, 'Challenge status updated', (item) => ({ isActive: !item.isActive })),
+  ...resource('/web/challenges', { collection: 'challenges', listKey: 'challenges', itemKey: 'challenge', label: 'Challenge', searchFields: ['title'] }),
+
+  action(['PATCH', 'POST'], '/web/sos/programs/:id/toggle-status', { collection: 'sosPrograms', itemKey: 'program', label: 'Program' }, 'Program status updated', (item) => ({ isActive: !item.isActive })),
+  ...resource('/web/sos/programs', { collection: 'sosPrograms', listKey: 'programs', itemKey: 'program', label: 'Program', searchFields: ['title'] }),
+  ...resource('/web/sos/quizzes', { collection: 'sosQuizzes', listKey: 'quizzes', itemKey: 'quiz', label: 'Quiz', searchFields: ['title'] }),
+
+  ...resource('/web/polls', { collection: 'polls', listKey: 'polls', itemKey: 'poll', label: 'Poll', searchFields: ['question'] }),
+
+  ['GET', '/web/stories/ttl-options', () => ({ data: { options: ['1_hour', '6_hours', '12_hours', '24_hours', '7_days', 'forever'] } })],
+  action('PATCH', '/web/stories/:id/toggle', { collection: 'stories', itemKey: 'story', label: 'Story' }, 'Story status updated', (item) => ({ isActive: !item.isActive })),
+  ...resource('/web/stories', { collection: 'stories', listKey: 'stories', itemKey: 'story', label: 'Story', searchFields: ['title'] }),
+
+  ['GET', '/web/recommendations/tags', () => ({ data: { tags: [] } })],
+  ...resource('/web/recommendations', { collection: 'recommendations', listKey: 'recommendations', itemKey: 'recommendation', label: 'Recommendation', searchFields: ['title'] }),
+
+  ...resource('/web/jobs/filters', { collection: 'opportunityFilters', listKey: 'filters', itemKey: 'filter', label: 'Filter' }),
+  action(['PATCH', 'PUT'], '/web/jobs/applications/:id/status', { collection: 'jobApplications', itemKey: 'application', label: 'Application' }, 'Application status updated', (item, body) => body),
+  ...resource('/web/jobs/applications', { collection: 'jobApplications', listKey: 'applications', itemKey: 'application', label: 'Application' }),
+  ...resource('/web/jobs', { collection: 'jobs', listKey: 'jobs', itemKey: 'job', label: 'Job', searchFields: ['title', 'company'] }),
+];
+
+// ============ SAVED VIEWS ============
+
+// Saved views belong to the admin who saved them and aren't audited
+const findOwnView = (admin, id) => {
+  const view = (getDb().savedViews || []).find((item) => item._id === id && item.adminId === admin._id);
+  return view || notFound('Saved view');
+};
+
+const savedViewRoutes = [
+  [
+    'GET',
+    '/web/saved-views',
+    ({ admin }) => ({
+      data: { views: (getDb().savedViews || []).filter((view) => view.adminId === admin._id) },
+    }),
+  ],
+  [
+    'POST',
+    '/web/saved-views',
+    ({ body, admin }) => {
+      const name = (body.name || '').trim();
+      if (!name || !body.path) {
+        throw new MockHttpError(400, 'Validation failed', [{ field: 'name', message: 'Name is required' }]);
+      }
+
+      const db = getDb();
+      db.savedViews = db.savedViews || [];
+      const taken = db.savedViews.some(
+        (view) => view.adminId === admin._id && view.path === body.path && view.name === name
+      );
+      if (taken) {
+        throw new MockHttpError(400, 'Validation failed', [
+          { field: 'name', message: 'You already have a view with this name' },
+        ]);
+      }
+
+      const view = {
+        _id: createId(),
+        adminId: admin._id,
+        name,
+        path: body.path,
+        search: body.search || '',
+        isPinned: !!body.isPinned,
+        createdAt: now(),
+        updatedAt: now(),
+      };
+      db.savedViews.push(view);
+      saveDb();
+      return { status: 201, message: 'View saved', data: { view } };
+    },
+  ],
+  [
+    'PUT',
+    '/web/saved-views/:id',
+    ({ params, body, admin }) => {
+      const view = findOwnView(admin, params.id);
+      if (body.name !== undefined) view.name = body.name.trim() || view.name;
+      if (body.isPinned !== undefined) view.isPinned = !!body.isPinned;
+      view.updatedAt = now();
+      saveDb();
+      return { message: 'View updated', data: { view } };
+    },
+  ],
+  [
+    'DELETE',
+    '/web/saved-views/:id',
+    ({ params, admin }) => {
+      const view = findOwnView(admin, params.id);
+      const db = getDb();
+      db.savedViews = db.savedViews.filter((item) => item._id !== view._id);
+      saveDb();
+      return { message: 'View deleted' };
+    },
+  ],
+];
+
+// ============ REALTIME FEED ============
+
+// Polling side of the realtime channel - there is no stream offline
+const realtimeRoutes = [
+  [
+    'GET',
+    '/web/realtime/events',
+    ({ query }) => {
+      const events = getDb().realtimeEvents || [];
+      const cursor = events[events.length - 1]?.id || 0;
+      if (query.since === undefined || query.since === '') {
+        return { data: { events: [], cursor } };
+      }
+      return { data: { events: events.filter((event) => event.id > Number(query.since)), cursor } };
+    },
+  ],
+];
+
+// ============ TABLE LAYOUTS ============
+
+// Column layouts are per admin and per table, like saved views
+const tableLayoutRoutes = [
+  [
+    'GET',
+    '/web/table-layouts/:key',
+    ({ params, admin }) => {
+      const saved = (getDb().tableLayouts || []).find(
+        (item) => item.adminId === admin._id && item.key === params.key
+      );
+      return { data: { layout: saved ? { order: saved.order, hidden: saved.hidden } : null } };
+    },
+  ],
+  [
+    'PUT',
+    '/web/table-layouts/:key',
+    ({ params, body, admin }) => {
+      const db = getDb();
+      db.tableLayouts = (db.tableLayouts || []).filter(
+        (item) => !(item.adminId === admin._id && item.key === params.key)
+      );
+
+      const layout = {
+        order: Array.isArray(body.order) ? body.order : [],
+        hidden: Array.isArray(body.hidden) ? body.hidden : [],
+      };
+      db.tableLayouts.push({ adminId: admin._id, key: params.key, ...layout, updatedAt: now() });
+      saveDb();
+      return { message: 'Layout saved', data: { layout } };
+    },
+  ],
+];
+
+const getNotificationState = (adminId) =>
+  (getDb().notificationStates || []).find((state) => state.adminId === adminId) || {
+    adminId,
+    readIds: [],
+    hiddenCategories: [],
+  };
+
+const saveNotificationState = (state) => {
+  const db = getDb();
+  db.notificationStates = [
+    ...(db.notificationStates || []).filter((item) => item.adminId !== state.adminId),
+    { ...state, updatedAt: now() },
+  ];
+  saveDb();
+};
+
+// Read IDs kept per admin - the oldest drop off first
+const MAX_READ_IDS = 500;
+
+const notificationRoutes = [
+  [
+    'GET',
+    '/web/notifications/state',
+    ({ admin }) => {
+      const { readIds, hiddenCategories } = getNotificationState(admin._id);
+      return { data: { readIds, hiddenCategories } };
+    },
+  ],
+  [
+    'POST',
+    '/web/notifications/read',
+    ({ body, admin }) => {
+      const state = getNotificationState(admin._id);
+      const ids = (Array.isArray(body.ids) ? body.ids : []).filter((id) => !state.readIds.includes(id));
+      const readIds = [...state.readIds, ...ids].slice(-MAX_READ_IDS);
+
+      saveNotificationState({ ...state, readIds });
+      return { message: 'Notifications marked as read', data: { readIds } };
+    },
+  ],
+  [
+    'PUT',
+    '/web/notifications/preferences',
+    ({ body, admin }) => {
+      const state = getNotificationState(admin._id);
+      const hiddenCategories = Array.isArray(body.hiddenCategories) ? body.hiddenCategories : [];
+
+      saveNotificationState({ ...state, hiddenCategories });
+      return { message: 'Notification preferences saved', data: { hiddenCategories } };
+    },
+  ],
+];
+
+// ============ MISC ============
+
+const analyticsRoutes = [
+  [
+    'GET',
+    '/web/analytics/dashboard',
+    () => {
+      const db = getDb();
+      const events = db.events.filter((e) => !e.isDeleted);
+      const upcoming = events.filter((e) => new Date(e.startDate) > new Date());
+      const countBy = (items, key) =>
+        items.reduce((acc, item) => ({ ...acc, [item[key]]: (acc[item[key]] || 0) + 1 }), {});
+      const cashMinted = db.offlineCash.reduce((sum, r) => sum + (r.ticketCount || 0), 0);
+
+      return {
+        data: {
+          recentActivity: { last24Hours: { payments: 3, enrollments: 5, cashTickets: 1 } },
+          payments: Object.fromEntries(TIME_RANGES.map((range) => [range.value, getDashboardPayments(range.value)])),
+          users: { total: db.users.filter((u) => !u.isDeleted).length, growth: 12, thisMonth: 9, lastMonth: 8 },
+          admins: {
+            total: db.admins.length,
+            active: db.admins.filter((a) => a.status === 'ACTIVATED').length,
+            inactive: db.admins.filter((a) => a.status !== 'ACTIVATED').length,
+            byRole: countBy(db.admins, 'role'),
+          },
+          events: {
+            total: events.length,
+            live: events.filter((e) => e.isLive).length,
+            upcoming: upcoming.length,
+            past: events.length - upcoming.length,
+            byCategory: countBy(events, 'category'),
+            byMode: countBy(events, 'mode'),
+          },
+          enrollments: {
+            totalEnrollments: events.reduce((sum, e) => sum + (e.ticketsSold || 0), 0),
+            onlineEnrollments: events.reduce((sum, e) => sum + (e.ticketsSold || 0), 0),
+            onlineTickets: events.reduce((sum, e) => sum + (e.ticketsSold || 0), 0),
+            cashEnrollments: db.offlineCash.length,
+          },
+          cashTickets: {
+            totalMinted: cashMinted,
+            redeemed: db.offlineCash.filter((r) => r.redeemed).length,
+            pending: db.offlineCash.filter((r) => !r.redeemed).length,
+          },
+          communications: {
+            email: { total: 0, successRate: 0, successful: 0 },
+            whatsapp: { total: 0, successRate: 0, successful: 0 },
+            totalCommunications: 0,
+          },
+          topPerformingEvents: [...events]
+            .sort((a, b) => (b.ticketsSold || 0) - (a.ticketsSold || 0))
+            .slice(0, 5)
+            .map((e) => {
+              const price = e.price ?? e.pricingTiers?.[0]?.price ?? 0;
+              return {
+                eventId: e._id,
+                eventName: e.name,
+                eventDate: e.startDate,
+                eventCity: e.city,
+                eventMode: e.mode,
+                eventCategory: e.category,
+                totalRevenue: (e.ticketsSold || 0) * price,
+                totalTickets: e.ticketsSold || 0,
+                totalOrders: e.ticketsSold || 0,
+                onlineTickets: e.ticketsSold || 0,
+                onlineRevenue: (e.ticketsSold || 0) * price,
+                offlineTickets: 0,
+                offlineRevenue: 0,
+              };
+            }),
+          adminPerformance: db.admins.map((a) => ({
+            adminId: a._id,
+            adminName: a.name,
+            adminUsername: a.username,
+            adminRole: a.role,
+            totalTickets: 0,
+            redeemedTickets: 0,
+            pendingTickets: 0,
+            totalRevenue: 0,
+          })),
+          generatedAt: now(),
+        },
+      };
+    },
+  ],
+  [
+    'GET',
+    '/web/analytics/communications',
+    ({ query }) => {
+      const { items, pagination } = queryCollection(getDb().communicationLogs || [], query, ['recipient']);
+      return { data: { logs: items, pagination } };
+    },
+  ],
+];
+
+const auditLogRoutes = [
+  [
+    'GET',
+    '/web/audit-logs/entity/:entityType/:entityId',
+    ({ admin, params, query }) => {
+      requireAuditAccess(admin);
+      const logs = (getDb().auditLogs || []).filter(
+        (log) => log.entityType === params.entityType && log.entityId === params.entityId
+      );
+      const { items, pagination } = queryCollection(logs, query, []);
+      return { data: { logs: items, pagination } };
+    },
+  ],
+  [
+    'GET',
+    '/web/audit-logs',
+    ({ admin, query }) => {
+      requireAuditAccess(admin);
+      const { adminId, startDate, endDate, ...rest } = query;
+      const logs = (getDb().auditLogs || []).filter(
+        (log) => (!adminId || log.admin?._id === adminId) && matchesDateRange(log.createdAt, startDate, endDate)
+      );
+      const { items, pagination } = queryCollection(logs, rest, []);
+      return { data: { logs: items, pagination } };
+    },
+  ],
+];
+
+const miscRoutes = [
+  ...resource('/web/coupons', {
+    collection: 'coupons',
+    listKey: 'coupons',
+    itemKey: 'coupon',
+    label: 'Coupon',
+    searchFields: ['code', 'description'],
+    uniqueFields: ['code'],
+  }),
+  action('POST', '/web/vouchers/:id/enable', { collection: 'vouchers', itemKey: 'voucher', label: 'Voucher' }, 'Voucher enabled', { isActive: true }),
+  action('POST', '/web/vouchers/:id/disable', { collection: 'vouchers', itemKey: 'voucher', label: 'Voucher' }, 'Voucher disabled', { isActive: false }),
+  ...resource('/web/vouchers', {
+    collection: 'vouchers',
+    listKey: 'vouchers',
+    itemKey: 'voucher',
+    label: 'Voucher',
+    searchFields: ['title', 'code'],
+  }),
+  ...resource('/app/auth/users', {
+    collection: 'users',
+    listKey: 'users',
+    itemKey: 'user',
+    label: 'User',
+    searchFields: ['name', 'email', 'phone'],
+    uniqueFields: ['email', 'phone'],
+  }),
+  ['GET', '/web/settings/app-version', () => ({ data: { appVersion: getDb().settings.appVersion } })],
+  [
+    'PUT',
+    '/web/settings/app-version',
+    ({ body }) => {
+      const db = getDb();
+      db.settings.appVersion = { ...db.settings.appVersion, ...body };
+      saveDb();
+      return { message: 'App version settings updated', data: { appVersion: db.settings.appVersion } };
+    },
+  ],
+  [
+    'POST',
+    '/web/assets/upload',
+    ({ body }) => {
+      // Object URLs only live as long as the tab - enough to preview uploads in forms
+      const files = [body.files].flat().filter((file) => file instanceof Blob);
+      return {
+        message: 'Upload successful',
+        data: {
+          uploaded: files.map((file) => {
+            const url = URL.createObjectURL(file);
+            return { publicUrl: url, downloadUrl: url, name: file.name, size: file.size, mimeType: file.type };
+          }),
+        },
+      };
+    },
+  ],
+  ['DELETE', '/web/assets', () => ({ message: 'Asset deleted' })],
+];
+
+/**
+ * Route table - first match wins, so specific paths precede `:id` patterns
+ */
+const ROUTES = [
+  ...authRoutes,
+  ...adminRoutes,
+  ...eventRoutes,
+  ...sessionRoutes,
+  ...membershipRoutes,
+  ...serviceRoutes,
+  ...requestQueueRoutes,
+  ...clubRoutes,
+  ...offlineCashRoutes,
+  ...enrollmentRoutes,
+  ...ticketRoutes,
+  ...scanRoutes,
+  ...gateRoutes,
+  ...paymentRoutes,
+  ...engagementRoutes,
+  ...analyticsRoutes,
+  ...auditLogRoutes,
+  ...savedViewRoutes,
+  ...tableLayoutRoutes,
+  ...notificationRoutes,
+  ...realtimeRoutes,
+  ...miscRoutes,
+].map(([method, path, handler, options = {}]) => ({
+  methods: [method].flat(),
+  pattern: new RegExp(`^${path.replace(/:(\w+)/g, '(?<$1>[^/]+)')}$`),
+  handler,
+  isPublic: !!options.public,
+}));
+
+/**
+ * Dispatch a request to its mock handler
+ * @param {Object} request - { method, path, query, body, authorization }
+ * @returns {Promise<{ status: number, message: string, data: any }>}
+ */
+export const handleRequest = async ({ method, path, query, body, authorization }) => {
+  for (const route of ROUTES) {
+    const match = route.methods.includes(method) && path.match(route.pattern);
+    if (!match) continue;
+
+    const admin = route.isPublic ? null : authenticate(authorization);
+    const result = (await route.handler({ params: { ...match.groups }, query, body, admin, authorization })) || {};
+    return { status: result.status || 200, message: result.message || 'Success', data: result.data ?? null };
+  }
+
+  // Endpoints without fixtures still resolve so pages render their empty state
+  if (method === 'GET') {
+    authenticate(authorization);
+    return { status: 200, message: 'No mock data for this endpoint', data: {} };
+  }
+
+  throw new MockHttpError(404, `Mock route not found: ${method} ${path}`);
+};
@@ -0,0 +1,7 @@
+/**
+ * In-browser mock backend
+ * Enabled with VITE_USE_MOCK_API=true - see api.service.js
+ */
+export { mockAdapter } from './mockAdapter';
+export { resetDb } from './db';
+export { MOCK_CREDENTIALS } from './fixtures';
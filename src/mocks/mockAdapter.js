@@ -0,0 +1,126 @@
+import { AxiosError } from 'axios';
+import { handleRequest, MockHttpError } from './handlers';
+import logger from '../utils/logger';
+
+/**
+ * Mock Adapter
+ * Axios adapter answering requests from the in-browser mock backend instead of the network
+ */
+
+// Simulated network latency so loading states stay visible
+const LATENCY_MS = 250;
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Resolve the request URL, with the path trimmed to the /web or /app route
+ * Handles both apiClient's relative URLs and absolute ones (the raw refresh-token call)
+ * @param {Object} config - Axios request config
+ * @returns {{ path: string, searchParams: URLSearchParams }}
+ */
+const resolveUrl = (config) => {
+  const url = new URL(config.url || '', new URL(config.baseURL || '', 'http://mock.local'));
+  return {
+    path: url.pathname.replace(/^.*?(?=\/(web|app)\/)/, '').replace(/\/$/, ''),
+    searchParams: url.searchParams,
+  };
+};
+
+/**
+ * Decode the request body (JSON string after axios transforms, or FormData)
+ * @param {any} data - Axios request data
+ * @returns {Object}
+ */
+const parseBody = (data) => {
+  if (!data) return {};
+
+  if (data instanceof FormData) {
+    const body = {};
+    data.forEach((value, key) => {
+      body[key] = key in body ? [body[key], value].flat() : value;
+    });
+    return body;
+  }
+
+  if (typeof data === 'string') {
+    try {
+      return JSON.parse(data);
+    } catch {
+      return {};
+    }
+  }
+
+  return data;
+};
+
+/**
+ * Axios adapter
+ * @param {Object} config - Axios request config
+ * @returns {Promise<Object>} Axios response
+ */
+export const mockAdapter = async (config) => {
+  const { path, searchParams } = resolveUrl(config);
+  const request = {
+    method: (config.method || 'get').toUpperCase(),
+    path,
+    query: { ...Object.fromEntries(searchParams), ...config.params },
+    body: parseBody(config.data),
+    authorization: config.headers?.Authorization,
+  };
+
+  await delay(LATENCY_MS);
+
+  if (config.data instanceof FormData) {
+    config.onUploadProgress?.({ loaded: 1, total: 1, progress: 1 });
+  }
+
+  let status;
+  let payload;
+
+  try {
+    const result = await handleRequest(request);
+    status = result.status;
+    // Clone so callers can't mutate the mock database
+    payload = {
+      status: result.status,
+      message: result.message,
+      data: result.data === null ? null : JSON.parse(JSON.stringify(result.data)),
+    };
+  } catch (error) {
+    if (!(error instanceof MockHttpError)) {
+      logger.error('[MockApi] Handler error:', error);
+    }
+    status = error.status || 500;
+    payload = {
+      status,
+      message: error.message,
+      error: error.message,
+      ...(error.errors && { errors: error.errors }),
+    };
+  }
+
+  logger.debug(`[MockApi] ${request.method} ${request.path} -> ${status}`);
+
+  const response = {
+    data: payload,
+    status,
+    statusText: payload.message,
+    headers: {},
+    config,
+    request: {},
+  };
+
+  if (status >= 200 && status < 300) {
+    return response;
+  }
+
+  throw new AxiosError(
+    payload.message,
+    status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+    config,
+    response.request,
+    response
+  );
+};
+
+export default mockAdapter;
@@ -0,0 +1,101 @@
+/**
+ * Mock TOTP
+ * RFC 6238 time-based one-time passwords (HMAC-SHA1, 30s steps, 6 digits) so the
+ * mock backend accepts codes from a real authenticator app
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+// Accept the previous and next step to tolerate clock drift
+const DRIFT_STEPS = 1;
+
+const BACKUP_CODE_COUNT = 10;
+
+const randomBytes = (length) => crypto.getRandomValues(new Uint8Array(length));
+
+const base32Encode = (bytes) => {
+  let bits = '';
+  bytes.forEach((byte) => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+  return (bits.match(/.{1,5}/g) || [])
+    .map((chunk) => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)])
+    .join('');
+};
+
+const base32Decode = (secret) => {
+  const bits = secret
+    .toUpperCase()
+    .replace(/[^A-Z2-7]/g, '')
+    .split('')
+    .map((char) => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+  return new Uint8Array((bits.match(/.{8}/g) || []).map((byte) => parseInt(byte, 2)));
+};
+
+const generateCode = async (secret, counter) => {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    base32Decode(secret),
+    { name: 'HMAC', hash: 'SHA-1' },
+    false,
+    ['sign']
+  );
+
+  const message = new DataView(new ArrayBuffer(8));
+  message.setUint32(0, Math.floor(counter / 2 ** 32));
+  message.setUint32(4, counter % 2 ** 32);
+
+  const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message.buffer));
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Generate a random base32 secret (160 bits)
+ * @returns {string}
+ */
+export const generateSecret = () => base32Encode(randomBytes(20));
+
+/**
+ * Build the otpauth:// URL authenticator apps import from a QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Shown in the authenticator app
+ * @returns {string}
+ */
+export const buildOtpauthUrl = (secret, accountName) =>
+  `otpauth://totp/Motivata:${encodeURIComponent(accountName)}?secret=${secret}&issuer=Motivata&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+/**
+ * Check a code against the secret
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the admin
+ * @returns {Promise<boolean>}
+ */
+export const verifyTotp = async (secret, code) => {
+  if (!secret || !/^\d{6}$/.test(code || '')) return false;
+
+  const counter = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+  for (let drift = -DRIFT_STEPS; drift <= DRIFT_STEPS; drift++) {
+    if ((await generateCode(secret, counter + drift)) === code) return true;
+  }
+  return false;
+};
+
+/**
+ * Generate one-time backup codes (xxxx-xxxx)
+ * @returns {string[]}
+ */
+export const generateBackupCodes = () =>
+  Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const hex = Array.from(randomBytes(4), (byte) => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
@@ -0,0 +1,88 @@
+import { useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { Loader2, AlertCircle } from 'lucide-react';
+import authService from '../services/auth.service';
+import useQuery from '../hooks/useQuery';
+import AuthLayout from '../components/auth/AuthLayout';
+import SetPasswordForm from '../components/auth/SetPasswordForm';
+import logger from '../utils/logger';
+
+/**
+ * AcceptInvite Page
+ * Lands from an admin invite link - the new admin picks their own password
+ */
+function AcceptInvite() {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  // Links are single-use, so always ask the server rather than the cache
+  const inviteQuery = useQuery(['auth', 'invite', token], () => authService.verifyInvite(token), {
+    staleTime: 0,
+  });
+  const invitee = inviteQuery.data?.admin;
+
+  const handleSubmit = async (password) => {
+    setError('');
+    setIsSubmitting(true);
+    try {
+      const result = await authService.acceptInvite(token, password);
+      if (result.success) {
+        navigate('/login', { replace: true, state: { notice: 'invite-accepted', username: invitee?.username } });
+      } else {
+        setError(result.error || 'Could not set your password. Please try again.');
+      }
+    } catch (err) {
+      logger.error('[AcceptInvite] Unexpected error:', err);
+      setError('An unexpected error occurred. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <AuthLayout subtitle="Set up your admin account">
+      {inviteQuery.isLoading ? (
+        <div className="py-8 flex flex-col items-center">
+          <Loader2 className="h-8 w-8 text-gray-800 animate-spin" />
+          <p className="mt-2 text-sm text-gray-500">Checking your invite...</p>
+        </div>
+      ) : inviteQuery.error ? (
+        <div className="text-center">
+          <AlertCircle className="h-12 w-12 text-red-400 mx-auto mb-4" />
+          <h2 className="text-lg font-semibold text-gray-900 mb-2">This invite no longer works</h2>
+          <p className="text-sm text-gray-600">
+            Invites expire and can only be used once. Ask a super admin to resend your invite.
+          </p>
+        </div>
+      ) : (
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">
+            Welcome{invitee?.name ? `, ${invitee.name}` : ''}
+          </h2>
+          <p className="text-sm text-gray-600 mt-1 mb-6">
+            Choose a password for <span className="font-medium text-gray-900">@{invitee?.username}</span>.
+            You'll use it with your username to sign in.
+          </p>
+
+          {error && (
+            <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start gap-3">
+              <AlertCircle className="h-5 w-5 text-red-600 shrink-0 mt-0.5" />
+              <p className="text-sm text-red-700">{error}</p>
+            </div>
+          )}
+
+          <SetPasswordForm
+            onSubmit={handleSubmit}
+            isSubmitting={isSubmitting}
+            submitLabel="Set Password"
+            username={invitee?.username}
+          />
+        </div>
+      )}
+    </AuthLayout>
+  );
+}
+
+export default AcceptInvite;
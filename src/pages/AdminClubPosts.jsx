@@ -11,6 +11,7 @@ import {
   ShieldCheck,
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import { MANAGER_ROLES } from '../utils/permissions';
 import clubsService from '../services/clubs.service';
 import clubPostsService from '../services/club-posts.service';
 import FileUpload from '../components/ui/FileUpload';
@@ -26,7 +27,7 @@ const defaultPostForm = {
 
 function AdminClubPosts() {
   const { hasRole } = useAuth();
-  const canManage = hasRole(['SUPER_ADMIN', 'ADMIN']);
+  const canManage = hasRole(MANAGER_ROLES);
 
   const [clubs, setClubs] = useState([]);
   const [postForm, setPostForm] = useState(defaultPostForm);
@@ -1,10 +1,13 @@
 import { useState, useCallback, useMemo } from 'react';
-import { Search, Plus, Edit, Trash2, Loader2, AlertCircle, RefreshCw } from 'lucide-react';
+import { Search, Plus, Edit, Trash2, Loader2, AlertCircle, RefreshCw, ShieldCheck, ShieldOff, Send } from 'lucide-react';
 import useAdmins from '../hooks/useAdmins';
 import { useAuth } from '../contexts/AuthContext';
 import Pagination from '../components/ui/Pagination';
 import ConfirmDialog from '../components/ui/ConfirmDialog';
 import AdminForm from '../components/admin/AdminForm';
+import InviteLinkDialog from '../components/admin/InviteLinkDialog';
+import TwoFactorPolicy from '../components/admin/TwoFactorPolicy';
+import twoFactorService from '../services/twoFactor.service';
 
 // Role display configuration
 const ROLE_CONFIG = {
@@ -17,6 +20,7 @@ const ROLE_CONFIG = {
 const STATUS_CONFIG = {
   ACTIVATED: { label: 'Active', color: 'bg-green-100 text-green-700' },
   DEACTIVATED: { label: 'Inactive', color: 'bg-gray-100 text-gray-700' },
+  INVITED: { label: 'Invite Pending', color: 'bg-yellow-100 text-yellow-700' },
 };
 
 // Filter options
@@ -31,6 +35,7 @@ const STATUS_OPTIONS = [
   { value: '', label: 'All Status' },
   { value: 'ACTIVATED', label: 'Active' },
   { value: 'DEACTIVATED', label: 'Inactive' },
+  { value: 'INVITED', label: 'Invite Pending' },
 ];
 
 function Admins() {
@@ -42,9 +47,11 @@ function Admins() {
     pagination,
     filters,
     isLoading,
+    isFetching,
     error,
     fetchAdmins,
-    createAdmin,
+    inviteAdmin,
+    resendInvite,
     updateAdmin,
     deleteAdmin,
     updateFilters,
@@ -55,12 +62,17 @@ function Admins() {
   // Modal states
   const [isFormModalOpen, setIsFormModalOpen] = useState(false);
   const [isDeleteDialogOpen, setIsDeleteDialogOpen] = useState(false);
+  const [isResetTwoFactorDialogOpen, setIsResetTwoFactorDialogOpen] = useState(false);
   const [selectedAdmin, setSelectedAdmin] = useState(null);
 
   // Form submission states
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [formError, setFormError] = useState(null);
-  const [validationErrors, setValidationErrors] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState(null);
+
+  // Invite just sent: { admin, inviteUrl, expiresAt }
+  const [sentInvite, setSentInvite] = useState(null);
+  const [resendingId, setResendingId] = useState(null);
 
   // Debounce search input
   const [searchInput, setSearchInput] = useState(filters.search);
@@ -88,7 +100,7 @@ function Admins() {
   const handleOpenCreateModal = useCallback(() => {
     setSelectedAdmin(null);
     setFormError(null);
-    setValidationErrors(null);
+    setFieldErrors(null);
     setIsFormModalOpen(true);
   }, []);
 
@@ -96,7 +108,7 @@ function Admins() {
   const handleOpenEditModal = useCallback((admin) => {
     setSelectedAdmin(admin);
     setFormError(null);
-    setValidationErrors(null);
+    setFieldErrors(null);
     setIsFormModalOpen(true);
   }, []);
 
@@ -105,7 +117,7 @@ function Admins() {
     setIsFormModalOpen(false);
     setSelectedAdmin(null);
     setFormError(null);
-    setValidationErrors(null);
+    setFieldErrors(null);
   }, []);
 
   // Open delete dialog
@@ -120,11 +132,23 @@ function Admins() {
     setSelectedAdmin(null);
   }, []);
 
+  // Open reset 2FA dialog
+  const handleOpenResetTwoFactorDialog = useCallback((admin) => {
+    setSelectedAdmin(admin);
+    setIsResetTwoFactorDialogOpen(true);
+  }, []);
+
+  // Close reset 2FA dialog
+  const handleCloseResetTwoFactorDialog = useCallback(() => {
+    setIsResetTwoFactorDialogOpen(false);
+    setSelectedAdmin(null);
+  }, []);
+
   // Handle form submit (create or update)
   const handleFormSubmit = useCallback(async (formData) => {
     setIsSubmitting(true);
     setFormError(null);
-    setValidationErrors(null);
+    setFieldErrors(null);
 
     try {
       let result;
@@ -132,16 +156,19 @@ function Admins() {
         // Update existing admin
         result = await updateAdmin(selectedAdmin._id, formData);
       } else {
-        // Create new admin
-        result = await createAdmin(formData);
+        // Invite new admin - they set their own password
+        result = await inviteAdmin(formData);
       }
 
       if (result.success) {
         handleCloseFormModal();
+        if (!selectedAdmin) {
+          setSentInvite(result.data);
+        }
       } else {
         setFormError(result.error);
-        if (result.validationErrors) {
-          setValidationErrors(result.validationErrors);
+        if (result.fieldErrors) {
+          setFieldErrors(result.fieldErrors);
         }
       }
     } catch {
@@ -149,7 +176,24 @@ function Admins() {
     } finally {
       setIsSubmitting(false);
     }
-  }, [selectedAdmin, createAdmin, updateAdmin, handleCloseFormModal]);
+  }, [selectedAdmin, inviteAdmin, updateAdmin, handleCloseFormModal]);
+
+  // Send a pending admin a fresh invite link
+  const handleResendInvite = useCallback(async (admin) => {
+    setResendingId(admin._id);
+    try {
+      const result = await resendInvite(admin._id);
+      if (result.success) {
+        setSentInvite(result.data);
+      } else {
+        alert(result.error || 'Failed to resend invite');
+      }
+    } catch {
+      alert('An unexpected error occurred');
+    } finally {
+      setResendingId(null);
+    }
+  }, [resendInvite]);
 
   // Handle delete confirmation
   const handleDeleteConfirm = useCallback(async () => {
@@ -171,6 +215,26 @@ function Admins() {
     }
   }, [selectedAdmin, deleteAdmin, handleCloseDeleteDialog]);
 
+  // Handle reset 2FA confirmation
+  const handleResetTwoFactorConfirm = useCallback(async () => {
+    if (!selectedAdmin) return;
+
+    setIsSubmitting(true);
+    try {
+      const result = await twoFactorService.resetForAdmin(selectedAdmin._id);
+      if (result.success) {
+        handleCloseResetTwoFactorDialog();
+        fetchAdmins(pagination.page);
+      } else {
+        alert(result.message || 'Failed to reset two-factor authentication');
+      }
+    } catch {
+      alert('An unexpected error occurred');
+    } finally {
+      setIsSubmitting(false);
+    }
+  }, [selectedAdmin, fetchAdmins, pagination.page, handleCloseResetTwoFactorDialog]);
+
   // Format phone for display
   const formatPhone = useCallback((phone) => {
     if (!phone) return '-';
@@ -206,7 +270,7 @@ function Admins() {
 
     return (
       <tr>
-        <td colSpan="5" className="px-4 sm:px-6 py-12 text-center">
+        <td colSpan="6" className="px-4 sm:px-6 py-12 text-center">
           <div className="flex flex-col items-center">
             <AlertCircle className="h-10 w-10 sm:h-12 sm:w-12 text-gray-300 mb-4" />
             <h3 className="text-base sm:text-lg font-medium text-gray-900 mb-1">
@@ -215,7 +279,7 @@ function Admins() {
             <p className="text-sm text-gray-500 mb-4 px-4">
               {hasFilters
                 ? 'Try adjusting your search or filter criteria'
-                : 'Get started by creating a new admin'}
+                : 'Get started by inviting a new admin'}
             </p>
             {!hasFilters && (
               <button
@@ -223,7 +287,7 @@ function Admins() {
                 className="px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors flex items-center gap-2 text-sm"
               >
                 <Plus className="h-4 w-4 sm:h-5 sm:w-5" />
-                Create Admin
+                Invite Admin
               </button>
             )}
           </div>
@@ -261,6 +325,29 @@ function Admins() {
             </div>
           </div>
           <div className="flex items-center gap-1 flex-shrink-0">
+            {admin.status === 'INVITED' && (
+              <button
+                onClick={() => handleResendInvite(admin)}
+                disabled={resendingId === admin._id}
+                className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-all disabled:opacity-50"
+                title="Resend invite"
+              >
+                {resendingId === admin._id ? (
+                  <Loader2 className="h-4 w-4 animate-spin" />
+                ) : (
+                  <Send className="h-4 w-4" />
+                )}
+              </button>
+            )}
+            {admin.twoFactorEnabled && !isCurrentAdmin && (
+              <button
+                onClick={() => handleOpenResetTwoFactorDialog(admin)}
+                className="p-2 text-orange-600 hover:bg-orange-50 rounded-lg transition-all"
+                title="Reset 2FA"
+              >
+                <ShieldOff className="h-4 w-4" />
+              </button>
+            )}
             <button
               onClick={() => handleOpenEditModal(admin)}
               className="p-2 text-green-600 hover:bg-green-50 rounded-lg transition-all"
@@ -289,6 +376,12 @@ function Admins() {
           <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${statusInfo.color}`}>
             {statusInfo.label}
           </span>
+          {admin.twoFactorEnabled && (
+            <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-green-50 text-green-700 inline-flex items-center gap-1">
+              <ShieldCheck className="h-3 w-3" />
+              2FA
+            </span>
+          )}
           <span className="text-xs text-gray-500">{formatPhone(admin.phone)}</span>
           {admin.role === 'MANAGEMENT_STAFF' && admin.maxCashTicketsAllowed != null && (
             <span className="text-xs text-gray-500">
@@ -313,10 +406,13 @@ function Admins() {
           className="px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors flex items-center justify-center gap-2 text-sm sm:text-base w-full sm:w-auto"
         >
           <Plus className="h-4 w-4 sm:h-5 sm:w-5" />
-          Create Admin
+          Invite Admin
         </button>
       </div>
 
+      {/* Two-Factor Policy */}
+      <TwoFactorPolicy />
+
       {/* Search & Filters */}
       <div className="bg-white rounded-xl shadow-sm p-3 sm:p-4 mb-4 sm:mb-6">
         <div className="flex flex-col sm:flex-row sm:flex-wrap items-stretch sm:items-center gap-3 sm:gap-4">
@@ -361,11 +457,11 @@ function Admins() {
             {/* Refresh button */}
             <button
               onClick={() => fetchAdmins(pagination.page)}
-              disabled={isLoading}
+              disabled={isFetching}
               className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors disabled:opacity-50 flex-shrink-0"
               title="Refresh"
             >
-              <RefreshCw className={`h-4 w-4 sm:h-5 sm:w-5 ${isLoading ? 'animate-spin' : ''}`} />
+              <RefreshCw className={`h-4 w-4 sm:h-5 sm:w-5 ${isFetching ? 'animate-spin' : ''}`} />
             </button>
           </div>
         </div>
@@ -396,6 +492,7 @@ function Admins() {
                 <th className="text-left px-4 lg:px-6 py-3 lg:py-4 text-xs lg:text-sm font-medium text-gray-600">Phone</th>
                 <th className="text-left px-4 lg:px-6 py-3 lg:py-4 text-xs lg:text-sm font-medium text-gray-600">Role</th>
                 <th className="text-left px-4 lg:px-6 py-3 lg:py-4 text-xs lg:text-sm font-medium text-gray-600">Status</th>
+                <th className="text-left px-4 lg:px-6 py-3 lg:py-4 text-xs lg:text-sm font-medium text-gray-600">2FA</th>
                 <th className="text-right px-4 lg:px-6 py-3 lg:py-4 text-xs lg:text-sm font-medium text-gray-600">Actions</th>
               </tr>
             </thead>
@@ -403,7 +500,7 @@ function Admins() {
               {/* Loading State */}
               {isLoading && admins.length === 0 && (
                 <tr>
-                  <td colSpan="5" className="px-6 py-12 text-center">
+                  <td colSpan="6" className="px-6 py-12 text-center">
                     <Loader2 className="h-8 w-8 animate-spin text-blue-600 mx-auto mb-2" />
                     <p className="text-gray-500">Loading admins...</p>
                   </td>
@@ -466,8 +563,41 @@ function Admins() {
                         {statusInfo.label}
                       </span>
                     </td>
+                    <td className="px-4 lg:px-6 py-3 lg:py-4">
+                      {admin.twoFactorEnabled ? (
+                        <span className="inline-flex items-center gap-1 text-xs font-medium text-green-700">
+                          <ShieldCheck className="h-4 w-4" />
+                          On
+                        </span>
+                      ) : (
+                        <span className="text-xs text-gray-400">Off</span>
+                      )}
+                    </td>
                     <td className="px-4 lg:px-6 py-3 lg:py-4">
                       <div className="flex items-center justify-end gap-1 lg:gap-2">
+                        {admin.status === 'INVITED' && (
+                          <button
+                            onClick={() => handleResendInvite(admin)}
+                            disabled={resendingId === admin._id}
+                            className="p-1.5 lg:p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-all disabled:opacity-50"
+                            title="Resend invite"
+                          >
+                            {resendingId === admin._id ? (
+                              <Loader2 className="h-4 w-4 lg:h-5 lg:w-5 animate-spin" />
+                            ) : (
+                              <Send className="h-4 w-4 lg:h-5 lg:w-5" />
+                            )}
+                          </button>
+                        )}
+                        {admin.twoFactorEnabled && !isCurrentAdmin && (
+                          <button
+                            onClick={() => handleOpenResetTwoFactorDialog(admin)}
+                            className="p-1.5 lg:p-2 text-orange-600 hover:bg-orange-50 rounded-lg transition-all"
+                            title="Reset 2FA"
+                          >
+                            <ShieldOff className="h-4 w-4 lg:h-5 lg:w-5" />
+                          </button>
+                        )}
                         <button
                           onClick={() => handleOpenEditModal(admin)}
                           className="p-1.5 lg:p-2 text-green-600 hover:bg-green-50 rounded-lg transition-all"
@@ -516,7 +646,7 @@ function Admins() {
               <p className="text-sm text-gray-500 mb-4">
                 {filters.search || filters.role || filters.status
                   ? 'Try adjusting your search or filter criteria'
-                  : 'Get started by creating a new admin'}
+                  : 'Get started by inviting a new admin'}
               </p>
               {!(filters.search || filters.role || filters.status) && (
                 <button
@@ -524,7 +654,7 @@ function Admins() {
                   className="px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors inline-flex items-center gap-2 text-sm"
                 >
                   <Plus className="h-4 w-4" />
-                  Create Admin
+                  Invite Admin
                 </button>
               )}
             </div>
@@ -555,9 +685,12 @@ function Admins() {
         admin={selectedAdmin}
         isLoading={isSubmitting}
         serverError={formError}
-        validationErrors={validationErrors}
+        fieldErrors={fieldErrors}
       />
 
+      {/* Invite Link */}
+      <InviteLinkDialog invite={sentInvite} onClose={() => setSentInvite(null)} />
+
       {/* Delete Confirmation Dialog */}
       <ConfirmDialog
         isOpen={isDeleteDialogOpen}
@@ -570,6 +703,19 @@ function Admins() {
         variant="danger"
         isLoading={isSubmitting}
       />
+
+      {/* Reset 2FA Confirmation Dialog */}
+      <ConfirmDialog
+        isOpen={isResetTwoFactorDialogOpen}
+        onClose={handleCloseResetTwoFactorDialog}
+        onConfirm={handleResetTwoFactorConfirm}
+        title="Reset Two-Factor Authentication"
+        message={`Remove two-factor authentication for "${selectedAdmin?.name}"? Their authenticator app and backup codes will stop working, and they will need to set it up again if their role requires it.`}
+        confirmText="Reset 2FA"
+        cancelText="Cancel"
+        variant="warning"
+        isLoading={isSubmitting}
+      />
     </div>
   );
 }
@@ -0,0 +1,103 @@
+import { AlertCircle, Loader2, RefreshCw, History } from 'lucide-react';
+import useAuditLogs from '../hooks/useAuditLogs';
+import AuditLogFilters from '../components/auditLog/AuditLogFilters';
+import AuditLogEntry from '../components/auditLog/AuditLogEntry';
+import Pagination from '../components/ui/Pagination';
+
+/**
+ * AuditLog Page
+ * Who did what to which record - every admin action with its before/after values
+ */
+function AuditLog() {
+  const {
+    logs,
+    pagination,
+    filters,
+    isLoading,
+    isFetching,
+    error,
+    fetchLogs,
+    updateFilters,
+    resetFilters,
+    changePage,
+    clearError,
+  } = useAuditLogs();
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Audit Log</h1>
+          <p className="text-sm text-gray-500 mt-1">
+            Track admin actions across the platform
+          </p>
+        </div>
+        <button
+          onClick={() => fetchLogs()}
+          disabled={isFetching}
+          className="flex items-center justify-center gap-2 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors disabled:opacity-50"
+        >
+          <RefreshCw className={`h-4 w-4 ${isFetching ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      {/* Error Banner */}
+      {error && (
+        <div className="flex items-center gap-3 p-4 bg-red-50 border border-red-200 text-red-700 rounded-lg">
+          <AlertCircle className="h-5 w-5 flex-shrink-0" />
+          <p className="flex-1">{error}</p>
+          <button
+            onClick={clearError}
+            className="text-red-500 hover:text-red-700 font-medium"
+          >
+            Dismiss
+          </button>
+        </div>
+      )}
+
+      {/* Filters */}
+      <AuditLogFilters
+        filters={filters}
+        onFilterChange={updateFilters}
+        onReset={resetFilters}
+      />
+
+      {/* Entries */}
+      {isLoading ? (
+        <div className="bg-white rounded-xl shadow-sm py-12 flex flex-col items-center justify-center">
+          <Loader2 className="h-8 w-8 text-gray-800 animate-spin" />
+          <p className="mt-2 text-sm text-gray-500">Loading audit log...</p>
+        </div>
+      ) : logs.length === 0 ? (
+        <div className="bg-white rounded-xl shadow-sm py-12 text-center">
+          <History className="h-10 w-10 text-gray-300 mx-auto mb-3" />
+          <p className="text-gray-500">No admin actions match these filters</p>
+        </div>
+      ) : (
+        <div className={`space-y-2 transition-opacity ${isFetching ? 'opacity-60' : ''}`}>
+          {logs.map((log) => (
+            <AuditLogEntry key={log._id} log={log} />
+          ))}
+        </div>
+      )}
+
+      {/* Pagination */}
+      {pagination.totalPages > 0 && (
+        <div className="bg-white rounded-xl shadow-sm">
+          <Pagination
+            currentPage={pagination.currentPage}
+            totalPages={pagination.totalPages}
+            totalItems={pagination.totalCount}
+            itemsPerPage={pagination.limit}
+            onPageChange={changePage}
+            itemLabel="entries"
+          />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AuditLog;
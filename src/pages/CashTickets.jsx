@@ -25,21 +25,15 @@ import DirectTicketModal from '../components/cashtickets/DirectTicketModal';
 import DirectTicketBulkModal from '../components/cashtickets/DirectTicketBulkModal';
 import ConfirmDialog from '../components/ui/ConfirmDialog';
 import Pagination from '../components/ui/Pagination';
+import logger from '../utils/logger';
+import { DATE_OPTIONS, formatDate as formatOrgDate } from '../utils/dates';
 
 /**
  * Format date for display
  * @param {string} dateString - ISO date string
  * @returns {string} Formatted date
  */
-const formatDate = (dateString) => {
-  if (!dateString) return '-';
-  const date = new Date(dateString);
-  return date.toLocaleDateString('en-IN', {
-    day: 'numeric',
-    month: 'short',
-    year: 'numeric',
-  });
-};
+const formatDate = (dateString) => formatOrgDate(dateString, DATE_OPTIONS, '-');
 
 /**
  * Format currency for display
@@ -166,16 +160,16 @@ function CashTickets() {
         const result = await offlineCashService.createDirectTicket(formData);
 
         if (result.success) {
-          console.log('[CashTickets] Direct ticket created:', result.data?.enrollment?.id);
+          logger.debug('[CashTickets] Direct ticket created:', result.data?.enrollment?.id);
           fetchRecords(1);
           return { success: true, data: result.data };
         } else {
-          console.error('[CashTickets] Direct ticket failed:', result.message);
+          logger.error('[CashTickets] Direct ticket failed:', result.message);
           setDirectTicketError(result.message || 'Failed to create direct ticket');
           return { success: false };
         }
       } catch (err) {
-        console.error('[CashTickets] Direct ticket error:', err);
+        logger.error('[CashTickets] Direct ticket error:', err);
         setDirectTicketError('An unexpected error occurred');
         return { success: false };
       } finally {
@@ -207,16 +201,16 @@ function CashTickets() {
         const result = await offlineCashService.createDirectTicketBulk(file, formData);
 
         if (result.success) {
-          console.log('[CashTickets] Bulk direct tickets processed:', result.data?.summary);
+          logger.debug('[CashTickets] Bulk direct tickets processed:', result.data?.summary);
           fetchRecords(1);
           return { success: true, data: result.data };
         } else {
-          console.error('[CashTickets] Bulk direct tickets failed:', result.message);
+          logger.error('[CashTickets] Bulk direct tickets failed:', result.message);
           setDirectTicketBulkError(result.message || 'Failed to process bulk upload');
           return { success: false };
         }
       } catch (err) {
-        console.error('[CashTickets] Bulk direct tickets error:', err);
+        logger.error('[CashTickets] Bulk direct tickets error:', err);
         setDirectTicketBulkError('An unexpected error occurred');
         return { success: false };
       } finally {
@@ -274,7 +268,7 @@ function CashTickets() {
           setSelectedRecord(result.data);
         }
       } catch (err) {
-        console.error('[CashTickets] Failed to fetch details:', err);
+        logger.error('[CashTickets] Failed to fetch details:', err);
       } finally {
         setDetailsLoading(false);
       }
@@ -326,7 +320,7 @@ function CashTickets() {
       setCopiedId(recordId);
       setTimeout(() => setCopiedId(null), 2000);
     } catch (err) {
-      console.error('[CashTickets] Failed to copy:', err);
+      logger.error('[CashTickets] Failed to copy:', err);
     }
   }, []);
 
@@ -19,6 +19,7 @@ import {
   Zap,
 } from 'lucide-react';
 import useChallenges from '../hooks/useChallenges';
+import logger from '../utils/logger';
 
 /**
  * Format category name for display
@@ -125,7 +126,7 @@ function Challenges() {
           alert(result.error || 'Failed to load challenge details');
         }
       } catch (err) {
-        console.error('[Challenges] Failed to load challenge for edit:', err);
+        logger.error('[Challenges] Failed to load challenge for edit:', err);
         alert('An unexpected error occurred');
       } finally {
         setDetailsLoading(false);
@@ -162,7 +163,7 @@ function Challenges() {
           return { success: false };
         }
       } catch (err) {
-        console.error('[Challenges] Form submission error:', err);
+        logger.error('[Challenges] Form submission error:', err);
         setFormError('An unexpected error occurred');
         return { success: false };
       } finally {
@@ -186,7 +187,7 @@ function Challenges() {
           setSelectedChallenge(result.data);
         }
       } catch (err) {
-        console.error('[Challenges] Failed to fetch details:', err);
+        logger.error('[Challenges] Failed to fetch details:', err);
       } finally {
         setDetailsLoading(false);
       }
@@ -210,7 +211,7 @@ function Challenges() {
           alert(result.error || 'Failed to update challenge status');
         }
       } catch (err) {
-        console.error('[Challenges] Toggle status error:', err);
+        logger.error('[Challenges] Toggle status error:', err);
         alert('An unexpected error occurred');
       } finally {
         setIsSubmitting(false);
@@ -244,7 +245,7 @@ function Challenges() {
         alert(result.error || 'Failed to delete challenge');
       }
     } catch (err) {
-      console.error('[Challenges] Delete error:', err);
+      logger.error('[Challenges] Delete error:', err);
       alert('An unexpected error occurred');
     } finally {
       setIsSubmitting(false);
@@ -0,0 +1,220 @@
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { MdRefresh, MdHowToReg, MdPeople, MdMeetingRoom, MdBlock, MdQrCodeScanner } from 'react-icons/md';
+import useCheckInDashboard from '../hooks/useCheckInDashboard';
+import { StatCard } from '../components/analytics';
+import { UNASSIGNED_GATE, getCheckInOutcome } from '../utils/checkIns';
+import { formatDate, formatTime } from '../utils/dates';
+
+const GATE_COLORS = ['#3B82F6', '#10B981', '#F59E0B', '#8B5CF6', '#EC4899', '#14B8A6', '#EF4444', '#6B7280'];
+
+/**
+ * CheckInDashboard Page - Live check-in progress of an event across all gates
+ */
+function CheckInDashboard() {
+  const {
+    events,
+    eventsLoading,
+    selectedEventId,
+    handleEventChange,
+    attendance,
+    gates,
+    arrivals,
+    rejections,
+    rejectionCount,
+    updatedAt,
+    isLoading,
+    isFetching,
+    refresh,
+  } = useCheckInDashboard();
+
+  return (
+    <div className="space-y-4">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div>
+          <h1 className="text-2xl lg:text-3xl font-bold text-gray-900 tracking-tight">Check-in Dashboard</h1>
+          <p className="text-sm text-gray-600 mt-1">
+            Live arrivals and rejections across every gate
+            {updatedAt && selectedEventId && ` · updated ${formatTime(updatedAt)}`}
+          </p>
+        </div>
+
+        <button
+          onClick={refresh}
+          disabled={isFetching || !selectedEventId}
+          className="flex items-center gap-1.5 px-3 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-all disabled:opacity-50 disabled:cursor-not-allowed shadow-sm text-sm"
+        >
+          <MdRefresh className={`w-4 h-4 ${isFetching ? 'animate-spin' : ''}`} />
+          <span className="hidden sm:inline font-medium">Refresh</span>
+        </button>
+      </div>
+
+      {/* Event Selector */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+        <label className="block text-sm font-semibold text-gray-700 mb-2">Select Event</label>
+        <select
+          value={selectedEventId}
+          onChange={(e) => handleEventChange(e.target.value)}
+          disabled={eventsLoading}
+          className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-gray-900 bg-white disabled:bg-gray-100"
+        >
+          <option value="">{eventsLoading ? 'Loading events...' : '-- Select an Event --'}</option>
+          {events.map((event) => (
+            <option key={event._id} value={event._id}>
+              {event.name} - {formatDate(event.startDate)}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {!selectedEventId ? (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-12 text-center">
+          <MdQrCodeScanner className="w-12 h-12 mx-auto text-gray-300 mb-3" />
+          <p className="text-gray-500">Select an event to follow its check-ins</p>
+        </div>
+      ) : (
+        <>
+          {/* Attendance */}
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+            <StatCard
+              title="Checked In"
+              value={attendance ? `${attendance.checkedIn} / ${attendance.enrolled}` : '-'}
+              subtitle={attendance ? `${attendance.percent}% of enrolled` : ''}
+              icon={<MdHowToReg className="w-6 h-6" />}
+              iconColor="text-green-600"
+              loading={isLoading && !attendance}
+            />
+            <StatCard
+              title="Still to Arrive"
+              value={attendance?.remaining ?? '-'}
+              subtitle={attendance ? `${attendance.online} online · ${attendance.cash} cash tickets` : ''}
+              icon={<MdPeople className="w-6 h-6" />}
+              iconColor="text-blue-600"
+              loading={isLoading && !attendance}
+            />
+            <StatCard
+              title="Gates"
+              value={gates.length}
+              subtitle={`${gates.reduce((sum, gate) => sum + gate.devices, 0)} registered scanners`}
+              icon={<MdMeetingRoom className="w-6 h-6" />}
+              iconColor="text-purple-600"
+            />
+            <StatCard
+              title="Rejections"
+              value={rejectionCount}
+              subtitle="Already scanned, wrong event or invalid"
+              icon={<MdBlock className="w-6 h-6" />}
+              iconColor="text-red-600"
+            />
+          </div>
+
+          {attendance && (
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+              <div className="flex items-center justify-between text-sm mb-2">
+                <span className="font-semibold text-gray-700">Checked in vs. enrolled</span>
+                <span className="text-gray-600">{attendance.percent}%</span>
+              </div>
+              <div className="h-3 bg-gray-100 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-green-500 rounded-full transition-all duration-500"
+                  style={{ width: `${Math.min(attendance.percent, 100)}%` }}
+                />
+              </div>
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 xl:grid-cols-3 gap-4">
+            {/* Arrivals per gate over time */}
+            <div className="xl:col-span-2 bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+              <h2 className="text-sm font-bold text-gray-900 mb-3">Arrivals per gate (15 min)</h2>
+              {arrivals.slots.length === 0 ? (
+                <p className="text-sm text-gray-500 py-12 text-center">No arrivals recorded yet</p>
+              ) : (
+                <ResponsiveContainer width="100%" height={280}>
+                  <BarChart data={arrivals.slots}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                    <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+                    <YAxis allowDecimals={false} tick={{ fontSize: 12 }} />
+                    <Tooltip />
+                    <Legend />
+                    {arrivals.gates.map((gateName, index) => (
+                      <Bar key={gateName} dataKey={gateName} stackId="arrivals" fill={GATE_COLORS[index % GATE_COLORS.length]} />
+                    ))}
+                  </BarChart>
+                </ResponsiveContainer>
+              )}
+            </div>
+
+            {/* Gate totals */}
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+              <h2 className="text-sm font-bold text-gray-900 mb-3">Gates</h2>
+              {gates.length === 0 ? (
+                <p className="text-sm text-gray-500 py-12 text-center">No scanners registered for this event</p>
+              ) : (
+                <div className="divide-y divide-gray-100">
+                  {gates.map((gate) => (
+                    <div key={gate.gateName} className="py-2.5 flex items-center justify-between gap-3">
+                      <div className="min-w-0">
+                        <p className="text-sm font-medium text-gray-900 truncate">{gate.gateName}</p>
+                        <p className="text-xs text-gray-500">
+                          {gate.devices} scanner{gate.devices !== 1 ? 's' : ''}
+                          {gate.lastScanAt && ` · last scan ${formatTime(gate.lastScanAt)}`}
+                        </p>
+                      </div>
+                      <div className="text-right shrink-0">
+                        <p className="text-sm font-semibold text-green-700">{gate.arrivals} in</p>
+                        {gate.rejections > 0 && <p className="text-xs text-red-600">{gate.rejections} rejected</p>}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+
+          {/* Recent rejections */}
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+            <h2 className="text-sm font-bold text-gray-900 mb-3">Recent rejections</h2>
+            {rejections.length === 0 ? (
+              <p className="text-sm text-gray-500 py-6 text-center">No rejected scans</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs uppercase tracking-wide text-gray-500 border-b border-gray-200">
+                      <th className="py-2 pr-4 font-semibold">Time</th>
+                      <th className="py-2 pr-4 font-semibold">Gate</th>
+                      <th className="py-2 pr-4 font-semibold">Attendee</th>
+                      <th className="py-2 pr-4 font-semibold">Reason</th>
+                      <th className="py-2 font-semibold">Details</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {rejections.map((checkIn) => {
+                      const outcome = getCheckInOutcome(checkIn.outcome);
+                      return (
+                        <tr key={checkIn._id}>
+                          <td className="py-2 pr-4 text-gray-600 whitespace-nowrap">{formatTime(checkIn.scannedAt)}</td>
+                          <td className="py-2 pr-4 text-gray-900 whitespace-nowrap">{checkIn.gateName || UNASSIGNED_GATE}</td>
+                          <td className="py-2 pr-4 text-gray-900">{checkIn.name || '-'}</td>
+                          <td className="py-2 pr-4 whitespace-nowrap">
+                            <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${outcome.className}`}>
+                              {outcome.label}
+                            </span>
+                          </td>
+                          <td className="py-2 text-gray-600">{checkIn.message}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default CheckInDashboard;
@@ -13,6 +13,10 @@ import {
   Users,
 } from 'lucide-react';
 import clubJoinRequestsService from '../services/club-join-requests.service';
+import NewItemsNotifier from '../components/NewItemsNotifier';
+import useLocationState from '../hooks/useLocationState';
+import { REALTIME_EVENTS } from '../utils/realtime';
+import { formatDate } from '../utils/dates';
 
 // Status badge colors
 const STATUS_COLORS = {
@@ -78,6 +82,13 @@ function ClubJoinRequests() {
     setIsLoading(false);
   };
 
+  // Request picked in the notification center - narrow the list down to it
+  useLocationState('openRecord', (request) => {
+    setSearchQuery(request.user?.name || request.name || '');
+    setStatusFilter(request.status || '');
+    setCurrentPage(1);
+  });
+
   const handleApproveClick = (request) => {
     setApproveModal(request);
     setAdminNotes('');
@@ -153,6 +164,12 @@ function ClubJoinRequests() {
 
   return (
     <div className="space-y-6">
+      <NewItemsNotifier
+        events={[REALTIME_EVENTS.CLUB_JOIN_REQUEST_CREATED]}
+        itemLabel="join requests"
+        onShow={fetchJoinRequests}
+      />
+
       {/* Header */}
       <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
         <div>
@@ -321,7 +338,7 @@ function ClubJoinRequests() {
                           </span>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                          {new Date(request.createdAt).toLocaleDateString()}
+                          {formatDate(request.createdAt)}
                         </td>
                         <td className="px-6 py-4 max-w-xs">
                           <p className="text-sm text-gray-600 truncate" title={request.userNote}>
@@ -23,6 +23,7 @@ import {
   Filter,
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import { MANAGER_ROLES } from '../utils/permissions';
 import clubsService from '../services/clubs.service';
 import Modal from '../components/ui/Modal';
 import FileUpload from '../components/ui/FileUpload';
@@ -30,6 +31,8 @@ import Pagination from '../components/ui/Pagination';
 import ConfirmDialog from '../components/ui/ConfirmDialog';
 import PostPermissionsSelector from '../components/PostPermissionsSelector';
 import PostPermissionBadges from '../components/PostPermissionBadges';
+import logger from '../utils/logger';
+import { DATE_OPTIONS, formatDate as formatOrgDate, formatDateTime } from '../utils/dates';
 
 const defaultClubForm = {
   name: '',
@@ -48,7 +51,7 @@ const defaultPagination = {
 
 function Clubs() {
   const { hasRole } = useAuth();
-  const canManage = hasRole(['SUPER_ADMIN', 'ADMIN']);
+  const canManage = hasRole(MANAGER_ROLES);
 
   const [activeTab, setActiveTab] = useState('clubs');
 
@@ -115,12 +118,12 @@ function Clubs() {
         clubsList.map(async (club) => {
           try {
             const statsResult = await clubsService.getClubStats(club._id);
-            console.log('[Clubs] Stats result for', club.name, ':', statsResult);
+            logger.debug('[Clubs] Stats result for', club.name, ':', statsResult);
 
             if (statsResult.success && statsResult.data) {
               // Stats might be in statsResult.data.stats or directly in statsResult.data
               const stats = statsResult.data.stats || statsResult.data;
-              console.log('[Clubs] Extracted stats:', stats);
+              logger.debug('[Clubs] Extracted stats:', stats);
 
               return {
                 ...club,
@@ -129,7 +132,7 @@ function Clubs() {
               };
             }
           } catch (err) {
-            console.error('[Clubs] Stats fetch error for', club.name, ':', err);
+            logger.error('[Clubs] Stats fetch error for', club.name, ':', err);
           }
           return club;
         })
@@ -195,16 +198,16 @@ function Clubs() {
     if (postFilters.mediaType) params.mediaType = postFilters.mediaType;
     if (postFilters.authorType) params.authorType = postFilters.authorType;
 
-    console.log('[Clubs] Fetching posts for club:', selectedClub._id, 'with params:', params);
+    logger.debug('[Clubs] Fetching posts for club:', selectedClub._id, 'with params:', params);
     const result = await clubsService.getClubPosts(selectedClub._id, params);
-    console.log('[Clubs] Posts fetch result:', result);
+    logger.debug('[Clubs] Posts fetch result:', result);
 
     if (result.success) {
       const posts = result.data?.posts || [];
       const pagination = result.data?.pagination;
 
-      console.log('[Clubs] Posts received:', posts.length);
-      console.log('[Clubs] Pagination:', pagination);
+      logger.debug('[Clubs] Posts received:', posts.length);
+      logger.debug('[Clubs] Pagination:', pagination);
 
       setPosts(posts);
       setPostPagination({
@@ -214,7 +217,7 @@ function Clubs() {
         limit: pagination?.limit || postPagination.limit,
       });
     } else {
-      console.error('[Clubs] Failed to fetch posts:', result.message);
+      logger.error('[Clubs] Failed to fetch posts:', result.message);
       setPostError(result.message || 'Failed to load posts');
     }
 
@@ -362,14 +365,7 @@ function Clubs() {
     setPosts([]);
   };
 
-  const formatDate = (dateStr) => {
-    if (!dateStr) return '-';
-    return new Date(dateStr).toLocaleDateString('en-IN', {
-      day: 'numeric',
-      month: 'short',
-      year: 'numeric',
-    });
-  };
+  const formatDate = (dateStr) => formatOrgDate(dateStr, DATE_OPTIONS, '-');
 
   return (
     <div className="space-y-6">
@@ -1219,16 +1215,16 @@ function Clubs() {
               <div className="p-3 bg-gray-50 rounded-lg space-y-1">
                 <p className="text-sm text-gray-900">
                   <span className="font-medium">Created:</span>{' '}
-                  {new Date(selectedPost.createdAt).toLocaleString()}
+                  {formatDateTime(selectedPost.createdAt)}
                 </p>
                 <p className="text-sm text-gray-900">
                   <span className="font-medium">Updated:</span>{' '}
-                  {new Date(selectedPost.updatedAt).toLocaleString()}
+                  {formatDateTime(selectedPost.updatedAt)}
                 </p>
                 {selectedPost.isDeleted && (
                   <p className="text-sm text-red-600">
                     <span className="font-medium">Deleted:</span>{' '}
-                    {new Date(selectedPost.deletedAt).toLocaleString()}
+                    {formatDateTime(selectedPost.deletedAt)}
                   </p>
                 )}
               </div>
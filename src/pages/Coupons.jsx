@@ -18,10 +18,28 @@ import {
 } from 'lucide-react';
 import { toast } from 'react-toastify';
 import couponService from '../services/coupon.service';
+import { useAuth } from '../contexts/AuthContext';
+import { MANAGER_ROLES } from '../utils/permissions';
+import useUrlState from '../hooks/useUrlState';
+import useSyncedInput from '../hooks/useSyncedInput';
+import useFormErrors from '../hooks/useFormErrors';
+import { hasFieldErrors } from '../utils/fieldErrors';
+import { formatDate, fromDateTimeInput, toDateTimeInput } from '../utils/dates';
 import Modal from '../components/ui/Modal';
 import Pagination from '../components/ui/Pagination';
+import Table from '../components/ui/Table';
 import ConfirmDialog from '../components/ui/ConfirmDialog';
 import Badge from '../components/ui/Badge';
+import TimezoneHint from '../components/ui/TimezoneHint';
+import SavedViewsMenu from '../components/SavedViewsMenu';
+
+/**
+ * Default list filters
+ */
+const DEFAULT_FILTERS = {
+  search: '',
+  isActive: 'all',
+};
 
 /**
  * Discount type options
@@ -81,32 +99,6 @@ const getTypeBadgeVariant = (type) => {
   }
 };
 
-/**
- * Format date for datetime-local input
- */
-const formatDateTimeForInput = (isoDate) => {
-  if (!isoDate) return '';
-  const date = new Date(isoDate);
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  const hours = String(date.getHours()).padStart(2, '0');
-  const minutes = String(date.getMinutes()).padStart(2, '0');
-  return `${year}-${month}-${day}T${hours}:${minutes}`;
-};
-
-/**
- * Format date for display
- */
-const formatDateForDisplay = (isoDate) => {
-  if (!isoDate) return '-';
-  return new Date(isoDate).toLocaleDateString('en-IN', {
-    day: 'numeric',
-    month: 'short',
-    year: 'numeric',
-  });
-};
-
 /**
  * Currency formatter
  */
@@ -121,20 +113,30 @@ const currency = new Intl.NumberFormat('en-IN', {
  * Manage discount coupons for memberships and other purchases
  */
 function Coupons() {
+  const { hasRole } = useAuth();
+
+  // Management staff with coupons access can view but not modify
+  const canManage = hasRole(MANAGER_ROLES);
+  const noPermissionTitle = "You don't have permission to modify coupons";
+
   // Data state
   const [coupons, setCoupons] = useState([]);
   const [deletedCoupons, setDeletedCoupons] = useState([]);
 
   // Form state
   const [couponForm, setCouponForm] = useState(defaultCouponForm);
-  const [formErrors, setFormErrors] = useState({});
-
-  // Filters
-  const [filters, setFilters] = useState({
-    search: '',
-    isActive: 'all',
-    applicableTo: 'all',
-  });
+  const {
+    formRef,
+    errors: formErrors,
+    setErrors: setFormErrors,
+    showErrors: showFormErrors,
+  } = useFormErrors();
+
+  // Applied filters, tab and page live in the query string (the global search links to ?search=CODE);
+  // the filter bar edits a draft until Search is pressed
+  const [appliedFilters, setAppliedFilters] = useUrlState(DEFAULT_FILTERS);
+  const [{ tab: activeTab, page, deletedPage }, setView] = useUrlState({ tab: 'active', page: 1, deletedPage: 1 });
+  const [filters, setFilters] = useSyncedInput(appliedFilters);
 
   // Pagination
   const [pagination, setPagination] = useState({
@@ -151,7 +153,6 @@ function Coupons() {
   });
 
   // UI state
-  const [activeTab, setActiveTab] = useState('active');
   const [isLoading, setIsLoading] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [showModal, setShowModal] = useState(false);
@@ -161,9 +162,12 @@ function Coupons() {
 
   /**
    * Fetch active coupons
+   * @param {number} page - Page number
+   * @param {Object} filterOverrides - Filter values to use instead of current state
    */
-  const fetchCoupons = async (page = 1) => {
+  const fetchCoupons = async (page = 1, filterOverrides = {}) => {
     setIsLoading(true);
+    const activeFilters = { ...appliedFilters, ...filterOverrides };
 
     const params = {
       page,
@@ -172,8 +176,8 @@ function Coupons() {
       sortOrder: 'desc',
     };
 
-    if (filters.search.trim()) params.search = filters.search.trim();
-    if (filters.isActive !== 'all') params.isActive = filters.isActive === 'active';
+    if (activeFilters.search.trim()) params.search = activeFilters.search.trim();
+    if (activeFilters.isActive !== 'all') params.isActive = activeFilters.isActive === 'active';
 
     const result = await couponService.getAll(params);
 
@@ -219,15 +223,40 @@ function Coupons() {
   };
 
   /**
-   * Initial data load
+   * Load the current tab whenever the URL state changes (first visit, back/forward, filters, paging)
    */
   useEffect(() => {
     if (activeTab === 'active') {
-      fetchCoupons(1);
+      fetchCoupons(page);
+    } else {
+      fetchDeletedCoupons(deletedPage);
+    }
+  }, [activeTab, page, deletedPage, appliedFilters]);
+
+  /**
+   * Go to a page of the current tab - refetches when it's already the current page
+   * @param {number} nextPage - Page number
+   */
+  const goToPage = (nextPage) => {
+    const pageKey = activeTab === 'active' ? 'page' : 'deletedPage';
+    const currentPage = activeTab === 'active' ? page : deletedPage;
+
+    if (nextPage !== currentPage) {
+      setView((prev) => ({ ...prev, [pageKey]: nextPage }));
+    } else if (activeTab === 'active') {
+      fetchCoupons(nextPage);
     } else {
-      fetchDeletedCoupons(1);
+      fetchDeletedCoupons(nextPage);
     }
-  }, [activeTab]);
+  };
+
+  /**
+   * Switch between active and deleted coupons
+   * @param {string} tab - 'active' or 'deleted'
+   */
+  const setActiveTab = (tab) => {
+    setView((prev) => ({ ...prev, tab }));
+  };
 
   /**
    * Validate coupon form
@@ -277,7 +306,7 @@ function Coupons() {
       errors.validUntil = 'End date is required';
     }
     if (couponForm.validFrom && couponForm.validUntil) {
-      if (new Date(couponForm.validUntil) <= new Date(couponForm.validFrom)) {
+      if (fromDateTimeInput(couponForm.validUntil) <= fromDateTimeInput(couponForm.validFrom)) {
         errors.validUntil = 'End date must be after start date';
       }
     }
@@ -287,7 +316,7 @@ function Coupons() {
       errors.applicableTo = 'Select at least one applicable type';
     }
 
-    setFormErrors(errors);
+    showFormErrors(errors);
     return Object.keys(errors).length === 0;
   };
 
@@ -297,8 +326,8 @@ function Coupons() {
   const preparePayload = () => {
     const payload = {
       code: couponForm.code.trim().toUpperCase(),
-      validFrom: new Date(couponForm.validFrom).toISOString(),
-      validUntil: new Date(couponForm.validUntil).toISOString(),
+      validFrom: fromDateTimeInput(couponForm.validFrom).toISOString(),
+      validUntil: fromDateTimeInput(couponForm.validUntil).toISOString(),
       isActive: couponForm.isActive,
       applicableTo: couponForm.applicableTo,
     };
@@ -355,13 +384,12 @@ function Coupons() {
       toast.success(editingCoupon ? 'Coupon updated successfully' : 'Coupon created successfully');
       setShowModal(false);
       resetForm();
-      fetchCoupons(editingCoupon ? pagination.currentPage : 1);
+      goToPage(editingCoupon ? pagination.currentPage : 1);
     } else {
-      // Show detailed validation errors if available
-      if (result.error && Array.isArray(result.error) && result.error.length > 0) {
-        const errorMessages = result.error.map((e) => e.message || e.msg || e).join(', ');
-        toast.error(errorMessages);
-        console.error('[Coupon] Validation errors:', result.error);
+      // Show validation errors next to their fields when the server names them
+      if (hasFieldErrors(result.fieldErrors)) {
+        showFormErrors(result.fieldErrors);
+        toast.error('Please fix the highlighted fields');
       } else {
         toast.error(result.message || 'Failed to save coupon');
       }
@@ -424,8 +452,8 @@ function Coupons() {
       minPurchaseAmount: coupon.minPurchaseAmount?.toString() || '0',
       maxUsageLimit: coupon.maxUsageLimit?.toString() || '',
       maxUsagePerUser: coupon.maxUsagePerUser?.toString() || '1',
-      validFrom: formatDateTimeForInput(coupon.validFrom),
-      validUntil: formatDateTimeForInput(coupon.validUntil),
+      validFrom: toDateTimeInput(coupon.validFrom),
+      validUntil: toDateTimeInput(coupon.validUntil),
       description: coupon.description || '',
       isActive: coupon.isActive ?? true,
       applicableTo: coupon.applicableTo || ['MEMBERSHIP'],
@@ -476,18 +504,26 @@ function Coupons() {
   };
 
   /**
-   * Apply filters
+   * Apply filters - a search that changes nothing still refreshes the list
+   * @param {Object} nextFilters - Filters to apply (defaults to the draft)
    */
-  const applyFilters = () => {
-    fetchCoupons(1);
+  const applyFilters = (nextFilters = filters) => {
+    const next = { ...nextFilters, search: nextFilters.search.trim() };
+
+    if (next.search === appliedFilters.search && next.isActive === appliedFilters.isActive) {
+      goToPage(1);
+      return;
+    }
+    setAppliedFilters(next);
+    setView((prev) => ({ ...prev, page: 1 }));
   };
 
   /**
    * Reset filters
    */
   const resetFilters = () => {
-    setFilters({ search: '', isActive: 'all', applicableTo: 'all' });
-    fetchCoupons(1);
+    setFilters(DEFAULT_FILTERS);
+    applyFilters(DEFAULT_FILTERS);
   };
 
   /**
@@ -558,18 +594,31 @@ function Coupons() {
     return `${current}/${max}`;
   };
 
+  const isDeletedTab = activeTab === 'deleted';
+
   /**
-   * Render coupon table row
+   * Coupon table columns
    */
-  const renderCouponRow = (coupon, isDeleted = false) => (
-    <tr key={coupon._id} className="hover:bg-gray-50">
-      <td className="px-6 py-4">
+  const columns = [
+    {
+      id: 'code',
+      header: 'Code',
+      sortable: true,
+      hideable: false,
+      sortValue: (coupon) => coupon.code,
+      render: (coupon) => (
         <div className="flex items-center gap-2">
           <Tag className="h-4 w-4 text-gray-400" />
           <span className="font-bold text-gray-900 uppercase">{coupon.code}</span>
         </div>
-      </td>
-      <td className="px-6 py-4">
+      ),
+    },
+    {
+      id: 'discount',
+      header: 'Discount',
+      sortable: true,
+      sortValue: (coupon) => coupon.maxDiscountAmount,
+      render: (coupon) => (
         <div className="flex items-center gap-1">
           {coupon.discountPercent === 100 ? (
             <>
@@ -587,38 +636,63 @@ function Coupons() {
             </>
           )}
         </div>
-      </td>
-      <td className="px-6 py-4">{renderApplicableBadges(coupon.applicableTo)}</td>
-      <td className="px-6 py-4">
+      ),
+    },
+    {
+      id: 'applicableTo',
+      header: 'Applicable To',
+      render: (coupon) => renderApplicableBadges(coupon.applicableTo),
+    },
+    {
+      id: 'validity',
+      header: 'Validity',
+      sortable: true,
+      sortValue: (coupon) => new Date(coupon.validUntil).getTime(),
+      render: (coupon) => (
         <div className="flex items-center gap-1 text-sm text-gray-600">
           <Calendar className="h-4 w-4 text-gray-400" />
           <span>
-            {formatDateForDisplay(coupon.validFrom)} - {formatDateForDisplay(coupon.validUntil)}
+            {formatDate(coupon.validFrom, undefined, '-')} - {formatDate(coupon.validUntil, undefined, '-')}
           </span>
         </div>
-      </td>
-      <td className="px-6 py-4">
+      ),
+    },
+    {
+      id: 'usage',
+      header: 'Usage',
+      sortable: true,
+      sortValue: (coupon) => coupon.currentUsageCount || 0,
+      render: (coupon) => (
         <div className="flex items-center gap-1 text-sm text-gray-600">
           <Users className="h-4 w-4 text-gray-400" />
           <span>{renderUsage(coupon)}</span>
         </div>
-      </td>
-      <td className="px-6 py-4">
-        {isCouponExpired(coupon) ? (
+      ),
+    },
+    {
+      id: 'status',
+      header: 'Status',
+      render: (coupon) =>
+        isCouponExpired(coupon) ? (
           <Badge variant="warning" size="sm">Expired</Badge>
         ) : isCouponActive(coupon) ? (
           <Badge variant="success" size="sm">Active</Badge>
         ) : (
           <Badge variant="danger" size="sm">Inactive</Badge>
-        )}
-      </td>
-      <td className="px-6 py-4">
+        ),
+    },
+    {
+      id: 'actions',
+      header: 'Actions',
+      hideable: false,
+      render: (coupon) => (
         <div className="flex items-center gap-2">
-          {isDeleted ? (
+          {isDeletedTab ? (
             <button
               onClick={() => setRestoreId(coupon._id)}
-              className="p-2 text-green-600 hover:bg-green-50 rounded-lg transition-colors"
-              title="Restore"
+              disabled={!canManage}
+              className="p-2 text-green-600 hover:bg-green-50 rounded-lg transition-colors disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:bg-transparent"
+              title={canManage ? 'Restore' : noPermissionTitle}
             >
               <RotateCcw className="h-4 w-4" />
             </button>
@@ -626,24 +700,62 @@ function Coupons() {
             <>
               <button
                 onClick={() => openEditModal(coupon)}
-                className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
-                title="Edit"
+                disabled={!canManage}
+                className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:bg-transparent"
+                title={canManage ? 'Edit' : noPermissionTitle}
               >
                 <Edit className="h-4 w-4" />
               </button>
               <button
                 onClick={() => setDeleteId(coupon._id)}
-                className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
-                title="Delete"
+                disabled={!canManage}
+                className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:bg-transparent"
+                title={canManage ? 'Delete' : noPermissionTitle}
               >
                 <Trash2 className="h-4 w-4" />
               </button>
             </>
           )}
         </div>
-      </td>
-    </tr>
-  );
+      ),
+    },
+  ];
+
+  /**
+   * Delete or restore every selected coupon, then reload the current tab
+   */
+  const runBulk = async (rows, action, verb) => {
+    const results = await Promise.all(rows.map((coupon) => action(coupon._id)));
+    const failed = results.filter((result) => !result.success).length;
+
+    if (failed > 0) {
+      toast.error(`${failed} of ${rows.length} coupons could not be ${verb}`);
+    } else {
+      toast.success(`${rows.length} coupons ${verb}`);
+    }
+    handleRefresh();
+  };
+
+  const bulkActions = isDeletedTab
+    ? [
+        {
+          id: 'restore',
+          label: 'Restore',
+          icon: RotateCcw,
+          confirm: (rows) => `Restore ${rows.length} selected coupons?`,
+          onClick: (rows) => runBulk(rows, couponService.restore, 'restored'),
+        },
+      ]
+    : [
+        {
+          id: 'delete',
+          label: 'Delete',
+          icon: Trash2,
+          variant: 'danger',
+          confirm: (rows) => `Delete ${rows.length} selected coupons? You can restore them from the Deleted tab.`,
+          onClick: (rows) => runBulk(rows, couponService.delete, 'deleted'),
+        },
+      ];
 
   return (
     <div className="space-y-6">
@@ -656,6 +768,7 @@ function Coupons() {
           </p>
         </div>
         <div className="flex items-center gap-2">
+          <SavedViewsMenu />
           <button
             onClick={handleRefresh}
             disabled={isLoading}
@@ -669,7 +782,9 @@ function Coupons() {
               resetForm();
               setShowModal(true);
             }}
-            className="inline-flex items-center gap-2 px-4 py-2 bg-gray-900 text-white rounded-lg hover:bg-gray-800"
+            disabled={!canManage}
+            title={canManage ? undefined : noPermissionTitle}
+            className="inline-flex items-center gap-2 px-4 py-2 bg-gray-900 text-white rounded-lg hover:bg-gray-800 disabled:opacity-60 disabled:cursor-not-allowed"
           >
             <Plus className="h-4 w-4" />
             Create Coupon
@@ -742,7 +857,7 @@ function Coupons() {
             {/* Actions */}
             <div className="flex items-center gap-2">
               <button
-                onClick={applyFilters}
+                onClick={() => applyFilters()}
                 className="px-4 py-2 bg-gray-900 text-white rounded-lg hover:bg-gray-800"
               >
                 Search
@@ -759,69 +874,29 @@ function Coupons() {
       )}
 
       {/* Table */}
-      <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
-        {isLoading ? (
-          <div className="flex items-center justify-center py-12">
-            <Loader2 className="h-8 w-8 animate-spin text-gray-400" />
-          </div>
-        ) : (activeTab === 'active' ? coupons : deletedCoupons).length === 0 ? (
-          <div className="flex flex-col items-center justify-center py-12 text-gray-500">
-            <Tag className="h-12 w-12 text-gray-300 mb-4" />
-            <p className="text-lg font-medium">No coupons found</p>
-            <p className="text-sm">
-              {activeTab === 'active'
-                ? 'Create your first coupon to get started'
-                : 'No deleted coupons'}
-            </p>
-          </div>
-        ) : (
-          <div className="overflow-x-auto">
-            <table className="min-w-full divide-y divide-gray-200">
-              <thead className="bg-gray-50">
-                <tr>
-                  <th className="px-6 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">
-                    Code
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">
-                    Discount
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">
-                    Applicable To
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">
-                    Validity
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">
-                    Usage
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">
-                    Status
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">
-                    Actions
-                  </th>
-                </tr>
-              </thead>
-              <tbody className="bg-white divide-y divide-gray-200">
-                {(activeTab === 'active' ? coupons : deletedCoupons).map((coupon) =>
-                  renderCouponRow(coupon, activeTab === 'deleted')
-                )}
-              </tbody>
-            </table>
-          </div>
-        )}
+      <div className="space-y-4">
+        <Table
+          columns={columns}
+          data={isDeletedTab ? deletedCoupons : coupons}
+          loading={isLoading}
+          loadingMessage="Loading coupons..."
+          emptyMessage="No coupons found"
+          emptyDescription={isDeletedTab ? 'No deleted coupons' : 'Create your first coupon to get started'}
+          selectable={canManage}
+          bulkActions={bulkActions}
+          layoutKey="coupons"
+          maxHeight="70vh"
+        />
 
         {/* Pagination */}
         {(activeTab === 'active' ? pagination : deletedPagination).totalPages > 1 && (
-          <div className="border-t border-gray-200 px-4 py-3">
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 px-4 py-3">
             <Pagination
               currentPage={(activeTab === 'active' ? pagination : deletedPagination).currentPage}
               totalPages={(activeTab === 'active' ? pagination : deletedPagination).totalPages}
               totalItems={(activeTab === 'active' ? pagination : deletedPagination).totalCount}
               itemsPerPage={(activeTab === 'active' ? pagination : deletedPagination).limit}
-              onPageChange={(page) =>
-                activeTab === 'active' ? fetchCoupons(page) : fetchDeletedCoupons(page)
-              }
+              onPageChange={goToPage}
               itemLabel="coupons"
             />
           </div>
@@ -838,7 +913,7 @@ function Coupons() {
         title={editingCoupon ? 'Edit Coupon' : 'Create Coupon'}
         size="lg"
       >
-        <form onSubmit={handleSubmit} className="space-y-4">
+        <form ref={formRef} onSubmit={handleSubmit} className="space-y-4">
           {/* Coupon Code */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -846,6 +921,7 @@ function Coupons() {
             </label>
             <input
               type="text"
+              name="code"
               value={couponForm.code}
               onChange={(e) => setCouponForm({ ...couponForm, code: e.target.value.toUpperCase() })}
               placeholder="e.g., MEMBER50"
@@ -909,6 +985,7 @@ function Coupons() {
                     type="number"
                     min="0"
                     max="100"
+                    name="discountPercent"
                     value={couponForm.discountPercent}
                     onChange={(e) => setCouponForm({ ...couponForm, discountPercent: e.target.value })}
                     placeholder="e.g., 50"
@@ -931,6 +1008,7 @@ function Coupons() {
                   <input
                     type="number"
                     min="0"
+                    name="maxDiscountAmount"
                     value={couponForm.maxDiscountAmount}
                     onChange={(e) => setCouponForm({ ...couponForm, maxDiscountAmount: e.target.value })}
                     placeholder="e.g., 500"
@@ -955,6 +1033,7 @@ function Coupons() {
                 <input
                   type="number"
                   min="1"
+                  name="discountAmount"
                   value={couponForm.discountAmount}
                   onChange={(e) => setCouponForm({ ...couponForm, discountAmount: e.target.value })}
                   placeholder="e.g., 100"
@@ -1019,12 +1098,17 @@ function Coupons() {
 
           {/* Validity Period */}
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="md:col-span-2 flex items-center justify-between">
+              <span className="text-sm font-medium text-gray-900">Validity Period</span>
+              <TimezoneHint />
+            </div>
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 Valid From <span className="text-red-500">*</span>
               </label>
               <input
                 type="datetime-local"
+                name="validFrom"
                 value={couponForm.validFrom}
                 onChange={(e) => setCouponForm({ ...couponForm, validFrom: e.target.value })}
                 className={`w-full px-4 py-2 border rounded-lg focus:border-gray-800 outline-none ${
@@ -1042,6 +1126,7 @@ function Coupons() {
               </label>
               <input
                 type="datetime-local"
+                name="validUntil"
                 value={couponForm.validUntil}
                 onChange={(e) => setCouponForm({ ...couponForm, validUntil: e.target.value })}
                 className={`w-full px-4 py-2 border rounded-lg focus:border-gray-800 outline-none ${
@@ -1059,7 +1144,7 @@ function Coupons() {
             <label className="block text-sm font-medium text-gray-700 mb-2">
               Applicable To <span className="text-red-500">*</span>
             </label>
-            <div className="space-y-2 p-4 bg-gray-50 rounded-lg border border-gray-200">
+            <div data-field="applicableTo" className="space-y-2 p-4 bg-gray-50 rounded-lg border border-gray-200">
               {APPLICABLE_TYPES.map((type) => (
                 <label
                   key={type.value}
@@ -14,6 +14,8 @@ import RecentActivity from '../components/analytics/RecentActivity';
 
 // Services
 import { getDashboardStatistics } from '../services/analytics.service';
+import logger from '../utils/logger';
+import { formatDateTime, formatTime } from '../utils/dates';
 
 /**
  * Dashboard Page - Analytics dashboard with comprehensive statistics
@@ -33,15 +35,15 @@ function Dashboard() {
       if (response.success) {
         setData(response.data);
         setLastUpdated(new Date());
-        console.log('[Dashboard] Data loaded successfully');
+        logger.debug('[Dashboard] Data loaded successfully');
       } else {
         const errorMsg = response.message || 'Failed to load dashboard statistics';
         toast.error(errorMsg);
-        console.error('[Dashboard] Error:', response.error);
+        logger.error('[Dashboard] Error:', response.error);
 
         // Show backend error details in console for debugging
         if (response.error) {
-          console.error('[Dashboard] Backend Error Details:', {
+          logger.error('[Dashboard] Backend Error Details:', {
             status: response.status,
             message: response.message,
             error: response.error,
@@ -50,7 +52,7 @@ function Dashboard() {
       }
     } catch (error) {
       toast.error('An unexpected error occurred while loading dashboard');
-      console.error('[Dashboard] Exception:', error);
+      logger.error('[Dashboard] Exception:', error);
     } finally {
       setLoading(false);
     }
@@ -84,7 +86,7 @@ function Dashboard() {
               Comprehensive insights and analytics
               {lastUpdated && (
                 <span className="ml-2">
-                  • Updated {lastUpdated.toLocaleTimeString()}
+                  • Updated {formatTime(lastUpdated)}
                 </span>
               )}
             </p>
@@ -181,7 +183,7 @@ function Dashboard() {
         {/* Footer */}
         <div className="text-center text-xs text-gray-500 py-6 border-t border-gray-200">
           {data?.generatedAt && (
-            <p>Statistics generated at: {new Date(data.generatedAt).toLocaleString()}</p>
+            <p>Statistics generated at: {formatDateTime(data.generatedAt)}</p>
           )}
         </div>
       </div>
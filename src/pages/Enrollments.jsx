@@ -1,314 +1,402 @@
-import { useState } from 'react'
-import { Search, ChevronLeft, ChevronRight, Eye, Trash2 } from 'lucide-react'
+import { useState } from 'react';
+import {
+  Search,
+  Eye,
+  XCircle,
+  Download,
+  RefreshCw,
+  Loader2,
+  AlertCircle,
+  Users,
+  Ticket,
+  ScanLine,
+  IndianRupee,
+  CalendarDays,
+} from 'lucide-react';
+import { toast } from 'react-toastify';
+import { useAuth } from '../contexts/AuthContext';
+import useEnrollments from '../hooks/useEnrollments';
+import useEvents from '../hooks/useEvents';
+import EnrollmentDetailsModal from '../components/enrollments/EnrollmentDetailsModal';
+import CancelEnrollmentModal from '../components/enrollments/CancelEnrollmentModal';
+import Pagination from '../components/ui/Pagination';
+import StatCard from '../components/ui/StatCard';
+import OptionBadge from '../components/ui/OptionBadge';
+import { MANAGER_ROLES } from '../utils/permissions';
+import { formatDateTime, formatShortDate } from '../utils/eventStatus';
+import { downloadCsv, toCsv } from '../utils/csv';
+import { toDateInput } from '../utils/dates';
+import {
+  ENROLLMENT_CSV_COLUMNS,
+  ENROLLMENT_SOURCES,
+  ENROLLMENT_STATUSES,
+  PAYMENT_METHODS,
+  SCANNED_OPTIONS,
+  getOptionLabel,
+  isCancellable,
+} from '../utils/enrollments';
 
-function Enrollments() {
-  const [currentPage, setCurrentPage] = useState(1)
-  const [searchQuery, setSearchQuery] = useState('')
-  const [statusFilter, setStatusFilter] = useState('')
-  const [eventFilter, setEventFilter] = useState('')
-  const enrollmentsPerPage = 10
+/**
+ * Format currency for display
+ * @param {number} amount - Amount in rupees
+ * @returns {string} Formatted currency
+ */
+const formatCurrency = (amount) =>
+  new Intl.NumberFormat('en-IN', {
+    style: 'currency',
+    currency: 'INR',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(amount || 0);
 
-  const statusColors = {
-    confirmed: 'bg-green-100 text-green-700',
-    pending: 'bg-yellow-100 text-yellow-700',
-    cancelled: 'bg-red-100 text-red-700',
-  }
+const selectClassName =
+  'w-full px-3 py-2 border border-gray-300 rounded-lg focus:border-gray-800 outline-none bg-white';
 
-  const [enrollments, setEnrollments] = useState([
-    {
-      id: 1,
-      userName: 'John Doe',
-      email: 'john.doe@email.com',
-      phone: '+91 9876543210',
-      eventName: 'Tech Conference 2025',
-      enrollmentDate: '2025-02-15',
-      status: 'confirmed',
-    },
-    {
-      id: 2,
-      userName: 'Jane Smith',
-      email: 'jane.smith@email.com',
-      phone: '+91 9876543211',
-      eventName: 'Medical Summit 2025',
-      enrollmentDate: '2025-02-18',
-      status: 'pending',
-    },
-    {
-      id: 3,
-      userName: 'Mike Johnson',
-      email: 'mike.j@email.com',
-      phone: '+91 9876543212',
-      eventName: 'Comedy Night Live',
-      enrollmentDate: '2025-02-20',
-      status: 'confirmed',
-    },
-    {
-      id: 4,
-      userName: 'Sarah Wilson',
-      email: 'sarah.w@email.com',
-      phone: '+91 9876543213',
-      eventName: 'Rock Music Festival',
-      enrollmentDate: '2025-02-22',
-      status: 'cancelled',
-    },
-    {
-      id: 5,
-      userName: 'David Brown',
-      email: 'david.b@email.com',
-      phone: '+91 9876543214',
-      eventName: 'AI Workshop 2025',
-      enrollmentDate: '2025-02-25',
-      status: 'confirmed',
-    },
-    {
-      id: 6,
-      userName: 'Emily Davis',
-      email: 'emily.d@email.com',
-      phone: '+91 9876543215',
-      eventName: 'Health Awareness Camp',
-      enrollmentDate: '2025-02-28',
-      status: 'pending',
-    },
-    {
-      id: 7,
-      userName: 'Chris Martin',
-      email: 'chris.m@email.com',
-      phone: '+91 9876543216',
-      eventName: 'Stand-up Comedy Show',
-      enrollmentDate: '2025-03-01',
-      status: 'confirmed',
-    },
-    {
-      id: 8,
-      userName: 'Lisa Anderson',
-      email: 'lisa.a@email.com',
-      phone: '+91 9876543217',
-      eventName: 'Jazz Night',
-      enrollmentDate: '2025-03-05',
-      status: 'confirmed',
-    },
-    {
-      id: 9,
-      userName: 'Robert Taylor',
-      email: 'robert.t@email.com',
-      phone: '+91 9876543218',
-      eventName: 'Tech Conference 2025',
-      enrollmentDate: '2025-03-08',
-      status: 'pending',
-    },
-    {
-      id: 10,
-      userName: 'Amanda White',
-      email: 'amanda.w@email.com',
-      phone: '+91 9876543219',
-      eventName: 'Medical Summit 2025',
-      enrollmentDate: '2025-03-10',
-      status: 'confirmed',
-    },
-    {
-      id: 11,
-      userName: 'Kevin Lee',
-      email: 'kevin.l@email.com',
-      phone: '+91 9876543220',
-      eventName: 'Rock Music Festival',
-      enrollmentDate: '2025-03-12',
-      status: 'cancelled',
-    },
-    {
-      id: 12,
-      userName: 'Michelle Garcia',
-      email: 'michelle.g@email.com',
-      phone: '+91 9876543221',
-      eventName: 'Comedy Night Live',
-      enrollmentDate: '2025-03-15',
-      status: 'confirmed',
-    },
-  ])
+/**
+ * Enrollments Page
+ * Who is attending an event: online bookings, cash tickets and voucher redemptions
+ * in one list, with filters, details, cancellation and CSV export
+ */
+function Enrollments() {
+  const { hasRole } = useAuth();
+  const canCancel = hasRole(MANAGER_ROLES);
 
-  const events = [...new Set(enrollments.map((e) => e.eventName))]
-  const statuses = ['confirmed', 'pending', 'cancelled']
+  const { events, isLoading: eventsLoading } = useEvents();
+  const {
+    filteredEnrollments,
+    pageEnrollments,
+    pagination,
+    summary,
+    filters,
+    isLoading,
+    isFetching,
+    errors,
+    refresh,
+    cancelEnrollment,
+    updateFilters,
+    resetFilters,
+    changePage,
+  } = useEnrollments();
 
-  const handleDelete = (id) => {
-    if (window.confirm('Are you sure you want to delete this enrollment?')) {
-      setEnrollments(enrollments.filter((enrollment) => enrollment.id !== id))
-    }
-  }
+  const [selectedEnrollment, setSelectedEnrollment] = useState(null);
+  const [cancelTarget, setCancelTarget] = useState(null);
+  const [isCancelling, setIsCancelling] = useState(false);
+  const [cancelError, setCancelError] = useState(null);
 
-  // Filter enrollments
-  const filteredEnrollments = enrollments
-    .filter((enrollment) => {
-      const matchesSearch =
-        enrollment.userName.toLowerCase().includes(searchQuery.toLowerCase()) ||
-        enrollment.email.toLowerCase().includes(searchQuery.toLowerCase())
-      const matchesStatus = statusFilter ? enrollment.status === statusFilter : true
-      const matchesEvent = eventFilter ? enrollment.eventName === eventFilter : true
-      return matchesSearch && matchesStatus && matchesEvent
-    })
+  const selectedEvent = events.find((event) => event._id === filters.eventId);
+  const hasActiveFilters = !!(filters.status || filters.paymentMethod || filters.scanned || filters.search);
 
-  // Pagination logic
-  const totalPages = Math.ceil(filteredEnrollments.length / enrollmentsPerPage)
-  const startIndex = (currentPage - 1) * enrollmentsPerPage
-  const endIndex = startIndex + enrollmentsPerPage
-  const currentEnrollments = filteredEnrollments.slice(startIndex, endIndex)
+  const handleOpenCancel = (enrollment) => {
+    setSelectedEnrollment(null);
+    setCancelError(null);
+    setCancelTarget(enrollment);
+  };
 
-  // Reset to page 1 when filters change
-  const handleFilterChange = (setter, value) => {
-    setter(value)
-    setCurrentPage(1)
-  }
+  const handleCloseCancel = () => {
+    if (!isCancelling) setCancelTarget(null);
+  };
 
-  const goToPrevious = () => {
-    if (currentPage > 1) setCurrentPage(currentPage - 1)
-  }
+  const handleCancelSubmit = async (reason) => {
+    setIsCancelling(true);
+    setCancelError(null);
+    try {
+      const result = await cancelEnrollment(cancelTarget, reason);
+      if (result.success) {
+        toast.success(`Enrollment for ${cancelTarget.name || cancelTarget.phone} cancelled`);
+        setCancelTarget(null);
+      } else {
+        setCancelError(result.error || 'Failed to cancel enrollment');
+      }
+    } finally {
+      setIsCancelling(false);
+    }
+  };
 
-  const goToNext = () => {
-    if (currentPage < totalPages) setCurrentPage(currentPage + 1)
-  }
+  const handleExport = () => {
+    const eventName = (selectedEvent?.name || 'event').replace(/[^\w-]+/g, '-').toLowerCase();
+    downloadCsv(`enrollments-${eventName}-${toDateInput(new Date())}.csv`, toCsv(filteredEnrollments, ENROLLMENT_CSV_COLUMNS));
+    toast.success(`Exported ${filteredEnrollments.length} enrollments`);
+  };
 
   return (
-    <div>
-      {/* Search & Filters */}
-      <div className="bg-white rounded-xl shadow-sm p-4 mb-6">
-        <div className="flex flex-wrap items-center gap-4">
-          {/* Search Bar */}
-          <div className="relative w-80">
-            <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-gray-400" />
-            <input
-              type="text"
-              placeholder="Search by name or email..."
-              value={searchQuery}
-              onChange={(e) => handleFilterChange(setSearchQuery, e.target.value)}
-              className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:border-gray-800 outline-none"
-            />
-          </div>
-
-          {/* Status Filter */}
-          <select
-            value={statusFilter}
-            onChange={(e) => handleFilterChange(setStatusFilter, e.target.value)}
-            className="px-4 py-2 border border-gray-300 rounded-lg focus:border-gray-800 outline-none bg-white"
-          >
-            <option value="">All Status</option>
-            {statuses.map((status) => (
-              <option key={status} value={status} className="capitalize">
-                {status.charAt(0).toUpperCase() + status.slice(1)}
-              </option>
-            ))}
-          </select>
-
-          {/* Event Filter */}
-          <select
-            value={eventFilter}
-            onChange={(e) => handleFilterChange(setEventFilter, e.target.value)}
-            className="px-4 py-2 border border-gray-300 rounded-lg focus:border-gray-800 outline-none bg-white"
-          >
-            <option value="">All Events</option>
-            {events.map((event) => (
-              <option key={event} value={event}>
-                {event}
-              </option>
-            ))}
-          </select>
-        </div>
-      </div>
-
-      {/* Enrollments List */}
-      <div className="bg-white rounded-xl shadow-sm overflow-hidden">
-        <table className="w-full">
-          <thead className="bg-gray-50 border-b border-gray-200">
-            <tr>
-              <th className="text-left px-6 py-4 text-sm font-medium text-gray-600">User</th>
-              <th className="text-left px-6 py-4 text-sm font-medium text-gray-600">Event</th>
-              <th className="text-left px-6 py-4 text-sm font-medium text-gray-600">Phone</th>
-              <th className="text-left px-6 py-4 text-sm font-medium text-gray-600">Enrollment Date</th>
-              <th className="text-left px-6 py-4 text-sm font-medium text-gray-600">Status</th>
-              <th className="text-right px-6 py-4 text-sm font-medium text-gray-600">Actions</th>
-            </tr>
-          </thead>
-          <tbody>
-            {currentEnrollments.map((enrollment) => (
-              <tr key={enrollment.id} className="border-b border-gray-100 hover:bg-gray-50">
-                <td className="px-6 py-4">
-                  <div>
-                    <p className="font-medium text-gray-900">{enrollment.userName}</p>
-                    <p className="text-sm text-gray-500">{enrollment.email}</p>
-                  </div>
-                </td>
-                <td className="px-6 py-4 text-gray-600">{enrollment.eventName}</td>
-                <td className="px-6 py-4 text-gray-600">{enrollment.phone}</td>
-                <td className="px-6 py-4 text-gray-600">{enrollment.enrollmentDate}</td>
-                <td className="px-6 py-4">
-                  <span
-                    className={`px-3 py-1 rounded-full text-xs font-medium capitalize ${
-                      statusColors[enrollment.status]
-                    }`}
-                  >
-                    {enrollment.status}
-                  </span>
-                </td>
-                <td className="px-6 py-4">
-                  <div className="flex items-center justify-end gap-2">
-                    <button
-                      className="p-2 text-gray-800 hover:bg-gray-50 rounded-lg transition-all"
-                      title="View Details"
-                    >
-                      <Eye className="h-5 w-5" />
-                    </button>
-                    <button
-                      onClick={() => handleDelete(enrollment.id)}
-                      className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-all"
-                      title="Delete"
-                    >
-                      <Trash2 className="h-5 w-5" />
-                    </button>
-                  </div>
-                </td>
-              </tr>
-            ))}
-          </tbody>
-        </table>
-
-        {/* Pagination */}
-        <div className="flex items-center justify-between px-6 py-4 border-t border-gray-200">
-          <p className="text-sm text-gray-600">
-            Showing {filteredEnrollments.length > 0 ? startIndex + 1 : 0} to{' '}
-            {Math.min(endIndex, filteredEnrollments.length)} of {filteredEnrollments.length} enrollments
+    <div className="space-y-4 sm:space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-xl sm:text-2xl font-bold text-gray-900">Enrollments</h1>
+          <p className="text-sm text-gray-500 mt-1">
+            Everyone attending an event - online bookings, cash tickets and voucher redemptions
           </p>
+        </div>
+        {filters.eventId && (
           <div className="flex items-center gap-2">
             <button
-              onClick={goToPrevious}
-              disabled={currentPage === 1}
-              className={`p-2 rounded-lg transition-all ${
-                currentPage === 1 ? 'text-gray-300 cursor-not-allowed' : 'text-gray-600 hover:bg-gray-100'
-              }`}
+              onClick={refresh}
+              disabled={isFetching}
+              className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors disabled:opacity-50"
             >
-              <ChevronLeft className="h-5 w-5" />
+              <RefreshCw className={`h-4 w-4 ${isFetching ? 'animate-spin' : ''}`} />
+              <span className="hidden sm:inline">Refresh</span>
             </button>
-            {Array.from({ length: totalPages }, (_, i) => i + 1).map((page) => (
-              <button
-                key={page}
-                onClick={() => setCurrentPage(page)}
-                className={`w-8 h-8 rounded-lg transition-all ${
-                  currentPage === page ? 'bg-gray-800 text-white' : 'text-gray-600 hover:bg-gray-100'
-                }`}
-              >
-                {page}
-              </button>
-            ))}
             <button
-              onClick={goToNext}
-              disabled={currentPage === totalPages}
-              className={`p-2 rounded-lg transition-all ${
-                currentPage === totalPages ? 'text-gray-300 cursor-not-allowed' : 'text-gray-600 hover:bg-gray-100'
-              }`}
+              onClick={handleExport}
+              disabled={filteredEnrollments.length === 0}
+              className="flex items-center gap-2 px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors disabled:opacity-50"
             >
-              <ChevronRight className="h-5 w-5" />
+              <Download className="h-4 w-4" />
+              Export CSV
             </button>
           </div>
+        )}
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-xl shadow-sm p-4">
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-3">
+          <div className="sm:col-span-2 lg:col-span-1">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Event</label>
+            <select
+              value={filters.eventId}
+              onChange={(e) => updateFilters({ eventId: e.target.value })}
+              className={selectClassName}
+            >
+              <option value="">{eventsLoading ? 'Loading events...' : 'Select an event'}</option>
+              {events.map((event) => (
+                <option key={event._id} value={event._id}>
+                  {event.name} ({formatShortDate(event.startDate)})
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Status</label>
+            <select
+              value={filters.status}
+              onChange={(e) => updateFilters({ status: e.target.value })}
+              className={selectClassName}
+            >
+              <option value="">All Status</option>
+              {ENROLLMENT_STATUSES.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Payment Method</label>
+            <select
+              value={filters.paymentMethod}
+              onChange={(e) => updateFilters({ paymentMethod: e.target.value })}
+              className={selectClassName}
+            >
+              <option value="">All Methods</option>
+              {PAYMENT_METHODS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Scanned</label>
+            <select
+              value={filters.scanned}
+              onChange={(e) => updateFilters({ scanned: e.target.value })}
+              className={selectClassName}
+            >
+              <option value="">All Tickets</option>
+              {SCANNED_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Search</label>
+            <div className="relative">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+              <input
+                type="text"
+                placeholder="Name, phone, email, reference"
+                value={filters.search}
+                onChange={(e) => updateFilters({ search: e.target.value })}
+                className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg focus:border-gray-800 outline-none"
+              />
+            </div>
+          </div>
         </div>
+        {hasActiveFilters && (
+          <div className="mt-3 flex items-center justify-between text-sm">
+            <span className="text-gray-500">
+              {pagination.totalCount} matching enrollment{pagination.totalCount !== 1 ? 's' : ''}
+            </span>
+            <button onClick={resetFilters} className="text-gray-700 hover:text-gray-900 font-medium">
+              Clear filters
+            </button>
+          </div>
+        )}
       </div>
+
+      {!filters.eventId ? (
+        <div className="bg-white rounded-xl shadow-sm px-6 py-16 text-center">
+          <CalendarDays className="h-12 w-12 text-gray-300 mx-auto" />
+          <p className="mt-3 text-gray-700 font-medium">Select an event</p>
+          <p className="mt-1 text-sm text-gray-500">Its online bookings, cash tickets and voucher redemptions show here.</p>
+        </div>
+      ) : (
+        <>
+          {/* Source errors - the other sources still show */}
+          {errors.map((error) => (
+            <div key={error} className="p-4 bg-red-50 border border-red-200 rounded-lg flex items-start gap-3">
+              <AlertCircle className="h-5 w-5 text-red-600 shrink-0 mt-0.5" />
+              <p className="text-sm text-red-700">Some enrollments could not be loaded: {error}</p>
+            </div>
+          ))}
+
+          {/* Summary */}
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+            <StatCard title="Enrollments" value={summary.enrollments} icon={Users} color="blue" loading={isLoading} />
+            <StatCard title="Tickets" value={summary.tickets} icon={Ticket} color="purple" loading={isLoading} />
+            <StatCard
+              title="Scanned"
+              value={`${summary.scanned} / ${summary.enrollments}`}
+              icon={ScanLine}
+              color="green"
+              loading={isLoading}
+            />
+            <StatCard
+              title="Collected"
+              value={formatCurrency(summary.revenue)}
+              icon={IndianRupee}
+              color="orange"
+              loading={isLoading}
+            />
+          </div>
+
+          {/* Enrollments Table */}
+          <div className="bg-white rounded-xl shadow-sm overflow-hidden">
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50 border-b border-gray-200">
+                  <tr>
+                    <th className="text-left px-6 py-4 text-sm font-medium text-gray-600">Attendee</th>
+                    <th className="text-left px-6 py-4 text-sm font-medium text-gray-600">Source</th>
+                    <th className="text-left px-6 py-4 text-sm font-medium text-gray-600">Payment</th>
+                    <th className="text-left px-6 py-4 text-sm font-medium text-gray-600">Status</th>
+                    <th className="text-left px-6 py-4 text-sm font-medium text-gray-600">Scanned</th>
+                    <th className="text-left px-6 py-4 text-sm font-medium text-gray-600">Enrolled</th>
+                    <th className="text-right px-6 py-4 text-sm font-medium text-gray-600">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {isLoading ? (
+                    <tr>
+                      <td colSpan={7} className="px-6 py-12 text-center">
+                        <Loader2 className="h-8 w-8 text-gray-800 animate-spin mx-auto" />
+                        <p className="mt-2 text-sm text-gray-500">Loading enrollments...</p>
+                      </td>
+                    </tr>
+                  ) : pageEnrollments.length === 0 ? (
+                    <tr>
+                      <td colSpan={7} className="px-6 py-12 text-center">
+                        <Users className="h-12 w-12 text-gray-300 mx-auto" />
+                        <p className="mt-2 text-sm text-gray-500">
+                          {hasActiveFilters ? 'No enrollments match these filters' : 'No one has enrolled in this event yet'}
+                        </p>
+                      </td>
+                    </tr>
+                  ) : (
+                    pageEnrollments.map((enrollment) => (
+                      <tr key={enrollment.key} className="border-b border-gray-100 hover:bg-gray-50 transition-colors">
+                        <td className="px-6 py-4">
+                          <p className="font-medium text-gray-900">{enrollment.name || '-'}</p>
+                          <p className="text-xs text-gray-500">{enrollment.phone}</p>
+                        </td>
+                        <td className="px-6 py-4">
+                          <OptionBadge options={ENROLLMENT_SOURCES} value={enrollment.source} />
+                        </td>
+                        <td className="px-6 py-4">
+                          <p className="text-sm text-gray-900">
+                            {enrollment.ticketCount} x {formatCurrency(enrollment.amount / enrollment.ticketCount)}
+                          </p>
+                          <p className="text-xs text-gray-500">{getOptionLabel(PAYMENT_METHODS, enrollment.paymentMethod)}</p>
+                        </td>
+                        <td className="px-6 py-4">
+                          <OptionBadge options={ENROLLMENT_STATUSES} value={enrollment.status} />
+                        </td>
+                        <td className="px-6 py-4 text-sm">
+                          {enrollment.isScanned ? (
+                            <span className="flex items-center gap-1.5 text-green-700" title={formatDateTime(enrollment.scannedAt)}>
+                              <ScanLine className="h-4 w-4" />
+                              Scanned
+                            </span>
+                          ) : (
+                            <span className="text-gray-400">Not scanned</span>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 text-sm text-gray-600 whitespace-nowrap">
+                          {formatShortDate(enrollment.enrolledAt)}
+                        </td>
+                        <td className="px-6 py-4">
+                          <div className="flex items-center justify-end gap-2">
+                            <button
+                              onClick={() => setSelectedEnrollment(enrollment)}
+                              className="p-2 text-gray-800 hover:bg-gray-100 rounded-lg transition-colors"
+                              title="View Details"
+                            >
+                              <Eye className="h-4 w-4" />
+                            </button>
+                            {canCancel && isCancellable(enrollment) && (
+                              <button
+                                onClick={() => handleOpenCancel(enrollment)}
+                                className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                                title="Cancel Enrollment"
+                              >
+                                <XCircle className="h-4 w-4" />
+                              </button>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <Pagination
+            currentPage={pagination.currentPage}
+            totalPages={pagination.totalPages}
+            totalItems={pagination.totalCount}
+            itemsPerPage={pagination.limit}
+            onPageChange={changePage}
+            itemLabel="enrollments"
+          />
+        </>
+      )}
+
+      <EnrollmentDetailsModal
+        isOpen={!!selectedEnrollment}
+        onClose={() => setSelectedEnrollment(null)}
+        enrollment={selectedEnrollment}
+        event={selectedEvent}
+        onCancel={canCancel ? handleOpenCancel : undefined}
+      />
+
+      <CancelEnrollmentModal
+        key={cancelTarget?.key}
+        isOpen={!!cancelTarget}
+        onClose={handleCloseCancel}
+        onSubmit={handleCancelSubmit}
+        enrollment={cancelTarget}
+        isLoading={isCancelling}
+        serverError={cancelError}
+      />
     </div>
-  )
+  );
 }
 
-export default Enrollments
+export default Enrollments;
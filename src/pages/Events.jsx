@@ -1,19 +1,56 @@
 import { useState, useCallback } from 'react';
-import { Plus, RefreshCw, AlertCircle } from 'lucide-react';
+import { Plus, RefreshCw, AlertCircle, Trash2, RotateCcw, Trash, List, CalendarDays } from 'lucide-react';
+import { toast } from 'react-toastify';
 import { useAuth } from '../contexts/AuthContext';
+import { MANAGER_ROLES } from '../utils/permissions';
 import useEventsManagement from '../hooks/useEventsManagement';
-import { EventForm, EventDetailsModal, EventFilters, EventTable } from '../components/events';
+import { EventForm, EventDetailsModal, EventFilters, EventTable, EventCalendar } from '../components/events';
 import ConfirmDialog from '../components/ui/ConfirmDialog';
 import Pagination from '../components/ui/Pagination';
 import seatArrangementService from '../services/seatArrangement.service';
+import { invalidateQueries } from '../utils/queryCache';
+import useLocationState from '../hooks/useLocationState';
+import useUrlState from '../hooks/useUrlState';
+import SavedViewsMenu from '../components/SavedViewsMenu';
+import logger from '../utils/logger';
+import {
+  EVENT_DATE_FIELDS,
+  buildEventSeries,
+  createSeriesId,
+  carryDateChanges,
+  moveToNextWeek,
+} from '../utils/eventRecurrence';
+import { isValidTimeline } from '../utils/eventStatus';
+
+/**
+ * Create, replace or remove an event's seat arrangement to match the form
+ * @param {string} eventId - Event ID
+ * @param {Object|undefined} seatArrangement - Arrangement from the form, if enabled
+ * @param {boolean} hadSeatArrangement - Whether the event already has one
+ * @returns {Promise<Object|null>} Service result, or null when nothing needed saving
+ */
+const syncSeatArrangement = async (eventId, seatArrangement, hadSeatArrangement) => {
+  const hasSeatArrangement = seatArrangement && seatArrangement.seats?.length > 0;
+
+  if (hasSeatArrangement && !hadSeatArrangement) {
+    return seatArrangementService.createSeatArrangement(eventId, seatArrangementService.toPayload(seatArrangement));
+  }
+  if (hasSeatArrangement && hadSeatArrangement) {
+    return seatArrangementService.updateSeatArrangement(eventId, seatArrangementService.toPayload(seatArrangement));
+  }
+  if (!hasSeatArrangement && hadSeatArrangement) {
+    return seatArrangementService.deleteSeatArrangement(eventId);
+  }
+  return null;
+};
 
 function Events() {
   const { hasRole } = useAuth();
 
   // Permission checks
-  const canCreate = hasRole(['SUPER_ADMIN', 'ADMIN']);
-  const canEdit = hasRole(['SUPER_ADMIN', 'ADMIN']);
-  const canDelete = hasRole(['SUPER_ADMIN', 'ADMIN']);
+  const canCreate = hasRole(MANAGER_ROLES);
+  const canEdit = hasRole(MANAGER_ROLES);
+  const canDelete = hasRole(MANAGER_ROLES);
   const canPermanentDelete = hasRole(['SUPER_ADMIN']);
 
   // Events management hook
@@ -27,6 +64,9 @@ function Events() {
     getEventById,
     createEvent,
     updateEvent,
+    getEventSeries,
+    createEventSeries,
+    updateEventSeries,
     deleteEvent,
     restoreEvent,
     permanentDeleteEvent,
@@ -40,6 +80,10 @@ function Events() {
     clearError,
   } = useEventsManagement();
 
+  // List or calendar
+  const [{ view }, setViewMode] = useUrlState({ view: 'list' });
+  const isCalendarView = view === 'calendar';
+
   // Modal states
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
@@ -51,13 +95,14 @@ function Events() {
   // Selected event for operations
   const [selectedEvent, setSelectedEvent] = useState(null);
   const [selectedSeatArrangement, setSelectedSeatArrangement] = useState(null);
+  const [duplicateTemplate, setDuplicateTemplate] = useState(null);
   const [ticketStats, setTicketStats] = useState(null);
   const [isLoadingStats, setIsLoadingStats] = useState(false);
 
   // Form states
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [formError, setFormError] = useState(null);
-  const [validationErrors, setValidationErrors] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState(null);
 
   // Handle view event details
   const handleView = useCallback(async (event) => {
@@ -66,6 +111,9 @@ function Events() {
     setShowDetailsModal(true);
   }, []);
 
+  // Record picked in the global search
+  useLocationState('openRecord', handleView);
+
   // Fetch ticket stats for details modal
   const handleFetchStats = useCallback(async (eventId) => {
     setIsLoadingStats(true);
@@ -79,6 +127,17 @@ function Events() {
     }
   }, [getTicketStats]);
 
+  // Fetch existing seat arrangement if any
+  const fetchSeatArrangement = useCallback(async (eventId) => {
+    try {
+      const seatResult = await seatArrangementService.getSeatArrangement(eventId);
+      // Backend returns { data: { arrangement: {...} } }
+      return seatResult.success ? seatResult.data?.arrangement || null : null;
+    } catch {
+      return null;
+    }
+  }, []);
+
   // Handle edit event
   const handleEdit = useCallback(async (event) => {
     // Fetch full event details for editing
@@ -86,35 +145,42 @@ function Events() {
     if (result.success) {
       setSelectedEvent(result.data);
       setFormError(null);
-      setValidationErrors(null);
-
-      // Fetch existing seat arrangement if any
-      try {
-        const seatResult = await seatArrangementService.getSeatArrangement(event._id);
-        if (seatResult.success && seatResult.data?.arrangement) {
-          // Backend returns { data: { arrangement: {...} } }
-          setSelectedSeatArrangement(seatResult.data.arrangement);
-        } else {
-          setSelectedSeatArrangement(null);
-        }
-      } catch {
-        setSelectedSeatArrangement(null);
-      }
-
+      setFieldErrors(null);
+      setSelectedSeatArrangement(await fetchSeatArrangement(event._id));
       setShowEditModal(true);
     } else {
       setFormError(result.error);
     }
-  }, [getEventById]);
+  }, [getEventById, fetchSeatArrangement]);
 
   // Handle create event
   const handleCreate = useCallback(() => {
     setSelectedEvent(null);
+    setDuplicateTemplate(null);
+    setSelectedSeatArrangement(null);
     setFormError(null);
-    setValidationErrors(null);
+    setFieldErrors(null);
     setShowCreateModal(true);
   }, []);
 
+  // Handle duplicate event - opens the create form prefilled from the event and its seat map
+  const handleDuplicate = useCallback(async (event) => {
+    const result = await getEventById(event._id);
+    if (!result.success) {
+      toast.error(result.error || 'Failed to load event');
+      return;
+    }
+
+    // Past events move forward by whole weeks so the copy is ready to publish
+    setDuplicateTemplate(moveToNextWeek({ ...result.data, name: `${result.data.name} (Copy)` }));
+    setSelectedSeatArrangement(await fetchSeatArrangement(event._id));
+    setFormError(null);
+    setFieldErrors(null);
+    setShowDetailsModal(false);
+    setSelectedEvent(null);
+    setShowCreateModal(true);
+  }, [getEventById, fetchSeatArrangement]);
+
   // Handle delete event (soft delete)
   const handleDelete = useCallback((event) => {
     setSelectedEvent(event);
@@ -133,14 +199,113 @@ function Events() {
     setShowPermanentDeleteDialog(true);
   }, []);
 
+  // Create every occurrence of a recurring event, each with its own copy of the seat map
+  const handleCreateSeries = useCallback(async (eventData, recurrence, seatArrangement) => {
+    const occurrences = buildEventSeries(eventData, recurrence, createSeriesId());
+    const result = await createEventSeries(occurrences);
+    const created = result.data;
+
+    if (created.length === 0) {
+      setFormError(result.error);
+      setFieldErrors(result.fieldErrors);
+      return;
+    }
+
+    let seatFailures = 0;
+    if (seatArrangement && seatArrangement.seats?.length > 0) {
+      const seatData = seatArrangementService.toPayload(seatArrangement);
+      for (const event of created) {
+        const seatResult = await seatArrangementService.createSeatArrangement(event._id, seatData);
+        if (!seatResult.success) {
+          logger.error('Failed to create seat arrangement:', seatResult.error);
+          seatFailures += 1;
+        }
+      }
+    }
+
+    if (!result.success) {
+      toast.error(`Created ${created.length} of ${occurrences.length} events in the series: ${result.error}`);
+    } else {
+      toast.success(`${created.length} events created in the series`);
+    }
+    if (seatFailures > 0) {
+      toast.error(`Seat arrangement could not be saved for ${seatFailures} events`);
+    }
+
+    setShowCreateModal(false);
+    setDuplicateTemplate(null);
+    setSelectedSeatArrangement(null);
+  }, [createEventSeries]);
+
+  // Apply an edit to the occurrences after the edited one, moving their dates by the same amount
+  const applyToFollowingEvents = useCallback(async (editedEvent, eventData, seatArrangement) => {
+    const seriesResult = await getEventSeries(editedEvent.seriesId);
+    if (!seriesResult.success) {
+      toast.error(`This event was updated, but the rest of the series could not be loaded: ${seriesResult.error}`);
+      return;
+    }
+
+    const following = seriesResult.data.filter(
+      (event) => event._id !== editedEvent._id && new Date(event.startDate) > new Date(editedEvent.startDate)
+    );
+    if (following.length === 0) return;
+
+    // Each occurrence keeps its own dates, moved by the edit - skip any whose timeline would break
+    const sharedData = Object.fromEntries(
+      Object.entries(eventData).filter(([field]) => !EVENT_DATE_FIELDS.includes(field))
+    );
+    const updates = [];
+    let invalidCount = 0;
+    following.forEach((event) => {
+      const dates = carryDateChanges(event, editedEvent, eventData);
+      if (!isValidTimeline({ ...event, ...dates })) {
+        invalidCount++;
+        return;
+      }
+      updates.push({ id: event._id, data: { ...sharedData, ...dates } });
+    });
+
+    const { failedCount, updatedIds } = updates.length > 0
+      ? await updateEventSeries(updates)
+      : { failedCount: 0, updatedIds: [] };
+
+    // Only occurrences that took the edit get its seat arrangement
+    for (const eventId of updatedIds) {
+      const hadSeatArrangement = !!(await fetchSeatArrangement(eventId));
+      const seatResult = await syncSeatArrangement(eventId, seatArrangement, hadSeatArrangement);
+      if (seatResult && !seatResult.success) {
+        logger.error('Failed to save seat arrangement:', seatResult.error);
+      }
+    }
+    invalidateQueries(['seatArrangements']);
+
+    if (invalidCount > 0) {
+      toast.error(`${invalidCount} of ${following.length} following events were skipped - their dates would no longer be in order`);
+    }
+    if (failedCount > 0) {
+      toast.error(`${failedCount} of ${updates.length} following events could not be updated`);
+    } else if (updates.length > 0) {
+      toast.success(`Changes applied to ${updates.length} following events`);
+    }
+  }, [getEventSeries, updateEventSeries, fetchSeatArrangement]);
+
   // Submit create event
   const handleCreateSubmit = useCallback(async (data) => {
     setIsSubmitting(true);
     setFormError(null);
-    setValidationErrors(null);
+    setFieldErrors(null);
 
-    // Extract seat arrangement data before creating event
-    const { seatArrangement, ...eventData } = data;
+    // Extract seat arrangement and repeat rule before creating event
+    const { seatArrangement, recurrence, ...eventData } = data;
+
+    if (recurrence) {
+      try {
+        await handleCreateSeries(eventData, recurrence, seatArrangement);
+      } finally {
+        setIsSubmitting(false);
+      }
+      return;
+    }
 
     try {
       const result = await createEvent(eventData);
@@ -149,17 +314,11 @@ function Events() {
         // If seat arrangement data is provided, create it
         if (seatArrangement && seatArrangement.seats?.length > 0) {
           const eventId = result.data._id;
-          const seatData = {
-            imageUrl: seatArrangement.imageUrl,
-            // Backend only accepts label, not isAvailable (it sets availability automatically)
-            seats: seatArrangement.seats.map(seat => ({
-              label: seat.label,
-            })),
-          };
+          const seatData = seatArrangementService.toPayload(seatArrangement);
 
           const seatResult = await seatArrangementService.createSeatArrangement(eventId, seatData);
           if (!seatResult.success) {
-            console.error('Failed to create seat arrangement:', seatResult.error);
+            logger.error('Failed to create seat arrangement:', seatResult.error);
             // Event was created successfully, but seat arrangement failed
             // Show a warning but still close the modal
             setFormError(`Event created, but seat arrangement failed: ${seatResult.error}`);
@@ -167,14 +326,16 @@ function Events() {
         }
 
         setShowCreateModal(false);
+        setDuplicateTemplate(null);
+        setSelectedSeatArrangement(null);
       } else {
         setFormError(result.error);
-        setValidationErrors(result.validationErrors);
+        setFieldErrors(result.fieldErrors);
       }
     } finally {
       setIsSubmitting(false);
     }
-  }, [createEvent]);
+  }, [createEvent, handleCreateSeries]);
 
   // Submit update event
   const handleUpdateSubmit = useCallback(async (data) => {
@@ -182,51 +343,26 @@ function Events() {
 
     setIsSubmitting(true);
     setFormError(null);
-    setValidationErrors(null);
+    setFieldErrors(null);
 
-    // Extract seat arrangement data before updating event
-    const { seatArrangement, ...eventData } = data;
+    // Extract seat arrangement data and series scope before updating event
+    const { seatArrangement, applyToFutureEvents, ...eventData } = data;
 
     try {
       const result = await updateEvent(selectedEvent._id, eventData);
 
       if (result.success) {
-        // Handle seat arrangement
-        const hasSeatArrangement = seatArrangement && seatArrangement.seats?.length > 0;
-        const hadSeatArrangement = !!selectedSeatArrangement;
-
-        if (hasSeatArrangement && !hadSeatArrangement) {
-          // Create new seat arrangement
-          const seatData = {
-            imageUrl: seatArrangement.imageUrl,
-            // Backend only accepts label, not isAvailable (it sets availability automatically)
-            seats: seatArrangement.seats.map(seat => ({
-              label: seat.label,
-            })),
-          };
-          const seatResult = await seatArrangementService.createSeatArrangement(selectedEvent._id, seatData);
-          if (!seatResult.success) {
-            console.error('Failed to create seat arrangement:', seatResult.error);
-          }
-        } else if (hasSeatArrangement && hadSeatArrangement) {
-          // Update existing seat arrangement
-          const seatData = {
-            imageUrl: seatArrangement.imageUrl,
-            // Backend only accepts label for seats
-            seats: seatArrangement.seats.map(seat => ({
-              label: seat.label,
-            })),
-          };
-          const seatResult = await seatArrangementService.updateSeatArrangement(selectedEvent._id, seatData);
-          if (!seatResult.success) {
-            console.error('Failed to update seat arrangement:', seatResult.error);
-          }
-        } else if (!hasSeatArrangement && hadSeatArrangement) {
-          // Delete seat arrangement
-          const seatResult = await seatArrangementService.deleteSeatArrangement(selectedEvent._id);
-          if (!seatResult.success) {
-            console.error('Failed to delete seat arrangement:', seatResult.error);
-          }
+        // Create, update or delete the seat arrangement
+        const seatResult = await syncSeatArrangement(selectedEvent._id, seatArrangement, !!selectedSeatArrangement);
+        if (seatResult && !seatResult.success) {
+          logger.error('Failed to save seat arrangement:', seatResult.error);
+        }
+
+        // Occupancy maps showing this event pick up the new layout
+        invalidateQueries(['seatArrangements', selectedEvent._id]);
+
+        if (applyToFutureEvents) {
+          await applyToFollowingEvents(selectedEvent, eventData, seatArrangement);
         }
 
         setShowEditModal(false);
@@ -234,12 +370,15 @@ function Events() {
         setSelectedSeatArrangement(null);
       } else {
         setFormError(result.error);
-        setValidationErrors(result.validationErrors);
+        setFieldErrors(result.fieldErrors);
       }
+    } catch (err) {
+      logger.error('Failed to update event:', err);
+      setFormError('An unexpected error occurred');
     } finally {
       setIsSubmitting(false);
     }
-  }, [selectedEvent, selectedSeatArrangement, updateEvent]);
+  }, [selectedEvent, selectedSeatArrangement, updateEvent, applyToFollowingEvents]);
 
   // Confirm delete event
   const handleConfirmDelete = useCallback(async () => {
@@ -301,11 +440,61 @@ function Events() {
     }
   }, [selectedEvent, permanentDeleteEvent]);
 
+  // Run a row action over every selected event and report how many failed
+  const runBulk = useCallback(async (rows, action, verb) => {
+    let failed = 0;
+    for (const event of rows) {
+      const result = await action(event._id);
+      if (!result.success) failed += 1;
+    }
+
+    if (failed > 0) {
+      toast.error(`${failed} of ${rows.length} events could not be ${verb}`);
+    } else {
+      toast.success(`${rows.length} events ${verb}`);
+    }
+  }, []);
+
+  const bulkActions = showDeleted
+    ? [
+        canEdit && {
+          id: 'restore',
+          label: 'Restore',
+          icon: RotateCcw,
+          confirm: (rows) => `Restore ${rows.length} selected events?`,
+          onClick: (rows) => runBulk(rows, restoreEvent, 'restored'),
+        },
+        canPermanentDelete && {
+          id: 'permanentDelete',
+          label: 'Delete permanently',
+          icon: Trash,
+          variant: 'danger',
+          confirm: (rows) => `Permanently delete ${rows.length} selected events? This cannot be undone.`,
+          onClick: (rows) => runBulk(rows, permanentDeleteEvent, 'permanently deleted'),
+        },
+      ].filter(Boolean)
+    : [
+        canDelete && {
+          id: 'delete',
+          label: 'Delete',
+          icon: Trash2,
+          variant: 'danger',
+          confirm: (rows) => `Delete ${rows.length} selected events? You can restore them later.`,
+          onClick: (rows) => runBulk(rows, deleteEvent, 'deleted'),
+        },
+      ].filter(Boolean);
+
+  // Calendar drag: save the shifted dates
+  const handleReschedule = useCallback(
+    (event, dates) => updateEvent(event._id, dates),
+    [updateEvent]
+  );
+
   // Handle update expired events
   const handleUpdateExpired = useCallback(async () => {
     const result = await updateExpiredEvents();
     if (result.success && result.updatedCount > 0) {
-      console.log(`Updated ${result.updatedCount} expired events`);
+      logger.debug(`Updated ${result.updatedCount} expired events`);
     }
   }, [updateExpiredEvents]);
 
@@ -321,6 +510,26 @@ function Events() {
         </div>
 
         <div className="flex items-center gap-3">
+          {/* List / Calendar toggle */}
+          <div className="inline-flex rounded-lg border border-gray-300 overflow-hidden">
+            <button
+              onClick={() => setViewMode({ view: 'list' })}
+              className={`p-2 transition-colors ${!isCalendarView ? 'bg-gray-800 text-white' : 'bg-white text-gray-600 hover:bg-gray-50'}`}
+              title="List view"
+            >
+              <List className="h-4 w-4" />
+            </button>
+            <button
+              onClick={() => setViewMode({ view: 'calendar' })}
+              className={`p-2 transition-colors ${isCalendarView ? 'bg-gray-800 text-white' : 'bg-white text-gray-600 hover:bg-gray-50'}`}
+              title="Calendar view"
+            >
+              <CalendarDays className="h-4 w-4" />
+            </button>
+          </div>
+
+          {!isCalendarView && <SavedViewsMenu />}
+
           {/* Update Expired Button */}
           <button
             onClick={handleUpdateExpired}
@@ -359,55 +568,72 @@ function Events() {
         </div>
       )}
 
-      {/* Filters */}
-      <EventFilters
-        filters={filters}
-        onFilterChange={updateFilters}
-        onSearchChange={updateSearch}
-        onReset={resetFilters}
-        showDeleted={showDeleted}
-        onToggleDeleted={toggleShowDeleted}
-        disabled={isLoading}
-      />
-
-      {/* Events Table */}
-      <EventTable
-        events={events}
-        showDeleted={showDeleted}
-        isLoading={isLoading}
-        canEdit={canEdit}
-        canDelete={canDelete}
-        canPermanentDelete={canPermanentDelete}
-        onView={handleView}
-        onEdit={handleEdit}
-        onDelete={handleDelete}
-        onRestore={handleRestore}
-        onPermanentDelete={handlePermanentDelete}
-      />
+      {isCalendarView ? (
+        <EventCalendar canEdit={canEdit} onView={handleView} onReschedule={handleReschedule} />
+      ) : (
+        <>
+          {/* Filters */}
+          <EventFilters
+            filters={filters}
+            onFilterChange={updateFilters}
+            onSearchChange={updateSearch}
+            onReset={resetFilters}
+            showDeleted={showDeleted}
+            onToggleDeleted={toggleShowDeleted}
+            disabled={isLoading}
+          />
 
-      {/* Pagination */}
-      {pagination.totalPages > 0 && (
-        <div className="bg-white rounded-xl shadow-sm">
-          <Pagination
-            currentPage={pagination.currentPage}
-            totalPages={pagination.totalPages}
-            totalItems={pagination.totalCount}
-            itemsPerPage={pagination.limit}
-            onPageChange={changePage}
-            itemLabel="events"
+          {/* Events Table */}
+          <EventTable
+            events={events}
+            showDeleted={showDeleted}
+            isLoading={isLoading}
+            canEdit={canEdit}
+            canDuplicate={canCreate}
+            canDelete={canDelete}
+            canPermanentDelete={canPermanentDelete}
+            onView={handleView}
+            onEdit={handleEdit}
+            onDuplicate={handleDuplicate}
+            onDelete={handleDelete}
+            onRestore={handleRestore}
+            onPermanentDelete={handlePermanentDelete}
+            sort={showDeleted ? null : { key: filters.sortBy, direction: filters.sortOrder }}
+            onSortChange={showDeleted ? undefined : ({ key, direction }) => updateFilters({ sortBy: key, sortOrder: direction })}
+            bulkActions={bulkActions}
           />
-        </div>
+
+          {/* Pagination */}
+          {pagination.totalPages > 0 && (
+            <div className="bg-white rounded-xl shadow-sm">
+              <Pagination
+                currentPage={pagination.currentPage}
+                totalPages={pagination.totalPages}
+                totalItems={pagination.totalCount}
+                itemsPerPage={pagination.limit}
+                onPageChange={changePage}
+                itemLabel="events"
+              />
+            </div>
+          )}
+        </>
       )}
 
       {/* Create Event Modal */}
       <EventForm
         isOpen={showCreateModal}
-        onClose={() => setShowCreateModal(false)}
+        onClose={() => {
+          setShowCreateModal(false);
+          setDuplicateTemplate(null);
+          setSelectedSeatArrangement(null);
+        }}
         onSubmit={handleCreateSubmit}
         event={null}
+        template={duplicateTemplate}
+        seatArrangement={duplicateTemplate ? selectedSeatArrangement : null}
         isLoading={isSubmitting}
         serverError={formError}
-        validationErrors={validationErrors}
+        fieldErrors={fieldErrors}
       />
 
       {/* Edit Event Modal */}
@@ -423,7 +649,7 @@ function Events() {
         seatArrangement={selectedSeatArrangement}
         isLoading={isSubmitting}
         serverError={formError}
-        validationErrors={validationErrors}
+        fieldErrors={fieldErrors}
       />
 
       {/* Event Details Modal */}
@@ -435,6 +661,7 @@ function Events() {
           setTicketStats(null);
         }}
         event={selectedEvent}
+        onDuplicate={canCreate ? handleDuplicate : undefined}
         ticketStats={ticketStats}
         isLoadingStats={isLoadingStats}
         onFetchStats={handleFetchStats}
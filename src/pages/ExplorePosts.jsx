@@ -9,8 +9,10 @@ import {
   Globe,
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import { MANAGER_ROLES } from '../utils/permissions';
 import explorePostsService from '../services/explore-posts.service';
 import FileUpload from '../components/ui/FileUpload';
+import { formatDate } from '../utils/dates';
 
 const defaultForm = {
   title: '',
@@ -21,7 +23,7 @@ const defaultForm = {
 
 function ExplorePosts() {
   const { hasRole } = useAuth();
-  const canManage = hasRole(['SUPER_ADMIN', 'ADMIN']);
+  const canManage = hasRole(MANAGER_ROLES);
 
   const [form, setForm] = useState(defaultForm);
   const [posts, setPosts] = useState([]);
@@ -271,7 +273,7 @@ function ExplorePosts() {
                     <span>•</span>
                     <span>{post.likeCount || 0} likes</span>
                     <span>•</span>
-                    <span>{new Date(post.createdAt).toLocaleDateString()}</span>
+                    <span>{formatDate(post.createdAt)}</span>
                   </div>
                 </div>
 
@@ -0,0 +1,143 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Mail, Loader2, AlertCircle, ArrowLeft, CheckCircle } from 'lucide-react';
+import authService from '../services/auth.service';
+import { IS_MOCK_API } from '../services/api.service';
+import AuthLayout from '../components/auth/AuthLayout';
+import logger from '../utils/logger';
+
+/**
+ * ForgotPassword Page
+ * Emails a password reset link to the admin's address
+ */
+function ForgotPassword() {
+  const [email, setEmail] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  // Set once the request went through: { email, resetUrl? }
+  const [sent, setSent] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+      setError('Enter the email address on your admin account');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const result = await authService.requestPasswordReset(email.trim());
+      if (result.success) {
+        setSent({ email: email.trim(), resetUrl: result.data?.resetUrl });
+      } else {
+        setError(result.error || 'Could not send the reset link. Please try again.');
+      }
+    } catch (err) {
+      logger.error('[ForgotPassword] Unexpected error:', err);
+      setError('An unexpected error occurred. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <AuthLayout subtitle="Reset your password">
+      {sent ? (
+        <div className="text-center">
+          <CheckCircle className="h-12 w-12 text-green-500 mx-auto mb-4" />
+          <h2 className="text-lg font-semibold text-gray-900 mb-2">Check your email</h2>
+          <p className="text-sm text-gray-600">
+            If <span className="font-medium text-gray-900">{sent.email}</span> belongs to an admin
+            account, we've sent it a link to choose a new password. The link works once and expires
+            in an hour.
+          </p>
+
+          {/* Mock backend can't send email - hand over the link instead */}
+          {IS_MOCK_API && sent.resetUrl && (
+            <Link
+              to={new URL(sent.resetUrl, window.location.origin).pathname}
+              className="block mt-4 text-sm text-gray-800 hover:text-black font-medium underline"
+            >
+              Demo mode - open the reset link
+            </Link>
+          )}
+
+          <div className="mt-6">
+            <Link
+              to="/login"
+              className="inline-flex items-center gap-1 text-sm text-gray-600 hover:text-gray-900"
+            >
+              <ArrowLeft className="h-4 w-4" />
+              Back to login
+            </Link>
+          </div>
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <p className="text-sm text-gray-600">
+            Enter the email address on your admin account and we'll send you a link to reset your
+            password.
+          </p>
+
+          {error && (
+            <div className="p-4 bg-red-50 border border-red-200 rounded-lg flex items-start gap-3">
+              <AlertCircle className="h-5 w-5 text-red-600 shrink-0 mt-0.5" />
+              <p className="text-sm text-red-700">{error}</p>
+            </div>
+          )}
+
+          <div>
+            <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-2">
+              Email
+            </label>
+            <div className="relative">
+              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                <Mail className="h-5 w-5 text-gray-400" />
+              </div>
+              <input
+                id="email"
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:border-gray-800 outline-none transition-all disabled:bg-gray-50 disabled:cursor-not-allowed"
+                placeholder="you@example.com"
+                disabled={isSubmitting}
+                autoComplete="email"
+                autoFocus
+              />
+            </div>
+          </div>
+
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="w-full bg-gray-800 text-white py-3 px-4 rounded-lg font-medium hover:bg-gray-900 focus:ring-4 focus:ring-gray-300 transition-all disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+          >
+            {isSubmitting ? (
+              <>
+                <Loader2 className="h-5 w-5 animate-spin" />
+                Sending...
+              </>
+            ) : (
+              'Send Reset Link'
+            )}
+          </button>
+
+          <div className="text-center">
+            <Link
+              to="/login"
+              className="inline-flex items-center gap-1 text-sm text-gray-600 hover:text-gray-900"
+            >
+              <ArrowLeft className="h-4 w-4" />
+              Back to login
+            </Link>
+          </div>
+        </form>
+      )}
+    </AuthLayout>
+  );
+}
+
+export default ForgotPassword;
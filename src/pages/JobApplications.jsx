@@ -1,6 +1,10 @@
 import { useEffect, useState } from 'react';
 import { Loader2, RefreshCw, XCircle, Briefcase, ChevronDown, Users, Mail, Phone, FileText } from 'lucide-react';
 import jobsService from '../services/jobs.service';
+import useUrlState from '../hooks/useUrlState';
+import SavedViewsMenu from '../components/SavedViewsMenu';
+import useLocationState from '../hooks/useLocationState';
+import { formatDate } from '../utils/dates';
 
 const STATUSES = ['PENDING', 'REVIEWED', 'SHORTLISTED', 'REJECTED', 'HIRED'];
 
@@ -17,8 +21,7 @@ function JobApplications() {
   const [jobs, setJobs] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [filterJobId, setFilterJobId] = useState('');
-  const [filterStatus, setFilterStatus] = useState('');
+  const [{ jobId: filterJobId, status: filterStatus }, setFilters] = useUrlState({ jobId: '', status: '' });
   const [updatingId, setUpdatingId] = useState(null);
   const [expandedId, setExpandedId] = useState(null);
 
@@ -57,6 +60,12 @@ function JobApplications() {
     setIsLoading(false);
   };
 
+  // Application picked in the notification center - show its status and expand it
+  useLocationState('openRecord', (application) => {
+    setFilters({ jobId: '', status: application.status || '' });
+    setExpandedId(application._id);
+  });
+
   const handleStatusChange = async (applicationId, newStatus) => {
     setUpdatingId(applicationId);
     const result = await jobsService.updateApplicationStatus(applicationId, newStatus);
@@ -78,16 +87,19 @@ function JobApplications() {
           </h1>
           <p className="text-sm text-gray-500 mt-1">Review and manage applicants</p>
         </div>
-        <button onClick={fetchApplications} className="inline-flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50">
-          <RefreshCw className="h-4 w-4" /> Refresh
-        </button>
+        <div className="flex items-center gap-2">
+          <SavedViewsMenu />
+          <button onClick={fetchApplications} className="inline-flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50">
+            <RefreshCw className="h-4 w-4" /> Refresh
+          </button>
+        </div>
       </div>
 
       {/* Filters */}
       <div className="flex flex-col sm:flex-row gap-3">
         <select
           value={filterJobId}
-          onChange={e => setFilterJobId(e.target.value)}
+          onChange={e => setFilters((prev) => ({ ...prev, jobId: e.target.value }))}
           className="px-3 py-2 border border-gray-300 rounded-lg text-sm outline-none focus:border-gray-800 bg-white"
         >
           <option value="">All Jobs</option>
@@ -97,7 +109,7 @@ function JobApplications() {
         </select>
         <select
           value={filterStatus}
-          onChange={e => setFilterStatus(e.target.value)}
+          onChange={e => setFilters((prev) => ({ ...prev, status: e.target.value }))}
           className="px-3 py-2 border border-gray-300 rounded-lg text-sm outline-none focus:border-gray-800 bg-white"
         >
           <option value="">All Statuses</option>
@@ -130,7 +142,7 @@ function JobApplications() {
         ) : (
           <ul className="divide-y divide-gray-100">
             {applications.map(app => (
-              <li key={app._id} className="px-6 py-4">
+              <li key={app._id} className={`px-6 py-4 ${expandedId === app._id ? 'bg-gray-50' : ''}`}>
                 <div className="flex items-start justify-between gap-4">
                   <div className="flex-1 min-w-0">
                     <div className="flex flex-wrap items-center gap-2 mb-1">
@@ -145,7 +157,7 @@ function JobApplications() {
                     <div className="flex flex-wrap items-center gap-3 mt-1 text-xs text-gray-500">
                       <span className="flex items-center gap-1"><Mail className="h-3 w-3" />{app.email}</span>
                       {app.phone && <span className="flex items-center gap-1"><Phone className="h-3 w-3" />{app.phone}</span>}
-                      <span>{new Date(app.createdAt).toLocaleDateString()}</span>
+                      <span>{formatDate(app.createdAt)}</span>
                     </div>
 
                     {/* Expandable cover letter */}
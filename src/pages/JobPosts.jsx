@@ -1,8 +1,10 @@
 import { useEffect, useRef, useState } from 'react';
 import { Loader2, Plus, Trash2, RefreshCw, XCircle, Briefcase, Users, ToggleLeft, ToggleRight, Upload, X, Pencil } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import { MANAGER_ROLES } from '../utils/permissions';
 import jobsService from '../services/jobs.service';
 import Modal from '../components/ui/Modal';
+import { formatDate } from '../utils/dates';
 
 const JOB_TYPES = [
   { value: 'FULL_TIME', label: 'Full Time' },
@@ -36,7 +38,7 @@ const OPP_FIELDS = [
 
 function JobPosts() {
   const { hasRole } = useAuth();
-  const canManage = hasRole(['SUPER_ADMIN', 'ADMIN']);
+  const canManage = hasRole(MANAGER_ROLES);
 
   const [jobs, setJobs] = useState([]);
   const [filterOptions, setFilterOptions] = useState({ type: [], duration: [], timeline: [], location: [] });
@@ -420,8 +422,8 @@ function JobPosts() {
                     {job.salary && <p className="text-xs text-gray-500 mt-0.5">{job.salary}</p>}
                     <div className="flex items-center gap-3 mt-2 text-xs text-gray-400">
                       <span className="flex items-center gap-1"><Users className="h-3 w-3" />{job.applicationCount} applications</span>
-                      {job.deadline && <span>Deadline: {new Date(job.deadline).toLocaleDateString()}</span>}
-                      <span>{new Date(job.createdAt).toLocaleDateString()}</span>
+                      {job.deadline && <span>Deadline: {formatDate(job.deadline)}</span>}
+                      <span>{formatDate(job.createdAt)}</span>
                     </div>
                   </div>
                   <div className="flex items-center gap-2 shrink-0">
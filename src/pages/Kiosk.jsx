@@ -0,0 +1,145 @@
+import { useState } from 'react';
+import { Navigate } from 'react-router-dom';
+import { MdLock, MdCheckCircle, MdCancel, MdWarning, MdWifiOff, MdQrCodeScanner, MdRefresh } from 'react-icons/md';
+import useKioskMode from '../hooks/useKioskMode';
+import KioskScanner from '../components/scanner/KioskScanner';
+import KioskExitDialog from '../components/scanner/KioskExitDialog';
+import { SCAN_KIND_LABELS, SCAN_OUTCOMES } from '../utils/scanResults';
+import { enterFullscreen, unlockKioskAudio } from '../utils/kiosk';
+import { formatTime } from '../utils/dates';
+
+/**
+ * Heading and look of a scan result on the kiosk
+ */
+const getResultView = (result) => {
+  if (result.isValid) {
+    return { title: 'Welcome!', icon: MdCheckCircle, className: 'bg-green-600' };
+  }
+  if (result.isAlreadyScanned) {
+    return { title: 'Already checked in', icon: MdCancel, className: 'bg-red-600' };
+  }
+  if (result.outcome === SCAN_OUTCOMES.ERROR) {
+    return { title: 'Could not check this code', icon: MdWarning, className: 'bg-red-600' };
+  }
+  return { title: 'Not valid', icon: MdCancel, className: 'bg-red-600' };
+};
+
+/**
+ * Kiosk Page - Full-screen continuous scanner for the doors, locked with an exit PIN
+ */
+function Kiosk() {
+  const kiosk = useKioskMode();
+  const [isExitOpen, setIsExitOpen] = useState(false);
+  const [cameraError, setCameraError] = useState(null);
+  const [cameraKey, setCameraKey] = useState(0);
+
+  if (!kiosk.isLocked) {
+    return <Navigate to="/scan-qr" replace />;
+  }
+
+  const { result, counts, gate } = kiosk;
+  const view = result ? getResultView(result) : null;
+
+  const retryCamera = () => {
+    setCameraError(null);
+    setCameraKey((key) => key + 1);
+  };
+
+  // Any touch counts as a gesture - use it to get fullscreen and sound back after a reload
+  const handlePointerDown = () => {
+    enterFullscreen();
+    unlockKioskAudio();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-950 text-white flex flex-col select-none" onPointerDown={handlePointerDown}>
+      {/* Top bar */}
+      <div className="flex items-center justify-between gap-3 px-4 py-3 sm:px-6">
+        <div className="min-w-0">
+          <p className="text-lg font-semibold truncate">{gate?.eventName || 'Event check-in'}</p>
+          {gate && <p className="text-sm text-gray-400 truncate">{gate.gateName}</p>}
+        </div>
+        <div className="flex items-center gap-3 shrink-0">
+          {!kiosk.isOnline && (
+            <span className="flex items-center gap-1.5 px-2.5 py-1 rounded-full bg-yellow-500/20 text-yellow-300 text-xs font-medium">
+              <MdWifiOff className="w-4 h-4" />
+              Offline{kiosk.pendingScans.length > 0 && ` · ${kiosk.pendingScans.length} to sync`}
+            </span>
+          )}
+          <span className="text-sm text-gray-400">
+            <span className="text-green-400 font-semibold">{counts.accepted}</span> in
+            {' · '}
+            <span className="text-red-400 font-semibold">{counts.rejected}</span> turned away
+          </span>
+          <button
+            onClick={() => setIsExitOpen(true)}
+            className="p-2 rounded-lg text-gray-500 hover:text-white hover:bg-white/10 transition-colors"
+            aria-label="Exit kiosk mode"
+          >
+            <MdLock className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+
+      {/* Camera */}
+      <div className="flex-1 flex flex-col items-center justify-center gap-6 px-4 pb-8 min-h-0">
+        <h1 className="text-2xl sm:text-4xl font-bold text-center flex items-center gap-3">
+          <MdQrCodeScanner className="w-8 h-8 sm:w-10 sm:h-10 shrink-0" />
+          Hold your ticket up to the camera
+        </h1>
+        <div className="relative w-full max-w-xl aspect-square rounded-2xl overflow-hidden bg-black border-4 border-white/20">
+          {cameraError ? (
+            <div className="absolute inset-0 flex flex-col items-center justify-center gap-4 p-6 text-center">
+              <MdWarning className="w-12 h-12 text-yellow-400" />
+              <p className="text-gray-300">{cameraError.message || 'The camera could not be started'}</p>
+              <button
+                onClick={retryCamera}
+                className="flex items-center gap-2 px-4 py-2 bg-white text-gray-900 rounded-lg font-medium hover:bg-gray-100 transition-colors"
+              >
+                <MdRefresh className="w-5 h-5" />
+                Try again
+              </button>
+            </div>
+          ) : (
+            <KioskScanner key={cameraKey} onScan={kiosk.handleScan} onError={setCameraError} />
+          )}
+          {kiosk.isValidating && (
+            <div className="absolute inset-0 flex items-center justify-center bg-black/60">
+              <div className="w-16 h-16 border-4 border-white border-t-transparent rounded-full animate-spin" />
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Result flash - tap to clear it early */}
+      {view && (
+        <div
+          className={`absolute inset-0 ${view.className} flex flex-col items-center justify-center gap-4 p-6 text-center`}
+          onClick={kiosk.dismissResult}
+        >
+          <view.icon className="w-40 h-40 sm:w-56 sm:h-56" />
+          <h2 className="text-4xl sm:text-6xl font-extrabold">{view.title}</h2>
+          {result.attendee?.name && <p className="text-2xl sm:text-4xl font-semibold">{result.attendee.name}</p>}
+          {result.isAlreadyScanned && result.scannedAt && (
+            <p className="text-xl sm:text-2xl">First scanned at {formatTime(result.scannedAt)}</p>
+          )}
+          {!result.isValid && !result.isAlreadyScanned && result.message && (
+            <p className="text-xl sm:text-2xl max-w-2xl">{result.message}</p>
+          )}
+          {result.isValid && (
+            <p className="text-lg sm:text-xl text-white/80">
+              {SCAN_KIND_LABELS[result.kind]}
+              {result.event?.name && ` · ${result.event.name}`}
+              {result.isOffline && ' · checked offline'}
+            </p>
+          )}
+          {!result.isValid && <p className="text-lg sm:text-xl text-white/80">Please see a member of staff</p>}
+        </div>
+      )}
+
+      <KioskExitDialog isOpen={isExitOpen} onClose={() => setIsExitOpen(false)} onExit={kiosk.exitKiosk} />
+    </div>
+  );
+}
+
+export default Kiosk;
@@ -1,23 +1,41 @@
 import { useState } from "react";
-import { useNavigate, useLocation } from "react-router-dom";
-import { User, Lock, Eye, EyeOff, Loader2, AlertCircle } from "lucide-react";
+import { Link, useNavigate, useLocation } from "react-router-dom";
+import { User, Lock, Eye, EyeOff, Loader2, AlertCircle, Clock, ShieldCheck, ArrowLeft, CheckCircle } from "lucide-react";
 import { useAuth } from "../contexts/AuthContext";
+import TwoFactorSetup from "../components/twoFactor/TwoFactorSetup";
+import { IS_MOCK_API } from "../services/api.service";
+import { MOCK_CREDENTIALS } from "../mocks/fixtures";
+import { resetDb } from "../mocks/db";
 import MotivataLogo from "../assets/logo/Motivata.png";
+import logger from "../utils/logger";
+
+// Confirmations shown after finishing a password flow (location.state.notice)
+const NOTICES = {
+  "password-reset": "Your password has been reset. Sign in with your new password.",
+  "invite-accepted": "Your password is set. Sign in to finish setting up your account.",
+};
 
 function Login() {
-  const [username, setUsername] = useState("");
+  const location = useLocation();
+  const [username, setUsername] = useState(location.state?.username || "");
   const [password, setPassword] = useState("");
   const [showPassword, setShowPassword] = useState(false);
   const [rememberMe, setRememberMe] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState("");
 
+  // Second login step: { step: 'verify' | 'setup', twoFactorToken }
+  const [twoFactor, setTwoFactor] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState("");
+  const [useBackupCode, setUseBackupCode] = useState(false);
+
   const navigate = useNavigate();
-  const location = useLocation();
-  const { login } = useAuth();
+  const { login, verifyTwoFactor, completeTwoFactorEnrollment } = useAuth();
 
   // Get the redirect path from location state or default to dashboard
   const from = location.state?.from?.pathname || "/dashboard";
+  const wasIdleLogout = location.state?.reason === "idle";
+  const notice = NOTICES[location.state?.notice];
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -34,17 +52,20 @@ function Login() {
       return;
     }
 
-    console.log("[Login] Attempting login for:", username);
+    logger.debug("[Login] Attempting login for:", username);
     setIsSubmitting(true);
 
     try {
       const result = await login({ username, password }, rememberMe);
 
-      if (result.success) {
-        console.log("[Login] Login successful, redirecting to:", from);
+      if (result.success && result.twoFactor) {
+        logger.debug("[Login] Two-factor step:", result.twoFactor.step);
+        setTwoFactor(result.twoFactor);
+      } else if (result.success) {
+        logger.debug("[Login] Login successful, redirecting to:", from);
         navigate(from, { replace: true });
       } else {
-        console.error("[Login] Login failed:", result.error);
+        logger.error("[Login] Login failed:", result.error);
         // Handle specific error cases
         if (result.error?.includes("deactivated")) {
           setError(
@@ -57,13 +78,56 @@ function Login() {
         }
       }
     } catch (err) {
-      console.error("[Login] Unexpected error:", err);
+      logger.error("[Login] Unexpected error:", err);
       setError("An unexpected error occurred. Please try again.");
     } finally {
       setIsSubmitting(false);
     }
   };
 
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    const code = twoFactorCode.trim();
+    if (!code) {
+      setError(useBackupCode ? "Backup code is required" : "Verification code is required");
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      const result = await verifyTwoFactor(twoFactor.twoFactorToken, code, rememberMe);
+
+      if (result.success) {
+        logger.debug("[Login] Two-factor verified, redirecting to:", from);
+        navigate(from, { replace: true });
+      } else if (result.error?.toLowerCase().includes("expired")) {
+        // Pending login token expired - start over
+        handleBackToLogin();
+        setError("Your sign-in attempt expired. Please log in again.");
+      } else {
+        setError(result.error || "Invalid code. Please try again.");
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleEnrollmentComplete = (data) => {
+    completeTwoFactorEnrollment(data, rememberMe);
+    navigate(from, { replace: true });
+  };
+
+  const handleBackToLogin = () => {
+    setTwoFactor(null);
+    setTwoFactorCode("");
+    setUseBackupCode(false);
+    setPassword("");
+    setError("");
+  };
+
   return (
     <div className="min-h-screen bg-gray-100 flex items-center justify-center p-4">
       <div className="w-full max-w-md">
@@ -79,6 +143,24 @@ function Login() {
 
         {/* Login Card */}
         <div className="bg-white rounded-xl shadow-lg p-8">
+          {/* Idle Logout Notice */}
+          {wasIdleLogout && !error && (
+            <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-lg flex items-start gap-3">
+              <Clock className="h-5 w-5 text-yellow-600 shrink-0 mt-0.5" />
+              <p className="text-sm text-yellow-800">
+                You were logged out due to inactivity. Please sign in again.
+              </p>
+            </div>
+          )}
+
+          {/* Password Flow Notice */}
+          {notice && !error && !twoFactor && (
+            <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg flex items-start gap-3">
+              <CheckCircle className="h-5 w-5 text-green-600 shrink-0 mt-0.5" />
+              <p className="text-sm text-green-800">{notice}</p>
+            </div>
+          )}
+
           {/* Error Alert */}
           {error && (
             <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start gap-3">
@@ -87,106 +169,232 @@ function Login() {
             </div>
           )}
 
-          <form onSubmit={handleSubmit} className="space-y-6">
-            {/* Username Field */}
+          {/* Two-Factor Enrollment - required for this role */}
+          {twoFactor?.step === "setup" && (
             <div>
-              <label
-                htmlFor="username"
-                className="block text-sm font-medium text-gray-700 mb-2"
-              >
-                Username
-              </label>
-              <div className="relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <User className="h-5 w-5 text-gray-400" />
-                </div>
-                <input
-                  id="username"
-                  type="text"
-                  value={username}
-                  onChange={(e) => setUsername(e.target.value)}
-                  className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:border-gray-800 outline-none transition-all disabled:bg-gray-50 disabled:cursor-not-allowed"
-                  placeholder="Enter your username"
-                  disabled={isSubmitting}
-                  autoComplete="username"
-                />
+              <div className="flex items-center gap-2 mb-1">
+                <ShieldCheck className="h-5 w-5 text-gray-800" />
+                <h2 className="text-lg font-semibold text-gray-900">Set up two-factor authentication</h2>
               </div>
+              <p className="text-sm text-gray-500 mb-6">
+                Your role requires two-factor authentication before you can sign in.
+              </p>
+              <TwoFactorSetup
+                twoFactorToken={twoFactor.twoFactorToken}
+                username={username}
+                onComplete={handleEnrollmentComplete}
+                onCancel={handleBackToLogin}
+              />
             </div>
+          )}
 
-            {/* Password Field */}
-            <div>
-              <label
-                htmlFor="password"
-                className="block text-sm font-medium text-gray-700 mb-2"
-              >
-                Password
-              </label>
-              <div className="relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <Lock className="h-5 w-5 text-gray-400" />
+          {/* Two-Factor Verification */}
+          {twoFactor?.step === "verify" && (
+            <form onSubmit={handleTwoFactorSubmit} className="space-y-6">
+              <div>
+                <div className="flex items-center gap-2 mb-1">
+                  <ShieldCheck className="h-5 w-5 text-gray-800" />
+                  <h2 className="text-lg font-semibold text-gray-900">Two-factor authentication</h2>
                 </div>
-                <input
-                  id="password"
-                  type={showPassword ? "text" : "password"}
-                  value={password}
-                  onChange={(e) => setPassword(e.target.value)}
-                  className="w-full pl-10 pr-12 py-3 border border-gray-300 rounded-lg focus:border-gray-800 outline-none transition-all disabled:bg-gray-50 disabled:cursor-not-allowed"
-                  placeholder="Enter your password"
+                <p className="text-sm text-gray-500">
+                  {useBackupCode
+                    ? "Enter one of your backup codes."
+                    : "Enter the 6-digit code from your authenticator app."}
+                </p>
+              </div>
+
+              <input
+                id="two-factor-code"
+                type="text"
+                inputMode={useBackupCode ? "text" : "numeric"}
+                autoComplete="one-time-code"
+                maxLength={useBackupCode ? 12 : 6}
+                value={twoFactorCode}
+                onChange={(e) =>
+                  setTwoFactorCode(useBackupCode ? e.target.value : e.target.value.replace(/\D/g, ""))
+                }
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:border-gray-800 outline-none text-center text-lg tracking-[0.3em] font-mono disabled:bg-gray-50"
+                placeholder={useBackupCode ? "xxxx-xxxx" : "000000"}
+                disabled={isSubmitting}
+                autoFocus
+              />
+
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="w-full bg-gray-800 text-white py-3 px-4 rounded-lg font-medium hover:bg-gray-900 focus:ring-4 focus:ring-gray-300 transition-all disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+              >
+                {isSubmitting ? (
+                  <>
+                    <Loader2 className="h-5 w-5 animate-spin" />
+                    Verifying...
+                  </>
+                ) : (
+                  "Verify"
+                )}
+              </button>
+
+              <div className="flex items-center justify-between text-sm">
+                <button
+                  type="button"
+                  onClick={handleBackToLogin}
+                  className="text-gray-600 hover:text-gray-900 flex items-center gap-1"
                   disabled={isSubmitting}
-                  autoComplete="current-password"
-                />
+                >
+                  <ArrowLeft className="h-4 w-4" />
+                  Back
+                </button>
                 <button
                   type="button"
-                  onClick={() => setShowPassword(!showPassword)}
-                  className="absolute inset-y-0 right-0 pr-3 flex items-center disabled:cursor-not-allowed"
+                  onClick={() => {
+                    setUseBackupCode(!useBackupCode);
+                    setTwoFactorCode("");
+                    setError("");
+                  }}
+                  className="text-gray-800 hover:text-black font-medium"
                   disabled={isSubmitting}
-                  tabIndex={-1}
                 >
-                  {showPassword ? (
-                    <EyeOff className="h-5 w-5 text-gray-400 hover:text-gray-600" />
-                  ) : (
-                    <Eye className="h-5 w-5 text-gray-400 hover:text-gray-600" />
-                  )}
+                  {useBackupCode ? "Use authenticator app" : "Use a backup code"}
                 </button>
               </div>
-            </div>
+            </form>
+          )}
 
-            {/* Remember Me & Forgot Password */}
-            <div className="flex items-center justify-between">
-              <label className="flex items-center cursor-pointer">
-                <input
-                  type="checkbox"
-                  checked={rememberMe}
-                  onChange={(e) => setRememberMe(e.target.checked)}
-                  className="h-4 w-4 text-gray-800 border-gray-300 rounded focus:ring-gray-700 cursor-pointer"
-                  disabled={isSubmitting}
-                />
-                <span className="ml-2 text-sm text-gray-600">Remember me</span>
-              </label>
-              <a
-                href="#"
-                className="text-sm text-gray-800 hover:text-black font-medium"
+          {!twoFactor && (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              {/* Username Field */}
+              <div>
+                <label
+                  htmlFor="username"
+                  className="block text-sm font-medium text-gray-700 mb-2"
+                >
+                  Username
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <User className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="username"
+                    type="text"
+                    value={username}
+                    onChange={(e) => setUsername(e.target.value)}
+                    className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:border-gray-800 outline-none transition-all disabled:bg-gray-50 disabled:cursor-not-allowed"
+                    placeholder="Enter your username"
+                    disabled={isSubmitting}
+                    autoComplete="username"
+                  />
+                </div>
+              </div>
+
+              {/* Password Field */}
+              <div>
+                <label
+                  htmlFor="password"
+                  className="block text-sm font-medium text-gray-700 mb-2"
+                >
+                  Password
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <Lock className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="password"
+                    type={showPassword ? "text" : "password"}
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className="w-full pl-10 pr-12 py-3 border border-gray-300 rounded-lg focus:border-gray-800 outline-none transition-all disabled:bg-gray-50 disabled:cursor-not-allowed"
+                    placeholder="Enter your password"
+                    disabled={isSubmitting}
+                    autoComplete="current-password"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setShowPassword(!showPassword)}
+                    className="absolute inset-y-0 right-0 pr-3 flex items-center disabled:cursor-not-allowed"
+                    disabled={isSubmitting}
+                    tabIndex={-1}
+                  >
+                    {showPassword ? (
+                      <EyeOff className="h-5 w-5 text-gray-400 hover:text-gray-600" />
+                    ) : (
+                      <Eye className="h-5 w-5 text-gray-400 hover:text-gray-600" />
+                    )}
+                  </button>
+                </div>
+              </div>
+
+              {/* Remember Me & Forgot Password */}
+              <div className="flex items-center justify-between">
+                <label className="flex items-center cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={rememberMe}
+                    onChange={(e) => setRememberMe(e.target.checked)}
+                    className="h-4 w-4 text-gray-800 border-gray-300 rounded focus:ring-gray-700 cursor-pointer"
+                    disabled={isSubmitting}
+                  />
+                  <span className="ml-2 text-sm text-gray-600">Remember me</span>
+                </label>
+                <Link
+                  to="/forgot-password"
+                  className="text-sm text-gray-800 hover:text-black font-medium"
+                >
+                  Forgot password?
+                </Link>
+              </div>
+
+              {/* Submit Button */}
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="w-full bg-gray-800 text-white py-3 px-4 rounded-lg font-medium hover:bg-gray-900 focus:ring-4 focus:ring-gray-300 transition-all disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center justify-center gap-2"
               >
-                Forgot password?
-              </a>
-            </div>
+                {isSubmitting ? (
+                  <>
+                    <Loader2 className="h-5 w-5 animate-spin" />
+                    Signing in...
+                  </>
+                ) : (
+                  "Log In"
+                )}
+              </button>
+            </form>
+          )}
 
-            {/* Submit Button */}
-            <button
-              type="submit"
-              disabled={isSubmitting}
-              className="w-full bg-gray-800 text-white py-3 px-4 rounded-lg font-medium hover:bg-gray-900 focus:ring-4 focus:ring-gray-300 transition-all disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center justify-center gap-2"
-            >
-              {isSubmitting ? (
-                <>
-                  <Loader2 className="h-5 w-5 animate-spin" />
-                  Signing in...
-                </>
-              ) : (
-                "Log In"
-              )}
-            </button>
-          </form>
+          {/* Demo accounts - mock backend only */}
+          {IS_MOCK_API && !twoFactor && (
+            <div className="mt-6 pt-6 border-t border-gray-200">
+              <p className="text-xs font-medium text-gray-500 uppercase tracking-wide mb-2">
+                Demo mode - sign in as
+              </p>
+              <div className="flex flex-wrap gap-2">
+                {MOCK_CREDENTIALS.map((cred) => (
+                  <button
+                    key={cred.username}
+                    type="button"
+                    onClick={() => {
+                      setUsername(cred.username);
+                      setPassword(cred.password);
+                    }}
+                    className="px-3 py-1.5 text-xs border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors"
+                    disabled={isSubmitting}
+                  >
+                    {cred.username} ({cred.role.replace(/_/g, " ").toLowerCase()})
+                  </button>
+                ))}
+              </div>
+              <button
+                type="button"
+                onClick={resetDb}
+                className="mt-3 text-xs text-gray-500 hover:text-gray-800 underline"
+                disabled={isSubmitting}
+              >
+                Reset demo data
+              </button>
+            </div>
+          )}
         </div>
 
         {/* Footer */}
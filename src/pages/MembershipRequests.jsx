@@ -20,6 +20,11 @@ import Pagination from '../components/ui/Pagination';
 import ApprovalModal from '../components/membershipRequests/ApprovalModal';
 import RejectionModal from '../components/membershipRequests/RejectionModal';
 import RequestDetailsModal from '../components/membershipRequests/RequestDetailsModal';
+import NewItemsNotifier from '../components/NewItemsNotifier';
+import useLocationState from '../hooks/useLocationState';
+import { REALTIME_EVENTS } from '../utils/realtime';
+import logger from '../utils/logger';
+import { DATE_OPTIONS, formatDate as formatOrgDate } from '../utils/dates';
 
 /**
  * Status badge color configuration
@@ -148,6 +153,9 @@ function MembershipRequests() {
     setShowDetailsModal(true);
   };
 
+  // Request picked in the notification center
+  useLocationState('openRecord', handleViewDetails);
+
   /**
    * Handle approve request
    */
@@ -193,14 +201,7 @@ function MembershipRequests() {
   /**
    * Format date for display
    */
-  const formatDate = (dateString) => {
-    if (!dateString) return 'N/A';
-    return new Date(dateString).toLocaleDateString('en-IN', {
-      day: 'numeric',
-      month: 'short',
-      year: 'numeric',
-    });
-  };
+  const formatDate = (dateString) => formatOrgDate(dateString, DATE_OPTIONS, 'N/A');
 
   /**
    * Get status badge configuration
@@ -218,6 +219,12 @@ function MembershipRequests() {
 
   return (
     <div className="p-6 space-y-6">
+      <NewItemsNotifier
+        events={[REALTIME_EVENTS.MEMBERSHIP_REQUEST_CREATED]}
+        itemLabel="membership requests"
+        onShow={fetchRequests}
+      />
+
       {/* Header */}
       <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
         <div>
@@ -344,7 +351,7 @@ function MembershipRequests() {
               <tbody>
                 {requests.map((request) => {
                   // Debug: Log coupon fields from API
-                  console.log('[MembershipRequest] Coupon fields for', request.name, ':', {
+                  logger.debug('[MembershipRequest] Coupon fields for', request.name, ':', {
                     couponCode: request.couponCode,
                     couponId: request.couponId,
                     discountPercent: request.discountPercent,
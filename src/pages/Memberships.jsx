@@ -1,4 +1,4 @@
-import { useEffect, useMemo, useState } from 'react';
+import { useEffect, useEffectEvent, useMemo, useState } from 'react';
 import {
   CalendarRange,
   CheckCircle2,
@@ -20,10 +20,17 @@ import {
   Clock,
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import { MANAGER_ROLES } from '../utils/permissions';
+import useUrlState from '../hooks/useUrlState';
+import useSyncedInput from '../hooks/useSyncedInput';
 import membershipService from '../services/membership.service';
 import Modal from '../components/ui/Modal';
 import Pagination from '../components/ui/Pagination';
+import Table from '../components/ui/Table';
 import ConfirmDialog from '../components/ui/ConfirmDialog';
+import SavedViewsMenu from '../components/SavedViewsMenu';
+import logger from '../utils/logger';
+import { DATE_OPTIONS, formatDate } from '../utils/dates';
 
 const defaultPlanForm = {
   name: '',
@@ -53,16 +60,28 @@ const defaultMembershipPagination = {
   limit: 10,
 };
 
+const DEFAULT_PLAN_FILTERS = { search: '', status: 'all', featured: 'all' };
+
+const DEFAULT_MEMBERSHIP_FILTERS = { phone: '', status: 'all', paymentStatus: 'all', purchaseMethod: 'all' };
+
 function Memberships() {
   const { hasRole } = useAuth();
-  const canManage = hasRole(['SUPER_ADMIN', 'ADMIN']);
-
-  const [activeTab, setActiveTab] = useState('memberships');
+  const canManage = hasRole(MANAGER_ROLES);
+
+  // Tab, applied filters and pages live in the query string (the global search links to ?membershipPhone=...);
+  // the filter bars edit drafts that are applied on Enter, blur or Search
+  const [{ tab: activeTab }, setView] = useUrlState({ tab: 'memberships' });
+  const [appliedPlanFilters, setAppliedPlanFilters] = useUrlState(DEFAULT_PLAN_FILTERS, { prefix: 'plan' });
+  const [{ page: planPage }, setPlanPage] = useUrlState({ page: 1 }, { prefix: 'plan' });
+  const [appliedMembershipFilters, setAppliedMembershipFilters] = useUrlState(DEFAULT_MEMBERSHIP_FILTERS, {
+    prefix: 'membership',
+  });
+  const [{ page: membershipPage }, setMembershipPage] = useUrlState({ page: 1 }, { prefix: 'membership' });
 
   // Plans
   const [plans, setPlans] = useState([]);
   const [planForm, setPlanForm] = useState(defaultPlanForm);
-  const [planFilters, setPlanFilters] = useState({ search: '', status: 'all', featured: 'all' });
+  const [planFilters, setPlanFilters] = useSyncedInput(appliedPlanFilters);
   const [planPagination, setPlanPagination] = useState(defaultPlanPagination);
   const [isLoadingPlans, setIsLoadingPlans] = useState(false);
   const [isSubmittingPlan, setIsSubmittingPlan] = useState(false);
@@ -81,12 +100,7 @@ function Memberships() {
     amountPaid: '',
     adminNotes: '',
   });
-  const [membershipFilters, setMembershipFilters] = useState({
-    phone: '',
-    status: 'all',
-    paymentStatus: 'all',
-    purchaseMethod: 'all',
-  });
+  const [membershipFilters, setMembershipFilters] = useSyncedInput(appliedMembershipFilters);
   const [membershipPagination, setMembershipPagination] = useState(defaultMembershipPagination);
   const [isLoadingMemberships, setIsLoadingMemberships] = useState(false);
   const [membershipError, setMembershipError] = useState(null);
@@ -123,9 +137,9 @@ function Memberships() {
       sortOrder: 'asc',
     };
 
-    if (planFilters.search.trim()) params.search = planFilters.search.trim();
-    if (planFilters.status !== 'all') params.isActive = planFilters.status === 'active';
-    if (planFilters.featured !== 'all') params.isFeatured = planFilters.featured === 'featured';
+    if (appliedPlanFilters.search.trim()) params.search = appliedPlanFilters.search.trim();
+    if (appliedPlanFilters.status !== 'all') params.isActive = appliedPlanFilters.status === 'active';
+    if (appliedPlanFilters.featured !== 'all') params.isFeatured = appliedPlanFilters.featured === 'featured';
 
     const result = await membershipService.getPlans(params);
     if (result.success) {
@@ -147,6 +161,7 @@ function Memberships() {
   const fetchMemberships = async (page = 1) => {
     setIsLoadingMemberships(true);
     setMembershipError(null);
+    const activeFilters = appliedMembershipFilters;
 
     const params = {
       page,
@@ -155,10 +170,10 @@ function Memberships() {
       sortOrder: 'desc',
     };
 
-    if (membershipFilters.phone.trim()) params.phone = membershipFilters.phone.trim();
-    if (membershipFilters.status !== 'all') params.status = membershipFilters.status;
-    if (membershipFilters.paymentStatus !== 'all') params.paymentStatus = membershipFilters.paymentStatus;
-    if (membershipFilters.purchaseMethod !== 'all') params.purchaseMethod = membershipFilters.purchaseMethod;
+    if (activeFilters.phone.trim()) params.phone = activeFilters.phone.trim();
+    if (activeFilters.status !== 'all') params.status = activeFilters.status;
+    if (activeFilters.paymentStatus !== 'all') params.paymentStatus = activeFilters.paymentStatus;
+    if (activeFilters.purchaseMethod !== 'all') params.purchaseMethod = activeFilters.purchaseMethod;
 
     const result = await membershipService.getUserMemberships(params);
     if (result.success) {
@@ -176,10 +191,58 @@ function Memberships() {
     setIsLoadingMemberships(false);
   };
 
+  // Each list reloads when its own URL state changes (first visit, back/forward, filters, paging)
+  const loadPlans = useEffectEvent(fetchPlans);
+  const loadMemberships = useEffectEvent(fetchMemberships);
+
   useEffect(() => {
-    fetchPlans(1);
-    fetchMemberships(1);
-  }, []);
+    loadPlans(planPage);
+  }, [appliedPlanFilters, planPage]);
+
+  useEffect(() => {
+    loadMemberships(membershipPage);
+  }, [appliedMembershipFilters, membershipPage]);
+
+  const setActiveTab = (tab) => setView({ tab });
+
+  /**
+   * Apply filters to a list through the URL - applying unchanged filters still refreshes it
+   * @param {Object} next - Filters to apply
+   * @param {Object} applied - Filters currently in the URL
+   * @param {Function} setApplied - URL setter for the filters
+   * @param {number} page - Current page
+   * @param {Function} setPage - URL setter for the page
+   * @param {Function} refetch - Fetches a page directly
+   */
+  const applyListFilters = (next, applied, setApplied, page, setPage, refetch) => {
+    const unchanged = Object.keys(applied).every((key) => next[key] === applied[key]);
+    if (!unchanged) setApplied(next);
+    if (page !== 1) {
+      setPage({ page: 1 });
+    } else if (unchanged) {
+      refetch(1);
+    }
+  };
+
+  const applyPlanFilters = (next = planFilters) =>
+    applyListFilters(next, appliedPlanFilters, setAppliedPlanFilters, planPage, setPlanPage, fetchPlans);
+
+  const applyMembershipFilters = (next = membershipFilters) =>
+    applyListFilters(
+      next,
+      appliedMembershipFilters,
+      setAppliedMembershipFilters,
+      membershipPage,
+      setMembershipPage,
+      fetchMemberships
+    );
+
+  /**
+   * Go to a page - refetches when it's already the current page
+   */
+  const goToPlanPage = (page) => (page === planPage ? fetchPlans(page) : setPlanPage({ page }));
+  const goToMembershipPage = (page) =>
+    page === membershipPage ? fetchMemberships(page) : setMembershipPage({ page });
 
   const resetPlanForm = () => setPlanForm(defaultPlanForm);
 
@@ -207,7 +270,7 @@ function Memberships() {
       payload.maxPurchases = Number(form.maxPurchases);
     }
 
-    console.log('[Memberships] Prepared plan payload:', payload);
+    logger.debug('[Memberships] Prepared plan payload:', payload);
     return payload;
   };
 
@@ -230,7 +293,7 @@ function Memberships() {
     const result = await membershipService.createPlan(preparePlanPayload(planForm));
     if (result.success) {
       resetPlanForm();
-      fetchPlans(1);
+      goToPlanPage(1);
     } else {
       setPlanError(result.message || 'Failed to create plan');
     }
@@ -319,7 +382,7 @@ function Memberships() {
     const result = await membershipService.createUserMembership(payload);
     if (result.success) {
       setMembershipForm({ phone: '', membershipPlanId: '', amountPaid: '', adminNotes: '' });
-      fetchMemberships(1);
+      goToMembershipPage(1);
     } else {
       setMembershipError(result.message || 'Failed to create membership');
     }
@@ -383,6 +446,145 @@ function Memberships() {
     fetchMemberships(membershipPagination.currentPage);
   };
 
+  const membershipColumns = [
+    {
+      id: 'membership',
+      header: 'Membership',
+      hideable: false,
+      sortable: true,
+      sortValue: (membership) => membership.membershipPlanId?.name,
+      render: (membership) => (
+        <div className="space-y-1">
+          <div className="flex items-center gap-2">
+            <p className="font-semibold text-gray-900">
+              {membership.membershipPlanId?.name || 'Membership'}
+            </p>
+            {membership.isCurrentlyActive && (
+              <span className="px-2 py-0.5 text-xs rounded-full bg-emerald-100 text-emerald-700">
+                Active now
+              </span>
+            )}
+          </div>
+          <p className="text-sm text-gray-600">{membership.phone}</p>
+        </div>
+      ),
+    },
+    {
+      id: 'period',
+      header: 'Period',
+      sortable: true,
+      sortValue: (membership) => (membership.endDate ? new Date(membership.endDate).getTime() : null),
+      render: (membership) => (
+        <span className="text-sm text-gray-600 flex items-center gap-2">
+          <CalendarRange className="h-4 w-4 text-gray-500" />
+          {formatDate(membership.startDate, DATE_OPTIONS, '-')} -{' '}
+          {formatDate(membership.endDate, DATE_OPTIONS, '-')}
+        </span>
+      ),
+    },
+    {
+      id: 'amountPaid',
+      header: 'Amount',
+      sortable: true,
+      sortValue: (membership) => membership.amountPaid || membership.membershipPlanId?.price || 0,
+      render: (membership) => (
+        <span className="text-sm text-gray-600 flex items-center gap-2">
+          <IndianRupee className="h-4 w-4 text-gray-500" />
+          {currency.format(membership.amountPaid || membership.membershipPlanId?.price || 0)}
+        </span>
+      ),
+    },
+    {
+      id: 'adminNotes',
+      header: 'Notes',
+      render: (membership) => (
+        <span className="text-sm text-gray-600 flex items-center gap-2">
+          <FileText className="h-4 w-4 text-gray-500" />
+          {membership.adminNotes || 'No notes'}
+        </span>
+      ),
+    },
+    {
+      id: 'status',
+      header: 'Status',
+      render: (membership) => (
+        <div className="flex flex-wrap gap-2">
+          <span
+            className={`px-2 py-0.5 text-xs font-semibold rounded-full ${
+              membership.status === 'ACTIVE'
+                ? 'bg-green-100 text-green-700'
+                : membership.status === 'CANCELLED'
+                ? 'bg-red-100 text-red-700'
+                : 'bg-gray-100 text-gray-600'
+            }`}
+          >
+            {membership.status}
+          </span>
+          <span
+            className={`px-2 py-0.5 text-xs font-semibold rounded-full ${
+              membership.paymentStatus === 'SUCCESS'
+                ? 'bg-emerald-100 text-emerald-700'
+                : membership.paymentStatus === 'FAILED'
+                ? 'bg-red-100 text-red-700'
+                : 'bg-amber-100 text-amber-700'
+            }`}
+          >
+            {membership.paymentStatus}
+          </span>
+          <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-blue-100 text-blue-700">
+            {membership.purchaseMethod || 'IN_APP'}
+          </span>
+        </div>
+      ),
+    },
+    {
+      id: 'actions',
+      header: 'Actions',
+      align: 'right',
+      hideable: false,
+      render: (membership) => (
+        <div className="flex flex-wrap items-center justify-end gap-2">
+          <button
+            onClick={() => {
+              setSelectedMembership(membership);
+              setExtendDays('');
+              setShowExtendModal(true);
+            }}
+            className="px-3 py-2 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
+          >
+            Extend
+          </button>
+          <button
+            onClick={() => {
+              setSelectedMembership(membership);
+              setCancelReason('');
+              setShowCancelModal(true);
+            }}
+            className="px-3 py-2 text-sm text-red-600 bg-red-50 border border-red-200 rounded-lg hover:bg-red-100"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => {
+              setSelectedMembership(membership);
+              setNotesValue(membership.adminNotes || '');
+              setShowNotesModal(true);
+            }}
+            className="px-3 py-2 text-sm text-gray-700 bg-white border border-gray-200 rounded-lg hover:bg-gray-50"
+          >
+            Notes
+          </button>
+          <button
+            onClick={() => setDeleteMembershipId(membership._id)}
+            className="px-3 py-2 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
+          >
+            Delete
+          </button>
+        </div>
+      ),
+    },
+  ];
+
   const PlanBadges = ({ plan }) => (
     <div className="flex flex-wrap items-center gap-2">
       <span
@@ -411,16 +613,19 @@ function Memberships() {
           <h1 className="text-2xl font-bold text-gray-900">Memberships</h1>
           <p className="text-sm text-gray-500 mt-1">Manage membership plans and subscriptions.</p>
         </div>
-        <button
-          onClick={() => {
-            fetchPlans(planPagination.currentPage);
-            fetchMemberships(membershipPagination.currentPage);
-          }}
-          className="inline-flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
-        >
-          <RefreshCw className="h-4 w-4" />
-          Refresh
-        </button>
+        <div className="flex items-center gap-2">
+          <SavedViewsMenu />
+          <button
+            onClick={() => {
+              fetchPlans(planPagination.currentPage);
+              fetchMemberships(membershipPagination.currentPage);
+            }}
+            className="inline-flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+          >
+            <RefreshCw className="h-4 w-4" />
+            Refresh
+          </button>
+        </div>
       </div>
 
       {/* Tab switcher */}
@@ -614,8 +819,8 @@ function Memberships() {
                   type="text"
                   value={planFilters.search}
                   onChange={(e) => setPlanFilters({ ...planFilters, search: e.target.value })}
-                  onKeyDown={(e) => e.key === 'Enter' && fetchPlans(1)}
-                  onBlur={() => fetchPlans(1)}
+                  onKeyDown={(e) => e.key === 'Enter' && applyPlanFilters()}
+                  onBlur={() => applyPlanFilters()}
                   placeholder="Search plans"
                   className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:border-gray-800 outline-none"
                 />
@@ -624,7 +829,7 @@ function Memberships() {
                 <select
                   value={planFilters.status}
                   onChange={(e) => setPlanFilters({ ...planFilters, status: e.target.value })}
-                  onBlur={() => fetchPlans(1)}
+                  onBlur={() => applyPlanFilters()}
                   className="px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 focus:border-gray-800 outline-none"
                 >
                   <option value="all">All status</option>
@@ -634,7 +839,7 @@ function Memberships() {
                 <select
                   value={planFilters.featured}
                   onChange={(e) => setPlanFilters({ ...planFilters, featured: e.target.value })}
-                  onBlur={() => fetchPlans(1)}
+                  onBlur={() => applyPlanFilters()}
                   className="px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 focus:border-gray-800 outline-none"
                 >
                   <option value="all">All visibility</option>
@@ -643,8 +848,8 @@ function Memberships() {
                 </select>
                 <button
                   onClick={() => {
-                    setPlanFilters({ search: '', status: 'all', featured: 'all' });
-                    fetchPlans(1);
+                    setPlanFilters(DEFAULT_PLAN_FILTERS);
+                    applyPlanFilters(DEFAULT_PLAN_FILTERS);
                   }}
                   className="px-3 py-2 text-sm text-gray-600 bg-gray-100 border border-gray-200 rounded-lg hover:bg-gray-200"
                 >
@@ -723,7 +928,7 @@ function Memberships() {
                 totalPages={planPagination.totalPages}
                 totalItems={planPagination.totalCount}
                 itemsPerPage={planPagination.limit}
-                onPageChange={(page) => fetchPlans(page)}
+                onPageChange={goToPlanPage}
                 itemLabel="plans"
               />
             )}
@@ -782,7 +987,7 @@ function Memberships() {
                           <p>
                             Valid till:{' '}
                             {statusCheck.membership.endDate
-                              ? new Date(statusCheck.membership.endDate).toLocaleDateString()
+                              ? formatDate(statusCheck.membership.endDate)
                               : '-'}
                           </p>
                           <p>Days remaining: {statusCheck.membership.daysRemaining ?? '-'}</p>
@@ -866,7 +1071,7 @@ function Memberships() {
                   type="text"
                   value={membershipFilters.phone}
                   onChange={(e) => setMembershipFilters({ ...membershipFilters, phone: e.target.value })}
-                  onKeyDown={(e) => e.key === 'Enter' && fetchMemberships(1)}
+                  onKeyDown={(e) => e.key === 'Enter' && applyMembershipFilters()}
                   placeholder="Search by phone"
                   className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:border-gray-800 outline-none"
                 />
@@ -875,7 +1080,7 @@ function Memberships() {
                 <select
                   value={membershipFilters.status}
                   onChange={(e) => setMembershipFilters({ ...membershipFilters, status: e.target.value })}
-                  onBlur={() => fetchMemberships(1)}
+                  onBlur={() => applyMembershipFilters()}
                   className="px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 focus:border-gray-800 outline-none"
                 >
                   <option value="all">All status</option>
@@ -886,7 +1091,7 @@ function Memberships() {
                 <select
                   value={membershipFilters.paymentStatus}
                   onChange={(e) => setMembershipFilters({ ...membershipFilters, paymentStatus: e.target.value })}
-                  onBlur={() => fetchMemberships(1)}
+                  onBlur={() => applyMembershipFilters()}
                   className="px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 focus:border-gray-800 outline-none"
                 >
                   <option value="all">All payments</option>
@@ -897,7 +1102,7 @@ function Memberships() {
                 <select
                   value={membershipFilters.purchaseMethod}
                   onChange={(e) => setMembershipFilters({ ...membershipFilters, purchaseMethod: e.target.value })}
-                  onBlur={() => fetchMemberships(1)}
+                  onBlur={() => applyMembershipFilters()}
                   className="px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 focus:border-gray-800 outline-none"
                 >
                   <option value="all">All methods</option>
@@ -907,15 +1112,15 @@ function Memberships() {
                 </select>
                 <button
                   onClick={() => {
-                    setMembershipFilters({ phone: '', status: 'all', paymentStatus: 'all', purchaseMethod: 'all' });
-                    fetchMemberships(1);
+                    setMembershipFilters(DEFAULT_MEMBERSHIP_FILTERS);
+                    applyMembershipFilters(DEFAULT_MEMBERSHIP_FILTERS);
                   }}
                   className="px-3 py-2 text-sm text-gray-600 bg-gray-100 border border-gray-200 rounded-lg hover:bg-gray-200"
                 >
                   Reset
                 </button>
                 <button
-                  onClick={() => fetchMemberships(1)}
+                  onClick={() => applyMembershipFilters()}
                   className="px-3 py-2 text-sm text-white bg-gray-900 rounded-lg hover:bg-gray-800 flex items-center gap-2"
                 >
                   <Search className="h-4 w-4" />
@@ -924,113 +1129,16 @@ function Memberships() {
               </div>
             </div>
 
-            {isLoadingMemberships ? (
-              <div className="p-6 flex items-center justify-center gap-2 text-gray-600">
-                <Loader2 className="h-5 w-5 animate-spin" />
-                Loading memberships...
-              </div>
-            ) : memberships.length === 0 ? (
-              <div className="p-6 text-center text-gray-500">No memberships found.</div>
-            ) : (
-              <div className="divide-y divide-gray-200">
-                {memberships.map((membership) => (
-                  <div key={membership._id} className="p-4 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
-                    <div className="space-y-1">
-                      <div className="flex items-center gap-2">
-                        <h3 className="text-base font-semibold text-gray-900">
-                          {membership.membershipPlanId?.name || 'Membership'}
-                        </h3>
-                        {membership.isCurrentlyActive && (
-                          <span className="px-2 py-0.5 text-xs rounded-full bg-emerald-100 text-emerald-700">
-                            Active now
-                          </span>
-                        )}
-                      </div>
-                      <p className="text-sm text-gray-600">{membership.phone}</p>
-                      <p className="text-sm text-gray-600 flex items-center gap-2">
-                        <CalendarRange className="h-4 w-4 text-gray-500" />
-                        {membership.startDate ? new Date(membership.startDate).toLocaleDateString() : '-'} -{' '}
-                        {membership.endDate ? new Date(membership.endDate).toLocaleDateString() : '-'}
-                      </p>
-                      <p className="text-sm text-gray-600 flex items-center gap-2">
-                        <IndianRupee className="h-4 w-4 text-gray-500" />
-                        {currency.format(membership.amountPaid || membership.membershipPlanId?.price || 0)}
-                      </p>
-                      <p className="text-sm text-gray-600 flex items-center gap-2">
-                        <FileText className="h-4 w-4 text-gray-500" />
-                        {membership.adminNotes || 'No notes'}
-                      </p>
-                      <div className="flex flex-wrap gap-2 pt-1">
-                        <span
-                          className={`px-2 py-0.5 text-xs font-semibold rounded-full ${
-                            membership.status === 'ACTIVE'
-                              ? 'bg-green-100 text-green-700'
-                              : membership.status === 'CANCELLED'
-                              ? 'bg-red-100 text-red-700'
-                              : 'bg-gray-100 text-gray-600'
-                          }`}
-                        >
-                          {membership.status}
-                        </span>
-                        <span
-                          className={`px-2 py-0.5 text-xs font-semibold rounded-full ${
-                            membership.paymentStatus === 'SUCCESS'
-                              ? 'bg-emerald-100 text-emerald-700'
-                              : membership.paymentStatus === 'FAILED'
-                              ? 'bg-red-100 text-red-700'
-                              : 'bg-amber-100 text-amber-700'
-                          }`}
-                        >
-                          {membership.paymentStatus}
-                        </span>
-                        <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-blue-100 text-blue-700">
-                          {membership.purchaseMethod || 'IN_APP'}
-                        </span>
-                      </div>
-                    </div>
-
-                    <div className="flex flex-wrap items-center gap-2">
-                      <button
-                        onClick={() => {
-                          setSelectedMembership(membership);
-                          setExtendDays('');
-                          setShowExtendModal(true);
-                        }}
-                        className="px-3 py-2 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
-                      >
-                        Extend
-                      </button>
-                      <button
-                        onClick={() => {
-                          setSelectedMembership(membership);
-                          setCancelReason('');
-                          setShowCancelModal(true);
-                        }}
-                        className="px-3 py-2 text-sm text-red-600 bg-red-50 border border-red-200 rounded-lg hover:bg-red-100"
-                      >
-                        Cancel
-                      </button>
-                      <button
-                        onClick={() => {
-                          setSelectedMembership(membership);
-                          setNotesValue(membership.adminNotes || '');
-                          setShowNotesModal(true);
-                        }}
-                        className="px-3 py-2 text-sm text-gray-700 bg-white border border-gray-200 rounded-lg hover:bg-gray-50"
-                      >
-                        Notes
-                      </button>
-                      <button
-                        onClick={() => setDeleteMembershipId(membership._id)}
-                        className="px-3 py-2 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
-                      >
-                        Delete
-                      </button>
-                    </div>
-                  </div>
-                ))}
-              </div>
-            )}
+            <Table
+              columns={membershipColumns}
+              data={memberships}
+              loading={isLoadingMemberships}
+              loadingMessage="Loading memberships..."
+              emptyMessage="No memberships found."
+              layoutKey="memberships"
+              maxHeight="70vh"
+              className="mx-4 mb-4"
+            />
 
             {membershipPagination.totalPages > 1 && (
               <Pagination
@@ -1038,7 +1146,7 @@ function Memberships() {
                 totalPages={membershipPagination.totalPages}
                 totalItems={membershipPagination.totalCount}
                 itemsPerPage={membershipPagination.limit}
-                onPageChange={(page) => fetchMemberships(page)}
+                onPageChange={goToMembershipPage}
                 itemLabel="memberships"
               />
             )}
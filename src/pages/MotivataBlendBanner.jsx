@@ -3,6 +3,7 @@ import { RefreshCw, Loader2, Save, Trash2, ImageIcon, Info, Eye, EyeOff, Upload,
 import { toast } from 'react-toastify';
 import motivataBlendBannerService from '../services/motivataBlendBanner.service';
 import ConfirmDialog from '../components/ui/ConfirmDialog';
+import { formatDate } from '../utils/dates';
 
 const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
 const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
@@ -434,11 +435,7 @@ function MotivataBlendBanner() {
                     <div className="flex justify-between">
                       <span className="text-gray-500">Created</span>
                       <span className="text-gray-700">
-                        {new Date(banner.createdAt).toLocaleDateString('en-US', {
-                          month: 'short',
-                          day: 'numeric',
-                          year: 'numeric',
-                        })}
+                        {formatDate(banner.createdAt)}
                       </span>
                     </div>
                   )}
@@ -446,11 +443,7 @@ function MotivataBlendBanner() {
                     <div className="flex justify-between">
                       <span className="text-gray-500">Last Updated</span>
                       <span className="text-gray-700">
-                        {new Date(banner.updatedAt).toLocaleDateString('en-US', {
-                          month: 'short',
-                          day: 'numeric',
-                          year: 'numeric',
-                        })}
+                        {formatDate(banner.updatedAt)}
                       </span>
                     </div>
                   )}
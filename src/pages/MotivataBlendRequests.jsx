@@ -20,6 +20,47 @@ import StatsCards from '../components/requests/StatsCards';
 import ApproveModal from '../components/requests/ApproveModal';
 import RejectModal from '../components/requests/RejectModal';
 import RequestDetailsModal from '../components/requests/RequestDetailsModal';
+import useUrlState from '../hooks/useUrlState';
+import SavedViewsMenu from '../components/SavedViewsMenu';
+import NewItemsNotifier from '../components/NewItemsNotifier';
+import useLocationState from '../hooks/useLocationState';
+import { REALTIME_EVENTS } from '../utils/realtime';
+import logger from '../utils/logger';
+import { DATE_OPTIONS, formatDate as formatOrgDate, toDateInput } from '../utils/dates';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Submission date presets - kept relative so a saved view stays "this week"
+ */
+const SUBMITTED_WITHIN_OPTIONS = [
+  { value: '', label: 'Any time' },
+  { value: '1', label: 'Last 24 hours' },
+  { value: '7', label: 'This week' },
+  { value: '30', label: 'Last 30 days' },
+];
+
+const DEFAULT_FILTERS = {
+  page: 1,
+  limit: 20,
+  status: '',
+  search: '',
+  sortBy: 'submittedAt',
+  sortOrder: 'desc',
+  submittedWithin: '',
+};
+
+/**
+ * Build API params from the list filters, resolving the date preset to a start date
+ * @param {Object} filters - List filters
+ * @returns {Object} API params
+ */
+const buildRequestParams = ({ submittedWithin, ...params }) => ({
+  ...params,
+  ...(submittedWithin && {
+    startDate: toDateInput(Date.now() - Number(submittedWithin) * DAY_MS),
+  }),
+});
 
 /**
  * MotivataBlendRequests Page Component
@@ -36,14 +77,8 @@ function MotivataBlendRequests() {
     hasNextPage: false,
     hasPrevPage: false,
   });
-  const [filters, setFilters] = useState({
-    page: 1,
-    limit: 20,
-    status: '',
-    search: '',
-    sortBy: 'submittedAt',
-    sortOrder: 'desc',
-  });
+  // Filters and page live in the query string so refresh and shared links keep them
+  const [filters, setFilters] = useUrlState(DEFAULT_FILTERS);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [stats, setStats] = useState(null);
@@ -63,7 +98,7 @@ function MotivataBlendRequests() {
     setError(null);
 
     try {
-      const result = await motivataBlendService.getAll(filters);
+      const result = await motivataBlendService.getAll(buildRequestParams(filters));
 
       if (result.success) {
         setRequests(result.data.requests || []);
@@ -91,7 +126,7 @@ function MotivataBlendRequests() {
         setStats(result.data);
       }
     } catch (err) {
-      console.error('Failed to fetch stats:', err);
+      logger.error('Failed to fetch stats:', err);
     } finally {
       setStatsLoading(false);
     }
@@ -135,6 +170,9 @@ function MotivataBlendRequests() {
     setShowDetailsModal(true);
   };
 
+  // Request picked in the notification center
+  useLocationState('openRecord', handleViewDetails);
+
   /**
    * Handle approve request
    */
@@ -180,17 +218,19 @@ function MotivataBlendRequests() {
   /**
    * Format date for display
    */
-  const formatDate = (dateString) => {
-    if (!dateString) return 'N/A';
-    return new Date(dateString).toLocaleDateString('en-IN', {
-      day: 'numeric',
-      month: 'short',
-      year: 'numeric',
-    });
-  };
+  const formatDate = (dateString) => formatOrgDate(dateString, DATE_OPTIONS, 'N/A');
 
   return (
     <div className="p-6 space-y-6">
+      <NewItemsNotifier
+        events={[REALTIME_EVENTS.MOTIVATA_BLEND_REQUEST_CREATED]}
+        itemLabel="Motivata Blend requests"
+        onShow={() => {
+          fetchRequests();
+          fetchStats();
+        }}
+      />
+
       {/* Header */}
       <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
         <div>
@@ -200,17 +240,20 @@ function MotivataBlendRequests() {
           </p>
         </div>
 
-        <button
-          onClick={() => {
-            fetchRequests();
-            fetchStats();
-          }}
-          disabled={isLoading}
-          className="flex items-center gap-2 px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors disabled:opacity-50"
-        >
-          <RefreshCw className={`h-4 w-4 ${isLoading ? 'animate-spin' : ''}`} />
-          Refresh
-        </button>
+        <div className="flex items-center gap-2">
+          <SavedViewsMenu />
+          <button
+            onClick={() => {
+              fetchRequests();
+              fetchStats();
+            }}
+            disabled={isLoading}
+            className="flex items-center gap-2 px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors disabled:opacity-50"
+          >
+            <RefreshCw className={`h-4 w-4 ${isLoading ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+        </div>
       </div>
 
       {/* Stats Cards */}
@@ -223,7 +266,7 @@ function MotivataBlendRequests() {
           Filters
         </div>
 
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
           {/* Search */}
           <div className="relative">
             <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
@@ -248,6 +291,19 @@ function MotivataBlendRequests() {
             <option value="REJECTED">Rejected</option>
           </select>
 
+          {/* Submitted Within */}
+          <select
+            value={filters.submittedWithin}
+            onChange={(e) => handleFilterChange('submittedWithin', e.target.value)}
+            className="px-4 py-2 border border-gray-300 rounded-lg focus:border-gray-800 outline-none"
+          >
+            {SUBMITTED_WITHIN_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+
           {/* Sort By */}
           <select
             value={`${filters.sortBy}-${filters.sortOrder}`}
@@ -287,7 +343,7 @@ function MotivataBlendRequests() {
           <User className="h-16 w-16 text-gray-400 mx-auto mb-4" />
           <p className="text-lg font-medium text-gray-900">No requests found</p>
           <p className="text-sm text-gray-500 mt-1">
-            {filters.search || filters.status
+            {filters.search || filters.status || filters.submittedWithin
               ? 'Try adjusting your filters'
               : 'New requests will appear here'}
           </p>
@@ -448,6 +504,7 @@ function MotivataBlendRequests() {
           onApprove={handleApproveClick}
           onReject={handleRejectClick}
           title="Motivata Blend Request Details"
+          entityType="MOTIVATA_BLEND_REQUEST"
         />
       )}
     </div>
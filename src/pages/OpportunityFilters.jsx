@@ -1,6 +1,7 @@
 import { useEffect, useState } from 'react';
 import { Loader2, Plus, Trash2, RefreshCw, XCircle, SlidersHorizontal } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import { MANAGER_ROLES } from '../utils/permissions';
 import jobsService from '../services/jobs.service';
 
 // The four admin-managed filter groups shown on the app's Doers tab.
@@ -15,7 +16,7 @@ const emptyGroups = () => ({ type: [], duration: [], timeline: [], location: []
 
 function OpportunityFilters() {
   const { hasRole } = useAuth();
-  const canManage = hasRole(['SUPER_ADMIN', 'ADMIN']);
+  const canManage = hasRole(MANAGER_ROLES);
 
   const [groups, setGroups] = useState(emptyGroups());
   const [isLoading, setIsLoading] = useState(true);
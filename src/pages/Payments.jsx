@@ -1,10 +1,305 @@
+import { useState } from 'react';
+import {
+  Eye,
+  Download,
+  RefreshCw,
+  Loader2,
+  AlertCircle,
+  Wallet,
+  IndianRupee,
+  Tag,
+  RotateCcw,
+  Landmark,
+} from 'lucide-react';
+import { toast } from 'react-toastify';
+import usePayments from '../hooks/usePayments';
+import PaymentFilters from '../components/payments/PaymentFilters';
+import PaymentDetailsDrawer from '../components/payments/PaymentDetailsDrawer';
+import ReconciliationPanel from '../components/payments/ReconciliationPanel';
+import Pagination from '../components/ui/Pagination';
+import StatCard from '../components/ui/StatCard';
+import OptionBadge from '../components/ui/OptionBadge';
+import { formatCurrency } from '../services/analytics.service';
+import { formatShortDate } from '../utils/eventStatus';
+import { downloadCsv, toCsv } from '../utils/csv';
+import { toDateInput } from '../utils/dates';
+import { getOptionLabel } from '../utils/enrollments';
+import {
+  PAYMENT_CSV_COLUMNS,
+  PAYMENT_METHOD_OPTIONS,
+  PAYMENT_STATUSES,
+  PAYMENT_TYPES,
+  REFUND_STATUSES,
+} from '../utils/payments';
+
+/**
+ * Payments Page
+ * Ledger of every transaction - event bookings, memberships, service orders,
+ * session bookings and offline cash - with totals for the filtered period and
+ * a reconciliation against the Dashboard's revenue
+ */
 function Payments() {
+  const {
+    payments,
+    pagination,
+    summary,
+    filters,
+    isLoading,
+    isFetching,
+    error,
+    range,
+    reconciliation,
+    refundedInRange,
+    isReconciling,
+    reconciliationError,
+    refresh,
+    fetchAllPayments,
+    updateFilters,
+    updateSearch,
+    resetFilters,
+    changePage,
+    changeRange,
+  } = usePayments();
+
+  const [selectedPayment, setSelectedPayment] = useState(null);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const period =
+    filters.startDate || filters.endDate
+      ? `${filters.startDate ? formatShortDate(filters.startDate) : 'Start'} - ${
+          filters.endDate ? formatShortDate(filters.endDate) : 'Today'
+        }`
+      : 'All time';
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const result = await fetchAllPayments();
+      if (!result.success) {
+        toast.error(result.error || 'Failed to export payments');
+        return;
+      }
+      downloadCsv(`payments-${toDateInput(new Date())}.csv`, toCsv(result.data, PAYMENT_CSV_COLUMNS));
+      toast.success(`Exported ${result.data.length} payments`);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
   return (
-    <div className="bg-white rounded-xl shadow-sm p-6">
-      <h2 className="text-2xl font-bold text-gray-900 mb-4">Payment History</h2>
-      <p className="text-gray-600">View payment history here.</p>
+    <div className="space-y-4 sm:space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-xl sm:text-2xl font-bold text-gray-900">Payments</h1>
+          <p className="text-sm text-gray-500 mt-1">
+            Every transaction - event bookings, memberships, service orders, sessions and offline cash
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={refresh}
+            disabled={isFetching}
+            className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors disabled:opacity-50"
+          >
+            <RefreshCw className={`h-4 w-4 ${isFetching ? 'animate-spin' : ''}`} />
+            <span className="hidden sm:inline">Refresh</span>
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={isExporting || pagination.totalCount === 0}
+            className="flex items-center gap-2 px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors disabled:opacity-50"
+          >
+            {isExporting ? <Loader2 className="h-4 w-4 animate-spin" /> : <Download className="h-4 w-4" />}
+            Export CSV
+          </button>
+        </div>
+      </div>
+
+      <PaymentFilters
+        filters={filters}
+        onFilterChange={updateFilters}
+        onSearchChange={updateSearch}
+        onReset={resetFilters}
+      />
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg flex items-start gap-3">
+          <AlertCircle className="h-5 w-5 text-red-600 shrink-0 mt-0.5" />
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      {/* Totals for the filtered period */}
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+        <StatCard
+          title="Collected"
+          value={formatCurrency(summary?.collectedAmount)}
+          subtitle={`${summary?.successCount || 0} payments · ${period}`}
+          icon={IndianRupee}
+          color="green"
+          loading={isLoading}
+        />
+        <StatCard
+          title="Discounts"
+          value={formatCurrency(summary?.discountAmount)}
+          subtitle="Coupons and offers"
+          icon={Tag}
+          color="purple"
+          loading={isLoading}
+        />
+        <StatCard
+          title="Refunded"
+          value={formatCurrency(summary?.refundedAmount)}
+          subtitle={`${summary?.pendingCount || 0} pending · ${summary?.failedCount || 0} failed`}
+          icon={RotateCcw}
+          color="orange"
+          loading={isLoading}
+        />
+        <StatCard
+          title="Net"
+          value={formatCurrency(summary?.netAmount)}
+          subtitle="Collected less refunds"
+          icon={Wallet}
+          color="blue"
+          loading={isLoading}
+        />
+      </div>
+
+      {/* Collected per type */}
+      {summary?.byType?.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {PAYMENT_TYPES.map((type) => {
+            const group = summary.byType.find((item) => item._id === type.value);
+            if (!group) return null;
+            return (
+              <span key={type.value} className={`px-3 py-1.5 rounded-lg text-sm ${type.className}`}>
+                {type.label}: <span className="font-semibold">{formatCurrency(group.revenue)}</span> ({group.count})
+              </span>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Payments Table */}
+      <div className="bg-white rounded-xl shadow-sm overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50 border-b border-gray-200">
+              <tr>
+                <th className="text-left px-6 py-4 text-sm font-medium text-gray-600">Date</th>
+                <th className="text-left px-6 py-4 text-sm font-medium text-gray-600">Customer</th>
+                <th className="text-left px-6 py-4 text-sm font-medium text-gray-600">For</th>
+                <th className="text-left px-6 py-4 text-sm font-medium text-gray-600">Gateway Reference</th>
+                <th className="text-right px-6 py-4 text-sm font-medium text-gray-600">Amount</th>
+                <th className="text-left px-6 py-4 text-sm font-medium text-gray-600">Status</th>
+                <th className="text-left px-6 py-4 text-sm font-medium text-gray-600">Refund</th>
+                <th className="text-right px-6 py-4 text-sm font-medium text-gray-600">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {isLoading ? (
+                <tr>
+                  <td colSpan={8} className="px-6 py-12 text-center">
+                    <Loader2 className="h-8 w-8 text-gray-800 animate-spin mx-auto" />
+                    <p className="mt-2 text-sm text-gray-500">Loading payments...</p>
+                  </td>
+                </tr>
+              ) : payments.length === 0 ? (
+                <tr>
+                  <td colSpan={8} className="px-6 py-12 text-center">
+                    <Landmark className="h-12 w-12 text-gray-300 mx-auto" />
+                    <p className="mt-2 text-sm text-gray-500">No payments match these filters</p>
+                  </td>
+                </tr>
+              ) : (
+                payments.map((payment) => (
+                  <tr
+                    key={payment._id}
+                    onClick={() => setSelectedPayment(payment)}
+                    className="border-b border-gray-100 hover:bg-gray-50 transition-colors cursor-pointer"
+                  >
+                    <td className="px-6 py-4 text-sm text-gray-600 whitespace-nowrap">
+                      {formatShortDate(payment.createdAt)}
+                    </td>
+                    <td className="px-6 py-4">
+                      <p className="font-medium text-gray-900">{payment.customerName || '-'}</p>
+                      <p className="text-xs text-gray-500">{payment.customerPhone}</p>
+                    </td>
+                    <td className="px-6 py-4 max-w-xs">
+                      <OptionBadge options={PAYMENT_TYPES} value={payment.type} />
+                      <p className="text-xs text-gray-500 mt-1 truncate">{payment.description}</p>
+                    </td>
+                    <td className="px-6 py-4">
+                      <p className="text-sm font-mono text-gray-900">
+                        {payment.gatewayPaymentId || payment.gatewayOrderId || payment.sourceReference}
+                      </p>
+                      <p className="text-xs text-gray-500">{getOptionLabel(PAYMENT_METHOD_OPTIONS, payment.method)}</p>
+                    </td>
+                    <td className="px-6 py-4 text-right whitespace-nowrap">
+                      <p className="font-medium text-gray-900">{formatCurrency(payment.amount)}</p>
+                      {payment.discountAmount > 0 && (
+                        <p className="text-xs text-green-700">
+                          -{formatCurrency(payment.discountAmount)}
+                          {payment.couponCode && ` · ${payment.couponCode}`}
+                        </p>
+                      )}
+                    </td>
+                    <td className="px-6 py-4">
+                      <OptionBadge options={PAYMENT_STATUSES} value={payment.status} />
+                    </td>
+                    <td className="px-6 py-4">
+                      {payment.refundStatus === 'NONE' ? (
+                        <span className="text-sm text-gray-400">-</span>
+                      ) : (
+                        <OptionBadge options={REFUND_STATUSES} value={payment.refundStatus} />
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-right">
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setSelectedPayment(payment);
+                        }}
+                        className="p-2 text-gray-800 hover:bg-gray-100 rounded-lg transition-colors"
+                        title="View Details"
+                      >
+                        <Eye className="h-4 w-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <Pagination
+        currentPage={pagination.currentPage}
+        totalPages={pagination.totalPages}
+        totalItems={pagination.totalCount}
+        itemsPerPage={pagination.limit}
+        onPageChange={changePage}
+        itemLabel="payments"
+      />
+
+      <ReconciliationPanel
+        range={range}
+        onRangeChange={changeRange}
+        rows={reconciliation}
+        refundedAmount={refundedInRange}
+        isLoading={isReconciling}
+        error={reconciliationError}
+      />
+
+      <PaymentDetailsDrawer
+        isOpen={!!selectedPayment}
+        onClose={() => setSelectedPayment(null)}
+        payment={selectedPayment}
+      />
     </div>
-  )
+  );
 }
 
-export default Payments
+export default Payments;
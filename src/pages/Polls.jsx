@@ -1,11 +1,16 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { Search, RefreshCw, AlertCircle, Filter, X, LayoutGrid, List, Bell } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import { MANAGER_ROLES } from '../utils/permissions';
 import eventService from '../services/event.service';
+import useQuery from '../hooks/useQuery';
 import pollService from '../services/poll.service';
 import { PollForm, PollCard, PollDetailsModal, PollStatsModal } from '../components/polls';
 import ConfirmDialog from '../components/ui/ConfirmDialog';
 import Pagination from '../components/ui/Pagination';
+import logger from '../utils/logger';
+
+const EVENTS_PAGE_SIZE = 12;
 
 /**
  * Polls Page
@@ -15,20 +20,15 @@ function Polls() {
   const { hasRole } = useAuth();
 
   // Permission checks
-  const canCreate = hasRole(['SUPER_ADMIN', 'ADMIN']);
-  const canEdit = hasRole(['SUPER_ADMIN', 'ADMIN']);
-  const canDelete = hasRole(['SUPER_ADMIN', 'ADMIN']);
-
-  // Events state
-  const [events, setEvents] = useState([]);
-  const [pagination, setPagination] = useState({
-    currentPage: 1,
-    totalPages: 0,
-    totalCount: 0,
-    limit: 12,
-  });
-  const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState(null);
+  const canCreate = hasRole(MANAGER_ROLES);
+  const canEdit = hasRole(MANAGER_ROLES);
+  const canDelete = hasRole(MANAGER_ROLES);
+
+  // Events state - paged list read through the query cache
+  const [page, setPage] = useState(1);
+  const [activeSearch, setActiveSearch] = useState('');
+  const [actionError, setActionError] = useState(null);
+  const [dismissedErrorAt, setDismissedErrorAt] = useState(null);
 
   // Polls cache - store fetched polls by event ID
   const [pollsCache, setPollsCache] = useState({});
@@ -65,49 +65,33 @@ function Polls() {
   // Search debounce
   const searchDebounceRef = useRef(null);
 
-  // Fetch events
-  const fetchEvents = useCallback(async (page = 1) => {
-    setIsLoading(true);
-    setError(null);
-
-    try {
-      const params = {
-        page,
-        limit: pagination.limit,
-        sortBy: 'createdAt',
-        sortOrder: 'desc',
-      };
-
-      if (searchQuery.trim()) {
-        params.search = searchQuery.trim();
-      }
-
-      console.log('[Polls] Fetching events with params:', params);
-      const result = await eventService.getAll(params);
+  const eventParams = {
+    page,
+    limit: EVENTS_PAGE_SIZE,
+    sortBy: 'createdAt',
+    sortOrder: 'desc',
+    ...(activeSearch && { search: activeSearch }),
+  };
+
+  const eventsQuery = useQuery(
+    ['events', 'list', eventParams],
+    () => {
+      logger.debug('[Polls] Fetching events with params:', eventParams);
+      return eventService.getAll(eventParams);
+    },
+    { keepPreviousData: true }
+  );
 
-      if (result.success) {
-        setEvents(result.data.events || []);
-        setPagination({
-          currentPage: result.data.pagination?.currentPage || 1,
-          totalPages: result.data.pagination?.totalPages || 0,
-          totalCount: result.data.pagination?.totalCount || 0,
-          limit: result.data.pagination?.limit || 12,
-        });
-
-        // Fetch polls for each event
-        const eventIds = (result.data.events || []).map(e => e._id);
-        fetchPollsForEvents(eventIds);
-      } else {
-        setError(result.message || 'Failed to fetch events');
-        console.error('[Polls] Failed to fetch events:', result.message);
-      }
-    } catch (err) {
-      setError('An unexpected error occurred');
-      console.error('[Polls] Error fetching events:', err);
-    } finally {
-      setIsLoading(false);
-    }
-  }, [searchQuery, pagination.limit]);
+  const events = eventsQuery.data?.events || [];
+  const pagination = {
+    currentPage: eventsQuery.data?.pagination?.currentPage || 1,
+    totalPages: eventsQuery.data?.pagination?.totalPages || 0,
+    totalCount: eventsQuery.data?.pagination?.totalCount || 0,
+    limit: eventsQuery.data?.pagination?.limit || EVENTS_PAGE_SIZE,
+  };
+  const isLoading = eventsQuery.isLoading || eventsQuery.isFetching;
+  const error = actionError || (eventsQuery.updatedAt !== dismissedErrorAt ? eventsQuery.error : null);
+  const { refetch: refetchEvents } = eventsQuery;
 
   // Fetch polls for multiple events
   const fetchPollsForEvents = useCallback(async (eventIds) => {
@@ -126,7 +110,7 @@ function Polls() {
           setPollsCache(prev => ({ ...prev, [eventId]: null }));
         }
       } catch (err) {
-        console.error(`[Polls] Error fetching poll for event ${eventId}:`, err);
+        logger.error(`[Polls] Error fetching poll for event ${eventId}:`, err);
         setPollsCache(prev => ({ ...prev, [eventId]: null }));
       } finally {
         setLoadingPolls(prev => ({ ...prev, [eventId]: false }));
@@ -136,10 +120,12 @@ function Polls() {
     await Promise.all(pollPromises);
   }, [pollsCache]);
 
-  // Initial fetch
+  // Fetch polls for the events on the current page
   useEffect(() => {
-    fetchEvents(1);
-  }, []);
+    if (eventsQuery.data?.events) {
+      fetchPollsForEvents(eventsQuery.data.events.map(e => e._id));
+    }
+  }, [eventsQuery.data, fetchPollsForEvents]);
 
   // Handle search with debounce
   const handleSearch = useCallback((value) => {
@@ -150,21 +136,22 @@ function Polls() {
     }
 
     searchDebounceRef.current = setTimeout(() => {
-      fetchEvents(1);
+      setActiveSearch(value.trim());
+      setPage(1);
     }, 300);
-  }, [fetchEvents]);
+  }, []);
 
   // Handle page change
-  const handlePageChange = useCallback((page) => {
-    fetchEvents(page);
+  const handlePageChange = useCallback((nextPage) => {
+    setPage(nextPage);
     window.scrollTo({ top: 0, behavior: 'smooth' });
-  }, [fetchEvents]);
+  }, []);
 
   // Refresh events and polls
   const handleRefresh = useCallback(() => {
     setPollsCache({});
-    fetchEvents(pagination.currentPage);
-  }, [fetchEvents, pagination.currentPage]);
+    refetchEvents();
+  }, [refetchEvents]);
 
   // Filter events based on poll filter
   const filteredEvents = events.filter(event => {
@@ -181,7 +168,7 @@ function Polls() {
     setSelectedPoll(null);
     setFormError(null);
     setShowCreateModal(true);
-    console.log('[Polls] Opening create modal for event:', event.name);
+    logger.debug('[Polls] Opening create modal for event:', event.name);
   }, []);
 
   // Handle edit poll
@@ -190,7 +177,7 @@ function Polls() {
     setSelectedPoll(poll);
     setFormError(null);
     setShowEditModal(true);
-    console.log('[Polls] Opening edit modal for poll:', poll._id);
+    logger.debug('[Polls] Opening edit modal for poll:', poll._id);
   }, []);
 
   // Handle view poll details
@@ -198,7 +185,7 @@ function Polls() {
     setSelectedEvent(event);
     setSelectedPoll(poll);
     setShowDetailsModal(true);
-    console.log('[Polls] Opening details modal for poll:', poll._id);
+    logger.debug('[Polls] Opening details modal for poll:', poll._id);
   }, []);
 
   // Handle view stats
@@ -208,7 +195,7 @@ function Polls() {
     setPollStats(null);
     setStatsError(null);
     setShowStatsModal(true);
-    console.log('[Polls] Opening stats modal for poll:', poll._id);
+    logger.debug('[Polls] Opening stats modal for poll:', poll._id);
   }, []);
 
   // Fetch poll stats
@@ -225,7 +212,7 @@ function Polls() {
       }
     } catch (err) {
       setStatsError('An unexpected error occurred');
-      console.error('[Polls] Error fetching stats:', err);
+      logger.error('[Polls] Error fetching stats:', err);
     } finally {
       setIsLoadingStats(false);
     }
@@ -236,7 +223,7 @@ function Polls() {
     setSelectedEvent(event);
     setSelectedPoll(poll);
     setShowDeleteDialog(true);
-    console.log('[Polls] Opening delete dialog for poll:', poll._id);
+    logger.debug('[Polls] Opening delete dialog for poll:', poll._id);
   }, []);
 
   // Handle notify users
@@ -245,10 +232,10 @@ function Polls() {
 
     setNotifyingPolls(prev => ({ ...prev, [poll._id]: true }));
     setNotificationSuccess(null);
-    setError(null);
+    setActionError(null);
 
     try {
-      console.log('[Polls] Sending notification for poll:', poll._id);
+      logger.debug('[Polls] Sending notification for poll:', poll._id);
       const result = await pollService.notifyUsers(poll._id);
 
       if (result.success) {
@@ -258,14 +245,14 @@ function Polls() {
         } else {
           setNotificationSuccess(`Notification sent to ${successCount} user${successCount !== 1 ? 's' : ''}${failureCount > 0 ? ` (${failureCount} failed)` : ''}`);
         }
-        console.log('[Polls] Notification sent successfully');
+        logger.debug('[Polls] Notification sent successfully');
       } else {
-        setError(result.message || 'Failed to send notification');
-        console.error('[Polls] Failed to send notification:', result.message);
+        setActionError(result.message || 'Failed to send notification');
+        logger.error('[Polls] Failed to send notification:', result.message);
       }
     } catch (err) {
-      setError('An unexpected error occurred while sending notification');
-      console.error('[Polls] Error sending notification:', err);
+      setActionError('An unexpected error occurred while sending notification');
+      logger.error('[Polls] Error sending notification:', err);
     } finally {
       setNotifyingPolls(prev => ({ ...prev, [poll._id]: false }));
     }
@@ -277,21 +264,21 @@ function Polls() {
     setFormError(null);
 
     try {
-      console.log('[Polls] Creating poll:', data);
+      logger.debug('[Polls] Creating poll:', data);
       const result = await pollService.create(data);
 
       if (result.success) {
         setShowCreateModal(false);
         // Update cache
         setPollsCache(prev => ({ ...prev, [data.eventId]: result.data }));
-        console.log('[Polls] Poll created successfully');
+        logger.debug('[Polls] Poll created successfully');
       } else {
         setFormError(result.message || 'Failed to create poll');
-        console.error('[Polls] Failed to create poll:', result.message);
+        logger.error('[Polls] Failed to create poll:', result.message);
       }
     } catch (err) {
       setFormError('An unexpected error occurred');
-      console.error('[Polls] Error creating poll:', err);
+      logger.error('[Polls] Error creating poll:', err);
     } finally {
       setIsSubmitting(false);
     }
@@ -305,7 +292,7 @@ function Polls() {
     setFormError(null);
 
     try {
-      console.log('[Polls] Updating poll:', selectedPoll._id, data);
+      logger.debug('[Polls] Updating poll:', selectedPoll._id, data);
       const result = await pollService.update(selectedPoll._id, data);
 
       if (result.success) {
@@ -316,14 +303,14 @@ function Polls() {
         }
         setSelectedEvent(null);
         setSelectedPoll(null);
-        console.log('[Polls] Poll updated successfully');
+        logger.debug('[Polls] Poll updated successfully');
       } else {
         setFormError(result.message || 'Failed to update poll');
-        console.error('[Polls] Failed to update poll:', result.message);
+        logger.error('[Polls] Failed to update poll:', result.message);
       }
     } catch (err) {
       setFormError('An unexpected error occurred');
-      console.error('[Polls] Error updating poll:', err);
+      logger.error('[Polls] Error updating poll:', err);
     } finally {
       setIsSubmitting(false);
     }
@@ -336,7 +323,7 @@ function Polls() {
     setIsSubmitting(true);
 
     try {
-      console.log('[Polls] Deleting poll:', selectedPoll._id);
+      logger.debug('[Polls] Deleting poll:', selectedPoll._id);
       const result = await pollService.delete(selectedPoll._id);
 
       if (result.success) {
@@ -347,21 +334,24 @@ function Polls() {
         }
         setSelectedEvent(null);
         setSelectedPoll(null);
-        console.log('[Polls] Poll deleted successfully');
+        logger.debug('[Polls] Poll deleted successfully');
       } else {
-        setError(result.message || 'Failed to delete poll');
-        console.error('[Polls] Failed to delete poll:', result.message);
+        setActionError(result.message || 'Failed to delete poll');
+        logger.error('[Polls] Failed to delete poll:', result.message);
       }
     } catch (err) {
-      setError('An unexpected error occurred');
-      console.error('[Polls] Error deleting poll:', err);
+      setActionError('An unexpected error occurred');
+      logger.error('[Polls] Error deleting poll:', err);
     } finally {
       setIsSubmitting(false);
     }
   }, [selectedPoll, selectedEvent]);
 
   // Clear error
-  const clearError = useCallback(() => setError(null), []);
+  const clearError = useCallback(() => {
+    setActionError(null);
+    setDismissedErrorAt(eventsQuery.updatedAt);
+  }, [eventsQuery.updatedAt]);
 
   return (
     <div className="space-y-6">
@@ -459,7 +449,8 @@ function Polls() {
               <button
                 onClick={() => {
                   setSearchQuery('');
-                  fetchEvents(1);
+                  setActiveSearch('');
+                  setPage(1);
                 }}
                 className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-400 hover:text-gray-600"
               >
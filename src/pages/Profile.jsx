@@ -0,0 +1,342 @@
+import { useState } from 'react';
+import {
+  User,
+  Mail,
+  Phone,
+  Shield,
+  ShieldCheck,
+  ShieldOff,
+  KeyRound,
+  Loader2,
+  AlertCircle,
+  CheckCircle,
+} from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import twoFactorService from '../services/twoFactor.service';
+import Modal from '../components/ui/Modal';
+import TwoFactorSetup from '../components/twoFactor/TwoFactorSetup';
+import BackupCodes from '../components/twoFactor/BackupCodes';
+
+const ROLE_LABELS = {
+  SUPER_ADMIN: 'Super Admin',
+  ADMIN: 'Admin',
+  MANAGEMENT_STAFF: 'Management Staff',
+};
+
+/**
+ * Profile Component
+ * Current admin's account details and two-factor authentication settings
+ */
+function Profile() {
+  const { admin, refreshProfile } = useAuth();
+
+  // Modal: null | 'setup' | 'disable' | 'backup-codes'
+  const [activeModal, setActiveModal] = useState(null);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [newBackupCodes, setNewBackupCodes] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [modalError, setModalError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const isTwoFactorEnabled = !!admin?.twoFactorEnabled;
+
+  const openModal = (modal) => {
+    setPassword('');
+    setCode('');
+    setNewBackupCodes(null);
+    setModalError(null);
+    setSuccess(null);
+    setActiveModal(modal);
+  };
+
+  const closeModal = () => {
+    if (isSubmitting) return;
+    setActiveModal(null);
+  };
+
+  const handleSetupComplete = async () => {
+    setActiveModal(null);
+    setSuccess('Two-factor authentication enabled');
+    await refreshProfile();
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    setModalError(null);
+
+    if (!password || !/^\d{6}$/.test(code)) {
+      setModalError('Enter your password and the 6-digit code from your authenticator app');
+      return;
+    }
+
+    setIsSubmitting(true);
+    const result = await twoFactorService.disable({ password, code });
+    setIsSubmitting(false);
+
+    if (result.success) {
+      setActiveModal(null);
+      setSuccess('Two-factor authentication disabled');
+      await refreshProfile();
+    } else {
+      setModalError(result.message || 'Failed to disable two-factor authentication');
+    }
+  };
+
+  const handleRegenerateBackupCodes = async (e) => {
+    e.preventDefault();
+    setModalError(null);
+
+    if (!/^\d{6}$/.test(code)) {
+      setModalError('Enter the 6-digit code from your authenticator app');
+      return;
+    }
+
+    setIsSubmitting(true);
+    const result = await twoFactorService.regenerateBackupCodes(code);
+    setIsSubmitting(false);
+
+    if (result.success) {
+      setNewBackupCodes(result.data.backupCodes || []);
+    } else {
+      setModalError(result.message || 'Failed to generate backup codes');
+    }
+  };
+
+  const renderModalError = () =>
+    modalError && (
+      <div className="p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2">
+        <AlertCircle className="h-4 w-4 text-red-600 shrink-0 mt-0.5" />
+        <p className="text-sm text-red-700">{modalError}</p>
+      </div>
+    );
+
+  const renderCodeInput = () => (
+    <div>
+      <label htmlFor="profile-two-factor-code" className="block text-sm font-medium text-gray-700 mb-2">
+        Authenticator code
+      </label>
+      <input
+        id="profile-two-factor-code"
+        type="text"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        maxLength={6}
+        value={code}
+        onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+        className="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:border-gray-800 outline-none text-center tracking-[0.5em] font-mono"
+        placeholder="000000"
+        disabled={isSubmitting}
+      />
+    </div>
+  );
+
+  return (
+    <div className="px-2 sm:px-0 max-w-3xl">
+      {/* Header */}
+      <div className="mb-4 sm:mb-6">
+        <h1 className="text-xl sm:text-2xl font-semibold text-gray-900">My Profile</h1>
+        <p className="text-sm text-gray-500 mt-0.5 sm:mt-1">Your account details and sign-in security</p>
+      </div>
+
+      {success && (
+        <div className="bg-green-50 border border-green-200 rounded-xl p-3 sm:p-4 mb-4 sm:mb-6 flex items-center gap-3">
+          <CheckCircle className="h-5 w-5 text-green-600 flex-shrink-0" />
+          <p className="text-sm text-green-700 flex-1">{success}</p>
+          <button
+            onClick={() => setSuccess(null)}
+            className="text-green-600 hover:text-green-800 text-sm font-medium flex-shrink-0"
+          >
+            Dismiss
+          </button>
+        </div>
+      )}
+
+      {/* Account */}
+      <div className="bg-white rounded-xl shadow-sm p-4 sm:p-6 mb-4 sm:mb-6">
+        <h2 className="text-base font-semibold text-gray-900 mb-4">Account</h2>
+        <dl className="grid grid-cols-1 sm:grid-cols-2 gap-4 text-sm">
+          <div className="flex items-center gap-3">
+            <User className="h-4 w-4 text-gray-400" />
+            <div>
+              <dt className="text-gray-500">Name</dt>
+              <dd className="font-medium text-gray-900">
+                {admin?.name || '-'} <span className="text-gray-500 font-normal">@{admin?.username}</span>
+              </dd>
+            </div>
+          </div>
+          <div className="flex items-center gap-3">
+            <Shield className="h-4 w-4 text-gray-400" />
+            <div>
+              <dt className="text-gray-500">Role</dt>
+              <dd className="font-medium text-gray-900">{ROLE_LABELS[admin?.role] || admin?.role}</dd>
+            </div>
+          </div>
+          <div className="flex items-center gap-3">
+            <Mail className="h-4 w-4 text-gray-400" />
+            <div>
+              <dt className="text-gray-500">Email</dt>
+              <dd className="font-medium text-gray-900">{admin?.email || '-'}</dd>
+            </div>
+          </div>
+          <div className="flex items-center gap-3">
+            <Phone className="h-4 w-4 text-gray-400" />
+            <div>
+              <dt className="text-gray-500">Phone</dt>
+              <dd className="font-medium text-gray-900">{admin?.phone || '-'}</dd>
+            </div>
+          </div>
+        </dl>
+      </div>
+
+      {/* Two-Factor Authentication */}
+      <div className="bg-white rounded-xl shadow-sm p-4 sm:p-6">
+        <div className="flex flex-col sm:flex-row sm:items-start justify-between gap-4">
+          <div className="flex items-start gap-3">
+            <div
+              className={`w-10 h-10 rounded-full flex items-center justify-center shrink-0 ${
+                isTwoFactorEnabled ? 'bg-green-100 text-green-600' : 'bg-gray-100 text-gray-500'
+              }`}
+            >
+              {isTwoFactorEnabled ? <ShieldCheck className="h-5 w-5" /> : <ShieldOff className="h-5 w-5" />}
+            </div>
+            <div>
+              <h2 className="text-base font-semibold text-gray-900">Two-factor authentication</h2>
+              <p className="text-sm text-gray-500 mt-0.5">
+                {isTwoFactorEnabled
+                  ? 'On - a code from your authenticator app is required at sign in.'
+                  : 'Off - add a second step to sign in using an authenticator app.'}
+              </p>
+              {admin?.twoFactorRequired && (
+                <p className="text-xs text-gray-500 mt-1">Required for your role.</p>
+              )}
+            </div>
+          </div>
+
+          <div className="flex flex-wrap gap-2 shrink-0">
+            {isTwoFactorEnabled ? (
+              <>
+                <button
+                  onClick={() => openModal('backup-codes')}
+                  className="px-3 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors flex items-center gap-2 text-sm"
+                >
+                  <KeyRound className="h-4 w-4" />
+                  New Backup Codes
+                </button>
+                {!admin?.twoFactorRequired && (
+                  <button
+                    onClick={() => openModal('disable')}
+                    className="px-3 py-2 border border-red-200 text-red-600 rounded-lg hover:bg-red-50 transition-colors text-sm"
+                  >
+                    Disable
+                  </button>
+                )}
+              </>
+            ) : (
+              <button
+                onClick={() => openModal('setup')}
+                className="px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors flex items-center gap-2 text-sm"
+              >
+                <ShieldCheck className="h-4 w-4" />
+                Enable
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Setup Modal */}
+      <Modal
+        isOpen={activeModal === 'setup'}
+        onClose={closeModal}
+        title="Enable Two-Factor Authentication"
+        closeOnOverlayClick={false}
+      >
+        <TwoFactorSetup username={admin?.username} onComplete={handleSetupComplete} onCancel={closeModal} />
+      </Modal>
+
+      {/* Disable Modal */}
+      <Modal isOpen={activeModal === 'disable'} onClose={closeModal} title="Disable Two-Factor Authentication">
+        <form onSubmit={handleDisable} className="space-y-4">
+          {renderModalError()}
+          <div>
+            <label htmlFor="profile-password" className="block text-sm font-medium text-gray-700 mb-2">
+              Password
+            </label>
+            <input
+              id="profile-password"
+              type="password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:border-gray-800 outline-none"
+              disabled={isSubmitting}
+            />
+          </div>
+          {renderCodeInput()}
+          <div className="flex gap-3">
+            <button
+              type="button"
+              onClick={closeModal}
+              disabled={isSubmitting}
+              className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="flex-1 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors disabled:opacity-50 flex items-center justify-center gap-2"
+            >
+              {isSubmitting && <Loader2 className="h-4 w-4 animate-spin" />}
+              Disable
+            </button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Backup Codes Modal */}
+      <Modal isOpen={activeModal === 'backup-codes'} onClose={closeModal} title="New Backup Codes">
+        {newBackupCodes ? (
+          <div className="space-y-4">
+            <BackupCodes codes={newBackupCodes} username={admin?.username} />
+            <button
+              onClick={closeModal}
+              className="w-full px-4 py-2.5 bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors"
+            >
+              Done
+            </button>
+          </div>
+        ) : (
+          <form onSubmit={handleRegenerateBackupCodes} className="space-y-4">
+            {renderModalError()}
+            <p className="text-sm text-gray-600">
+              Generating new backup codes invalidates your existing ones.
+            </p>
+            {renderCodeInput()}
+            <div className="flex gap-3">
+              <button
+                type="button"
+                onClick={closeModal}
+                disabled={isSubmitting}
+                className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="flex-1 px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors disabled:opacity-50 flex items-center justify-center gap-2"
+              >
+                {isSubmitting && <Loader2 className="h-4 w-4 animate-spin" />}
+                Generate
+              </button>
+            </div>
+          </form>
+        )}
+      </Modal>
+    </div>
+  );
+}
+
+export default Profile;
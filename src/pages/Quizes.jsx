@@ -26,6 +26,7 @@ import SOSProgramForm from '../components/challenges/SOSProgramForm';
 import SOSProgramDetailsModal from '../components/challenges/SOSProgramDetailsModal';
 import ConfirmDialog from '../components/ui/ConfirmDialog';
 import Pagination from '../components/ui/Pagination';
+import logger from '../utils/logger';
 
 /**
  * Status badge colors
@@ -144,7 +145,7 @@ function Quizes() {
           alert(result.error || 'Failed to load quiz details');
         }
       } catch (err) {
-        console.error('[Quizes] Failed to load quiz for edit:', err);
+        logger.error('[Quizes] Failed to load quiz for edit:', err);
         alert('An unexpected error occurred');
       } finally {
         setQuizDetailsLoading(false);
@@ -177,7 +178,7 @@ function Quizes() {
           return { success: false };
         }
       } catch (err) {
-        console.error('[Quizes] Form submission error:', err);
+        logger.error('[Quizes] Form submission error:', err);
         setFormError('An unexpected error occurred');
         return { success: false };
       } finally {
@@ -198,7 +199,7 @@ function Quizes() {
           setSelectedQuiz(result.data);
         }
       } catch (err) {
-        console.error('[Quizes] Failed to fetch details:', err);
+        logger.error('[Quizes] Failed to fetch details:', err);
       } finally {
         setQuizDetailsLoading(false);
       }
@@ -232,7 +233,7 @@ function Quizes() {
         alert(result.error || 'Failed to delete quiz');
       }
     } catch (err) {
-      console.error('[Quizes] Delete error:', err);
+      logger.error('[Quizes] Delete error:', err);
       alert('An unexpected error occurred');
     } finally {
       setIsSubmitting(false);
@@ -279,7 +280,7 @@ function Quizes() {
           alert(result.error || 'Failed to load program details');
         }
       } catch (err) {
-        console.error('[Quizes] Failed to load program for edit:', err);
+        logger.error('[Quizes] Failed to load program for edit:', err);
         alert('An unexpected error occurred');
       } finally {
         setProgramDetailsLoading(false);
@@ -312,7 +313,7 @@ function Quizes() {
           return { success: false };
         }
       } catch (err) {
-        console.error('[Quizes] Form submission error:', err);
+        logger.error('[Quizes] Form submission error:', err);
         setFormError('An unexpected error occurred');
         return { success: false };
       } finally {
@@ -333,7 +334,7 @@ function Quizes() {
           setSelectedProgram(result.data);
         }
       } catch (err) {
-        console.error('[Quizes] Failed to fetch program details:', err);
+        logger.error('[Quizes] Failed to fetch program details:', err);
       } finally {
         setProgramDetailsLoading(false);
       }
@@ -355,7 +356,7 @@ function Quizes() {
           alert(result.error || 'Failed to update program status');
         }
       } catch (err) {
-        console.error('[Quizes] Toggle status error:', err);
+        logger.error('[Quizes] Toggle status error:', err);
         alert('An unexpected error occurred');
       } finally {
         setIsSubmitting(false);
@@ -385,7 +386,7 @@ function Quizes() {
         alert(result.error || 'Failed to delete program');
       }
     } catch (err) {
-      console.error('[Quizes] Delete error:', err);
+      logger.error('[Quizes] Delete error:', err);
       alert('An unexpected error occurred');
     } finally {
       setIsSubmitting(false);
@@ -1,26 +1,19 @@
 import { useState, useEffect, useCallback } from 'react';
 import { Plus, RefreshCw, AlertCircle, Trash2, Loader2, X, Tag } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import { MANAGER_ROLES } from '../utils/permissions';
 import recommendationService from '../services/recommendation.service';
 import ConfirmDialog from '../components/ui/ConfirmDialog';
 import Pagination from '../components/ui/Pagination';
 import Modal from '../components/ui/Modal';
+import { formatDateTime } from '../utils/dates';
 
 const MAX_WORDS = 50;
 const MAX_TAGS = 3;
 
 const countWords = (text = '') => text.trim().split(/\s+/).filter(Boolean).length;
 
-const formatDate = (iso) =>
-  iso
-    ? new Date(iso).toLocaleString('en-IN', {
-        day: 'numeric',
-        month: 'short',
-        year: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit',
-      })
-    : '—';
+const formatDate = (iso) => formatDateTime(iso);
 
 /**
  * Recommendations management page.
@@ -28,8 +21,8 @@ const formatDate = (iso) =>
  */
 function Recommendations() {
   const { hasRole } = useAuth();
-  const canCreate = hasRole(['SUPER_ADMIN', 'ADMIN']);
-  const canDelete = hasRole(['SUPER_ADMIN', 'ADMIN']);
+  const canCreate = hasRole(MANAGER_ROLES);
+  const canDelete = hasRole(MANAGER_ROLES);
 
   const [recommendations, setRecommendations] = useState([]);
   const [tags, setTags] = useState([]);
@@ -0,0 +1,102 @@
+import { useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { Loader2, AlertCircle, ArrowLeft } from 'lucide-react';
+import authService from '../services/auth.service';
+import useQuery from '../hooks/useQuery';
+import AuthLayout from '../components/auth/AuthLayout';
+import SetPasswordForm from '../components/auth/SetPasswordForm';
+import logger from '../utils/logger';
+
+/**
+ * ResetPassword Page
+ * Lands from the emailed reset link and sets a new password
+ */
+function ResetPassword() {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  // Links are single-use, so always ask the server rather than the cache
+  const tokenQuery = useQuery(['auth', 'resetToken', token], () => authService.verifyResetToken(token), {
+    staleTime: 0,
+  });
+  const account = tokenQuery.data?.admin;
+
+  const handleSubmit = async (password) => {
+    setError('');
+    setIsSubmitting(true);
+    try {
+      const result = await authService.resetPassword(token, password);
+      if (result.success) {
+        navigate('/login', { replace: true, state: { notice: 'password-reset', username: account?.username } });
+      } else {
+        setError(result.error || 'Could not reset your password. Please try again.');
+      }
+    } catch (err) {
+      logger.error('[ResetPassword] Unexpected error:', err);
+      setError('An unexpected error occurred. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <AuthLayout subtitle="Choose a new password">
+      {tokenQuery.isLoading ? (
+        <div className="py-8 flex flex-col items-center">
+          <Loader2 className="h-8 w-8 text-gray-800 animate-spin" />
+          <p className="mt-2 text-sm text-gray-500">Checking your reset link...</p>
+        </div>
+      ) : tokenQuery.error ? (
+        <div className="text-center">
+          <AlertCircle className="h-12 w-12 text-red-400 mx-auto mb-4" />
+          <h2 className="text-lg font-semibold text-gray-900 mb-2">This link no longer works</h2>
+          <p className="text-sm text-gray-600">
+            Reset links expire after an hour and can only be used once. Request a new one to continue.
+          </p>
+          <Link
+            to="/forgot-password"
+            className="mt-6 inline-block px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors text-sm"
+          >
+            Request a new link
+          </Link>
+        </div>
+      ) : (
+        <div>
+          {account && (
+            <p className="text-sm text-gray-600 mb-6">
+              Setting a new password for <span className="font-medium text-gray-900">@{account.username}</span>.
+            </p>
+          )}
+
+          {error && (
+            <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start gap-3">
+              <AlertCircle className="h-5 w-5 text-red-600 shrink-0 mt-0.5" />
+              <p className="text-sm text-red-700">{error}</p>
+            </div>
+          )}
+
+          <SetPasswordForm
+            onSubmit={handleSubmit}
+            isSubmitting={isSubmitting}
+            submitLabel="Reset Password"
+            username={account?.username}
+          />
+
+          <div className="mt-6 text-center">
+            <Link
+              to="/login"
+              className="inline-flex items-center gap-1 text-sm text-gray-600 hover:text-gray-900"
+            >
+              <ArrowLeft className="h-4 w-4" />
+              Back to login
+            </Link>
+          </div>
+        </div>
+      )}
+    </AuthLayout>
+  );
+}
+
+export default ResetPassword;
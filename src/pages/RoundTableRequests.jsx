@@ -20,6 +20,11 @@ import StatsCards from '../components/requests/StatsCards';
 import ApproveModal from '../components/requests/ApproveModal';
 import RejectModal from '../components/requests/RejectModal';
 import RequestDetailsModal from '../components/requests/RequestDetailsModal';
+import NewItemsNotifier from '../components/NewItemsNotifier';
+import useLocationState from '../hooks/useLocationState';
+import { REALTIME_EVENTS } from '../utils/realtime';
+import logger from '../utils/logger';
+import { DATE_OPTIONS, formatDate as formatOrgDate } from '../utils/dates';
 
 /**
  * RoundTableRequests Page Component
@@ -91,7 +96,7 @@ function RoundTableRequests() {
         setStats(result.data);
       }
     } catch (err) {
-      console.error('Failed to fetch stats:', err);
+      logger.error('Failed to fetch stats:', err);
     } finally {
       setStatsLoading(false);
     }
@@ -135,6 +140,9 @@ function RoundTableRequests() {
     setShowDetailsModal(true);
   };
 
+  // Request picked in the notification center
+  useLocationState('openRecord', handleViewDetails);
+
   /**
    * Handle approve request
    */
@@ -180,17 +188,19 @@ function RoundTableRequests() {
   /**
    * Format date for display
    */
-  const formatDate = (dateString) => {
-    if (!dateString) return 'N/A';
-    return new Date(dateString).toLocaleDateString('en-IN', {
-      day: 'numeric',
-      month: 'short',
-      year: 'numeric',
-    });
-  };
+  const formatDate = (dateString) => formatOrgDate(dateString, DATE_OPTIONS, 'N/A');
 
   return (
     <div className="p-6 space-y-6">
+      <NewItemsNotifier
+        events={[REALTIME_EVENTS.ROUND_TABLE_REQUEST_CREATED]}
+        itemLabel="round table requests"
+        onShow={() => {
+          fetchRequests();
+          fetchStats();
+        }}
+      />
+
       {/* Header */}
       <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
         <div>
@@ -448,6 +458,7 @@ function RoundTableRequests() {
           onApprove={handleApproveClick}
           onReject={handleRejectClick}
           title="Round Table Request Details"
+          entityType="ROUND_TABLE_REQUEST"
         />
       )}
     </div>
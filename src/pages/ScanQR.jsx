@@ -1,9 +1,22 @@
 import { useState, useEffect, useRef, Component, memo } from 'react';
 import { createPortal } from 'react-dom';
+import { useNavigate } from 'react-router-dom';
 import { Html5Qrcode } from 'html5-qrcode';
 import { toast } from 'react-toastify';
-import { MdQrCodeScanner, MdCameraswitch, MdClose, MdCheckCircle, MdContentCopy, MdWarning, MdCardGiftcard } from 'react-icons/md';
+import { MdQrCodeScanner, MdCameraswitch, MdFullscreen, MdClose, MdCheckCircle, MdContentCopy, MdWarning, MdCardGiftcard } from 'react-icons/md';
 import { FaCamera, FaCameraRetro } from 'react-icons/fa';
+import useTicketReshare from '../hooks/useTicketReshare';
+import useOfflineCheckIn from '../hooks/useOfflineCheckIn';
+import useScannerGate from '../hooks/useScannerGate';
+import OfflineCheckInPanel from '../components/scanner/OfflineCheckInPanel';
+import ManualCheckInPanel from '../components/scanner/ManualCheckInPanel';
+import ScannerGatePanel from '../components/scanner/ScannerGatePanel';
+import KioskSetupModal from '../components/scanner/KioskSetupModal';
+import logger from '../utils/logger';
+import { scannerStorage } from '../utils/storage';
+import { enterFullscreen, lockKiosk, unlockKioskAudio } from '../utils/kiosk';
+import { formatDate, formatDateTime, formatTime } from '../utils/dates';
+import { SCAN_KINDS, SCAN_KIND_LABELS, parseScanPayload } from '../utils/scanResults';
 
 /**
  * Error Boundary to catch and handle scanner errors
@@ -19,7 +32,7 @@ class ScannerErrorBoundary extends Component {
   }
 
   componentDidCatch(error, errorInfo) {
-    console.error('Scanner Error:', error, errorInfo);
+    logger.error('Scanner Error:', error, errorInfo);
   }
 
   render() {
@@ -51,13 +64,13 @@ const ScannerContainer = memo(({ scannerContainerId }) => {
   const placeholderRef = useRef(null);
 
   useEffect(() => {
-    console.log('[ScannerContainer] Mounted ONCE', {
+    logger.debug('[ScannerContainer] Mounted ONCE', {
       scannerContainerId,
       containerExists: !!document.getElementById(scannerContainerId),
     });
 
     return () => {
-      console.log('[ScannerContainer] Unmounting (should only happen on page leave)', {
+      logger.debug('[ScannerContainer] Unmounting (should only happen on page leave)', {
         scannerContainerId,
       });
     };
@@ -105,6 +118,8 @@ function ScanQR() {
   const [isVerified, setIsVerified] = useState(false);
   const [validationStatus, setValidationStatus] = useState(null); // API validation response
   const [isValidating, setIsValidating] = useState(false);
+  const [checkingInId, setCheckingInId] = useState(null);
+  const [isKioskSetupOpen, setIsKioskSetupOpen] = useState(false);
 
   const html5QrCodeRef = useRef(null);
   const scannerContainerId = useRef(`qr-scanner-${Date.now()}`).current; // Unique ID per component instance
@@ -112,9 +127,16 @@ function ScanQR() {
   const isMountedRef = useRef(true);
   const scanAttemptCountRef = useRef(0);
 
+  // Ticket holders of the manual lookup's event
+  const lookup = useTicketReshare();
+  const { events } = lookup;
+  const offline = useOfflineCheckIn();
+  const scannerGate = useScannerGate();
+  const navigate = useNavigate();
+
   // Log state changes
   useEffect(() => {
-    console.log('[ScanQR] State changed:', {
+    logger.debug('[ScanQR] State changed:', {
       isScanning,
       isLoading,
       permissionStatus,
@@ -125,7 +147,7 @@ function ScanQR() {
 
   // Check environment on mount
   useEffect(() => {
-    console.log('[ScanQR] Component mounted', { scannerContainerId });
+    logger.debug('[ScanQR] Component mounted', { scannerContainerId });
 
     // Check if HTTPS
     const isSecure = window.location.protocol === 'https:' || window.location.hostname === 'localhost';
@@ -138,7 +160,7 @@ function ScanQR() {
     isMountedRef.current = true;
 
     return () => {
-      console.log('[ScanQR] Component unmounting', {
+      logger.debug('[ScanQR] Component unmounting', {
         scannerContainerId,
         hasScanner: !!html5QrCodeRef.current,
         isCleaningUp: isCleaningUpRef.current,
@@ -154,16 +176,16 @@ function ScanQR() {
 
         try {
           const state = scanner.getState();
-          console.log('[ScanQR] Unmount cleanup - scanner state:', state);
+          logger.debug('[ScanQR] Unmount cleanup - scanner state:', state);
 
           if (state === 2) { // SCANNING
             // Don't wait for stop, just try to stop
             scanner.stop().catch((err) => {
-              console.log('[ScanQR] Unmount stop error:', err.message);
+              logger.debug('[ScanQR] Unmount stop error:', err.message);
             });
           }
         } catch (err) {
-          console.log('[ScanQR] Unmount cleanup error:', err.message);
+          logger.debug('[ScanQR] Unmount cleanup error:', err.message);
         }
 
         html5QrCodeRef.current = null;
@@ -171,7 +193,7 @@ function ScanQR() {
         // Clear the container manually
         setTimeout(() => {
           const container = document.getElementById(scannerContainerId);
-          console.log('[ScanQR] Clearing container after unmount:', {
+          logger.debug('[ScanQR] Clearing container after unmount:', {
             containerExists: !!container,
             children: container?.children.length || 0,
           });
@@ -208,7 +230,7 @@ function ScanQR() {
         return false;
       }
     } catch (error) {
-      console.error('Error getting cameras:', error);
+      logger.error('Error getting cameras:', error);
       handleCameraError(error);
       return false;
     }
@@ -218,7 +240,7 @@ function ScanQR() {
    * Handle camera errors with mobile-specific messages
    */
   const handleCameraError = (error) => {
-    console.error('Camera error:', error);
+    logger.error('Camera error:', error);
 
     const errorName = error.name || '';
     const errorMsg = error.message || '';
@@ -284,7 +306,7 @@ function ScanQR() {
           }
         });
       } catch (envError) {
-        console.log('Environment camera failed, trying any camera:', envError);
+        logger.debug('Environment camera failed, trying any camera:', envError);
         // Fall back to any available camera
         stream = await navigator.mediaDevices.getUserMedia({
           video: true
@@ -303,7 +325,7 @@ function ScanQR() {
       }
       return false;
     } catch (error) {
-      console.error('Camera permission error:', error);
+      logger.error('Camera permission error:', error);
       handleCameraError(error);
 
       if (error.name === 'NotAllowedError') {
@@ -321,7 +343,7 @@ function ScanQR() {
    * Start the QR scanner - with improved mobile support
    */
   const startScanner = async () => {
-    console.log('[startScanner] Called', {
+    logger.debug('[startScanner] Called', {
       availableCameras: availableCameras.length,
       isScanning,
       isLoading,
@@ -344,7 +366,7 @@ function ScanQR() {
     try {
       // Ensure container exists in DOM
       const container = document.getElementById(scannerContainerId);
-      console.log('[startScanner] Container check', {
+      logger.debug('[startScanner] Container check', {
         containerExists: !!container,
         containerChildren: container?.children.length || 0,
         containerHTML: container?.innerHTML.substring(0, 100),
@@ -358,7 +380,7 @@ function ScanQR() {
 
       // Clear any existing scanner properly
       if (html5QrCodeRef.current && !isCleaningUpRef.current) {
-        console.log('[startScanner] Stopping existing scanner');
+        logger.debug('[startScanner] Stopping existing scanner');
         await stopScanner();
         // Wait for cleanup to complete
         await new Promise(resolve => setTimeout(resolve, 300));
@@ -366,7 +388,7 @@ function ScanQR() {
 
       // Clear any leftover HTML from previous scanner instance
       const leftoverElements = container.querySelectorAll('video, canvas, #qr-shaded-region');
-      console.log('[startScanner] Clearing leftover elements', {
+      logger.debug('[startScanner] Clearing leftover elements', {
         count: leftoverElements.length,
         types: Array.from(leftoverElements).map(el => el.tagName),
       });
@@ -374,23 +396,23 @@ function ScanQR() {
       leftoverElements.forEach(el => {
         try {
           if (el.parentNode === container) {
-            console.log('[startScanner] Removing element:', el.tagName, el.id);
+            logger.debug('[startScanner] Removing element:', el.tagName, el.id);
             el.remove();
           }
         } catch (e) {
-          console.log('[startScanner] Error removing leftover element:', e.message);
+          logger.debug('[startScanner] Error removing leftover element:', e.message);
         }
       });
 
       // Check if still mounted
       if (!isMountedRef.current) {
-        console.log('[startScanner] Component unmounted, aborting');
+        logger.debug('[startScanner] Component unmounted, aborting');
         setIsLoading(false);
         return;
       }
 
       // Create new scanner instance
-      console.log('[startScanner] Creating new Html5Qrcode instance');
+      logger.debug('[startScanner] Creating new Html5Qrcode instance');
       const html5QrCode = new Html5Qrcode(scannerContainerId);
       html5QrCodeRef.current = html5QrCode;
 
@@ -407,7 +429,7 @@ function ScanQR() {
         ? selectedCamera
         : { facingMode: 'environment' };
 
-      console.log('[startScanner] Starting scanner with config', { cameraConfig, config });
+      logger.debug('[startScanner] Starting scanner with config', { cameraConfig, config });
 
       await html5QrCode.start(
         cameraConfig,
@@ -416,7 +438,7 @@ function ScanQR() {
         onScanFailure
       );
 
-      console.log('[startScanner] Scanner started successfully', {
+      logger.debug('[startScanner] Scanner started successfully', {
         containerChildren: container.children.length,
         hasVideo: !!container.querySelector('video'),
         hasCanvas: !!container.querySelector('canvas'),
@@ -424,7 +446,7 @@ function ScanQR() {
 
       // Check if still mounted after async operation
       if (!isMountedRef.current) {
-        console.log('[startScanner] Component unmounted after start, stopping');
+        logger.debug('[startScanner] Component unmounted after start, stopping');
         await html5QrCode.stop().catch(() => {});
         return;
       }
@@ -432,7 +454,7 @@ function ScanQR() {
       // Hide placeholder via direct DOM manipulation (no React re-render)
       const placeholder = container.querySelector('[data-placeholder="true"]');
       if (placeholder) {
-        console.log('[startScanner] Hiding placeholder via DOM');
+        logger.debug('[startScanner] Hiding placeholder via DOM');
         placeholder.style.display = 'none';
       }
 
@@ -446,9 +468,9 @@ function ScanQR() {
       setIsScanning(true);
       setPermissionStatus('granted');
       toast.info('Scanner started. Point camera at a QR code.');
-      console.log('[startScanner] ✅ Scanner ready - point camera at QR code');
+      logger.debug('[startScanner] ✅ Scanner ready - point camera at QR code');
     } catch (error) {
-      console.error('Error starting scanner:', error);
+      logger.error('Error starting scanner:', error);
 
       // Try fallback with just facingMode if camera ID failed
       if (selectedCamera && error.message?.includes('Unable to start')) {
@@ -468,7 +490,7 @@ function ScanQR() {
           toast.info('Scanner started.');
           return;
         } catch (fallbackError) {
-          console.error('Fallback also failed:', fallbackError);
+          logger.error('Fallback also failed:', fallbackError);
         }
       }
 
@@ -483,14 +505,14 @@ function ScanQR() {
    * Stop the QR scanner
    */
   const stopScanner = async () => {
-    console.log('[stopScanner] Called', {
+    logger.debug('[stopScanner] Called', {
       hasScanner: !!html5QrCodeRef.current,
       isCleaningUp: isCleaningUpRef.current,
       isMounted: isMountedRef.current,
     });
 
     if (!html5QrCodeRef.current || isCleaningUpRef.current) {
-      console.log('[stopScanner] Early return - no scanner or already cleaning');
+      logger.debug('[stopScanner] Early return - no scanner or already cleaning');
       setIsScanning(false);
       return;
     }
@@ -500,13 +522,13 @@ function ScanQR() {
     try {
       const scanner = html5QrCodeRef.current;
       const state = scanner.getState();
-      console.log('[stopScanner] Scanner state:', state);
+      logger.debug('[stopScanner] Scanner state:', state);
 
       // Only stop if scanner is actually running
       if (state === 2) { // State 2 = SCANNING
-        console.log('[stopScanner] Stopping scanner...');
+        logger.debug('[stopScanner] Stopping scanner...');
         await scanner.stop();
-        console.log('[stopScanner] Scanner stopped successfully');
+        logger.debug('[stopScanner] Scanner stopped successfully');
 
         // Give it time to fully stop
         if (isMountedRef.current) {
@@ -514,7 +536,7 @@ function ScanQR() {
         }
       }
     } catch (error) {
-      console.error('[stopScanner] Error stopping scanner:', error);
+      logger.error('[stopScanner] Error stopping scanner:', error);
 
       // If error occurs, try to manually stop video tracks
       try {
@@ -522,15 +544,15 @@ function ScanQR() {
         if (container) {
           const video = container.querySelector('video');
           if (video && video.srcObject) {
-            console.log('[stopScanner] Manually stopping video tracks');
+            logger.debug('[stopScanner] Manually stopping video tracks');
             video.srcObject.getTracks().forEach(track => track.stop());
           }
         }
       } catch (e) {
-        console.log('[stopScanner] Could not stop video tracks:', e.message);
+        logger.debug('[stopScanner] Could not stop video tracks:', e.message);
       }
     } finally {
-      console.log('[stopScanner] Cleanup - setting refs to null');
+      logger.debug('[stopScanner] Cleanup - setting refs to null');
       html5QrCodeRef.current = null;
       isCleaningUpRef.current = false;
 
@@ -539,7 +561,7 @@ function ScanQR() {
       if (container) {
         const placeholder = container.querySelector('[data-placeholder="true"]');
         if (placeholder) {
-          console.log('[stopScanner] Showing placeholder via DOM');
+          logger.debug('[stopScanner] Showing placeholder via DOM');
           placeholder.style.display = 'flex';
         }
         container.classList.remove('bg-black');
@@ -553,134 +575,12 @@ function ScanQR() {
   };
 
   /**
-   * Validate regular ticket (online purchase)
-   */
-  const validateRegularTicket = async (params) => {
-    const { enrollmentId, eventId, phone, userId } = params;
-    const queryParams = new URLSearchParams({
-      enrollmentId,
-      eventId,
-      phone,
-      ...(userId && { userId }),
-    });
-
-    const response = await fetch(
-      `${import.meta.env.VITE_API_BASE_URL}/app/tickets/qr-scan?${queryParams}`,
-      {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${localStorage.getItem('token')}`,
-        },
-      }
-    );
-
-    const result = await response.json();
-    console.log('[validateRegularTicket] API Response:', result);
-
-    // For regular tickets, "already scanned" comes as a 400 error with message
-    if (!response.ok) {
-      const isAlreadyScanned = result.message?.toLowerCase().includes('already been scanned');
-      // Try to extract scannedAt timestamp from message like "...scanned at 2023-12-01T10:30:00.000Z"
-      let scannedAt = null;
-      if (isAlreadyScanned && result.message) {
-        const match = result.message.match(/scanned at (.+)$/i);
-        if (match && match[1]) {
-          scannedAt = match[1];
-        }
-      }
-      return {
-        ...result,
-        status: response.status,
-        ticketType: 'regular',
-        data: {
-          ...result.data,
-          isValid: !isAlreadyScanned,
-          isAlreadyScanned,
-          scannedAt,
-        },
-      };
-    }
-
-    return {
-      ...result,
-      status: response.status,
-      ticketType: 'regular',
-      data: {
-        ...result.data,
-        isValid: true,
-        isAlreadyScanned: false,
-      },
-    };
-  };
-
-  /**
-   * Validate cash ticket (kiosk purchase)
+   * Validate a scanned code - live, or offline for tickets
    */
-  const validateCashTicket = async (params) => {
-    const { enrollmentId, eventId, phone, userId } = params;
-    const queryParams = new URLSearchParams({
-      enrollmentId,
-      eventId,
-      phone,
-      ...(userId && { userId }),
-    });
-
-    const response = await fetch(
-      `${import.meta.env.VITE_API_BASE_URL}/app/tickets/cash/qr-scan?${queryParams}`,
-      {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${localStorage.getItem('token')}`,
-        },
-      }
-    );
-
-    const result = await response.json();
-    console.log('[validateCashTicket] API Response:', result);
-
-    return {
-      ...result,
-      status: response.status,
-      ticketType: 'cash',
-    };
-  };
-
-  /**
-   * Validate ticket with backend API - tries both regular and cash endpoints
-   */
-  const validateTicket = async (params) => {
+  const validateScan = async (payload) => {
     setIsValidating(true);
-
     try {
-      // Try regular ticket first
-      console.log('[validateTicket] Trying regular ticket endpoint...');
-      const regularResult = await validateRegularTicket(params);
-
-      // If regular ticket found (status 200 or 400 with "already scanned")
-      if (regularResult.status === 200 || regularResult.data?.isAlreadyScanned) {
-        console.log('[validateTicket] Regular ticket validated');
-        return regularResult;
-      }
-
-      // If not found (404), try cash ticket
-      if (regularResult.status === 404) {
-        console.log('[validateTicket] Regular ticket not found, trying cash ticket...');
-        const cashResult = await validateCashTicket(params);
-        return cashResult;
-      }
-
-      // Return regular result for other errors
-      return regularResult;
-    } catch (error) {
-      console.error('[validateTicket] API Error:', error);
-      return {
-        status: 500,
-        message: 'Failed to validate ticket',
-        error: error.message,
-        data: null,
-      };
+      return await offline.validateScan(payload);
     } finally {
       setIsValidating(false);
     }
@@ -690,135 +590,47 @@ function ScanQR() {
    * Handle successful QR scan
    */
   const onScanSuccess = async (decodedText, decodedResult) => {
-    console.log('[onScanSuccess] QR Code scanned:', decodedText);
+    logger.debug('[onScanSuccess] QR Code scanned:', decodedText);
     setScannedResult(decodedText);
 
-    let parsedData = null;
-
-    // Try to parse as URL and extract parameters
-    try {
-      const url = new URL(decodedText);
-      const params = {};
-
-      // Extract all URL parameters
-      url.searchParams.forEach((value, key) => {
-        params[key] = value;
-      });
-
-      parsedData = {
-        type: 'url',
-        fullUrl: decodedText,
-        protocol: url.protocol,
-        host: url.host,
-        pathname: url.pathname,
-        parameters: params,
-        hash: url.hash || null,
-      };
+    const payload = parseScanPayload(decodedText);
+    logger.debug('[onScanSuccess] Parsed payload:', payload);
+    setExtractedParams(payload);
 
-      console.log('[onScanSuccess] ✅ URL detected!');
-      console.log('[onScanSuccess] Full URL:', decodedText);
-      console.log('[onScanSuccess] Protocol:', url.protocol);
-      console.log('[onScanSuccess] Host:', url.host);
-      console.log('[onScanSuccess] Pathname:', url.pathname);
-      console.log('[onScanSuccess] Parameters:', params);
-
-      // Log each parameter individually
-      if (Object.keys(params).length > 0) {
-        console.log('[onScanSuccess] 📋 Extracted Parameters:');
-        Object.entries(params).forEach(([key, value]) => {
-          console.log(`  ├─ ${key}: ${value}`);
-        });
-      } else {
-        console.log('[onScanSuccess] ℹ️ No parameters found in URL');
-      }
+    let scanResult = null;
 
-      // Also log hash if present
-      if (url.hash) {
-        console.log('[onScanSuccess] Hash:', url.hash);
-      }
-    } catch (error) {
-      // Not a valid URL - treat as plain text
-      console.log('[onScanSuccess] ℹ️ Not a URL, just plain text:', decodedText);
-      parsedData = {
-        type: 'text',
-        text: decodedText,
-      };
-    }
+    if (payload.kind !== SCAN_KINDS.OTHER) {
+      toast.info(`🔍 Validating ${SCAN_KIND_LABELS[payload.kind].toLowerCase()}...`);
 
-    // Store extracted data
-    setExtractedParams(parsedData);
-
-    // Validate with API if we have required ticket parameters
-    // Check for enrollmentId (or id), eventId, and phone
-    let apiResponse = null;
-    const params = parsedData.parameters || {};
-    const enrollmentId = params.enrollmentId || params.id;
-    const hasRequiredParams = enrollmentId && params.eventId && params.phone;
-
-    if (parsedData.type === 'url' && hasRequiredParams) {
-      console.log('[onScanSuccess] Validating ticket with API...', {
-        enrollmentId,
-        eventId: params.eventId,
-        phone: params.phone,
-        userId: params.userId,
-      });
-      toast.info('🔍 Validating ticket...');
+      scanResult = await validateScan(payload);
+      logger.debug('[onScanSuccess] Scan result:', scanResult);
+      setValidationStatus(scanResult);
 
-      apiResponse = await validateTicket({
-        enrollmentId,
-        eventId: params.eventId,
-        phone: params.phone,
-        userId: params.userId,
-      });
-      console.log('[onScanSuccess] Full API Response:', JSON.stringify(apiResponse, null, 2));
-      setValidationStatus(apiResponse);
-
-      // Check if the ticket is valid (200 for success, or already scanned detection)
-      const isSuccessOrAlreadyScanned = apiResponse.status === 200 || apiResponse.data?.isAlreadyScanned;
-      if (isSuccessOrAlreadyScanned) {
-        console.log('[onScanSuccess] API Data:', {
-          message: apiResponse.message,
-          isValid: apiResponse.data?.isValid,
-          isAlreadyScanned: apiResponse.data?.isAlreadyScanned,
-          ticketType: apiResponse.ticketType,
-          enrollment: apiResponse.data?.enrollment?.name,
-        });
-
-        // Check if already scanned - data field is now normalized by validateTicket
-        const isAlreadyScanned = apiResponse.data?.isAlreadyScanned === true;
-
-        if (isAlreadyScanned) {
-          console.log('[onScanSuccess] ⚠️ Ticket already scanned!');
-          toast.warning('⚠️ This ticket was already scanned!', { autoClose: 5000 });
-          if (navigator.vibrate) {
-            navigator.vibrate([100, 50, 100, 50, 100]); // Triple short vibration for warning
-          }
-          setIsVerified(true); // Still show the info, but with warning styling
-        } else if (apiResponse.data?.isValid === true) {
-          console.log('[onScanSuccess] ✅ First time scan - Valid!');
-          toast.success('✅ Ticket Verified - First Scan!');
-          if (navigator.vibrate) {
-            navigator.vibrate([200, 100, 200]); // Double vibration for success
-          }
-          setIsVerified(true);
-        } else {
-          console.log('[onScanSuccess] ❌ Invalid ticket!');
-          toast.error('❌ Invalid Ticket!');
-          if (navigator.vibrate) {
-            navigator.vibrate([300, 100, 300]); // Long vibration for error
-          }
-          setIsVerified(false);
+      if (scanResult.isAlreadyScanned) {
+        logger.debug('[onScanSuccess] ⚠️ Already scanned!');
+        toast.warning('⚠️ This ticket was already scanned!', { autoClose: 5000 });
+        if (navigator.vibrate) {
+          navigator.vibrate([100, 50, 100, 50, 100]); // Triple short vibration for warning
         }
+        setIsVerified(true); // Still show the info, but with warning styling
+      } else if (scanResult.isValid) {
+        logger.debug('[onScanSuccess] ✅ First time scan - Valid!');
+        toast.success(`✅ ${SCAN_KIND_LABELS[scanResult.kind]} Verified!`);
+        if (navigator.vibrate) {
+          navigator.vibrate([200, 100, 200]); // Double vibration for success
+        }
+        setIsVerified(true);
       } else {
-        console.log('[onScanSuccess] ❌ API Error or Invalid Response');
-        toast.error('❌ Failed to validate ticket!');
+        logger.debug('[onScanSuccess] ❌ Rejected:', scanResult.message);
+        toast.error(`❌ ${scanResult.message || 'Invalid Ticket!'}`);
         if (navigator.vibrate) {
-          navigator.vibrate([300, 100, 300]);
+          navigator.vibrate([300, 100, 300]); // Long vibration for error
         }
         setIsVerified(false);
       }
     } else {
-      // No API validation needed for non-ticket QR codes
+      // No API validation needed for codes we didn't issue
+      setValidationStatus(null);
       setIsVerified(true);
       toast.success('✅ QR Code Scanned!');
       if (navigator.vibrate) {
@@ -827,16 +639,62 @@ function ScanQR() {
     }
 
     // Add to history
-    setScanHistory(prev => [{
+    addToHistory({
       text: decodedText,
-      timestamp: new Date(),
-      format: decodedResult?.result?.format?.formatName || 'QR_CODE'
-    }, ...prev.slice(0, 9)]); // Keep last 10 scans
+      format: decodedResult?.result?.format?.formatName || 'QR_CODE',
+      isOffline: !!scanResult?.isOffline,
+    });
 
     // Stop scanning after successful scan
     stopScanner();
   };
 
+  const addToHistory = (entry) => {
+    // The gate is read from storage, as the scanner keeps the callback it started with
+    const gateName = scannerStorage.getGate()?.gateName || null;
+    setScanHistory(prev => [{ ...entry, gateName, timestamp: new Date() }, ...prev.slice(0, 9)]); // Keep last 10 scans
+  };
+
+  /**
+   * Check in a ticket found by the manual lookup - validated like a scan of its QR code
+   */
+  const handleManualCheckIn = async (ticket) => {
+    const phone = ticket.phone || ticket.user?.phone;
+    const payload = {
+      kind: ticket.enrollmentType === 'CASH' ? SCAN_KINDS.CASH_TICKET : SCAN_KINDS.TICKET,
+      params: {
+        enrollmentId: ticket.enrollmentId,
+        eventId: lookup.selectedEventId,
+        phone,
+        checkInMethod: 'MANUAL',
+      },
+    };
+
+    setCheckingInId(ticket.enrollmentId);
+    const scanResult = await validateScan(payload);
+    setCheckingInId(null);
+    logger.debug('[handleManualCheckIn] Scan result:', scanResult);
+
+    if (scanResult.isValid) {
+      toast.success(`✅ ${ticket.user?.name || ticket.name} checked in`);
+    } else if (scanResult.isAlreadyScanned) {
+      toast.warning('⚠️ This ticket was already scanned!', { autoClose: 5000 });
+    } else {
+      toast.error(`❌ ${scanResult.message || 'Check-in failed'}`);
+    }
+
+    addToHistory({
+      text: `${ticket.user?.name || ticket.name} · ${phone}`,
+      format: `Ticket ${ticket.enrollmentId}`,
+      isOffline: scanResult.isOffline,
+      isManual: true,
+    });
+
+    if (!scanResult.isNetworkError) {
+      lookup.refresh();
+    }
+  };
+
   /**
    * Handle scan failure (called frequently when no QR is in view)
    */
@@ -844,12 +702,12 @@ function ScanQR() {
     // Log every 10th scan attempt to show scanner is working
     scanAttemptCountRef.current += 1;
     if (scanAttemptCountRef.current % 10 === 0) {
-      console.log(`[onScanFailure] Scanner active, attempts: ${scanAttemptCountRef.current}`);
+      logger.debug(`[onScanFailure] Scanner active, attempts: ${scanAttemptCountRef.current}`);
     }
 
     // Only log actual errors, not "No QR code found" messages
     if (error && !error.includes('No MultiFormat Readers') && !error.includes('NotFoundException')) {
-      console.log('[onScanFailure] Error:', error);
+      logger.debug('[onScanFailure] Error:', error);
     }
   };
 
@@ -918,6 +776,19 @@ function ScanQR() {
     }
   };
 
+  /**
+   * Lock this device to the full-screen kiosk
+   */
+  const handleStartKiosk = async ({ pin, settings }) => {
+    // Fullscreen and sound need the click that started the kiosk
+    enterFullscreen();
+    unlockKioskAudio();
+
+    await stopScanner();
+    await lockKiosk({ pin, settings });
+    navigate('/kiosk', { replace: true });
+  };
+
   // Determine if we should show the permission request UI
   const showPermissionUI = permissionStatus === 'denied' || permissionStatus === 'error';
   const showScanner = !showPermissionUI;
@@ -932,6 +803,14 @@ function ScanQR() {
             Scan QR codes using your device camera
           </p>
         </div>
+
+        <button
+          onClick={() => setIsKioskSetupOpen(true)}
+          className="flex items-center justify-center gap-1.5 px-3 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-all shadow-sm text-sm font-medium"
+        >
+          <MdFullscreen className="w-5 h-5" />
+          Kiosk mode
+        </button>
       </div>
 
       {/* HTTPS Warning for mobile */}
@@ -947,6 +826,15 @@ function ScanQR() {
         </div>
       )}
 
+      <ScannerGatePanel
+        gate={scannerGate.gate}
+        deviceId={scannerGate.deviceId}
+        events={events}
+        isRegistering={scannerGate.isRegistering}
+        onRegister={scannerGate.registerGate}
+        onLeave={scannerGate.leaveGate}
+      />
+
       {/* Main Scanner Section */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 sm:gap-6">
         {/* Scanner Area */}
@@ -1074,8 +962,12 @@ function ScanQR() {
         <div className="space-y-4 sm:space-y-6">
           {/* Verification Screen */}
           {isVerified && extractedParams && (() => {
-            // Check if already scanned - data is normalized by validateTicket
-            const isAlreadyScanned = validationStatus?.data?.isAlreadyScanned === true;
+            const isAlreadyScanned = validationStatus?.isAlreadyScanned === true;
+            const isTicket = validationStatus?.kind === SCAN_KINDS.TICKET || validationStatus?.kind === SCAN_KINDS.CASH_TICKET;
+            const attendee = validationStatus?.attendee;
+            const eventData = validationStatus?.event;
+            const details = validationStatus?.details || [];
+            const voucher = validationStatus?.voucher;
 
             return (
               <div className={`rounded-xl shadow-lg border-2 p-6 sm:p-8 ${
@@ -1094,11 +986,11 @@ function ScanQR() {
                       ⚠ ALREADY SCANNED
                     </h2>
                     <p className="text-yellow-700 font-medium">
-                      This ticket was previously scanned
+                      This {SCAN_KIND_LABELS[validationStatus.kind].toLowerCase()} was previously scanned
                     </p>
-                    {validationStatus.data.scannedAt && (
+                    {validationStatus.scannedAt && (
                       <p className="text-sm text-yellow-600 mt-2">
-                        Previously scanned: {new Date(validationStatus.data.scannedAt).toLocaleString()}
+                        Previously scanned: {formatDateTime(validationStatus.scannedAt)}
                       </p>
                     )}
                   </>
@@ -1108,93 +1000,91 @@ function ScanQR() {
                       <MdCheckCircle className="w-12 h-12 text-white" />
                     </div>
                     <h2 className="text-2xl sm:text-3xl font-bold text-green-800 mb-2">
-                      ✓ VERIFIED - FIRST SCAN
+                      {validationStatus?.kind === SCAN_KINDS.MEMBERSHIP ? '✓ VALID MEMBERSHIP' : '✓ VERIFIED - FIRST SCAN'}
                     </h2>
                     <p className="text-green-700 font-medium">
                       Person is Allowed & Authenticated
                     </p>
                   </>
                 )}
+                {validationStatus?.isOffline && (
+                  <p className="inline-block mt-3 px-3 py-1 bg-white/70 rounded-full text-xs font-medium text-gray-700">
+                    Checked against the offline list - syncs when back online
+                  </p>
+                )}
               </div>
 
-              {/* Enrollment Information from API - handles both regular and cash tickets */}
-              {validationStatus?.data && (validationStatus.data.user || validationStatus.data.enrollment) && (() => {
-                // Extract data based on ticket type
-                // Regular ticket: user/event at top level
-                // Cash ticket: enrollment contains name/phone/event
-                const isCashTicket = validationStatus.ticketType === 'cash';
-                const attendeeName = isCashTicket
-                  ? validationStatus.data.enrollment?.name
-                  : validationStatus.data.user?.name;
-                const attendeePhone = isCashTicket
-                  ? validationStatus.data.enrollment?.phone
-                  : (validationStatus.data.ticket?.phone || validationStatus.data.user?.phone);
-                const eventData = isCashTicket
-                  ? validationStatus.data.enrollment?.event
-                  : validationStatus.data.event;
-
-                return (
-                  <div className="bg-white rounded-lg p-4 sm:p-6 mb-4 shadow-sm">
-                    <h3 className="text-lg font-bold text-gray-900 mb-4 flex items-center gap-2">
-                      <MdCheckCircle className="w-5 h-5 text-blue-600" />
-                      Attendee Information
-                      {validationStatus.ticketType && (
-                        <span className="text-xs font-normal bg-gray-100 px-2 py-1 rounded">
-                          {validationStatus.ticketType === 'cash' ? 'Cash Ticket' : 'Online Ticket'}
+              {/* Attendee Information - normalized by the scan service for every kind of code */}
+              {(attendee || eventData || details.length > 0) && (
+                <div className="bg-white rounded-lg p-4 sm:p-6 mb-4 shadow-sm">
+                  <h3 className="text-lg font-bold text-gray-900 mb-4 flex items-center gap-2">
+                    <MdCheckCircle className="w-5 h-5 text-blue-600" />
+                    Attendee Information
+                    <span className="text-xs font-normal bg-gray-100 px-2 py-1 rounded">
+                      {SCAN_KIND_LABELS[validationStatus.kind]}
+                    </span>
+                  </h3>
+                  <div className="space-y-3">
+                    {attendee?.name && (
+                      <div className="flex flex-col sm:flex-row sm:items-center justify-between p-3 bg-blue-50 rounded-lg">
+                        <span className="text-sm font-semibold text-gray-700 uppercase tracking-wide mb-1 sm:mb-0">
+                          Name:
                         </span>
-                      )}
-                    </h3>
-                    <div className="space-y-3">
-                      {attendeeName && (
-                        <div className="flex flex-col sm:flex-row sm:items-center justify-between p-3 bg-blue-50 rounded-lg">
-                          <span className="text-sm font-semibold text-gray-700 uppercase tracking-wide mb-1 sm:mb-0">
-                            Name:
-                          </span>
-                          <span className="text-base sm:text-lg font-bold text-gray-900 bg-white px-4 py-2 rounded border border-blue-200">
-                            {attendeeName}
-                          </span>
-                        </div>
-                      )}
-                      {attendeePhone && (
+                        <span className="text-base sm:text-lg font-bold text-gray-900 bg-white px-4 py-2 rounded border border-blue-200">
+                          {attendee.name}
+                        </span>
+                      </div>
+                    )}
+                    {attendee?.phone && (
+                      <div className="flex flex-col sm:flex-row sm:items-center justify-between p-3 bg-gray-50 rounded-lg">
+                        <span className="text-sm font-semibold text-gray-700 uppercase tracking-wide mb-1 sm:mb-0">
+                          Phone:
+                        </span>
+                        <span className="text-sm sm:text-base font-mono text-gray-900 bg-white px-3 py-1 rounded border border-gray-200">
+                          {attendee.phone}
+                        </span>
+                      </div>
+                    )}
+                    {eventData && (
+                      <>
                         <div className="flex flex-col sm:flex-row sm:items-center justify-between p-3 bg-gray-50 rounded-lg">
                           <span className="text-sm font-semibold text-gray-700 uppercase tracking-wide mb-1 sm:mb-0">
-                            Phone:
+                            {validationStatus.kind === SCAN_KINDS.SESSION_BOOKING ? 'Session:' : 'Event:'}
                           </span>
-                          <span className="text-sm sm:text-base font-mono text-gray-900 bg-white px-3 py-1 rounded border border-gray-200">
-                            {attendeePhone}
+                          <span className="text-sm sm:text-base font-semibold text-gray-900 bg-white px-3 py-1 rounded border border-gray-200">
+                            {eventData.name}
                           </span>
                         </div>
-                      )}
-                      {eventData && (
-                        <>
+                        {eventData.startDate && (
                           <div className="flex flex-col sm:flex-row sm:items-center justify-between p-3 bg-gray-50 rounded-lg">
                             <span className="text-sm font-semibold text-gray-700 uppercase tracking-wide mb-1 sm:mb-0">
-                              Event:
+                              {validationStatus.kind === SCAN_KINDS.SESSION_BOOKING ? 'Session Date:' : 'Event Date:'}
                             </span>
-                            <span className="text-sm sm:text-base font-semibold text-gray-900 bg-white px-3 py-1 rounded border border-gray-200">
-                              {eventData.name}
+                            <span className="text-xs sm:text-sm text-gray-900 bg-white px-3 py-1 rounded border border-gray-200">
+                              {formatDate(eventData.startDate)}
+                              {eventData.endDate && ` - ${formatDate(eventData.endDate)}`}
                             </span>
                           </div>
-                          {eventData.startDate && eventData.endDate && (
-                            <div className="flex flex-col sm:flex-row sm:items-center justify-between p-3 bg-gray-50 rounded-lg">
-                              <span className="text-sm font-semibold text-gray-700 uppercase tracking-wide mb-1 sm:mb-0">
-                                Event Date:
-                              </span>
-                              <span className="text-xs sm:text-sm text-gray-900 bg-white px-3 py-1 rounded border border-gray-200">
-                                {new Date(eventData.startDate).toLocaleDateString()} - {new Date(eventData.endDate).toLocaleDateString()}
-                              </span>
-                            </div>
-                          )}
-                        </>
-                      )}
-                    </div>
+                        )}
+                      </>
+                    )}
+                    {details.map((detail) => (
+                      <div key={detail.label} className="flex flex-col sm:flex-row sm:items-center justify-between p-3 bg-gray-50 rounded-lg">
+                        <span className="text-sm font-semibold text-gray-700 uppercase tracking-wide mb-1 sm:mb-0">
+                          {detail.label}:
+                        </span>
+                        <span className="text-sm sm:text-base text-gray-900 bg-white px-3 py-1 rounded border border-gray-200">
+                          {detail.value}
+                        </span>
+                      </div>
+                    ))}
                   </div>
-                );
-              })()}
+                </div>
+              )}
 
-              {/* Voucher Information */}
-              {validationStatus?.data && (
-                validationStatus.data.voucher ? (
+              {/* Voucher Information - redeemed voucher codes, or the one redeemed with a ticket (not part of the offline list) */}
+              {(validationStatus?.kind === SCAN_KINDS.VOUCHER || (isTicket && !validationStatus.isOffline)) && (
+                voucher ? (
                   <div className="bg-gradient-to-r from-purple-50 to-pink-50 rounded-lg p-4 sm:p-6 mb-4 shadow-sm border border-purple-200">
                     <h3 className="text-lg font-bold text-purple-900 mb-4 flex items-center gap-2">
                       <MdCardGiftcard className="w-5 h-5 text-purple-600" />
@@ -1206,26 +1096,26 @@ function ScanQR() {
                           Voucher Code:
                         </span>
                         <span className="text-base sm:text-lg font-bold text-purple-700 bg-purple-100 px-4 py-2 rounded border border-purple-200 font-mono">
-                          {validationStatus.data.voucher.code}
+                          {voucher.code}
                         </span>
                       </div>
-                      {validationStatus.data.voucher.title && (
+                      {voucher.title && (
                         <div className="flex flex-col sm:flex-row sm:items-center justify-between p-3 bg-white rounded-lg border border-purple-100">
                           <span className="text-sm font-semibold text-gray-700 uppercase tracking-wide mb-1 sm:mb-0">
                             Title:
                           </span>
                           <span className="text-sm sm:text-base font-semibold text-gray-900">
-                            {validationStatus.data.voucher.title}
+                            {voucher.title}
                           </span>
                         </div>
                       )}
-                      {validationStatus.data.voucher.description && (
+                      {voucher.description && (
                         <div className="p-3 bg-white rounded-lg border border-purple-100">
                           <span className="text-sm font-semibold text-gray-700 uppercase tracking-wide block mb-2">
                             Description:
                           </span>
                           <p className="text-sm text-gray-700">
-                            {validationStatus.data.voucher.description}
+                            {voucher.description}
                           </p>
                         </div>
                       )}
@@ -1245,14 +1135,14 @@ function ScanQR() {
               )}
 
               {/* URL Parameters (if no API data) */}
-              {!validationStatus?.data?.enrollment && !validationStatus?.data?.user && extractedParams.type === 'url' && Object.keys(extractedParams.parameters).length > 0 && (
+              {!attendee && extractedParams.url && Object.keys(extractedParams.params).length > 0 && (
                 <div className="bg-white rounded-lg p-4 sm:p-6 mb-4 shadow-sm">
                   <h3 className="text-lg font-bold text-gray-900 mb-4 flex items-center gap-2">
                     <MdContentCopy className="w-5 h-5 text-blue-600" />
                     Ticket Information
                   </h3>
                   <div className="space-y-3">
-                    {Object.entries(extractedParams.parameters).map(([key, value]) => (
+                    {Object.entries(extractedParams.params).map(([key, value]) => (
                       <div
                         key={key}
                         className="flex flex-col sm:flex-row sm:items-center justify-between p-3 bg-gray-50 rounded-lg hover:bg-gray-100 transition-colors"
@@ -1270,17 +1160,17 @@ function ScanQR() {
               )}
 
               {/* Full URL Display (if URL) */}
-              {extractedParams.type === 'url' && (
+              {extractedParams.url && (
                 <div className="bg-blue-50 rounded-lg p-4 mb-4">
                   <p className="text-xs text-blue-700 font-semibold mb-1">SCANNED URL:</p>
                   <p className="text-sm text-blue-900 break-all font-mono">
-                    {extractedParams.fullUrl}
+                    {extractedParams.url.fullUrl}
                   </p>
                 </div>
               )}
 
               {/* Plain Text Display (if not URL) */}
-              {extractedParams.type === 'text' && (
+              {!extractedParams.url && (
                 <div className="bg-white rounded-lg p-4 sm:p-6 mb-4 shadow-sm">
                   <h3 className="text-lg font-bold text-gray-900 mb-3">Scanned Content:</h3>
                   <p className="text-gray-900 break-all font-mono text-sm bg-gray-50 p-3 rounded border border-gray-200">
@@ -1317,6 +1207,34 @@ function ScanQR() {
             );
           })()}
 
+          <ManualCheckInPanel
+            events={events}
+            selectedEventId={lookup.selectedEventId}
+            onEventChange={lookup.handleEventChange}
+            ticketHolders={lookup.ticketHolders}
+            pagination={lookup.pagination}
+            isLoading={lookup.loading}
+            onSearch={lookup.handleSearch}
+            onPageChange={lookup.handlePageChange}
+            onCheckIn={handleManualCheckIn}
+            checkingInId={checkingInId}
+          />
+
+          <OfflineCheckInPanel
+            isSupported={offline.isSupported}
+            isOnline={offline.isOnline}
+            events={events}
+            preparedEvents={offline.preparedEvents}
+            pendingCount={offline.pendingScans.length}
+            conflicts={offline.conflicts}
+            preparingEventId={offline.preparingEventId}
+            isSyncing={offline.isSyncing}
+            onPrepare={offline.prepareEvent}
+            onRemove={offline.removeEvent}
+            onSync={offline.syncQueue}
+            onDismissConflicts={offline.dismissConflicts}
+          />
+
           {/* Scan History */}
           <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 sm:p-6">
             <h2 className="text-lg font-bold text-gray-900 mb-4">Scan History</h2>
@@ -1340,7 +1258,14 @@ function ScanQR() {
                           {scan.text}
                         </p>
                         <p className="text-xs text-gray-500 mt-1">
-                          {scan.timestamp.toLocaleTimeString()} • {scan.format}
+                          {scan.isManual && (
+                            <span className="mr-1.5 px-1.5 py-0.5 bg-amber-100 text-amber-800 rounded font-semibold">
+                              Manual
+                            </span>
+                          )}
+                          {formatTime(scan.timestamp)} • {scan.format}
+                          {scan.gateName && ` • ${scan.gateName}`}
+                          {scan.isOffline && ' • Offline'}
                         </p>
                       </div>
                       <button
@@ -1372,6 +1297,13 @@ function ScanQR() {
           </div>
         </div>
       </div>
+
+      <KioskSetupModal
+        isOpen={isKioskSetupOpen}
+        onClose={() => setIsKioskSetupOpen(false)}
+        onStart={handleStartKiosk}
+        gate={scannerGate.gate}
+      />
     </div>
   );
 }
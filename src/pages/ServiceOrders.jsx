@@ -1,6 +1,7 @@
 import { useState, useCallback } from 'react';
 import { Plus, AlertCircle } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import { MANAGER_ROLES } from '../utils/permissions';
 import useServiceOrders from '../hooks/useServiceOrders';
 import {
   GeneratePaymentLinkForm,
@@ -9,12 +10,15 @@ import {
   ServiceOrderTable,
 } from '../components/serviceOrders';
 import Pagination from '../components/ui/Pagination';
+import useLocationState from '../hooks/useLocationState';
+import SavedViewsMenu from '../components/SavedViewsMenu';
+import logger from '../utils/logger';
 
 function ServiceOrders() {
   const { hasRole } = useAuth();
 
   // Permission checks
-  const canCreate = hasRole(['SUPER_ADMIN', 'ADMIN']);
+  const canCreate = hasRole(MANAGER_ROLES);
 
   // Service orders management hook
   const {
@@ -55,6 +59,9 @@ function ServiceOrders() {
     }
   }, [getOrderById]);
 
+  // Record picked in the global search
+  useLocationState('openRecord', handleView);
+
   // Handle generate payment link
   const handleGenerateLink = useCallback(() => {
     setFormError(null);
@@ -69,7 +76,7 @@ function ServiceOrders() {
       const result = await resendPaymentLink(orderId);
       if (!result.success) {
         // Could show a toast here
-        console.error('Failed to resend:', result.error);
+        logger.error('Failed to resend:', result.error);
       }
     } finally {
       setResendingId(null);
@@ -113,6 +120,8 @@ function ServiceOrders() {
         </div>
 
         <div className="flex items-center gap-3">
+          <SavedViewsMenu />
+
           {/* Generate Payment Link Button */}
           {canCreate && (
             <button
@@ -156,6 +165,8 @@ function ServiceOrders() {
         onView={handleView}
         onResend={handleResend}
         resendingId={resendingId}
+        sort={{ key: filters.sortBy, direction: filters.sortOrder }}
+        onSortChange={({ key, direction }) => updateFilters({ sortBy: key, sortOrder: direction })}
       />
 
       {/* Pagination */}
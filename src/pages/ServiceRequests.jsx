@@ -1,6 +1,7 @@
 import { useState, useCallback } from 'react';
 import { AlertCircle } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import { MANAGER_ROLES } from '../utils/permissions';
 import useServiceRequests from '../hooks/useServiceRequests';
 import {
   ServiceRequestFilters,
@@ -10,12 +11,16 @@ import {
   RejectRequestModal,
 } from '../components/serviceRequests';
 import Pagination from '../components/ui/Pagination';
+import SavedViewsMenu from '../components/SavedViewsMenu';
+import NewItemsNotifier from '../components/NewItemsNotifier';
+import useLocationState from '../hooks/useLocationState';
+import { REALTIME_EVENTS } from '../utils/realtime';
 
 function ServiceRequests() {
   const { hasRole } = useAuth();
 
   // Permission checks
-  const canReview = hasRole(['SUPER_ADMIN', 'ADMIN']);
+  const canReview = hasRole(MANAGER_ROLES);
 
   // Service requests management hook
   const {
@@ -33,6 +38,7 @@ function ServiceRequests() {
     resetFilters,
     changePage,
     clearError,
+    fetchRequests,
   } = useServiceRequests();
 
   // Modal states
@@ -57,6 +63,9 @@ function ServiceRequests() {
     }
   }, [getRequestById]);
 
+  // Request picked in the notification center
+  useLocationState('openRecord', handleView);
+
   // Handle approve request
   const handleApprove = useCallback((request) => {
     setSelectedRequest(request);
@@ -123,6 +132,12 @@ function ServiceRequests() {
 
   return (
     <div className="space-y-6">
+      <NewItemsNotifier
+        events={[REALTIME_EVENTS.SERVICE_REQUEST_CREATED]}
+        itemLabel="service requests"
+        onShow={() => fetchRequests()}
+      />
+
       {/* Header */}
       <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
         <div>
@@ -132,13 +147,16 @@ function ServiceRequests() {
           </p>
         </div>
 
-        {/* Pending Badge */}
-        {pendingCount > 0 && (
-          <div className="flex items-center gap-2 px-4 py-2 bg-amber-100 text-amber-800 rounded-lg">
-            <span className="font-bold text-lg">{pendingCount}</span>
-            <span className="text-sm font-medium">pending requests</span>
-          </div>
-        )}
+        <div className="flex items-center gap-2">
+          <SavedViewsMenu />
+          {/* Pending Badge */}
+          {pendingCount > 0 && (
+            <div className="flex items-center gap-2 px-4 py-2 bg-amber-100 text-amber-800 rounded-lg">
+              <span className="font-bold text-lg">{pendingCount}</span>
+              <span className="text-sm font-medium">pending requests</span>
+            </div>
+          )}
+        </div>
       </div>
 
       {/* Error Banner */}
@@ -173,6 +191,8 @@ function ServiceRequests() {
         onView={handleView}
         onApprove={handleApprove}
         onReject={handleReject}
+        sort={{ key: filters.sortBy, direction: filters.sortOrder }}
+        onSortChange={({ key, direction }) => updateFilters({ sortBy: key, sortOrder: direction })}
       />
 
       {/* Pagination */}
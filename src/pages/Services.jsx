@@ -1,6 +1,7 @@
 import { useState, useCallback } from 'react';
 import { Plus, AlertCircle } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import { MANAGER_ROLES } from '../utils/permissions';
 import useServices from '../hooks/useServices';
 import { ServiceForm, ServiceDetailsModal, ServiceFilters, ServiceTable } from '../components/services';
 import ConfirmDialog from '../components/ui/ConfirmDialog';
@@ -10,9 +11,9 @@ function Services() {
   const { hasRole } = useAuth();
 
   // Permission checks
-  const canCreate = hasRole(['SUPER_ADMIN', 'ADMIN']);
-  const canEdit = hasRole(['SUPER_ADMIN', 'ADMIN']);
-  const canDelete = hasRole(['SUPER_ADMIN', 'ADMIN']);
+  const canCreate = hasRole(MANAGER_ROLES);
+  const canEdit = hasRole(MANAGER_ROLES);
+  const canDelete = hasRole(MANAGER_ROLES);
 
   // Services management hook
   const {
@@ -44,7 +45,7 @@ function Services() {
   // Form states
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [formError, setFormError] = useState(null);
-  const [validationErrors, setValidationErrors] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState(null);
 
   // Handle view service details
   const handleView = useCallback((service) => {
@@ -58,7 +59,7 @@ function Services() {
     if (result.success) {
       setSelectedService(result.data);
       setFormError(null);
-      setValidationErrors(null);
+      setFieldErrors(null);
       setShowEditModal(true);
     } else {
       setFormError(result.error);
@@ -69,7 +70,7 @@ function Services() {
   const handleCreate = useCallback(() => {
     setSelectedService(null);
     setFormError(null);
-    setValidationErrors(null);
+    setFieldErrors(null);
     setShowCreateModal(true);
   }, []);
 
@@ -83,7 +84,7 @@ function Services() {
   const handleCreateSubmit = useCallback(async (data) => {
     setIsSubmitting(true);
     setFormError(null);
-    setValidationErrors(null);
+    setFieldErrors(null);
 
     try {
       const result = await createService(data);
@@ -92,7 +93,7 @@ function Services() {
         setShowCreateModal(false);
       } else {
         setFormError(result.error);
-        setValidationErrors(result.validationErrors);
+        setFieldErrors(result.fieldErrors);
       }
     } finally {
       setIsSubmitting(false);
@@ -105,7 +106,7 @@ function Services() {
 
     setIsSubmitting(true);
     setFormError(null);
-    setValidationErrors(null);
+    setFieldErrors(null);
 
     try {
       const result = await updateService(selectedService._id, data);
@@ -115,7 +116,7 @@ function Services() {
         setSelectedService(null);
       } else {
         setFormError(result.error);
-        setValidationErrors(result.validationErrors);
+        setFieldErrors(result.fieldErrors);
       }
     } finally {
       setIsSubmitting(false);
@@ -199,6 +200,8 @@ function Services() {
         onView={handleView}
         onEdit={handleEdit}
         onDelete={handleDelete}
+        sort={{ key: filters.sortBy, direction: filters.sortOrder }}
+        onSortChange={({ key, direction }) => updateFilters({ sortBy: key, sortOrder: direction })}
       />
 
       {/* Pagination */}
@@ -223,7 +226,7 @@ function Services() {
         service={null}
         isLoading={isSubmitting}
         serverError={formError}
-        validationErrors={validationErrors}
+        fieldErrors={fieldErrors}
       />
 
       {/* Edit Service Modal */}
@@ -237,7 +240,7 @@ function Services() {
         service={selectedService}
         isLoading={isSubmitting}
         serverError={formError}
-        validationErrors={validationErrors}
+        fieldErrors={fieldErrors}
       />
 
       {/* Service Details Modal */}
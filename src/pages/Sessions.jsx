@@ -17,6 +17,7 @@ import {
   User,
   Calendar,
   CalendarCheck,
+  CalendarDays,
   CalendarX,
   Check,
   X,
@@ -24,8 +25,12 @@ import {
 import useSessions from '../hooks/useSessions';
 import SessionForm from '../components/sessions/SessionForm';
 import SessionDetailsModal from '../components/sessions/SessionDetailsModal';
+import SessionCalendar from '../components/sessions/SessionCalendar';
 import ConfirmDialog from '../components/ui/ConfirmDialog';
 import Pagination from '../components/ui/Pagination';
+import useLocationState from '../hooks/useLocationState';
+import logger from '../utils/logger';
+import { DATE_OPTIONS, DATE_TIME_OPTIONS, formatDate as formatOrgDate } from '../utils/dates';
 
 /**
  * Format currency
@@ -132,30 +137,14 @@ const bookingStatusConfig = {
  * @param {string} dateString - ISO date string
  * @returns {string} Formatted date
  */
-const formatDate = (dateString) => {
-  if (!dateString) return '-';
-  return new Date(dateString).toLocaleDateString('en-IN', {
-    day: 'numeric',
-    month: 'short',
-    year: 'numeric',
-  });
-};
+const formatDate = (dateString) => formatOrgDate(dateString, DATE_OPTIONS, '-');
 
 /**
  * Format datetime for display
  * @param {string} dateString - ISO date string
  * @returns {string} Formatted datetime
  */
-const formatDateTime = (dateString) => {
-  if (!dateString) return '-';
-  return new Date(dateString).toLocaleString('en-IN', {
-    day: 'numeric',
-    month: 'short',
-    year: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit',
-  });
-};
+const formatDateTime = (dateString) => formatOrgDate(dateString, DATE_TIME_OPTIONS, '-');
 
 function Sessions() {
   // Hook for data management
@@ -203,9 +192,10 @@ function Sessions() {
   // Form states
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [formError, setFormError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState(null);
 
   // Tab state
-  const [activeTab, setActiveTab] = useState('sessions'); // 'sessions' | 'bookings'
+  const [activeTab, setActiveTab] = useState('sessions'); // 'sessions' | 'bookings' | 'calendar'
 
   // Filter states
   const [showFilters, setShowFilters] = useState(false);
@@ -225,6 +215,7 @@ function Sessions() {
   // Open form modal for create
   const handleOpenCreateModal = useCallback(() => {
     setFormError(null);
+    setFieldErrors(null);
     setSessionToEdit(null);
     setIsFormModalOpen(true);
   }, []);
@@ -232,6 +223,7 @@ function Sessions() {
   // Open form modal for edit
   const handleOpenEditModal = useCallback(async (session) => {
     setFormError(null);
+    setFieldErrors(null);
     setDetailsLoading(true);
 
     try {
@@ -253,6 +245,7 @@ function Sessions() {
   const handleCloseFormModal = useCallback(() => {
     setIsFormModalOpen(false);
     setFormError(null);
+    setFieldErrors(null);
     setSessionToEdit(null);
   }, []);
 
@@ -261,6 +254,7 @@ function Sessions() {
     async (formData) => {
       setIsSubmitting(true);
       setFormError(null);
+      setFieldErrors(null);
 
       try {
         let result;
@@ -274,6 +268,7 @@ function Sessions() {
           return result;
         } else {
           setFormError(result.error || 'Failed to save session');
+          setFieldErrors(result.fieldErrors);
           return { success: false };
         }
       } catch {
@@ -300,7 +295,7 @@ function Sessions() {
           setSelectedSession(result.data);
         }
       } catch (err) {
-        console.error('[Sessions] Failed to fetch details:', err);
+        logger.error('[Sessions] Failed to fetch details:', err);
       } finally {
         setDetailsLoading(false);
       }
@@ -308,12 +303,21 @@ function Sessions() {
     [getSessionById]
   );
 
+  // Record picked in the global search
+  useLocationState('openRecord', handleOpenDetails);
+
   // Close details modal
   const handleCloseDetailsModal = useCallback(() => {
     setIsDetailsModalOpen(false);
     setSelectedSession(null);
   }, []);
 
+  // Calendar drag: save the new session date
+  const handleReschedule = useCallback(
+    (session, sessionDate) => updateSession(session._id, { sessionDate }),
+    [updateSession]
+  );
+
   // Handle toggle live status
   const handleToggleLive = useCallback(
     async (session) => {
@@ -421,7 +425,7 @@ function Sessions() {
           alert(result.error || 'Failed to update booking status');
         }
       } catch (err) {
-        console.error('[Sessions] Error updating booking:', err);
+        logger.error('[Sessions] Error updating booking:', err);
         alert('An unexpected error occurred');
       } finally {
         setIsUpdatingBooking(false);
@@ -474,7 +478,7 @@ function Sessions() {
             Create and manage coaching sessions and bookings
           </p>
         </div>
-        {activeTab === 'sessions' && (
+        {activeTab !== 'bookings' && (
           <button
             onClick={handleOpenCreateModal}
             className="flex items-center justify-center gap-2 px-4 py-2.5 bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors font-medium"
@@ -526,6 +530,22 @@ function Sessions() {
               <div className="absolute bottom-0 left-0 right-0 h-0.5 bg-gray-800" />
             )}
           </button>
+          <button
+            onClick={() => setActiveTab('calendar')}
+            className={`flex-1 sm:flex-none px-6 py-3 text-sm font-medium transition-colors relative ${
+              activeTab === 'calendar'
+                ? 'text-gray-900'
+                : 'text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            <div className="flex items-center justify-center gap-2">
+              <CalendarDays className="h-4 w-4" />
+              <span>Calendar</span>
+            </div>
+            {activeTab === 'calendar' && (
+              <div className="absolute bottom-0 left-0 right-0 h-0.5 bg-gray-800" />
+            )}
+          </button>
         </div>
       </div>
 
@@ -549,226 +569,233 @@ function Sessions() {
       )}
 
       {/* Filters Section */}
-      <div className="bg-white rounded-xl shadow-sm p-4">
-        <div className="flex flex-col sm:flex-row sm:items-center gap-3">
-          {activeTab === 'sessions' ? (
-            <>
-              {/* Search Input */}
-              <div className="relative flex-1 max-w-md">
-                <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
-                <input
-                  type="text"
-                  value={localSearch}
-                  onChange={handleSearchChange}
-                  placeholder="Search sessions..."
-                  className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:border-gray-800 outline-none"
-                />
-              </div>
-
-              {/* Filter Toggle Button */}
-              <button
-                onClick={() => setShowFilters(!showFilters)}
-                className={`flex items-center gap-2 px-4 py-2 border rounded-lg transition-colors ${
-                  hasActiveFilters
-                    ? 'border-gray-800 bg-gray-50 text-gray-800'
-                    : 'border-gray-300 text-gray-700 hover:bg-gray-50'
-                }`}
-              >
-                <Filter className="h-4 w-4" />
-                <span>Filters</span>
-                {hasActiveFilters && (
-                  <span className="px-1.5 py-0.5 bg-gray-800 text-white text-xs rounded-full">
-                    {(filters.search ? 1 : 0) +
-                      (filters.isLive !== '' ? 1 : 0) +
-                      (filters.sessionType ? 1 : 0) +
-                      (filters.category ? 1 : 0)}
-                  </span>
-                )}
-                <ChevronDown
-                  className={`h-4 w-4 transition-transform ${showFilters ? 'rotate-180' : ''}`}
-                />
-              </button>
-            </>
-          ) : (
-            <>
-              {/* Booking Filters Toggle */}
-              <button
-                onClick={() => setShowFilters(!showFilters)}
-                className={`flex items-center gap-2 px-4 py-2 border rounded-lg transition-colors ${
-                  hasActiveBookingFilters
-                    ? 'border-gray-800 bg-gray-50 text-gray-800'
-                    : 'border-gray-300 text-gray-700 hover:bg-gray-50'
-                }`}
-              >
-                <Filter className="h-4 w-4" />
-                <span>Filters</span>
-                {hasActiveBookingFilters && (
-                  <span className="px-1.5 py-0.5 bg-gray-800 text-white text-xs rounded-full">
-                    {(bookingFilters.status ? 1 : 0) + (bookingFilters.sessionId ? 1 : 0)}
-                  </span>
-                )}
-                <ChevronDown
-                  className={`h-4 w-4 transition-transform ${showFilters ? 'rotate-180' : ''}`}
-                />
-              </button>
-            </>
-          )}
-
-          {/* Refresh Button */}
-          <button
-            onClick={handleRefresh}
-            disabled={isLoading || isLoadingBookings}
-            className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors disabled:opacity-50"
-          >
-            <RefreshCw className={`h-4 w-4 ${(isLoading || isLoadingBookings) ? 'animate-spin' : ''}`} />
-            <span className="hidden sm:inline">Refresh</span>
-          </button>
-
-          {/* Stats */}
-          <div className="ml-auto text-sm text-gray-500">
+      {activeTab !== 'calendar' && (
+        <div className="bg-white rounded-xl shadow-sm p-4">
+          <div className="flex flex-col sm:flex-row sm:items-center gap-3">
             {activeTab === 'sessions' ? (
-              <>{pagination.totalCount} session{pagination.totalCount !== 1 ? 's' : ''} total</>
-            ) : (
-              <>{bookingPagination.totalCount} booking{bookingPagination.totalCount !== 1 ? 's' : ''} total</>
-            )}
-          </div>
-        </div>
-
-        {/* Expanded Filters - Sessions */}
-        {showFilters && activeTab === 'sessions' && (
-          <div className="mt-4 pt-4 border-t border-gray-200">
-            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4">
-              {/* Status Filter */}
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Status
-                </label>
-                <select
-                  value={localLiveFilter}
-                  onChange={(e) => setLocalLiveFilter(e.target.value)}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:border-gray-800 outline-none"
-                >
-                  <option value="">All Status</option>
-                  <option value="true">Live</option>
-                  <option value="false">Not Live</option>
-                </select>
-              </div>
-
-              {/* Session Type Filter */}
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Session Type
-                </label>
-                <select
-                  value={localTypeFilter}
-                  onChange={(e) => setLocalTypeFilter(e.target.value)}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:border-gray-800 outline-none"
-                >
-                  <option value="">All Types</option>
-                  <option value="OTO">One-to-One (OTO)</option>
-                  <option value="OTM">One-to-Many (OTM)</option>
-                </select>
-              </div>
-
-              {/* Category Filter */}
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Category
-                </label>
-                <select
-                  value={localCategoryFilter}
-                  onChange={(e) => setLocalCategoryFilter(e.target.value)}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:border-gray-800 outline-none"
-                >
-                  <option value="">All Categories</option>
-                  {SESSION_CATEGORIES.map((cat) => (
-                    <option key={cat.value} value={cat.value}>
-                      {cat.label}
-                    </option>
-                  ))}
-                </select>
-              </div>
+              <>
+                {/* Search Input */}
+                <div className="relative flex-1 max-w-md">
+                  <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+                  <input
+                    type="text"
+                    value={localSearch}
+                    onChange={handleSearchChange}
+                    placeholder="Search sessions..."
+                    className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:border-gray-800 outline-none"
+                  />
+                </div>
 
-              {/* Filter Actions */}
-              <div className="flex items-end gap-2 sm:col-span-2">
+                {/* Filter Toggle Button */}
                 <button
-                  onClick={handleApplyFilters}
-                  className="flex-1 sm:flex-none px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors"
+                  onClick={() => setShowFilters(!showFilters)}
+                  className={`flex items-center gap-2 px-4 py-2 border rounded-lg transition-colors ${
+                    hasActiveFilters
+                      ? 'border-gray-800 bg-gray-50 text-gray-800'
+                      : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                  }`}
                 >
-                  Apply
+                  <Filter className="h-4 w-4" />
+                  <span>Filters</span>
+                  {hasActiveFilters && (
+                    <span className="px-1.5 py-0.5 bg-gray-800 text-white text-xs rounded-full">
+                      {(filters.search ? 1 : 0) +
+                        (filters.isLive !== '' ? 1 : 0) +
+                        (filters.sessionType ? 1 : 0) +
+                        (filters.category ? 1 : 0)}
+                    </span>
+                  )}
+                  <ChevronDown
+                    className={`h-4 w-4 transition-transform ${showFilters ? 'rotate-180' : ''}`}
+                  />
                 </button>
+              </>
+            ) : (
+              <>
+                {/* Booking Filters Toggle */}
                 <button
-                  onClick={handleResetFilters}
-                  className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                  onClick={() => setShowFilters(!showFilters)}
+                  className={`flex items-center gap-2 px-4 py-2 border rounded-lg transition-colors ${
+                    hasActiveBookingFilters
+                      ? 'border-gray-800 bg-gray-50 text-gray-800'
+                      : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                  }`}
                 >
-                  Reset
+                  <Filter className="h-4 w-4" />
+                  <span>Filters</span>
+                  {hasActiveBookingFilters && (
+                    <span className="px-1.5 py-0.5 bg-gray-800 text-white text-xs rounded-full">
+                      {(bookingFilters.status ? 1 : 0) + (bookingFilters.sessionId ? 1 : 0)}
+                    </span>
+                  )}
+                  <ChevronDown
+                    className={`h-4 w-4 transition-transform ${showFilters ? 'rotate-180' : ''}`}
+                  />
                 </button>
-              </div>
+              </>
+            )}
+
+            {/* Refresh Button */}
+            <button
+              onClick={handleRefresh}
+              disabled={isLoading || isLoadingBookings}
+              className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors disabled:opacity-50"
+            >
+              <RefreshCw className={`h-4 w-4 ${(isLoading || isLoadingBookings) ? 'animate-spin' : ''}`} />
+              <span className="hidden sm:inline">Refresh</span>
+            </button>
+
+            {/* Stats */}
+            <div className="ml-auto text-sm text-gray-500">
+              {activeTab === 'sessions' ? (
+                <>{pagination.totalCount} session{pagination.totalCount !== 1 ? 's' : ''} total</>
+              ) : (
+                <>{bookingPagination.totalCount} booking{bookingPagination.totalCount !== 1 ? 's' : ''} total</>
+              )}
             </div>
           </div>
-        )}
 
-        {/* Expanded Filters - Bookings */}
-        {showFilters && activeTab === 'bookings' && (
-          <div className="mt-4 pt-4 border-t border-gray-200">
-            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
-              {/* Booking Status Filter */}
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Booking Status
-                </label>
-                <select
-                  value={localBookingStatusFilter}
-                  onChange={(e) => setLocalBookingStatusFilter(e.target.value)}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:border-gray-800 outline-none"
-                >
-                  <option value="">All Status</option>
-                  <option value="pending">Pending</option>
-                  <option value="confirmed">Confirmed</option>
-                  <option value="completed">Completed</option>
-                  <option value="cancelled">Cancelled</option>
-                  <option value="no_show">No Show</option>
-                </select>
-              </div>
+          {/* Expanded Filters - Sessions */}
+          {showFilters && activeTab === 'sessions' && (
+            <div className="mt-4 pt-4 border-t border-gray-200">
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4">
+                {/* Status Filter */}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Status
+                  </label>
+                  <select
+                    value={localLiveFilter}
+                    onChange={(e) => setLocalLiveFilter(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:border-gray-800 outline-none"
+                  >
+                    <option value="">All Status</option>
+                    <option value="true">Live</option>
+                    <option value="false">Not Live</option>
+                  </select>
+                </div>
 
-              {/* Session Filter */}
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Session
-                </label>
-                <select
-                  value={localBookingSessionFilter}
-                  onChange={(e) => setLocalBookingSessionFilter(e.target.value)}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:border-gray-800 outline-none"
-                >
-                  <option value="">All Sessions</option>
-                  {sessions.map((session) => (
-                    <option key={session._id} value={session._id}>
-                      {session.title}
-                    </option>
-                  ))}
-                </select>
+                {/* Session Type Filter */}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Session Type
+                  </label>
+                  <select
+                    value={localTypeFilter}
+                    onChange={(e) => setLocalTypeFilter(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:border-gray-800 outline-none"
+                  >
+                    <option value="">All Types</option>
+                    <option value="OTO">One-to-One (OTO)</option>
+                    <option value="OTM">One-to-Many (OTM)</option>
+                  </select>
+                </div>
+
+                {/* Category Filter */}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Category
+                  </label>
+                  <select
+                    value={localCategoryFilter}
+                    onChange={(e) => setLocalCategoryFilter(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:border-gray-800 outline-none"
+                  >
+                    <option value="">All Categories</option>
+                    {SESSION_CATEGORIES.map((cat) => (
+                      <option key={cat.value} value={cat.value}>
+                        {cat.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                {/* Filter Actions */}
+                <div className="flex items-end gap-2 sm:col-span-2">
+                  <button
+                    onClick={handleApplyFilters}
+                    className="flex-1 sm:flex-none px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors"
+                  >
+                    Apply
+                  </button>
+                  <button
+                    onClick={handleResetFilters}
+                    className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                  >
+                    Reset
+                  </button>
+                </div>
               </div>
+            </div>
+          )}
 
-              {/* Filter Actions */}
-              <div className="flex items-end gap-2 sm:col-span-2">
-                <button
-                  onClick={handleApplyBookingFilters}
-                  className="flex-1 sm:flex-none px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors"
-                >
-                  Apply
-                </button>
-                <button
-                  onClick={handleResetBookingFilters}
-                  className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
-                >
-                  Reset
-                </button>
+          {/* Expanded Filters - Bookings */}
+          {showFilters && activeTab === 'bookings' && (
+            <div className="mt-4 pt-4 border-t border-gray-200">
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+                {/* Booking Status Filter */}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Booking Status
+                  </label>
+                  <select
+                    value={localBookingStatusFilter}
+                    onChange={(e) => setLocalBookingStatusFilter(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:border-gray-800 outline-none"
+                  >
+                    <option value="">All Status</option>
+                    <option value="pending">Pending</option>
+                    <option value="confirmed">Confirmed</option>
+                    <option value="completed">Completed</option>
+                    <option value="cancelled">Cancelled</option>
+                    <option value="no_show">No Show</option>
+                  </select>
+                </div>
+
+                {/* Session Filter */}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Session
+                  </label>
+                  <select
+                    value={localBookingSessionFilter}
+                    onChange={(e) => setLocalBookingSessionFilter(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:border-gray-800 outline-none"
+                  >
+                    <option value="">All Sessions</option>
+                    {sessions.map((session) => (
+                      <option key={session._id} value={session._id}>
+                        {session.title}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                {/* Filter Actions */}
+                <div className="flex items-end gap-2 sm:col-span-2">
+                  <button
+                    onClick={handleApplyBookingFilters}
+                    className="flex-1 sm:flex-none px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 transition-colors"
+                  >
+                    Apply
+                  </button>
+                  <button
+                    onClick={handleResetBookingFilters}
+                    className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                  >
+                    Reset
+                  </button>
+                </div>
               </div>
             </div>
-          </div>
-        )}
-      </div>
+          )}
+        </div>
+      )}
+
+      {/* Calendar Tab Content */}
+      {activeTab === 'calendar' && (
+        <SessionCalendar canEdit onView={handleOpenDetails} onReschedule={handleReschedule} />
+      )}
 
       {/* Sessions Tab Content */}
       {activeTab === 'sessions' && (
@@ -1462,6 +1489,7 @@ function Sessions() {
         onSubmit={handleFormSubmit}
         isLoading={isSubmitting}
         serverError={formError}
+        fieldErrors={fieldErrors}
         sessionToEdit={sessionToEdit}
       />
 
@@ -10,6 +10,7 @@ import {
   CheckCircle,
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import { MANAGER_ROLES } from '../utils/permissions';
 import useStoriesManagement from '../hooks/useStoriesManagement';
 import {
   StoryForm,
@@ -20,6 +21,7 @@ import {
 } from '../components/stories';
 import ConfirmDialog from '../components/ui/ConfirmDialog';
 import Pagination from '../components/ui/Pagination';
+import logger from '../utils/logger';
 
 /**
  * Stories Page
@@ -29,9 +31,9 @@ function Stories() {
   const { hasRole } = useAuth();
 
   // Permission checks
-  const canCreate = hasRole(['SUPER_ADMIN', 'ADMIN']);
-  const canEdit = hasRole(['SUPER_ADMIN', 'ADMIN']);
-  const canDelete = hasRole(['SUPER_ADMIN', 'ADMIN']);
+  const canCreate = hasRole(MANAGER_ROLES);
+  const canEdit = hasRole(MANAGER_ROLES);
+  const canDelete = hasRole(MANAGER_ROLES);
 
   // Use the stories management hook
   const {
@@ -86,7 +88,7 @@ function Stories() {
     setSelectedStory(null);
     setFormError(null);
     setShowCreateModal(true);
-    console.log('[Stories] Opening create modal');
+    logger.debug('[Stories] Opening create modal');
   }, []);
 
   // Handle edit story
@@ -94,20 +96,20 @@ function Stories() {
     setSelectedStory(story);
     setFormError(null);
     setShowEditModal(true);
-    console.log('[Stories] Opening edit modal for story:', story._id);
+    logger.debug('[Stories] Opening edit modal for story:', story._id);
   }, []);
 
   // Handle view story details
   const handleViewStory = useCallback((story) => {
     setSelectedStory(story);
     setShowDetailsModal(true);
-    console.log('[Stories] Opening details modal for story:', story._id);
+    logger.debug('[Stories] Opening details modal for story:', story._id);
   }, []);
 
   // Handle view stats
   const handleViewStats = useCallback(() => {
     setShowStatsModal(true);
-    console.log('[Stories] Opening stats modal');
+    logger.debug('[Stories] Opening stats modal');
   }, []);
 
   // Handle delete story
@@ -115,7 +117,7 @@ function Stories() {
     setSelectedStory(story);
     setDeleteWithMedia(false);
     setShowDeleteDialog(true);
-    console.log('[Stories] Opening delete dialog for story:', story._id);
+    logger.debug('[Stories] Opening delete dialog for story:', story._id);
   }, []);
 
   // Handle toggle active status
@@ -142,21 +144,21 @@ function Stories() {
     setFormError(null);
 
     try {
-      console.log('[Stories] Creating story');
+      logger.debug('[Stories] Creating story');
       const result = await createStory(data);
 
       if (result.success) {
         setShowCreateModal(false);
         setSuccessMessage('Story created successfully');
         setTimeout(() => setSuccessMessage(null), 3000);
-        console.log('[Stories] Story created successfully');
+        logger.debug('[Stories] Story created successfully');
       } else {
         setFormError(result.error || 'Failed to create story');
-        console.error('[Stories] Failed to create story:', result.error);
+        logger.error('[Stories] Failed to create story:', result.error);
       }
     } catch (err) {
       setFormError('An unexpected error occurred');
-      console.error('[Stories] Error creating story:', err);
+      logger.error('[Stories] Error creating story:', err);
     } finally {
       setIsSubmitting(false);
     }
@@ -170,7 +172,7 @@ function Stories() {
     setFormError(null);
 
     try {
-      console.log('[Stories] Updating story:', selectedStory._id);
+      logger.debug('[Stories] Updating story:', selectedStory._id);
       const result = await updateStory(selectedStory._id, data);
 
       if (result.success) {
@@ -178,14 +180,14 @@ function Stories() {
         setSelectedStory(null);
         setSuccessMessage('Story updated successfully');
         setTimeout(() => setSuccessMessage(null), 3000);
-        console.log('[Stories] Story updated successfully');
+        logger.debug('[Stories] Story updated successfully');
       } else {
         setFormError(result.error || 'Failed to update story');
-        console.error('[Stories] Failed to update story:', result.error);
+        logger.error('[Stories] Failed to update story:', result.error);
       }
     } catch (err) {
       setFormError('An unexpected error occurred');
-      console.error('[Stories] Error updating story:', err);
+      logger.error('[Stories] Error updating story:', err);
     } finally {
       setIsSubmitting(false);
     }
@@ -198,7 +200,7 @@ function Stories() {
     setIsSubmitting(true);
 
     try {
-      console.log('[Stories] Deleting story:', selectedStory._id);
+      logger.debug('[Stories] Deleting story:', selectedStory._id);
       const result = await deleteStory(selectedStory._id, deleteWithMedia);
 
       if (result.success) {
@@ -206,12 +208,12 @@ function Stories() {
         setSelectedStory(null);
         setSuccessMessage('Story deleted successfully');
         setTimeout(() => setSuccessMessage(null), 3000);
-        console.log('[Stories] Story deleted successfully');
+        logger.debug('[Stories] Story deleted successfully');
       } else {
-        console.error('[Stories] Failed to delete story:', result.error);
+        logger.error('[Stories] Failed to delete story:', result.error);
       }
     } catch (err) {
-      console.error('[Stories] Error deleting story:', err);
+      logger.error('[Stories] Error deleting story:', err);
     } finally {
       setIsSubmitting(false);
     }
@@ -226,7 +228,7 @@ function Stories() {
   // Handle refresh
   const handleRefresh = useCallback(() => {
     refresh();
-    console.log('[Stories] Refreshing stories');
+    logger.debug('[Stories] Refreshing stories');
   }, [refresh]);
 
   return (
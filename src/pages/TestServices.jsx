@@ -1,6 +1,7 @@
 import { useState } from 'react';
 import { ShoppingCart, CheckCircle, Clock, AlertCircle, RefreshCw } from 'lucide-react';
 import { toast } from 'react-toastify';
+import { formatDateTime } from '../utils/dates';
 
 /**
  * TestServices Page
@@ -301,7 +302,7 @@ function TestServices() {
                       <div>
                         <h3 className="font-semibold text-gray-900">{result.type}</h3>
                         <p className="text-xs text-gray-600">
-                          {new Date(result.timestamp).toLocaleString()} • {result.duration}
+                          {formatDateTime(result.timestamp)} • {result.duration}
                         </p>
                       </div>
                     </div>
@@ -20,6 +20,9 @@ import useTicketReshare, {
   SCANNED_STATUS_OPTIONS,
   SEND_VIA_OPTIONS,
 } from '../hooks/useTicketReshare';
+import NewItemsNotifier from '../components/NewItemsNotifier';
+import { REALTIME_EVENTS } from '../utils/realtime';
+import { DATE_TIME_OPTIONS, formatDate as formatOrgDate } from '../utils/dates';
 
 /**
  * TicketReshare Page - Manage and reshare ticket QR codes
@@ -68,16 +71,7 @@ function TicketReshare() {
   }, [searchTerm]);
 
   // Format date helper
-  const formatDate = (dateString) => {
-    if (!dateString) return 'N/A';
-    return new Date(dateString).toLocaleDateString('en-IN', {
-      day: 'numeric',
-      month: 'short',
-      year: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
-    });
-  };
+  const formatDate = (dateString) => formatOrgDate(dateString, DATE_TIME_OPTIONS, 'N/A');
 
   // Format currency helper
   const formatCurrency = (value) => {
@@ -104,6 +98,15 @@ function TicketReshare() {
 
   return (
     <div className="space-y-4">
+      {selectedEventId && (
+        <NewItemsNotifier
+          events={[REALTIME_EVENTS.TICKET_SCANNED]}
+          itemLabel="ticket scans"
+          onShow={refresh}
+          filter={(event) => event.data?.eventId === selectedEventId}
+        />
+      )}
+
       {/* Header */}
       <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
         <div>
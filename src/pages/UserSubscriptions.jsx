@@ -1,6 +1,7 @@
 import { useState, useCallback } from 'react';
 import { AlertCircle } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import { MANAGER_ROLES } from '../utils/permissions';
 import useUserSubscriptions from '../hooks/useUserSubscriptions';
 import {
   SubscriptionFilters,
@@ -10,13 +11,14 @@ import {
   EditNotesModal,
 } from '../components/userSubscriptions';
 import Pagination from '../components/ui/Pagination';
+import SavedViewsMenu from '../components/SavedViewsMenu';
 
 function UserSubscriptions() {
   const { hasRole } = useAuth();
 
   // Permission checks
-  const canCancel = hasRole(['SUPER_ADMIN', 'ADMIN']);
-  const canEditNotes = hasRole(['SUPER_ADMIN', 'ADMIN']);
+  const canCancel = hasRole(MANAGER_ROLES);
+  const canEditNotes = hasRole(MANAGER_ROLES);
 
   // User subscriptions management hook
   const {
@@ -122,6 +124,7 @@ function UserSubscriptions() {
             View and manage user service subscriptions
           </p>
         </div>
+        <SavedViewsMenu />
       </div>
 
       {/* Error Banner */}
@@ -156,6 +159,8 @@ function UserSubscriptions() {
         onView={handleView}
         onCancel={handleCancel}
         onEditNotes={handleEditNotes}
+        sort={{ key: filters.sortBy, direction: filters.sortOrder }}
+        onSortChange={({ key, direction }) => updateFilters({ sortBy: key, sortOrder: direction })}
       />
 
       {/* Pagination */}
@@ -1,11 +1,19 @@
 import { useState, useEffect } from 'react';
-import { Search, Edit, Trash2, Eye, RotateCcw, AlertTriangle, Loader2 } from 'lucide-react';
+import { Search, Edit, Trash2, Eye, RotateCcw, AlertTriangle } from 'lucide-react';
+import { toast } from 'react-toastify';
 import useUsers from '../hooks/useUsers';
 import { useAuth } from '../contexts/AuthContext';
+import { MANAGER_ROLES } from '../utils/permissions';
 import Pagination from '../components/ui/Pagination';
+import Table from '../components/ui/Table';
 import ConfirmDialog from '../components/ui/ConfirmDialog';
 import UserForm from '../components/users/UserForm';
 import UserDetailsModal from '../components/users/UserDetailsModal';
+import useLocationState from '../hooks/useLocationState';
+import useSyncedInput from '../hooks/useSyncedInput';
+import SavedViewsMenu from '../components/SavedViewsMenu';
+import logger from '../utils/logger';
+import { DATE_OPTIONS, formatDate } from '../utils/dates';
 
 function Users() {
   const { hasRole } = useAuth();
@@ -26,7 +34,7 @@ function Users() {
   } = useUsers();
 
   // Check if user has edit/delete permissions (not MANAGEMENT_STAFF)
-  const canModify = hasRole(['SUPER_ADMIN', 'ADMIN']);
+  const canModify = hasRole(MANAGER_ROLES);
 
   // Modal states
   const [isEditModalOpen, setIsEditModalOpen] = useState(false);
@@ -42,11 +50,11 @@ function Users() {
 
   // Form states
   const [formError, setFormError] = useState(null);
-  const [formValidationErrors, setFormValidationErrors] = useState(null);
+  const [formFieldErrors, setFormFieldErrors] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
 
-  // Search debounce
-  const [searchInput, setSearchInput] = useState('');
+  // Search debounce - the input follows the URL on back/forward
+  const [searchInput, setSearchInput] = useSyncedInput(filters.search);
 
   // Debounce search input
   useEffect(() => {
@@ -74,12 +82,15 @@ function Users() {
     setIsLoadingDetails(false);
   };
 
+  // Record picked in the global search
+  useLocationState('openRecord', handleViewDetails);
+
   // Handle edit user
   const handleEditClick = (user) => {
     if (!canModify) return;
     setSelectedUser(user);
     setFormError(null);
-    setFormValidationErrors(null);
+    setFormFieldErrors(null);
     setIsEditModalOpen(true);
   };
 
@@ -87,7 +98,7 @@ function Users() {
   const handleEditSubmit = async (formData) => {
     setIsSubmitting(true);
     setFormError(null);
-    setFormValidationErrors(null);
+    setFormFieldErrors(null);
 
     const result = await updateUser(selectedUser._id, formData);
 
@@ -96,7 +107,7 @@ function Users() {
       setSelectedUser(null);
     } else {
       setFormError(result.error);
-      setFormValidationErrors(result.validationErrors);
+      setFormFieldErrors(result.fieldErrors);
     }
 
     setIsSubmitting(false);
@@ -117,7 +128,7 @@ function Users() {
 
     if (!result.success) {
       // Show error toast or notification
-      console.error('Delete failed:', result.error);
+      logger.error('Delete failed:', result.error);
     }
   };
 
@@ -135,7 +146,7 @@ function Users() {
     setSelectedUser(null);
 
     if (!result.success) {
-      console.error('Restore failed:', result.error);
+      logger.error('Restore failed:', result.error);
     }
   };
 
@@ -153,7 +164,7 @@ function Users() {
     setSelectedUser(null);
 
     if (!result.success) {
-      console.error('Permanent delete failed:', result.error);
+      logger.error('Permanent delete failed:', result.error);
     }
   };
 
@@ -167,7 +178,7 @@ function Users() {
     setIsEditModalOpen(false);
     setSelectedUser(null);
     setFormError(null);
-    setFormValidationErrors(null);
+    setFormFieldErrors(null);
   };
 
   const handleCloseDetailsModal = () => {
@@ -175,6 +186,147 @@ function Users() {
     setDetailsUser(null);
   };
 
+  const formatLastLogin = (lastLogin) => formatDate(lastLogin, DATE_OPTIONS, 'Never');
+
+  const columns = [
+    {
+      id: 'name',
+      header: 'User',
+      sortable: true,
+      hideable: false,
+      sortValue: (user) => user.name?.toLowerCase(),
+      render: (user) => (
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 bg-gradient-to-br from-gray-700 to-gray-800 rounded-full flex items-center justify-center flex-shrink-0">
+            <span className="text-white font-semibold text-sm">
+              {user.name?.charAt(0)?.toUpperCase() || '?'}
+            </span>
+          </div>
+          <div className="min-w-0">
+            <p className="font-medium text-gray-900 truncate">{user.name}</p>
+            <p className="text-sm text-gray-500 truncate">{user.email}</p>
+          </div>
+        </div>
+      ),
+    },
+    {
+      id: 'phone',
+      header: 'Phone',
+      render: (user) => <span className="text-gray-600">{user.phone || '-'}</span>,
+    },
+    {
+      id: 'lastLogin',
+      header: 'Last Login',
+      sortable: true,
+      sortValue: (user) => (user.lastLogin ? new Date(user.lastLogin).getTime() : null),
+      render: (user) => <span className="text-gray-600 text-sm">{formatLastLogin(user.lastLogin)}</span>,
+    },
+    {
+      id: 'status',
+      header: 'Status',
+      render: (user) =>
+        user.isDeleted ? (
+          <span className="px-3 py-1 rounded-full text-xs font-medium bg-red-100 text-red-700">
+            Deleted
+          </span>
+        ) : (
+          <span className="px-3 py-1 rounded-full text-xs font-medium bg-green-100 text-green-700">
+            Active
+          </span>
+        ),
+    },
+    {
+      id: 'actions',
+      header: 'Actions',
+      align: 'right',
+      hideable: false,
+      render: (user) => (
+        <div className="flex items-center justify-end gap-2">
+          <button
+            onClick={() => handleViewDetails(user)}
+            className="p-2 text-gray-800 hover:bg-gray-50 rounded-lg transition-all"
+            title="View Details"
+          >
+            <Eye className="h-5 w-5" />
+          </button>
+
+          {canModify && (
+            <>
+              {user.isDeleted ? (
+                <>
+                  <button
+                    onClick={() => handleRestoreClick(user)}
+                    className="p-2 text-green-600 hover:bg-green-50 rounded-lg transition-all"
+                    title="Restore User"
+                  >
+                    <RotateCcw className="h-5 w-5" />
+                  </button>
+                  <button
+                    onClick={() => handlePermanentDeleteClick(user)}
+                    className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-all"
+                    title="Permanently Delete"
+                  >
+                    <Trash2 className="h-5 w-5" />
+                  </button>
+                </>
+              ) : (
+                <>
+                  <button
+                    onClick={() => handleEditClick(user)}
+                    className="p-2 text-green-600 hover:bg-green-50 rounded-lg transition-all"
+                    title="Edit"
+                  >
+                    <Edit className="h-5 w-5" />
+                  </button>
+                  <button
+                    onClick={() => handleDeleteClick(user)}
+                    className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-all"
+                    title="Delete"
+                  >
+                    <Trash2 className="h-5 w-5" />
+                  </button>
+                </>
+              )}
+            </>
+          )}
+        </div>
+      ),
+    },
+  ];
+
+  // Run a row action over the selected users it applies to and report how many failed
+  const runBulk = async (targets, action, verb) => {
+    let failed = 0;
+    for (const user of targets) {
+      const result = await action(user._id);
+      if (!result.success) failed += 1;
+    }
+
+    if (failed > 0) {
+      toast.error(`${failed} of ${targets.length} users could not be ${verb}`);
+    } else {
+      toast.success(`${targets.length} users ${verb}`);
+    }
+  };
+
+  const bulkActions = [
+    {
+      id: 'delete',
+      label: 'Delete',
+      icon: Trash2,
+      variant: 'danger',
+      confirm: (rows) => `Delete ${rows.filter((user) => !user.isDeleted).length} selected users? You can restore them later.`,
+      onClick: (rows) => runBulk(rows.filter((user) => !user.isDeleted), deleteUser, 'deleted'),
+    },
+    filters.includeDeleted && {
+      id: 'restore',
+      label: 'Restore',
+      icon: RotateCcw,
+      confirm: (rows) => `Restore ${rows.filter((user) => user.isDeleted).length} selected users?`,
+      onClick: (rows) => runBulk(rows.filter((user) => user.isDeleted), restoreUser, 'restored'),
+    },
+  ].filter(Boolean);
+
   return (
     <div className="space-y-4 sm:space-y-6">
       {/* Page Header */}
@@ -185,6 +337,7 @@ function Users() {
             Manage and monitor user accounts
           </p>
         </div>
+        <SavedViewsMenu />
       </div>
 
       {/* Search & Filters */}
@@ -231,242 +384,32 @@ function Users() {
       )}
 
       {/* Users List */}
-      <div className="bg-white rounded-xl shadow-sm overflow-hidden border border-gray-200">
-        {isLoading && users.length === 0 ? (
-          <div className="py-12 flex flex-col items-center justify-center">
-            <Loader2 className="h-8 w-8 text-blue-600 animate-spin" />
-            <p className="mt-2 text-sm text-gray-500">Loading users...</p>
-          </div>
-        ) : users.length === 0 ? (
-          <div className="py-12 text-center text-gray-500">
-            <p>No users found</p>
-            {filters.search && (
-              <p className="text-sm mt-1">Try adjusting your search criteria</p>
-            )}
-          </div>
-        ) : (
-          <>
-            {/* Desktop Table View */}
-            <div className="hidden lg:block overflow-x-auto">
-              <table className="w-full">
-                <thead className="bg-gray-50 border-b border-gray-200">
-                  <tr>
-                    <th className="text-left px-6 py-4 text-sm font-medium text-gray-600">User</th>
-                    <th className="text-left px-6 py-4 text-sm font-medium text-gray-600">Phone</th>
-                    <th className="text-left px-6 py-4 text-sm font-medium text-gray-600">Last Login</th>
-                    <th className="text-left px-6 py-4 text-sm font-medium text-gray-600">Status</th>
-                    <th className="text-right px-6 py-4 text-sm font-medium text-gray-600">Actions</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {users.map((user) => (
-                    <tr
-                      key={user._id}
-                      className={`border-b border-gray-100 hover:bg-gray-50 transition-colors ${
-                        user.isDeleted ? 'bg-red-50/50' : ''
-                      }`}
-                    >
-                      <td className="px-6 py-4">
-                        <div className="flex items-center gap-3">
-                          <div className="w-10 h-10 bg-gradient-to-br from-gray-700 to-gray-800 rounded-full flex items-center justify-center flex-shrink-0">
-                            <span className="text-white font-semibold text-sm">
-                              {user.name?.charAt(0)?.toUpperCase() || '?'}
-                            </span>
-                          </div>
-                          <div className="min-w-0">
-                            <p className="font-medium text-gray-900 truncate">{user.name}</p>
-                            <p className="text-sm text-gray-500 truncate">{user.email}</p>
-                          </div>
-                        </div>
-                      </td>
-                      <td className="px-6 py-4 text-gray-600">{user.phone || '-'}</td>
-                      <td className="px-6 py-4 text-gray-600 text-sm">
-                        {user.lastLogin
-                          ? new Date(user.lastLogin).toLocaleDateString('en-IN', {
-                              day: 'numeric',
-                              month: 'short',
-                              year: 'numeric',
-                            })
-                          : 'Never'}
-                      </td>
-                      <td className="px-6 py-4">
-                        {user.isDeleted ? (
-                          <span className="px-3 py-1 rounded-full text-xs font-medium bg-red-100 text-red-700">
-                            Deleted
-                          </span>
-                        ) : (
-                          <span className="px-3 py-1 rounded-full text-xs font-medium bg-green-100 text-green-700">
-                            Active
-                          </span>
-                        )}
-                      </td>
-                      <td className="px-6 py-4">
-                        <div className="flex items-center justify-end gap-2">
-                          <button
-                            onClick={() => handleViewDetails(user)}
-                            className="p-2 text-gray-800 hover:bg-gray-50 rounded-lg transition-all"
-                            title="View Details"
-                          >
-                            <Eye className="h-5 w-5" />
-                          </button>
-
-                          {canModify && (
-                            <>
-                              {user.isDeleted ? (
-                                <>
-                                  <button
-                                    onClick={() => handleRestoreClick(user)}
-                                    className="p-2 text-green-600 hover:bg-green-50 rounded-lg transition-all"
-                                    title="Restore User"
-                                  >
-                                    <RotateCcw className="h-5 w-5" />
-                                  </button>
-                                  <button
-                                    onClick={() => handlePermanentDeleteClick(user)}
-                                    className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-all"
-                                    title="Permanently Delete"
-                                  >
-                                    <Trash2 className="h-5 w-5" />
-                                  </button>
-                                </>
-                              ) : (
-                                <>
-                                  <button
-                                    onClick={() => handleEditClick(user)}
-                                    className="p-2 text-green-600 hover:bg-green-50 rounded-lg transition-all"
-                                    title="Edit"
-                                  >
-                                    <Edit className="h-5 w-5" />
-                                  </button>
-                                  <button
-                                    onClick={() => handleDeleteClick(user)}
-                                    className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-all"
-                                    title="Delete"
-                                  >
-                                    <Trash2 className="h-5 w-5" />
-                                  </button>
-                                </>
-                              )}
-                            </>
-                          )}
-                        </div>
-                      </td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
-
-            {/* Mobile Card View */}
-            <div className="lg:hidden divide-y divide-gray-200">
-              {users.map((user) => (
-                <div
-                  key={user._id}
-                  className={`p-4 hover:bg-gray-50 transition-colors ${
-                    user.isDeleted ? 'bg-red-50/50' : ''
-                  }`}
-                >
-                  <div className="flex items-start gap-3 mb-3">
-                    <div className="w-12 h-12 bg-gradient-to-br from-gray-700 to-gray-800 rounded-full flex items-center justify-center flex-shrink-0">
-                      <span className="text-white font-semibold">
-                        {user.name?.charAt(0)?.toUpperCase() || '?'}
-                      </span>
-                    </div>
-                    <div className="flex-1 min-w-0">
-                      <p className="font-semibold text-gray-900 truncate">{user.name}</p>
-                      <p className="text-sm text-gray-500 truncate">{user.email}</p>
-                      <p className="text-sm text-gray-500 mt-1">{user.phone || 'No phone'}</p>
-                    </div>
-                    <div>
-                      {user.isDeleted ? (
-                        <span className="px-2.5 py-1 rounded-full text-xs font-medium bg-red-100 text-red-700">
-                          Deleted
-                        </span>
-                      ) : (
-                        <span className="px-2.5 py-1 rounded-full text-xs font-medium bg-green-100 text-green-700">
-                          Active
-                        </span>
-                      )}
-                    </div>
-                  </div>
-
-                  <div className="flex items-center justify-between text-sm">
-                    <span className="text-gray-500">
-                      Last login:{' '}
-                      {user.lastLogin
-                        ? new Date(user.lastLogin).toLocaleDateString('en-IN', {
-                            day: 'numeric',
-                            month: 'short',
-                          })
-                        : 'Never'}
-                    </span>
-
-                    <div className="flex items-center gap-1">
-                      <button
-                        onClick={() => handleViewDetails(user)}
-                        className="p-2 text-gray-800 hover:bg-gray-50 rounded-lg transition-all"
-                        title="View Details"
-                      >
-                        <Eye className="h-5 w-5" />
-                      </button>
-
-                      {canModify && (
-                        <>
-                          {user.isDeleted ? (
-                            <>
-                              <button
-                                onClick={() => handleRestoreClick(user)}
-                                className="p-2 text-green-600 hover:bg-green-50 rounded-lg transition-all"
-                                title="Restore"
-                              >
-                                <RotateCcw className="h-5 w-5" />
-                              </button>
-                              <button
-                                onClick={() => handlePermanentDeleteClick(user)}
-                                className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-all"
-                                title="Delete Forever"
-                              >
-                                <Trash2 className="h-5 w-5" />
-                              </button>
-                            </>
-                          ) : (
-                            <>
-                              <button
-                                onClick={() => handleEditClick(user)}
-                                className="p-2 text-green-600 hover:bg-green-50 rounded-lg transition-all"
-                                title="Edit"
-                              >
-                                <Edit className="h-5 w-5" />
-                              </button>
-                              <button
-                                onClick={() => handleDeleteClick(user)}
-                                className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-all"
-                                title="Delete"
-                              >
-                                <Trash2 className="h-5 w-5" />
-                              </button>
-                            </>
-                          )}
-                        </>
-                      )}
-                    </div>
-                  </div>
-                </div>
-              ))}
-            </div>
-
-            {/* Pagination */}
-            <Pagination
-              currentPage={pagination.page}
-              totalPages={pagination.totalPages}
-              totalItems={pagination.total}
-              itemsPerPage={pagination.limit}
-              onPageChange={changePage}
-              itemLabel="users"
-            />
-          </>
-        )}
-      </div>
+      <Table
+        columns={columns}
+        data={users}
+        loading={isLoading && users.length === 0}
+        loadingMessage="Loading users..."
+        emptyMessage="No users found"
+        emptyDescription={filters.search ? 'Try adjusting your search criteria' : undefined}
+        rowClassName={(user) => (user.isDeleted ? 'bg-red-50/50' : '')}
+        selectable={canModify}
+        bulkActions={bulkActions}
+        layoutKey="users"
+        maxHeight="70vh"
+      />
+
+      {users.length > 0 && (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200">
+          <Pagination
+            currentPage={pagination.page}
+            totalPages={pagination.totalPages}
+            totalItems={pagination.total}
+            itemsPerPage={pagination.limit}
+            onPageChange={changePage}
+            itemLabel="users"
+          />
+        </div>
+      )}
 
       {/* Edit Modal */}
       <UserForm
@@ -476,7 +419,7 @@ function Users() {
         user={selectedUser}
         isLoading={isSubmitting}
         serverError={formError}
-        validationErrors={formValidationErrors}
+        fieldErrors={formFieldErrors}
       />
 
       {/* Details Modal */}
@@ -20,21 +20,16 @@ import VoucherForm from '../components/vouchers/VoucherForm';
 import VoucherDetailsModal from '../components/vouchers/VoucherDetailsModal';
 import ConfirmDialog from '../components/ui/ConfirmDialog';
 import Pagination from '../components/ui/Pagination';
+import useLocationState from '../hooks/useLocationState';
+import logger from '../utils/logger';
+import { DATE_OPTIONS, formatDate as formatOrgDate } from '../utils/dates';
 
 /**
  * Format date for display
  * @param {string} dateString - ISO date string
  * @returns {string} Formatted date
  */
-const formatDate = (dateString) => {
-  if (!dateString) return '-';
-  const date = new Date(dateString);
-  return date.toLocaleDateString('en-IN', {
-    day: 'numeric',
-    month: 'short',
-    year: 'numeric',
-  });
-};
+const formatDate = (dateString) => formatOrgDate(dateString, DATE_OPTIONS, '-');
 
 /**
  * Calculate usage percentage
@@ -73,6 +68,7 @@ function Vouchers() {
     pagination,
     filters,
     isLoading,
+    isFetching,
     error,
     fetchVouchers,
     createVoucher,
@@ -184,7 +180,7 @@ function Vouchers() {
           setSelectedVoucher(result.data);
         }
       } catch (err) {
-        console.error('[Vouchers] Failed to fetch details:', err);
+        logger.error('[Vouchers] Failed to fetch details:', err);
       } finally {
         setDetailsLoading(false);
       }
@@ -192,6 +188,9 @@ function Vouchers() {
     [getVoucherById]
   );
 
+  // Record picked in the global search
+  useLocationState('openRecord', handleOpenDetails);
+
   // Close details modal
   const handleCloseDetailsModal = useCallback(() => {
     setIsDetailsModalOpen(false);
@@ -359,10 +358,10 @@ function Vouchers() {
           {/* Refresh Button */}
           <button
             onClick={handleRefresh}
-            disabled={isLoading}
+            disabled={isFetching}
             className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors disabled:opacity-50"
           >
-            <RefreshCw className={`h-4 w-4 ${isLoading ? 'animate-spin' : ''}`} />
+            <RefreshCw className={`h-4 w-4 ${isFetching ? 'animate-spin' : ''}`} />
             <span className="hidden sm:inline">Refresh</span>
           </button>
 
@@ -1,7 +1,10 @@
 import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
 
 const ADMIN_ENDPOINTS = {
   CREATE: '/web/auth/create',
+  INVITE: '/web/auth/admins/invite',
+  RESEND_INVITE: (id) => `/web/auth/admins/${id}/resend-invite`,
   LIST: '/web/auth/admins',
   GET_BY_ID: (id) => `/web/auth/admins/${id}`,
   UPDATE: (id) => `/web/auth/admins/${id}`,
@@ -23,13 +26,47 @@ const adminService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   create: async (adminData) => {
-    console.log('[AdminService] Creating admin:', adminData.username);
+    logger.debug('[AdminService] Creating admin:', adminData.username);
     const result = await handleApiResponse(api.post(ADMIN_ENDPOINTS.CREATE, adminData));
 
     if (result.success) {
-      console.log('[AdminService] Admin created successfully:', result.data.admin._id);
+      logger.debug('[AdminService] Admin created successfully:', result.data.admin._id);
     } else {
-      console.error('[AdminService] Failed to create admin:', result.message);
+      logger.error('[AdminService] Failed to create admin:', result.message);
+    }
+
+    return result;
+  },
+
+  /**
+   * Invite a new admin - they get a one-time link by email and set their own password
+   * @param {Object} adminData - { name, username, email, phone?, role?, access?, allowedEvents?, maxCashTicketsAllowed? }
+   * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
+   */
+  invite: async (adminData) => {
+    logger.debug('[AdminService] Inviting admin:', adminData.username);
+    const result = await handleApiResponse(api.post(ADMIN_ENDPOINTS.INVITE, adminData));
+
+    if (result.success) {
+      logger.debug('[AdminService] Admin invited successfully:', result.data.admin._id);
+    } else {
+      logger.error('[AdminService] Failed to invite admin:', result.message);
+    }
+
+    return result;
+  },
+
+  /**
+   * Send a fresh invite link - the previous link stops working
+   * @param {string} id - Admin ID
+   * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
+   */
+  resendInvite: async (id) => {
+    logger.debug('[AdminService] Resending invite:', id);
+    const result = await handleApiResponse(api.post(ADMIN_ENDPOINTS.RESEND_INVITE(id)));
+
+    if (!result.success) {
+      logger.error('[AdminService] Failed to resend invite:', result.message);
     }
 
     return result;
@@ -52,13 +89,13 @@ const adminService = {
     const queryString = queryParams.toString();
     const url = queryString ? `${ADMIN_ENDPOINTS.LIST}?${queryString}` : ADMIN_ENDPOINTS.LIST;
 
-    console.log('[AdminService] Fetching admins with params:', params);
+    logger.debug('[AdminService] Fetching admins with params:', params);
     const result = await handleApiResponse(api.get(url));
 
     if (result.success) {
-      console.log('[AdminService] Fetched admins:', result.data.admins?.length);
+      logger.debug('[AdminService] Fetched admins:', result.data.admins?.length);
     } else {
-      console.error('[AdminService] Failed to fetch admins:', result.message);
+      logger.error('[AdminService] Failed to fetch admins:', result.message);
     }
 
     return result;
@@ -70,13 +107,13 @@ const adminService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   getById: async (id) => {
-    console.log('[AdminService] Fetching admin by ID:', id);
+    logger.debug('[AdminService] Fetching admin by ID:', id);
     const result = await handleApiResponse(api.get(ADMIN_ENDPOINTS.GET_BY_ID(id)));
 
     if (result.success) {
-      console.log('[AdminService] Fetched admin:', result.data.admin.username);
+      logger.debug('[AdminService] Fetched admin:', result.data.admin.username);
     } else {
-      console.error('[AdminService] Failed to fetch admin:', result.message);
+      logger.error('[AdminService] Failed to fetch admin:', result.message);
     }
 
     return result;
@@ -89,13 +126,13 @@ const adminService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   update: async (id, updateData) => {
-    console.log('[AdminService] Updating admin:', id);
+    logger.debug('[AdminService] Updating admin:', id);
     const result = await handleApiResponse(api.put(ADMIN_ENDPOINTS.UPDATE(id), updateData));
 
     if (result.success) {
-      console.log('[AdminService] Admin updated successfully');
+      logger.debug('[AdminService] Admin updated successfully');
     } else {
-      console.error('[AdminService] Failed to update admin:', result.message);
+      logger.error('[AdminService] Failed to update admin:', result.message);
     }
 
     return result;
@@ -107,13 +144,13 @@ const adminService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   delete: async (id) => {
-    console.log('[AdminService] Deleting admin:', id);
+    logger.debug('[AdminService] Deleting admin:', id);
     const result = await handleApiResponse(api.delete(ADMIN_ENDPOINTS.DELETE(id)));
 
     if (result.success) {
-      console.log('[AdminService] Admin deleted successfully');
+      logger.debug('[AdminService] Admin deleted successfully');
     } else {
-      console.error('[AdminService] Failed to delete admin:', result.message);
+      logger.error('[AdminService] Failed to delete admin:', result.message);
     }
 
     return result;
@@ -125,13 +162,13 @@ const adminService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   getAllowedEvents: async (id) => {
-    console.log('[AdminService] Fetching allowed events for admin:', id);
+    logger.debug('[AdminService] Fetching allowed events for admin:', id);
     const result = await handleApiResponse(api.get(ADMIN_ENDPOINTS.GET_ALLOWED_EVENTS(id)));
 
     if (result.success) {
-      console.log('[AdminService] Fetched allowed events:', result.data.allowedEvents?.length);
+      logger.debug('[AdminService] Fetched allowed events:', result.data.allowedEvents?.length);
     } else {
-      console.error('[AdminService] Failed to fetch allowed events:', result.message);
+      logger.error('[AdminService] Failed to fetch allowed events:', result.message);
     }
 
     return result;
@@ -144,15 +181,15 @@ const adminService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   updateAllowedEvents: async (id, eventIds) => {
-    console.log('[AdminService] Updating allowed events for admin:', id);
+    logger.debug('[AdminService] Updating allowed events for admin:', id);
     const result = await handleApiResponse(
       api.put(ADMIN_ENDPOINTS.UPDATE_ALLOWED_EVENTS(id), { allowedEvents: eventIds })
     );
 
     if (result.success) {
-      console.log('[AdminService] Allowed events updated successfully');
+      logger.debug('[AdminService] Allowed events updated successfully');
     } else {
-      console.error('[AdminService] Failed to update allowed events:', result.message);
+      logger.error('[AdminService] Failed to update allowed events:', result.message);
     }
 
     return result;
@@ -165,15 +202,15 @@ const adminService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   addAllowedEvent: async (adminId, eventId) => {
-    console.log('[AdminService] Adding event to allowed events:', eventId);
+    logger.debug('[AdminService] Adding event to allowed events:', eventId);
     const result = await handleApiResponse(
       api.post(ADMIN_ENDPOINTS.ADD_ALLOWED_EVENT(adminId, eventId))
     );
 
     if (result.success) {
-      console.log('[AdminService] Event added to allowed events');
+      logger.debug('[AdminService] Event added to allowed events');
     } else {
-      console.error('[AdminService] Failed to add event:', result.message);
+      logger.error('[AdminService] Failed to add event:', result.message);
     }
 
     return result;
@@ -186,15 +223,15 @@ const adminService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   removeAllowedEvent: async (adminId, eventId) => {
-    console.log('[AdminService] Removing event from allowed events:', eventId);
+    logger.debug('[AdminService] Removing event from allowed events:', eventId);
     const result = await handleApiResponse(
       api.delete(ADMIN_ENDPOINTS.REMOVE_ALLOWED_EVENT(adminId, eventId))
     );
 
     if (result.success) {
-      console.log('[AdminService] Event removed from allowed events');
+      logger.debug('[AdminService] Event removed from allowed events');
     } else {
-      console.error('[AdminService] Failed to remove event:', result.message);
+      logger.error('[AdminService] Failed to remove event:', result.message);
     }
 
     return result;
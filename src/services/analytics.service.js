@@ -1,4 +1,5 @@
 import { api, handleApiResponse } from './api.service';
+import { DATE_OPTIONS, formatDate as formatOrgDate } from '../utils/dates';
 
 /**
  * Analytics API Service
@@ -85,12 +86,4 @@ export const calculatePercentage = (part, total) => {
  * @param {string} dateString - ISO date string
  * @returns {string} Formatted date
  */
-export const formatDate = (dateString) => {
-  if (!dateString) return 'N/A';
-  const date = new Date(dateString);
-  return new Intl.DateTimeFormat('en-IN', {
-    day: 'numeric',
-    month: 'short',
-    year: 'numeric',
-  }).format(date);
-};
+export const formatDate = (dateString) => formatOrgDate(dateString, DATE_OPTIONS, 'N/A');
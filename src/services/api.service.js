@@ -1,8 +1,11 @@
 import axios from 'axios';
 import { tokenStorage, clearAllAuthData } from '../utils/storage';
+import { broadcastAuthEvent, withRefreshLock, AUTH_EVENTS } from '../utils/authSync';
+import { parseFieldErrors } from '../utils/fieldErrors';
+import logger, { maskSensitiveData, recordApiCall } from '../utils/logger';
 
 // API Base URL - configure in .env file
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api';
+export const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api';
 
 // Host without the /api suffix, for resolving relative asset URLs returned by the API
 export const API_ORIGIN = API_BASE_URL.replace(/\/api\/?$/, '');
@@ -13,7 +16,10 @@ export const resolveAssetUrl = (relativePath) => {
   return `${API_ORIGIN}${relativePath.startsWith('/') ? '' : '/'}${relativePath}`;
 };
 
-console.log('[API] Initializing with base URL:', API_BASE_URL);
+// In-browser mock backend for offline development and demos - set VITE_USE_MOCK_API=true in .env
+export const IS_MOCK_API = import.meta.env.VITE_USE_MOCK_API === 'true';
+
+logger.debug('[API] Initializing with base URL:', API_BASE_URL, IS_MOCK_API ? '(mock backend)' : '');
 
 /**
  * Create axios instance with default config
@@ -26,6 +32,20 @@ const apiClient = axios.create({
   },
 });
 
+/**
+ * Route requests to the mock backend when enabled
+ * Also set on the global axios defaults so the raw refresh-token call is mocked too.
+ * The mocks are lazy-loaded and left out of the bundle when the flag is off.
+ */
+if (IS_MOCK_API) {
+  const mockAdapter = async (config) => {
+    const mocks = await import('../mocks');
+    return mocks.mockAdapter(config);
+  };
+  apiClient.defaults.adapter = mockAdapter;
+  axios.defaults.adapter = mockAdapter;
+}
+
 /**
  * Flag to prevent multiple refresh token requests
  */
@@ -36,7 +56,7 @@ let failedQueue = [];
  * Process queued requests after token refresh
  */
 const processQueue = (error, token = null) => {
-  console.log('[API] Processing queued requests:', failedQueue.length);
+  logger.debug('[API] Processing queued requests:', failedQueue.length);
   failedQueue.forEach((prom) => {
     if (error) {
       prom.reject(error);
@@ -48,26 +68,20 @@ const processQueue = (error, token = null) => {
 };
 
 /**
- * Mask sensitive fields in request/response data for logging
- * @param {Object} data - Request/response data
- * @returns {Object} - Data with sensitive fields masked
+ * Add a finished request to the logger's API call ring buffer
+ * @param {Object} config - Axios request config
+ * @param {Object} outcome - { status, message, error? }
  */
-const maskSensitiveData = (data) => {
-  if (!data || typeof data !== 'object') return data;
-  if (Array.isArray(data)) return data.map(maskSensitiveData);
-
-  const sensitiveFields = ['password', 'currentPassword', 'newPassword', 'refreshToken', 'accessToken'];
-  const masked = { ...data };
-
-  Object.keys(masked).forEach((key) => {
-    if (sensitiveFields.includes(key)) {
-      masked[key] = '***MASKED***';
-    } else if (typeof masked[key] === 'object' && masked[key] !== null) {
-      masked[key] = maskSensitiveData(masked[key]);
-    }
+const recordCall = (config, outcome) => {
+  if (!config) return;
+  recordApiCall({
+    method: config.method?.toUpperCase(),
+    url: config.url,
+    params: config.params || null,
+    body: config.metadata?.body ?? null,
+    durationMs: config.metadata ? Date.now() - config.metadata.startedAt : null,
+    ...outcome,
   });
-
-  return masked;
 };
 
 /**
@@ -81,7 +95,10 @@ apiClient.interceptors.request.use(
       config.headers.Authorization = `Bearer ${token}`;
     }
 
-    console.log(`[API] Request: ${config.method?.toUpperCase()} ${config.url}`, {
+    // Kept for the debug console's call log - the body is serialized after this runs
+    config.metadata = { startedAt: Date.now(), body: config.data };
+
+    logger.debug(`[API] Request: ${config.method?.toUpperCase()} ${config.url}`, {
       hasAuth: !!token,
       body: config.data ? maskSensitiveData(config.data) : null,
       params: config.params || null,
@@ -90,7 +107,7 @@ apiClient.interceptors.request.use(
     return config;
   },
   (error) => {
-    console.error('[API] Request error:', error.message);
+    logger.error('[API] Request error:', error.message);
     return Promise.reject(error);
   }
 );
@@ -100,16 +117,22 @@ apiClient.interceptors.request.use(
  */
 apiClient.interceptors.response.use(
   (response) => {
-    console.log(`[API] Response: ${response.status} ${response.config.url}`, {
+    logger.debug(`[API] Response: ${response.status} ${response.config.url}`, {
       message: response.data?.message,
       data: response.data?.data ? maskSensitiveData(response.data.data) : null,
     });
+    recordCall(response.config, { status: response.status, message: response.data?.message });
     return response;
   },
   async (error) => {
     const originalRequest = error.config;
+    recordCall(originalRequest, {
+      status: error.response?.status ?? null,
+      message: error.response?.data?.message || error.message,
+      error: error.response?.data?.error || error.code || null,
+    });
 
-    console.error('[API] Response error:', {
+    logger.error('[API] Response error:', {
       status: error.response?.status,
       url: originalRequest?.url,
       message: error.response?.data?.message || error.message,
@@ -122,10 +145,10 @@ apiClient.interceptors.response.use(
       !originalRequest.url?.includes('/auth/refresh-token') &&
       !originalRequest.url?.includes('/auth/login')
     ) {
-      console.log('[API] Token expired, attempting refresh...');
+      logger.debug('[API] Token expired, attempting refresh...');
 
       if (isRefreshing) {
-        console.log('[API] Refresh in progress, queueing request');
+        logger.debug('[API] Refresh in progress, queueing request');
         return new Promise((resolve, reject) => {
           failedQueue.push({ resolve, reject });
         })
@@ -142,31 +165,46 @@ apiClient.interceptors.response.use(
       const refreshToken = tokenStorage.getRefreshToken();
 
       if (!refreshToken) {
-        console.log('[API] No refresh token available, clearing auth');
+        logger.debug('[API] No refresh token available, clearing auth');
         isRefreshing = false;
         clearAllAuthData();
         window.location.href = '/login';
         return Promise.reject(error);
       }
 
+      // Token this request was sent with, to detect a refresh done meanwhile by another tab
+      const expiredToken = originalRequest.headers.Authorization?.replace(/^Bearer\s+/, '');
+
       try {
-        console.log('[API] Refreshing access token...');
-        const response = await axios.post(`${API_BASE_URL}/web/auth/refresh-token`, {
-          refreshToken,
-        });
+        const accessToken = await withRefreshLock(async () => {
+          const currentToken = tokenStorage.getAccessToken();
+          if (currentToken && currentToken !== expiredToken) {
+            logger.debug('[API] Token already refreshed by another tab');
+            return currentToken;
+          }
 
-        const { accessToken } = response.data.data;
-        console.log('[API] Token refresh successful');
+          logger.debug('[API] Refreshing access token...');
+          const response = await axios.post(`${API_BASE_URL}/web/auth/refresh-token`, {
+            refreshToken: tokenStorage.getRefreshToken(),
+          });
+
+          const { accessToken: newToken } = response.data.data;
+          logger.debug('[API] Token refresh successful');
+
+          tokenStorage.setAccessToken(newToken);
+          broadcastAuthEvent(AUTH_EVENTS.TOKEN_REFRESHED, { accessToken: newToken });
+          return newToken;
+        });
 
-        tokenStorage.setAccessToken(accessToken);
         processQueue(null, accessToken);
 
         originalRequest.headers.Authorization = `Bearer ${accessToken}`;
         return apiClient(originalRequest);
       } catch (refreshError) {
-        console.error('[API] Token refresh failed:', refreshError.response?.data?.message);
+        logger.error('[API] Token refresh failed:', refreshError.response?.data?.message);
         processQueue(refreshError, null);
         clearAllAuthData();
+        broadcastAuthEvent(AUTH_EVENTS.LOGOUT);
         window.location.href = '/login';
         return Promise.reject(refreshError);
       } finally {
@@ -180,8 +218,9 @@ apiClient.interceptors.response.use(
 
 /**
  * Generic API response handler
+ * Failures also carry `fieldErrors` - validation errors as { [field]: message } (see utils/fieldErrors)
  * @param {Promise} apiCall
- * @returns {Promise<{success: boolean, data: any, error: string|null, status: number}>}
+ * @returns {Promise<{success: boolean, data: any, error: string|null, fieldErrors?: Object|null, status: number}>}
  */
 export const handleApiResponse = async (apiCall) => {
   try {
@@ -199,10 +238,11 @@ export const handleApiResponse = async (apiCall) => {
       data: null,
       message: error.response?.data?.message || 'An unexpected error occurred',
       error: error.response?.data?.error || error.message,
+      fieldErrors: parseFieldErrors(error.response?.data),
       status: error.response?.status || 500,
     };
 
-    console.error('[API] Handled error:', errorResponse);
+    logger.error('[API] Handled error:', errorResponse);
     return errorResponse;
   }
 };
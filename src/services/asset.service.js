@@ -1,4 +1,5 @@
 import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
 
 /**
  * Asset Service - Handles file uploads and asset management
@@ -56,7 +57,7 @@ export const uploadAssets = async (files, options = {}) => {
       error: null,
     };
   } catch (error) {
-    console.error('[AssetService] Upload error:', error);
+    logger.error('[AssetService] Upload error:', error);
     return {
       success: false,
       data: null,
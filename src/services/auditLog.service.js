@@ -0,0 +1,75 @@
+import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
+
+const AUDIT_LOG_ENDPOINTS = {
+  LIST: '/web/audit-logs',
+  ENTITY_HISTORY: (entityType, entityId) => `/web/audit-logs/entity/${entityType}/${entityId}`,
+};
+
+/**
+ * Audit Log Service
+ * Read-only access to the record of admin actions kept by the backend
+ */
+const auditLogService = {
+  /**
+   * Get audit log entries with pagination and filters
+   * @param {Object} params - { page?, limit?, adminId?, entityType?, action?, startDate?, endDate? }
+   * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
+   */
+  getAll: async (params = {}) => {
+    const queryParams = new URLSearchParams();
+
+    if (params.page) queryParams.append('page', params.page);
+    if (params.limit) queryParams.append('limit', params.limit);
+    if (params.adminId) queryParams.append('adminId', params.adminId);
+    if (params.entityType) queryParams.append('entityType', params.entityType);
+    if (params.action) queryParams.append('action', params.action);
+    if (params.startDate) queryParams.append('startDate', params.startDate);
+    if (params.endDate) queryParams.append('endDate', params.endDate);
+
+    const queryString = queryParams.toString();
+    const url = queryString ? `${AUDIT_LOG_ENDPOINTS.LIST}?${queryString}` : AUDIT_LOG_ENDPOINTS.LIST;
+
+    logger.debug('[AuditLogService] Fetching audit logs with params:', params);
+    const result = await handleApiResponse(api.get(url));
+
+    if (result.success) {
+      logger.debug('[AuditLogService] Fetched audit logs:', result.data.logs?.length);
+    } else {
+      logger.error('[AuditLogService] Failed to fetch audit logs:', result.message);
+    }
+
+    return result;
+  },
+
+  /**
+   * Get the history of a single record
+   * @param {string} entityType - Entity type, e.g. 'USER'
+   * @param {string} entityId - Record ID
+   * @param {Object} params - { page?, limit? }
+   * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
+   */
+  getEntityHistory: async (entityType, entityId, params = {}) => {
+    const queryParams = new URLSearchParams();
+
+    if (params.page) queryParams.append('page', params.page);
+    if (params.limit) queryParams.append('limit', params.limit);
+
+    const queryString = queryParams.toString();
+    const baseUrl = AUDIT_LOG_ENDPOINTS.ENTITY_HISTORY(entityType, entityId);
+    const url = queryString ? `${baseUrl}?${queryString}` : baseUrl;
+
+    logger.debug('[AuditLogService] Fetching history for:', entityType, entityId);
+    const result = await handleApiResponse(api.get(url));
+
+    if (result.success) {
+      logger.debug('[AuditLogService] Fetched history entries:', result.data.logs?.length);
+    } else {
+      logger.error('[AuditLogService] Failed to fetch history:', result.message);
+    }
+
+    return result;
+  },
+};
+
+export default auditLogService;
@@ -1,13 +1,40 @@
 import { api, handleApiResponse } from './api.service';
 import { tokenStorage, adminStorage, clearAllAuthData } from '../utils/storage';
+import { adminHasRole, adminHasAccess } from '../utils/permissions';
+import { broadcastAuthEvent, AUTH_EVENTS } from '../utils/authSync';
+import logger from '../utils/logger';
 
 const AUTH_ENDPOINTS = {
   LOGIN: '/web/auth/login',
+  LOGIN_TWO_FACTOR: '/web/auth/login/2fa',
   REGISTER: '/web/auth/register',
   LOGOUT: '/web/auth/logout',
   REFRESH_TOKEN: '/web/auth/refresh-token',
   PROFILE: '/web/auth/profile',
   CHANGE_PASSWORD: '/web/auth/change-password',
+  FORGOT_PASSWORD: '/web/auth/forgot-password',
+  RESET_PASSWORD: '/web/auth/reset-password',
+  VERIFY_RESET_TOKEN: (token) => `/web/auth/reset-password/${token}`,
+  ACCEPT_INVITE: '/web/auth/accept-invite',
+  VERIFY_INVITE: (token) => `/web/auth/invite/${token}`,
+};
+
+/**
+ * Store tokens and admin data for a new session and sign in other open tabs
+ * @param {Object} admin - Admin data
+ * @param {Object} tokens - { accessToken, refreshToken }
+ * @param {boolean} rememberMe - Whether to persist session
+ */
+const startSession = (admin, tokens, rememberMe) => {
+  tokenStorage.setTokens(
+    {
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+    },
+    rememberMe
+  );
+  adminStorage.setAdmin(admin);
+  broadcastAuthEvent(AUTH_EVENTS.LOGIN, { tokens, admin, rememberMe });
 };
 
 /**
@@ -22,7 +49,7 @@ const authService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   login: async (credentials, rememberMe = false) => {
-    console.log('[Auth] Attempting login for:', credentials.username);
+    logger.debug('[Auth] Attempting login for:', credentials.username);
 
     const result = await handleApiResponse(
       api.post(AUTH_ENDPOINTS.LOGIN, {
@@ -32,29 +59,59 @@ const authService = {
     );
 
     if (result.success && result.data) {
+      // 2FA pending - tokens are only issued after the second step
+      if (result.data.requiresTwoFactor || result.data.twoFactorSetupRequired) {
+        logger.debug('[Auth] Second factor required for:', credentials.username);
+        return result;
+      }
+
       const { admin, tokens } = result.data;
+      startSession(admin, tokens, rememberMe);
 
-      // Store tokens
-      tokenStorage.setTokens(
-        {
-          accessToken: tokens.accessToken,
-          refreshToken: tokens.refreshToken,
-        },
-        rememberMe
-      );
+      logger.debug('[Auth] Login successful for:', admin.username);
+      logger.debug('[Auth] Admin role:', admin.role);
+    } else {
+      logger.error('[Auth] Login failed:', result.message);
+    }
 
-      // Store admin data
-      adminStorage.setAdmin(admin);
+    return result;
+  },
+
+  /**
+   * Complete a 2FA login with an authenticator or backup code
+   * @param {string} twoFactorToken - Pending login token returned by login
+   * @param {string} code - 6-digit TOTP code or a backup code
+   * @param {boolean} rememberMe - Whether to persist session
+   * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
+   */
+  verifyTwoFactor: async (twoFactorToken, code, rememberMe = false) => {
+    logger.debug('[Auth] Verifying second factor');
 
-      console.log('[Auth] Login successful for:', admin.username);
-      console.log('[Auth] Admin role:', admin.role);
+    const result = await handleApiResponse(
+      api.post(AUTH_ENDPOINTS.LOGIN_TWO_FACTOR, { twoFactorToken, code })
+    );
+
+    if (result.success && result.data) {
+      const { admin, tokens } = result.data;
+      startSession(admin, tokens, rememberMe);
+      logger.debug('[Auth] 2FA login successful for:', admin.username);
     } else {
-      console.error('[Auth] Login failed:', result.message);
+      logger.error('[Auth] 2FA verification failed:', result.message);
     }
 
     return result;
   },
 
+  /**
+   * Start the session issued after enrolling in 2FA during login
+   * @param {Object} data - { admin, tokens } from twoFactorService.enable
+   * @param {boolean} rememberMe - Whether to persist session
+   */
+  completeTwoFactorEnrollment: ({ admin, tokens }, rememberMe = false) => {
+    logger.debug('[Auth] 2FA enrollment complete for:', admin.username);
+    startSession(admin, tokens, rememberMe);
+  },
+
   /**
    * Register first super admin (only when no admins exist)
    * @param {Object} adminData - Registration data (name, username, password, email?, phone?)
@@ -62,28 +119,17 @@ const authService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   register: async (adminData, rememberMe = false) => {
-    console.log('[Auth] Attempting registration for:', adminData.username);
+    logger.debug('[Auth] Attempting registration for:', adminData.username);
 
     const result = await handleApiResponse(api.post(AUTH_ENDPOINTS.REGISTER, adminData));
 
     if (result.success && result.data) {
       const { admin, tokens } = result.data;
+      startSession(admin, tokens, rememberMe);
 
-      // Store tokens
-      tokenStorage.setTokens(
-        {
-          accessToken: tokens.accessToken,
-          refreshToken: tokens.refreshToken,
-        },
-        rememberMe
-      );
-
-      // Store admin data
-      adminStorage.setAdmin(admin);
-
-      console.log('[Auth] Registration successful for:', admin.username);
+      logger.debug('[Auth] Registration successful for:', admin.username);
     } else {
-      console.error('[Auth] Registration failed:', result.message);
+      logger.error('[Auth] Registration failed:', result.message);
     }
 
     return result;
@@ -94,20 +140,21 @@ const authService = {
    * @returns {Promise<{success: boolean, message: string}>}
    */
   logout: async () => {
-    console.log('[Auth] Attempting logout');
+    logger.debug('[Auth] Attempting logout');
 
     try {
       // Call logout endpoint to invalidate refresh token on server
       await handleApiResponse(api.post(AUTH_ENDPOINTS.LOGOUT));
-      console.log('[Auth] Server logout successful');
+      logger.debug('[Auth] Server logout successful');
     } catch (error) {
       // Even if server logout fails, clear local data
-      console.warn('[Auth] Server logout failed, clearing local data anyway:', error.message);
+      logger.warn('[Auth] Server logout failed, clearing local data anyway:', error.message);
     }
 
     // Always clear local auth data
     clearAllAuthData();
-    console.log('[Auth] Local auth data cleared');
+    broadcastAuthEvent(AUTH_EVENTS.LOGOUT);
+    logger.debug('[Auth] Local auth data cleared');
 
     return { success: true, message: 'Logged out successfully' };
   },
@@ -117,14 +164,14 @@ const authService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   getProfile: async () => {
-    console.log('[Auth] Fetching profile');
+    logger.debug('[Auth] Fetching profile');
 
     const result = await handleApiResponse(api.get(AUTH_ENDPOINTS.PROFILE));
 
     if (result.success && result.data) {
       // Update stored admin data
       adminStorage.setAdmin(result.data.admin);
-      console.log('[Auth] Profile fetched for:', result.data.admin.username);
+      logger.debug('[Auth] Profile fetched for:', result.data.admin.username);
     }
 
     return result;
@@ -136,13 +183,14 @@ const authService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   updateProfile: async (profileData) => {
-    console.log('[Auth] Updating profile');
+    logger.debug('[Auth] Updating profile');
 
     const result = await handleApiResponse(api.put(AUTH_ENDPOINTS.PROFILE, profileData));
 
     if (result.success && result.data) {
       adminStorage.setAdmin(result.data.admin);
-      console.log('[Auth] Profile updated successfully');
+      broadcastAuthEvent(AUTH_EVENTS.PROFILE_UPDATED, { admin: result.data.admin });
+      logger.debug('[Auth] Profile updated successfully');
     }
 
     return result;
@@ -154,16 +202,98 @@ const authService = {
    * @returns {Promise<{success: boolean, message: string, error: string|null}>}
    */
   changePassword: async (passwords) => {
-    console.log('[Auth] Changing password');
+    logger.debug('[Auth] Changing password');
 
     const result = await handleApiResponse(
       api.put(AUTH_ENDPOINTS.CHANGE_PASSWORD, passwords)
     );
 
     if (result.success) {
-      console.log('[Auth] Password changed successfully');
+      logger.debug('[Auth] Password changed successfully');
+    } else {
+      logger.error('[Auth] Password change failed:', result.message);
+    }
+
+    return result;
+  },
+
+  /**
+   * Request a password reset link by email
+   * The response is the same whether or not the email belongs to an admin
+   * @param {string} email - Admin email
+   * @returns {Promise<{success: boolean, message: string, error: string|null}>}
+   */
+  requestPasswordReset: async (email) => {
+    logger.debug('[Auth] Requesting password reset');
+
+    const result = await handleApiResponse(api.post(AUTH_ENDPOINTS.FORGOT_PASSWORD, { email }));
+
+    if (!result.success) {
+      logger.error('[Auth] Password reset request failed:', result.message);
+    }
+
+    return result;
+  },
+
+  /**
+   * Check a password reset token before asking for the new password
+   * @param {string} token - Token from the reset link
+   * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
+   */
+  verifyResetToken: async (token) => {
+    logger.debug('[Auth] Verifying password reset token');
+    return handleApiResponse(api.get(AUTH_ENDPOINTS.VERIFY_RESET_TOKEN(token)));
+  },
+
+  /**
+   * Set a new password with a reset token
+   * @param {string} token - Token from the reset link
+   * @param {string} newPassword - New password
+   * @returns {Promise<{success: boolean, message: string, error: string|null}>}
+   */
+  resetPassword: async (token, newPassword) => {
+    logger.debug('[Auth] Resetting password');
+
+    const result = await handleApiResponse(
+      api.post(AUTH_ENDPOINTS.RESET_PASSWORD, { token, newPassword })
+    );
+
+    if (result.success) {
+      logger.debug('[Auth] Password reset successfully');
+    } else {
+      logger.error('[Auth] Password reset failed:', result.message);
+    }
+
+    return result;
+  },
+
+  /**
+   * Look up an admin invite before asking for a password
+   * @param {string} token - Token from the invite link
+   * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
+   */
+  verifyInvite: async (token) => {
+    logger.debug('[Auth] Verifying invite token');
+    return handleApiResponse(api.get(AUTH_ENDPOINTS.VERIFY_INVITE(token)));
+  },
+
+  /**
+   * Accept an admin invite by choosing a password
+   * @param {string} token - Token from the invite link
+   * @param {string} password - Chosen password
+   * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
+   */
+  acceptInvite: async (token, password) => {
+    logger.debug('[Auth] Accepting invite');
+
+    const result = await handleApiResponse(
+      api.post(AUTH_ENDPOINTS.ACCEPT_INVITE, { token, password })
+    );
+
+    if (result.success) {
+      logger.debug('[Auth] Invite accepted for:', result.data?.admin?.username);
     } else {
-      console.error('[Auth] Password change failed:', result.message);
+      logger.error('[Auth] Invite acceptance failed:', result.message);
     }
 
     return result;
@@ -177,11 +307,11 @@ const authService = {
     const refreshToken = tokenStorage.getRefreshToken();
 
     if (!refreshToken) {
-      console.log('[Auth] No refresh token available');
+      logger.debug('[Auth] No refresh token available');
       return { success: false, accessToken: null, error: 'No refresh token' };
     }
 
-    console.log('[Auth] Refreshing access token');
+    logger.debug('[Auth] Refreshing access token');
 
     const result = await handleApiResponse(
       api.post(AUTH_ENDPOINTS.REFRESH_TOKEN, { refreshToken })
@@ -189,11 +319,12 @@ const authService = {
 
     if (result.success && result.data) {
       tokenStorage.setAccessToken(result.data.accessToken);
-      console.log('[Auth] Token refreshed successfully');
+      broadcastAuthEvent(AUTH_EVENTS.TOKEN_REFRESHED, { accessToken: result.data.accessToken });
+      logger.debug('[Auth] Token refreshed successfully');
       return { success: true, accessToken: result.data.accessToken, error: null };
     }
 
-    console.error('[Auth] Token refresh failed:', result.message);
+    logger.error('[Auth] Token refresh failed:', result.message);
     return { success: false, accessToken: null, error: result.message };
   },
 
@@ -203,10 +334,38 @@ const authService = {
    */
   isAuthenticated: () => {
     const hasTokens = tokenStorage.hasTokens();
-    console.log('[Auth] Checking authentication:', hasTokens);
+    logger.debug('[Auth] Checking authentication:', hasTokens);
     return hasTokens;
   },
 
+  /**
+   * Get the current session, for sharing with another tab
+   * @returns {{tokens: Object, admin: Object|null, rememberMe: boolean}|null}
+   */
+  getSession: () => {
+    if (!tokenStorage.hasTokens()) return null;
+    return {
+      tokens: {
+        accessToken: tokenStorage.getAccessToken(),
+        refreshToken: tokenStorage.getRefreshToken(),
+      },
+      admin: adminStorage.getAdmin(),
+      rememberMe: tokenStorage.getRememberMe(),
+    };
+  },
+
+  /**
+   * Store a session received from another tab
+   * @param {Object} session - { tokens, admin, rememberMe }
+   */
+  storeSession: ({ tokens, admin, rememberMe }) => {
+    logger.debug('[Auth] Storing session from another tab');
+    tokenStorage.setTokens(tokens, rememberMe);
+    if (admin) {
+      adminStorage.setAdmin(admin);
+    }
+  },
+
   /**
    * Get stored admin data
    * @returns {Object|null}
@@ -221,11 +380,7 @@ const authService = {
    * @returns {boolean}
    */
   hasRole: (roles) => {
-    const admin = adminStorage.getAdmin();
-    if (!admin) return false;
-
-    const roleArray = Array.isArray(roles) ? roles : [roles];
-    return roleArray.includes(admin.role);
+    return adminHasRole(adminStorage.getAdmin(), roles);
   },
 
   /**
@@ -234,10 +389,7 @@ const authService = {
    * @returns {boolean}
    */
   hasAccess: (permission) => {
-    const admin = adminStorage.getAdmin();
-    if (!admin) return false;
-
-    return admin.access?.includes(permission) || false;
+    return adminHasAccess(adminStorage.getAdmin(), permission);
   },
 };
 
@@ -5,6 +5,7 @@
  */
 
 import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
 
 const CHALLENGE_ENDPOINTS = {
   BASE: '/web/challenges',
@@ -47,7 +48,7 @@ const challengeService = {
     if (difficulty) queryParams.append('difficulty', difficulty);
 
     const url = `${CHALLENGE_ENDPOINTS.BASE}?${queryParams.toString()}`;
-    console.log('[ChallengeService] Fetching challenges:', url);
+    logger.debug('[ChallengeService] Fetching challenges:', url);
 
     return handleApiResponse(api.get(url));
   },
@@ -59,11 +60,11 @@ const challengeService = {
    */
   getById: async (id) => {
     if (!id) {
-      console.error('[ChallengeService] getById: No ID provided');
+      logger.error('[ChallengeService] getById: No ID provided');
       return { success: false, error: 'Challenge ID is required' };
     }
 
-    console.log('[ChallengeService] Fetching challenge:', id);
+    logger.debug('[ChallengeService] Fetching challenge:', id);
     return handleApiResponse(api.get(CHALLENGE_ENDPOINTS.GET_BY_ID(id)));
   },
 
@@ -73,11 +74,11 @@ const challengeService = {
    * @returns {Promise<Object>} API response
    */
   create: async (data) => {
-    console.log('[ChallengeService] Creating challenge:', data.title);
+    logger.debug('[ChallengeService] Creating challenge:', data.title);
 
     // Validate tasks
     if (!data.tasks || data.tasks.length === 0) {
-      console.error('[ChallengeService] create: No tasks provided');
+      logger.error('[ChallengeService] create: No tasks provided');
       return { success: false, error: 'At least one task is required' };
     }
 
@@ -92,11 +93,11 @@ const challengeService = {
    */
   update: async (id, data) => {
     if (!id) {
-      console.error('[ChallengeService] update: No ID provided');
+      logger.error('[ChallengeService] update: No ID provided');
       return { success: false, error: 'Challenge ID is required' };
     }
 
-    console.log('[ChallengeService] Updating challenge:', id);
+    logger.debug('[ChallengeService] Updating challenge:', id);
     return handleApiResponse(api.put(CHALLENGE_ENDPOINTS.UPDATE(id), data));
   },
 
@@ -107,11 +108,11 @@ const challengeService = {
    */
   delete: async (id) => {
     if (!id) {
-      console.error('[ChallengeService] delete: No ID provided');
+      logger.error('[ChallengeService] delete: No ID provided');
       return { success: false, error: 'Challenge ID is required' };
     }
 
-    console.log('[ChallengeService] Deleting challenge:', id);
+    logger.debug('[ChallengeService] Deleting challenge:', id);
     return handleApiResponse(api.delete(CHALLENGE_ENDPOINTS.DELETE(id)));
   },
 
@@ -122,11 +123,11 @@ const challengeService = {
    */
   toggleStatus: async (id) => {
     if (!id) {
-      console.error('[ChallengeService] toggleStatus: No ID provided');
+      logger.error('[ChallengeService] toggleStatus: No ID provided');
       return { success: false, error: 'Challenge ID is required' };
     }
 
-    console.log('[ChallengeService] Toggling status for challenge:', id);
+    logger.debug('[ChallengeService] Toggling status for challenge:', id);
     return handleApiResponse(api.patch(CHALLENGE_ENDPOINTS.TOGGLE_STATUS(id)));
   },
 
@@ -137,11 +138,11 @@ const challengeService = {
    */
   getStats: async (id) => {
     if (!id) {
-      console.error('[ChallengeService] getStats: No ID provided');
+      logger.error('[ChallengeService] getStats: No ID provided');
       return { success: false, error: 'Challenge ID is required' };
     }
 
-    console.log('[ChallengeService] Fetching stats for challenge:', id);
+    logger.debug('[ChallengeService] Fetching stats for challenge:', id);
     return handleApiResponse(api.get(CHALLENGE_ENDPOINTS.STATS(id)));
   },
 
@@ -153,7 +154,7 @@ const challengeService = {
    */
   getParticipants: async (id, params = {}) => {
     if (!id) {
-      console.error('[ChallengeService] getParticipants: No ID provided');
+      logger.error('[ChallengeService] getParticipants: No ID provided');
       return { success: false, error: 'Challenge ID is required' };
     }
 
@@ -169,7 +170,7 @@ const challengeService = {
     if (status) queryParams.append('status', status);
 
     const url = `${CHALLENGE_ENDPOINTS.PARTICIPANTS(id)}?${queryParams.toString()}`;
-    console.log('[ChallengeService] Fetching participants:', url);
+    logger.debug('[ChallengeService] Fetching participants:', url);
 
     return handleApiResponse(api.get(url));
   },
@@ -208,7 +209,7 @@ const challengeService = {
     }
 
     if (!challengeService._iconsPromise) {
-      console.log('[ChallengeService] Fetching icons');
+      logger.debug('[ChallengeService] Fetching icons');
       challengeService._iconsPromise = handleApiResponse(
         api.get(CHALLENGE_ENDPOINTS.ICONS)
       ).then((res) => {
@@ -1,4 +1,5 @@
 import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
 
 const CLUB_JOIN_REQUESTS_ENDPOINTS = {
   GET_ALL: '/web/clubs/join-requests/all',
@@ -32,7 +33,7 @@ const clubJoinRequestsService = {
     if (params.search) queryParams.append('search', params.search);
 
     const url = `${CLUB_JOIN_REQUESTS_ENDPOINTS.GET_ALL}?${queryParams.toString()}`;
-    console.log('[ClubJoinRequestsService] Fetching join requests:', url);
+    logger.debug('[ClubJoinRequestsService] Fetching join requests:', url);
     return handleApiResponse(api.get(url));
   },
 
@@ -44,7 +45,7 @@ const clubJoinRequestsService = {
    * @returns {Promise} Response with approval result
    */
   approveJoinRequest: async (requestId, data = {}) => {
-    console.log('[ClubJoinRequestsService] Approving join request:', requestId);
+    logger.debug('[ClubJoinRequestsService] Approving join request:', requestId);
     return handleApiResponse(
       api.post(CLUB_JOIN_REQUESTS_ENDPOINTS.APPROVE(requestId), data)
     );
@@ -59,7 +60,7 @@ const clubJoinRequestsService = {
    * @returns {Promise} Response with rejection result
    */
   rejectJoinRequest: async (requestId, data) => {
-    console.log('[ClubJoinRequestsService] Rejecting join request:', requestId);
+    logger.debug('[ClubJoinRequestsService] Rejecting join request:', requestId);
     return handleApiResponse(
       api.post(CLUB_JOIN_REQUESTS_ENDPOINTS.REJECT(requestId), data)
     );
@@ -73,7 +74,7 @@ const clubJoinRequestsService = {
    * @returns {Promise} Response with updated club
    */
   updateApprovalSetting: async (clubId, data) => {
-    console.log('[ClubJoinRequestsService] Updating club approval setting:', clubId, data);
+    logger.debug('[ClubJoinRequestsService] Updating club approval setting:', clubId, data);
     return handleApiResponse(
       api.put(CLUB_JOIN_REQUESTS_ENDPOINTS.UPDATE_APPROVAL_SETTING(clubId), data)
     );
@@ -1,4 +1,5 @@
 import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
 
 const CLUB_POSTS_ENDPOINTS = {
   CREATE_POST: '/app/connect/posts',
@@ -20,7 +21,7 @@ const clubPostsService = {
    * @returns {Promise} Response with created post
    */
   createPost: async (data) => {
-    console.log('[ClubPostsService] Creating post:', data);
+    logger.debug('[ClubPostsService] Creating post:', data);
     return handleApiResponse(
       api.post(CLUB_POSTS_ENDPOINTS.CREATE_POST, data)
     );
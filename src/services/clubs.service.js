@@ -1,4 +1,5 @@
 import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
 
 const CLUBS_ENDPOINTS = {
   CLUBS: '/web/clubs',
@@ -13,62 +14,62 @@ const CLUBS_ENDPOINTS = {
 const clubsService = {
   // ============ CLUBS ============
   createClub: async (clubData) => {
-    console.log('[ClubsService] Creating club');
+    logger.debug('[ClubsService] Creating club');
     return handleApiResponse(api.post(CLUBS_ENDPOINTS.CLUBS, clubData));
   },
 
   getClubs: async (params = {}) => {
-    console.log('[ClubsService] Fetching clubs with params:', params);
+    logger.debug('[ClubsService] Fetching clubs with params:', params);
     return handleApiResponse(api.get(CLUBS_ENDPOINTS.CLUBS, { params }));
   },
 
   getClubById: async (clubId) => {
-    console.log('[ClubsService] Fetching club:', clubId);
+    logger.debug('[ClubsService] Fetching club:', clubId);
     return handleApiResponse(api.get(`${CLUBS_ENDPOINTS.CLUBS}/${clubId}`));
   },
 
   updateClub: async (clubId, updateData) => {
-    console.log('[ClubsService] Updating club:', clubId);
+    logger.debug('[ClubsService] Updating club:', clubId);
     return handleApiResponse(api.put(`${CLUBS_ENDPOINTS.CLUBS}/${clubId}`, updateData));
   },
 
   deleteClub: async (clubId) => {
-    console.log('[ClubsService] Deleting club:', clubId);
+    logger.debug('[ClubsService] Deleting club:', clubId);
     return handleApiResponse(api.delete(`${CLUBS_ENDPOINTS.CLUBS}/${clubId}`));
   },
 
   getClubStats: async (clubId) => {
-    console.log('[ClubsService] Fetching club stats:', clubId);
+    logger.debug('[ClubsService] Fetching club stats:', clubId);
     return handleApiResponse(api.get(`${CLUBS_ENDPOINTS.CLUBS}/${clubId}/stats`));
   },
 
   // ============ MEMBERS ============
   // Uses app endpoint (Auth: Optional - works for admins)
   getClubMembers: async (clubId, params = {}) => {
-    console.log('[ClubsService] Fetching club members:', clubId);
+    logger.debug('[ClubsService] Fetching club members:', clubId);
     return handleApiResponse(api.get(`${CLUBS_ENDPOINTS.CONNECT_CLUBS}/${clubId}/members`, { params }));
   },
 
   // ============ POSTS ============
   getClubPosts: async (clubId, params = {}) => {
-    console.log('[ClubsService] Fetching club posts:', clubId, params);
+    logger.debug('[ClubsService] Fetching club posts:', clubId, params);
     return handleApiResponse(api.get(`${CLUBS_ENDPOINTS.CLUBS}/${clubId}/posts`, { params }));
   },
 
   getPostById: async (postId, includeDeleted = false) => {
-    console.log('[ClubsService] Fetching post:', postId);
+    logger.debug('[ClubsService] Fetching post:', postId);
     return handleApiResponse(api.get(`${CLUBS_ENDPOINTS.CLUBS}/posts/${postId}`, {
       params: { includeDeleted }
     }));
   },
 
   deletePost: async (postId) => {
-    console.log('[ClubsService] Deleting post:', postId);
+    logger.debug('[ClubsService] Deleting post:', postId);
     return handleApiResponse(api.delete(`${CLUBS_ENDPOINTS.CLUBS}/posts/${postId}`));
   },
 
   uploadMedia: async (file) => {
-    console.log('[ClubsService] Uploading club media');
+    logger.debug('[ClubsService] Uploading club media');
     const formData = new FormData();
     formData.append('file', file);
     return handleApiResponse(
@@ -79,7 +80,7 @@ const clubsService = {
   },
 
   createPost: async (clubId, data) => {
-    console.log('[ClubsService] Creating post in club:', clubId);
+    logger.debug('[ClubsService] Creating post in club:', clubId);
     return handleApiResponse(api.post(`${CLUBS_ENDPOINTS.CLUBS}/${clubId}/posts`, data));
   },
 
@@ -1,4 +1,5 @@
 import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
 
 const COUPON_ENDPOINTS = {
   BASE: '/web/coupons',
@@ -30,7 +31,7 @@ const couponService = {
    * @returns {Promise} Response with created coupon
    */
   create: async (data) => {
-    console.log('[CouponService] Creating coupon:', data.code);
+    logger.debug('[CouponService] Creating coupon:', data.code);
     return handleApiResponse(api.post(COUPON_ENDPOINTS.BASE, data));
   },
 
@@ -46,7 +47,7 @@ const couponService = {
    * @returns {Promise} Response with coupons array and pagination
    */
   getAll: async (params = {}) => {
-    console.log('[CouponService] Fetching coupons with params:', params);
+    logger.debug('[CouponService] Fetching coupons with params:', params);
 
     const queryParams = new URLSearchParams();
 
@@ -69,7 +70,7 @@ const couponService = {
    * @returns {Promise} Response with coupon data
    */
   getById: async (id) => {
-    console.log('[CouponService] Fetching coupon:', id);
+    logger.debug('[CouponService] Fetching coupon:', id);
     return handleApiResponse(api.get(COUPON_ENDPOINTS.BY_ID(id)));
   },
 
@@ -80,7 +81,7 @@ const couponService = {
    * @returns {Promise} Response with updated coupon
    */
   update: async (id, data) => {
-    console.log('[CouponService] Updating coupon:', id);
+    logger.debug('[CouponService] Updating coupon:', id);
     return handleApiResponse(api.put(COUPON_ENDPOINTS.BY_ID(id), data));
   },
 
@@ -90,7 +91,7 @@ const couponService = {
    * @returns {Promise} Response with deletion status
    */
   delete: async (id) => {
-    console.log('[CouponService] Deleting coupon:', id);
+    logger.debug('[CouponService] Deleting coupon:', id);
     return handleApiResponse(api.delete(COUPON_ENDPOINTS.BY_ID(id)));
   },
 
@@ -100,7 +101,7 @@ const couponService = {
    * @returns {Promise} Response with restored coupon
    */
   restore: async (id) => {
-    console.log('[CouponService] Restoring coupon:', id);
+    logger.debug('[CouponService] Restoring coupon:', id);
     return handleApiResponse(api.post(COUPON_ENDPOINTS.RESTORE(id)));
   },
 
@@ -110,7 +111,7 @@ const couponService = {
    * @returns {Promise} Response with deleted coupons array
    */
   getDeleted: async (params = {}) => {
-    console.log('[CouponService] Fetching deleted coupons');
+    logger.debug('[CouponService] Fetching deleted coupons');
 
     const queryParams = new URLSearchParams();
     if (params.page) queryParams.append('page', params.page);
@@ -130,7 +131,7 @@ const couponService = {
    * @returns {Promise} Response with coupon validation and pricing preview
    */
   validateForMembership: async (couponCode, membershipPlanId, phone) => {
-    console.log('[CouponService] Validating coupon for membership:', couponCode);
+    logger.debug('[CouponService] Validating coupon for membership:', couponCode);
     return handleApiResponse(
       api.post(COUPON_ENDPOINTS.VALIDATE_MEMBERSHIP, {
         couponCode,
@@ -0,0 +1,65 @@
+import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
+
+const ENROLLMENT_ENDPOINTS = {
+  EVENT_ENROLLMENTS: (eventId) => `/web/events/${eventId}/enrollments`,
+  CANCEL: (id) => `/web/enrollments/${id}/cancel`,
+};
+
+/**
+ * Enrollment Service
+ * Handles online event bookings - cash tickets and voucher redemptions
+ * live in their own services
+ */
+const enrollmentService = {
+  /**
+   * Get online enrollments for an event
+   * @param {string} eventId - Event ID
+   * @param {Object} params - { status?, search?, page?, limit? }
+   * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
+   */
+  getEventEnrollments: async (eventId, params = {}) => {
+    const queryParams = new URLSearchParams();
+
+    if (params.status) queryParams.append('status', params.status);
+    if (params.search) queryParams.append('search', params.search);
+    if (params.page) queryParams.append('page', params.page);
+    if (params.limit) queryParams.append('limit', params.limit);
+
+    const queryString = queryParams.toString();
+    const baseUrl = ENROLLMENT_ENDPOINTS.EVENT_ENROLLMENTS(eventId);
+    const url = queryString ? `${baseUrl}?${queryString}` : baseUrl;
+
+    logger.debug('[EnrollmentService] Fetching event enrollments:', eventId, params);
+    const result = await handleApiResponse(api.get(url));
+
+    if (result.success) {
+      logger.debug('[EnrollmentService] Fetched enrollments:', result.data.enrollments?.length);
+    } else {
+      logger.error('[EnrollmentService] Failed to fetch enrollments:', result.message);
+    }
+
+    return result;
+  },
+
+  /**
+   * Cancel an online enrollment
+   * @param {string} id - Enrollment ID
+   * @param {Object} data - { reason? }
+   * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
+   */
+  cancel: async (id, data = {}) => {
+    logger.debug('[EnrollmentService] Cancelling enrollment:', id);
+    const result = await handleApiResponse(api.post(ENROLLMENT_ENDPOINTS.CANCEL(id), data));
+
+    if (result.success) {
+      logger.debug('[EnrollmentService] Enrollment cancelled');
+    } else {
+      logger.error('[EnrollmentService] Failed to cancel enrollment:', result.message);
+    }
+
+    return result;
+  },
+};
+
+export default enrollmentService;
@@ -1,4 +1,5 @@
 import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
 
 const EVENT_ENDPOINTS = {
   BASE: '/web/events',
@@ -53,13 +54,13 @@ const eventService = {
     const queryString = buildQueryString(params);
     const url = queryString ? `${EVENT_ENDPOINTS.BASE}?${queryString}` : EVENT_ENDPOINTS.BASE;
 
-    console.log('[EventService] Fetching events with params:', params);
+    logger.debug('[EventService] Fetching events with params:', params);
     const result = await handleApiResponse(api.get(url));
 
     if (result.success) {
-      console.log('[EventService] Fetched events:', result.data.events?.length);
+      logger.debug('[EventService] Fetched events:', result.data.events?.length);
     } else {
-      console.error('[EventService] Failed to fetch events:', result.message);
+      logger.error('[EventService] Failed to fetch events:', result.message);
     }
 
     return result;
@@ -71,13 +72,13 @@ const eventService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   getById: async (id) => {
-    console.log('[EventService] Fetching event:', id);
+    logger.debug('[EventService] Fetching event:', id);
     const result = await handleApiResponse(api.get(`${EVENT_ENDPOINTS.BASE}/${id}`));
 
     if (result.success) {
-      console.log('[EventService] Fetched event:', result.data.event?.name);
+      logger.debug('[EventService] Fetched event:', result.data.event?.name);
     } else {
-      console.error('[EventService] Failed to fetch event:', result.message);
+      logger.error('[EventService] Failed to fetch event:', result.message);
     }
 
     return result;
@@ -89,13 +90,13 @@ const eventService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   create: async (eventData) => {
-    console.log('[EventService] Creating event:', eventData.name);
+    logger.debug('[EventService] Creating event:', eventData.name);
     const result = await handleApiResponse(api.post(EVENT_ENDPOINTS.BASE, eventData));
 
     if (result.success) {
-      console.log('[EventService] Created event:', result.data.event?._id);
+      logger.debug('[EventService] Created event:', result.data.event?._id);
     } else {
-      console.error('[EventService] Failed to create event:', result.message);
+      logger.error('[EventService] Failed to create event:', result.message);
     }
 
     return result;
@@ -108,13 +109,13 @@ const eventService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   update: async (id, updateData) => {
-    console.log('[EventService] Updating event:', id);
+    logger.debug('[EventService] Updating event:', id);
     const result = await handleApiResponse(api.put(`${EVENT_ENDPOINTS.BASE}/${id}`, updateData));
 
     if (result.success) {
-      console.log('[EventService] Updated event:', result.data.event?.name);
+      logger.debug('[EventService] Updated event:', result.data.event?.name);
     } else {
-      console.error('[EventService] Failed to update event:', result.message);
+      logger.error('[EventService] Failed to update event:', result.message);
     }
 
     return result;
@@ -126,13 +127,13 @@ const eventService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   delete: async (id) => {
-    console.log('[EventService] Deleting event:', id);
+    logger.debug('[EventService] Deleting event:', id);
     const result = await handleApiResponse(api.delete(`${EVENT_ENDPOINTS.BASE}/${id}`));
 
     if (result.success) {
-      console.log('[EventService] Deleted event successfully');
+      logger.debug('[EventService] Deleted event successfully');
     } else {
-      console.error('[EventService] Failed to delete event:', result.message);
+      logger.error('[EventService] Failed to delete event:', result.message);
     }
 
     return result;
@@ -144,13 +145,13 @@ const eventService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   restore: async (id) => {
-    console.log('[EventService] Restoring event:', id);
+    logger.debug('[EventService] Restoring event:', id);
     const result = await handleApiResponse(api.post(`${EVENT_ENDPOINTS.BASE}/${id}/restore`));
 
     if (result.success) {
-      console.log('[EventService] Restored event successfully');
+      logger.debug('[EventService] Restored event successfully');
     } else {
-      console.error('[EventService] Failed to restore event:', result.message);
+      logger.error('[EventService] Failed to restore event:', result.message);
     }
 
     return result;
@@ -162,13 +163,13 @@ const eventService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   permanentDelete: async (id) => {
-    console.log('[EventService] Permanently deleting event:', id);
+    logger.debug('[EventService] Permanently deleting event:', id);
     const result = await handleApiResponse(api.delete(`${EVENT_ENDPOINTS.BASE}/${id}/permanent`));
 
     if (result.success) {
-      console.log('[EventService] Permanently deleted event successfully');
+      logger.debug('[EventService] Permanently deleted event successfully');
     } else {
-      console.error('[EventService] Failed to permanently delete event:', result.message);
+      logger.error('[EventService] Failed to permanently delete event:', result.message);
     }
 
     return result;
@@ -183,13 +184,13 @@ const eventService = {
     const queryString = buildQueryString(params);
     const url = queryString ? `${EVENT_ENDPOINTS.DELETED}?${queryString}` : EVENT_ENDPOINTS.DELETED;
 
-    console.log('[EventService] Fetching deleted events');
+    logger.debug('[EventService] Fetching deleted events');
     const result = await handleApiResponse(api.get(url));
 
     if (result.success) {
-      console.log('[EventService] Fetched deleted events:', result.data.events?.length);
+      logger.debug('[EventService] Fetched deleted events:', result.data.events?.length);
     } else {
-      console.error('[EventService] Failed to fetch deleted events:', result.message);
+      logger.error('[EventService] Failed to fetch deleted events:', result.message);
     }
 
     return result;
@@ -204,13 +205,13 @@ const eventService = {
     const queryString = buildQueryString(params);
     const url = queryString ? `${EVENT_ENDPOINTS.DROPDOWN}?${queryString}` : EVENT_ENDPOINTS.DROPDOWN;
 
-    console.log('[EventService] Fetching dropdown events with params:', params);
+    logger.debug('[EventService] Fetching dropdown events with params:', params);
     const result = await handleApiResponse(api.get(url));
 
     if (result.success) {
-      console.log('[EventService] Fetched events:', result.data.events?.length);
+      logger.debug('[EventService] Fetched events:', result.data.events?.length);
     } else {
-      console.error('[EventService] Failed to fetch events:', result.message);
+      logger.error('[EventService] Failed to fetch events:', result.message);
     }
 
     return result;
@@ -222,13 +223,13 @@ const eventService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   getTicketStats: async (id) => {
-    console.log('[EventService] Fetching ticket stats for event:', id);
+    logger.debug('[EventService] Fetching ticket stats for event:', id);
     const result = await handleApiResponse(api.get(`${EVENT_ENDPOINTS.BASE}/${id}/ticket-stats`));
 
     if (result.success) {
-      console.log('[EventService] Fetched ticket stats');
+      logger.debug('[EventService] Fetched ticket stats');
     } else {
-      console.error('[EventService] Failed to fetch ticket stats:', result.message);
+      logger.error('[EventService] Failed to fetch ticket stats:', result.message);
     }
 
     return result;
@@ -239,13 +240,13 @@ const eventService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   updateExpired: async () => {
-    console.log('[EventService] Updating expired events');
+    logger.debug('[EventService] Updating expired events');
     const result = await handleApiResponse(api.post(EVENT_ENDPOINTS.UPDATE_EXPIRED));
 
     if (result.success) {
-      console.log('[EventService] Updated expired events:', result.data.updatedCount);
+      logger.debug('[EventService] Updated expired events:', result.data.updatedCount);
     } else {
-      console.error('[EventService] Failed to update expired events:', result.message);
+      logger.error('[EventService] Failed to update expired events:', result.message);
     }
 
     return result;
@@ -260,13 +261,13 @@ const eventService = {
     const queryString = buildQueryString(params);
     const url = queryString ? `${EVENT_ENDPOINTS.FEATURED}?${queryString}` : EVENT_ENDPOINTS.FEATURED;
 
-    console.log('[EventService] Fetching featured events');
+    logger.debug('[EventService] Fetching featured events');
     const result = await handleApiResponse(api.get(url));
 
     if (result.success) {
-      console.log('[EventService] Fetched featured events:', result.data.events?.length);
+      logger.debug('[EventService] Fetched featured events:', result.data.events?.length);
     } else {
-      console.error('[EventService] Failed to fetch featured events:', result.message);
+      logger.error('[EventService] Failed to fetch featured events:', result.message);
     }
 
     return result;
@@ -1,4 +1,5 @@
 import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
 
 const MEMBERSHIP_ENDPOINTS = {
   PLANS: '/web/membership-plans',
@@ -12,60 +13,60 @@ const MEMBERSHIP_ENDPOINTS = {
 const membershipService = {
   // Membership Plans
   createPlan: async (planData) => {
-    console.log('[MembershipService] Creating membership plan');
+    logger.debug('[MembershipService] Creating membership plan');
     return handleApiResponse(api.post(MEMBERSHIP_ENDPOINTS.PLANS, planData));
   },
 
   getPlans: async (params = {}) => {
-    console.log('[MembershipService] Fetching membership plans with params:', params);
+    logger.debug('[MembershipService] Fetching membership plans with params:', params);
     return handleApiResponse(api.get(MEMBERSHIP_ENDPOINTS.PLANS, { params }));
   },
 
   getPlanById: async (planId) => {
-    console.log('[MembershipService] Fetching membership plan:', planId);
+    logger.debug('[MembershipService] Fetching membership plan:', planId);
     return handleApiResponse(api.get(`${MEMBERSHIP_ENDPOINTS.PLANS}/${planId}`));
   },
 
   updatePlan: async (planId, updateData) => {
-    console.log('[MembershipService] Updating membership plan:', planId);
+    logger.debug('[MembershipService] Updating membership plan:', planId);
     return handleApiResponse(api.put(`${MEMBERSHIP_ENDPOINTS.PLANS}/${planId}`, updateData));
   },
 
   deletePlan: async (planId) => {
-    console.log('[MembershipService] Deleting membership plan:', planId);
+    logger.debug('[MembershipService] Deleting membership plan:', planId);
     return handleApiResponse(api.delete(`${MEMBERSHIP_ENDPOINTS.PLANS}/${planId}`));
   },
 
   restorePlan: async (planId) => {
-    console.log('[MembershipService] Restoring membership plan:', planId);
+    logger.debug('[MembershipService] Restoring membership plan:', planId);
     return handleApiResponse(api.post(`${MEMBERSHIP_ENDPOINTS.PLANS}/${planId}/restore`));
   },
 
   // User Memberships
   createUserMembership: async (payload) => {
-    console.log('[MembershipService] Creating user membership for phone:', payload?.phone);
+    logger.debug('[MembershipService] Creating user membership for phone:', payload?.phone);
     return handleApiResponse(api.post(MEMBERSHIP_ENDPOINTS.USER_MEMBERSHIPS, payload));
   },
 
   getUserMemberships: async (params = {}) => {
-    console.log('[MembershipService] Fetching user memberships with params:', params);
+    logger.debug('[MembershipService] Fetching user memberships with params:', params);
     return handleApiResponse(api.get(MEMBERSHIP_ENDPOINTS.USER_MEMBERSHIPS, { params }));
   },
 
   checkMembershipStatus: async (phone) => {
-    console.log('[MembershipService] Checking membership status for phone:', phone);
+    logger.debug('[MembershipService] Checking membership status for phone:', phone);
     return handleApiResponse(
       api.post(`${MEMBERSHIP_ENDPOINTS.USER_MEMBERSHIPS}/check-status`, { phone })
     );
   },
 
   getUserMembershipById: async (membershipId) => {
-    console.log('[MembershipService] Fetching user membership:', membershipId);
+    logger.debug('[MembershipService] Fetching user membership:', membershipId);
     return handleApiResponse(api.get(`${MEMBERSHIP_ENDPOINTS.USER_MEMBERSHIPS}/${membershipId}`));
   },
 
   extendUserMembership: async (membershipId, additionalDays) => {
-    console.log('[MembershipService] Extending membership:', membershipId, 'by', additionalDays, 'days');
+    logger.debug('[MembershipService] Extending membership:', membershipId, 'by', additionalDays, 'days');
     return handleApiResponse(
       api.post(`${MEMBERSHIP_ENDPOINTS.USER_MEMBERSHIPS}/${membershipId}/extend`, {
         additionalDays,
@@ -74,14 +75,14 @@ const membershipService = {
   },
 
   cancelUserMembership: async (membershipId, reason) => {
-    console.log('[MembershipService] Cancelling membership:', membershipId);
+    logger.debug('[MembershipService] Cancelling membership:', membershipId);
     return handleApiResponse(
       api.post(`${MEMBERSHIP_ENDPOINTS.USER_MEMBERSHIPS}/${membershipId}/cancel`, { reason })
     );
   },
 
   updateAdminNotes: async (membershipId, adminNotes) => {
-    console.log('[MembershipService] Updating admin notes for membership:', membershipId);
+    logger.debug('[MembershipService] Updating admin notes for membership:', membershipId);
     return handleApiResponse(
       api.patch(`${MEMBERSHIP_ENDPOINTS.USER_MEMBERSHIPS}/${membershipId}/notes`, {
         adminNotes,
@@ -90,7 +91,7 @@ const membershipService = {
   },
 
   deleteUserMembership: async (membershipId) => {
-    console.log('[MembershipService] Deleting user membership:', membershipId);
+    logger.debug('[MembershipService] Deleting user membership:', membershipId);
     return handleApiResponse(api.delete(`${MEMBERSHIP_ENDPOINTS.USER_MEMBERSHIPS}/${membershipId}`));
   },
 };
@@ -1,4 +1,5 @@
 import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
 
 const MEMBERSHIP_REQUEST_ENDPOINTS = {
   BASE: '/web/membership-requests',
@@ -30,13 +31,13 @@ const membershipRequestService = {
    * Get available membership plans (public endpoint)
    */
   getPlans: async () => {
-    console.log('[MembershipRequestService] Fetching plans');
+    logger.debug('[MembershipRequestService] Fetching plans');
     const result = await handleApiResponse(api.get(MEMBERSHIP_REQUEST_ENDPOINTS.PLANS));
 
     if (result.success) {
-      console.log('[MembershipRequestService] Fetched plans:', result.data.plans?.length);
+      logger.debug('[MembershipRequestService] Fetched plans:', result.data.plans?.length);
     } else {
-      console.error('[MembershipRequestService] Failed to fetch plans:', result.message);
+      logger.error('[MembershipRequestService] Failed to fetch plans:', result.message);
     }
 
     return result;
@@ -46,15 +47,15 @@ const membershipRequestService = {
    * Submit a new membership request (public endpoint)
    */
   submitRequest: async (data) => {
-    console.log('[MembershipRequestService] Submitting request for:', data.phone);
+    logger.debug('[MembershipRequestService] Submitting request for:', data.phone);
     const result = await handleApiResponse(
       api.post(MEMBERSHIP_REQUEST_ENDPOINTS.BASE, data)
     );
 
     if (result.success) {
-      console.log('[MembershipRequestService] Request submitted:', result.data.requestId);
+      logger.debug('[MembershipRequestService] Request submitted:', result.data.requestId);
     } else {
-      console.error('[MembershipRequestService] Failed to submit request:', result.message);
+      logger.error('[MembershipRequestService] Failed to submit request:', result.message);
     }
 
     return result;
@@ -69,7 +70,7 @@ const membershipRequestService = {
     );
 
     if (result.success) {
-      console.log('[MembershipRequestService] Pending count:', result.data.count);
+      logger.debug('[MembershipRequestService] Pending count:', result.data.count);
     }
 
     return result;
@@ -84,13 +85,13 @@ const membershipRequestService = {
       ? `${MEMBERSHIP_REQUEST_ENDPOINTS.BASE}?${queryString}`
       : MEMBERSHIP_REQUEST_ENDPOINTS.BASE;
 
-    console.log('[MembershipRequestService] Fetching requests with params:', params);
+    logger.debug('[MembershipRequestService] Fetching requests with params:', params);
     const result = await handleApiResponse(api.get(url));
 
     if (result.success) {
-      console.log('[MembershipRequestService] Fetched requests:', result.data.requests?.length);
+      logger.debug('[MembershipRequestService] Fetched requests:', result.data.requests?.length);
     } else {
-      console.error('[MembershipRequestService] Failed to fetch requests:', result.message);
+      logger.error('[MembershipRequestService] Failed to fetch requests:', result.message);
     }
 
     return result;
@@ -100,15 +101,15 @@ const membershipRequestService = {
    * Get single membership request by ID (admin only)
    */
   getById: async (id) => {
-    console.log('[MembershipRequestService] Fetching request:', id);
+    logger.debug('[MembershipRequestService] Fetching request:', id);
     const result = await handleApiResponse(
       api.get(`${MEMBERSHIP_REQUEST_ENDPOINTS.BASE}/${id}`)
     );
 
     if (result.success) {
-      console.log('[MembershipRequestService] Fetched request:', result.data.request?.name);
+      logger.debug('[MembershipRequestService] Fetched request:', result.data.request?.name);
     } else {
-      console.error('[MembershipRequestService] Failed to fetch request:', result.message);
+      logger.error('[MembershipRequestService] Failed to fetch request:', result.message);
     }
 
     return result;
@@ -118,15 +119,15 @@ const membershipRequestService = {
    * Approve a membership request (admin only)
    */
   approve: async (id, data) => {
-    console.log('[MembershipRequestService] Approving request:', id);
+    logger.debug('[MembershipRequestService] Approving request:', id);
     const result = await handleApiResponse(
       api.post(`${MEMBERSHIP_REQUEST_ENDPOINTS.BASE}/${id}/approve`, data)
     );
 
     if (result.success) {
-      console.log('[MembershipRequestService] Request approved:', result.data.paymentLink);
+      logger.debug('[MembershipRequestService] Request approved:', result.data.paymentLink);
     } else {
-      console.error('[MembershipRequestService] Failed to approve request:', result.message);
+      logger.error('[MembershipRequestService] Failed to approve request:', result.message);
     }
 
     return result;
@@ -136,15 +137,15 @@ const membershipRequestService = {
    * Reject a membership request (admin only)
    */
   reject: async (id, data) => {
-    console.log('[MembershipRequestService] Rejecting request:', id);
+    logger.debug('[MembershipRequestService] Rejecting request:', id);
     const result = await handleApiResponse(
       api.post(`${MEMBERSHIP_REQUEST_ENDPOINTS.BASE}/${id}/reject`, data)
     );
 
     if (result.success) {
-      console.log('[MembershipRequestService] Request rejected');
+      logger.debug('[MembershipRequestService] Request rejected');
     } else {
-      console.error('[MembershipRequestService] Failed to reject request:', result.message);
+      logger.error('[MembershipRequestService] Failed to reject request:', result.message);
     }
 
     return result;
@@ -154,15 +155,15 @@ const membershipRequestService = {
    * Resend payment link (admin only)
    */
   resendPaymentLink: async (id) => {
-    console.log('[MembershipRequestService] Resending payment link:', id);
+    logger.debug('[MembershipRequestService] Resending payment link:', id);
     const result = await handleApiResponse(
       api.post(`${MEMBERSHIP_REQUEST_ENDPOINTS.BASE}/${id}/resend-link`)
     );
 
     if (result.success) {
-      console.log('[MembershipRequestService] Payment link resent');
+      logger.debug('[MembershipRequestService] Payment link resent');
     } else {
-      console.error('[MembershipRequestService] Failed to resend link:', result.message);
+      logger.error('[MembershipRequestService] Failed to resend link:', result.message);
     }
 
     return result;
@@ -176,15 +177,15 @@ const membershipRequestService = {
    * @returns {Promise} Response with withdrawal status
    */
   withdraw: async (id, data) => {
-    console.log('[MembershipRequestService] Withdrawing request:', id);
+    logger.debug('[MembershipRequestService] Withdrawing request:', id);
     const result = await handleApiResponse(
       api.post(`${MEMBERSHIP_REQUEST_ENDPOINTS.BASE}/${id}/withdraw`, data)
     );
 
     if (result.success) {
-      console.log('[MembershipRequestService] Request withdrawn successfully');
+      logger.debug('[MembershipRequestService] Request withdrawn successfully');
     } else {
-      console.error('[MembershipRequestService] Failed to withdraw request:', result.message);
+      logger.error('[MembershipRequestService] Failed to withdraw request:', result.message);
     }
 
     return result;
@@ -1,4 +1,5 @@
 import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
 
 const MOTIVATA_BLEND_ENDPOINTS = {
   BASE: '/web/motivata-blend/admin/requests',
@@ -36,7 +37,7 @@ const motivataBlendService = {
     );
 
     if (result.success) {
-      console.log('[MotivataBlendService] Pending count:', result.data.count);
+      logger.debug('[MotivataBlendService] Pending count:', result.data.count);
     }
 
     return result;
@@ -51,13 +52,13 @@ const motivataBlendService = {
       ? `${MOTIVATA_BLEND_ENDPOINTS.BASE}?${queryString}`
       : MOTIVATA_BLEND_ENDPOINTS.BASE;
 
-    console.log('[MotivataBlendService] Fetching requests with params:', params);
+    logger.debug('[MotivataBlendService] Fetching requests with params:', params);
     const result = await handleApiResponse(api.get(url));
 
     if (result.success) {
-      console.log('[MotivataBlendService] Fetched requests:', result.data.requests?.length);
+      logger.debug('[MotivataBlendService] Fetched requests:', result.data.requests?.length);
     } else {
-      console.error('[MotivataBlendService] Failed to fetch requests:', result.message);
+      logger.error('[MotivataBlendService] Failed to fetch requests:', result.message);
     }
 
     return result;
@@ -67,15 +68,15 @@ const motivataBlendService = {
    * Get single request by ID (admin only)
    */
   getById: async (id) => {
-    console.log('[MotivataBlendService] Fetching request:', id);
+    logger.debug('[MotivataBlendService] Fetching request:', id);
     const result = await handleApiResponse(
       api.get(`${MOTIVATA_BLEND_ENDPOINTS.BASE}/${id}`)
     );
 
     if (result.success) {
-      console.log('[MotivataBlendService] Fetched request:', result.data.request?.name);
+      logger.debug('[MotivataBlendService] Fetched request:', result.data.request?.name);
     } else {
-      console.error('[MotivataBlendService] Failed to fetch request:', result.message);
+      logger.error('[MotivataBlendService] Failed to fetch request:', result.message);
     }
 
     return result;
@@ -85,15 +86,15 @@ const motivataBlendService = {
    * Approve a request (admin only)
    */
   approve: async (id, data = {}) => {
-    console.log('[MotivataBlendService] Approving request:', id);
+    logger.debug('[MotivataBlendService] Approving request:', id);
     const result = await handleApiResponse(
       api.post(`${MOTIVATA_BLEND_ENDPOINTS.BASE}/${id}/approve`, data)
     );
 
     if (result.success) {
-      console.log('[MotivataBlendService] Request approved');
+      logger.debug('[MotivataBlendService] Request approved');
     } else {
-      console.error('[MotivataBlendService] Failed to approve request:', result.message);
+      logger.error('[MotivataBlendService] Failed to approve request:', result.message);
     }
 
     return result;
@@ -103,15 +104,15 @@ const motivataBlendService = {
    * Reject a request (admin only)
    */
   reject: async (id, data) => {
-    console.log('[MotivataBlendService] Rejecting request:', id);
+    logger.debug('[MotivataBlendService] Rejecting request:', id);
     const result = await handleApiResponse(
       api.post(`${MOTIVATA_BLEND_ENDPOINTS.BASE}/${id}/reject`, data)
     );
 
     if (result.success) {
-      console.log('[MotivataBlendService] Request rejected');
+      logger.debug('[MotivataBlendService] Request rejected');
     } else {
-      console.error('[MotivataBlendService] Failed to reject request:', result.message);
+      logger.error('[MotivataBlendService] Failed to reject request:', result.message);
     }
 
     return result;
@@ -121,15 +122,15 @@ const motivataBlendService = {
    * Get statistics (admin only)
    */
   getStats: async () => {
-    console.log('[MotivataBlendService] Fetching stats');
+    logger.debug('[MotivataBlendService] Fetching stats');
     const result = await handleApiResponse(
       api.get(MOTIVATA_BLEND_ENDPOINTS.STATS)
     );
 
     if (result.success) {
-      console.log('[MotivataBlendService] Stats fetched:', result.data);
+      logger.debug('[MotivataBlendService] Stats fetched:', result.data);
     } else {
-      console.error('[MotivataBlendService] Failed to fetch stats:', result.message);
+      logger.error('[MotivataBlendService] Failed to fetch stats:', result.message);
     }
 
     return result;
@@ -144,7 +145,7 @@ const motivataBlendService = {
       ? `${MOTIVATA_BLEND_ENDPOINTS.EXPORT}?${queryString}`
       : MOTIVATA_BLEND_ENDPOINTS.EXPORT;
 
-    console.log('[MotivataBlendService] Exporting requests with params:', params);
+    logger.debug('[MotivataBlendService] Exporting requests with params:', params);
 
     try {
       const response = await api.get(url, { responseType: 'blob' });
@@ -154,7 +155,7 @@ const motivataBlendService = {
         message: 'Export successful',
       };
     } catch (error) {
-      console.error('[MotivataBlendService] Failed to export:', error.message);
+      logger.error('[MotivataBlendService] Failed to export:', error.message);
       return {
         success: false,
         data: null,
@@ -1,4 +1,5 @@
 import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
 
 const BANNER_ENDPOINTS = {
   BASE: '/web/motivata-blend/admin/banner',
@@ -14,13 +15,13 @@ const motivataBlendBannerService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   getBanner: async () => {
-    console.log('[BlendBannerService] Fetching banner');
+    logger.debug('[BlendBannerService] Fetching banner');
     const result = await handleApiResponse(api.get(BANNER_ENDPOINTS.BASE));
 
     if (result.success) {
-      console.log('[BlendBannerService] Banner fetched:', result.data?.banner ? 'exists' : 'none');
+      logger.debug('[BlendBannerService] Banner fetched:', result.data?.banner ? 'exists' : 'none');
     } else {
-      console.error('[BlendBannerService] Failed to fetch banner:', result.message);
+      logger.error('[BlendBannerService] Failed to fetch banner:', result.message);
     }
 
     return result;
@@ -33,7 +34,7 @@ const motivataBlendBannerService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   uploadBanner: async (file, options = {}) => {
-    console.log('[BlendBannerService] Uploading banner');
+    logger.debug('[BlendBannerService] Uploading banner');
 
     const formData = new FormData();
     formData.append('image', file);
@@ -47,9 +48,9 @@ const motivataBlendBannerService = {
     );
 
     if (result.success) {
-      console.log('[BlendBannerService] Banner uploaded successfully');
+      logger.debug('[BlendBannerService] Banner uploaded successfully');
     } else {
-      console.error('[BlendBannerService] Failed to upload banner:', result.message);
+      logger.error('[BlendBannerService] Failed to upload banner:', result.message);
     }
 
     return result;
@@ -60,13 +61,13 @@ const motivataBlendBannerService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   deleteBanner: async () => {
-    console.log('[BlendBannerService] Deleting banner');
+    logger.debug('[BlendBannerService] Deleting banner');
     const result = await handleApiResponse(api.delete(BANNER_ENDPOINTS.BASE));
 
     if (result.success) {
-      console.log('[BlendBannerService] Banner deleted successfully');
+      logger.debug('[BlendBannerService] Banner deleted successfully');
     } else {
-      console.error('[BlendBannerService] Failed to delete banner:', result.message);
+      logger.error('[BlendBannerService] Failed to delete banner:', result.message);
     }
 
     return result;
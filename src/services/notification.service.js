@@ -0,0 +1,65 @@
+import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
+
+const NOTIFICATION_ENDPOINTS = {
+  STATE: '/web/notifications/state',
+  READ: '/web/notifications/read',
+  PREFERENCES: '/web/notifications/preferences',
+};
+
+/**
+ * Notification Service
+ * Per-admin read state and category preferences of the header notification center
+ */
+const notificationService = {
+  /**
+   * Get the logged-in admin's read notifications and hidden categories
+   * @returns {Promise<{success: boolean, data: {readIds: string[], hiddenCategories: string[]}|null, message: string, error: string|null}>}
+   */
+  getState: async () => {
+    logger.debug('[NotificationService] Fetching notification state');
+    const result = await handleApiResponse(api.get(NOTIFICATION_ENDPOINTS.STATE));
+
+    if (!result.success) {
+      logger.error('[NotificationService] Failed to fetch notification state:', result.message);
+    }
+
+    return result;
+  },
+
+  /**
+   * Mark notifications as read for the logged-in admin
+   * @param {string[]} ids - Notification IDs, e.g. 'membershipRequests:<requestId>'
+   * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
+   */
+  markRead: async (ids) => {
+    logger.debug('[NotificationService] Marking as read:', ids.length);
+    const result = await handleApiResponse(api.post(NOTIFICATION_ENDPOINTS.READ, { ids }));
+
+    if (!result.success) {
+      logger.error('[NotificationService] Failed to mark as read:', result.message);
+    }
+
+    return result;
+  },
+
+  /**
+   * Save which notification categories the logged-in admin doesn't want to see
+   * @param {string[]} hiddenCategories - Category keys
+   * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
+   */
+  savePreferences: async (hiddenCategories) => {
+    logger.debug('[NotificationService] Saving preferences');
+    const result = await handleApiResponse(
+      api.put(NOTIFICATION_ENDPOINTS.PREFERENCES, { hiddenCategories })
+    );
+
+    if (!result.success) {
+      logger.error('[NotificationService] Failed to save preferences:', result.message);
+    }
+
+    return result;
+  },
+};
+
+export default notificationService;
@@ -1,4 +1,5 @@
 import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
 
 const OFFLINE_CASH_ENDPOINTS = {
   BASE: '/web/offline-cash',
@@ -6,6 +7,7 @@ const OFFLINE_CASH_ENDPOINTS = {
   GET_BY_ID: (id) => `/web/offline-cash/${id}`,
   DELETE: (id) => `/web/offline-cash/${id}`,
   EVENT_ENROLLMENTS: (eventId) => `/web/offline-cash/event/${eventId}/enrollments`,
+  CANCEL_ENROLLMENT: (id) => `/web/offline-cash/enrollments/${id}/cancel`,
   DIRECT_TICKET: '/web/offline-cash/direct-ticket',
   DIRECT_TICKET_BULK: '/web/offline-cash/direct-ticket-bulk',
 };
@@ -31,13 +33,13 @@ const offlineCashService = {
       ? `${OFFLINE_CASH_ENDPOINTS.ALLOWED_EVENTS}?${queryString}`
       : OFFLINE_CASH_ENDPOINTS.ALLOWED_EVENTS;
 
-    console.log('[OfflineCashService] Fetching allowed events with params:', params);
+    logger.debug('[OfflineCashService] Fetching allowed events with params:', params);
     const result = await handleApiResponse(api.get(url));
 
     if (result.success) {
-      console.log('[OfflineCashService] Fetched allowed events:', result.data.events?.length);
+      logger.debug('[OfflineCashService] Fetched allowed events:', result.data.events?.length);
     } else {
-      console.error('[OfflineCashService] Failed to fetch allowed events:', result.message);
+      logger.error('[OfflineCashService] Failed to fetch allowed events:', result.message);
     }
 
     return result;
@@ -49,13 +51,13 @@ const offlineCashService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   create: async (data) => {
-    console.log('[OfflineCashService] Creating offline cash record for phone:', data.phone);
+    logger.debug('[OfflineCashService] Creating offline cash record for phone:', data.phone);
     const result = await handleApiResponse(api.post(OFFLINE_CASH_ENDPOINTS.BASE, data));
 
     if (result.success) {
-      console.log('[OfflineCashService] Record created successfully, link:', result.data.link);
+      logger.debug('[OfflineCashService] Record created successfully, link:', result.data.link);
     } else {
-      console.error('[OfflineCashService] Failed to create record:', result.message);
+      logger.error('[OfflineCashService] Failed to create record:', result.message);
     }
 
     return result;
@@ -80,13 +82,13 @@ const offlineCashService = {
       ? `${OFFLINE_CASH_ENDPOINTS.BASE}?${queryString}`
       : OFFLINE_CASH_ENDPOINTS.BASE;
 
-    console.log('[OfflineCashService] Fetching offline cash records with params:', params);
+    logger.debug('[OfflineCashService] Fetching offline cash records with params:', params);
     const result = await handleApiResponse(api.get(url));
 
     if (result.success) {
-      console.log('[OfflineCashService] Fetched records:', result.data.records?.length);
+      logger.debug('[OfflineCashService] Fetched records:', result.data.records?.length);
     } else {
-      console.error('[OfflineCashService] Failed to fetch records:', result.message);
+      logger.error('[OfflineCashService] Failed to fetch records:', result.message);
     }
 
     return result;
@@ -98,13 +100,13 @@ const offlineCashService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   getById: async (id) => {
-    console.log('[OfflineCashService] Fetching record by ID:', id);
+    logger.debug('[OfflineCashService] Fetching record by ID:', id);
     const result = await handleApiResponse(api.get(OFFLINE_CASH_ENDPOINTS.GET_BY_ID(id)));
 
     if (result.success) {
-      console.log('[OfflineCashService] Fetched record:', result.data._id);
+      logger.debug('[OfflineCashService] Fetched record:', result.data._id);
     } else {
-      console.error('[OfflineCashService] Failed to fetch record:', result.message);
+      logger.error('[OfflineCashService] Failed to fetch record:', result.message);
     }
 
     return result;
@@ -116,13 +118,13 @@ const offlineCashService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   delete: async (id) => {
-    console.log('[OfflineCashService] Deleting record:', id);
+    logger.debug('[OfflineCashService] Deleting record:', id);
     const result = await handleApiResponse(api.delete(OFFLINE_CASH_ENDPOINTS.DELETE(id)));
 
     if (result.success) {
-      console.log('[OfflineCashService] Record deleted successfully');
+      logger.debug('[OfflineCashService] Record deleted successfully');
     } else {
-      console.error('[OfflineCashService] Failed to delete record:', result.message);
+      logger.error('[OfflineCashService] Failed to delete record:', result.message);
     }
 
     return result;
@@ -145,13 +147,32 @@ const offlineCashService = {
     const baseUrl = OFFLINE_CASH_ENDPOINTS.EVENT_ENROLLMENTS(eventId);
     const url = queryString ? `${baseUrl}?${queryString}` : baseUrl;
 
-    console.log('[OfflineCashService] Fetching event enrollments:', eventId, params);
+    logger.debug('[OfflineCashService] Fetching event enrollments:', eventId, params);
     const result = await handleApiResponse(api.get(url));
 
     if (result.success) {
-      console.log('[OfflineCashService] Fetched enrollments:', result.data.enrollments?.length);
+      logger.debug('[OfflineCashService] Fetched enrollments:', result.data.enrollments?.length);
     } else {
-      console.error('[OfflineCashService] Failed to fetch enrollments:', result.message);
+      logger.error('[OfflineCashService] Failed to fetch enrollments:', result.message);
+    }
+
+    return result;
+  },
+
+  /**
+   * Cancel a cash enrollment
+   * @param {string} id - Enrollment ID
+   * @param {Object} data - { reason? }
+   * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
+   */
+  cancelEnrollment: async (id, data = {}) => {
+    logger.debug('[OfflineCashService] Cancelling enrollment:', id);
+    const result = await handleApiResponse(api.post(OFFLINE_CASH_ENDPOINTS.CANCEL_ENROLLMENT(id), data));
+
+    if (result.success) {
+      logger.debug('[OfflineCashService] Enrollment cancelled');
+    } else {
+      logger.error('[OfflineCashService] Failed to cancel enrollment:', result.message);
     }
 
     return result;
@@ -163,13 +184,13 @@ const offlineCashService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   createDirectTicket: async (data) => {
-    console.log('[OfflineCashService] Creating direct ticket for phone:', data.phone);
+    logger.debug('[OfflineCashService] Creating direct ticket for phone:', data.phone);
     const result = await handleApiResponse(api.post(OFFLINE_CASH_ENDPOINTS.DIRECT_TICKET, data));
 
     if (result.success) {
-      console.log('[OfflineCashService] Direct ticket created:', result.data.enrollment?.id);
+      logger.debug('[OfflineCashService] Direct ticket created:', result.data.enrollment?.id);
     } else {
-      console.error('[OfflineCashService] Failed to create direct ticket:', result.message);
+      logger.error('[OfflineCashService] Failed to create direct ticket:', result.message);
     }
 
     return result;
@@ -182,7 +203,7 @@ const offlineCashService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   createDirectTicketBulk: async (file, data) => {
-    console.log('[OfflineCashService] Creating bulk direct tickets for event:', data.eventId);
+    logger.debug('[OfflineCashService] Creating bulk direct tickets for event:', data.eventId);
 
     const formData = new FormData();
     formData.append('file', file);
@@ -201,7 +222,7 @@ const offlineCashService = {
         },
       });
 
-      console.log('[OfflineCashService] Bulk direct tickets result:', {
+      logger.debug('[OfflineCashService] Bulk direct tickets result:', {
         total: response.data?.data?.summary?.total,
         successful: response.data?.data?.summary?.successful,
         rejected: response.data?.data?.summary?.rejected,
@@ -223,7 +244,7 @@ const offlineCashService = {
         status: error.response?.status || 500,
       };
 
-      console.error('[OfflineCashService] Bulk direct tickets failed:', errorResponse);
+      logger.error('[OfflineCashService] Bulk direct tickets failed:', errorResponse);
       return errorResponse;
     }
   },
@@ -0,0 +1,65 @@
+import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
+
+const PAYMENT_ENDPOINTS = {
+  BASE: '/web/payments',
+  BY_ID: (id) => `/web/payments/${id}`,
+};
+
+/**
+ * Payment Service
+ * Read-only ledger of every transaction - event bookings, memberships, service
+ * orders, session bookings and offline cash
+ */
+const paymentService = {
+  /**
+   * Get payments with filters; the summary totals every matching payment
+   * @param {Object} params - { type?, status?, refundStatus?, method?, startDate?, endDate?, search?, page?, limit? }
+   * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
+   */
+  getAll: async (params = {}) => {
+    const queryParams = new URLSearchParams();
+
+    if (params.type) queryParams.append('type', params.type);
+    if (params.status) queryParams.append('status', params.status);
+    if (params.refundStatus) queryParams.append('refundStatus', params.refundStatus);
+    if (params.method) queryParams.append('method', params.method);
+    if (params.startDate) queryParams.append('startDate', params.startDate);
+    if (params.endDate) queryParams.append('endDate', params.endDate);
+    if (params.search) queryParams.append('search', params.search);
+    if (params.page) queryParams.append('page', params.page);
+    if (params.limit) queryParams.append('limit', params.limit);
+
+    const queryString = queryParams.toString();
+    const url = queryString ? `${PAYMENT_ENDPOINTS.BASE}?${queryString}` : PAYMENT_ENDPOINTS.BASE;
+
+    logger.debug('[PaymentService] Fetching payments:', params);
+    const result = await handleApiResponse(api.get(url));
+
+    if (result.success) {
+      logger.debug('[PaymentService] Fetched payments:', result.data.payments?.length);
+    } else {
+      logger.error('[PaymentService] Failed to fetch payments:', result.message);
+    }
+
+    return result;
+  },
+
+  /**
+   * Get a payment by ID
+   * @param {string} id - Payment ID
+   * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
+   */
+  getById: async (id) => {
+    logger.debug('[PaymentService] Fetching payment:', id);
+    const result = await handleApiResponse(api.get(PAYMENT_ENDPOINTS.BY_ID(id)));
+
+    if (!result.success) {
+      logger.error('[PaymentService] Failed to fetch payment:', result.message);
+    }
+
+    return result;
+  },
+};
+
+export default paymentService;
@@ -1,4 +1,5 @@
 import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
 
 const POLL_ENDPOINTS = {
   BASE: '/web/polls',
@@ -18,13 +19,13 @@ const pollService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   create: async (pollData) => {
-    console.log('[PollService] Creating poll for event:', pollData.eventId);
+    logger.debug('[PollService] Creating poll for event:', pollData.eventId);
     const result = await handleApiResponse(api.post(POLL_ENDPOINTS.BASE, pollData));
 
     if (result.success) {
-      console.log('[PollService] Created poll:', result.data?._id);
+      logger.debug('[PollService] Created poll:', result.data?._id);
     } else {
-      console.error('[PollService] Failed to create poll:', result.message);
+      logger.error('[PollService] Failed to create poll:', result.message);
     }
 
     return result;
@@ -36,13 +37,13 @@ const pollService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   getByEventId: async (eventId) => {
-    console.log('[PollService] Fetching poll for event:', eventId);
+    logger.debug('[PollService] Fetching poll for event:', eventId);
     const result = await handleApiResponse(api.get(`${POLL_ENDPOINTS.BY_EVENT}/${eventId}`));
 
     if (result.success) {
-      console.log('[PollService] Fetched poll:', result.data?._id);
+      logger.debug('[PollService] Fetched poll:', result.data?._id);
     } else {
-      console.error('[PollService] Failed to fetch poll:', result.message);
+      logger.error('[PollService] Failed to fetch poll:', result.message);
     }
 
     return result;
@@ -57,13 +58,13 @@ const pollService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   update: async (pollId, updateData) => {
-    console.log('[PollService] Updating poll:', pollId);
+    logger.debug('[PollService] Updating poll:', pollId);
     const result = await handleApiResponse(api.put(`${POLL_ENDPOINTS.BASE}/${pollId}`, updateData));
 
     if (result.success) {
-      console.log('[PollService] Updated poll successfully');
+      logger.debug('[PollService] Updated poll successfully');
     } else {
-      console.error('[PollService] Failed to update poll:', result.message);
+      logger.error('[PollService] Failed to update poll:', result.message);
     }
 
     return result;
@@ -75,13 +76,13 @@ const pollService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   delete: async (pollId) => {
-    console.log('[PollService] Deleting poll:', pollId);
+    logger.debug('[PollService] Deleting poll:', pollId);
     const result = await handleApiResponse(api.delete(`${POLL_ENDPOINTS.BASE}/${pollId}`));
 
     if (result.success) {
-      console.log('[PollService] Deleted poll successfully');
+      logger.debug('[PollService] Deleted poll successfully');
     } else {
-      console.error('[PollService] Failed to delete poll:', result.message);
+      logger.error('[PollService] Failed to delete poll:', result.message);
     }
 
     return result;
@@ -93,13 +94,13 @@ const pollService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   getStats: async (pollId) => {
-    console.log('[PollService] Fetching stats for poll:', pollId);
+    logger.debug('[PollService] Fetching stats for poll:', pollId);
     const result = await handleApiResponse(api.get(`${POLL_ENDPOINTS.BASE}/${pollId}/stats`));
 
     if (result.success) {
-      console.log('[PollService] Fetched poll stats, total submissions:', result.data?.totalSubmissions);
+      logger.debug('[PollService] Fetched poll stats, total submissions:', result.data?.totalSubmissions);
     } else {
-      console.error('[PollService] Failed to fetch poll stats:', result.message);
+      logger.error('[PollService] Failed to fetch poll stats:', result.message);
     }
 
     return result;
@@ -111,13 +112,13 @@ const pollService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   notifyUsers: async (pollId) => {
-    console.log('[PollService] Sending notification for poll:', pollId);
+    logger.debug('[PollService] Sending notification for poll:', pollId);
     const result = await handleApiResponse(api.post(`${POLL_ENDPOINTS.BASE}/${pollId}/notify`));
 
     if (result.success) {
-      console.log('[PollService] Notification sent, success:', result.data?.successCount, 'failed:', result.data?.failureCount);
+      logger.debug('[PollService] Notification sent, success:', result.data?.successCount, 'failed:', result.data?.failureCount);
     } else {
-      console.error('[PollService] Failed to send notification:', result.message);
+      logger.error('[PollService] Failed to send notification:', result.message);
     }
 
     return result;
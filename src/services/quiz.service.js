@@ -1,4 +1,5 @@
 import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
 
 const QUIZ_ENDPOINTS = {
   BASE: '/web/quizes',
@@ -24,13 +25,13 @@ const quizService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   create: async (data) => {
-    console.log('[QuizService] Creating quiz:', data.title);
+    logger.debug('[QuizService] Creating quiz:', data.title);
     const result = await handleApiResponse(api.post(QUIZ_ENDPOINTS.BASE, data));
 
     if (result.success) {
-      console.log('[QuizService] Quiz created successfully:', result.data.quiz?._id);
+      logger.debug('[QuizService] Quiz created successfully:', result.data.quiz?._id);
     } else {
-      console.error('[QuizService] Failed to create quiz:', result.message);
+      logger.error('[QuizService] Failed to create quiz:', result.message);
     }
 
     return result;
@@ -62,13 +63,13 @@ const quizService = {
       ? `${QUIZ_ENDPOINTS.BASE}?${queryString}`
       : QUIZ_ENDPOINTS.BASE;
 
-    console.log('[QuizService] Fetching quizes with params:', params);
+    logger.debug('[QuizService] Fetching quizes with params:', params);
     const result = await handleApiResponse(api.get(url));
 
     if (result.success) {
-      console.log('[QuizService] Fetched quizes:', result.data.quizes?.length);
+      logger.debug('[QuizService] Fetched quizes:', result.data.quizes?.length);
     } else {
-      console.error('[QuizService] Failed to fetch quizes:', result.message);
+      logger.error('[QuizService] Failed to fetch quizes:', result.message);
     }
 
     return result;
@@ -80,13 +81,13 @@ const quizService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   getById: async (id) => {
-    console.log('[QuizService] Fetching quiz by ID:', id);
+    logger.debug('[QuizService] Fetching quiz by ID:', id);
     const result = await handleApiResponse(api.get(QUIZ_ENDPOINTS.GET_BY_ID(id)));
 
     if (result.success) {
-      console.log('[QuizService] Fetched quiz:', result.data.quiz?._id);
+      logger.debug('[QuizService] Fetched quiz:', result.data.quiz?._id);
     } else {
-      console.error('[QuizService] Failed to fetch quiz:', result.message);
+      logger.error('[QuizService] Failed to fetch quiz:', result.message);
     }
 
     return result;
@@ -99,13 +100,13 @@ const quizService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   update: async (id, data) => {
-    console.log('[QuizService] Updating quiz:', id);
+    logger.debug('[QuizService] Updating quiz:', id);
     const result = await handleApiResponse(api.put(QUIZ_ENDPOINTS.UPDATE(id), data));
 
     if (result.success) {
-      console.log('[QuizService] Quiz updated successfully');
+      logger.debug('[QuizService] Quiz updated successfully');
     } else {
-      console.error('[QuizService] Failed to update quiz:', result.message);
+      logger.error('[QuizService] Failed to update quiz:', result.message);
     }
 
     return result;
@@ -117,13 +118,13 @@ const quizService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   toggleLive: async (id) => {
-    console.log('[QuizService] Toggling quiz live status:', id);
+    logger.debug('[QuizService] Toggling quiz live status:', id);
     const result = await handleApiResponse(api.patch(QUIZ_ENDPOINTS.TOGGLE_LIVE(id)));
 
     if (result.success) {
-      console.log('[QuizService] Quiz live status toggled successfully');
+      logger.debug('[QuizService] Quiz live status toggled successfully');
     } else {
-      console.error('[QuizService] Failed to toggle quiz live status:', result.message);
+      logger.error('[QuizService] Failed to toggle quiz live status:', result.message);
     }
 
     return result;
@@ -135,13 +136,13 @@ const quizService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   delete: async (id) => {
-    console.log('[QuizService] Deleting quiz:', id);
+    logger.debug('[QuizService] Deleting quiz:', id);
     const result = await handleApiResponse(api.delete(QUIZ_ENDPOINTS.DELETE(id)));
 
     if (result.success) {
-      console.log('[QuizService] Quiz deleted successfully');
+      logger.debug('[QuizService] Quiz deleted successfully');
     } else {
-      console.error('[QuizService] Failed to delete quiz:', result.message);
+      logger.error('[QuizService] Failed to delete quiz:', result.message);
     }
 
     return result;
@@ -152,13 +153,13 @@ const quizService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   getDeleted: async () => {
-    console.log('[QuizService] Fetching deleted quizes');
+    logger.debug('[QuizService] Fetching deleted quizes');
     const result = await handleApiResponse(api.get(QUIZ_ENDPOINTS.DELETED));
 
     if (result.success) {
-      console.log('[QuizService] Fetched deleted quizes:', result.data.quizes?.length);
+      logger.debug('[QuizService] Fetched deleted quizes:', result.data.quizes?.length);
     } else {
-      console.error('[QuizService] Failed to fetch deleted quizes:', result.message);
+      logger.error('[QuizService] Failed to fetch deleted quizes:', result.message);
     }
 
     return result;
@@ -170,13 +171,13 @@ const quizService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   restore: async (id) => {
-    console.log('[QuizService] Restoring quiz:', id);
+    logger.debug('[QuizService] Restoring quiz:', id);
     const result = await handleApiResponse(api.post(QUIZ_ENDPOINTS.RESTORE(id)));
 
     if (result.success) {
-      console.log('[QuizService] Quiz restored successfully');
+      logger.debug('[QuizService] Quiz restored successfully');
     } else {
-      console.error('[QuizService] Failed to restore quiz:', result.message);
+      logger.error('[QuizService] Failed to restore quiz:', result.message);
     }
 
     return result;
@@ -188,13 +189,13 @@ const quizService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   permanentDelete: async (id) => {
-    console.log('[QuizService] Permanently deleting quiz:', id);
+    logger.debug('[QuizService] Permanently deleting quiz:', id);
     const result = await handleApiResponse(api.delete(QUIZ_ENDPOINTS.PERMANENT_DELETE(id)));
 
     if (result.success) {
-      console.log('[QuizService] Quiz permanently deleted');
+      logger.debug('[QuizService] Quiz permanently deleted');
     } else {
-      console.error('[QuizService] Failed to permanently delete quiz:', result.message);
+      logger.error('[QuizService] Failed to permanently delete quiz:', result.message);
     }
 
     return result;
@@ -206,13 +207,13 @@ const quizService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   getSubmissions: async (id) => {
-    console.log('[QuizService] Fetching quiz submissions:', id);
+    logger.debug('[QuizService] Fetching quiz submissions:', id);
     const result = await handleApiResponse(api.get(QUIZ_ENDPOINTS.SUBMISSIONS(id)));
 
     if (result.success) {
-      console.log('[QuizService] Fetched submissions:', result.data.submissions?.length);
+      logger.debug('[QuizService] Fetched submissions:', result.data.submissions?.length);
     } else {
-      console.error('[QuizService] Failed to fetch submissions:', result.message);
+      logger.error('[QuizService] Failed to fetch submissions:', result.message);
     }
 
     return result;
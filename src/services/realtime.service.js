@@ -0,0 +1,44 @@
+import { api, handleApiResponse, API_BASE_URL } from './api.service';
+import { tokenStorage } from '../utils/storage';
+import logger from '../utils/logger';
+
+const REALTIME_ENDPOINTS = {
+  STREAM: '/web/realtime/stream',
+  EVENTS: '/web/realtime/events',
+};
+
+/**
+ * Realtime Service
+ * Server-pushed admin events (new requests, status changes, ticket scans)
+ */
+const realtimeService = {
+  /**
+   * URL of the server-sent events stream
+   * EventSource can't send headers, so the access token goes in the query string
+   * @returns {string}
+   */
+  getStreamUrl: () => {
+    const token = tokenStorage.getAccessToken() || '';
+    return `${API_BASE_URL}${REALTIME_ENDPOINTS.STREAM}?token=${encodeURIComponent(token)}`;
+  },
+
+  /**
+   * Get events published after a cursor - the polling fallback for the stream
+   * Without a cursor only the current cursor is returned, so history isn't replayed.
+   * @param {number|string} [since] - Cursor from the previous call
+   * @returns {Promise<{success: boolean, data: {events: Object[], cursor: number}|null, message: string, error: string|null}>}
+   */
+  getEvents: async (since) => {
+    const result = await handleApiResponse(
+      api.get(REALTIME_ENDPOINTS.EVENTS, { params: since !== undefined && since !== null ? { since } : {} })
+    );
+
+    if (!result.success) {
+      logger.error('[RealtimeService] Failed to fetch events:', result.message);
+    }
+
+    return result;
+  },
+};
+
+export default realtimeService;
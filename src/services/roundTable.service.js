@@ -1,4 +1,5 @@
 import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
 
 const ROUND_TABLE_ENDPOINTS = {
   BASE: '/web/round-table/admin/requests',
@@ -36,7 +37,7 @@ const roundTableService = {
     );
 
     if (result.success) {
-      console.log('[RoundTableService] Pending count:', result.data.count);
+      logger.debug('[RoundTableService] Pending count:', result.data.count);
     }
 
     return result;
@@ -51,13 +52,13 @@ const roundTableService = {
       ? `${ROUND_TABLE_ENDPOINTS.BASE}?${queryString}`
       : ROUND_TABLE_ENDPOINTS.BASE;
 
-    console.log('[RoundTableService] Fetching requests with params:', params);
+    logger.debug('[RoundTableService] Fetching requests with params:', params);
     const result = await handleApiResponse(api.get(url));
 
     if (result.success) {
-      console.log('[RoundTableService] Fetched requests:', result.data.requests?.length);
+      logger.debug('[RoundTableService] Fetched requests:', result.data.requests?.length);
     } else {
-      console.error('[RoundTableService] Failed to fetch requests:', result.message);
+      logger.error('[RoundTableService] Failed to fetch requests:', result.message);
     }
 
     return result;
@@ -67,15 +68,15 @@ const roundTableService = {
    * Get single request by ID (admin only)
    */
   getById: async (id) => {
-    console.log('[RoundTableService] Fetching request:', id);
+    logger.debug('[RoundTableService] Fetching request:', id);
     const result = await handleApiResponse(
       api.get(`${ROUND_TABLE_ENDPOINTS.BASE}/${id}`)
     );
 
     if (result.success) {
-      console.log('[RoundTableService] Fetched request:', result.data.request?.name);
+      logger.debug('[RoundTableService] Fetched request:', result.data.request?.name);
     } else {
-      console.error('[RoundTableService] Failed to fetch request:', result.message);
+      logger.error('[RoundTableService] Failed to fetch request:', result.message);
     }
 
     return result;
@@ -85,15 +86,15 @@ const roundTableService = {
    * Approve a request (admin only)
    */
   approve: async (id, data = {}) => {
-    console.log('[RoundTableService] Approving request:', id);
+    logger.debug('[RoundTableService] Approving request:', id);
     const result = await handleApiResponse(
       api.post(`${ROUND_TABLE_ENDPOINTS.BASE}/${id}/approve`, data)
     );
 
     if (result.success) {
-      console.log('[RoundTableService] Request approved');
+      logger.debug('[RoundTableService] Request approved');
     } else {
-      console.error('[RoundTableService] Failed to approve request:', result.message);
+      logger.error('[RoundTableService] Failed to approve request:', result.message);
     }
 
     return result;
@@ -103,15 +104,15 @@ const roundTableService = {
    * Reject a request (admin only)
    */
   reject: async (id, data) => {
-    console.log('[RoundTableService] Rejecting request:', id);
+    logger.debug('[RoundTableService] Rejecting request:', id);
     const result = await handleApiResponse(
       api.post(`${ROUND_TABLE_ENDPOINTS.BASE}/${id}/reject`, data)
     );
 
     if (result.success) {
-      console.log('[RoundTableService] Request rejected');
+      logger.debug('[RoundTableService] Request rejected');
     } else {
-      console.error('[RoundTableService] Failed to reject request:', result.message);
+      logger.error('[RoundTableService] Failed to reject request:', result.message);
     }
 
     return result;
@@ -121,15 +122,15 @@ const roundTableService = {
    * Get statistics (admin only)
    */
   getStats: async () => {
-    console.log('[RoundTableService] Fetching stats');
+    logger.debug('[RoundTableService] Fetching stats');
     const result = await handleApiResponse(
       api.get(ROUND_TABLE_ENDPOINTS.STATS)
     );
 
     if (result.success) {
-      console.log('[RoundTableService] Stats fetched:', result.data);
+      logger.debug('[RoundTableService] Stats fetched:', result.data);
     } else {
-      console.error('[RoundTableService] Failed to fetch stats:', result.message);
+      logger.error('[RoundTableService] Failed to fetch stats:', result.message);
     }
 
     return result;
@@ -144,7 +145,7 @@ const roundTableService = {
       ? `${ROUND_TABLE_ENDPOINTS.EXPORT}?${queryString}`
       : ROUND_TABLE_ENDPOINTS.EXPORT;
 
-    console.log('[RoundTableService] Exporting requests with params:', params);
+    logger.debug('[RoundTableService] Exporting requests with params:', params);
 
     try {
       const response = await api.get(url, { responseType: 'blob' });
@@ -154,7 +155,7 @@ const roundTableService = {
         message: 'Export successful',
       };
     } catch (error) {
-      console.error('[RoundTableService] Failed to export:', error.message);
+      logger.error('[RoundTableService] Failed to export:', error.message);
       return {
         success: false,
         data: null,
@@ -0,0 +1,83 @@
+import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
+
+const SAVED_VIEW_ENDPOINTS = {
+  BASE: '/web/saved-views',
+  BY_ID: (id) => `/web/saved-views/${id}`,
+};
+
+/**
+ * Saved View Service
+ * Per-admin named list views (a page path plus its query string), optionally pinned to the sidebar
+ */
+const savedViewService = {
+  /**
+   * Get the logged-in admin's saved views
+   * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
+   */
+  getAll: async () => {
+    logger.debug('[SavedViewService] Fetching saved views');
+    const result = await handleApiResponse(api.get(SAVED_VIEW_ENDPOINTS.BASE));
+
+    if (result.success) {
+      logger.debug('[SavedViewService] Fetched saved views:', result.data.views?.length);
+    } else {
+      logger.error('[SavedViewService] Failed to fetch saved views:', result.message);
+    }
+
+    return result;
+  },
+
+  /**
+   * Save a view
+   * @param {Object} viewData - { name, path, search, isPinned? }
+   * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
+   */
+  create: async (viewData) => {
+    logger.debug('[SavedViewService] Saving view:', viewData.name);
+    const result = await handleApiResponse(api.post(SAVED_VIEW_ENDPOINTS.BASE, viewData));
+
+    if (result.success) {
+      logger.debug('[SavedViewService] View saved:', result.data.view?._id);
+    } else {
+      logger.error('[SavedViewService] Failed to save view:', result.message);
+    }
+
+    return result;
+  },
+
+  /**
+   * Update a view (rename, pin/unpin)
+   * @param {string} id - View ID
+   * @param {Object} updateData - { name?, isPinned? }
+   * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
+   */
+  update: async (id, updateData) => {
+    logger.debug('[SavedViewService] Updating view:', id);
+    const result = await handleApiResponse(api.put(SAVED_VIEW_ENDPOINTS.BY_ID(id), updateData));
+
+    if (!result.success) {
+      logger.error('[SavedViewService] Failed to update view:', result.message);
+    }
+
+    return result;
+  },
+
+  /**
+   * Delete a view
+   * @param {string} id - View ID
+   * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
+   */
+  delete: async (id) => {
+    logger.debug('[SavedViewService] Deleting view:', id);
+    const result = await handleApiResponse(api.delete(SAVED_VIEW_ENDPOINTS.BY_ID(id)));
+
+    if (!result.success) {
+      logger.error('[SavedViewService] Failed to delete view:', result.message);
+    }
+
+    return result;
+  },
+};
+
+export default savedViewService;
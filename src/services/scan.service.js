@@ -0,0 +1,236 @@
+import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
+import { scannerStorage } from '../utils/storage';
+import { SCAN_KINDS, SCAN_OUTCOMES, createScanResult } from '../utils/scanResults';
+import { formatDate } from '../utils/dates';
+
+const SCAN_ENDPOINTS = {
+  TICKET: '/app/tickets/qr-scan',
+  CASH_TICKET: '/app/tickets/cash/qr-scan',
+  VOUCHER: '/web/vouchers/redemptions/qr-scan',
+  MEMBERSHIP: (id) => `/web/user-memberships/${id}/verify`,
+  SESSION_BOOKING: '/web/sessions/bookings/qr-scan',
+  REGISTER_GATE: '/web/tickets/gates/register',
+  CHECK_INS: (eventId) => `/web/tickets/check-ins/${eventId}`,
+};
+
+// Endpoints report a repeat scan as an error whose message says so
+const ALREADY_SCANNED_PATTERN = /already (been )?(scanned|redeemed|checked in|used)/i;
+
+/**
+ * Call a scan endpoint through apiClient
+ * Unlike handleApiResponse, keeps the data of error responses - a rejected scan
+ * still says whose code it was - and tells an unreachable API apart, so the
+ * scanner can fall back to its offline ticket list
+ * @param {string} url - Endpoint
+ * @param {Object} params - Query parameters
+ * @param {Object} origin - Gate and device the scan is reported from (see scannerStorage.getScanOrigin)
+ * @returns {Promise<{ ok: boolean, status: number|null, message: string, data: Object, isNetworkError: boolean }>}
+ */
+const requestScan = async (url, params, origin = scannerStorage.getScanOrigin()) => {
+  try {
+    const response = await api.get(url, { params: { ...params, ...origin } });
+    return {
+      ok: true,
+      status: response.status,
+      message: response.data.message,
+      data: response.data.data || {},
+      isNetworkError: false,
+    };
+  } catch (error) {
+    const response = {
+      ok: false,
+      status: error.response?.status ?? null,
+      message: error.response?.data?.message || error.message,
+      data: error.response?.data?.data || {},
+      isNetworkError: !error.response,
+    };
+    logger.debug('[ScanService] Scan rejected:', { url, status: response.status, message: response.message });
+    return response;
+  }
+};
+
+const getOutcome = (response) => {
+  if (response.isNetworkError) return SCAN_OUTCOMES.ERROR;
+  if (response.data.isAlreadyScanned || ALREADY_SCANNED_PATTERN.test(response.message || '')) {
+    return SCAN_OUTCOMES.ALREADY_SCANNED;
+  }
+  if (!response.ok) return response.status >= 500 ? SCAN_OUTCOMES.ERROR : SCAN_OUTCOMES.INVALID;
+  return response.data.isValid === false ? SCAN_OUTCOMES.INVALID : SCAN_OUTCOMES.VALID;
+};
+
+// Ticket endpoints only put the first scan's time in the message: "...scanned at <ISO date>"
+const getScannedAt = (response) =>
+  response.data.scannedAt || response.message?.match(/scanned at (.+)$/i)?.[1] || null;
+
+const toResult = (kind, response, fields) =>
+  createScanResult({
+    kind,
+    outcome: getOutcome(response),
+    message: response.message,
+    status: response.status,
+    scannedAt: getScannedAt(response),
+    isNetworkError: response.isNetworkError,
+    ...fields,
+  });
+
+const toAttendee = (person, phone) =>
+  person ? { name: person.name, phone: phone || person.phone, email: person.email || null } : null;
+
+const toEvent = (event) => (event ? { name: event.name, startDate: event.startDate, endDate: event.endDate } : null);
+
+const toVoucher = (voucher) =>
+  voucher ? { code: voucher.code, title: voucher.title || null, description: voucher.description || null } : null;
+
+/**
+ * Normalize an online or cash ticket response
+ * Online tickets carry the user and event at the top level; cash tickets carry
+ * both on the enrollment
+ */
+const normalizeTicket = (kind, response) => {
+  const { user, ticket, enrollment, event, voucher } = response.data;
+  const ticketCount = ticket?.ticketCount || enrollment?.ticketCount;
+
+  return toResult(kind, response, {
+    attendee: toAttendee(enrollment || user, ticket?.phone),
+    event: toEvent(event || enrollment?.event),
+    voucher: toVoucher(voucher),
+    details: [
+      ticket?.tierName && { label: 'Tier', value: ticket.tierName },
+      ticketCount > 1 && { label: 'Admits', value: `${ticketCount} people` },
+    ].filter(Boolean),
+  });
+};
+
+/**
+ * Scan Service
+ * Validates every QR code the platform issues and returns one normalized
+ * result (see utils/scanResults) for the scanner
+ */
+const scanService = {
+  /**
+   * Check in an event ticket - online first, then cash tickets, unless the code says which
+   * @param {Object} params - { enrollmentId, eventId, phone, userId?, type?, checkInMethod? }
+   *   checkInMethod is MANUAL when staff looked the ticket up instead of scanning it
+   * @param {Object} [origin] - { deviceId, gateName?, gateEventId?, scannedAt } of a scan made
+   *   earlier - offline check-ins are replayed with where and when they were scanned
+   * @returns {Promise<Object>} Scan result
+   */
+  validateTicket: async ({ enrollmentId, eventId, phone, userId, type, checkInMethod }, origin) => {
+    const query = { enrollmentId, eventId, phone, ...(userId && { userId }), ...(checkInMethod && { checkInMethod }) };
+
+    if (type !== 'cash') {
+      logger.debug('[ScanService] Validating online ticket:', enrollmentId);
+      const response = await requestScan(SCAN_ENDPOINTS.TICKET, query, origin);
+      if (response.status !== 404) return normalizeTicket(SCAN_KINDS.TICKET, response);
+    }
+
+    logger.debug('[ScanService] Validating cash ticket:', enrollmentId);
+    return normalizeTicket(SCAN_KINDS.CASH_TICKET, await requestScan(SCAN_ENDPOINTS.CASH_TICKET, query, origin));
+  },
+
+  /**
+   * Redeem a voucher issued for an event
+   * @param {Object} params - { redemptionId, eventId, phone }
+   * @returns {Promise<Object>} Scan result
+   */
+  validateVoucher: async ({ redemptionId, eventId, phone }) => {
+    logger.debug('[ScanService] Validating voucher redemption:', redemptionId);
+    const response = await requestScan(SCAN_ENDPOINTS.VOUCHER, { redemptionId, eventId, phone });
+    const { redemption } = response.data;
+
+    return toResult(SCAN_KINDS.VOUCHER, response, {
+      attendee: toAttendee(redemption),
+      event: toEvent(redemption?.event),
+      voucher: toVoucher(redemption?.voucher),
+    });
+  },
+
+  /**
+   * Check a membership card - cards aren't used up, so they're never "already scanned"
+   * @param {Object} params - { membershipId, phone }
+   * @returns {Promise<Object>} Scan result
+   */
+  validateMembership: async ({ membershipId, phone }) => {
+    logger.debug('[ScanService] Verifying membership:', membershipId);
+    const response = await requestScan(SCAN_ENDPOINTS.MEMBERSHIP(membershipId), { phone });
+    const { membership, user } = response.data;
+
+    return toResult(SCAN_KINDS.MEMBERSHIP, response, {
+      attendee: toAttendee(user, membership?.phone),
+      details: membership
+        ? [
+            { label: 'Plan', value: membership.membershipPlanId?.name || '-' },
+            { label: 'Status', value: membership.status },
+            { label: 'Valid Until', value: membership.endDate ? formatDate(membership.endDate) : 'Lifetime' },
+          ]
+        : [],
+    });
+  },
+
+  /**
+   * Check in a session booking
+   * @param {Object} params - { bookingId?, bookingReference?, phone? }
+   * @returns {Promise<Object>} Scan result
+   */
+  validateSessionBooking: async ({ bookingId, bookingReference, phone }) => {
+    logger.debug('[ScanService] Validating session booking:', bookingId || bookingReference);
+    const response = await requestScan(SCAN_ENDPOINTS.SESSION_BOOKING, {
+      ...(bookingId && { bookingId }),
+      ...(bookingReference && { bookingReference }),
+      ...(phone && { phone }),
+    });
+    const { booking, session } = response.data;
+
+    return toResult(SCAN_KINDS.SESSION_BOOKING, response, {
+      attendee: booking ? { name: booking.userName, phone: booking.userPhone, email: null } : null,
+      event: session ? { name: session.title, startDate: session.sessionDate, endDate: null } : null,
+      details: booking ? [{ label: 'Booking Reference', value: booking.bookingReference }] : [],
+    });
+  },
+
+  /**
+   * Register this device as a scanner at a gate
+   * @param {Object} gate - { gateName, eventId }
+   * @returns {Promise<Object>} Response with data.device
+   */
+  registerGate: async ({ gateName, eventId }) => {
+    const deviceId = scannerStorage.getDeviceId();
+    logger.debug('[ScanService] Registering device at gate:', { deviceId, gateName, eventId });
+    return handleApiResponse(api.post(SCAN_ENDPOINTS.REGISTER_GATE, { gateName, eventId, deviceId }));
+  },
+
+  /**
+   * Check-in log of an event across all gates, newest first
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object>} Response with data.checkIns and data.devices
+   */
+  getCheckIns: async (eventId) => {
+    logger.debug('[ScanService] Fetching check-ins for event:', eventId);
+    return handleApiResponse(api.get(SCAN_ENDPOINTS.CHECK_INS(eventId)));
+  },
+
+  /**
+   * Validate a parsed QR payload
+   * @param {Object} payload - From parseScanPayload
+   * @returns {Promise<Object|null>} Scan result, or null for codes we didn't issue
+   */
+  validate: async ({ kind, params }) => {
+    switch (kind) {
+      case SCAN_KINDS.TICKET:
+        return scanService.validateTicket(params);
+      case SCAN_KINDS.CASH_TICKET:
+        return scanService.validateTicket({ ...params, type: 'cash' });
+      case SCAN_KINDS.VOUCHER:
+        return scanService.validateVoucher(params);
+      case SCAN_KINDS.MEMBERSHIP:
+        return scanService.validateMembership(params);
+      case SCAN_KINDS.SESSION_BOOKING:
+        return scanService.validateSessionBooking(params);
+      default:
+        return null;
+    }
+  },
+};
+
+export default scanService;
@@ -1,4 +1,5 @@
 import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
 
 const ENDPOINTS = {
   SEAT_ARRANGEMENT: '/web/events',
@@ -12,10 +13,10 @@ const seatArrangementService = {
   /**
    * Create seat arrangement for an event
    * @param {string} eventId - Event ID
-   * @param {Object} data - { imageUrl, seats: [{ label: 'A1' }, ...] }
+   * @param {Object} data - { imageUrl, zones, seats: [{ label: 'A1', x, y, zone, isBlocked }, ...] } (see toPayload)
    */
   createSeatArrangement: async (eventId, data) => {
-    console.log('[SeatArrangementService] Creating seat arrangement for event:', eventId);
+    logger.debug('[SeatArrangementService] Creating seat arrangement for event:', eventId);
     return handleApiResponse(
       api.post(`${ENDPOINTS.SEAT_ARRANGEMENT}/${eventId}/seat-arrangement`, data)
     );
@@ -26,7 +27,7 @@ const seatArrangementService = {
    * @param {string} eventId - Event ID
    */
   getSeatArrangement: async (eventId) => {
-    console.log('[SeatArrangementService] Fetching seat arrangement for event:', eventId);
+    logger.debug('[SeatArrangementService] Fetching seat arrangement for event:', eventId);
     return handleApiResponse(
       api.get(`${ENDPOINTS.SEAT_ARRANGEMENT}/${eventId}/seat-arrangement`)
     );
@@ -35,10 +36,10 @@ const seatArrangementService = {
   /**
    * Update seat arrangement for an event
    * @param {string} eventId - Event ID
-   * @param {Object} data - { imageUrl?, seats?: [{ label: 'A1' }, ...] }
+   * @param {Object} data - { imageUrl?, zones?, seats?: [{ label: 'A1', x, y, zone, isBlocked }, ...] }
    */
   updateSeatArrangement: async (eventId, data) => {
-    console.log('[SeatArrangementService] Updating seat arrangement for event:', eventId);
+    logger.debug('[SeatArrangementService] Updating seat arrangement for event:', eventId);
     return handleApiResponse(
       api.put(`${ENDPOINTS.SEAT_ARRANGEMENT}/${eventId}/seat-arrangement`, data)
     );
@@ -49,12 +50,113 @@ const seatArrangementService = {
    * @param {string} eventId - Event ID
    */
   deleteSeatArrangement: async (eventId) => {
-    console.log('[SeatArrangementService] Deleting seat arrangement for event:', eventId);
+    logger.debug('[SeatArrangementService] Deleting seat arrangement for event:', eventId);
     return handleApiResponse(
       api.delete(`${ENDPOINTS.SEAT_ARRANGEMENT}/${eventId}/seat-arrangement`)
     );
   },
 
+  /**
+   * Build the create/update body from the editor's state
+   * Seat positions are percentages of the seat map image (0-100), so they don't depend on
+   * the size it's displayed at. Availability isn't sent - the backend tracks bookings itself.
+   * @param {Object} arrangement - { imageUrl, seats, zones }
+   * @returns {Object} { imageUrl, zones: [{ id, name, color, pricingTier }], seats: [{ label, x, y, zone, isBlocked }] }
+   */
+  toPayload: ({ imageUrl, seats = [], zones = [] }) => ({
+    imageUrl,
+    zones: zones.map(({ id, name, color, pricingTier }) => ({
+      id,
+      name: name.trim(),
+      color,
+      pricingTier: pricingTier || null,
+    })),
+    seats: seats.map((seat) => ({
+      label: seat.label,
+      x: Math.round(seat.x * 100) / 100,
+      y: Math.round(seat.y * 100) / 100,
+      zone: seat.zone || null,
+      isBlocked: !!seat.isBlocked,
+    })),
+  }),
+
+  /**
+   * Booking state of a seat as returned by the backend
+   * @param {Object} seat - Seat from getSeatArrangement
+   * @returns {'BLOCKED'|'BOOKED'|'AVAILABLE'}
+   */
+  getSeatStatus: (seat) => {
+    if (seat.isBlocked) return 'BLOCKED';
+    if (seat.isBooked || seat.isAvailable === false) return 'BOOKED';
+    return 'AVAILABLE';
+  },
+
+  /**
+   * Give seats without a position one on an even grid - one row per label prefix ("A", "B"...)
+   * Used for pattern-generated seats and arrangements saved before seats had coordinates.
+   * @param {Array<{label: string, x?: number, y?: number}>} seats
+   * @returns {Array<Object>} Seats, all with x and y
+   */
+  layoutSeats: (seats) => {
+    const unplaced = seats.filter((seat) => typeof seat.x !== 'number' || typeof seat.y !== 'number');
+    if (unplaced.length === 0) return seats;
+
+    const rows = new Map();
+    unplaced.forEach((seat) => {
+      const rowKey = String(seat.label).match(/^[A-Z]*/i)[0].toUpperCase();
+      rows.set(rowKey, [...(rows.get(rowKey) || []), seat]);
+    });
+
+    // Numeric-only labels have no row letter, so wrap them into rows of 20
+    const rowGroups = [...rows.entries()].flatMap(([rowKey, rowSeats]) => {
+      if (rowKey) return [rowSeats];
+      const chunks = [];
+      for (let i = 0; i < rowSeats.length; i += 20) chunks.push(rowSeats.slice(i, i + 20));
+      return chunks;
+    });
+
+    // Evenly spaced and centred, spreading out to the edges only when there are many seats
+    const spread = (count, maxStep, span) => {
+      const step = count > 1 ? Math.min(maxStep, span / (count - 1)) : 0;
+      return (index) => 50 - (step * (count - 1)) / 2 + step * index;
+    };
+
+    const positions = new Map();
+    const rowY = spread(rowGroups.length, 8, 84);
+    rowGroups.forEach((rowSeats, rowIndex) => {
+      const seatX = spread(rowSeats.length, 4, 90);
+      rowSeats.forEach((seat, seatIndex) => positions.set(seat, { x: seatX(seatIndex), y: rowY(rowIndex) }));
+    });
+
+    return seats.map((seat) => (positions.has(seat) ? { ...seat, ...positions.get(seat) } : seat));
+  },
+
+  /**
+   * Generate a rows x columns block of seats filling an area of the seat map
+   * @param {Object} options
+   * @param {number} options.rows - Number of rows (labelled from startRow: A, B, C...)
+   * @param {number} options.columns - Seats per row (numbered from 1)
+   * @param {string} [options.startRow='A'] - Letter of the first row
+   * @param {Object} options.area - { x, y, width, height } in percent of the image
+   * @returns {Array<{label: string, x: number, y: number}>}
+   */
+  generateSeatGrid: ({ rows, columns, startRow = 'A', area }) => {
+    const seats = [];
+    const firstRowCode = startRow.toUpperCase().charCodeAt(0);
+
+    for (let row = 0; row < rows; row++) {
+      const rowLetter = String.fromCharCode(firstRowCode + row);
+      const y = rows === 1 ? area.y + area.height / 2 : area.y + (area.height * row) / (rows - 1);
+
+      for (let column = 0; column < columns; column++) {
+        const x = columns === 1 ? area.x + area.width / 2 : area.x + (area.width * column) / (columns - 1);
+        seats.push({ label: `${rowLetter}${column + 1}`, x, y });
+      }
+    }
+
+    return seats;
+  },
+
   /**
    * Generate seat labels from a pattern
    * @param {string} pattern - e.g., "A1-A10" or "1-50"
@@ -1,4 +1,5 @@
 import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
 
 const SERVICE_ENDPOINTS = {
   BASE: '/web/services',
@@ -40,13 +41,13 @@ const serviceService = {
     const queryString = buildQueryString(params);
     const url = queryString ? `${SERVICE_ENDPOINTS.BASE}?${queryString}` : SERVICE_ENDPOINTS.BASE;
 
-    console.log('[ServiceService] Fetching services with params:', params);
+    logger.debug('[ServiceService] Fetching services with params:', params);
     const result = await handleApiResponse(api.get(url));
 
     if (result.success) {
-      console.log('[ServiceService] Fetched services:', result.data.services?.length);
+      logger.debug('[ServiceService] Fetched services:', result.data.services?.length);
     } else {
-      console.error('[ServiceService] Failed to fetch services:', result.message);
+      logger.error('[ServiceService] Failed to fetch services:', result.message);
     }
 
     return result;
@@ -57,13 +58,13 @@ const serviceService = {
    * @param {string} id - Service ID
    */
   getById: async (id) => {
-    console.log('[ServiceService] Fetching service:', id);
+    logger.debug('[ServiceService] Fetching service:', id);
     const result = await handleApiResponse(api.get(`${SERVICE_ENDPOINTS.BASE}/${id}`));
 
     if (result.success) {
-      console.log('[ServiceService] Fetched service:', result.data.service?.name);
+      logger.debug('[ServiceService] Fetched service:', result.data.service?.name);
     } else {
-      console.error('[ServiceService] Failed to fetch service:', result.message);
+      logger.error('[ServiceService] Failed to fetch service:', result.message);
     }
 
     return result;
@@ -74,13 +75,13 @@ const serviceService = {
    * @param {Object} serviceData - Service data
    */
   create: async (serviceData) => {
-    console.log('[ServiceService] Creating service:', serviceData.name);
+    logger.debug('[ServiceService] Creating service:', serviceData.name);
     const result = await handleApiResponse(api.post(SERVICE_ENDPOINTS.BASE, serviceData));
 
     if (result.success) {
-      console.log('[ServiceService] Created service:', result.data.service?._id);
+      logger.debug('[ServiceService] Created service:', result.data.service?._id);
     } else {
-      console.error('[ServiceService] Failed to create service:', result.message);
+      logger.error('[ServiceService] Failed to create service:', result.message);
     }
 
     return result;
@@ -92,13 +93,13 @@ const serviceService = {
    * @param {Object} updateData - Data to update
    */
   update: async (id, updateData) => {
-    console.log('[ServiceService] Updating service:', id);
+    logger.debug('[ServiceService] Updating service:', id);
     const result = await handleApiResponse(api.put(`${SERVICE_ENDPOINTS.BASE}/${id}`, updateData));
 
     if (result.success) {
-      console.log('[ServiceService] Updated service:', result.data.service?.name);
+      logger.debug('[ServiceService] Updated service:', result.data.service?.name);
     } else {
-      console.error('[ServiceService] Failed to update service:', result.message);
+      logger.error('[ServiceService] Failed to update service:', result.message);
     }
 
     return result;
@@ -109,13 +110,13 @@ const serviceService = {
    * @param {string} id - Service ID
    */
   delete: async (id) => {
-    console.log('[ServiceService] Deleting service:', id);
+    logger.debug('[ServiceService] Deleting service:', id);
     const result = await handleApiResponse(api.delete(`${SERVICE_ENDPOINTS.BASE}/${id}`));
 
     if (result.success) {
-      console.log('[ServiceService] Deleted service successfully');
+      logger.debug('[ServiceService] Deleted service successfully');
     } else {
-      console.error('[ServiceService] Failed to delete service:', result.message);
+      logger.error('[ServiceService] Failed to delete service:', result.message);
     }
 
     return result;
@@ -1,4 +1,5 @@
 import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
 
 const SERVICE_ORDER_ENDPOINTS = {
   BASE: '/web/service-orders',
@@ -41,13 +42,13 @@ const serviceOrderService = {
     const queryString = buildQueryString(params);
     const url = queryString ? `${SERVICE_ORDER_ENDPOINTS.BASE}?${queryString}` : SERVICE_ORDER_ENDPOINTS.BASE;
 
-    console.log('[ServiceOrderService] Fetching service orders with params:', params);
+    logger.debug('[ServiceOrderService] Fetching service orders with params:', params);
     const result = await handleApiResponse(api.get(url));
 
     if (result.success) {
-      console.log('[ServiceOrderService] Fetched orders:', result.data.orders?.length);
+      logger.debug('[ServiceOrderService] Fetched orders:', result.data.orders?.length);
     } else {
-      console.error('[ServiceOrderService] Failed to fetch orders:', result.message);
+      logger.error('[ServiceOrderService] Failed to fetch orders:', result.message);
     }
 
     return result;
@@ -58,13 +59,13 @@ const serviceOrderService = {
    * @param {string} id - Service Order ID
    */
   getById: async (id) => {
-    console.log('[ServiceOrderService] Fetching service order:', id);
+    logger.debug('[ServiceOrderService] Fetching service order:', id);
     const result = await handleApiResponse(api.get(`${SERVICE_ORDER_ENDPOINTS.BASE}/${id}`));
 
     if (result.success) {
-      console.log('[ServiceOrderService] Fetched order:', result.data.order?.orderId);
+      logger.debug('[ServiceOrderService] Fetched order:', result.data.order?.orderId);
     } else {
-      console.error('[ServiceOrderService] Failed to fetch order:', result.message);
+      logger.error('[ServiceOrderService] Failed to fetch order:', result.message);
     }
 
     return result;
@@ -80,13 +81,13 @@ const serviceOrderService = {
    * @param {boolean} data.sendWhatsApp - Whether to send WhatsApp
    */
   generatePaymentLink: async (data) => {
-    console.log('[ServiceOrderService] Generating payment link for:', data.phone);
+    logger.debug('[ServiceOrderService] Generating payment link for:', data.phone);
     const result = await handleApiResponse(api.post(SERVICE_ORDER_ENDPOINTS.GENERATE_LINK, data));
 
     if (result.success) {
-      console.log('[ServiceOrderService] Payment link generated:', result.data.paymentLink);
+      logger.debug('[ServiceOrderService] Payment link generated:', result.data.paymentLink);
     } else {
-      console.error('[ServiceOrderService] Failed to generate payment link:', result.message);
+      logger.error('[ServiceOrderService] Failed to generate payment link:', result.message);
     }
 
     return result;
@@ -97,13 +98,13 @@ const serviceOrderService = {
    * @param {string} id - Service Order ID
    */
   resendPaymentLink: async (id) => {
-    console.log('[ServiceOrderService] Resending payment link:', id);
+    logger.debug('[ServiceOrderService] Resending payment link:', id);
     const result = await handleApiResponse(api.post(`${SERVICE_ORDER_ENDPOINTS.BASE}/${id}/resend`));
 
     if (result.success) {
-      console.log('[ServiceOrderService] Payment link resent successfully');
+      logger.debug('[ServiceOrderService] Payment link resent successfully');
     } else {
-      console.error('[ServiceOrderService] Failed to resend payment link:', result.message);
+      logger.error('[ServiceOrderService] Failed to resend payment link:', result.message);
     }
 
     return result;
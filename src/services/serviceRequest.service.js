@@ -1,4 +1,5 @@
 import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
 
 const SERVICE_REQUEST_ENDPOINTS = {
   BASE: '/web/service-requests',
@@ -39,13 +40,13 @@ const serviceRequestService = {
     const queryString = buildQueryString(params);
     const url = queryString ? `${SERVICE_REQUEST_ENDPOINTS.BASE}?${queryString}` : SERVICE_REQUEST_ENDPOINTS.BASE;
 
-    console.log('[ServiceRequestService] Fetching service requests with params:', params);
+    logger.debug('[ServiceRequestService] Fetching service requests with params:', params);
     const result = await handleApiResponse(api.get(url));
 
     if (result.success) {
-      console.log('[ServiceRequestService] Fetched requests:', result.data.requests?.length);
+      logger.debug('[ServiceRequestService] Fetched requests:', result.data.requests?.length);
     } else {
-      console.error('[ServiceRequestService] Failed to fetch requests:', result.message);
+      logger.error('[ServiceRequestService] Failed to fetch requests:', result.message);
     }
 
     return result;
@@ -56,13 +57,13 @@ const serviceRequestService = {
    * @param {string} id - Service Request ID
    */
   getById: async (id) => {
-    console.log('[ServiceRequestService] Fetching service request:', id);
+    logger.debug('[ServiceRequestService] Fetching service request:', id);
     const result = await handleApiResponse(api.get(`${SERVICE_REQUEST_ENDPOINTS.BASE}/${id}`));
 
     if (result.success) {
-      console.log('[ServiceRequestService] Fetched request:', result.data.request?._id);
+      logger.debug('[ServiceRequestService] Fetched request:', result.data.request?._id);
     } else {
-      console.error('[ServiceRequestService] Failed to fetch request:', result.message);
+      logger.error('[ServiceRequestService] Failed to fetch request:', result.message);
     }
 
     return result;
@@ -76,13 +77,13 @@ const serviceRequestService = {
    * @param {boolean} data.sendWhatsApp - Whether to send WhatsApp
    */
   approve: async (id, data = {}) => {
-    console.log('[ServiceRequestService] Approving service request:', id);
+    logger.debug('[ServiceRequestService] Approving service request:', id);
     const result = await handleApiResponse(api.post(`${SERVICE_REQUEST_ENDPOINTS.BASE}/${id}/approve`, data));
 
     if (result.success) {
-      console.log('[ServiceRequestService] Request approved successfully');
+      logger.debug('[ServiceRequestService] Request approved successfully');
     } else {
-      console.error('[ServiceRequestService] Failed to approve request:', result.message);
+      logger.error('[ServiceRequestService] Failed to approve request:', result.message);
     }
 
     return result;
@@ -96,13 +97,13 @@ const serviceRequestService = {
    * @param {string} data.adminNotes - Admin notes
    */
   reject: async (id, data) => {
-    console.log('[ServiceRequestService] Rejecting service request:', id);
+    logger.debug('[ServiceRequestService] Rejecting service request:', id);
     const result = await handleApiResponse(api.post(`${SERVICE_REQUEST_ENDPOINTS.BASE}/${id}/reject`, data));
 
     if (result.success) {
-      console.log('[ServiceRequestService] Request rejected successfully');
+      logger.debug('[ServiceRequestService] Request rejected successfully');
     } else {
-      console.error('[ServiceRequestService] Failed to reject request:', result.message);
+      logger.error('[ServiceRequestService] Failed to reject request:', result.message);
     }
 
     return result;
@@ -1,4 +1,5 @@
 import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
 
 const SESSION_ENDPOINTS = {
   BASE: '/web/sessions',
@@ -25,13 +26,13 @@ const sessionService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   create: async (data) => {
-    console.log('[SessionService] Creating session:', data.title);
+    logger.debug('[SessionService] Creating session:', data.title);
     const result = await handleApiResponse(api.post(SESSION_ENDPOINTS.BASE, data));
 
     if (result.success) {
-      console.log('[SessionService] Session created successfully:', result.data.session?._id);
+      logger.debug('[SessionService] Session created successfully:', result.data.session?._id);
     } else {
-      console.error('[SessionService] Failed to create session:', result.message);
+      logger.error('[SessionService] Failed to create session:', result.message);
     }
 
     return result;
@@ -39,7 +40,7 @@ const sessionService = {
 
   /**
    * Get all sessions with pagination and filters
-   * @param {Object} params - { page?, limit?, sortBy?, sortOrder?, isLive?, sessionType?, search? }
+   * @param {Object} params - { page?, limit?, sortBy?, sortOrder?, isLive?, sessionType?, search?, sessionDateFrom?, sessionDateTo? }
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   getAll: async (params = {}) => {
@@ -54,19 +55,21 @@ const sessionService = {
     }
     if (params.sessionType) queryParams.append('sessionType', params.sessionType);
     if (params.search) queryParams.append('search', params.search);
+    if (params.sessionDateFrom) queryParams.append('sessionDateFrom', params.sessionDateFrom);
+    if (params.sessionDateTo) queryParams.append('sessionDateTo', params.sessionDateTo);
 
     const queryString = queryParams.toString();
     const url = queryString
       ? `${SESSION_ENDPOINTS.BASE}?${queryString}`
       : SESSION_ENDPOINTS.BASE;
 
-    console.log('[SessionService] Fetching sessions with params:', params);
+    logger.debug('[SessionService] Fetching sessions with params:', params);
     const result = await handleApiResponse(api.get(url));
 
     if (result.success) {
-      console.log('[SessionService] Fetched sessions:', result.data.sessions?.length);
+      logger.debug('[SessionService] Fetched sessions:', result.data.sessions?.length);
     } else {
-      console.error('[SessionService] Failed to fetch sessions:', result.message);
+      logger.error('[SessionService] Failed to fetch sessions:', result.message);
     }
 
     return result;
@@ -78,13 +81,13 @@ const sessionService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   getById: async (id) => {
-    console.log('[SessionService] Fetching session by ID:', id);
+    logger.debug('[SessionService] Fetching session by ID:', id);
     const result = await handleApiResponse(api.get(SESSION_ENDPOINTS.GET_BY_ID(id)));
 
     if (result.success) {
-      console.log('[SessionService] Fetched session:', result.data.session?._id);
+      logger.debug('[SessionService] Fetched session:', result.data.session?._id);
     } else {
-      console.error('[SessionService] Failed to fetch session:', result.message);
+      logger.error('[SessionService] Failed to fetch session:', result.message);
     }
 
     return result;
@@ -97,13 +100,13 @@ const sessionService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   update: async (id, data) => {
-    console.log('[SessionService] Updating session:', id);
+    logger.debug('[SessionService] Updating session:', id);
     const result = await handleApiResponse(api.put(SESSION_ENDPOINTS.UPDATE(id), data));
 
     if (result.success) {
-      console.log('[SessionService] Session updated successfully');
+      logger.debug('[SessionService] Session updated successfully');
     } else {
-      console.error('[SessionService] Failed to update session:', result.message);
+      logger.error('[SessionService] Failed to update session:', result.message);
     }
 
     return result;
@@ -115,13 +118,13 @@ const sessionService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   toggleLive: async (id) => {
-    console.log('[SessionService] Toggling session live status:', id);
+    logger.debug('[SessionService] Toggling session live status:', id);
     const result = await handleApiResponse(api.patch(SESSION_ENDPOINTS.TOGGLE_LIVE(id)));
 
     if (result.success) {
-      console.log('[SessionService] Session live status toggled successfully');
+      logger.debug('[SessionService] Session live status toggled successfully');
     } else {
-      console.error('[SessionService] Failed to toggle session live status:', result.message);
+      logger.error('[SessionService] Failed to toggle session live status:', result.message);
     }
 
     return result;
@@ -133,13 +136,13 @@ const sessionService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   delete: async (id) => {
-    console.log('[SessionService] Deleting session:', id);
+    logger.debug('[SessionService] Deleting session:', id);
     const result = await handleApiResponse(api.delete(SESSION_ENDPOINTS.DELETE(id)));
 
     if (result.success) {
-      console.log('[SessionService] Session deleted successfully');
+      logger.debug('[SessionService] Session deleted successfully');
     } else {
-      console.error('[SessionService] Failed to delete session:', result.message);
+      logger.error('[SessionService] Failed to delete session:', result.message);
     }
 
     return result;
@@ -150,13 +153,13 @@ const sessionService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   getDeleted: async () => {
-    console.log('[SessionService] Fetching deleted sessions');
+    logger.debug('[SessionService] Fetching deleted sessions');
     const result = await handleApiResponse(api.get(SESSION_ENDPOINTS.DELETED));
 
     if (result.success) {
-      console.log('[SessionService] Fetched deleted sessions:', result.data.sessions?.length);
+      logger.debug('[SessionService] Fetched deleted sessions:', result.data.sessions?.length);
     } else {
-      console.error('[SessionService] Failed to fetch deleted sessions:', result.message);
+      logger.error('[SessionService] Failed to fetch deleted sessions:', result.message);
     }
 
     return result;
@@ -168,13 +171,13 @@ const sessionService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   restore: async (id) => {
-    console.log('[SessionService] Restoring session:', id);
+    logger.debug('[SessionService] Restoring session:', id);
     const result = await handleApiResponse(api.post(SESSION_ENDPOINTS.RESTORE(id)));
 
     if (result.success) {
-      console.log('[SessionService] Session restored successfully');
+      logger.debug('[SessionService] Session restored successfully');
     } else {
-      console.error('[SessionService] Failed to restore session:', result.message);
+      logger.error('[SessionService] Failed to restore session:', result.message);
     }
 
     return result;
@@ -186,13 +189,13 @@ const sessionService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   permanentDelete: async (id) => {
-    console.log('[SessionService] Permanently deleting session:', id);
+    logger.debug('[SessionService] Permanently deleting session:', id);
     const result = await handleApiResponse(api.delete(SESSION_ENDPOINTS.PERMANENT_DELETE(id)));
 
     if (result.success) {
-      console.log('[SessionService] Session permanently deleted');
+      logger.debug('[SessionService] Session permanently deleted');
     } else {
-      console.error('[SessionService] Failed to permanently delete session:', result.message);
+      logger.error('[SessionService] Failed to permanently delete session:', result.message);
     }
 
     return result;
@@ -218,13 +221,13 @@ const sessionService = {
       ? `${SESSION_ENDPOINTS.BOOKINGS}?${queryString}`
       : SESSION_ENDPOINTS.BOOKINGS;
 
-    console.log('[SessionService] Fetching bookings with params:', params);
+    logger.debug('[SessionService] Fetching bookings with params:', params);
     const result = await handleApiResponse(api.get(url));
 
     if (result.success) {
-      console.log('[SessionService] Fetched bookings:', result.data.bookings?.length);
+      logger.debug('[SessionService] Fetched bookings:', result.data.bookings?.length);
     } else {
-      console.error('[SessionService] Failed to fetch bookings:', result.message);
+      logger.error('[SessionService] Failed to fetch bookings:', result.message);
     }
 
     return result;
@@ -237,13 +240,13 @@ const sessionService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   updateBooking: async (bookingId, data) => {
-    console.log('[SessionService] Updating booking:', bookingId, 'with status:', data.status);
+    logger.debug('[SessionService] Updating booking:', bookingId, 'with status:', data.status);
     const result = await handleApiResponse(api.put(SESSION_ENDPOINTS.UPDATE_BOOKING(bookingId), data));
 
     if (result.success) {
-      console.log('[SessionService] Booking updated successfully');
+      logger.debug('[SessionService] Booking updated successfully');
     } else {
-      console.error('[SessionService] Failed to update booking:', result.message);
+      logger.error('[SessionService] Failed to update booking:', result.message);
     }
 
     return result;
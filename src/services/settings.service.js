@@ -1,4 +1,5 @@
 import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
 
 const SETTINGS_ENDPOINTS = {
   APP_VERSION: '/web/settings/app-version',
@@ -10,12 +11,12 @@ const SETTINGS_ENDPOINTS = {
  */
 const settingsService = {
   getAppVersion: async () => {
-    console.log('[SettingsService] Fetching app version settings');
+    logger.debug('[SettingsService] Fetching app version settings');
     return handleApiResponse(api.get(SETTINGS_ENDPOINTS.APP_VERSION));
   },
 
   updateAppVersion: async (payload) => {
-    console.log('[SettingsService] Updating app version settings');
+    logger.debug('[SettingsService] Updating app version settings');
     return handleApiResponse(api.put(SETTINGS_ENDPOINTS.APP_VERSION, payload));
   },
 };
@@ -4,6 +4,7 @@
  */
 
 import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
 
 const SOS_PROGRAM_ENDPOINTS = {
   BASE: '/web/sos/programs',
@@ -43,7 +44,7 @@ const sosProgramService = {
     if (search) queryParams.append('search', search);
 
     const url = `${SOS_PROGRAM_ENDPOINTS.BASE}?${queryParams.toString()}`;
-    console.log('[SOSProgramService] Fetching programs:', url);
+    logger.debug('[SOSProgramService] Fetching programs:', url);
 
     return handleApiResponse(api.get(url));
   },
@@ -55,11 +56,11 @@ const sosProgramService = {
    */
   getById: async (id) => {
     if (!id) {
-      console.error('[SOSProgramService] getById: No ID provided');
+      logger.error('[SOSProgramService] getById: No ID provided');
       return { success: false, error: 'Program ID is required' };
     }
 
-    console.log('[SOSProgramService] Fetching program:', id);
+    logger.debug('[SOSProgramService] Fetching program:', id);
     return handleApiResponse(api.get(SOS_PROGRAM_ENDPOINTS.GET_BY_ID(id)));
   },
 
@@ -69,7 +70,7 @@ const sosProgramService = {
    * @returns {Promise<Object>} API response
    */
   create: async (data) => {
-    console.log('[SOSProgramService] Creating program:', data.title);
+    logger.debug('[SOSProgramService] Creating program:', data.title);
     return handleApiResponse(api.post(SOS_PROGRAM_ENDPOINTS.BASE, data));
   },
 
@@ -81,11 +82,11 @@ const sosProgramService = {
    */
   update: async (id, data) => {
     if (!id) {
-      console.error('[SOSProgramService] update: No ID provided');
+      logger.error('[SOSProgramService] update: No ID provided');
       return { success: false, error: 'Program ID is required' };
     }
 
-    console.log('[SOSProgramService] Updating program:', id);
+    logger.debug('[SOSProgramService] Updating program:', id);
     return handleApiResponse(api.put(SOS_PROGRAM_ENDPOINTS.UPDATE(id), data));
   },
 
@@ -96,11 +97,11 @@ const sosProgramService = {
    */
   delete: async (id) => {
     if (!id) {
-      console.error('[SOSProgramService] delete: No ID provided');
+      logger.error('[SOSProgramService] delete: No ID provided');
       return { success: false, error: 'Program ID is required' };
     }
 
-    console.log('[SOSProgramService] Deleting program:', id);
+    logger.debug('[SOSProgramService] Deleting program:', id);
     return handleApiResponse(api.delete(SOS_PROGRAM_ENDPOINTS.DELETE(id)));
   },
 
@@ -111,11 +112,11 @@ const sosProgramService = {
    */
   toggleStatus: async (id) => {
     if (!id) {
-      console.error('[SOSProgramService] toggleStatus: No ID provided');
+      logger.error('[SOSProgramService] toggleStatus: No ID provided');
       return { success: false, error: 'Program ID is required' };
     }
 
-    console.log('[SOSProgramService] Toggling status for program:', id);
+    logger.debug('[SOSProgramService] Toggling status for program:', id);
     return handleApiResponse(api.patch(SOS_PROGRAM_ENDPOINTS.TOGGLE_STATUS(id)));
   },
 
@@ -126,11 +127,11 @@ const sosProgramService = {
    */
   getStats: async (id) => {
     if (!id) {
-      console.error('[SOSProgramService] getStats: No ID provided');
+      logger.error('[SOSProgramService] getStats: No ID provided');
       return { success: false, error: 'Program ID is required' };
     }
 
-    console.log('[SOSProgramService] Fetching stats for program:', id);
+    logger.debug('[SOSProgramService] Fetching stats for program:', id);
     return handleApiResponse(api.get(SOS_PROGRAM_ENDPOINTS.STATS(id)));
   },
 
@@ -141,11 +142,11 @@ const sosProgramService = {
    */
   getQuizzes: async (id) => {
     if (!id) {
-      console.error('[SOSProgramService] getQuizzes: No ID provided');
+      logger.error('[SOSProgramService] getQuizzes: No ID provided');
       return { success: false, error: 'Program ID is required' };
     }
 
-    console.log('[SOSProgramService] Fetching quizzes for program:', id);
+    logger.debug('[SOSProgramService] Fetching quizzes for program:', id);
     return handleApiResponse(api.get(SOS_PROGRAM_ENDPOINTS.QUIZZES(id)));
   },
 };
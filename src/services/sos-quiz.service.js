@@ -5,6 +5,7 @@
  */
 
 import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
 
 const SOS_QUIZ_ENDPOINTS = {
   BASE: '/web/sos/quizzes',
@@ -41,7 +42,7 @@ const sosQuizService = {
     if (isActive !== '') queryParams.append('isActive', isActive);
 
     const url = `${SOS_QUIZ_ENDPOINTS.BASE}?${queryParams.toString()}`;
-    console.log('[SOSQuizService] Fetching quizzes:', url);
+    logger.debug('[SOSQuizService] Fetching quizzes:', url);
 
     return handleApiResponse(api.get(url));
   },
@@ -53,11 +54,11 @@ const sosQuizService = {
    */
   getById: async (id) => {
     if (!id) {
-      console.error('[SOSQuizService] getById: No ID provided');
+      logger.error('[SOSQuizService] getById: No ID provided');
       return { success: false, error: 'Quiz ID is required' };
     }
 
-    console.log('[SOSQuizService] Fetching quiz:', id);
+    logger.debug('[SOSQuizService] Fetching quiz:', id);
     return handleApiResponse(api.get(SOS_QUIZ_ENDPOINTS.GET_BY_ID(id)));
   },
 
@@ -67,15 +68,15 @@ const sosQuizService = {
    * @returns {Promise<Object>} API response
    */
   create: async (data) => {
-    console.log('[SOSQuizService] Creating quiz:', data.title, 'for program:', data.programId, 'day:', data.dayNumber);
+    logger.debug('[SOSQuizService] Creating quiz:', data.title, 'for program:', data.programId, 'day:', data.dayNumber);
 
     // Validate required fields
     if (!data.programId) {
-      console.error('[SOSQuizService] create: No programId provided');
+      logger.error('[SOSQuizService] create: No programId provided');
       return { success: false, error: 'Program ID is required' };
     }
     if (!data.dayNumber) {
-      console.error('[SOSQuizService] create: No dayNumber provided');
+      logger.error('[SOSQuizService] create: No dayNumber provided');
       return { success: false, error: 'Day number is required' };
     }
 
@@ -90,16 +91,16 @@ const sosQuizService = {
    */
   update: async (id, data) => {
     if (!id) {
-      console.error('[SOSQuizService] update: No ID provided');
+      logger.error('[SOSQuizService] update: No ID provided');
       return { success: false, error: 'Quiz ID is required' };
     }
 
-    console.log('[SOSQuizService] Updating quiz:', id);
+    logger.debug('[SOSQuizService] Updating quiz:', id);
 
     // Remove programId and dayNumber from update data as they cannot be changed
     const { programId, dayNumber, ...updateData } = data;
     if (programId || dayNumber) {
-      console.warn('[SOSQuizService] Ignoring programId and dayNumber in update - these cannot be changed');
+      logger.warn('[SOSQuizService] Ignoring programId and dayNumber in update - these cannot be changed');
     }
 
     return handleApiResponse(api.put(SOS_QUIZ_ENDPOINTS.UPDATE(id), updateData));
@@ -112,11 +113,11 @@ const sosQuizService = {
    */
   delete: async (id) => {
     if (!id) {
-      console.error('[SOSQuizService] delete: No ID provided');
+      logger.error('[SOSQuizService] delete: No ID provided');
       return { success: false, error: 'Quiz ID is required' };
     }
 
-    console.log('[SOSQuizService] Deleting quiz:', id);
+    logger.debug('[SOSQuizService] Deleting quiz:', id);
     return handleApiResponse(api.delete(SOS_QUIZ_ENDPOINTS.DELETE(id)));
   },
 
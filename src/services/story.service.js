@@ -1,4 +1,5 @@
 import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
 
 /**
  * Story Service Endpoints
@@ -20,7 +21,7 @@ const storyService = {
    * @returns {Promise<Object>} API response
    */
   create: async (storyData) => {
-    console.log('[StoryService] Creating story');
+    logger.debug('[StoryService] Creating story');
     return handleApiResponse(api.post(STORY_ENDPOINTS.BASE, storyData));
   },
 
@@ -30,7 +31,7 @@ const storyService = {
    * @returns {Promise<Object>} API response with stories and pagination
    */
   getAll: async (params = {}) => {
-    console.log('[StoryService] Fetching stories:', params);
+    logger.debug('[StoryService] Fetching stories:', params);
     const queryParams = new URLSearchParams();
 
     if (params.page) queryParams.append('page', params.page);
@@ -49,7 +50,7 @@ const storyService = {
    * @returns {Promise<Object>} API response with story data
    */
   getById: async (storyId) => {
-    console.log('[StoryService] Fetching story:', storyId);
+    logger.debug('[StoryService] Fetching story:', storyId);
     return handleApiResponse(api.get(`${STORY_ENDPOINTS.BASE}/${storyId}`));
   },
 
@@ -60,7 +61,7 @@ const storyService = {
    * @returns {Promise<Object>} API response
    */
   update: async (storyId, updateData) => {
-    console.log('[StoryService] Updating story:', storyId);
+    logger.debug('[StoryService] Updating story:', storyId);
     return handleApiResponse(api.put(`${STORY_ENDPOINTS.BASE}/${storyId}`, updateData));
   },
 
@@ -70,7 +71,7 @@ const storyService = {
    * @returns {Promise<Object>} API response
    */
   toggleActive: async (storyId) => {
-    console.log('[StoryService] Toggling story status:', storyId);
+    logger.debug('[StoryService] Toggling story status:', storyId);
     return handleApiResponse(api.patch(`${STORY_ENDPOINTS.BASE}/${storyId}/toggle`));
   },
 
@@ -81,7 +82,7 @@ const storyService = {
    * @returns {Promise<Object>} API response
    */
   delete: async (storyId, deleteMedia = false) => {
-    console.log('[StoryService] Deleting story:', storyId);
+    logger.debug('[StoryService] Deleting story:', storyId);
     const url = deleteMedia
       ? `${STORY_ENDPOINTS.BASE}/${storyId}?deleteMedia=true`
       : `${STORY_ENDPOINTS.BASE}/${storyId}`;
@@ -95,7 +96,7 @@ const storyService = {
    * @returns {Promise<Object>} API response
    */
   permanentDelete: async (storyId, deleteMedia = true) => {
-    console.log('[StoryService] Permanently deleting story:', storyId);
+    logger.debug('[StoryService] Permanently deleting story:', storyId);
     const url = deleteMedia
       ? `${STORY_ENDPOINTS.BASE}/${storyId}/permanent`
       : `${STORY_ENDPOINTS.BASE}/${storyId}/permanent?deleteMedia=false`;
@@ -108,7 +109,7 @@ const storyService = {
    * @returns {Promise<Object>} API response
    */
   reorder: async (order) => {
-    console.log('[StoryService] Reordering stories');
+    logger.debug('[StoryService] Reordering stories');
     return handleApiResponse(api.put(STORY_ENDPOINTS.REORDER, { order }));
   },
 
@@ -117,7 +118,7 @@ const storyService = {
    * @returns {Promise<Object>} API response with stats
    */
   getStats: async () => {
-    console.log('[StoryService] Fetching story stats');
+    logger.debug('[StoryService] Fetching story stats');
     return handleApiResponse(api.get(STORY_ENDPOINTS.STATS));
   },
 
@@ -126,7 +127,7 @@ const storyService = {
    * @returns {Promise<Object>} API response with TTL options
    */
   getTtlOptions: async () => {
-    console.log('[StoryService] Fetching TTL options');
+    logger.debug('[StoryService] Fetching TTL options');
     return handleApiResponse(api.get(STORY_ENDPOINTS.TTL_OPTIONS));
   },
 };
@@ -0,0 +1,47 @@
+import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
+
+const TABLE_LAYOUT_ENDPOINTS = {
+  BY_KEY: (key) => `/web/table-layouts/${encodeURIComponent(key)}`,
+};
+
+/**
+ * Table Layout Service
+ * Per-admin column layout (order and hidden columns) of each data grid
+ */
+const tableLayoutService = {
+  /**
+   * Get the logged-in admin's layout for a table
+   * @param {string} key - Table key, e.g. 'events'
+   * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
+   */
+  get: async (key) => {
+    logger.debug('[TableLayoutService] Fetching layout:', key);
+    const result = await handleApiResponse(api.get(TABLE_LAYOUT_ENDPOINTS.BY_KEY(key)));
+
+    if (!result.success) {
+      logger.error('[TableLayoutService] Failed to fetch layout:', result.message);
+    }
+
+    return result;
+  },
+
+  /**
+   * Save the logged-in admin's layout for a table
+   * @param {string} key - Table key
+   * @param {Object} layout - { order: string[], hidden: string[] }
+   * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
+   */
+  save: async (key, layout) => {
+    logger.debug('[TableLayoutService] Saving layout:', key);
+    const result = await handleApiResponse(api.put(TABLE_LAYOUT_ENDPOINTS.BY_KEY(key), layout));
+
+    if (!result.success) {
+      logger.error('[TableLayoutService] Failed to save layout:', result.message);
+    }
+
+    return result;
+  },
+};
+
+export default tableLayoutService;
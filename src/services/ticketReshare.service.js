@@ -55,11 +55,3 @@ export const bulkReshareTickets = async (tickets, sendVia = 'whatsapp') => {
     })
   );
 };
-
-/**
- * Get all events for dropdown selection
- * @returns {Promise<Object>} Events list
- */
-export const getEventsForReshare = async () => {
-  return handleApiResponse(api.get('/web/events'));
-};
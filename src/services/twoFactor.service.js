@@ -0,0 +1,105 @@
+import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
+
+const TWO_FACTOR_ENDPOINTS = {
+  SETUP: '/web/auth/2fa/setup',
+  ENABLE: '/web/auth/2fa/enable',
+  DISABLE: '/web/auth/2fa/disable',
+  BACKUP_CODES: '/web/auth/2fa/backup-codes',
+  POLICY: '/web/auth/2fa/policy',
+  RESET: (adminId) => `/web/auth/admins/${adminId}/2fa/reset`,
+};
+
+/**
+ * Two-Factor Service
+ * Handles TOTP two-factor enrollment, backup codes and the per-role policy
+ *
+ * Setup and enable accept a `twoFactorToken` instead of a session when an admin
+ * whose role requires 2FA enrolls during login.
+ */
+const twoFactorService = {
+  /**
+   * Start enrollment - generates a new TOTP secret
+   * @param {string} [twoFactorToken] - Pending login token (enrollment during login)
+   * @returns {Promise<{success: boolean, data: {secret: string, otpauthUrl: string, qrCode: string|null}|null, message: string, error: string|null}>}
+   */
+  setup: async (twoFactorToken) => {
+    logger.debug('[TwoFactorService] Starting 2FA setup');
+    return handleApiResponse(
+      api.post(TWO_FACTOR_ENDPOINTS.SETUP, twoFactorToken ? { twoFactorToken } : {})
+    );
+  },
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * @param {string} code - 6-digit TOTP code
+   * @param {string} [twoFactorToken] - Pending login token (enrollment during login)
+   * @returns {Promise<{success: boolean, data: {backupCodes: string[], admin: Object, tokens?: Object}|null, message: string, error: string|null}>}
+   */
+  enable: async (code, twoFactorToken) => {
+    logger.debug('[TwoFactorService] Enabling 2FA');
+    const result = await handleApiResponse(
+      api.post(TWO_FACTOR_ENDPOINTS.ENABLE, { code, ...(twoFactorToken && { twoFactorToken }) })
+    );
+
+    if (result.success) {
+      logger.debug('[TwoFactorService] 2FA enabled');
+    } else {
+      logger.error('[TwoFactorService] Failed to enable 2FA:', result.message);
+    }
+
+    return result;
+  },
+
+  /**
+   * Turn off 2FA for the current admin
+   * @param {Object} data - { password, code }
+   * @returns {Promise<{success: boolean, data: {admin: Object}|null, message: string, error: string|null}>}
+   */
+  disable: async (data) => {
+    logger.debug('[TwoFactorService] Disabling 2FA');
+    return handleApiResponse(api.post(TWO_FACTOR_ENDPOINTS.DISABLE, data));
+  },
+
+  /**
+   * Replace the backup codes - previous codes stop working
+   * @param {string} code - Current TOTP code
+   * @returns {Promise<{success: boolean, data: {backupCodes: string[]}|null, message: string, error: string|null}>}
+   */
+  regenerateBackupCodes: async (code) => {
+    logger.debug('[TwoFactorService] Regenerating backup codes');
+    return handleApiResponse(api.post(TWO_FACTOR_ENDPOINTS.BACKUP_CODES, { code }));
+  },
+
+  /**
+   * Get the roles required to use 2FA
+   * @returns {Promise<{success: boolean, data: {policy: {requiredRoles: string[]}}|null, message: string, error: string|null}>}
+   */
+  getPolicy: async () => {
+    logger.debug('[TwoFactorService] Fetching 2FA policy');
+    return handleApiResponse(api.get(TWO_FACTOR_ENDPOINTS.POLICY));
+  },
+
+  /**
+   * Update the roles required to use 2FA (SUPER_ADMIN only)
+   * @param {string[]} requiredRoles - Roles that must enroll
+   * @returns {Promise<{success: boolean, data: {policy: Object}|null, message: string, error: string|null}>}
+   */
+  updatePolicy: async (requiredRoles) => {
+    logger.debug('[TwoFactorService] Updating 2FA policy:', requiredRoles);
+    return handleApiResponse(api.put(TWO_FACTOR_ENDPOINTS.POLICY, { requiredRoles }));
+  },
+
+  /**
+   * Remove another admin's 2FA, e.g. after a lost phone (SUPER_ADMIN only)
+   * They enroll again on next login if their role requires it
+   * @param {string} adminId - Admin ID
+   * @returns {Promise<{success: boolean, data: {admin: Object}|null, message: string, error: string|null}>}
+   */
+  resetForAdmin: async (adminId) => {
+    logger.debug('[TwoFactorService] Resetting 2FA for admin:', adminId);
+    return handleApiResponse(api.post(TWO_FACTOR_ENDPOINTS.RESET(adminId)));
+  },
+};
+
+export default twoFactorService;
@@ -1,4 +1,5 @@
 import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
 
 const USER_ENDPOINTS = {
   LIST: '/app/auth/users',
@@ -30,13 +31,13 @@ const userService = {
     const queryString = queryParams.toString();
     const url = queryString ? `${USER_ENDPOINTS.LIST}?${queryString}` : USER_ENDPOINTS.LIST;
 
-    console.log('[UserService] Fetching users with params:', params);
+    logger.debug('[UserService] Fetching users with params:', params);
     const result = await handleApiResponse(api.get(url));
 
     if (result.success) {
-      console.log('[UserService] Fetched users:', result.data.users?.length);
+      logger.debug('[UserService] Fetched users:', result.data.users?.length);
     } else {
-      console.error('[UserService] Failed to fetch users:', result.message);
+      logger.error('[UserService] Failed to fetch users:', result.message);
     }
 
     return result;
@@ -48,13 +49,13 @@ const userService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   getById: async (id) => {
-    console.log('[UserService] Fetching user by ID:', id);
+    logger.debug('[UserService] Fetching user by ID:', id);
     const result = await handleApiResponse(api.get(USER_ENDPOINTS.GET_BY_ID(id)));
 
     if (result.success) {
-      console.log('[UserService] Fetched user:', result.data.user?.name);
+      logger.debug('[UserService] Fetched user:', result.data.user?.name);
     } else {
-      console.error('[UserService] Failed to fetch user:', result.message);
+      logger.error('[UserService] Failed to fetch user:', result.message);
     }
 
     return result;
@@ -67,13 +68,13 @@ const userService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   update: async (id, updateData) => {
-    console.log('[UserService] Updating user:', id);
+    logger.debug('[UserService] Updating user:', id);
     const result = await handleApiResponse(api.put(USER_ENDPOINTS.UPDATE(id), updateData));
 
     if (result.success) {
-      console.log('[UserService] User updated successfully');
+      logger.debug('[UserService] User updated successfully');
     } else {
-      console.error('[UserService] Failed to update user:', result.message);
+      logger.error('[UserService] Failed to update user:', result.message);
     }
 
     return result;
@@ -85,13 +86,13 @@ const userService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   delete: async (id) => {
-    console.log('[UserService] Soft deleting user:', id);
+    logger.debug('[UserService] Soft deleting user:', id);
     const result = await handleApiResponse(api.delete(USER_ENDPOINTS.DELETE(id)));
 
     if (result.success) {
-      console.log('[UserService] User soft deleted successfully');
+      logger.debug('[UserService] User soft deleted successfully');
     } else {
-      console.error('[UserService] Failed to delete user:', result.message);
+      logger.error('[UserService] Failed to delete user:', result.message);
     }
 
     return result;
@@ -103,13 +104,13 @@ const userService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   restore: async (id) => {
-    console.log('[UserService] Restoring user:', id);
+    logger.debug('[UserService] Restoring user:', id);
     const result = await handleApiResponse(api.post(USER_ENDPOINTS.RESTORE(id)));
 
     if (result.success) {
-      console.log('[UserService] User restored successfully');
+      logger.debug('[UserService] User restored successfully');
     } else {
-      console.error('[UserService] Failed to restore user:', result.message);
+      logger.error('[UserService] Failed to restore user:', result.message);
     }
 
     return result;
@@ -121,13 +122,13 @@ const userService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   permanentDelete: async (id) => {
-    console.log('[UserService] Permanently deleting user:', id);
+    logger.debug('[UserService] Permanently deleting user:', id);
     const result = await handleApiResponse(api.delete(USER_ENDPOINTS.PERMANENT_DELETE(id)));
 
     if (result.success) {
-      console.log('[UserService] User permanently deleted');
+      logger.debug('[UserService] User permanently deleted');
     } else {
-      console.error('[UserService] Failed to permanently delete user:', result.message);
+      logger.error('[UserService] Failed to permanently delete user:', result.message);
     }
 
     return result;
@@ -1,4 +1,5 @@
 import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
 
 const USER_SUBSCRIPTION_ENDPOINTS = {
   BASE: '/web/user-subscriptions',
@@ -41,13 +42,13 @@ const userSubscriptionService = {
     const queryString = buildQueryString(params);
     const url = queryString ? `${USER_SUBSCRIPTION_ENDPOINTS.BASE}?${queryString}` : USER_SUBSCRIPTION_ENDPOINTS.BASE;
 
-    console.log('[UserSubscriptionService] Fetching subscriptions with params:', params);
+    logger.debug('[UserSubscriptionService] Fetching subscriptions with params:', params);
     const result = await handleApiResponse(api.get(url));
 
     if (result.success) {
-      console.log('[UserSubscriptionService] Fetched subscriptions:', result.data.subscriptions?.length);
+      logger.debug('[UserSubscriptionService] Fetched subscriptions:', result.data.subscriptions?.length);
     } else {
-      console.error('[UserSubscriptionService] Failed to fetch subscriptions:', result.message);
+      logger.error('[UserSubscriptionService] Failed to fetch subscriptions:', result.message);
     }
 
     return result;
@@ -58,13 +59,13 @@ const userSubscriptionService = {
    * @param {string} id - Subscription ID
    */
   getById: async (id) => {
-    console.log('[UserSubscriptionService] Fetching subscription:', id);
+    logger.debug('[UserSubscriptionService] Fetching subscription:', id);
     const result = await handleApiResponse(api.get(`${USER_SUBSCRIPTION_ENDPOINTS.BASE}/${id}`));
 
     if (result.success) {
-      console.log('[UserSubscriptionService] Fetched subscription:', result.data.subscription?._id);
+      logger.debug('[UserSubscriptionService] Fetched subscription:', result.data.subscription?._id);
     } else {
-      console.error('[UserSubscriptionService] Failed to fetch subscription:', result.message);
+      logger.error('[UserSubscriptionService] Failed to fetch subscription:', result.message);
     }
 
     return result;
@@ -77,13 +78,13 @@ const userSubscriptionService = {
    * @param {string} data.serviceId - Optional service ID
    */
   checkStatus: async (data) => {
-    console.log('[UserSubscriptionService] Checking status for:', data.phone);
+    logger.debug('[UserSubscriptionService] Checking status for:', data.phone);
     const result = await handleApiResponse(api.post(USER_SUBSCRIPTION_ENDPOINTS.CHECK_STATUS, data));
 
     if (result.success) {
-      console.log('[UserSubscriptionService] Status checked:', result.data.hasActiveSubscription);
+      logger.debug('[UserSubscriptionService] Status checked:', result.data.hasActiveSubscription);
     } else {
-      console.error('[UserSubscriptionService] Failed to check status:', result.message);
+      logger.error('[UserSubscriptionService] Failed to check status:', result.message);
     }
 
     return result;
@@ -96,13 +97,13 @@ const userSubscriptionService = {
    * @param {string} data.reason - Cancellation reason
    */
   cancel: async (id, data) => {
-    console.log('[UserSubscriptionService] Cancelling subscription:', id);
+    logger.debug('[UserSubscriptionService] Cancelling subscription:', id);
     const result = await handleApiResponse(api.post(`${USER_SUBSCRIPTION_ENDPOINTS.BASE}/${id}/cancel`, data));
 
     if (result.success) {
-      console.log('[UserSubscriptionService] Subscription cancelled successfully');
+      logger.debug('[UserSubscriptionService] Subscription cancelled successfully');
     } else {
-      console.error('[UserSubscriptionService] Failed to cancel subscription:', result.message);
+      logger.error('[UserSubscriptionService] Failed to cancel subscription:', result.message);
     }
 
     return result;
@@ -115,13 +116,13 @@ const userSubscriptionService = {
    * @param {string} data.adminNotes - Admin notes
    */
   updateNotes: async (id, data) => {
-    console.log('[UserSubscriptionService] Updating notes for subscription:', id);
+    logger.debug('[UserSubscriptionService] Updating notes for subscription:', id);
     const result = await handleApiResponse(api.patch(`${USER_SUBSCRIPTION_ENDPOINTS.BASE}/${id}/notes`, data));
 
     if (result.success) {
-      console.log('[UserSubscriptionService] Notes updated successfully');
+      logger.debug('[UserSubscriptionService] Notes updated successfully');
     } else {
-      console.error('[UserSubscriptionService] Failed to update notes:', result.message);
+      logger.error('[UserSubscriptionService] Failed to update notes:', result.message);
     }
 
     return result;
@@ -1,4 +1,5 @@
 import { api, handleApiResponse } from './api.service';
+import logger from '../utils/logger';
 
 const VOUCHER_ENDPOINTS = {
   BASE: '/web/vouchers',
@@ -10,6 +11,8 @@ const VOUCHER_ENDPOINTS = {
   DELETED: '/web/vouchers/deleted',
   RESTORE: (id) => `/web/vouchers/${id}/restore`,
   PERMANENT_DELETE: (id) => `/web/vouchers/${id}/permanent`,
+  REDEMPTIONS: '/web/vouchers/redemptions',
+  CANCEL_REDEMPTION: (id) => `/web/vouchers/redemptions/${id}/cancel`,
 };
 
 /**
@@ -23,13 +26,13 @@ const voucherService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   create: async (data) => {
-    console.log('[VoucherService] Creating voucher with code:', data.code);
+    logger.debug('[VoucherService] Creating voucher with code:', data.code);
     const result = await handleApiResponse(api.post(VOUCHER_ENDPOINTS.BASE, data));
 
     if (result.success) {
-      console.log('[VoucherService] Voucher created successfully:', result.data.voucher?._id);
+      logger.debug('[VoucherService] Voucher created successfully:', result.data.voucher?._id);
     } else {
-      console.error('[VoucherService] Failed to create voucher:', result.message);
+      logger.error('[VoucherService] Failed to create voucher:', result.message);
     }
 
     return result;
@@ -57,13 +60,13 @@ const voucherService = {
       ? `${VOUCHER_ENDPOINTS.BASE}?${queryString}`
       : VOUCHER_ENDPOINTS.BASE;
 
-    console.log('[VoucherService] Fetching vouchers with params:', params);
+    logger.debug('[VoucherService] Fetching vouchers with params:', params);
     const result = await handleApiResponse(api.get(url));
 
     if (result.success) {
-      console.log('[VoucherService] Fetched vouchers:', result.data.vouchers?.length);
+      logger.debug('[VoucherService] Fetched vouchers:', result.data.vouchers?.length);
     } else {
-      console.error('[VoucherService] Failed to fetch vouchers:', result.message);
+      logger.error('[VoucherService] Failed to fetch vouchers:', result.message);
     }
 
     return result;
@@ -75,13 +78,13 @@ const voucherService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   getById: async (id) => {
-    console.log('[VoucherService] Fetching voucher by ID:', id);
+    logger.debug('[VoucherService] Fetching voucher by ID:', id);
     const result = await handleApiResponse(api.get(VOUCHER_ENDPOINTS.GET_BY_ID(id)));
 
     if (result.success) {
-      console.log('[VoucherService] Fetched voucher:', result.data.voucher?._id);
+      logger.debug('[VoucherService] Fetched voucher:', result.data.voucher?._id);
     } else {
-      console.error('[VoucherService] Failed to fetch voucher:', result.message);
+      logger.error('[VoucherService] Failed to fetch voucher:', result.message);
     }
 
     return result;
@@ -94,13 +97,13 @@ const voucherService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   update: async (id, data) => {
-    console.log('[VoucherService] Updating voucher:', id);
+    logger.debug('[VoucherService] Updating voucher:', id);
     const result = await handleApiResponse(api.put(VOUCHER_ENDPOINTS.UPDATE(id), data));
 
     if (result.success) {
-      console.log('[VoucherService] Voucher updated successfully');
+      logger.debug('[VoucherService] Voucher updated successfully');
     } else {
-      console.error('[VoucherService] Failed to update voucher:', result.message);
+      logger.error('[VoucherService] Failed to update voucher:', result.message);
     }
 
     return result;
@@ -112,13 +115,13 @@ const voucherService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   enable: async (id) => {
-    console.log('[VoucherService] Enabling voucher:', id);
+    logger.debug('[VoucherService] Enabling voucher:', id);
     const result = await handleApiResponse(api.post(VOUCHER_ENDPOINTS.ENABLE(id)));
 
     if (result.success) {
-      console.log('[VoucherService] Voucher enabled successfully');
+      logger.debug('[VoucherService] Voucher enabled successfully');
     } else {
-      console.error('[VoucherService] Failed to enable voucher:', result.message);
+      logger.error('[VoucherService] Failed to enable voucher:', result.message);
     }
 
     return result;
@@ -130,13 +133,13 @@ const voucherService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   disable: async (id) => {
-    console.log('[VoucherService] Disabling voucher:', id);
+    logger.debug('[VoucherService] Disabling voucher:', id);
     const result = await handleApiResponse(api.post(VOUCHER_ENDPOINTS.DISABLE(id)));
 
     if (result.success) {
-      console.log('[VoucherService] Voucher disabled successfully');
+      logger.debug('[VoucherService] Voucher disabled successfully');
     } else {
-      console.error('[VoucherService] Failed to disable voucher:', result.message);
+      logger.error('[VoucherService] Failed to disable voucher:', result.message);
     }
 
     return result;
@@ -148,13 +151,13 @@ const voucherService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   delete: async (id) => {
-    console.log('[VoucherService] Deleting voucher:', id);
+    logger.debug('[VoucherService] Deleting voucher:', id);
     const result = await handleApiResponse(api.delete(VOUCHER_ENDPOINTS.DELETE(id)));
 
     if (result.success) {
-      console.log('[VoucherService] Voucher deleted successfully');
+      logger.debug('[VoucherService] Voucher deleted successfully');
     } else {
-      console.error('[VoucherService] Failed to delete voucher:', result.message);
+      logger.error('[VoucherService] Failed to delete voucher:', result.message);
     }
 
     return result;
@@ -165,13 +168,13 @@ const voucherService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   getDeleted: async () => {
-    console.log('[VoucherService] Fetching deleted vouchers');
+    logger.debug('[VoucherService] Fetching deleted vouchers');
     const result = await handleApiResponse(api.get(VOUCHER_ENDPOINTS.DELETED));
 
     if (result.success) {
-      console.log('[VoucherService] Fetched deleted vouchers:', result.data.vouchers?.length);
+      logger.debug('[VoucherService] Fetched deleted vouchers:', result.data.vouchers?.length);
     } else {
-      console.error('[VoucherService] Failed to fetch deleted vouchers:', result.message);
+      logger.error('[VoucherService] Failed to fetch deleted vouchers:', result.message);
     }
 
     return result;
@@ -183,13 +186,13 @@ const voucherService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   restore: async (id) => {
-    console.log('[VoucherService] Restoring voucher:', id);
+    logger.debug('[VoucherService] Restoring voucher:', id);
     const result = await handleApiResponse(api.post(VOUCHER_ENDPOINTS.RESTORE(id)));
 
     if (result.success) {
-      console.log('[VoucherService] Voucher restored successfully');
+      logger.debug('[VoucherService] Voucher restored successfully');
     } else {
-      console.error('[VoucherService] Failed to restore voucher:', result.message);
+      logger.error('[VoucherService] Failed to restore voucher:', result.message);
     }
 
     return result;
@@ -201,13 +204,62 @@ const voucherService = {
    * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
    */
   permanentDelete: async (id) => {
-    console.log('[VoucherService] Permanently deleting voucher:', id);
+    logger.debug('[VoucherService] Permanently deleting voucher:', id);
     const result = await handleApiResponse(api.delete(VOUCHER_ENDPOINTS.PERMANENT_DELETE(id)));
 
     if (result.success) {
-      console.log('[VoucherService] Voucher permanently deleted');
+      logger.debug('[VoucherService] Voucher permanently deleted');
     } else {
-      console.error('[VoucherService] Failed to permanently delete voucher:', result.message);
+      logger.error('[VoucherService] Failed to permanently delete voucher:', result.message);
+    }
+
+    return result;
+  },
+
+  /**
+   * Get voucher redemptions for an event
+   * @param {Object} params - { eventId, status?, page?, limit? }
+   * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
+   */
+  getRedemptions: async (params = {}) => {
+    const queryParams = new URLSearchParams();
+
+    if (params.eventId) queryParams.append('eventId', params.eventId);
+    if (params.status) queryParams.append('status', params.status);
+    if (params.page) queryParams.append('page', params.page);
+    if (params.limit) queryParams.append('limit', params.limit);
+
+    const queryString = queryParams.toString();
+    const url = queryString
+      ? `${VOUCHER_ENDPOINTS.REDEMPTIONS}?${queryString}`
+      : VOUCHER_ENDPOINTS.REDEMPTIONS;
+
+    logger.debug('[VoucherService] Fetching redemptions with params:', params);
+    const result = await handleApiResponse(api.get(url));
+
+    if (result.success) {
+      logger.debug('[VoucherService] Fetched redemptions:', result.data.redemptions?.length);
+    } else {
+      logger.error('[VoucherService] Failed to fetch redemptions:', result.message);
+    }
+
+    return result;
+  },
+
+  /**
+   * Cancel a voucher redemption - the use is returned to the voucher
+   * @param {string} id - Redemption ID
+   * @param {Object} data - { reason? }
+   * @returns {Promise<{success: boolean, data: Object|null, message: string, error: string|null}>}
+   */
+  cancelRedemption: async (id, data = {}) => {
+    logger.debug('[VoucherService] Cancelling redemption:', id);
+    const result = await handleApiResponse(api.post(VOUCHER_ENDPOINTS.CANCEL_REDEMPTION(id), data));
+
+    if (result.success) {
+      logger.debug('[VoucherService] Redemption cancelled');
+    } else {
+      logger.error('[VoucherService] Failed to cancel redemption:', result.message);
     }
 
     return result;
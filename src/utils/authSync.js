@@ -0,0 +1,130 @@
+/**
+ * Auth Sync Utility
+ * Keeps auth state consistent across open tabs: login, logout, token refresh
+ * and profile changes made in one tab are broadcast to the others.
+ *
+ * Uses BroadcastChannel, falling back to storage events where it is unsupported.
+ * Tokens are included in messages because "remember me" off keeps them in
+ * sessionStorage, which other tabs cannot read.
+ */
+import logger from './logger';
+
+const CHANNEL_NAME = 'motivata-auth';
+const STORAGE_EVENT_KEY = 'motivataAuthEvent';
+const REFRESH_LOCK_NAME = 'motivata-token-refresh';
+
+// How long a new tab waits for an open tab to share its session
+const SESSION_REQUEST_TIMEOUT_MS = 300;
+
+/**
+ * Auth event types
+ */
+export const AUTH_EVENTS = {
+  LOGIN: 'LOGIN',
+  LOGOUT: 'LOGOUT',
+  TOKEN_REFRESHED: 'TOKEN_REFRESHED',
+  PROFILE_UPDATED: 'PROFILE_UPDATED',
+  SESSION_REQUEST: 'SESSION_REQUEST',
+  SESSION_SHARE: 'SESSION_SHARE',
+};
+
+const hasBroadcastChannel = typeof BroadcastChannel !== 'undefined';
+
+let channel = null;
+
+const getChannel = () => {
+  if (!channel && hasBroadcastChannel) {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+  }
+  return channel;
+};
+
+/**
+ * Notify other tabs of an auth change
+ * @param {string} type - One of AUTH_EVENTS
+ * @param {Object} payload - Event data
+ */
+export const broadcastAuthEvent = (type, payload = {}) => {
+  logger.debug('[AuthSync] Broadcasting:', type);
+  const message = { type, payload, sentAt: Date.now() };
+
+  try {
+    if (hasBroadcastChannel) {
+      getChannel().postMessage(message);
+    } else {
+      // Write then remove - other tabs receive the storage event, nothing is left behind
+      localStorage.setItem(STORAGE_EVENT_KEY, JSON.stringify(message));
+      localStorage.removeItem(STORAGE_EVENT_KEY);
+    }
+  } catch (error) {
+    logger.error('[AuthSync] Broadcast failed:', error);
+  }
+};
+
+/**
+ * Listen for auth changes from other tabs
+ * @param {Function} handler - Called with { type, payload }
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToAuthEvents = (handler) => {
+  if (hasBroadcastChannel) {
+    const onMessage = (event) => handler(event.data);
+    getChannel().addEventListener('message', onMessage);
+    return () => getChannel().removeEventListener('message', onMessage);
+  }
+
+  const onStorage = (event) => {
+    if (event.key !== STORAGE_EVENT_KEY || !event.newValue) return;
+    try {
+      handler(JSON.parse(event.newValue));
+    } catch (error) {
+      logger.error('[AuthSync] Error parsing storage event:', error);
+    }
+  };
+  window.addEventListener('storage', onStorage);
+  return () => window.removeEventListener('storage', onStorage);
+};
+
+/**
+ * Ask open tabs for their session (used by a new tab without tokens)
+ * @returns {Promise<Object|null>} { tokens, admin, rememberMe } or null if no tab answered
+ */
+export const requestSessionFromOtherTabs = () =>
+  new Promise((resolve) => {
+    let unsubscribe = null;
+
+    const timer = setTimeout(() => {
+      unsubscribe();
+      resolve(null);
+    }, SESSION_REQUEST_TIMEOUT_MS);
+
+    unsubscribe = subscribeToAuthEvents(({ type, payload }) => {
+      if (type !== AUTH_EVENTS.SESSION_SHARE) return;
+      clearTimeout(timer);
+      unsubscribe();
+      resolve(payload);
+    });
+
+    broadcastAuthEvent(AUTH_EVENTS.SESSION_REQUEST);
+  });
+
+/**
+ * Run a token refresh while holding a lock shared by all tabs,
+ * so only one tab calls the refresh endpoint at a time
+ * @param {Function} callback - Async refresh routine
+ * @returns {Promise<any>} Callback result
+ */
+export const withRefreshLock = (callback) => {
+  if (typeof navigator !== 'undefined' && navigator.locks) {
+    return navigator.locks.request(REFRESH_LOCK_NAME, callback);
+  }
+  return callback();
+};
+
+export default {
+  AUTH_EVENTS,
+  broadcastAuthEvent,
+  subscribeToAuthEvents,
+  requestSessionFromOtherTabs,
+  withRefreshLock,
+};
@@ -0,0 +1,253 @@
+/**
+ * Calendar Utility
+ * Date math for the month / week / day calendar views (weeks start on Monday).
+ * Days are the organization's calendar days (see utils/dates), not the device's.
+ */
+
+import { formatDate, fromDateInput, fromZonedParts, getZonedParts, toDateInput } from './dates';
+
+export const CALENDAR_VIEWS = [
+  { value: 'month', label: 'Month' },
+  { value: 'week', label: 'Week' },
+  { value: 'day', label: 'Day' },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Midnight of a date on the organization's clock
+ * @param {Date|string} value - Date
+ * @returns {Date}
+ */
+export const startOfDay = (value) => {
+  const { year, month, day } = getZonedParts(value);
+  return fromZonedParts({ year, month, day });
+};
+
+/**
+ * Add calendar days, keeping the time of day on the organization's clock
+ * @param {Date|string} value - Date
+ * @param {number} days - Days to add, may be negative
+ * @returns {Date}
+ */
+export const addDays = (value, days) => {
+  const parts = getZonedParts(value);
+  return fromZonedParts({ ...parts, day: parts.day + days });
+};
+
+/**
+ * Day of the week on the organization's clock, 0 for Sunday
+ * @param {Date|string} value - Date
+ * @returns {number}
+ */
+const getWeekday = (value) => {
+  const { year, month, day } = getZonedParts(value);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+/**
+ * Monday of the week a date falls in
+ * @param {Date|string} value - Date
+ * @returns {Date}
+ */
+export const startOfWeek = (value) => {
+  const date = startOfDay(value);
+  return addDays(date, -((getWeekday(date) + 6) % 7));
+};
+
+/**
+ * YYYY-MM-DD key of a date, as used in the URL and for day lookups
+ * @param {Date|string} value - Date
+ * @returns {string}
+ */
+export const toDateKey = (value) => toDateInput(value);
+
+/**
+ * Parse a YYYY-MM-DD key as the organization's midnight; falls back to today
+ * @param {string} key - Date key
+ * @returns {Date}
+ */
+export const fromDateKey = (key) => fromDateInput(key) || startOfDay(new Date());
+
+/**
+ * Day of the month and month (1-12) of a calendar day, for the month grid
+ * @param {Date} value - Date
+ * @returns {{ day: number, month: number }}
+ */
+export const getDayOfMonth = (value) => {
+  const { day, month } = getZonedParts(value);
+  return { day, month };
+};
+
+/**
+ * A time on a calendar day
+ * @param {Date} day - Midnight of the day
+ * @param {number} minutes - Minutes after midnight on the organization's clock
+ * @returns {Date}
+ */
+export const atMinuteOfDay = (day, minutes) => {
+  const { year, month, day: dayOfMonth } = getZonedParts(day);
+  return fromZonedParts({ year, month, day: dayOfMonth, minute: minutes });
+};
+
+/**
+ * Days shown by a view: six full weeks for a month, seven days for a week, one for a day
+ * @param {string} view - month, week or day
+ * @param {Date} anchor - Any date inside the period
+ * @returns {Date[]} Midnights on the organization's clock
+ */
+export const getCalendarDays = (view, anchor) => {
+  if (view === 'day') return [startOfDay(anchor)];
+  if (view === 'week') {
+    const monday = startOfWeek(anchor);
+    return Array.from({ length: 7 }, (_, i) => addDays(monday, i));
+  }
+  const { year, month } = getZonedParts(anchor);
+  const gridStart = startOfWeek(fromZonedParts({ year, month, day: 1 }));
+  return Array.from({ length: 42 }, (_, i) => addDays(gridStart, i));
+};
+
+/**
+ * Time range covered by a view, end exclusive
+ * @param {string} view - month, week or day
+ * @param {Date} anchor - Any date inside the period
+ * @returns {{start: Date, end: Date}}
+ */
+export const getCalendarRange = (view, anchor) => {
+  const days = getCalendarDays(view, anchor);
+  return { start: days[0], end: addDays(days[days.length - 1], 1) };
+};
+
+/**
+ * Move the anchor one period back or forward
+ * @param {string} view - month, week or day
+ * @param {Date} anchor - Current anchor
+ * @param {number} direction - -1 or 1
+ * @returns {Date}
+ */
+export const shiftAnchor = (view, anchor, direction) => {
+  if (view === 'day') return addDays(anchor, direction);
+  if (view === 'week') return addDays(anchor, direction * 7);
+  const { year, month } = getZonedParts(anchor);
+  return fromZonedParts({ year, month: month + direction, day: 1 });
+};
+
+/**
+ * Heading for the period a view shows
+ * @param {string} view - month, week or day
+ * @param {Date} anchor - Any date inside the period
+ * @returns {string}
+ */
+export const getCalendarTitle = (view, anchor) => {
+  if (view === 'month') {
+    return formatDate(anchor, { month: 'long', year: 'numeric' });
+  }
+  if (view === 'day') {
+    return formatDate(anchor, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+  }
+  const days = getCalendarDays('week', anchor);
+  const first = formatDate(days[0], { day: 'numeric', month: 'short' });
+  const last = formatDate(days[6], { day: 'numeric', month: 'short', year: 'numeric' });
+  return `${first} – ${last}`;
+};
+
+/**
+ * Whether an entry overlaps a day
+ * @param {{start: Date, end: Date}} entry - Calendar entry
+ * @param {Date} day - Midnight of the day
+ * @returns {boolean}
+ */
+export const isOnDay = (entry, day) => entry.start < addDays(day, 1) && entry.end > day;
+
+/**
+ * Place a day's timed entries: vertical position as a percentage of the day, and
+ * side-by-side lanes for entries that overlap each other
+ * @param {Object[]} entries - Entries with start and end
+ * @param {Date} day - Midnight of the day
+ * @returns {{entry: Object, top: number, height: number, lane: number, lanes: number}[]}
+ */
+export const layoutDayEntries = (entries, day) => {
+  const dayStart = day.getTime();
+  const dayEnd = addDays(day, 1).getTime();
+  const placed = entries
+    .filter((entry) => isOnDay(entry, day))
+    .sort((a, b) => a.start - b.start || b.end - a.end)
+    .map((entry) => {
+      const from = Math.max(entry.start.getTime(), dayStart);
+      // Very short entries still get a clickable height
+      const to = Math.max(Math.min(entry.end.getTime(), dayEnd), from + DAY_MS / 48);
+      return { entry, from, to, lane: 0, lanes: 1 };
+    });
+
+  // Greedy lanes within clusters of overlapping entries
+  let cluster = [];
+  let clusterEnd = 0;
+  const closeCluster = () => {
+    const lanes = Math.max(1, ...cluster.map((item) => item.lane + 1));
+    cluster.forEach((item) => {
+      item.lanes = lanes;
+    });
+    cluster = [];
+  };
+
+  placed.forEach((item) => {
+    if (cluster.length > 0 && item.from >= clusterEnd) closeCluster();
+    const laneEnds = cluster.reduce((ends, other) => {
+      ends[other.lane] = Math.max(ends[other.lane] || 0, other.to);
+      return ends;
+    }, []);
+    const freeLane = laneEnds.findIndex((end) => end === undefined || end <= item.from);
+    item.lane = freeLane === -1 ? laneEnds.length : freeLane;
+    cluster.push(item);
+    clusterEnd = Math.max(clusterEnd, item.to);
+  });
+  closeCluster();
+
+  return placed.map(({ entry, from, to, lane, lanes }) => ({
+    entry,
+    top: ((from - dayStart) / DAY_MS) * 100,
+    height: ((Math.min(to, dayEnd) - from) / DAY_MS) * 100,
+    lane,
+    lanes,
+  }));
+};
+
+/**
+ * Find entries that overlap another entry of the same group (e.g. events in one city)
+ * @param {Object[]} entries - Entries with id, start and end
+ * @param {Function} getGroup - (entry) => group key, or a falsy value to skip the entry
+ * @returns {Map<string, Object[]>} Entry ID -> the entries it clashes with
+ */
+export const findClashes = (entries, getGroup) => {
+  const clashes = new Map();
+  const groups = entries.reduce((map, entry) => {
+    const group = getGroup(entry);
+    if (group) map.set(group, [...(map.get(group) || []), entry]);
+    return map;
+  }, new Map());
+
+  groups.forEach((members) => {
+    members.forEach((entry, i) => {
+      members.slice(i + 1).forEach((other) => {
+        if (entry.start < other.end && other.start < entry.end) {
+          clashes.set(entry.id, [...(clashes.get(entry.id) || []), other]);
+          clashes.set(other.id, [...(clashes.get(other.id) || []), entry]);
+        }
+      });
+    });
+  });
+
+  return clashes;
+};
+
+/**
+ * Move a date onto another day, keeping its time of day on the organization's clock
+ * @param {Date} value - Original date
+ * @param {Date} day - Target day
+ * @returns {Date}
+ */
+export const moveToDay = (value, day) => {
+  const { hour, minute, second } = getZonedParts(value);
+  const { year, month, day: dayOfMonth } = getZonedParts(day);
+  return fromZonedParts({ year, month, day: dayOfMonth, hour, minute, second });
+};
@@ -0,0 +1,99 @@
+/**
+ * Check-ins Utility
+ * Outcomes of the gate check-in log and the summaries the check-in dashboard draws
+ */
+
+import { formatTime } from './dates';
+
+export const CHECK_IN_OUTCOMES = [
+  { value: 'CHECKED_IN', label: 'Checked in', className: 'bg-green-100 text-green-700' },
+  { value: 'ALREADY_SCANNED', label: 'Already scanned', className: 'bg-yellow-100 text-yellow-800' },
+  { value: 'WRONG_EVENT', label: 'Wrong event', className: 'bg-orange-100 text-orange-700' },
+  { value: 'INVALID', label: 'Invalid', className: 'bg-red-100 text-red-700' },
+];
+
+// Scans reported without a registered gate
+export const UNASSIGNED_GATE = 'Unassigned';
+
+const ARRIVAL_SLOT_MINUTES = 15;
+
+// Twelve hours of slots - enough for a day's doors without drawing every day of a festival
+const MAX_ARRIVAL_SLOTS = 48;
+
+export const getCheckInOutcome = (value) =>
+  CHECK_IN_OUTCOMES.find((outcome) => outcome.value === value) || CHECK_IN_OUTCOMES[CHECK_IN_OUTCOMES.length - 1];
+
+const isArrival = (checkIn) => checkIn.outcome === 'CHECKED_IN';
+
+const gateOf = (checkIn) => checkIn.gateName || UNASSIGNED_GATE;
+
+/**
+ * Arrivals and rejections per gate, busiest first
+ * @param {Object[]} checkIns - Check-in log entries
+ * @param {Object[]} devices - Scanners registered for the event
+ * @returns {{gateName: string, arrivals: number, rejections: number, devices: number, lastScanAt: string|null}[]}
+ */
+export const summarizeGates = (checkIns, devices = []) => {
+  const gates = new Map();
+  const gate = (gateName) => {
+    if (!gates.has(gateName)) {
+      gates.set(gateName, { gateName, arrivals: 0, rejections: 0, devices: 0, lastScanAt: null });
+    }
+    return gates.get(gateName);
+  };
+
+  devices.forEach((device) => {
+    gate(device.gateName).devices += 1;
+  });
+  checkIns.forEach((checkIn) => {
+    const summary = gate(gateOf(checkIn));
+    if (isArrival(checkIn)) summary.arrivals += 1;
+    else summary.rejections += 1;
+    if (!summary.lastScanAt || checkIn.scannedAt > summary.lastScanAt) summary.lastScanAt = checkIn.scannedAt;
+  });
+
+  return [...gates.values()].sort((a, b) => b.arrivals - a.arrivals || a.gateName.localeCompare(b.gateName));
+};
+
+/**
+ * Arrivals per gate in 15-minute slots, up to the latest arrival
+ * @param {Object[]} checkIns - Check-in log entries
+ * @returns {{ gates: string[], slots: Object[] }} slots are { time, label, [gateName]: count }
+ */
+export const getArrivalsOverTime = (checkIns) => {
+  const arrivals = checkIns.filter(isArrival);
+  if (arrivals.length === 0) return { gates: [], slots: [] };
+
+  const slotMs = ARRIVAL_SLOT_MINUTES * 60 * 1000;
+  const slotOf = (checkIn) => Math.floor(new Date(checkIn.scannedAt).getTime() / slotMs) * slotMs;
+  const gates = [...new Set(arrivals.map(gateOf))].sort();
+
+  const counts = new Map();
+  arrivals.forEach((checkIn) => {
+    const key = `${slotOf(checkIn)}|${gateOf(checkIn)}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  const times = arrivals.map(slotOf);
+  const last = Math.max(...times);
+  const first = Math.max(Math.min(...times), last - (MAX_ARRIVAL_SLOTS - 1) * slotMs);
+  const slots = [];
+  for (let time = first; time <= last; time += slotMs) {
+    const slot = { time, label: formatTime(time) };
+    gates.forEach((gateName) => {
+      slot[gateName] = counts.get(`${time}|${gateName}`) || 0;
+    });
+    slots.push(slot);
+  }
+
+  return { gates, slots };
+};
+
+/**
+ * Latest rejected scans
+ * @param {Object[]} checkIns - Check-in log entries, newest first
+ * @param {number} limit - How many to return
+ * @returns {Object[]}
+ */
+export const getRecentRejections = (checkIns, limit = 20) =>
+  checkIns.filter((checkIn) => !isArrival(checkIn)).slice(0, limit);
@@ -0,0 +1,46 @@
+/**
+ * CSV Utility
+ * Builds CSV files from table rows and downloads them
+ */
+
+// Cells a spreadsheet would run as a formula; signed numbers like phone numbers are left alone
+const FORMULA_PATTERN = /^[=@\t\r]|^[+-](?![\d\s.]*$)/;
+
+/**
+ * Escape one cell value
+ * @param {any} value - Cell value
+ * @returns {string}
+ */
+const escapeCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (FORMULA_PATTERN.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build CSV text
+ * @param {Object[]} rows - Rows to export
+ * @param {{label: string, value: Function}[]} columns - Header and (row) => cell value per column
+ * @returns {string}
+ */
+export const toCsv = (rows, columns) =>
+  [columns.map((column) => column.label), ...rows.map((row) => columns.map((column) => column.value(row)))]
+    .map((cells) => cells.map(escapeCell).join(','))
+    .join('\r\n');
+
+/**
+ * Download CSV text as a file
+ * @param {string} filename - File name including .csv
+ * @param {string} csv - CSV text
+ */
+export const downloadCsv = (filename, csv) => {
+  // The byte order mark makes Excel read the file as UTF-8
+  const blob = new Blob([`\uFEFF${csv}`], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,187 @@
+/**
+ * Dates Utility
+ * Formatting and form conversions in the organization's timezone, so every admin
+ * reads and enters times on the venue's clock wherever their device is set
+ */
+
+/**
+ * IANA timezone of the organization (VITE_ORG_TIMEZONE, default India)
+ */
+export const ORG_TIMEZONE = import.meta.env.VITE_ORG_TIMEZONE || 'Asia/Kolkata';
+
+const LOCALE = 'en-IN';
+
+export const DATE_OPTIONS = { day: 'numeric', month: 'short', year: 'numeric' };
+export const DATE_TIME_OPTIONS = { ...DATE_OPTIONS, hour: '2-digit', minute: '2-digit' };
+export const TIME_OPTIONS = { hour: '2-digit', minute: '2-digit' };
+
+// Intl formatters are slow to build, so each set of options is built once
+const formatters = new Map();
+
+const getFormatter = (options) => {
+  const key = JSON.stringify(options);
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.DateTimeFormat(LOCALE, { timeZone: ORG_TIMEZONE, ...options }));
+  }
+  return formatters.get(key);
+};
+
+/**
+ * Parse a date value, or null when it's missing or invalid
+ * @param {string|number|Date} value - ISO string, timestamp or Date
+ * @returns {Date|null}
+ */
+export const toDate = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Format a date in the organization's timezone
+ * @param {string|number|Date} value - Date to format
+ * @param {Object} [options] - Intl.DateTimeFormat options (default: 5 Jan 2026)
+ * @param {string} [fallback] - Shown for a missing or invalid date
+ * @returns {string}
+ */
+export const formatDate = (value, options = DATE_OPTIONS, fallback = '—') => {
+  const date = toDate(value);
+  return date ? getFormatter(options).format(date) : fallback;
+};
+
+/**
+ * Format a date with its time, e.g. 5 Jan 2026, 06:30 pm
+ * @param {string|number|Date} value - Date to format
+ * @param {string} [fallback] - Shown for a missing or invalid date
+ * @returns {string}
+ */
+export const formatDateTime = (value, fallback = '—') => formatDate(value, DATE_TIME_OPTIONS, fallback);
+
+/**
+ * Format the time of day, e.g. 06:30 pm
+ * @param {string|number|Date} value - Date to format
+ * @param {string} [fallback] - Shown for a missing or invalid date
+ * @returns {string}
+ */
+export const formatTime = (value, fallback = '—') => formatDate(value, TIME_OPTIONS, fallback);
+
+/**
+ * Wall-clock parts of an instant in the organization's timezone
+ * @param {string|number|Date} value - Date
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}|null}
+ *   month is 1-12
+ */
+export const getZonedParts = (value) => {
+  const date = toDate(value);
+  if (!date) return null;
+
+  const parts = getFormatter({
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const part = (type) => Number(parts.find((item) => item.type === type).value);
+
+  return {
+    year: part('year'),
+    month: part('month'),
+    day: part('day'),
+    hour: part('hour'),
+    minute: part('minute'),
+    second: part('second'),
+  };
+};
+
+/**
+ * Milliseconds the organization's clock is ahead of UTC at an instant
+ * @param {Date} date - Instant
+ * @returns {number}
+ */
+const getOffsetMs = (date) => {
+  const parts = getZonedParts(date);
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Instant at which the organization's clock shows a wall-clock time.
+ * Out-of-range parts roll over (day 32 is the next month's 1st).
+ * @param {Object} parts - { year, month (1-12), day, hour?, minute?, second? }
+ * @returns {Date}
+ */
+export const fromZonedParts = ({ year, month, day, hour = 0, minute = 0, second = 0 }) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  // The offset can differ on either side of a daylight saving change, so check it at the result
+  const guess = wallClock - getOffsetMs(new Date(wallClock));
+  return new Date(wallClock - getOffsetMs(new Date(guess)));
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Value for a datetime-local input (YYYY-MM-DDTHH:mm) on the organization's clock
+ * @param {string|number|Date} value - Date
+ * @returns {string} Empty for a missing date
+ */
+export const toDateTimeInput = (value) => {
+  const parts = getZonedParts(value);
+  if (!parts) return '';
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}`;
+};
+
+/**
+ * Read a datetime-local input value as the organization's wall-clock time
+ * @param {string} input - YYYY-MM-DDTHH:mm
+ * @returns {Date|null}
+ */
+export const fromDateTimeInput = (input) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(input || '');
+  if (!match) return null;
+  const [year, month, day, hour, minute] = match.slice(1).map(Number);
+  return fromZonedParts({ year, month, day, hour, minute });
+};
+
+/**
+ * Value for a date input (YYYY-MM-DD) - the organization's calendar day
+ * @param {string|number|Date} value - Date
+ * @returns {string} Empty for a missing date
+ */
+export const toDateInput = (value) => toDateTimeInput(value).slice(0, 10);
+
+/**
+ * Midnight starting a date input's day on the organization's clock
+ * @param {string} input - YYYY-MM-DD
+ * @param {number} [dayOffset] - Days to move; 1 gives the (exclusive) end of the day
+ * @returns {Date|null}
+ */
+export const fromDateInput = (input, dayOffset = 0) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(input || '');
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  return fromZonedParts({ year, month, day: day + dayOffset });
+};
+
+/**
+ * Short name of the organization's timezone with its UTC offset, e.g. IST (GMT+5:30)
+ * @param {Date} [date] - Instant, as the name and offset can change with daylight saving
+ * @returns {string}
+ */
+export const getTimezoneLabel = (date = new Date()) => {
+  const name = (style) =>
+    getFormatter({ timeZoneName: style }).formatToParts(date).find((part) => part.type === 'timeZoneName')?.value;
+  const short = name('short');
+  const offset = name('shortOffset');
+  return short && offset && short !== offset ? `${short} (${offset})` : offset || short || ORG_TIMEZONE;
+};
+
+/**
+ * Whether this device's clock runs on a different offset than the organization's
+ * @param {Date} [date] - Instant to compare at
+ * @returns {boolean}
+ */
+export const isDeviceOutsideOrgTimezone = (date = new Date()) =>
+  -date.getTimezoneOffset() * 60 * 1000 !== getOffsetMs(date);
@@ -0,0 +1,141 @@
+/**
+ * Enrollments Utility
+ * One row shape for an event's attendees, whether they booked online, paid cash
+ * at the venue or redeemed a voucher
+ */
+
+export const ENROLLMENT_SOURCES = [
+  { value: 'ONLINE', label: 'Online', className: 'bg-blue-100 text-blue-700' },
+  { value: 'CASH', label: 'Cash', className: 'bg-amber-100 text-amber-700' },
+  { value: 'VOUCHER', label: 'Voucher', className: 'bg-purple-100 text-purple-700' },
+];
+
+export const ENROLLMENT_STATUSES = [
+  { value: 'CONFIRMED', label: 'Confirmed', className: 'bg-green-100 text-green-700' },
+  { value: 'PENDING', label: 'Payment Pending', className: 'bg-yellow-100 text-yellow-700' },
+  { value: 'CANCELLED', label: 'Cancelled', className: 'bg-red-100 text-red-700' },
+];
+
+export const PAYMENT_METHODS = [
+  { value: 'UPI', label: 'UPI' },
+  { value: 'CARD', label: 'Card' },
+  { value: 'NETBANKING', label: 'Net Banking' },
+  { value: 'WALLET', label: 'Wallet' },
+  { value: 'CASH', label: 'Cash' },
+  { value: 'VOUCHER', label: 'Voucher' },
+];
+
+export const SCANNED_OPTIONS = [
+  { value: 'true', label: 'Scanned' },
+  { value: 'false', label: 'Not Scanned' },
+];
+
+/**
+ * Label of an option value, falling back to the value itself
+ * @param {{value: string, label: string}[]} options - Options
+ * @param {string} value - Value
+ * @returns {string}
+ */
+export const getOptionLabel = (options, value) => options.find((option) => option.value === value)?.label || value || '-';
+
+const getStatus = (record) => {
+  if (record.status === 'CANCELLED') return 'CANCELLED';
+  return record.paymentStatus === 'PENDING' ? 'PENDING' : 'CONFIRMED';
+};
+
+/**
+ * Normalize an attendee record from any source
+ * @param {string} source - ONLINE, CASH or VOUCHER
+ * @param {Object} record - Online enrollment, cash enrollment or voucher redemption
+ * @returns {Object} Enrollment row
+ */
+export const normalizeEnrollment = (source, record) => {
+  const ticketCount = record.ticketCount || 1;
+  const base = {
+    key: `${source}:${record._id}`,
+    id: record._id,
+    source,
+    name: record.name || record.user?.name || '',
+    phone: record.phone || record.user?.phone || '',
+    email: record.email || record.user?.email || '',
+    ticketCount,
+    status: getStatus(record),
+    isScanned: !!record.isTicketScanned,
+    scannedAt: record.ticketScannedAt || null,
+    enrolledAt: record.createdAt,
+    cancelledAt: record.cancelledAt || null,
+    cancellationReason: record.cancellationReason || null,
+    record,
+  };
+
+  if (source === 'CASH') {
+    return {
+      ...base,
+      amount: (record.priceCharged || 0) * ticketCount,
+      paymentMethod: 'CASH',
+      reference: record.signature || '',
+      issuedBy: record.generatedBy?.name || '',
+    };
+  }
+  if (source === 'VOUCHER') {
+    return {
+      ...base,
+      amount: 0,
+      paymentMethod: 'VOUCHER',
+      reference: record.voucher?.code || '',
+      voucherTitle: record.voucher?.title || '',
+    };
+  }
+  return {
+    ...base,
+    amount: record.amountPaid ?? (record.ticketPrice || 0) * ticketCount,
+    paymentMethod: record.paymentMethod || '',
+    reference: record.orderId || '',
+    tierName: record.tierName || '',
+  };
+};
+
+/**
+ * Apply the page filters
+ * @param {Object[]} enrollments - Enrollment rows
+ * @param {Object} filters - { status, paymentMethod, scanned, search }
+ * @returns {Object[]}
+ */
+export const filterEnrollments = (enrollments, { status, paymentMethod, scanned, search }) => {
+  const term = search.trim().toLowerCase();
+  return enrollments.filter(
+    (enrollment) =>
+      (!status || enrollment.status === status) &&
+      (!paymentMethod || enrollment.paymentMethod === paymentMethod) &&
+      (!scanned || String(enrollment.isScanned) === scanned) &&
+      (!term ||
+        [enrollment.name, enrollment.phone, enrollment.email, enrollment.reference].some((value) =>
+          value.toLowerCase().includes(term)
+        ))
+  );
+};
+
+/**
+ * Whether an enrollment can still be cancelled - a scanned ticket has been used
+ * @param {Object} enrollment - Enrollment row
+ * @returns {boolean}
+ */
+export const isCancellable = (enrollment) => enrollment.status !== 'CANCELLED' && !enrollment.isScanned;
+
+/**
+ * Columns of the CSV export
+ */
+export const ENROLLMENT_CSV_COLUMNS = [
+  { label: 'Name', value: (row) => row.name },
+  { label: 'Phone', value: (row) => row.phone },
+  { label: 'Email', value: (row) => row.email },
+  { label: 'Source', value: (row) => getOptionLabel(ENROLLMENT_SOURCES, row.source) },
+  { label: 'Tickets', value: (row) => row.ticketCount },
+  { label: 'Amount', value: (row) => row.amount },
+  { label: 'Payment Method', value: (row) => getOptionLabel(PAYMENT_METHODS, row.paymentMethod) },
+  { label: 'Reference', value: (row) => row.reference },
+  { label: 'Status', value: (row) => getOptionLabel(ENROLLMENT_STATUSES, row.status) },
+  { label: 'Scanned', value: (row) => (row.isScanned ? 'Yes' : 'No') },
+  { label: 'Scanned At', value: (row) => row.scannedAt || '' },
+  { label: 'Enrolled At', value: (row) => row.enrolledAt || '' },
+];
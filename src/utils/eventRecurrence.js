@@ -0,0 +1,145 @@
+/**
+ * Event Recurrence Utility
+ * Helpers for generating and editing recurring event series
+ */
+
+import { fromDateInput, fromZonedParts, getZonedParts } from './dates';
+
+/**
+ * Supported repeat frequencies
+ */
+export const RECURRENCE_FREQUENCIES = [
+  { value: 'WEEKLY', label: 'Weekly', unit: 'week' },
+  { value: 'MONTHLY', label: 'Monthly', unit: 'month' },
+];
+
+// Upper bound on how many events one series may create
+export const MAX_OCCURRENCES = 52;
+
+// Date fields that move together when an occurrence is shifted
+export const EVENT_DATE_FIELDS = ['startDate', 'endDate', 'bookingStartDate', 'bookingEndDate'];
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Move a date forward by whole weeks or months on the organization's clock, so the
+ * wall-clock time stays the same across daylight saving changes.
+ * Monthly steps keep the day of month, clamped to the month's last day (Jan 31 -> Feb 28).
+ * @param {string|Date} value - Date to shift
+ * @param {string} frequency - WEEKLY or MONTHLY
+ * @param {number} steps - Number of weeks or months
+ * @returns {Date} Shifted date
+ */
+export const addRecurrenceInterval = (value, frequency, steps) => {
+  const parts = getZonedParts(value);
+
+  if (frequency === 'WEEKLY') {
+    return fromZonedParts({ ...parts, day: parts.day + steps * 7 });
+  }
+
+  const monthIndex = parts.month - 1 + steps;
+  const year = parts.year + Math.floor(monthIndex / 12);
+  const month = (((monthIndex % 12) + 12) % 12) + 1;
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return fromZonedParts({ ...parts, year, month, day: Math.min(parts.day, lastDay) });
+};
+
+/**
+ * Start dates of every occurrence in a series, the first one included
+ * @param {string|Date} startDate - Start of the first occurrence
+ * @param {Object} recurrence - Repeat rule
+ * @param {string} recurrence.frequency - WEEKLY or MONTHLY
+ * @param {number} [recurrence.interval=1] - Repeat every N weeks or months
+ * @param {string} recurrence.ends - 'count' or 'date'
+ * @param {number} [recurrence.count] - Number of occurrences when ending by count
+ * @param {string} [recurrence.until] - Last day (YYYY-MM-DD) when ending by date
+ * @returns {Date[]} Occurrence start dates, at most MAX_OCCURRENCES
+ */
+export const getOccurrenceStarts = (startDate, { frequency, interval = 1, ends, count, until }) => {
+  if (!startDate || !frequency) return [];
+
+  const step = Math.max(1, Number(interval) || 1);
+  const limit = ends === 'count' ? Math.min(Number(count) || 0, MAX_OCCURRENCES) : MAX_OCCURRENCES;
+  // The until day is inclusive, so anything starting before the next midnight counts
+  const untilDate = ends === 'date' && until ? fromDateInput(until, 1) : null;
+
+  const starts = [];
+  for (let index = 0; index < limit; index += 1) {
+    const start = addRecurrenceInterval(startDate, frequency, index * step);
+    if (untilDate && start >= untilDate) break;
+    starts.push(start);
+  }
+  return starts;
+};
+
+/**
+ * Shift all date fields of an event by the same number of weeks or months
+ * @param {Object} eventData - Event with ISO date fields
+ * @param {string} frequency - WEEKLY or MONTHLY
+ * @param {number} steps - Number of weeks or months
+ * @returns {Object} Copy of the event with shifted ISO dates
+ */
+export const shiftEventDates = (eventData, frequency, steps) => {
+  const shifted = { ...eventData };
+  EVENT_DATE_FIELDS.forEach((field) => {
+    if (eventData[field]) {
+      shifted[field] = addRecurrenceInterval(eventData[field], frequency, steps).toISOString();
+    }
+  });
+  return shifted;
+};
+
+/**
+ * Expand one event into the events of a series, sharing a series ID
+ * @param {Object} eventData - First occurrence, as submitted to the API
+ * @param {Object} recurrence - Repeat rule, see getOccurrenceStarts
+ * @param {string} seriesId - ID stored on every occurrence
+ * @returns {Object[]} Event payloads, the first one being eventData itself
+ */
+export const buildEventSeries = (eventData, recurrence, seriesId) => {
+  const step = Math.max(1, Number(recurrence.interval) || 1);
+  return getOccurrenceStarts(eventData.startDate, recurrence).map((_, index) => ({
+    ...shiftEventDates(eventData, recurrence.frequency, index * step),
+    seriesId,
+  }));
+};
+
+/**
+ * Create an ID for a new series
+ * @returns {string} Series ID
+ */
+export const createSeriesId = () => crypto.randomUUID();
+
+/**
+ * Carry the date changes made to one occurrence over to another:
+ * each date moves by the same amount the edited occurrence's date moved.
+ * Dates the occurrence doesn't have are left out; a date missing on either
+ * side of the edit is kept as it is
+ * @param {Object} occurrence - Occurrence to update
+ * @param {Object} before - Edited occurrence before the change
+ * @param {Object} after - Edited occurrence after the change
+ * @returns {Object} Date fields for the occurrence, as ISO strings
+ */
+export const carryDateChanges = (occurrence, before, after) =>
+  EVENT_DATE_FIELDS.reduce((dates, field) => {
+    if (!occurrence[field]) return dates;
+
+    const delta = before[field] && after[field] ? new Date(after[field]) - new Date(before[field]) : 0;
+    dates[field] = new Date(new Date(occurrence[field]).getTime() + delta).toISOString();
+    return dates;
+  }, {});
+
+/**
+ * Move a past event's dates forward by whole weeks until it starts after `from`,
+ * keeping its weekday and times; upcoming events are returned unchanged
+ * @param {Object} eventData - Event with ISO date fields
+ * @param {Date} [from=new Date()] - Reference time
+ * @returns {Object} Event with upcoming dates
+ */
+export const moveToNextWeek = (eventData, from = new Date()) => {
+  const start = new Date(eventData.startDate);
+  if (!eventData.startDate || start > from) return eventData;
+
+  const weeks = Math.floor((from - start) / WEEK_MS) + 1;
+  return shiftEventDates(eventData, 'WEEKLY', weeks);
+};
@@ -3,6 +3,8 @@
  * Helper functions for determining event status based on booking and event dates
  */
 
+import { DATE_OPTIONS, DATE_TIME_OPTIONS, formatDate } from './dates';
+
 /**
  * Get the current status of an event based on dates
  * @param {Object} event - Event object with date fields
@@ -35,6 +37,21 @@ export const getEventStatus = (event) => {
   return 'Unknown';
 };
 
+/**
+ * Check that an event's dates form a valid timeline: the booking window opens
+ * before it closes, closes no later than the event ends, and the event ends after it starts
+ * @param {Object} event - Object with startDate, endDate, bookingStartDate and bookingEndDate
+ * @returns {boolean} - True if the timeline is valid
+ */
+export const isValidTimeline = ({ startDate, endDate, bookingStartDate, bookingEndDate }) => {
+  if (!startDate || !endDate || !bookingStartDate || !bookingEndDate) return false;
+  const bs = new Date(bookingStartDate);
+  const be = new Date(bookingEndDate);
+  const es = new Date(startDate);
+  const ee = new Date(endDate);
+  return bs < be && es < ee && bs < ee && be <= ee;
+};
+
 /**
  * Get status color for badges
  * @param {string} status - Event status
@@ -79,51 +96,23 @@ export const getStatusColor = (status) => {
 /**
  * Format date for display
  * @param {string} dateString - ISO date string
- * @returns {string} - Formatted date
+ * @returns {string} - Formatted date and time in the organization's timezone
  */
-export const formatEventDate = (dateString) => {
-  if (!dateString) return '—';
-  const date = new Date(dateString);
-  return date.toLocaleString('en-IN', {
-    month: 'short',
-    day: 'numeric',
-    year: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit',
-  });
-};
+export const formatEventDate = (dateString) => formatDate(dateString, DATE_TIME_OPTIONS);
 
 /**
  * Get short date format
  * @param {string} dateString - ISO date string
- * @returns {string} - Short formatted date
+ * @returns {string} - Short formatted date in the organization's timezone
  */
-export const formatShortDate = (dateString) => {
-  if (!dateString) return '—';
-  const date = new Date(dateString);
-  return date.toLocaleDateString('en-IN', {
-    month: 'short',
-    day: 'numeric',
-    year: 'numeric',
-  });
-};
+export const formatShortDate = (dateString) => formatDate(dateString, DATE_OPTIONS);
 
 /**
  * Format date with time
  * @param {string} dateString - ISO date string
- * @returns {string} - Formatted date with time
+ * @returns {string} - Formatted date with time in the organization's timezone
  */
-export const formatDateTime = (dateString) => {
-  if (!dateString) return '—';
-  const date = new Date(dateString);
-  return date.toLocaleString('en-IN', {
-    month: 'short',
-    day: 'numeric',
-    year: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit',
-  });
-};
+export const formatDateTime = (dateString) => formatDate(dateString, DATE_TIME_OPTIONS);
 
 /**
  * Check if event booking is currently active
@@ -0,0 +1,90 @@
+/**
+ * Field Errors
+ * Normalizes backend validation failures into a { [field]: message } map so forms
+ * can highlight the offending inputs
+ *
+ * The backend's validators don't agree on a shape, so all of these are accepted:
+ * - { errors: [{ field | path | param, message | msg }] }   express-validator / custom
+ * - { error: [{ ... }] }                                    the same array under `error`
+ * - { error: { details: [{ path: ['a', 0], message }] } }  Joi
+ * - { errors: { field: 'message' | { message } } }          mongoose / keyed
+ *
+ * Nested paths are flattened to dot notation: ['pricingTiers', 0, 'price'] and
+ * 'pricingTiers[0].price' both become 'pricingTiers.0.price'.
+ */
+
+const normalizePath = (path) => {
+  if (Array.isArray(path)) return path.join('.');
+  return String(path).replace(/\[(\w+)\]/g, '.$1').replace(/^\./, '');
+};
+
+const fromArray = (items) =>
+  items.reduce((fieldErrors, item) => {
+    const path = item?.field ?? item?.path ?? item?.param ?? item?.context?.key;
+    const message = item?.message ?? item?.msg;
+    if (path === undefined || path === null || !message) return fieldErrors;
+
+    const field = normalizePath(path);
+    // Keep the first message per field - later ones are usually consequences of it
+    if (field && !fieldErrors[field]) fieldErrors[field] = String(message);
+    return fieldErrors;
+  }, {});
+
+const fromObject = (errors) =>
+  Object.entries(errors).reduce((fieldErrors, [field, value]) => {
+    const message = typeof value === 'string' ? value : value?.message;
+    if (message) fieldErrors[normalizePath(field)] = message;
+    return fieldErrors;
+  }, {});
+
+/**
+ * Parse field errors from an error response body
+ * @param {Object} payload - Error response body
+ * @returns {Object|null} { [field]: message }, or null when the body has none
+ */
+export const parseFieldErrors = (payload) => {
+  if (!payload || typeof payload !== 'object') return null;
+
+  // `error` on its own is often a plain string or an error descriptor - only trust it as an array
+  const source = [
+    payload.errors,
+    payload.error?.details,
+    payload.details,
+    Array.isArray(payload.error) && payload.error,
+  ].find(
+    (candidate) => candidate && typeof candidate === 'object'
+  );
+  if (!source) return null;
+
+  const fieldErrors = Array.isArray(source) ? fromArray(source) : fromObject(source);
+  return Object.keys(fieldErrors).length > 0 ? fieldErrors : null;
+};
+
+/**
+ * Check if a field error map has any errors set
+ * @param {Object|null} fieldErrors - { [field]: message }
+ * @returns {boolean}
+ */
+export const hasFieldErrors = (fieldErrors) =>
+  !!fieldErrors && Object.values(fieldErrors).some(Boolean);
+
+/**
+ * Scroll to and focus the first input (in document order) that has an error
+ * Inputs are matched by `name`, or by `data-field` for custom controls
+ * @param {HTMLElement|null} container - Form element
+ * @param {Object} fieldErrors - { [field]: message }
+ */
+export const scrollToFirstError = (container, fieldErrors) => {
+  if (!container || !hasFieldErrors(fieldErrors)) return;
+
+  const fields = Object.keys(fieldErrors).filter((field) => fieldErrors[field]);
+  const target = [...container.querySelectorAll('[name], [data-field]')].find((element) =>
+    fields.includes(element.getAttribute('data-field') || element.getAttribute('name'))
+  );
+  if (!target) return;
+
+  target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  if (typeof target.focus === 'function') {
+    target.focus({ preventScroll: true });
+  }
+};
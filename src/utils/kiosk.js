@@ -0,0 +1,147 @@
+/**
+ * Kiosk Utility
+ * Settings, exit PIN, fullscreen and the sound and vibration cues of the door kiosk
+ */
+
+import { kioskStorage } from './storage';
+import logger from './logger';
+
+export const KIOSK_DEFAULTS = {
+  resetSeconds: 4,
+  cooldownSeconds: 10,
+  isSoundOn: true,
+};
+
+// How long a result stays on screen
+export const KIOSK_RESET_OPTIONS = [2, 3, 4, 6, 10];
+
+// How long the same code is ignored after it was read - a held-up ticket is read many times a second
+export const KIOSK_COOLDOWN_OPTIONS = [5, 10, 30, 60];
+
+// Wrong PINs allowed before the exit is locked for a while
+export const MAX_PIN_ATTEMPTS = 5;
+export const PIN_LOCKOUT_SECONDS = 60;
+
+export const isValidKioskPin = (pin) => /^\d{4,8}$/.test(pin);
+
+/**
+ * Hash an exit PIN, so it isn't readable from storage
+ * @param {string} pin
+ * @returns {Promise<string>} Hex SHA-256 digest
+ */
+export const hashKioskPin = async (pin) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`kiosk:${pin}`));
+  return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Lock this device to the kiosk until the PIN is entered
+ * @param {Object} values - { pin, settings }
+ */
+export const lockKiosk = async ({ pin, settings }) => {
+  kioskStorage.setKiosk({
+    pinHash: await hashKioskPin(pin),
+    settings: { ...KIOSK_DEFAULTS, ...settings },
+    startedAt: new Date().toISOString(),
+  });
+};
+
+/**
+ * Release the kiosk lock if the PIN matches
+ * Wrong PINs are counted on the lock itself, so reloading the page doesn't reset the lockout
+ * @param {string} pin
+ * @returns {Promise<{ isUnlocked: boolean, lockedUntil?: number }>} lockedUntil is set while the exit is locked out
+ */
+export const unlockKiosk = async (pin) => {
+  const kiosk = kioskStorage.getKiosk();
+  if (!kiosk) return { isUnlocked: true };
+  if (kiosk.lockedUntil && Date.now() < kiosk.lockedUntil) {
+    return { isUnlocked: false, lockedUntil: kiosk.lockedUntil };
+  }
+
+  if ((await hashKioskPin(pin)) !== kiosk.pinHash) {
+    const failedAttempts = (kiosk.failedAttempts || 0) + 1;
+    if (failedAttempts >= MAX_PIN_ATTEMPTS) {
+      const lockedUntil = Date.now() + PIN_LOCKOUT_SECONDS * 1000;
+      kioskStorage.updateKiosk({ failedAttempts: 0, lockedUntil });
+      return { isUnlocked: false, lockedUntil };
+    }
+    kioskStorage.updateKiosk({ failedAttempts, lockedUntil: null });
+    return { isUnlocked: false };
+  }
+
+  kioskStorage.clearKiosk();
+  return { isUnlocked: true };
+};
+
+/**
+ * Go fullscreen - browsers only allow it from a click or key press
+ */
+export const enterFullscreen = () => {
+  const element = document.documentElement;
+  if (document.fullscreenElement || !element.requestFullscreen) return;
+  element.requestFullscreen().catch((error) => logger.debug('[Kiosk] Fullscreen refused:', error));
+};
+
+export const exitFullscreen = () => {
+  if (!document.fullscreenElement) return;
+  document.exitFullscreen().catch((error) => logger.debug('[Kiosk] Exiting fullscreen failed:', error));
+};
+
+// Tones as [frequency Hz, seconds], played back to back
+const ACCEPTED_TONES = [[880, 0.12], [1320, 0.18]];
+const REJECTED_TONES = [[220, 0.2], [220, 0.35]];
+
+let audioContext = null;
+
+const getAudioContext = () => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return null;
+  if (!audioContext) audioContext = new AudioContextClass();
+  if (audioContext.state === 'suspended') audioContext.resume();
+  return audioContext;
+};
+
+/**
+ * Allow the kiosk to play sounds - browsers only start audio from a click or key press
+ */
+export const unlockKioskAudio = () => {
+  try {
+    getAudioContext();
+  } catch (error) {
+    logger.debug('[Kiosk] Audio unavailable:', error);
+  }
+};
+
+/**
+ * Beep and vibrate for a scan
+ * @param {boolean} isAccepted - Let in, or turned away
+ * @param {Object} options - { isSoundOn }
+ */
+export const playKioskCue = (isAccepted, { isSoundOn = true } = {}) => {
+  if (navigator.vibrate) {
+    navigator.vibrate(isAccepted ? [200, 100, 200] : [400, 100, 400, 100, 400]);
+  }
+  if (!isSoundOn) return;
+
+  try {
+    const context = getAudioContext();
+    if (!context) return;
+
+    let startAt = context.currentTime;
+    (isAccepted ? ACCEPTED_TONES : REJECTED_TONES).forEach(([frequency, duration]) => {
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      oscillator.type = isAccepted ? 'sine' : 'square';
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.2, startAt);
+      gain.gain.exponentialRampToValueAtTime(0.001, startAt + duration);
+      oscillator.connect(gain).connect(context.destination);
+      oscillator.start(startAt);
+      oscillator.stop(startAt + duration);
+      startAt += duration + 0.05;
+    });
+  } catch (error) {
+    logger.debug('[Kiosk] Playing the cue failed:', error);
+  }
+};
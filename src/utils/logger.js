@@ -0,0 +1,218 @@
+/**
+ * Logger
+ * Leveled console logging (debug < info < warn < error) for the whole app
+ *
+ * - Development logs everything; production builds are silent unless VITE_LOG_LEVEL says otherwise
+ * - The level can be changed at runtime from the debug console and is remembered per browser
+ * - Objects are passed through maskSensitiveData before they're logged or recorded
+ * - Recent API calls and warnings/errors are kept in ring buffers for bug reports,
+ *   whatever the console level
+ */
+
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100,
+};
+
+const LEVEL_STORAGE_KEY = 'logLevel';
+
+// Ring buffer sizes
+const MAX_API_CALLS = 100;
+const MAX_LOG_ENTRIES = 200;
+
+const SENSITIVE_FIELDS = [
+  'password',
+  'currentPassword',
+  'newPassword',
+  'refreshToken',
+  'accessToken',
+  'twoFactorToken',
+  'secret',
+  'backupCodes',
+];
+
+/**
+ * Mask sensitive fields in request/response data for logging
+ * @param {Object} data - Request/response data
+ * @returns {Object} - Data with sensitive fields masked
+ */
+export const maskSensitiveData = (data) => {
+  if (!data || typeof data !== 'object') return data;
+  if (Array.isArray(data)) return data.map(maskSensitiveData);
+  if (data instanceof Error) return { name: data.name, message: data.message };
+
+  // Files, FormData and the like can't be copied field by field
+  const prototype = Object.getPrototypeOf(data);
+  if (prototype !== Object.prototype && prototype !== null) return `[${data.constructor?.name || 'Object'}]`;
+
+  const masked = { ...data };
+
+  Object.keys(masked).forEach((key) => {
+    if (SENSITIVE_FIELDS.includes(key)) {
+      masked[key] = '***MASKED***';
+    } else if (typeof masked[key] === 'object' && masked[key] !== null) {
+      masked[key] = maskSensitiveData(masked[key]);
+    }
+  });
+
+  return masked;
+};
+
+const isValidLevel = (level) => Object.prototype.hasOwnProperty.call(LOG_LEVELS, level);
+
+const getDefaultLevel = () => {
+  const configured = import.meta.env.VITE_LOG_LEVEL;
+  if (isValidLevel(configured)) return configured;
+  return import.meta.env.PROD ? 'silent' : 'debug';
+};
+
+const readStoredLevel = () => {
+  try {
+    const stored = localStorage.getItem(LEVEL_STORAGE_KEY);
+    return isValidLevel(stored) ? stored : null;
+  } catch {
+    return null;
+  }
+};
+
+let currentLevel = readStoredLevel() || getDefaultLevel();
+
+// Buffers are replaced rather than mutated so readers get a new snapshot on every change
+let apiCalls = [];
+let logEntries = [];
+const listeners = new Set();
+
+const appendBounded = (buffer, item, max) => [...buffer, item].slice(-max);
+
+const notify = () => listeners.forEach((listener) => listener());
+
+const stringify = (value) => {
+  if (typeof value === 'string') return value;
+  try {
+    return JSON.stringify(value);
+  } catch {
+    return String(value);
+  }
+};
+
+const write = (level, args) => {
+  const shouldPrint = LOG_LEVELS[level] >= LOG_LEVELS[currentLevel];
+  const shouldRecord = LOG_LEVELS[level] >= LOG_LEVELS.warn;
+  if (!shouldPrint && !shouldRecord) return;
+
+  const masked = args.map(maskSensitiveData);
+
+  if (shouldRecord) {
+    logEntries = appendBounded(
+      logEntries,
+      { level, message: masked.map(stringify).join(' '), timestamp: new Date().toISOString() },
+      MAX_LOG_ENTRIES
+    );
+    notify();
+  }
+
+  if (shouldPrint) {
+    console[level](...masked);
+  }
+};
+
+/**
+ * Leveled logger - same arguments as console.log, tag first by convention: logger.debug('[EventService] Fetching:', id)
+ */
+export const logger = {
+  debug: (...args) => write('debug', args),
+  info: (...args) => write('info', args),
+  warn: (...args) => write('warn', args),
+  error: (...args) => write('error', args),
+};
+
+/**
+ * Current console level
+ * @returns {string} One of LOG_LEVELS
+ */
+export const getLogLevel = () => currentLevel;
+
+/**
+ * Change the console level for this browser - remembered until reset
+ * @param {string|null} level - One of LOG_LEVELS, or null to go back to the build default
+ */
+export const setLogLevel = (level) => {
+  currentLevel = isValidLevel(level) ? level : getDefaultLevel();
+  try {
+    if (isValidLevel(level)) {
+      localStorage.setItem(LEVEL_STORAGE_KEY, level);
+    } else {
+      localStorage.removeItem(LEVEL_STORAGE_KEY);
+    }
+  } catch {
+    // Storage unavailable - the level still applies until reload
+  }
+  notify();
+};
+
+/**
+ * Record a finished API call in the ring buffer
+ * @param {Object} call - { method, url, params, body, status, durationMs, message, error }
+ */
+export const recordApiCall = (call) => {
+  apiCalls = appendBounded(
+    apiCalls,
+    {
+      ...call,
+      params: maskSensitiveData(call.params),
+      body: maskSensitiveData(call.body),
+      timestamp: new Date().toISOString(),
+    },
+    MAX_API_CALLS
+  );
+  notify();
+};
+
+/**
+ * Recent API calls, oldest first - the same array until the buffer changes
+ * @returns {Object[]}
+ */
+export const getApiCalls = () => apiCalls;
+
+/**
+ * Recent warnings and errors, oldest first - the same array until the buffer changes
+ * @returns {Object[]}
+ */
+export const getLogEntries = () => logEntries;
+
+/**
+ * Empty both ring buffers
+ */
+export const clearLogBuffers = () => {
+  apiCalls = [];
+  logEntries = [];
+  notify();
+};
+
+/**
+ * Listen for new buffer entries and level changes
+ * @param {Function} listener - Called with no arguments
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToLogs = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Everything worth attaching to a bug report
+ * @returns {Object} { generatedAt, url, userAgent, logLevel, apiCalls, logs }
+ */
+export const buildLogReport = () => ({
+  generatedAt: new Date().toISOString(),
+  url: typeof window !== 'undefined' ? window.location.href : null,
+  userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+  logLevel: currentLevel,
+  apiCalls: getApiCalls(),
+  logs: getLogEntries(),
+});
+
+export default logger;
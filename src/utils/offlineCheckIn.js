@@ -0,0 +1,266 @@
+/**
+ * Offline Check-in Utility
+ * IndexedDB store of the ticket lists prepared for offline scanning and the
+ * queue of check-ins made while the backend couldn't be reached
+ */
+
+import { SCAN_KINDS, SCAN_OUTCOMES, createScanResult } from './scanResults';
+import { scannerStorage } from './storage';
+
+const DB_NAME = 'offlineCheckIn';
+const DB_VERSION = 1;
+
+const STORES = {
+  EVENTS: 'events',
+  TICKETS: 'tickets',
+  SCANS: 'scans',
+};
+
+/**
+ * States of a queued check-in
+ */
+export const SCAN_SYNC_STATUS = {
+  PENDING: 'PENDING',
+  CONFLICT: 'CONFLICT',
+};
+
+export const isOfflineStoreSupported = () => typeof indexedDB !== 'undefined';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(STORES.EVENTS, { keyPath: 'eventId' });
+        db.createObjectStore(STORES.TICKETS, { keyPath: 'enrollmentId' }).createIndex('eventId', 'eventId');
+        db.createObjectStore(STORES.SCANS, { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Run one transaction; callback must queue its requests synchronously
+ * @param {string[]} storeNames - Stores used
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - (transaction) => IDBRequest whose result is returned, or nothing
+ * @returns {Promise<any>}
+ */
+const runTransaction = async (storeNames, mode, callback) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    const request = callback(transaction);
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Events prepared for offline scanning
+ * @returns {Promise<Object[]>} { eventId, name, startDate, endDate, ticketCount, preparedAt }
+ */
+export const getPreparedEvents = () =>
+  runTransaction([STORES.EVENTS], 'readonly', (transaction) => transaction.objectStore(STORES.EVENTS).getAll());
+
+/**
+ * A prepared event
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Object|undefined>}
+ */
+export const getPreparedEvent = (eventId) =>
+  runTransaction([STORES.EVENTS], 'readonly', (transaction) => transaction.objectStore(STORES.EVENTS).get(eventId));
+
+/**
+ * Store an event's ticket list, replacing the previous download.
+ * Check-ins made on this device are kept, as the download may predate them.
+ * @param {Object} event - { _id, name, startDate, endDate }
+ * @param {Object[]} tickets - Ticket holders of the event
+ * @param {number|null} [expectedCount] - How many tickets the event has, when the download stopped short of them
+ * @returns {Promise<Object>} The prepared event record, isTruncated when tickets are missing
+ */
+export const savePreparedEvent = async (event, tickets, expectedCount = null) => {
+  const existing = await runTransaction([STORES.TICKETS], 'readonly', (transaction) =>
+    transaction.objectStore(STORES.TICKETS).index('eventId').getAll(event._id)
+  );
+  const scannedHere = new Map(
+    existing.filter((ticket) => ticket.isTicketScanned).map((ticket) => [ticket.enrollmentId, ticket.ticketScannedAt])
+  );
+
+  const record = {
+    eventId: event._id,
+    name: event.name,
+    startDate: event.startDate,
+    endDate: event.endDate,
+    ticketCount: tickets.length,
+    expectedCount: Math.max(expectedCount ?? 0, tickets.length),
+    isTruncated: (expectedCount ?? 0) > tickets.length,
+    preparedAt: new Date().toISOString(),
+  };
+
+  await runTransaction([STORES.EVENTS, STORES.TICKETS], 'readwrite', (transaction) => {
+    const ticketStore = transaction.objectStore(STORES.TICKETS);
+    existing.forEach((ticket) => ticketStore.delete(ticket.enrollmentId));
+    tickets.forEach((ticket) => {
+      const scannedAt = ticket.ticketScannedAt || scannedHere.get(ticket.enrollmentId) || null;
+      ticketStore.put({
+        enrollmentId: ticket.enrollmentId,
+        enrollmentType: ticket.enrollmentType,
+        eventId: event._id,
+        name: ticket.user?.name || ticket.name,
+        phone: ticket.phone || ticket.user?.phone,
+        email: ticket.user?.email || ticket.email || null,
+        tierName: ticket.tierName || null,
+        status: ticket.status,
+        isTicketScanned: !!ticket.isTicketScanned || !!scannedAt,
+        ticketScannedAt: scannedAt,
+      });
+    });
+    transaction.objectStore(STORES.EVENTS).put(record);
+  });
+
+  return record;
+};
+
+/**
+ * Drop an event's offline ticket list
+ * @param {string} eventId - Event ID
+ */
+export const removePreparedEvent = async (eventId) => {
+  const tickets = await runTransaction([STORES.TICKETS], 'readonly', (transaction) =>
+    transaction.objectStore(STORES.TICKETS).index('eventId').getAllKeys(eventId)
+  );
+  await runTransaction([STORES.EVENTS, STORES.TICKETS], 'readwrite', (transaction) => {
+    tickets.forEach((key) => transaction.objectStore(STORES.TICKETS).delete(key));
+    transaction.objectStore(STORES.EVENTS).delete(eventId);
+  });
+};
+
+/**
+ * Find a downloaded ticket
+ * @param {string} enrollmentId - Enrollment ID from the QR code
+ * @returns {Promise<Object|undefined>}
+ */
+export const getOfflineTicket = (enrollmentId) =>
+  runTransaction([STORES.TICKETS], 'readonly', (transaction) => transaction.objectStore(STORES.TICKETS).get(enrollmentId));
+
+/**
+ * Mark a ticket scanned and queue the check-in for syncing
+ * The gate, device and time of the scan are kept, as the queue may be synced
+ * later, from another gate
+ * @param {Object} ticket - Downloaded ticket
+ * @param {Object} params - QR parameters to replay against the API
+ * @returns {Promise<Object>} The queued scan
+ */
+export const recordOfflineCheckIn = async (ticket, params) => {
+  const scannedAt = new Date().toISOString();
+  const scan = {
+    params,
+    origin: { ...scannerStorage.getScanOrigin(), scannedAt },
+    enrollmentId: ticket.enrollmentId,
+    eventId: ticket.eventId,
+    name: ticket.name,
+    phone: ticket.phone,
+    scannedAt,
+    status: SCAN_SYNC_STATUS.PENDING,
+  };
+
+  const id = await runTransaction([STORES.TICKETS, STORES.SCANS], 'readwrite', (transaction) => {
+    transaction.objectStore(STORES.TICKETS).put({ ...ticket, isTicketScanned: true, ticketScannedAt: scannedAt });
+    return transaction.objectStore(STORES.SCANS).add(scan);
+  });
+
+  return { ...scan, id };
+};
+
+/**
+ * Mark a downloaded ticket scanned after a live check-in, so it isn't let in
+ * again if the connection drops
+ * @param {string} enrollmentId - Enrollment ID from the QR code
+ * @param {string} [scannedAt] - When it was scanned
+ * @returns {Promise<boolean>} Whether the ticket was in an offline list
+ */
+export const markOfflineTicketScanned = async (enrollmentId, scannedAt = new Date().toISOString()) => {
+  const ticket = await getOfflineTicket(enrollmentId);
+  if (!ticket) return false;
+  if (ticket.isTicketScanned) return true;
+
+  await runTransaction([STORES.TICKETS], 'readwrite', (transaction) => {
+    transaction.objectStore(STORES.TICKETS).put({ ...ticket, isTicketScanned: true, ticketScannedAt: scannedAt });
+  });
+  return true;
+};
+
+/**
+ * Queued check-ins, oldest first
+ * @returns {Promise<Object[]>}
+ */
+export const getQueuedScans = () =>
+  runTransaction([STORES.SCANS], 'readonly', (transaction) => transaction.objectStore(STORES.SCANS).getAll());
+
+/**
+ * Replace a queued check-in
+ * @param {Object} scan - Scan with its id
+ */
+export const updateQueuedScan = (scan) =>
+  runTransaction([STORES.SCANS], 'readwrite', (transaction) => {
+    transaction.objectStore(STORES.SCANS).put(scan);
+  });
+
+/**
+ * Remove queued check-ins
+ * @param {number[]} ids - Scan ids
+ */
+export const deleteQueuedScans = (ids) =>
+  runTransaction([STORES.SCANS], 'readwrite', (transaction) => {
+    ids.forEach((id) => transaction.objectStore(STORES.SCANS).delete(id));
+  });
+
+// Phone numbers may be stored with or without the country code
+const lastDigits = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+/**
+ * Check a scanned ticket against the downloaded list
+ * @param {Object|undefined} ticket - Downloaded ticket for the QR's enrollment ID
+ * @param {Object} params - { enrollmentId, eventId, phone }
+ * @param {Object} event - Prepared event of the QR's event ID
+ * @param {string|null} gateEventId - Event the scanner's gate admits, if it's restricted to one
+ * @returns {Object} Scan result (see utils/scanResults)
+ */
+export const checkOfflineTicket = (ticket, params, event, gateEventId = null) => {
+  const kind = ticket?.enrollmentType === 'CASH' ? SCAN_KINDS.CASH_TICKET : SCAN_KINDS.TICKET;
+  const reject = (message) => createScanResult({ kind, outcome: SCAN_OUTCOMES.INVALID, message, isOffline: true });
+
+  if (!ticket) {
+    return reject(
+      event.isTruncated
+        ? `Ticket not in the offline list - only ${event.ticketCount} of ${event.expectedCount} tickets were downloaded`
+        : 'Ticket not found in the offline list'
+    );
+  }
+  if (ticket.eventId !== params.eventId) return reject('Ticket is for a different event');
+  if (gateEventId && ticket.eventId !== gateEventId) return reject(`Ticket is for ${event.name}`);
+  if (lastDigits(ticket.phone) !== lastDigits(params.phone)) return reject('Phone number does not match the ticket');
+  if (ticket.status === 'CANCELLED') return reject('Ticket has been cancelled');
+
+  return createScanResult({
+    kind,
+    outcome: ticket.isTicketScanned ? SCAN_OUTCOMES.ALREADY_SCANNED : SCAN_OUTCOMES.VALID,
+    message: ticket.isTicketScanned ? 'Ticket has already been scanned' : 'Ticket verified offline',
+    scannedAt: ticket.ticketScannedAt,
+    attendee: { name: ticket.name, phone: ticket.phone, email: ticket.email },
+    event: { name: event.name, startDate: event.startDate, endDate: event.endDate },
+    details: ticket.tierName ? [{ label: 'Tier', value: ticket.tierName }] : [],
+    isOffline: true,
+  });
+};
@@ -0,0 +1,89 @@
+/**
+ * Payments Utility
+ * Options of the payments ledger and its reconciliation against the Dashboard
+ */
+
+import { PAYMENT_METHODS, getOptionLabel } from './enrollments';
+
+export const PAYMENT_TYPES = [
+  { value: 'EVENT', label: 'Event Booking', className: 'bg-blue-100 text-blue-700' },
+  { value: 'MEMBERSHIP', label: 'Membership', className: 'bg-indigo-100 text-indigo-700' },
+  { value: 'SERVICE', label: 'Service Order', className: 'bg-teal-100 text-teal-700' },
+  { value: 'SESSION', label: 'Session Booking', className: 'bg-pink-100 text-pink-700' },
+  { value: 'CASH', label: 'Offline Cash', className: 'bg-amber-100 text-amber-700' },
+];
+
+export const PAYMENT_STATUSES = [
+  { value: 'SUCCESS', label: 'Success', className: 'bg-green-100 text-green-700' },
+  { value: 'PENDING', label: 'Pending', className: 'bg-yellow-100 text-yellow-700' },
+  { value: 'FAILED', label: 'Failed', className: 'bg-red-100 text-red-700' },
+];
+
+export const REFUND_STATUSES = [
+  { value: 'NONE', label: 'Not Refunded', className: 'bg-gray-100 text-gray-600' },
+  { value: 'PARTIAL', label: 'Partly Refunded', className: 'bg-orange-100 text-orange-700' },
+  { value: 'REFUNDED', label: 'Refunded', className: 'bg-purple-100 text-purple-700' },
+];
+
+// Vouchers are free entries, never payments
+export const PAYMENT_METHOD_OPTIONS = PAYMENT_METHODS.filter((method) => method.value !== 'VOUCHER');
+
+/**
+ * Reconcile the ledger's successful payments with the Dashboard's revenue figures
+ * for the same period. The Dashboard counts gateway payments only - cash collected
+ * at the venue is reported with the cash tickets - and doesn't deduct refunds.
+ * @param {Object} summary - Ledger summary of successful payments ({ byMethod })
+ * @param {Object} dashboardPayments - Dashboard payments figures for the period
+ * @returns {{key: string, label: string, ledger: number, dashboard: number, difference: number, isCurrency: boolean}[]}
+ */
+export const reconcileWithDashboard = (summary, dashboardPayments) => {
+  const ledgerMethods = (summary?.byMethod || []).filter((method) => method._id !== 'CASH');
+  const dashboardMethods = dashboardPayments?.paymentMethods || [];
+  const sum = (items, key) => items.reduce((total, item) => total + (item[key] || 0), 0);
+  const row = (key, label, ledger, dashboard, isCurrency = true) => ({
+    key,
+    label,
+    ledger,
+    dashboard,
+    difference: ledger - dashboard,
+    isCurrency,
+  });
+
+  const methodIds = [...new Set([...ledgerMethods, ...dashboardMethods].map((method) => method._id))];
+
+  return [
+    row('payments', 'Payments', sum(ledgerMethods, 'count'), dashboardPayments?.totalPayments || 0, false),
+    row('revenue', 'Revenue', sum(ledgerMethods, 'revenue'), dashboardPayments?.totalRevenue || 0),
+    row('discount', 'Discounts', sum(ledgerMethods, 'discount'), dashboardPayments?.totalDiscount || 0),
+    ...methodIds.map((id) =>
+      row(
+        `method:${id}`,
+        `${getOptionLabel(PAYMENT_METHOD_OPTIONS, id)} revenue`,
+        ledgerMethods.find((method) => method._id === id)?.revenue || 0,
+        dashboardMethods.find((method) => method._id === id)?.revenue || 0
+      )
+    ),
+  ];
+};
+
+/**
+ * Columns of the CSV export
+ */
+export const PAYMENT_CSV_COLUMNS = [
+  { label: 'Date', value: (row) => row.createdAt || '' },
+  { label: 'Type', value: (row) => getOptionLabel(PAYMENT_TYPES, row.type) },
+  { label: 'Description', value: (row) => row.description },
+  { label: 'Customer', value: (row) => row.customerName },
+  { label: 'Phone', value: (row) => row.customerPhone },
+  { label: 'Method', value: (row) => getOptionLabel(PAYMENT_METHOD_OPTIONS, row.method) },
+  { label: 'Gateway Order ID', value: (row) => row.gatewayOrderId || '' },
+  { label: 'Gateway Payment ID', value: (row) => row.gatewayPaymentId || '' },
+  { label: 'Reference', value: (row) => row.sourceReference },
+  { label: 'Original Amount', value: (row) => row.originalAmount },
+  { label: 'Coupon', value: (row) => row.couponCode || '' },
+  { label: 'Discount', value: (row) => row.discountAmount },
+  { label: 'Amount', value: (row) => row.amount },
+  { label: 'Status', value: (row) => getOptionLabel(PAYMENT_STATUSES, row.status) },
+  { label: 'Refund Status', value: (row) => getOptionLabel(REFUND_STATUSES, row.refundStatus) },
+  { label: 'Refunded Amount', value: (row) => row.refundedAmount },
+];
@@ -0,0 +1,149 @@
+/**
+ * Permissions Utility
+ * Central map of admin roles, access permissions and the rules guarding each route
+ *
+ * SUPER_ADMIN and ADMIN implicitly hold every access permission. The `access`
+ * list set on the Admins page only narrows what MANAGEMENT_STAFF can open.
+ */
+
+/**
+ * Admin roles matching backend enum
+ */
+export const ROLES = {
+  SUPER_ADMIN: 'SUPER_ADMIN',
+  ADMIN: 'ADMIN',
+  MANAGEMENT_STAFF: 'MANAGEMENT_STAFF',
+};
+
+/**
+ * Roles allowed to create, edit and delete records
+ */
+export const MANAGER_ROLES = [ROLES.SUPER_ADMIN, ROLES.ADMIN];
+
+/**
+ * Access permissions that can be granted to an admin
+ */
+export const ACCESS_OPTIONS = [
+  { value: 'events', label: 'Events' },
+  { value: 'enrollments', label: 'Enrollments' },
+  { value: 'payments', label: 'Payments' },
+  { value: 'users', label: 'Users' },
+  { value: 'coupons', label: 'Coupons' },
+];
+
+const OPEN = {};
+const MANAGERS_ONLY = { allowedRoles: MANAGER_ROLES };
+const SUPER_ADMIN_ONLY = { allowedRoles: [ROLES.SUPER_ADMIN] };
+
+/**
+ * Route permission rules, shaped like ProtectedRoute's props
+ * { allowedRoles?: string[], requiredAccess?: string[] }
+ */
+export const ROUTE_PERMISSIONS = {
+  '/dashboard': OPEN,
+  '/profile': OPEN,
+  '/events': { requiredAccess: ['events'] },
+  '/enrollments': { requiredAccess: ['enrollments'] },
+  '/payments': { requiredAccess: ['payments'] },
+  '/users': { requiredAccess: ['users'] },
+  '/coupons': { requiredAccess: ['coupons'] },
+  '/admins': SUPER_ADMIN_ONLY,
+  '/settings': SUPER_ADMIN_ONLY,
+  '/audit-log': SUPER_ADMIN_ONLY,
+  '/test-services': SUPER_ADMIN_ONLY,
+
+  // Gate operations - available to every role
+  '/scan-qr': OPEN,
+  '/kiosk': OPEN,
+  '/check-in-dashboard': OPEN,
+  '/ticket-reshare': OPEN,
+  '/cash-tickets': OPEN,
+
+  '/vouchers': MANAGERS_ONLY,
+  '/sessions': MANAGERS_ONLY,
+  '/quizes': MANAGERS_ONLY,
+  '/challenges': MANAGERS_ONLY,
+  '/polls': MANAGERS_ONLY,
+  '/stories': MANAGERS_ONLY,
+  '/recommendations': MANAGERS_ONLY,
+  '/memberships': MANAGERS_ONLY,
+  '/membership-requests': MANAGERS_ONLY,
+  '/clubs': MANAGERS_ONLY,
+  '/club-join-requests': MANAGERS_ONLY,
+  '/admin-club-posts': MANAGERS_ONLY,
+  '/explore-posts': MANAGERS_ONLY,
+  '/services': MANAGERS_ONLY,
+  '/service-orders': MANAGERS_ONLY,
+  '/service-requests': MANAGERS_ONLY,
+  '/user-subscriptions': MANAGERS_ONLY,
+  '/motivata-blend-requests': MANAGERS_ONLY,
+  '/round-table-requests': MANAGERS_ONLY,
+  '/motivata-blend-banner': MANAGERS_ONLY,
+  '/job-posts': MANAGERS_ONLY,
+  '/job-applications': MANAGERS_ONLY,
+  '/opportunity-filters': MANAGERS_ONLY,
+};
+
+/**
+ * Get the permission rule for a route
+ * Unknown routes fall back to managers only
+ * @param {string} path - Route path
+ * @returns {Object} - { allowedRoles?, requiredAccess? }
+ */
+export const getRoutePermission = (path) => ROUTE_PERMISSIONS[path] || MANAGERS_ONLY;
+
+/**
+ * Check if admin has one of the given roles
+ * @param {Object|null} admin - Admin object
+ * @param {string|string[]} roles - Role(s) to check
+ * @returns {boolean}
+ */
+export const adminHasRole = (admin, roles) => {
+  if (!admin) return false;
+  const roleArray = Array.isArray(roles) ? roles : [roles];
+  return roleArray.includes(admin.role);
+};
+
+/**
+ * Check if admin holds an access permission
+ * @param {Object|null} admin - Admin object
+ * @param {string} permission - Access permission value
+ * @returns {boolean}
+ */
+export const adminHasAccess = (admin, permission) => {
+  if (!admin) return false;
+  if (MANAGER_ROLES.includes(admin.role)) return true;
+  return admin.access?.includes(permission) || false;
+};
+
+/**
+ * Check a permission rule against an admin
+ * @param {Object|null} admin - Admin object
+ * @param {Object} rule - { allowedRoles?, requiredAccess? }
+ * @returns {boolean}
+ */
+export const isAllowed = (admin, { allowedRoles = [], requiredAccess = [] } = {}) => {
+  if (!admin) return false;
+  if (allowedRoles.length > 0 && !adminHasRole(admin, allowedRoles)) return false;
+  return requiredAccess.every((permission) => adminHasAccess(admin, permission));
+};
+
+/**
+ * Check if admin can open a route
+ * @param {Object|null} admin - Admin object
+ * @param {string} path - Route path
+ * @returns {boolean}
+ */
+export const canAccessRoute = (admin, path) => isAllowed(admin, getRoutePermission(path));
+
+export default {
+  ROLES,
+  MANAGER_ROLES,
+  ACCESS_OPTIONS,
+  ROUTE_PERMISSIONS,
+  getRoutePermission,
+  adminHasRole,
+  adminHasAccess,
+  isAllowed,
+  canAccessRoute,
+};
@@ -0,0 +1,237 @@
+/**
+ * Query Cache
+ * Shared cache for API reads, keyed by arrays like ['vouchers', 'list', params]
+ *
+ * - Requests for the same key are deduplicated while in flight
+ * - Cached data is returned immediately and revalidated once stale
+ * - Queries with mounted observers refetch when the window regains focus
+ * - invalidateQueries(prefix) marks matching queries stale after a mutation
+ *
+ * Query functions return the usual handleApiResponse result; `data` is cached on
+ * success and `message` is kept as the error otherwise.
+ */
+import logger from './logger';
+
+// How long data counts as fresh before a mount or focus revalidates it
+export const DEFAULT_STALE_TIME = 30 * 1000;
+
+// How long unobserved queries are kept before being dropped
+const CACHE_TIME = 5 * 60 * 1000;
+
+const INITIAL_STATE = {
+  data: undefined,
+  error: null,
+  status: 'idle',
+  isFetching: false,
+  updatedAt: 0,
+  isInvalidated: false,
+};
+
+const entries = new Map();
+
+const isPlainObject = (value) => Object.prototype.toString.call(value) === '[object Object]';
+
+/**
+ * Stable string form of a query key - object keys are sorted so param order doesn't matter
+ * @param {Array} queryKey - Query key
+ * @returns {string}
+ */
+export const hashQueryKey = (queryKey) =>
+  JSON.stringify(queryKey, (_, value) =>
+    isPlainObject(value)
+      ? Object.keys(value)
+          .sort()
+          .reduce((sorted, key) => {
+            sorted[key] = value[key];
+            return sorted;
+          }, {})
+      : value
+  );
+
+const getEntry = (queryKey) => {
+  const hash = hashQueryKey(queryKey);
+  let entry = entries.get(hash);
+
+  if (!entry) {
+    entry = {
+      key: queryKey,
+      hash,
+      state: INITIAL_STATE,
+      promise: null,
+      queryFn: null,
+      staleTime: DEFAULT_STALE_TIME,
+      listeners: new Set(),
+      gcTimer: null,
+    };
+    entries.set(hash, entry);
+  }
+
+  return entry;
+};
+
+const setEntryState = (entry, changes) => {
+  entry.state = { ...entry.state, ...changes };
+  entry.listeners.forEach((listener) => listener());
+};
+
+const isStale = (entry) =>
+  entry.state.isInvalidated || Date.now() - entry.state.updatedAt > entry.staleTime;
+
+const matchesPrefix = (entry, prefix) =>
+  hashQueryKey(entry.key.slice(0, prefix.length)) === hashQueryKey(prefix);
+
+/**
+ * Current state of a query
+ * @param {Array} queryKey - Query key
+ * @returns {{data: any, error: string|null, status: string, isFetching: boolean, updatedAt: number, isInvalidated: boolean}}
+ */
+export const getQueryState = (queryKey) => getEntry(queryKey).state;
+
+/**
+ * Fetch a query, sharing the request with any caller already fetching the same key
+ * @param {Array} queryKey - Query key
+ * @param {Function} [queryFn] - Returns a handleApiResponse result (defaults to the last one registered)
+ * @returns {Promise<Object>} The handleApiResponse result
+ */
+export const fetchQuery = (queryKey, queryFn) => {
+  const entry = getEntry(queryKey);
+  if (queryFn) entry.queryFn = queryFn;
+  if (entry.promise) return entry.promise;
+
+  setEntryState(entry, {
+    isFetching: true,
+    status: entry.state.data === undefined ? 'loading' : entry.state.status,
+  });
+
+  entry.promise = Promise.resolve()
+    .then(() => entry.queryFn())
+    .catch((err) => {
+      logger.error('[QueryCache] Query failed:', entry.hash, err);
+      return { success: false, data: null, message: 'Request failed', error: err?.message || null };
+    })
+    .then((result) => {
+      entry.promise = null;
+
+      // Cache was cleared (e.g. logout) while this request was in flight
+      if (entries.get(entry.hash) !== entry) return result;
+
+      if (result?.success) {
+        setEntryState(entry, {
+          data: result.data,
+          error: null,
+          status: 'success',
+          isFetching: false,
+          updatedAt: Date.now(),
+          isInvalidated: false,
+        });
+      } else {
+        setEntryState(entry, {
+          error: result?.message || 'Request failed',
+          status: 'error',
+          isFetching: false,
+          updatedAt: Date.now(),
+        });
+      }
+      return result;
+    });
+
+  return entry.promise;
+};
+
+/**
+ * Fetch a query only if it has no data yet or its data is stale
+ * @param {Array} queryKey - Query key
+ * @param {Function} queryFn - Returns a handleApiResponse result
+ * @param {number} [staleTime] - Freshness window in ms
+ */
+export const ensureQueryData = (queryKey, queryFn, staleTime = DEFAULT_STALE_TIME) => {
+  const entry = getEntry(queryKey);
+  entry.queryFn = queryFn;
+  entry.staleTime = staleTime;
+
+  if (entry.state.status === 'idle' || isStale(entry)) {
+    fetchQuery(queryKey);
+  }
+};
+
+/**
+ * Listen for changes to a query - observed queries are kept and refetched on focus
+ * @param {Array} queryKey - Query key
+ * @param {Function} listener - Called on every state change
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeQuery = (queryKey, listener) => {
+  const entry = getEntry(queryKey);
+  clearTimeout(entry.gcTimer);
+  entry.listeners.add(listener);
+
+  return () => {
+    entry.listeners.delete(listener);
+    if (entry.listeners.size === 0) {
+      entry.gcTimer = setTimeout(() => {
+        if (entry.listeners.size === 0 && entries.get(entry.hash) === entry) {
+          entries.delete(entry.hash);
+        }
+      }, CACHE_TIME);
+    }
+  };
+};
+
+/**
+ * Update cached data in place, e.g. to reflect a mutation before the refetch lands
+ * @param {Array} prefix - Key prefix - every cached query under it is updated
+ * @param {Function} updater - (data) => newData
+ */
+export const setQueriesData = (prefix, updater) => {
+  entries.forEach((entry) => {
+    if (entry.state.data !== undefined && entry.state.data !== null && matchesPrefix(entry, prefix)) {
+      setEntryState(entry, { data: updater(entry.state.data) });
+    }
+  });
+};
+
+/**
+ * Mark queries stale after a mutation; observed ones refetch right away
+ * @param {Array} prefix - Key prefix, e.g. ['events'] covers lists and dropdowns
+ * @returns {Promise<void>} Resolves when the refetches settle
+ */
+export const invalidateQueries = (prefix) => {
+  logger.debug('[QueryCache] Invalidating:', hashQueryKey(prefix));
+  const refetches = [];
+
+  entries.forEach((entry) => {
+    if (!matchesPrefix(entry, prefix)) return;
+
+    setEntryState(entry, { isInvalidated: true });
+    if (entry.listeners.size > 0 && entry.queryFn) {
+      refetches.push(fetchQuery(entry.key));
+    }
+  });
+
+  return Promise.all(refetches).then(() => undefined);
+};
+
+/**
+ * Drop everything - used on logout so the next admin never sees stale data
+ */
+export const clearQueryCache = () => {
+  entries.forEach((entry) => clearTimeout(entry.gcTimer));
+  entries.clear();
+};
+
+// Revalidate observed queries when the admin comes back to the tab
+if (typeof window !== 'undefined') {
+  const refetchStaleObserved = () => {
+    if (document.visibilityState === 'hidden') return;
+
+    entries.forEach((entry) => {
+      if (entry.listeners.size > 0 && entry.queryFn && isStale(entry)) {
+        fetchQuery(entry.key);
+      }
+    });
+  };
+
+  window.addEventListener('focus', refetchStaleObserved);
+  window.addEventListener('online', refetchStaleObserved);
+  document.addEventListener('visibilitychange', refetchStaleObserved);
+}
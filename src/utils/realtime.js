@@ -0,0 +1,201 @@
+/**
+ * Realtime Channel
+ * One shared connection that delivers server-pushed admin events to every subscriber.
+ *
+ * Uses a server-sent events stream; when EventSource is unsupported or the mock backend
+ * is on, it polls the events endpoint instead. While the stream keeps failing it polls too,
+ * and keeps retrying the stream with a backoff until it connects again.
+ * The connection opens with the first subscriber and closes after the last one leaves.
+ *
+ * Events look like { id, type, data, createdAt } with type one of REALTIME_EVENTS.
+ */
+import realtimeService from '../services/realtime.service';
+import { IS_MOCK_API } from '../services/api.service';
+import logger from './logger';
+
+/**
+ * Realtime event types
+ */
+export const REALTIME_EVENTS = {
+  MEMBERSHIP_REQUEST_CREATED: 'MEMBERSHIP_REQUEST_CREATED',
+  MEMBERSHIP_REQUEST_UPDATED: 'MEMBERSHIP_REQUEST_UPDATED',
+  MOTIVATA_BLEND_REQUEST_CREATED: 'MOTIVATA_BLEND_REQUEST_CREATED',
+  MOTIVATA_BLEND_REQUEST_UPDATED: 'MOTIVATA_BLEND_REQUEST_UPDATED',
+  ROUND_TABLE_REQUEST_CREATED: 'ROUND_TABLE_REQUEST_CREATED',
+  ROUND_TABLE_REQUEST_UPDATED: 'ROUND_TABLE_REQUEST_UPDATED',
+  CLUB_JOIN_REQUEST_CREATED: 'CLUB_JOIN_REQUEST_CREATED',
+  CLUB_JOIN_REQUEST_UPDATED: 'CLUB_JOIN_REQUEST_UPDATED',
+  SERVICE_REQUEST_CREATED: 'SERVICE_REQUEST_CREATED',
+  SERVICE_REQUEST_UPDATED: 'SERVICE_REQUEST_UPDATED',
+  TICKET_SCANNED: 'TICKET_SCANNED',
+};
+
+// Polling interval when the stream isn't available
+const POLL_INTERVAL_MS = 15 * 1000;
+
+// Stream reconnect delay, and how many failures in a row before falling back to polling
+const STREAM_RETRY_MS = 3 * 1000;
+const MAX_STREAM_FAILURES = 3;
+
+// Longest wait between stream reconnects once polling
+const MAX_STREAM_RETRY_MS = 5 * 60 * 1000;
+
+const subscribers = new Set();
+
+let stream = null;
+let streamFailures = 0;
+let retryTimer = null;
+let pollTimer = null;
+let cursor = null;
+let isPolling = false;
+
+const dispatch = (event) => {
+  if (!event?.type) return;
+  if (event.id !== undefined) cursor = event.id;
+
+  subscribers.forEach(({ types, handler }) => {
+    if (types.length > 0 && !types.includes(event.type)) return;
+    try {
+      handler(event);
+    } catch (error) {
+      logger.error('[Realtime] Subscriber failed:', error);
+    }
+  });
+};
+
+/**
+ * Fetch the events published since the cursor
+ * Being an authenticated API call, it also refreshes an expired access token
+ */
+const fetchEvents = async () => {
+  const result = await realtimeService.getEvents(cursor);
+  if (!result.success || subscribers.size === 0) return;
+
+  (result.data.events || []).forEach(dispatch);
+  cursor = result.data.cursor ?? cursor;
+};
+
+// ============ POLLING FALLBACK ============
+
+const poll = async () => {
+  if (typeof document !== 'undefined' && document.hidden) return;
+  if (isPolling) await fetchEvents();
+};
+
+const handleVisibilityChange = () => {
+  if (!document.hidden) poll();
+};
+
+const startPolling = () => {
+  if (isPolling) return;
+  logger.debug('[Realtime] Polling for events every', POLL_INTERVAL_MS / 1000, 'seconds');
+
+  isPolling = true;
+  poll();
+  pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+};
+
+const stopPolling = () => {
+  isPolling = false;
+  clearInterval(pollTimer);
+  pollTimer = null;
+  document.removeEventListener('visibilitychange', handleVisibilityChange);
+};
+
+// ============ STREAM ============
+
+const closeStream = () => {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  if (stream) {
+    stream.close();
+    stream = null;
+  }
+};
+
+const getStreamRetryDelay = () =>
+  Math.min(STREAM_RETRY_MS * 2 ** Math.max(0, streamFailures - MAX_STREAM_FAILURES), MAX_STREAM_RETRY_MS);
+
+/**
+ * Reconnect after a stream error
+ * The stream URL carries the access token, and a stream can't refresh it - so make one
+ * API call first: an expired token is refreshed on its 401, and it picks up missed events
+ */
+const reconnectStream = async () => {
+  retryTimer = null;
+  await fetchEvents();
+
+  // Disconnected, or connected again, while the call was out
+  if (subscribers.size === 0 || stream || retryTimer) return;
+  openStream();
+};
+
+const openStream = () => {
+  closeStream();
+  stream = new EventSource(realtimeService.getStreamUrl());
+
+  stream.onopen = () => {
+    logger.debug('[Realtime] Stream connected');
+    streamFailures = 0;
+    stopPolling();
+  };
+
+  stream.onmessage = (message) => {
+    try {
+      dispatch(JSON.parse(message.data));
+    } catch (error) {
+      logger.error('[Realtime] Error parsing stream event:', error);
+    }
+  };
+
+  // Reconnect ourselves so each attempt picks up the latest access token
+  stream.onerror = () => {
+    closeStream();
+    streamFailures += 1;
+
+    if (streamFailures >= MAX_STREAM_FAILURES && !isPolling) {
+      logger.warn('[Realtime] Stream unavailable, polling until it reconnects');
+      startPolling();
+    }
+    retryTimer = setTimeout(reconnectStream, getStreamRetryDelay());
+  };
+};
+
+const connect = () => {
+  streamFailures = 0;
+  if (IS_MOCK_API || typeof EventSource === 'undefined') {
+    startPolling();
+  } else {
+    openStream();
+  }
+};
+
+const disconnect = () => {
+  logger.debug('[Realtime] Disconnecting');
+  closeStream();
+  stopPolling();
+  cursor = null;
+};
+
+/**
+ * Listen for realtime events
+ * @param {string[]} types - REALTIME_EVENTS to receive, or [] for all
+ * @param {Function} handler - Called with each event
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToRealtime = (types, handler) => {
+  const subscriber = { types, handler };
+  subscribers.add(subscriber);
+  if (subscribers.size === 1) connect();
+
+  return () => {
+    subscribers.delete(subscriber);
+    if (subscribers.size === 0) disconnect();
+  };
+};
+
+export default {
+  REALTIME_EVENTS,
+  subscribeToRealtime,
+};
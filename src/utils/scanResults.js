@@ -0,0 +1,130 @@
+/**
+ * Scan Results Utility
+ * Reading QR payloads and the normalized result every scan validation returns
+ */
+
+/**
+ * What a QR code stands for
+ */
+export const SCAN_KINDS = {
+  TICKET: 'TICKET',
+  CASH_TICKET: 'CASH_TICKET',
+  VOUCHER: 'VOUCHER',
+  MEMBERSHIP: 'MEMBERSHIP',
+  SESSION_BOOKING: 'SESSION_BOOKING',
+  OTHER: 'OTHER',
+};
+
+export const SCAN_KIND_LABELS = {
+  TICKET: 'Online Ticket',
+  CASH_TICKET: 'Cash Ticket',
+  VOUCHER: 'Voucher',
+  MEMBERSHIP: 'Membership Card',
+  SESSION_BOOKING: 'Session Booking',
+  OTHER: 'QR Code',
+};
+
+/**
+ * How a scan went
+ * INVALID means the code was rejected; ERROR means it couldn't be checked at all
+ */
+export const SCAN_OUTCOMES = {
+  VALID: 'VALID',
+  ALREADY_SCANNED: 'ALREADY_SCANNED',
+  INVALID: 'INVALID',
+  ERROR: 'ERROR',
+};
+
+// The `type` parameter, when a QR code carries one
+const TYPE_PARAM_KINDS = {
+  ticket: SCAN_KINDS.TICKET,
+  cash: SCAN_KINDS.CASH_TICKET,
+  voucher: SCAN_KINDS.VOUCHER,
+  membership: SCAN_KINDS.MEMBERSHIP,
+  session: SCAN_KINDS.SESSION_BOOKING,
+};
+
+/**
+ * Work out what a QR code's parameters identify
+ * @param {Object} params - URL query parameters
+ * @returns {string} One of SCAN_KINDS
+ */
+const getKind = (params) => {
+  const typed = TYPE_PARAM_KINDS[params.type?.toLowerCase()];
+  if (typed) return typed;
+  if (params.membershipId) return SCAN_KINDS.MEMBERSHIP;
+  if (params.bookingId || params.bookingReference) return SCAN_KINDS.SESSION_BOOKING;
+  if (params.redemptionId) return SCAN_KINDS.VOUCHER;
+  if ((params.enrollmentId || params.id) && params.eventId && params.phone) return SCAN_KINDS.TICKET;
+  return SCAN_KINDS.OTHER;
+};
+
+/**
+ * Parse the text of a scanned QR code
+ * @param {string} text - Decoded QR text
+ * @returns {{ text: string, kind: string, params: Object, url: Object|null }}
+ *   url is { fullUrl, host, pathname } for URL payloads; params are its query parameters,
+ *   with a ticket's `id` also available as enrollmentId
+ */
+export const parseScanPayload = (text) => {
+  let url;
+  try {
+    url = new URL(text);
+  } catch {
+    return { text, kind: SCAN_KINDS.OTHER, params: {}, url: null };
+  }
+
+  const params = Object.fromEntries(url.searchParams);
+  if (params.id && !params.enrollmentId) params.enrollmentId = params.id;
+
+  return {
+    text,
+    kind: getKind(params),
+    params,
+    url: { fullUrl: text, host: url.host, pathname: url.pathname },
+  };
+};
+
+/**
+ * Build a scan result
+ * @param {Object} result
+ * @param {string} result.kind - One of SCAN_KINDS
+ * @param {string} result.outcome - One of SCAN_OUTCOMES
+ * @param {string} [result.message] - Message from the API or the validator
+ * @param {number} [result.status] - HTTP status, when the API answered
+ * @param {string} [result.scannedAt] - When it was first scanned, for ALREADY_SCANNED
+ * @param {Object} [result.attendee] - { name, phone, email }
+ * @param {Object} [result.event] - { name, startDate, endDate } - the event, or the booked session
+ * @param {Object} [result.voucher] - { code, title, description } redeemed with a ticket
+ * @param {Array<{label: string, value: string}>} [result.details] - Other facts to show
+ * @param {boolean} [result.isOffline] - Checked against the offline ticket list
+ * @param {boolean} [result.isNetworkError] - The API couldn't be reached
+ * @returns {Object} Scan result
+ */
+export const createScanResult = ({
+  kind,
+  outcome,
+  message = '',
+  status = null,
+  scannedAt = null,
+  attendee = null,
+  event = null,
+  voucher = null,
+  details = [],
+  isOffline = false,
+  isNetworkError = false,
+}) => ({
+  kind,
+  outcome,
+  isValid: outcome === SCAN_OUTCOMES.VALID,
+  isAlreadyScanned: outcome === SCAN_OUTCOMES.ALREADY_SCANNED,
+  message,
+  status,
+  scannedAt,
+  attendee,
+  event,
+  voucher,
+  details,
+  isOffline,
+  isNetworkError,
+});
@@ -2,12 +2,16 @@
  * Storage utility for managing tokens and auth data
  * Handles both localStorage and sessionStorage based on "remember me" preference
  */
+import logger from './logger';
 
 const STORAGE_KEYS = {
   ACCESS_TOKEN: 'accessToken',
   REFRESH_TOKEN: 'refreshToken',
   ADMIN_DATA: 'adminData',
   REMEMBER_ME: 'rememberMe',
+  SCANNER_DEVICE_ID: 'scannerDeviceId',
+  SCANNER_GATE: 'scannerGate',
+  KIOSK: 'kiosk',
 };
 
 /**
@@ -27,21 +31,13 @@ export const tokenStorage = {
    * Get access token
    * @returns {string|null}
    */
-  getAccessToken: () => {
-    const token = getStorage().getItem(STORAGE_KEYS.ACCESS_TOKEN);
-    console.log('[Storage] Getting access token:', token ? 'exists' : 'null');
-    return token;
-  },
+  getAccessToken: () => getStorage().getItem(STORAGE_KEYS.ACCESS_TOKEN),
 
   /**
    * Get refresh token
    * @returns {string|null}
    */
-  getRefreshToken: () => {
-    const token = getStorage().getItem(STORAGE_KEYS.REFRESH_TOKEN);
-    console.log('[Storage] Getting refresh token:', token ? 'exists' : 'null');
-    return token;
-  },
+  getRefreshToken: () => getStorage().getItem(STORAGE_KEYS.REFRESH_TOKEN),
 
   /**
    * Set tokens
@@ -49,7 +45,7 @@ export const tokenStorage = {
    * @param {boolean} rememberMe - Whether to persist tokens
    */
   setTokens: ({ accessToken, refreshToken }, rememberMe = false) => {
-    console.log('[Storage] Setting tokens, rememberMe:', rememberMe);
+    logger.debug('[Storage] Setting tokens, rememberMe:', rememberMe);
 
     // Store rememberMe preference in localStorage (always)
     localStorage.setItem(STORAGE_KEYS.REMEMBER_ME, String(rememberMe));
@@ -69,7 +65,7 @@ export const tokenStorage = {
    * @param {string} accessToken
    */
   setAccessToken: (accessToken) => {
-    console.log('[Storage] Updating access token');
+    logger.debug('[Storage] Updating access token');
     getStorage().setItem(STORAGE_KEYS.ACCESS_TOKEN, accessToken);
   },
 
@@ -77,7 +73,7 @@ export const tokenStorage = {
    * Clear all tokens
    */
   clearTokens: () => {
-    console.log('[Storage] Clearing all tokens');
+    logger.debug('[Storage] Clearing all tokens');
     // Clear from both storages to be safe
     localStorage.removeItem(STORAGE_KEYS.ACCESS_TOKEN);
     localStorage.removeItem(STORAGE_KEYS.REFRESH_TOKEN);
@@ -86,6 +82,12 @@ export const tokenStorage = {
     sessionStorage.removeItem(STORAGE_KEYS.REFRESH_TOKEN);
   },
 
+  /**
+   * Get the remember me preference used for the current session
+   * @returns {boolean}
+   */
+  getRememberMe: () => localStorage.getItem(STORAGE_KEYS.REMEMBER_ME) === 'true',
+
   /**
    * Check if user has valid tokens
    * @returns {boolean}
@@ -106,11 +108,9 @@ export const adminStorage = {
   getAdmin: () => {
     try {
       const data = getStorage().getItem(STORAGE_KEYS.ADMIN_DATA);
-      const admin = data ? JSON.parse(data) : null;
-      console.log('[Storage] Getting admin data:', admin ? admin.email : 'null');
-      return admin;
+      return data ? JSON.parse(data) : null;
     } catch (error) {
-      console.error('[Storage] Error parsing admin data:', error);
+      logger.error('[Storage] Error parsing admin data:', error);
       return null;
     }
   },
@@ -120,7 +120,7 @@ export const adminStorage = {
    * @param {Object} admin
    */
   setAdmin: (admin) => {
-    console.log('[Storage] Setting admin data:', admin?.email);
+    logger.debug('[Storage] Setting admin data:', admin?.email);
     getStorage().setItem(STORAGE_KEYS.ADMIN_DATA, JSON.stringify(admin));
   },
 
@@ -128,17 +128,125 @@ export const adminStorage = {
    * Clear admin data
    */
   clearAdmin: () => {
-    console.log('[Storage] Clearing admin data');
+    logger.debug('[Storage] Clearing admin data');
     localStorage.removeItem(STORAGE_KEYS.ADMIN_DATA);
     sessionStorage.removeItem(STORAGE_KEYS.ADMIN_DATA);
   },
 };
 
+/**
+ * Scanner gate storage operations
+ * Kept in localStorage and across sign-outs - they describe the device, not the admin
+ */
+export const scannerStorage = {
+  /**
+   * Get this device's ID, creating it on first use
+   * @returns {string}
+   */
+  getDeviceId: () => {
+    let deviceId = localStorage.getItem(STORAGE_KEYS.SCANNER_DEVICE_ID);
+    if (!deviceId) {
+      deviceId = `DEV-${crypto.randomUUID().slice(0, 8).toUpperCase()}`;
+      localStorage.setItem(STORAGE_KEYS.SCANNER_DEVICE_ID, deviceId);
+    }
+    return deviceId;
+  },
+
+  /**
+   * Get the gate this device is registered to
+   * @returns {Object|null} { gateName, eventId, eventName, registeredAt }
+   */
+  getGate: () => {
+    try {
+      const data = localStorage.getItem(STORAGE_KEYS.SCANNER_GATE);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      logger.error('[Storage] Error parsing scanner gate:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Set the gate this device is registered to
+   * @param {Object} gate
+   */
+  setGate: (gate) => {
+    logger.debug('[Storage] Setting scanner gate:', gate?.gateName);
+    localStorage.setItem(STORAGE_KEYS.SCANNER_GATE, JSON.stringify(gate));
+  },
+
+  /**
+   * Clear the gate registration, keeping the device ID
+   */
+  clearGate: () => {
+    localStorage.removeItem(STORAGE_KEYS.SCANNER_GATE);
+  },
+
+  /**
+   * The gate and device a scan is reported from
+   * gateEventId lets the server reject tickets for another event at this gate
+   * @returns {Object} { deviceId, gateName?, gateEventId? }
+   */
+  getScanOrigin: () => {
+    const gate = scannerStorage.getGate();
+    return {
+      deviceId: scannerStorage.getDeviceId(),
+      ...(gate && { gateName: gate.gateName, gateEventId: gate.eventId }),
+    };
+  },
+};
+
+/**
+ * Kiosk lock operations
+ * Kept in localStorage so the device stays locked to the kiosk across reloads
+ */
+export const kioskStorage = {
+  /**
+   * Get the kiosk lock of this device
+   * @returns {Object|null} { pinHash, settings, startedAt, failedAttempts?, lockedUntil? }
+   */
+  getKiosk: () => {
+    try {
+      const data = localStorage.getItem(STORAGE_KEYS.KIOSK);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      logger.error('[Storage] Error parsing kiosk lock:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Lock this device to the kiosk
+   * @param {Object} kiosk
+   */
+  setKiosk: (kiosk) => {
+    logger.debug('[Storage] Locking device to the kiosk');
+    localStorage.setItem(STORAGE_KEYS.KIOSK, JSON.stringify(kiosk));
+  },
+
+  /**
+   * Merge changes into the kiosk lock, e.g. the wrong PIN count
+   * @param {Object} changes
+   */
+  updateKiosk: (changes) => {
+    const kiosk = kioskStorage.getKiosk();
+    if (!kiosk) return;
+    localStorage.setItem(STORAGE_KEYS.KIOSK, JSON.stringify({ ...kiosk, ...changes }));
+  },
+
+  /**
+   * Release the kiosk lock
+   */
+  clearKiosk: () => {
+    localStorage.removeItem(STORAGE_KEYS.KIOSK);
+  },
+};
+
 /**
  * Clear all auth data
  */
 export const clearAllAuthData = () => {
-  console.log('[Storage] Clearing all auth data');
+  logger.debug('[Storage] Clearing all auth data');
   tokenStorage.clearTokens();
   adminStorage.clearAdmin();
 };
@@ -146,5 +254,7 @@ export const clearAllAuthData = () => {
 export default {
   tokenStorage,
   adminStorage,
+  scannerStorage,
+  kioskStorage,
   clearAllAuthData,
 };
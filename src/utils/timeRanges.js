@@ -0,0 +1,59 @@
+/**
+ * Time Ranges Utility
+ * The Dashboard's reporting periods and the dates each one covers, so other
+ * pages can total their figures over exactly the same period
+ */
+
+import { fromZonedParts, getZonedParts, toDateInput } from './dates';
+
+export const TIME_RANGES = [
+  { value: 'lifetime', label: 'All Time', icon: '∞' },
+  { value: 'last12Months', label: '12 Months', icon: '12M' },
+  { value: 'last6Months', label: '6 Months', icon: '6M' },
+  { value: 'last3Months', label: '3 Months', icon: '3M' },
+  { value: 'lastMonth', label: 'Last Month', icon: '1M' },
+  { value: 'thisMonth', label: 'This Month', icon: 'TM' },
+];
+
+// Rolling ranges reach back this many months from today
+const ROLLING_MONTHS = {
+  last12Months: 12,
+  last6Months: 6,
+  last3Months: 3,
+};
+
+/**
+ * Calendar date on the organization's clock as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+export const toDateKey = (date) => toDateInput(date);
+
+/**
+ * Organization calendar date of a year, month and day - out-of-range values roll over
+ * @returns {string} YYYY-MM-DD
+ */
+const toZonedDateKey = (year, month, day) => toDateInput(fromZonedParts({ year, month, day, hour: 12 }));
+
+/**
+ * First and last day (inclusive, YYYY-MM-DD) of a time range, on the organization's clock
+ * so every admin gets the Dashboard's period edges whatever their device's timezone
+ * @param {string} range - TIME_RANGES value
+ * @param {Date} [now] - Reference date
+ * @returns {{startDate?: string, endDate?: string}} Empty for lifetime
+ */
+export const getTimeRangeBounds = (range, now = new Date()) => {
+  const { year, month, day } = getZonedParts(now);
+  const today = toDateKey(now);
+
+  if (range === 'thisMonth') {
+    return { startDate: toZonedDateKey(year, month, 1), endDate: today };
+  }
+  if (range === 'lastMonth') {
+    return { startDate: toZonedDateKey(year, month - 1, 1), endDate: toZonedDateKey(year, month, 0) };
+  }
+  if (ROLLING_MONTHS[range]) {
+    return { startDate: toZonedDateKey(year, month - ROLLING_MONTHS[range], day), endDate: today };
+  }
+  return {};
+};